@@ -14,6 +14,7 @@ import ContentRouter from './components/layout/ContentRouter';
 import NowPlaying from './components/player/NowPlaying';
 import ErrorBoundary from './components/common/ErrorBoundary';
 import { ContextMenuProvider } from './features/contextmenu';
+import NotificationProvider from './components/common/Notification';
 
 // Define key layout variables
 const PLAYER_HEIGHT_VAR = '--player-area-height';
@@ -118,32 +119,34 @@ const App = () => {
                 <PlayerProvider>
                   {/* Add ContextMenuProvider here to make it available globally */}
                   <ContextMenuProvider>
-                    <GlobalStyles /> {/* Assumed to define global vars like --spacing-md, colors etc. */}
-                    <AppContainer>
-                      <ErrorBoundary>
-                        <Sidebar />
-                      </ErrorBoundary>
-
-                      <MainContent>
-                        <ContentArea>
-                          <ErrorBoundary>
-                            <ContentRouter />
-                          </ErrorBoundary>
-                        </ContentArea>
+                    <NotificationProvider>
+                      <GlobalStyles /> {/* Assumed to define global vars like --spacing-md, colors etc. */}
+                      <AppContainer>
+                        <ErrorBoundary>
+                          <Sidebar />
+                        </ErrorBoundary>
 
-                        <PlayerArea>
+                        <MainContent>
+                          <ContentArea>
+                            <ErrorBoundary>
+                              <ContentRouter />
+                            </ErrorBoundary>
+                          </ContentArea>
+
+                          <PlayerArea>
+                            <ErrorBoundary>
+                              <NowPlaying />
+                            </ErrorBoundary>
+                          </PlayerArea>
+                        </MainContent>
+
+                        <StatusBarWrapper>
                           <ErrorBoundary>
-                            <NowPlaying />
+                            <StatusBar />
                           </ErrorBoundary>
-                        </PlayerArea>
-                      </MainContent>
-
-                      <StatusBarWrapper>
-                        <ErrorBoundary>
-                          <StatusBar />
-                        </ErrorBoundary>
-                      </StatusBarWrapper>
-                    </AppContainer>
+                        </StatusBarWrapper>
+                      </AppContainer>
+                    </NotificationProvider>
                   </ContextMenuProvider>
                 </PlayerProvider>
               </ErrorBoundary>
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import styled from 'styled-components';
 import Panel from '../../layout/Panel';
 import WaveformVisualizer from './WaveformVisualizer';
@@ -6,6 +6,7 @@ import SpectrumAnalyzer from './SpectrumAnalyzer';
 import VUMeter from './VUMeter';
 import VisualizerControls from './VisualizerControls';
 import { useTheme } from '../../../features/theme/ThemeProvider';
+import audioService from '../../../services/AudioService';
 
 const VisualizerContainer = styled.div`
   display: flex;
@@ -52,12 +53,42 @@ const MetersColumn = styled.div`
   gap: var(--spacing-md);
 `;
 
+// One-line summary of the engine's live analysis features
+const formatFeatures = (features) => {
+  if (!features || !features.spectral) return 'AUDIO ANALYSIS';
+
+  const { centroid } = features.spectral;
+  const rms = features.amplitude ? features.amplitude.rms : 0;
+  const level = rms > 0 ? `${(20 * Math.log10(rms)).toFixed(1)} dB` : '-inf dB';
+  const brightness = centroid >= 1000 ?
+    `${(centroid / 1000).toFixed(1)} kHz` :
+    `${Math.round(centroid)} Hz`;
+
+  return `CENTROID ${brightness} · RMS ${level}`;
+};
+
 /**
  * AudioVisualizer component - placeholder for audio visualization
+ * The header shows the features the engine's SignalProcessor extracts from
+ * the output while a track plays.
  */
 const AudioVisualizer = () => {
   const { themeMode } = useTheme();
   const isDark = themeMode === 'dark';
+  const [features, setFeatures] = useState(null);
+
+  useEffect(() => {
+    if (!audioService.isInitialized) {
+      audioService.initialize();
+    }
+
+    const { eventBus } = audioService.getEngineComponents();
+    if (!eventBus) return undefined;
+
+    return eventBus.on('analysis:features-extracted', (event) => {
+      setFeatures(event.data.features);
+    });
+  }, []);
   
   return (
     <Panel title="AUDIO VISUALIZER" fullHeight noPadding>
@@ -66,7 +97,7 @@ const AudioVisualizer = () => {
           <MainVisualizer $isDark={isDark}>
             <VisualizerHeader>
               <VisualizerTitle>WAVEFORM</VisualizerTitle>
-              <VisualizerTitle>AUDIO ANALYSIS</VisualizerTitle>
+              <VisualizerTitle>{formatFeatures(features)}</VisualizerTitle>
             </VisualizerHeader>
             
             {/* Placeholder for waveform visualization */}
@@ -0,0 +1,232 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import PropTypes from 'prop-types';
+import { SecondaryButton } from '../../common/Button';
+import Icon from '../../common/Icon';
+import { AUDIO_EFFECTS } from '../../../services/audio/constants/AudioParams';
+
+// Engine effect types offered in the add menu, mapped to their definitions
+const EFFECT_DEFINITIONS = {
+  filter: AUDIO_EFFECTS.FILTER,
+  compressor: AUDIO_EFFECTS.COMPRESSOR,
+  delay: AUDIO_EFFECTS.DELAY,
+  distortion: AUDIO_EFFECTS.DISTORTION,
+  reverb: AUDIO_EFFECTS.REVERB
+};
+
+// Chain container
+const ChainContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: ${({ theme }) => theme.spacing.xs};
+`;
+
+// Toolbar with add and undo/redo
+const ChainToolbar = styled.div`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.xs};
+`;
+
+const AddSelect = styled.select`
+  flex: 1;
+  background-color: ${({ theme }) => theme.colors.surface.primary};
+  border: 1px solid ${({ theme }) => theme.colors.border.secondary};
+  border-radius: 4px;
+  color: ${({ theme }) => theme.colors.text.primary};
+  font-size: ${({ theme }) => theme.typography.sizes.sm};
+  padding: 4px 8px;
+  outline: none;
+  cursor: pointer;
+
+  &:focus {
+    border-color: ${({ theme }) => theme.colors.brand.primary};
+  }
+`;
+
+// A single unit in the chain
+const ChainItem = styled.div`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.sm};
+  padding: 4px 8px;
+  border: 1px solid ${({ theme, isDropTarget }) =>
+    isDropTarget ? theme.colors.brand.primary : theme.colors.border.tertiary};
+  border-radius: 4px;
+  background-color: ${({ theme }) => theme.colors.surface.primary};
+  opacity: ${({ isDragging, bypass }) => (isDragging ? 0.4 : bypass ? 0.6 : 1)};
+  cursor: grab;
+  font-size: ${({ theme }) => theme.typography.sizes.sm};
+`;
+
+const DragHandle = styled.span`
+  color: ${({ theme }) => theme.colors.text.secondary};
+  letter-spacing: -2px;
+  user-select: none;
+`;
+
+const ItemName = styled.span`
+  flex: 1;
+  color: ${({ theme }) => theme.colors.text.primary};
+`;
+
+const BypassButton = styled.button`
+  background-color: transparent;
+  border: 1px solid ${({ theme, active }) =>
+    active ? theme.colors.brand.primary : theme.colors.border.secondary};
+  border-radius: 4px;
+  color: ${({ theme, active }) =>
+    active ? theme.colors.brand.primary : theme.colors.text.secondary};
+  font-size: ${({ theme }) => theme.typography.sizes.xs};
+  padding: 2px 6px;
+  cursor: pointer;
+`;
+
+const EmptyChain = styled.div`
+  font-size: ${({ theme }) => theme.typography.sizes.xs};
+  color: ${({ theme }) => theme.colors.text.secondary};
+  padding: 4px 0;
+`;
+
+/**
+ * Default parameters for an effect type
+ * @param {string} type - Engine effect type
+ * @returns {Object} - Parameter defaults
+ */
+export const getDefaultParams = (type) => {
+  const definition = EFFECT_DEFINITIONS[type];
+  if (!definition) return {};
+
+  return Object.fromEntries(
+    Object.entries(definition.params).map(([name, param]) => [name, param.default])
+  );
+};
+
+/**
+ * EffectChain component - Ordered effect units with drag-and-drop reordering
+ */
+const EffectChain = ({
+  effects,
+  onAdd,
+  onMove,
+  onBypass,
+  onRemove,
+  onUndo,
+  onRedo,
+  canUndo,
+  canRedo
+}) => {
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  // Add the chosen effect type and reset the menu
+  const handleAdd = (e) => {
+    if (e.target.value) {
+      onAdd(e.target.value, getDefaultParams(e.target.value));
+    }
+    e.target.value = '';
+  };
+
+  const handleDragStart = (e, id) => {
+    setDraggedId(id);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', id);
+  };
+
+  const handleDragOver = (e, index) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropIndex(index);
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+
+    if (draggedId) {
+      onMove(draggedId, index);
+    }
+
+    setDraggedId(null);
+    setDropIndex(null);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropIndex(null);
+  };
+
+  return (
+    <ChainContainer>
+      <ChainToolbar>
+        <AddSelect defaultValue="" onChange={handleAdd}>
+          <option value="" disabled>Add effect…</option>
+          {Object.entries(EFFECT_DEFINITIONS).map(([type, definition]) => (
+            <option key={type} value={type}>{definition.name}</option>
+          ))}
+        </AddSelect>
+
+        <SecondaryButton onClick={onUndo} disabled={!canUndo} size="sm" title="Undo">
+          Undo
+        </SecondaryButton>
+        <SecondaryButton onClick={onRedo} disabled={!canRedo} size="sm" title="Redo">
+          Redo
+        </SecondaryButton>
+      </ChainToolbar>
+
+      {effects.length === 0 && (
+        <EmptyChain>No effects in the chain</EmptyChain>
+      )}
+
+      {effects.map((effect, index) => (
+        <ChainItem
+          key={effect.id}
+          draggable
+          onDragStart={(e) => handleDragStart(e, effect.id)}
+          onDragOver={(e) => handleDragOver(e, index)}
+          onDrop={(e) => handleDrop(e, index)}
+          onDragEnd={handleDragEnd}
+          isDragging={draggedId === effect.id}
+          isDropTarget={dropIndex === index && draggedId !== effect.id}
+          bypass={effect.bypass}
+        >
+          <DragHandle>⋮⋮</DragHandle>
+          <ItemName>{EFFECT_DEFINITIONS[effect.type]?.name || effect.type}</ItemName>
+          <BypassButton
+            active={!effect.bypass}
+            onClick={() => onBypass(effect.id, !effect.bypass)}
+            title={effect.bypass ? 'Enable' : 'Bypass'}
+          >
+            {effect.bypass ? 'OFF' : 'ON'}
+          </BypassButton>
+          <SecondaryButton onClick={() => onRemove(effect.id)} size="sm" title="Remove">
+            <Icon name="Close" size="12px" />
+          </SecondaryButton>
+        </ChainItem>
+      ))}
+    </ChainContainer>
+  );
+};
+
+EffectChain.propTypes = {
+  effects: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    type: PropTypes.string.isRequired,
+    params: PropTypes.object,
+    bypass: PropTypes.bool
+  })).isRequired,
+  onAdd: PropTypes.func.isRequired,
+  onMove: PropTypes.func.isRequired,
+  onBypass: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  onUndo: PropTypes.func.isRequired,
+  onRedo: PropTypes.func.isRequired,
+  canUndo: PropTypes.bool,
+  canRedo: PropTypes.bool
+};
+
+EffectChain.defaultProps = {
+  canUndo: false,
+  canRedo: false
+};
+
+export default EffectChain;
@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import PropTypes from 'prop-types';
+import { SecondaryButton } from '../../common/Button';
+import Icon from '../../common/Icon';
+
+// Container for saved chain controls
+const PresetContainer = styled.div`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.sm};
+`;
+
+// Saved chain selection dropdown
+const PresetSelect = styled.select`
+  background-color: ${({ theme }) => theme.colors.surface.primary};
+  border: 1px solid ${({ theme }) => theme.colors.border.secondary};
+  border-radius: 4px;
+  color: ${({ theme }) => theme.colors.text.primary};
+  font-size: ${({ theme }) => theme.typography.sizes.sm};
+  padding: 4px 8px;
+  outline: none;
+  cursor: pointer;
+
+  &:focus {
+    border-color: ${({ theme }) => theme.colors.brand.primary};
+  }
+`;
+
+// Inline name field for saving
+const NameInput = styled.input`
+  width: 120px;
+  padding: 4px 8px;
+  border: 1px solid ${({ theme }) => theme.colors.border.secondary};
+  border-radius: 4px;
+  background-color: ${({ theme }) => theme.colors.surface.darker};
+  color: ${({ theme }) => theme.colors.text.primary};
+  font-size: ${({ theme }) => theme.typography.sizes.sm};
+
+  &:focus {
+    outline: none;
+    border-color: ${({ theme }) => theme.colors.brand.primary};
+  }
+`;
+
+/**
+ * EffectPresets component - Save, load and delete named effect chains
+ */
+const EffectPresets = ({ chains, currentName, onLoad, onSave, onDelete }) => {
+  const [saving, setSaving] = useState(false);
+  const [chainName, setChainName] = useState('');
+
+  // Load the selected chain
+  const handleSelect = (e) => {
+    if (e.target.value) {
+      onLoad(e.target.value);
+    }
+  };
+
+  // Show the name field, prefilled with the current chain name
+  const startSaving = () => {
+    setChainName(currentName || 'My Chain');
+    setSaving(true);
+  };
+
+  // Save under the entered name
+  const saveChain = () => {
+    if (chainName.trim() === '') return;
+
+    onSave(chainName.trim());
+    setSaving(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') saveChain();
+    if (e.key === 'Escape') setSaving(false);
+  };
+
+  if (saving) {
+    return (
+      <PresetContainer>
+        <NameInput
+          value={chainName}
+          onChange={(e) => setChainName(e.target.value)}
+          onKeyDown={handleKeyDown}
+          autoFocus
+        />
+        <SecondaryButton onClick={() => setSaving(false)} size="sm">
+          Cancel
+        </SecondaryButton>
+        <SecondaryButton onClick={saveChain} disabled={chainName.trim() === ''} size="sm">
+          Save
+        </SecondaryButton>
+      </PresetContainer>
+    );
+  }
+
+  const isSaved = chains.some(chain => chain.name === currentName);
+
+  return (
+    <PresetContainer>
+      <PresetSelect value={isSaved ? currentName : ''} onChange={handleSelect}>
+        <option value="" disabled>Saved chains…</option>
+        {chains.map(chain => (
+          <option key={chain.name} value={chain.name}>
+            {chain.name} ({chain.effects})
+          </option>
+        ))}
+      </PresetSelect>
+
+      <SecondaryButton
+        onClick={startSaving}
+        size="sm"
+        title="Save Current Chain"
+      >
+        <Icon name="Save" size="14px" />
+      </SecondaryButton>
+
+      {isSaved && (
+        <SecondaryButton
+          onClick={() => onDelete(currentName)}
+          size="sm"
+          title="Delete Saved Chain"
+        >
+          <Icon name="Close" size="14px" />
+        </SecondaryButton>
+      )}
+    </PresetContainer>
+  );
+};
+
+EffectPresets.propTypes = {
+  chains: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    effects: PropTypes.number,
+    savedAt: PropTypes.number
+  })).isRequired,
+  currentName: PropTypes.string,
+  onLoad: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired
+};
+
+EffectPresets.defaultProps = {
+  currentName: null
+};
+
+export default EffectPresets;
@@ -0,0 +1,113 @@
+import React from 'react';
+import styled from 'styled-components';
+import PropTypes from 'prop-types';
+import Slider from '../../common/Slider';
+
+// Container for a single effect
+const UnitContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  border: 1px solid ${({ theme }) => theme.colors.border.tertiary};
+  border-radius: 4px;
+  opacity: ${({ enabled }) => enabled ? 1 : 0.7};
+`;
+
+// Unit title and on/off toggle
+const UnitHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: ${({ theme }) => theme.spacing.sm} ${({ theme }) => theme.spacing.md};
+  border-bottom: 1px solid ${({ theme }) => theme.colors.border.tertiary};
+`;
+
+const UnitTitle = styled.h3`
+  font-size: ${({ theme }) => theme.typography.sizes.sm};
+  font-weight: ${({ theme }) => theme.typography.weights.medium};
+  letter-spacing: 1px;
+  margin: 0;
+`;
+
+const ToggleButton = styled.button`
+  background-color: transparent;
+  border: 1px solid ${({ theme, active }) =>
+    active ? theme.colors.brand.primary : theme.colors.border.secondary};
+  border-radius: 4px;
+  color: ${({ theme, active }) =>
+    active ? theme.colors.brand.primary : theme.colors.text.secondary};
+  font-size: ${({ theme }) => theme.typography.sizes.xs};
+  padding: 2px 8px;
+  cursor: pointer;
+  transition: all ${({ theme }) => theme.transitions.fast};
+
+  &:hover {
+    border-color: ${({ theme, active }) =>
+      active ? theme.colors.brand.primary : theme.colors.text.primary};
+  }
+`;
+
+// Unit controls
+const UnitBody = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: ${({ theme }) => theme.spacing.sm};
+  padding: ${({ theme }) => theme.spacing.md};
+`;
+
+/**
+ * EffectUnit component - Frame for one effect with an on/off toggle
+ */
+const EffectUnit = ({ title, enabled, onToggle, children }) => (
+  <UnitContainer enabled={enabled}>
+    <UnitHeader>
+      <UnitTitle>{title}</UnitTitle>
+      <ToggleButton active={enabled} onClick={onToggle}>
+        {enabled ? 'ON' : 'OFF'}
+      </ToggleButton>
+    </UnitHeader>
+    <UnitBody>{children}</UnitBody>
+  </UnitContainer>
+);
+
+EffectUnit.propTypes = {
+  title: PropTypes.string.isRequired,
+  enabled: PropTypes.bool,
+  onToggle: PropTypes.func.isRequired,
+  children: PropTypes.node
+};
+
+EffectUnit.defaultProps = {
+  enabled: false
+};
+
+/**
+ * EffectParam component - Labelled slider for one effect parameter
+ */
+export const EffectParam = ({ label, value, min, max, step, onChange, format }) => (
+  <Slider
+    label={label}
+    value={value}
+    min={min}
+    max={max}
+    step={step}
+    onChange={onChange}
+    valueFormatter={format}
+  />
+);
+
+EffectParam.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.number.isRequired,
+  min: PropTypes.number.isRequired,
+  max: PropTypes.number.isRequired,
+  step: PropTypes.number,
+  onChange: PropTypes.func.isRequired,
+  format: PropTypes.func
+};
+
+EffectParam.defaultProps = {
+  step: 0.01,
+  format: (value) => value
+};
+
+export default EffectUnit;
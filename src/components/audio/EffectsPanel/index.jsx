@@ -0,0 +1,365 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import styled from 'styled-components';
+import { usePlayer } from '../../../features/player/providers/PlayerProvider';
+import { useNotification } from '../../common/Notification';
+import Icon from '../../common/Icon';
+import { SecondaryButton } from '../../common/Button';
+import { AUDIO_EFFECTS } from '../../../services/audio/constants/AudioParams';
+import EffectUnit, { EffectParam } from './EffectUnit';
+import EffectChain from './EffectChain';
+import EffectPresets from './EffectPresets';
+
+// Main container
+const EffectsContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  width: 100%;
+  background-color: ${({ theme }) => theme.colors.surface.darker};
+  border-radius: 6px;
+  overflow: hidden;
+`;
+
+// Header
+const EffectsHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: ${({ theme }) => theme.spacing.md};
+  border-bottom: 1px solid ${({ theme }) => theme.colors.border.tertiary};
+`;
+
+const HeaderTitle = styled.h2`
+  font-size: ${({ theme }) => theme.typography.sizes.md};
+  font-weight: ${({ theme }) => theme.typography.weights.medium};
+  letter-spacing: 1px;
+  margin: 0;
+`;
+
+// Effect units area
+const EffectsContent = styled.div`
+  display: flex;
+  flex-direction: column;
+  padding: ${({ theme }) => theme.spacing.md};
+  gap: ${({ theme }) => theme.spacing.md};
+`;
+
+// Impulse response picker row
+const ImpulseRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.sm};
+`;
+
+const ImpulseSelect = styled.select`
+  flex: 1;
+  background-color: ${({ theme }) => theme.colors.surface.primary};
+  border: 1px solid ${({ theme }) => theme.colors.border.secondary};
+  border-radius: 4px;
+  color: ${({ theme }) => theme.colors.text.primary};
+  font-size: ${({ theme }) => theme.typography.sizes.sm};
+  padding: 4px 8px;
+  outline: none;
+  cursor: pointer;
+
+  &:focus {
+    border-color: ${({ theme }) => theme.colors.brand.primary};
+  }
+`;
+
+const HiddenFileInput = styled.input`
+  display: none;
+`;
+
+const REVERB_PARAMS = AUDIO_EFFECTS.REVERB.params;
+
+// Reverb settings when the panel first opens
+const DEFAULT_REVERB = {
+  impulseResponse: 'preset:SMALL_ROOM',
+  wet: REVERB_PARAMS.wet.default,
+  dry: REVERB_PARAMS.dry.default,
+  preDelay: REVERB_PARAMS.preDelay.default,
+  length: REVERB_PARAMS.length.default
+};
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+const formatMs = (value) => `${Math.round(value * 1000)}ms`;
+
+/**
+ * EffectsPanel component - Effect chain editor with the reverb unit
+ */
+const EffectsPanel = () => {
+  // Chain state mirrored from the engine
+  const [chainDocument, setChainDocument] = useState({ name: null, effects: [] });
+  const [history, setHistory] = useState({ canUndo: false, canRedo: false });
+  const [savedChains, setSavedChains] = useState([]);
+
+  // Reverb settings used until a reverb is added to the chain
+  const [reverbDraft, setReverbDraft] = useState(DEFAULT_REVERB);
+  const [impulseResponses, setImpulseResponses] = useState([]);
+
+  // Refs
+  const chainRef = useRef(null);
+  const irManagerRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  // Get player context and notification system
+  const { getAudioEffects, audioEngine } = usePlayer();
+  const { showNotification } = useNotification();
+
+  // Refresh the impulse response list from the engine
+  const refreshImpulseResponses = useCallback(async () => {
+    if (!irManagerRef.current) return;
+
+    const list = await irManagerRef.current.listImpulseResponses();
+    setImpulseResponses(list);
+  }, []);
+
+  // Refresh the saved chain list from storage
+  const refreshSavedChains = useCallback(async () => {
+    if (!chainRef.current) return;
+
+    setSavedChains(await chainRef.current.listChains());
+  }, []);
+
+  // Connect to the engine's effect chain and impulse response manager
+  useEffect(() => {
+    if (!audioEngine || !getAudioEffects) return undefined;
+
+    const effects = getAudioEffects();
+    if (!effects || !effects.effectsChain) return undefined;
+
+    chainRef.current = effects.effectsChain;
+    irManagerRef.current = effects.impulseResponses || null;
+
+    setChainDocument(chainRef.current.getDocument());
+    setHistory({
+      canUndo: chainRef.current.canUndo(),
+      canRedo: chainRef.current.canRedo()
+    });
+
+    refreshImpulseResponses();
+    refreshSavedChains();
+
+    // Follow changes made anywhere, including undo/redo
+    return audioEngine.eventBus.on('effects:chain-changed', (event) => {
+      const { document, canUndo, canRedo } = event.data;
+      setChainDocument(document);
+      setHistory({ canUndo, canRedo });
+    });
+  }, [audioEngine, getAudioEffects, refreshImpulseResponses, refreshSavedChains]);
+
+  // The reverb unit edits the first reverb in the chain
+  const reverbEffect = chainDocument.effects.find(effect => effect.type === 'reverb');
+  const reverb = reverbEffect ? { ...DEFAULT_REVERB, ...reverbEffect.params } : reverbDraft;
+  const reverbEnabled = Boolean(reverbEffect && !reverbEffect.bypass);
+
+  // Update reverb settings on the engine, or the draft if there is no reverb yet
+  const updateReverb = (changes) => {
+    if (reverbEffect && audioEngine) {
+      audioEngine.updateEffect(reverbEffect.id, changes);
+    } else {
+      setReverbDraft(prev => ({ ...prev, ...changes }));
+    }
+  };
+
+  // Toggle reverb on/off; the first toggle adds it to the chain
+  const toggleReverb = () => {
+    if (!audioEngine || !chainRef.current) return;
+
+    if (reverbEffect) {
+      chainRef.current.setBypass(reverbEffect.id, !reverbEffect.bypass);
+      return;
+    }
+
+    if (!audioEngine.applyEffect('reverb', reverbDraft)) {
+      showNotification({ type: 'error', message: 'Reverb could not be enabled' });
+    }
+  };
+
+  // Chain editing
+  const handleAddEffect = (type, params) => {
+    if (audioEngine) {
+      audioEngine.applyEffect(type, type === 'reverb' ? { ...params, ...reverbDraft } : params);
+    }
+  };
+
+  const handleRemoveEffect = (effectId) => {
+    if (audioEngine) {
+      audioEngine.removeEffect(effectId);
+    }
+  };
+
+  // Saved chains
+  const handleSaveChain = async (name) => {
+    const saved = await chainRef.current.saveChain(name);
+    await refreshSavedChains();
+    setChainDocument(chainRef.current.getDocument());
+
+    showNotification(saved
+      ? { type: 'success', message: `Saved "${name}" effect chain`, duration: 1500 }
+      : { type: 'error', message: `Could not save "${name}"` });
+  };
+
+  const handleLoadChain = async (name) => {
+    if (!(await chainRef.current.loadChain(name))) {
+      showNotification({ type: 'error', message: `Could not load "${name}"` });
+    }
+  };
+
+  const handleDeleteChain = async (name) => {
+    await chainRef.current.deleteChain(name);
+    await refreshSavedChains();
+  };
+
+  // Select an impulse response; a shorter IR cannot keep a longer trim
+  const handleImpulseChange = (e) => {
+    const selected = impulseResponses.find(ir => ir.id === e.target.value);
+    const length = selected && reverb.length > selected.duration ? 0 : reverb.length;
+
+    updateReverb({ impulseResponse: e.target.value, length });
+  };
+
+  // Import a user impulse response file
+  const handleImport = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+
+    if (!file || !irManagerRef.current) return;
+
+    const entry = await irManagerRef.current.importImpulseResponse(file);
+
+    if (entry) {
+      await refreshImpulseResponses();
+      updateReverb({ impulseResponse: entry.id, length: 0 });
+      showNotification({ type: 'success', message: `Imported "${entry.name}"`, duration: 1500 });
+    } else {
+      showNotification({ type: 'error', message: `Could not import ${file.name}` });
+    }
+  };
+
+  // Delete the selected user impulse response
+  const handleRemove = async () => {
+    if (!irManagerRef.current) return;
+
+    const removed = await irManagerRef.current.removeImpulseResponse(reverb.impulseResponse);
+    if (removed) {
+      await refreshImpulseResponses();
+      updateReverb({ impulseResponse: DEFAULT_REVERB.impulseResponse, length: 0 });
+    }
+  };
+
+  const selectedIR = impulseResponses.find(ir => ir.id === reverb.impulseResponse);
+  const maxLength = selectedIR ? selectedIR.duration : REVERB_PARAMS.length.max;
+
+  return (
+    <EffectsContainer>
+      <EffectsHeader>
+        <HeaderTitle>EFFECTS</HeaderTitle>
+        <EffectPresets
+          chains={savedChains}
+          currentName={chainDocument.name}
+          onLoad={handleLoadChain}
+          onSave={handleSaveChain}
+          onDelete={handleDeleteChain}
+        />
+      </EffectsHeader>
+
+      <EffectsContent>
+        <EffectChain
+          effects={chainDocument.effects}
+          onAdd={handleAddEffect}
+          onMove={(effectId, index) => chainRef.current && chainRef.current.moveEffect(effectId, index)}
+          onBypass={(effectId, bypass) => chainRef.current && chainRef.current.setBypass(effectId, bypass)}
+          onRemove={handleRemoveEffect}
+          onUndo={() => chainRef.current && chainRef.current.undo()}
+          onRedo={() => chainRef.current && chainRef.current.redo()}
+          canUndo={history.canUndo}
+          canRedo={history.canRedo}
+        />
+
+        <EffectUnit
+          title="CONVOLUTION REVERB"
+          enabled={reverbEnabled}
+          onToggle={toggleReverb}
+        >
+          <ImpulseRow>
+            <ImpulseSelect
+              value={reverb.impulseResponse}
+              onChange={handleImpulseChange}
+            >
+              {impulseResponses.map(ir => (
+                <option key={ir.id} value={ir.id}>
+                  {ir.source === 'user' ? `${ir.name} (imported)` : ir.name}
+                </option>
+              ))}
+            </ImpulseSelect>
+
+            <SecondaryButton
+              onClick={() => fileInputRef.current && fileInputRef.current.click()}
+              size="sm"
+              title="Import Impulse Response"
+            >
+              <Icon name="Add" size="14px" />
+            </SecondaryButton>
+
+            {selectedIR && selectedIR.source === 'user' && (
+              <SecondaryButton
+                onClick={handleRemove}
+                size="sm"
+                title="Delete Impulse Response"
+              >
+                <Icon name="Close" size="14px" />
+              </SecondaryButton>
+            )}
+
+            <HiddenFileInput
+              ref={fileInputRef}
+              type="file"
+              accept=".wav,.aif,.aiff,.flac,audio/*"
+              onChange={handleImport}
+            />
+          </ImpulseRow>
+
+          <EffectParam
+            label="WET"
+            value={reverb.wet}
+            min={REVERB_PARAMS.wet.min}
+            max={REVERB_PARAMS.wet.max}
+            onChange={(wet) => updateReverb({ wet })}
+            format={formatPercent}
+          />
+
+          <EffectParam
+            label="DRY"
+            value={reverb.dry}
+            min={REVERB_PARAMS.dry.min}
+            max={REVERB_PARAMS.dry.max}
+            onChange={(dry) => updateReverb({ dry })}
+            format={formatPercent}
+          />
+
+          <EffectParam
+            label="PRE-DELAY"
+            value={reverb.preDelay}
+            min={REVERB_PARAMS.preDelay.min}
+            max={REVERB_PARAMS.preDelay.max}
+            step={0.001}
+            onChange={(preDelay) => updateReverb({ preDelay })}
+            format={formatMs}
+          />
+
+          <EffectParam
+            label="LENGTH"
+            value={reverb.length || maxLength}
+            min={0.1}
+            max={maxLength}
+            onChange={(length) => updateReverb({ length: length >= maxLength ? 0 : length })}
+            format={(value) => `${value.toFixed(2)}s`}
+          />
+        </EffectUnit>
+      </EffectsContent>
+    </EffectsContainer>
+  );
+};
+
+export default EffectsPanel;
@@ -98,21 +98,36 @@ const VerticalGrid = styled.div`
   opacity: 0.5;
 `;
 
+// Displayed frequency range (Hz), on a logarithmic axis
+const MIN_FREQUENCY = 20;
+const MAX_FREQUENCY = 20000;
+
+// Position of a frequency on the x-axis (0-100%)
+const frequencyToPosition = (freq) =>
+  (Math.log(freq / MIN_FREQUENCY) / Math.log(MAX_FREQUENCY / MIN_FREQUENCY)) * 100;
+
 // Frequency labels at standard points
 const FREQUENCY_LABELS = [
-  { freq: 20, label: '20Hz', position: 0 },
-  { freq: 100, label: '100', position: 12.5 },
-  { freq: 1000, label: '1k', position: 37.5 },
-  { freq: 10000, label: '10k', position: 75 },
-  { freq: 20000, label: '20k', position: 100 }
-];
+  { freq: 20, label: '20Hz' },
+  { freq: 100, label: '100' },
+  { freq: 1000, label: '1k' },
+  { freq: 10000, label: '10k' },
+  { freq: 20000, label: '20k' }
+].map(item => ({ ...item, position: frequencyToPosition(item.freq) }));
+
+// Scale a gain in dB (-10 to 10 range fills half the height) to a y coordinate
+const gainToY = (gain, height) =>
+  Math.max(0, Math.min(height, height / 2 - (gain / 10) * (height / 4)));
 
 /**
- * FrequencyResponse component - Visualizes equalizer frequency response curve
+ * FrequencyResponse component - Visualizes equalizer frequency response curve.
+ * When `response` is given (from ParametricEQ.getFrequencyResponse) the real
+ * filter curve is drawn; otherwise the band gains are interpolated.
  */
 const FrequencyResponse = ({ 
   bands, 
   frequencies, 
+  response,
   width = 100, 
   height = 80,
   showGrid = true
@@ -123,6 +138,25 @@ const FrequencyResponse = ({
     let curvePathData = '';
     let areaPathData = '';
     
+    // Draw the computed response as a polyline on the logarithmic axis
+    if (response && response.frequencies && response.frequencies.length > 0) {
+      const points = [];
+      for (let i = 0; i < response.frequencies.length; i++) {
+        const freq = response.frequencies[i];
+        if (freq < MIN_FREQUENCY || freq > MAX_FREQUENCY) continue;
+
+        const x = (frequencyToPosition(freq) / 100) * width;
+        const y = gainToY(response.magnitude[i], height);
+        points.push(`${x},${y}`);
+      }
+
+      if (points.length > 0) {
+        curvePathData = `M${points.join(' L')}`;
+        areaPathData = `${curvePathData} L${width},${height} L0,${height} Z`;
+        return { curvePath: curvePathData, areaPath: areaPathData };
+      }
+    }
+    
     // Handle case when we have no bands data
     if (!bands || bands.length === 0) {
       return { curvePath: '', areaPath: '' };
@@ -131,7 +165,7 @@ const FrequencyResponse = ({
     // Calculate points for the curve
     const points = bands.map((band, i) => {
       const x = (i / (bands.length - 1)) * width;
-      const y = height / 2 - (band / 10) * (height / 4); // Scale -10 to 10 range to fit height
+      const y = gainToY(band, height);
       return { x, y };
     });
     
@@ -156,7 +190,7 @@ const FrequencyResponse = ({
     areaPathData = `${curvePathData} L${width},${height} L0,${height} Z`;
     
     return { curvePath: curvePathData, areaPath: areaPathData };
-  }, [bands, width, height]);
+  }, [bands, response, width, height]);
   
   // Generate grid lines for visual reference
   const renderGrid = () => {
@@ -210,6 +244,10 @@ const FrequencyResponse = ({
 FrequencyResponse.propTypes = {
   bands: PropTypes.array.isRequired,
   frequencies: PropTypes.array,
+  response: PropTypes.shape({
+    frequencies: PropTypes.oneOfType([PropTypes.array, PropTypes.instanceOf(Float32Array)]),
+    magnitude: PropTypes.oneOfType([PropTypes.array, PropTypes.instanceOf(Float32Array)])
+  }),
   width: PropTypes.number,
   height: PropTypes.number,
   showGrid: PropTypes.bool
@@ -217,6 +255,7 @@ FrequencyResponse.propTypes = {
 
 FrequencyResponse.defaultProps = {
   frequencies: [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000],
+  response: null,
   width: 100,
   height: 80,
   showGrid: true
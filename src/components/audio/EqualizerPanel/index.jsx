@@ -127,6 +127,9 @@ const DEFAULT_PRESETS = {
 // The frequency bands in Hz
 const FREQUENCY_BANDS = [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
 
+// Q of the peaking filters in the default graphic layout (one-octave bandwidth)
+const GRAPHIC_EQ_Q = 1.41;
+
 /**
  * EqualizerPanel component - Audio equalizer with frequency bands and presets
  */
@@ -138,6 +141,7 @@ const EqualizerPanel = () => {
   const [masterGain, setMasterGain] = useState(0);
   const [draggingBand, setDraggingBand] = useState(null);
   const [presets, setPresets] = useState(DEFAULT_PRESETS);
+  const [response, setResponse] = useState(null);
 
   // Refs
   const equalizerRef = useRef(null);
@@ -154,6 +158,16 @@ const EqualizerPanel = () => {
       if (effects && effects.equalizer) {
         equalizerRef.current = effects.equalizer;
         
+        // Seed the engine EQ with the graphic band layout if it has no bands yet
+        if (equalizerRef.current.getBands && equalizerRef.current.getBands().length === 0) {
+          equalizerRef.current.setBands(FREQUENCY_BANDS.map(frequency => ({
+            type: 'peaking',
+            frequency,
+            Q: GRAPHIC_EQ_Q,
+            gain: 0
+          })));
+        }
+        
         // Initialize equalizer state from the engine if available
         if (equalizerRef.current.getBandValues) {
           const engineBands = equalizerRef.current.getBandValues();
@@ -170,12 +184,14 @@ const EqualizerPanel = () => {
           setEnabled(equalizerRef.current.isEnabled());
         }
         
-        // Get master gain from engine
+        // Get master gain (dB) from engine
         if (equalizerRef.current.getMasterGain) {
           const gain = equalizerRef.current.getMasterGain();
-          setMasterGain(Math.round(gain * 10)); // Convert from -1/+1 to -10/+10 range
+          setMasterGain(Math.max(-10, Math.min(10, Math.round(gain))));
         }
         
+        refreshResponse();
+        
         // Load saved custom presets if available
         if (window.localStorage) {
           const savedPresets = window.localStorage.getItem('eqCustomPresets');
@@ -235,12 +251,20 @@ const EqualizerPanel = () => {
   useEffect(() => {
     if (!enabled || !equalizerRef.current) return;
 
-    // Apply master gain to the audio engine
+    // Apply master gain (dB) to the audio engine
     if (equalizerRef.current.setMasterGain) {
-      equalizerRef.current.setMasterGain(masterGain / 10); // Convert from -10/+10 to -1/+1 range
+      equalizerRef.current.setMasterGain(masterGain);
+      refreshResponse();
     }
   }, [masterGain, enabled]);
 
+  // Read the combined filter curve from the engine for the response display
+  const refreshResponse = () => {
+    if (equalizerRef.current && equalizerRef.current.getFrequencyResponse) {
+      setResponse(equalizerRef.current.getFrequencyResponse());
+    }
+  };
+
   // Function to update the equalizer bands in the audio engine
   const updateEqualizerBands = (bandValues) => {
     if (!equalizerRef.current) return;
@@ -262,6 +286,8 @@ const EqualizerPanel = () => {
         }
       });
     }
+    
+    refreshResponse();
   };
   
   // Detect current preset based on band values
@@ -419,6 +445,7 @@ const EqualizerPanel = () => {
         <FrequencyResponse
           bands={bands}
           frequencies={FREQUENCY_BANDS}
+          response={response}
         />
 
         <EqualizerBands>
@@ -0,0 +1,27 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import useArtworkUrl from '../../../hooks/useArtworkUrl';
+
+/**
+ * Artwork component - an image from a stored artwork thumbnail, or a
+ * placeholder when there is none
+ * @param {Object} props Component props
+ * @param {string} [props.artworkId] Thumbnail ID (see ArtworkService)
+ * @param {string} [props.src] URL used when there is no thumbnail
+ * @param {string} props.alt Image description
+ * @param {React.ReactNode} [props.placeholder] Shown when there is no artwork
+ */
+const Artwork = ({ artworkId = null, src = null, alt, placeholder = null, ...imageProps }) => {
+  const url = useArtworkUrl(artworkId, src);
+
+  return url ? <img src={url} alt={alt} {...imageProps} /> : placeholder;
+};
+
+Artwork.propTypes = {
+  artworkId: PropTypes.string,
+  src: PropTypes.string,
+  alt: PropTypes.string.isRequired,
+  placeholder: PropTypes.node
+};
+
+export default Artwork;
@@ -10,9 +10,14 @@ export const useNotification = () => {
   if (!context) {
     console.warn('useNotification was called outside a NotificationProvider');
     // Return a dummy implementation to prevent errors
+    const unavailable = () => console.warn('Notification system not available');
     return {
-      showNotification: () => console.warn('Notification system not available'),
-      removeNotification: () => {}
+      showNotification: unavailable,
+      removeNotification: () => {},
+      success: unavailable,
+      error: unavailable,
+      warning: unavailable,
+      info: unavailable
     };
   }
   return context;
@@ -33,8 +38,16 @@ const NotificationProvider = ({ children }) => {
     setNotifications(prev => prev.filter(notification => notification.id !== id));
   };
 
+  // Shorthands for each notification type
+  const success = (message, duration) => showNotification({ type: 'success', message, duration });
+  const error = (message, duration) => showNotification({ type: 'error', message, duration });
+  const warning = (message, duration) => showNotification({ type: 'warning', message, duration });
+  const info = (message, duration) => showNotification({ type: 'info', message, duration });
+
   return (
-    <NotificationContext.Provider value={{ showNotification, removeNotification }}>
+    <NotificationContext.Provider
+      value={{ showNotification, removeNotification, success, error, warning, info }}
+    >
       {children}
       <NotificationContainer>
         {notifications.map(notification => (
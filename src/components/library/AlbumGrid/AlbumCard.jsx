@@ -0,0 +1,157 @@
+import React from 'react';
+import styled from 'styled-components';
+import PropTypes from 'prop-types';
+import { Disc, Play } from 'lucide-react';
+import useArtworkUrl from '../../../hooks/useArtworkUrl';
+
+const Card = styled.div`
+  display: flex;
+  flex-direction: column;
+  border-radius: var(--spacing-sm);
+  overflow: hidden;
+  background-color: var(--bgSecondary);
+  border: 1px solid var(--borderSubtle);
+  cursor: pointer;
+  transition: all 0.2s ease;
+
+  &:hover {
+    transform: translateY(-4px);
+    box-shadow: 0 4px 12px var(--shadowColor);
+  }
+`;
+
+const Cover = styled.div`
+  aspect-ratio: 1;
+  background-color: var(--bgPrimary);
+  position: relative;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+
+  img {
+    width: 100%;
+    height: 100%;
+    object-fit: cover;
+  }
+
+  &:hover .overlay {
+    opacity: 1;
+  }
+`;
+
+const CoverOverlay = styled.div`
+  position: absolute;
+  inset: 0;
+  background-color: rgba(0, 0, 0, 0.5);
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  opacity: 0;
+  transition: opacity 0.2s ease;
+
+  button {
+    width: 50px;
+    height: 50px;
+    border-radius: 50%;
+    background-color: var(--accentPrimary);
+    color: black;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    border: none;
+    cursor: pointer;
+  }
+`;
+
+const Info = styled.div`
+  padding: var(--spacing-md);
+  display: flex;
+  flex-direction: column;
+  gap: 2px;
+`;
+
+const Title = styled.div`
+  font-size: 16px;
+  color: var(--textPrimary);
+  font-weight: 500;
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+`;
+
+const Artist = styled.div`
+  font-size: 14px;
+  color: var(--textSecondary);
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+`;
+
+const Details = styled.div`
+  font-size: 12px;
+  color: var(--textDimmed);
+  margin-top: 4px;
+`;
+
+/**
+ * AlbumCard component - an album's cover, title and artist
+ * The cover is the album's stored thumbnail, else the data URL of tracks
+ * imported before thumbnails were stored, else a placeholder.
+ * @param {Object} props Component props
+ * @param {Object} props.album Album ({ title, artist, year, tracks, artwork, artworkId })
+ * @param {Function} [props.onClick] Called with the album when the card is clicked
+ * @param {Function} [props.onPlay] Called with the album when play is pressed
+ */
+const AlbumCard = ({ album, onClick, onPlay }) => {
+  const coverUrl = useArtworkUrl(album.artworkId, album.artwork);
+  const trackCount = album.tracks ? album.tracks.length : 0;
+
+  return (
+    <Card onClick={() => onClick && onClick(album)}>
+      <Cover>
+        {coverUrl ? (
+          <img src={coverUrl} alt={`${album.title} cover`} loading="lazy" />
+        ) : (
+          <Disc size={50} color="var(--textDimmed)" />
+        )}
+
+        {onPlay && (
+          <CoverOverlay className="overlay">
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onPlay(album);
+              }}
+              aria-label={`Play ${album.title}`}
+            >
+              <Play size={24} />
+            </button>
+          </CoverOverlay>
+        )}
+      </Cover>
+
+      <Info>
+        <Title title={album.title}>{album.title}</Title>
+        <Artist>{album.artist || 'Unknown Artist'}</Artist>
+        <Details>
+          {[album.year, `${trackCount} ${trackCount === 1 ? 'track' : 'tracks'}`].filter(Boolean).join(' • ')}
+        </Details>
+      </Info>
+    </Card>
+  );
+};
+
+AlbumCard.propTypes = {
+  album: PropTypes.shape({
+    title: PropTypes.string,
+    artist: PropTypes.string,
+    year: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    tracks: PropTypes.array,
+    artwork: PropTypes.string,
+    artworkId: PropTypes.string
+  }).isRequired,
+  onClick: PropTypes.func,
+  onPlay: PropTypes.func
+};
+
+export default AlbumCard;
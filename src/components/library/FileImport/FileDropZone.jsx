@@ -1,13 +1,22 @@
 import React, { useState, useRef, useCallback, useEffect } from 'react';
 import styled from 'styled-components';
+import PropTypes from 'prop-types';
 import { UploadCloud, Music, AlertCircle, CheckCircle, Folder, File } from 'lucide-react';
 import { useLibrary } from '../../../hooks/useLibrary';
 import { usePlayer } from '../../../features/player/providers/PlayerProvider';
 import {
   filterAudioFilesFromFileList,
+  getFileHandleByPath,
   isFileSystemAccessSupported
 } from '../../../services/FileSystemService';
 import { extractMetadata } from '../../../services/MetadataService';
+import { loadTrackLyrics } from '../../../services/LyricsService';
+import {
+  isImageFile,
+  pickFolderImage,
+  getInheritedImages,
+  storeFolderThumbnail
+} from '../../../services/ArtworkService';
 import audioService from '../../../services/AudioService';
 
 // Styled Components
@@ -263,13 +272,16 @@ const FileDropZone = ({ onFilesImported }) => {
     e.dataTransfer.dropEffect = 'copy';
   }, []);
 
-  // Process directory using webkitGetAsEntry API
-  const processWebkitDirectory = async (entry) => {
+  // Process directory using webkitGetAsEntry API; parentImages are the
+  // images inherited from the folders above
+  const processWebkitDirectory = async (entry, parentImages = []) => {
     if (!entry || !entry.isDirectory) {
       return [];
     }
 
     const audioFiles = [];
+    const folderImages = [];
+    const subdirectories = [];
     const reader = entry.createReader();
 
     // Read all entries recursively
@@ -284,15 +296,14 @@ const FileDropZone = ({ onFilesImported }) => {
 
               for (const childEntry of entries) {
                 if (childEntry.isDirectory) {
-                  // Process subdirectories recursively
-                  const subdirFiles = await processWebkitDirectory(childEntry);
-                  results.push(...subdirFiles);
+                  // Read once this folder's images are all known
+                  subdirectories.push(childEntry);
                 } else if (childEntry.isFile) {
                   // Process file if it's an audio file
                   await new Promise(resolve => {
                     childEntry.file(file => {
                       // Check if it's an audio file based on extension
-                      const isAudioFile = ['.mp3', '.wav', '.flac', '.ogg', '.m4a', '.aac', '.opus', '.wma']
+                      const isAudioFile = ['.mp3', '.wav', '.aif', '.aiff', '.aifc', '.flac', '.ogg', '.m4a', '.aac', '.opus', '.wma']
                         .some(ext => file.name.toLowerCase().endsWith(ext));
 
                       if (isAudioFile) {
@@ -311,6 +322,14 @@ const FileDropZone = ({ onFilesImported }) => {
                         };
 
                         audioFiles.push(audioFile);
+                      } else if (isImageFile(file.name, file.type)) {
+                        folderImages.push({
+                          name: file.name,
+                          path: childEntry.fullPath.substring(1),
+                          size: file.size,
+                          lastModified: file.lastModified,
+                          file: file
+                        });
                       }
 
                       resolve();
@@ -338,6 +357,19 @@ const FileDropZone = ({ onFilesImported }) => {
     };
 
     await readEntries();
+
+    // Give each file the folder's cover image once all entries are read
+    audioFiles.forEach(audioFile => {
+      audioFile.folderImage = pickFolderImage(folderImages, audioFile.name, parentImages);
+    });
+
+    // Process subdirectories recursively
+    const inheritedImages = getInheritedImages(folderImages, parentImages);
+
+    for (const subdirectory of subdirectories) {
+      audioFiles.push(...await processWebkitDirectory(subdirectory, inheritedImages));
+    }
+
     return audioFiles;
   };
 
@@ -363,9 +395,19 @@ const FileDropZone = ({ onFilesImported }) => {
         return;
       }
 
+      // Take entries and file handles before the first await; the drop
+      // data is emptied once the event has been handled. Handles let tag
+      // edits be saved back to the files.
+      const entries = Array.from(items).map(item => item.webkitGetAsEntry?.());
+      const handles = Array.from(items).map(item => (
+        typeof item.getAsFileSystemHandle === 'function'
+          ? item.getAsFileSystemHandle().catch(() => null)
+          : Promise.resolve(null)
+      ));
+
       // Check for directory drops using webkitGetAsEntry API
       for (let i = 0; i < items.length; i++) {
-        const entry = items[i].webkitGetAsEntry?.();
+        const entry = entries[i];
 
         if (entry && entry.isDirectory) {
           setIsProcessingFolder(true);
@@ -374,6 +416,15 @@ const FileDropZone = ({ onFilesImported }) => {
           const folderName = entry.name;
           const audioFiles = await processWebkitDirectory(entry);
 
+          // Entry paths start with the dropped folder's name
+          const directoryHandle = await handles[i];
+          for (const audioFile of audioFiles) {
+            audioFile.handle = await getFileHandleByPath(
+              directoryHandle,
+              audioFile.path.split('/').slice(1).join('/')
+            );
+          }
+
           // Add folder to library
           if (audioFiles.length > 0) {
             // Show preview of files
@@ -405,7 +456,17 @@ const FileDropZone = ({ onFilesImported }) => {
                   track: metadata.track || null,
                   genre: metadata.genre || null,
                   duration: metadata.duration || null,
-                  artwork: metadata.artwork || null,
+                  replayGain: metadata.replayGain || null,
+                  key: metadata.key || null,
+                  camelot: metadata.camelot || null,
+                  sampleRate: metadata.sampleRate || null,
+                  bitDepth: metadata.bitDepth || null,
+                  channels: metadata.channels || null,
+                  broadcast: metadata.broadcast || null,
+                  cueMarkers: metadata.cueMarkers || [],
+                  audioProperties: metadata.audioProperties || null,
+                  lyrics: await loadTrackLyrics(metadata.lyrics, audioFile.lyricsHandle),
+                  artworkId: await storeFolderThumbnail(audioFile.folderImage) || metadata.artworkId || null,
                   path: audioFile.path,
                   fileName: audioFile.name,
                   fileSize: audioFile.size,
@@ -413,6 +474,7 @@ const FileDropZone = ({ onFilesImported }) => {
                   dateAdded: new Date().toISOString(),
                   playCount: 0,
                   lastPlayed: null,
+                  handle: audioFile.handle,
                   file: audioFile.file // Keep reference to file for direct playback
                 };
 
@@ -466,7 +528,7 @@ const FileDropZone = ({ onFilesImported }) => {
       }
 
       // If we get here, it's a regular file drop (not a directory)
-      await processFiles(files);
+      await processFiles(files, await Promise.all(handles));
     } catch (error) {
       console.error('Error handling drop:', error);
       setHasError(true);
@@ -497,9 +559,14 @@ const FileDropZone = ({ onFilesImported }) => {
     }
   };
 
-  // Process files (filtering and importing)
-  const processFiles = async (fileList) => {
+  // Process files (filtering and importing); handles are the dropped
+  // files' FileSystemFileHandles, where the browser gives them
+  const processFiles = async (fileList, handles = []) => {
     try {
+      const handlesByName = new Map(
+        handles.filter(handle => handle && handle.kind === 'file').map(handle => [handle.name, handle])
+      );
+
       // Clear preview
       setPreviewFiles([]);
       setShowPreview(false);
@@ -541,7 +608,17 @@ const FileDropZone = ({ onFilesImported }) => {
             track: metadata.track || null,
             genre: metadata.genre || null,
             duration: metadata.duration || null,
-            artwork: metadata.artwork || null,
+            replayGain: metadata.replayGain || null,
+            key: metadata.key || null,
+            camelot: metadata.camelot || null,
+            sampleRate: metadata.sampleRate || null,
+            bitDepth: metadata.bitDepth || null,
+            channels: metadata.channels || null,
+            broadcast: metadata.broadcast || null,
+            cueMarkers: metadata.cueMarkers || [],
+            audioProperties: metadata.audioProperties || null,
+            lyrics: await loadTrackLyrics(metadata.lyrics, audioFile.lyricsHandle),
+            artworkId: await storeFolderThumbnail(audioFile.folderImage) || metadata.artworkId || null,
             path: blobUrl || null, // Use blob URL for playback
             fileName: audioFile.name,
             fileSize: audioFile.size,
@@ -549,6 +626,7 @@ const FileDropZone = ({ onFilesImported }) => {
             dateAdded: new Date().toISOString(),
             playCount: 0,
             lastPlayed: null,
+            handle: handlesByName.get(audioFile.name) || null,
             file: audioFile.file // Keep file reference for AudioService
           };
 
@@ -673,7 +751,7 @@ const FileDropZone = ({ onFilesImported }) => {
         ref={inputRef}
         type="file"
         multiple
-        accept=".mp3,.wav,.flac,.ogg,.m4a,.aac,.opus,.wma"
+        accept=".mp3,.wav,.aif,.aiff,.aifc,.flac,.ogg,.m4a,.aac,.opus,.wma"
         onChange={handleFileInputChange}
       />
 
@@ -688,4 +766,8 @@ const FileDropZone = ({ onFilesImported }) => {
   );
 };
 
+FileDropZone.propTypes = {
+  onFilesImported: PropTypes.func
+};
+
 export default FileDropZone;
\ No newline at end of file
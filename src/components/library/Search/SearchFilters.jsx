@@ -0,0 +1,139 @@
+import React from 'react';
+import styled from 'styled-components';
+import { useLibrary } from '../../../hooks/useLibrary';
+import { LIBRARY_ACTIONS } from '../../../features/library/providers/LibraryProvider';
+import { MUSICAL_KEYS } from '../../../services/audio/constants/AudioParams';
+import AudioUtils from '../../../services/audio/utils/AudioHelpers';
+
+const FiltersContainer = styled.div`
+  display: flex;
+  align-items: center;
+  gap: var(--spacing-md);
+  padding: var(--spacing-sm) var(--spacing-md);
+  font-size: 13px;
+  color: var(--textSecondary);
+`;
+
+const FilterLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: var(--spacing-xs);
+  cursor: pointer;
+  user-select: none;
+`;
+
+const FilterSelect = styled.select`
+  background-color: var(--bgSecondary);
+  border: 1px solid var(--borderSubtle);
+  border-radius: 4px;
+  padding: 4px var(--spacing-sm);
+  color: var(--textPrimary);
+  font-size: 13px;
+  cursor: pointer;
+
+  &:focus {
+    outline: none;
+    border-color: var(--accentPrimary);
+  }
+`;
+
+// Keys in Camelot wheel order, so neighbouring options mix well
+const KEY_OPTIONS = [...MUSICAL_KEYS].sort((a, b) =>
+  AudioUtils.compareCamelotCodes(a.camelot, b.camelot)
+);
+
+// Minimum sample rates to filter on, in Hz
+const SAMPLE_RATE_OPTIONS = [44100, 48000, 88200, 96000, 192000];
+
+// Minimum bit depths to filter on
+const BIT_DEPTH_OPTIONS = [16, 24, 32];
+
+/**
+ * SearchFilters component - Narrows the track list by musical key and
+ * audio quality
+ * Writes the filters to library state; with harmonic matching on, tracks
+ * in keys that mix with the chosen one are shown as well
+ */
+const SearchFilters = () => {
+  const { state, dispatch } = useLibrary();
+  const filters = state.filters || {};
+
+  const setFilters = (payload) => {
+    if (dispatch) {
+      dispatch({ type: LIBRARY_ACTIONS.SET_FILTERS, payload });
+    }
+  };
+
+  return (
+    <FiltersContainer>
+      <FilterLabel>
+        Key
+        <FilterSelect
+          value={filters.key || ''}
+          onChange={(e) => setFilters({ key: e.target.value || null })}
+          aria-label="Filter by key"
+        >
+          <option value="">Any key</option>
+          {KEY_OPTIONS.map(entry => (
+            <option key={entry.camelot} value={entry.camelot}>
+              {entry.camelot} · {entry.name}
+            </option>
+          ))}
+        </FilterSelect>
+      </FilterLabel>
+
+      <FilterLabel>
+        <input
+          type="checkbox"
+          checked={!!filters.harmonic}
+          disabled={!filters.key}
+          onChange={(e) => setFilters({ harmonic: e.target.checked })}
+        />
+        Harmonic matches
+      </FilterLabel>
+
+      <FilterLabel>
+        <input
+          type="checkbox"
+          checked={!!filters.lossless}
+          onChange={(e) => setFilters({ lossless: e.target.checked })}
+        />
+        Lossless only
+      </FilterLabel>
+
+      <FilterLabel>
+        Sample rate
+        <FilterSelect
+          value={filters.minSampleRate || ''}
+          onChange={(e) => setFilters({ minSampleRate: Number(e.target.value) || null })}
+          aria-label="Minimum sample rate"
+        >
+          <option value="">Any</option>
+          {SAMPLE_RATE_OPTIONS.map(rate => (
+            <option key={rate} value={rate}>
+              ≥ {+(rate / 1000).toFixed(1)}k
+            </option>
+          ))}
+        </FilterSelect>
+      </FilterLabel>
+
+      <FilterLabel>
+        Bit depth
+        <FilterSelect
+          value={filters.minBitDepth || ''}
+          onChange={(e) => setFilters({ minBitDepth: Number(e.target.value) || null })}
+          aria-label="Minimum bit depth"
+        >
+          <option value="">Any</option>
+          {BIT_DEPTH_OPTIONS.map(depth => (
+            <option key={depth} value={depth}>
+              ≥ {depth}-bit
+            </option>
+          ))}
+        </FilterSelect>
+      </FilterLabel>
+    </FiltersContainer>
+  );
+};
+
+export default SearchFilters;
@@ -0,0 +1,327 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import styled from 'styled-components';
+import PropTypes from 'prop-types';
+import { Image, Trash2 } from 'lucide-react';
+import Modal from '../../common/Modal';
+import { TextInput } from '../../common/Input';
+import { PrimaryButton, SecondaryButton } from '../../common/Button';
+import { useLibrary } from '../../../hooks/useLibrary';
+import useArtworkUrl from '../../../hooks/useArtworkUrl';
+import { canWriteTags, requestWritePermission } from '../../../services/TagWriterService';
+
+// Editable fields, in display order
+const TAG_FIELDS = [
+  { field: 'title', label: 'Title', perTrack: true },
+  { field: 'artist', label: 'Artist' },
+  { field: 'album', label: 'Album' },
+  { field: 'genre', label: 'Genre' },
+  { field: 'year', label: 'Year', numeric: true },
+  { field: 'track', label: 'Track', numeric: true, perTrack: true },
+  { field: 'discNumber', label: 'Disc', numeric: true },
+  { field: 'bpm', label: 'BPM', numeric: true }
+];
+
+const ScopeRow = styled.div`
+  display: flex;
+  gap: var(--spacing-sm);
+  margin-bottom: var(--spacing-md);
+  font-size: 13px;
+  color: var(--textSecondary);
+`;
+
+const ScopeOption = styled.button`
+  background: transparent;
+  border: 1px solid ${props => props.$active ? 'var(--accentPrimary)' : 'var(--borderSubtle)'};
+  color: ${props => props.$active ? 'var(--accentPrimary)' : 'var(--textSecondary)'};
+  border-radius: 4px;
+  padding: 4px var(--spacing-sm);
+  font-size: 13px;
+  cursor: pointer;
+`;
+
+const EditorLayout = styled.div`
+  display: grid;
+  grid-template-columns: 120px 1fr;
+  gap: var(--spacing-md);
+`;
+
+const FieldGrid = styled.div`
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  column-gap: var(--spacing-md);
+`;
+
+const CoverColumn = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: var(--spacing-xs);
+`;
+
+const CoverPreview = styled.div`
+  width: 120px;
+  height: 120px;
+  border-radius: 4px;
+  background-color: var(--bgSecondary);
+  background-image: ${props => props.$src ? `url(${props.$src})` : 'none'};
+  background-size: cover;
+  background-position: center;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  color: var(--textDimmed);
+  font-size: 12px;
+  text-align: center;
+`;
+
+const Notice = styled.p`
+  margin: var(--spacing-sm) 0 0;
+  font-size: 12px;
+  color: ${props => props.$error ? 'var(--accentError)' : 'var(--textSecondary)'};
+`;
+
+/**
+ * Shared value of a field across tracks
+ * @param {Array} tracks - Tracks
+ * @param {string} field - Field name
+ * @returns {string|null} The value if all tracks agree, '' if none has it, null if they differ
+ */
+const commonValue = (tracks, field) => {
+  const values = new Set(tracks.map(track => track[field] ?? ''));
+  if (values.size !== 1) return null;
+
+  const [value] = values;
+  return String(value);
+};
+
+/**
+ * Read an image file for use as cover art
+ * @param {File} file - Image file
+ * @returns {Promise<Object>} - { data, format, url }
+ */
+const readCoverImage = async (file) => {
+  const data = await file.arrayBuffer();
+  const url = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+  return { data, format: file.type === 'image/png' ? 'image/png' : 'image/jpeg', url };
+};
+
+/**
+ * TagEditorDialog component - Edits the tags of one or many tracks and
+ * writes them back to the files through the library
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.track - Track the editor was opened for
+ * @param {boolean} props.isOpen - Whether the dialog is open
+ * @param {Function} props.onClose - Callback to close the dialog
+ */
+const TagEditorDialog = ({ track, isOpen, onClose }) => {
+  const { state, editTrackTags } = useLibrary();
+
+  // Which tracks the edits apply to: 'track', 'album' or 'artist'
+  const [scope, setScope] = useState('track');
+
+  // Only the fields the user changed are written
+  const [edits, setEdits] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setScope('track');
+      setEdits({});
+      setStatus(null);
+    }
+  }, [isOpen, track]);
+
+  const targets = useMemo(() => {
+    if (!track) return [];
+
+    switch (scope) {
+      case 'album':
+        return state.tracks.filter(t => t.album === track.album &&
+          (t.albumArtist || t.artist) === (track.albumArtist || track.artist));
+      case 'artist':
+        return state.tracks.filter(t => t.artist === track.artist);
+      default:
+        return [track];
+    }
+  }, [scope, track, state.tracks]);
+
+  const writable = targets.filter(t => canWriteTags(t.fileName || (t.file && t.file.name)));
+  const isBatch = targets.length > 1;
+
+  // The cover the tracks share, before any edit
+  const storedCoverUrl = useArtworkUrl(
+    commonValue(targets, 'artworkId') || null,
+    commonValue(targets, 'artwork') || null
+  );
+
+  if (!track) return null;
+
+  const handleFieldChange = (field, value) => {
+    setEdits(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleCoverSelect = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      handleFieldChange('picture', await readCoverImage(file));
+    } catch (error) {
+      console.error('Failed to read cover image:', error);
+      setStatus({ error: true, message: 'Could not read that image' });
+    }
+  };
+
+  const handleSave = async () => {
+    const tags = {};
+
+    Object.entries(edits).forEach(([field, value]) => {
+      const definition = TAG_FIELDS.find(item => item.field === field);
+
+      // Edits made to a single track are not copied across a wider scope
+      if (isBatch && definition && definition.perTrack) return;
+
+      if (field === 'picture') {
+        tags.picture = value;
+      } else if (definition && definition.numeric) {
+        const number = parseInt(value, 10);
+        tags[field] = Number.isFinite(number) && number > 0 ? number : null;
+      } else {
+        tags[field] = value.trim() || null;
+      }
+    });
+
+    if (!Object.keys(tags).length || !writable.length) {
+      onClose();
+      return;
+    }
+
+    setIsSaving(true);
+    setStatus(null);
+
+    // Ask for write access while the click is still being handled; the
+    // browser only prompts in response to a user gesture
+    const permissions = await Promise.all(writable.map(t => requestWritePermission(t.handle)));
+    const writableIds = writable.filter((t, index) => permissions[index]).map(t => t.id);
+
+    const result = await editTrackTags(writable.map(t => t.id), tags, { writableIds });
+
+    setIsSaving(false);
+
+    if (result.failed > 0) {
+      setStatus({ error: true, message: `${result.failed} of ${writable.length} files could not be tagged` });
+      return;
+    }
+
+    onClose();
+  };
+
+  const coverUrl = edits.picture !== undefined ?
+    (edits.picture ? edits.picture.url : null) :
+    storedCoverUrl;
+
+  const footer = (
+    <>
+      <SecondaryButton onClick={onClose} disabled={isSaving}>Cancel</SecondaryButton>
+      <PrimaryButton onClick={handleSave} disabled={isSaving || !writable.length}>
+        {isSaving ? 'Saving...' : `Save ${writable.length > 1 ? `${writable.length} Tracks` : 'Tags'}`}
+      </PrimaryButton>
+    </>
+  );
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Edit Tags" footer={footer}>
+      <ScopeRow>
+        <ScopeOption $active={scope === 'track'} onClick={() => setScope('track')}>
+          This track
+        </ScopeOption>
+        {track.album && (
+          <ScopeOption $active={scope === 'album'} onClick={() => setScope('album')}>
+            Whole album
+          </ScopeOption>
+        )}
+        {track.artist && (
+          <ScopeOption $active={scope === 'artist'} onClick={() => setScope('artist')}>
+            All by artist
+          </ScopeOption>
+        )}
+      </ScopeRow>
+
+      <EditorLayout>
+        <CoverColumn>
+          <CoverPreview $src={coverUrl}>{!coverUrl && 'No cover'}</CoverPreview>
+          <SecondaryButton small onClick={() => fileInputRef.current && fileInputRef.current.click()}>
+            <Image size={14} /> Choose
+          </SecondaryButton>
+          <SecondaryButton small onClick={() => handleFieldChange('picture', null)} disabled={!coverUrl}>
+            <Trash2 size={14} /> Remove
+          </SecondaryButton>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/jpeg,image/png"
+            style={{ display: 'none' }}
+            onChange={handleCoverSelect}
+          />
+        </CoverColumn>
+
+        <FieldGrid>
+          {TAG_FIELDS.map(({ field, label, numeric, perTrack }) => {
+            const shared = commonValue(targets, field);
+            const disabled = isBatch && perTrack;
+
+            return (
+              <TextInput
+                key={field}
+                name={field}
+                label={label}
+                type={numeric ? 'number' : 'text'}
+                min={numeric ? 1 : undefined}
+                value={disabled ? '' : (edits[field] !== undefined ? edits[field] : shared || '')}
+                placeholder={disabled ? 'Per track' : (shared === null ? 'Multiple values' : '')}
+                disabled={disabled || isSaving}
+                onChange={(e) => handleFieldChange(field, e.target.value)}
+              />
+            );
+          })}
+        </FieldGrid>
+      </EditorLayout>
+
+      {writable.length < targets.length && (
+        <Notice>
+          {targets.length - writable.length} of {targets.length} tracks are in formats whose tags cannot be written and will be skipped.
+        </Notice>
+      )}
+
+      {writable.some(t => !t.handle) && (
+        <Notice>
+          Files opened without folder access are saved as downloads instead of in place.
+        </Notice>
+      )}
+
+      {status && <Notice $error={status.error}>{status.message}</Notice>}
+    </Modal>
+  );
+};
+
+TagEditorDialog.propTypes = {
+  track: PropTypes.shape({
+    album: PropTypes.string,
+    albumArtist: PropTypes.string,
+    artist: PropTypes.string
+  }),
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default TagEditorDialog;
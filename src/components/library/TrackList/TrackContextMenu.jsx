@@ -1,5 +1,6 @@
 import React, { useEffect, useRef } from 'react';
 import styled from 'styled-components';
+import PropTypes from 'prop-types';
 import { 
   Play, 
   Pause, 
@@ -11,7 +12,8 @@ import {
   Info, 
   Share,
   Radio,
-  ListMusic
+  ListMusic,
+  Tag
 } from 'lucide-react';
 import { usePlayer } from '../../../features/player/providers/PlayerProvider';
 import audioService from '../../../services/AudioService';
@@ -120,8 +122,9 @@ const TrackArtist = styled.div`
  * @param {boolean} props.isVisible - Whether menu is visible
  * @param {Object} props.position - Position {x, y} for menu
  * @param {Function} props.onClose - Callback to close menu
+ * @param {Function} [props.onEditTags] - Callback to open the tag editor for the track
  */
-const TrackContextMenu = ({ track, isVisible, position, onClose }) => {
+const TrackContextMenu = ({ track, isVisible, position, onClose, onEditTags }) => {
   const menuRef = useRef(null);
   
   const { 
@@ -253,6 +256,12 @@ const TrackContextMenu = ({ track, isVisible, position, onClose }) => {
     onClose();
   };
   
+  // Open the tag editor
+  const handleEditTags = () => {
+    onEditTags && onEditTags(track);
+    onClose();
+  };
+  
   // Create similar radio/playlist
   const handleCreateRadio = () => {
     // Placeholder for creating a radio based on this track
@@ -340,8 +349,38 @@ const TrackContextMenu = ({ track, isVisible, position, onClose }) => {
         </MenuIcon>
         <MenuText>Track Details</MenuText>
       </MenuItem>
+      
+      {onEditTags && (
+        <MenuItem onClick={handleEditTags}>
+          <MenuIcon>
+            <Tag size={16} />
+          </MenuIcon>
+          <MenuText>Edit Tags...</MenuText>
+        </MenuItem>
+      )}
     </ContextMenuContainer>
   );
 };
 
+TrackContextMenu.propTypes = {
+  track: PropTypes.shape({
+    id: PropTypes.string,
+    title: PropTypes.string,
+    artist: PropTypes.string,
+    album: PropTypes.string,
+    artwork: PropTypes.string,
+    isFavorite: PropTypes.bool,
+    path: PropTypes.string,
+    url: PropTypes.string,
+    file: PropTypes.object
+  }),
+  isVisible: PropTypes.bool.isRequired,
+  position: PropTypes.shape({
+    x: PropTypes.number,
+    y: PropTypes.number
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onEditTags: PropTypes.func
+};
+
 export default TrackContextMenu;
\ No newline at end of file
@@ -1,12 +1,14 @@
 import React, { useState, useCallback, useRef } from 'react';
 import styled from 'styled-components';
+import PropTypes from 'prop-types';
 import { Play, Pause, MoreHorizontal, Plus, Heart } from 'lucide-react';
 import { usePlayer } from '../../../features/player/providers/PlayerProvider';
 import audioService from '../../../services/AudioService';
+import useArtworkUrl from '../../../hooks/useArtworkUrl';
 
 const TrackItemContainer = styled.div`
   display: grid;
-  grid-template-columns: 50px 40px 1fr 120px 80px 80px;
+  grid-template-columns: 50px 40px 1fr 120px 80px 60px 80px;
   align-items: center;
   height: 50px;
   padding: 0 var(--spacing-md);
@@ -75,12 +77,6 @@ const PlayButton = styled.button`
   }
 `;
 
-const TrackNumber = styled.div`
-  font-size: 13px;
-  color: var(--textSecondary);
-  text-align: center;
-`;
-
 const TrackTitle = styled.div`
   font-size: 14px;
   color: var(--textPrimary);
@@ -105,6 +101,13 @@ const TrackAlbum = styled.div`
   text-overflow: ellipsis;
 `;
 
+const TrackKey = styled.div`
+  font-size: 13px;
+  color: var(--textSecondary);
+  font-family: var(--fontMono);
+  text-align: center;
+`;
+
 const TrackDuration = styled.div`
   font-size: 13px;
   color: var(--textSecondary);
@@ -154,15 +157,7 @@ const formatDuration = (seconds) => {
   return `${mins}:${secs.toString().padStart(2, '0')}`;
 };
 
-// Format file size to KB, MB, GB
-const formatFileSize = (bytes) => {
-  if (!bytes) return '';
-  const sizes = ['B', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(1024));
-  return `${(bytes / Math.pow(1024, i)).toFixed(1)} ${sizes[i]}`;
-};
-
-const TrackItem = ({ track, index, onShowContext, isActive }) => {
+const TrackItem = ({ track, onShowContext }) => {
   const { 
     currentTrack, 
     isPlaying, 
@@ -173,9 +168,9 @@ const TrackItem = ({ track, index, onShowContext, isActive }) => {
     toggleFavorite 
   } = usePlayer();
   
-  const [showTooltip, setShowTooltip] = useState(false);
   const [isHovering, setIsHovering] = useState(false);
   const [isFavorite, setIsFavorite] = useState(track.isFavorite);
+  const artworkUrl = useArtworkUrl(track.artworkId, track.artwork);
   
   const itemRef = useRef(null);
   
@@ -204,20 +199,19 @@ const TrackItem = ({ track, index, onShowContext, isActive }) => {
         artist: track.artist,
         album: track.album,
         artwork: track.artwork,
+        artworkId: track.artworkId,
         id: track.id
       };
 
       // Use playTrack from PlayerProvider which will use AudioService
       playTrack(source);
+    }
+  }, [isCurrentTrack, isPlaying, pause, play, playTrack, track]);
   
   // Handle adding to queue
   const handleAddToQueue = useCallback((e) => {
     e.stopPropagation();
     addToQueue(track);
-    
-    // Show temporary tooltip
-    setShowTooltip(true);
-    setTimeout(() => setShowTooltip(false), 2000);
   }, [track, addToQueue]);
   
   // Handle toggling favorite status
@@ -233,7 +227,6 @@ const TrackItem = ({ track, index, onShowContext, isActive }) => {
     e.stopPropagation();
     
     // Get position for context menu
-    const rect = itemRef.current.getBoundingClientRect();
     const position = {
       x: e.clientX,
       y: e.clientY
@@ -258,8 +251,8 @@ const TrackItem = ({ track, index, onShowContext, isActive }) => {
       onMouseLeave={() => setIsHovering(false)}
     >
       <ArtworkContainer>
-        {track.artwork ? (
-          <Artwork src={track.artwork} alt={`${track.title} artwork`} />
+        {artworkUrl ? (
+          <Artwork src={artworkUrl} alt={`${track.title} artwork`} />
         ) : (
           <ArtworkFallback>♪</ArtworkFallback>
         )}
@@ -281,6 +274,7 @@ const TrackItem = ({ track, index, onShowContext, isActive }) => {
       <TrackTitle>{track.title || 'Unknown Track'}</TrackTitle>
       <TrackArtist>{track.artist || 'Unknown Artist'}</TrackArtist>
       <TrackAlbum>{track.album || ''}</TrackAlbum>
+      <TrackKey title={track.key || ''}>{track.camelot || ''}</TrackKey>
       
       <TrackDuration>
         {formatDuration(track.duration)}
@@ -316,4 +310,23 @@ const TrackItem = ({ track, index, onShowContext, isActive }) => {
   );
 };
 
+TrackItem.propTypes = {
+  track: PropTypes.shape({
+    id: PropTypes.string,
+    title: PropTypes.string,
+    artist: PropTypes.string,
+    album: PropTypes.string,
+    artwork: PropTypes.string,
+    artworkId: PropTypes.string,
+    key: PropTypes.string,
+    camelot: PropTypes.string,
+    duration: PropTypes.number,
+    isFavorite: PropTypes.bool,
+    path: PropTypes.string,
+    url: PropTypes.string,
+    file: PropTypes.object
+  }).isRequired,
+  onShowContext: PropTypes.func
+};
+
 export default TrackItem;
\ No newline at end of file
@@ -5,7 +5,7 @@ import { useLibrary } from '../../../hooks/useLibrary';
 
 const HeaderContainer = styled.div`
   display: grid;
-  grid-template-columns: 50px 40px 1fr 120px 80px 80px;
+  grid-template-columns: 50px 40px 1fr 120px 80px 60px 80px;
   align-items: center;
   height: 40px;
   padding: 0 var(--spacing-md);
@@ -173,6 +173,22 @@ const TrackListHeader = () => {
         </SortIcon>
       </HeaderCell>
       
+      {/* Key Column - Sorts on the Camelot code so harmonic neighbours sit together */}
+      <HeaderCell 
+        $active={isActiveSort('camelot')}
+        onClick={() => handleSort('camelot')}
+        style={{ justifyContent: 'center' }}
+      >
+        <HeaderText>Key</HeaderText>
+        <SortIcon $visible={isActiveSort('camelot')}>
+          {sortDirection === 'asc' && isActiveSort('camelot') ? (
+            <ChevronUp size={14} />
+          ) : (
+            <ChevronDown size={14} />
+          )}
+        </SortIcon>
+      </HeaderCell>
+      
       {/* Duration Column */}
       <HeaderCell 
         $active={isActiveSort('duration')}
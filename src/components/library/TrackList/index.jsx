@@ -1,10 +1,12 @@
 import React, { useState, useRef, useCallback } from 'react';
 import styled from 'styled-components';
+import PropTypes from 'prop-types';
 import { usePlayer } from '../../../features/player/providers/PlayerProvider';
 import { useLibrary } from '../../../hooks/useLibrary';
 import TrackItem from './TrackItem';
 import TrackListHeader from './TrackListHeader';
 import TrackContextMenu from './TrackContextMenu';
+import TagEditorDialog from './TagEditorDialog';
 import { SecondaryButton } from '../../common/Button';
 import { Music, Upload } from 'lucide-react';
 import audioService from '../../../services/AudioService';
@@ -56,7 +58,7 @@ const ButtonGroup = styled.div`
  */
 const TrackList = ({ tracks: propTracks, showHeader = true }) => {
   // Get tracks from props or library context
-  const { state: libraryState } = useLibrary();
+  const { getVisibleTracks } = useLibrary();
   const { 
     currentTrack, 
     play, 
@@ -73,8 +75,12 @@ const TrackList = ({ tracks: propTracks, showHeader = true }) => {
     track: null
   });
   
-  // Determine tracks to display - from props or library
-  const tracks = propTracks || libraryState.tracks;
+  // Track the tag editor was opened for
+  const [tagEditorTrack, setTagEditorTrack] = useState(null);
+  
+  // Determine tracks to display - given tracks are shown in their own order,
+  // the library view follows the library's key and audio quality filters and sort order
+  const tracks = propTracks || getVisibleTracks();
   
   // Refs
   const containerRef = useRef(null);
@@ -88,7 +94,7 @@ const TrackList = ({ tracks: propTracks, showHeader = true }) => {
           {
             description: 'Audio Files',
             accept: {
-              'audio/*': ['.mp3', '.wav', '.flac', '.aac', '.ogg', '.m4a']
+              'audio/*': ['.mp3', '.wav', '.aif', '.aiff', '.flac', '.aac', '.ogg', '.m4a']
             }
           }
         ],
@@ -168,8 +174,6 @@ const TrackList = ({ tracks: propTracks, showHeader = true }) => {
             <TrackItem
               key={track.id || index}
               track={track}
-              index={index}
-              isActive={currentTrack?.id === track.id}
               onShowContext={handleShowContext}
             />
           ))}
@@ -195,10 +199,22 @@ const TrackList = ({ tracks: propTracks, showHeader = true }) => {
           isVisible={contextMenu.visible}
           position={contextMenu.position}
           onClose={handleHideContext}
+          onEditTags={setTagEditorTrack}
         />
       )}
+      
+      <TagEditorDialog
+        track={tagEditorTrack}
+        isOpen={!!tagEditorTrack}
+        onClose={() => setTagEditorTrack(null)}
+      />
     </TrackListContainer>
   );
 };
 
+TrackList.propTypes = {
+  tracks: PropTypes.arrayOf(PropTypes.object),
+  showHeader: PropTypes.bool
+};
+
 export default TrackList;
\ No newline at end of file
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import styled, { keyframes } from 'styled-components';
 import { usePlayer } from '../../../features/player/providers/PlayerProvider';
+import useArtworkUrl from '../../../hooks/useArtworkUrl';
 
 // Animation for the album art rotation during playback
 const rotate = keyframes`
@@ -220,7 +221,8 @@ const AlbumArtDisplay = ({ size, showInfo = true, showControls = true }) => {
   
   // State for visual effects
   const [displayMode, setDisplayMode] = useState('cover'); // 'cover', 'vinyl', 'both'
-  const [hasImage, setHasImage] = useState(false);
+  const artworkUrl = useArtworkUrl(currentTrack?.artworkId, currentTrack?.artwork);
+  const hasImage = !!artworkUrl;
   
   // Derived states for visual display
   const showFullVinyl = displayMode === 'vinyl';
@@ -234,11 +236,6 @@ const AlbumArtDisplay = ({ size, showInfo = true, showControls = true }) => {
     }
   }, [isPlaying, displayMode]);
   
-  // Check if track has artwork
-  useEffect(() => {
-    setHasImage(!!currentTrack?.artwork);
-  }, [currentTrack]);
-  
   // Toggle through display modes
   const toggleDisplayMode = () => {
     setDisplayMode(prevMode => {
@@ -266,9 +263,9 @@ const AlbumArtDisplay = ({ size, showInfo = true, showControls = true }) => {
           isCircular={isCircular} 
           showFullVinyl={showFullVinyl}
         >
-          {hasImage && currentTrack?.artwork ? (
+          {artworkUrl ? (
             <img 
-              src={currentTrack.artwork} 
+              src={artworkUrl} 
               alt={`${currentTrack.title} album artwork`} 
             />
           ) : (
@@ -281,9 +278,9 @@ const AlbumArtDisplay = ({ size, showInfo = true, showControls = true }) => {
         
         {/* Reflection Effect */}
         <Reflection isVisible={hasImage && displayMode === 'cover'}>
-          {hasImage && currentTrack?.artwork && (
+          {artworkUrl && (
             <img 
-              src={currentTrack.artwork} 
+              src={artworkUrl} 
               alt="" 
               aria-hidden="true"
             />
@@ -0,0 +1,347 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import PropTypes from 'prop-types';
+import { Play, Pause, Square, Plus, X } from 'lucide-react';
+import audioService from '../../../services/AudioService';
+import { useLibrary } from '../../../features/library/providers/LibraryProvider';
+
+const DeckContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: var(--spacing-sm);
+  padding: var(--spacing-sm) 0;
+  border-top: 1px solid var(--borderSubtle);
+`;
+
+const Header = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  font-size: 13px;
+  color: var(--textSecondary);
+`;
+
+const Strip = styled.div`
+  display: grid;
+  grid-template-columns: 1fr auto;
+  gap: var(--spacing-sm);
+  padding: var(--spacing-sm);
+  border: 1px solid var(--borderSubtle);
+  border-radius: 4px;
+`;
+
+const StripBody = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: var(--spacing-sm);
+  min-width: 0;
+`;
+
+const Row = styled.div`
+  display: flex;
+  align-items: center;
+  gap: var(--spacing-sm);
+  font-size: 12px;
+  color: var(--textSecondary);
+
+  select {
+    flex: 1;
+    min-width: 0;
+  }
+
+  input[type="range"] {
+    flex: 1;
+  }
+`;
+
+const Time = styled.span`
+  font-family: var(--fontMono, monospace);
+  font-size: 12px;
+  color: var(--textPrimary);
+  white-space: nowrap;
+`;
+
+const SmallButton = styled.button`
+  display: flex;
+  align-items: center;
+  gap: 4px;
+  padding: 2px 8px;
+  border-radius: 4px;
+  border: 1px solid var(--borderLight);
+  background-color: transparent;
+  color: var(--textSecondary);
+  font-size: 12px;
+  cursor: pointer;
+  transition: all 0.2s ease;
+
+  &:hover:not(:disabled) {
+    border-color: var(--textPrimary);
+    color: var(--textPrimary);
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const Empty = styled.span`
+  font-size: 12px;
+  color: var(--textDimmed);
+`;
+
+// Position refresh interval while a deck is playing, in milliseconds
+const POSITION_INTERVAL = 250;
+
+// Deck events that change what the panel shows
+const DECK_EVENTS = [
+  'deck:created',
+  'deck:removed',
+  'deck:output-changed',
+  'deck:loaded',
+  'deck:started',
+  'deck:paused',
+  'deck:stopped',
+  'deck:seeked',
+  'deck:volume-changed',
+  'deck:ended'
+];
+
+// Helper to format time in MM:SS
+const formatTime = (seconds) => {
+  if (!seconds) return '00:00';
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+/**
+ * URL a library track plays from
+ * @param {Object} track Library track
+ * @returns {string|undefined} Track URL
+ */
+const getTrackUrl = (track) => track.src || track.path;
+
+/**
+ * Name to show for a library track
+ * @param {Object} track Library track
+ * @returns {string} Track name
+ */
+const getTrackName = (track) => (
+  track.artist ? `${track.artist} - ${track.title}` : track.title || track.fileName
+);
+
+/**
+ * DeckStrip component - one deck: its track, transport, fader and output
+ * @param {Object} props Component props
+ * @param {Object} props.deck Deck state from the engine
+ * @param {Array} props.tracks Library tracks that can be loaded
+ * @param {Array|null} props.devices Cue devices, or null until listed
+ * @param {Function} props.onListDevices Called when the output picker is first used
+ */
+const DeckStrip = ({ deck, tracks, devices, onListDevices }) => {
+  const [isLoading, setIsLoading] = useState(false);
+
+  const getDeck = () => audioService.getDeck(deck.id);
+
+  const handleLoad = async (e) => {
+    const track = tracks.find(t => getTrackUrl(t) === e.target.value);
+    if (!track) return;
+
+    setIsLoading(true);
+    try {
+      await getDeck()?.load(getTrackUrl(track));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleOutput = (e) => {
+    const value = e.target.value;
+
+    if (value === 'main') {
+      audioService.setDeckOutput(deck.id, 'main');
+    } else {
+      audioService.setDeckOutput(deck.id, 'cue', value);
+    }
+  };
+
+  const output = deck.output === 'cue' ? deck.deviceId : 'main';
+
+  return (
+    <Strip aria-label={`Deck ${deck.id}`}>
+      <StripBody>
+        <Row>
+          <select
+            value={deck.url || ''}
+            onChange={handleLoad}
+            disabled={isLoading || tracks.length === 0}
+            aria-label="Track"
+          >
+            <option value="" disabled>
+              {tracks.length === 0 ? 'No tracks in the library' : 'Load a track…'}
+            </option>
+            {tracks.map(track => (
+              <option key={track.id} value={getTrackUrl(track)}>{getTrackName(track)}</option>
+            ))}
+          </select>
+        </Row>
+
+        <Row>
+          <SmallButton
+            aria-label={deck.isPlaying ? 'Pause deck' : 'Play deck'}
+            onClick={() => (deck.isPlaying ? getDeck()?.pause() : getDeck()?.play())}
+            disabled={!deck.url}
+          >
+            {deck.isPlaying ? <Pause size={12} /> : <Play size={12} />}
+          </SmallButton>
+          <SmallButton aria-label="Stop deck" onClick={() => getDeck()?.stop()} disabled={!deck.url}>
+            <Square size={12} />
+          </SmallButton>
+          <input
+            type="range"
+            min={0}
+            max={deck.duration || 0}
+            step={0.1}
+            value={Math.min(deck.position, deck.duration || 0)}
+            disabled={!deck.url}
+            onChange={(e) => getDeck()?.seek(parseFloat(e.target.value))}
+            aria-label="Position"
+          />
+          <Time>{formatTime(deck.position)} / {formatTime(deck.duration)}</Time>
+        </Row>
+
+        <Row>
+          Vol
+          <input
+            type="range"
+            min={0}
+            max={1}
+            step={0.01}
+            value={deck.volume}
+            onChange={(e) => getDeck()?.setVolume(parseFloat(e.target.value))}
+            aria-label="Deck volume"
+          />
+          <select
+            value={output}
+            onChange={handleOutput}
+            onFocus={onListDevices}
+            onMouseDown={onListDevices}
+            aria-label="Deck output"
+          >
+            <option value="main">Main mix</option>
+            {/* Keep the current cue device selectable before the list arrives */}
+            {deck.output === 'cue' && !devices?.some(device => device.id === deck.deviceId) && (
+              <option value={deck.deviceId}>Cue</option>
+            )}
+            {(devices || []).map(device => (
+              <option key={device.id} value={device.id}>
+                Cue: {device.label || device.name || device.id}
+              </option>
+            ))}
+          </select>
+        </Row>
+      </StripBody>
+
+      <SmallButton aria-label="Remove deck" onClick={() => audioService.removeDeck(deck.id)}>
+        <X size={12} />
+      </SmallButton>
+    </Strip>
+  );
+};
+
+DeckStrip.propTypes = {
+  deck: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    url: PropTypes.string,
+    duration: PropTypes.number,
+    position: PropTypes.number,
+    isPlaying: PropTypes.bool,
+    volume: PropTypes.number,
+    output: PropTypes.string,
+    deviceId: PropTypes.string
+  }).isRequired,
+  tracks: PropTypes.arrayOf(PropTypes.object).isRequired,
+  devices: PropTypes.arrayOf(PropTypes.object),
+  onListDevices: PropTypes.func.isRequired
+};
+
+/**
+ * DeckPanel component - decks next to the main player, each with its own
+ * track and fader, playing into the main mix or on a cue device
+ */
+const DeckPanel = () => {
+  const library = useLibrary();
+  const [decks, setDecks] = useState(() => audioService.getDecks());
+  const [devices, setDevices] = useState(null);
+
+  const tracks = (library?.tracks || []).filter(getTrackUrl);
+
+  const refresh = useCallback(() => {
+    setDecks(audioService.getDecks());
+  }, []);
+
+  // Follow the engine's decks
+  useEffect(() => {
+    const eventBus = audioService.getEngineComponents().eventBus;
+    if (!eventBus) return undefined;
+
+    const unsubscribers = DECK_EVENTS.map(eventType => eventBus.on(eventType, refresh));
+    refresh();
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => {
+        if (typeof unsubscribe === 'function') unsubscribe();
+      });
+    };
+  }, [refresh]);
+
+  // Keep positions moving while a deck plays
+  const anyPlaying = decks.some(deck => deck.isPlaying);
+
+  useEffect(() => {
+    if (!anyPlaying) return undefined;
+
+    const interval = setInterval(refresh, POSITION_INTERVAL);
+    return () => clearInterval(interval);
+  }, [anyPlaying, refresh]);
+
+  // Listing devices can ask for permission, so wait until an output is picked
+  const handleListDevices = useCallback(async () => {
+    if (devices) return;
+
+    setDevices([]);
+    try {
+      setDevices(await audioService.getOutputDevices());
+    } catch (error) {
+      console.error('Failed to list output devices:', error);
+    }
+  }, [devices]);
+
+  return (
+    <DeckContainer aria-label="Decks">
+      <Header>
+        Decks
+        <SmallButton onClick={() => audioService.createDeck()}>
+          <Plus size={12} /> Add Deck
+        </SmallButton>
+      </Header>
+
+      {decks.length === 0 ? (
+        <Empty>Add a deck to play or cue a second track.</Empty>
+      ) : (
+        decks.map(deck => (
+          <DeckStrip
+            key={deck.id}
+            deck={deck}
+            tracks={tracks}
+            devices={devices}
+            onListDevices={handleListDevices}
+          />
+        ))
+      )}
+    </DeckContainer>
+  );
+};
+
+export default DeckPanel;
@@ -0,0 +1,109 @@
+import React, { useEffect, useRef } from 'react';
+import styled from 'styled-components';
+import PropTypes from 'prop-types';
+import { findLyricLineIndex } from '../../../services/LyricsService';
+
+const LyricsContainer = styled.div`
+  position: relative;
+  max-height: 220px;
+  overflow-y: auto;
+  padding: var(--spacing-sm) 0;
+  border-top: 1px solid var(--borderSubtle);
+  scroll-behavior: smooth;
+`;
+
+const LyricLine = styled.p`
+  margin: 0;
+  padding: 2px var(--spacing-sm);
+  min-height: 1.4em;
+  font-size: ${props => props.$active ? '15px' : '14px'};
+  font-weight: ${props => props.$active ? 600 : 400};
+  line-height: 1.4;
+  color: ${props => props.$active ? 'var(--textPrimary)' :
+    props.$past ? 'var(--textDimmed)' : 'var(--textSecondary)'};
+  cursor: ${props => props.$seekable ? 'pointer' : 'default'};
+  border-radius: 4px;
+  transition: color 0.2s ease, font-size 0.2s ease;
+
+  &:hover {
+    background-color: ${props => props.$seekable ? 'var(--bgHover)' : 'transparent'};
+  }
+`;
+
+const EmptyMessage = styled.p`
+  margin: 0;
+  padding: var(--spacing-sm);
+  color: var(--textDimmed);
+  font-size: 13px;
+`;
+
+/**
+ * LyricsPanel component - shows a track's lyrics; synchronized lyrics
+ * follow playback and seek to a line when it is clicked
+ * @param {Object} props Component props
+ * @param {Object} props.lyrics Lyrics ({ synced, lines: [{ time, text }] })
+ * @param {number} props.currentTime Playback position in seconds
+ * @param {Function} props.onSeek Called with the time of a clicked line
+ */
+const LyricsPanel = ({ lyrics, currentTime, onSeek }) => {
+  const containerRef = useRef(null);
+  const lineRefs = useRef([]);
+
+  const synced = !!(lyrics && lyrics.synced);
+  const activeIndex = synced ? findLyricLineIndex(lyrics.lines, currentTime) : -1;
+
+  // Keep the current line in the middle of the panel
+  useEffect(() => {
+    const container = containerRef.current;
+    const line = lineRefs.current[activeIndex];
+    if (!container || !line) return;
+
+    container.scrollTop = line.offsetTop - container.clientHeight / 2 + line.clientHeight / 2;
+  }, [activeIndex]);
+
+  // Start at the top for a new track
+  useEffect(() => {
+    if (containerRef.current) {
+      containerRef.current.scrollTop = 0;
+    }
+  }, [lyrics]);
+
+  if (!lyrics || !lyrics.lines.length) {
+    return (
+      <LyricsContainer>
+        <EmptyMessage>No lyrics for this track</EmptyMessage>
+      </LyricsContainer>
+    );
+  }
+
+  return (
+    <LyricsContainer ref={containerRef} aria-label="Lyrics">
+      {lyrics.lines.map((line, index) => (
+        <LyricLine
+          key={`${index}-${line.time}`}
+          ref={el => { lineRefs.current[index] = el; }}
+          $active={index === activeIndex}
+          $past={synced && index < activeIndex}
+          $seekable={synced}
+          onClick={synced && onSeek ? () => onSeek(line.time) : undefined}
+        >
+          {line.text || ' '}
+        </LyricLine>
+      ))}
+    </LyricsContainer>
+  );
+};
+
+LyricsPanel.propTypes = {
+  lyrics: PropTypes.shape({
+    synced: PropTypes.bool,
+    lines: PropTypes.arrayOf(PropTypes.shape({
+      time: PropTypes.number,
+      text: PropTypes.string
+    })).isRequired
+  }),
+  currentTime: PropTypes.number.isRequired,
+  onSeek: PropTypes.func
+};
+
+export default LyricsPanel;
@@ -1,6 +1,7 @@
 import React from 'react';
 import styled from 'styled-components';
-import { Clock, Disc, Calendar, File } from 'lucide-react';
+import PropTypes from 'prop-types';
+import { Clock, Disc, Calendar, File, Activity, Gauge, Cpu } from 'lucide-react';
 
 const MetadataContainer = styled.div`
   display: flex;
@@ -27,6 +28,45 @@ const MetadataValue = styled.span`
   font-size: 13px;
 `;
 
+const LosslessBadge = styled.span`
+  color: var(--accentPrimary);
+  border: 1px solid var(--accentPrimary);
+  border-radius: 3px;
+  padding: 0 4px;
+  font-size: 11px;
+  font-weight: 600;
+  letter-spacing: 0.5px;
+`;
+
+// Names for the common channel layouts
+const CHANNEL_NAMES = {
+  1: 'Mono',
+  2: 'Stereo',
+  6: '5.1',
+  8: '7.1'
+};
+
+/**
+ * Format a track's sample rate, bit depth and channels, e.g. "96 kHz · 24-bit · Stereo"
+ * @param {Object} properties Audio properties
+ * @returns {string} Formatted resolution, or an empty string if unknown
+ */
+const formatResolution = ({ sampleRate, bitDepth, channels }) => [
+  sampleRate ? `${+(sampleRate / 1000).toFixed(1)} kHz` : null,
+  bitDepth ? `${bitDepth}-bit` : null,
+  channels ? CHANNEL_NAMES[channels] || `${channels} ch` : null
+].filter(Boolean).join(' · ');
+
+/**
+ * Format a bitrate with its mode, e.g. "245 kbps VBR"
+ * @param {Object} properties Audio properties
+ * @returns {string|null} Formatted bitrate
+ */
+const formatBitrate = ({ bitrate, bitrateMode }) => {
+  if (!bitrate) return null;
+  return [`${Math.round(bitrate / 1000)} kbps`, bitrateMode].filter(Boolean).join(' ');
+};
+
 /**
  * Format seconds into MM:SS format
  * @param {number} seconds Seconds to format
@@ -47,8 +87,18 @@ const formatTime = (seconds) => {
  * @param {string} props.year Release year
  * @param {number} props.duration Track duration in seconds
  * @param {string} props.format Audio format information (e.g. "44.1kHz 16-bit")
+ * @param {Object} [props.properties] Technical properties read from the file
+ *   (container, codec, bitrate, bitrateMode, sampleRate, bitDepth, channels, lossless, encoder, tool);
+ *   when given, they replace the format string
  */
-const MetadataDisplay = ({ album, year, duration, format }) => {
+const MetadataDisplay = ({ album, year, duration, format, properties }) => {
+  const resolution = properties ? formatResolution(properties) : '';
+  const bitrate = properties ? formatBitrate(properties) : null;
+  const encodedWith = properties ? [properties.encoder, properties.tool].filter(Boolean).join(' / ') : '';
+
+  // The resolution group already shows the sample rate and bit depth
+  const formatLabel = properties ? properties.container : format;
+
   return (
     <MetadataContainer>
       {album && (
@@ -78,16 +128,69 @@ const MetadataDisplay = ({ album, year, duration, format }) => {
         </MetadataGroup>
       )}
       
-      {format && (
+      {formatLabel && (
         <MetadataGroup>
           <MetadataIcon>
             <File size={14} />
           </MetadataIcon>
-          <MetadataValue>{format}</MetadataValue>
+          <MetadataValue>{formatLabel}</MetadataValue>
+        </MetadataGroup>
+      )}
+
+      {properties && properties.codec && (
+        <MetadataGroup>
+          <MetadataValue>{properties.codec}</MetadataValue>
+          {properties.lossless && <LosslessBadge>LOSSLESS</LosslessBadge>}
+        </MetadataGroup>
+      )}
+
+      {resolution && (
+        <MetadataGroup>
+          <MetadataIcon>
+            <Activity size={14} />
+          </MetadataIcon>
+          <MetadataValue>{resolution}</MetadataValue>
+        </MetadataGroup>
+      )}
+
+      {bitrate && (
+        <MetadataGroup>
+          <MetadataIcon>
+            <Gauge size={14} />
+          </MetadataIcon>
+          <MetadataValue>{bitrate}</MetadataValue>
+        </MetadataGroup>
+      )}
+
+      {encodedWith && (
+        <MetadataGroup title="Encoded with">
+          <MetadataIcon>
+            <Cpu size={14} />
+          </MetadataIcon>
+          <MetadataValue>{encodedWith}</MetadataValue>
         </MetadataGroup>
       )}
     </MetadataContainer>
   );
 };
 
+MetadataDisplay.propTypes = {
+  album: PropTypes.string,
+  year: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  duration: PropTypes.number,
+  format: PropTypes.string,
+  properties: PropTypes.shape({
+    container: PropTypes.string,
+    codec: PropTypes.string,
+    bitrate: PropTypes.number,
+    bitrateMode: PropTypes.string,
+    sampleRate: PropTypes.number,
+    bitDepth: PropTypes.number,
+    channels: PropTypes.number,
+    lossless: PropTypes.bool,
+    encoder: PropTypes.string,
+    tool: PropTypes.string
+  })
+};
+
 export default MetadataDisplay;
\ No newline at end of file
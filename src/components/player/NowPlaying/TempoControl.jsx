@@ -0,0 +1,133 @@
+import React from 'react';
+import styled from 'styled-components';
+import PropTypes from 'prop-types';
+import { TIME_STRETCH } from '../../../services/audio/constants/AudioParams';
+
+const TempoContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: var(--spacing-sm);
+  padding: var(--spacing-sm) 0;
+  border-top: 1px solid var(--borderSubtle);
+`;
+
+const Row = styled.label`
+  display: grid;
+  grid-template-columns: 60px 1fr 64px;
+  align-items: center;
+  gap: var(--spacing-sm);
+  font-size: 13px;
+  color: var(--textSecondary);
+`;
+
+const Value = styled.span`
+  font-family: var(--fontMono, monospace);
+  font-size: 12px;
+  color: var(--textPrimary);
+  text-align: right;
+`;
+
+const Footer = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: var(--spacing-sm);
+`;
+
+const Hint = styled.span`
+  font-size: 12px;
+  color: var(--textDimmed);
+`;
+
+const ResetButton = styled.button`
+  padding: 2px 8px;
+  border-radius: 4px;
+  border: 1px solid var(--borderLight);
+  background-color: transparent;
+  color: var(--textSecondary);
+  font-size: 12px;
+  cursor: pointer;
+  transition: all 0.2s ease;
+
+  &:hover:not(:disabled) {
+    border-color: var(--textPrimary);
+    color: var(--textPrimary);
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+/**
+ * Format a pitch shift for display
+ * @param {number} pitch Pitch shift in semitones
+ * @returns {string} e.g. "+2 st"
+ */
+const formatPitch = (pitch) => `${pitch > 0 ? '+' : ''}${pitch} st`;
+
+/**
+ * TempoControl component - playback speed and pitch, set independently
+ * so a solo can be slowed down without dropping its key
+ * @param {Object} props Component props
+ * @param {number} props.tempo Speed ratio
+ * @param {number} props.pitch Pitch shift in semitones
+ * @param {boolean} props.available Whether pitch can be set apart from tempo
+ * @param {Function} props.onChange Called with the changed settings ({ tempo } or { pitch })
+ */
+const TempoControl = ({ tempo, pitch, available, onChange }) => {
+  const isDefault = tempo === TIME_STRETCH.tempo.default && pitch === TIME_STRETCH.pitch.default;
+
+  return (
+    <TempoContainer aria-label="Tempo and pitch">
+      <Row>
+        Tempo
+        <input
+          type="range"
+          min={TIME_STRETCH.tempo.min}
+          max={TIME_STRETCH.tempo.max}
+          step={0.01}
+          value={tempo}
+          onChange={(e) => onChange({ tempo: parseFloat(e.target.value) })}
+        />
+        <Value>{Math.round(tempo * 100)}%</Value>
+      </Row>
+
+      <Row>
+        Pitch
+        <input
+          type="range"
+          min={TIME_STRETCH.pitch.min}
+          max={TIME_STRETCH.pitch.max}
+          step={1}
+          value={pitch}
+          disabled={!available}
+          onChange={(e) => onChange({ pitch: parseInt(e.target.value, 10) })}
+        />
+        <Value>{formatPitch(pitch)}</Value>
+      </Row>
+
+      <Footer>
+        <Hint>
+          {available ? 'Tempo keeps the pitch' : 'Pitch follows tempo in this browser'}
+        </Hint>
+        <ResetButton
+          onClick={() => onChange({ tempo: TIME_STRETCH.tempo.default, pitch: TIME_STRETCH.pitch.default })}
+          disabled={isDefault}
+        >
+          Reset
+        </ResetButton>
+      </Footer>
+    </TempoContainer>
+  );
+};
+
+TempoControl.propTypes = {
+  tempo: PropTypes.number.isRequired,
+  pitch: PropTypes.number.isRequired,
+  available: PropTypes.bool.isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default TempoControl;
@@ -1,13 +1,17 @@
 import React, { useState, useEffect, useRef } from 'react';
 import styled from 'styled-components';
-import { Heart, Share2, List, Download, Info, Plus } from 'lucide-react';
+import { Heart, Share2, List, Download, Info, Plus, MicVocal, Gauge, Disc3 } from 'lucide-react';
 import Panel from '../../layout/Panel';
 import TransportControls from '../TransportControls';
 import AlbumArt from './AlbumArt';
 import TrackInfo from './TrackInfo';
 import MetadataDisplay from './MetadataDisplay';
+import LyricsPanel from './LyricsPanel';
+import TempoControl from './TempoControl';
+import DeckPanel from './DeckPanel';
 import { usePlayer } from '../../../features/player/providers/PlayerProvider';
 import audioService from '../../../services/AudioService';
+import useArtworkUrl from '../../../hooks/useArtworkUrl';
 
 const NowPlayingContainer = styled.div`
   display: grid;
@@ -122,18 +126,38 @@ const NowPlaying = () => {
     toggleFavorite,
     favorites,
     addToQueue,
-    analyser
+    analyser,
+    currentTime,
+    seek,
+    timeStretch,
+    setTimeStretch
   } = usePlayer();
   
   // Local state
   const [audioFormat, setAudioFormat] = useState('');
   const [isDownloading, setIsDownloading] = useState(false);
+  const [showLyrics, setShowLyrics] = useState(false);
+  const [showTempo, setShowTempo] = useState(false);
+  const [showDecks, setShowDecks] = useState(false);
+  const artworkUrl = useArtworkUrl(currentTrack?.artworkId, currentTrack?.artwork);
   
   // Refs
   const engineComponentsRef = useRef(null);
   
   // Effect to get audio format information
   useEffect(() => {
+    // Prefer the properties read from the file itself
+    if (currentTrack && currentTrack.audioProperties) {
+      const { container, sampleRate, bitDepth } = currentTrack.audioProperties;
+
+      setAudioFormat([
+        container,
+        sampleRate ? `${(sampleRate / 1000).toFixed(1)}kHz` : null,
+        bitDepth ? `${bitDepth}-bit` : null
+      ].filter(Boolean).join(' '));
+      return;
+    }
+
     if (currentTrack && audioService.isInitialized) {
       // Get advanced audio info from engine components
       engineComponentsRef.current = audioService.getEngineComponents();
@@ -209,7 +233,8 @@ const NowPlaying = () => {
   const getAudioStats = () => {
     if (!currentTrack) return {};
     
-    const { fileSize, bitrate } = currentTrack;
+    const { fileSize } = currentTrack;
+    const bitrate = currentTrack.audioProperties ? currentTrack.audioProperties.bitrate : currentTrack.bitrate;
     
     // Size in MB
     const size = fileSize ? `${(fileSize / (1024 * 1024)).toFixed(1)} MB` : null;
@@ -238,7 +263,7 @@ const NowPlaying = () => {
       <NowPlayingContainer>
         <ArtworkSection>
           <AlbumArt
-            src={trackData.artwork}
+            src={artworkUrl}
             alt={`${trackData.artist} - ${trackData.title}`}
           />
           <StatusIndicator $isPlaying={isPlaying} />
@@ -288,6 +313,28 @@ const NowPlaying = () => {
               >
                 <List size={16} />
               </ActionButton>
+              <ActionButton 
+                aria-label={showLyrics ? "Hide lyrics" : "Show lyrics"}
+                $active={showLyrics}
+                onClick={() => setShowLyrics(prev => !prev)}
+                disabled={!currentTrack}
+              >
+                <MicVocal size={16} />
+              </ActionButton>
+              <ActionButton 
+                aria-label={showTempo ? "Hide tempo and pitch" : "Show tempo and pitch"}
+                $active={showTempo || timeStretch.tempo !== 1 || timeStretch.pitch !== 0}
+                onClick={() => setShowTempo(prev => !prev)}
+              >
+                <Gauge size={16} />
+              </ActionButton>
+              <ActionButton 
+                aria-label={showDecks ? "Hide decks" : "Show decks"}
+                $active={showDecks}
+                onClick={() => setShowDecks(prev => !prev)}
+              >
+                <Disc3 size={16} />
+              </ActionButton>
               <ActionButton 
                 aria-label="Show info"
                 onClick={handleShowInfo}
@@ -303,11 +350,31 @@ const NowPlaying = () => {
             year={trackData.year}
             duration={trackData.duration}
             format={audioFormat}
+            properties={currentTrack ? currentTrack.audioProperties : null}
             size={audioStats.size}
             bitrate={audioStats.bitrate}
           />
 
           <TransportControls />
+
+          {showTempo && (
+            <TempoControl
+              tempo={timeStretch.tempo}
+              pitch={timeStretch.pitch}
+              available={timeStretch.available}
+              onChange={setTimeStretch}
+            />
+          )}
+
+          {showDecks && <DeckPanel />}
+
+          {showLyrics && currentTrack && (
+            <LyricsPanel
+              lyrics={currentTrack.lyrics}
+              currentTime={currentTime}
+              onSeek={seek}
+            />
+          )}
           
           {errorState.hasError && (
             <ErrorMessage $show={errorState.hasError}>
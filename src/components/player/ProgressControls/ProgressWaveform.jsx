@@ -0,0 +1,406 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import styled from 'styled-components';
+import PropTypes from 'prop-types';
+import { SecondaryButton } from '../../common/Button';
+import { usePlayer } from '../../../features/player/providers/PlayerProvider';
+
+// Shortest loop the handles can make, in seconds
+const MIN_LOOP_LENGTH = 0.05;
+
+// Pointer travel before a press on the waveform becomes a loop drag, in pixels
+const DRAG_THRESHOLD = 4;
+
+// Beats of count-in when looping with the count-in enabled
+const COUNT_IN_BEATS = 4;
+
+// Seek steps for the arrow and page keys, in seconds
+const KEY_SEEK_STEP = 5;
+const KEY_SEEK_PAGE = 30;
+
+const WaveformContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: ${({ theme }) => theme.spacing.xs};
+`;
+
+// Marker labels sit above the waveform
+const MarkerLane = styled.div`
+  position: relative;
+  height: 16px;
+`;
+
+const MarkerLabel = styled.button`
+  position: absolute;
+  bottom: 0;
+  max-width: 80px;
+  padding: 0 4px;
+  transform: translateX(-50%);
+  background-color: ${({ theme }) => theme.colors.surface.lighter};
+  border: none;
+  border-radius: 2px;
+  color: ${({ theme }) => theme.colors.text.primary};
+  font-size: 9px;
+  line-height: 14px;
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  cursor: pointer;
+`;
+
+const WaveformArea = styled.div`
+  position: relative;
+  height: ${({ $height }) => $height}px;
+  cursor: pointer;
+  touch-action: none;
+  user-select: none;
+
+  &:focus-visible {
+    outline: 2px solid ${({ theme }) => theme.colors.brand.primary};
+    outline-offset: 2px;
+  }
+`;
+
+// Peak bars; the played copy is clipped to the playhead
+const PeakLayer = styled.div`
+  position: absolute;
+  inset: 0;
+  display: flex;
+  align-items: center;
+  gap: 1px;
+  pointer-events: none;
+`;
+
+const PeakBar = styled.div`
+  flex: 1;
+  min-height: 1px;
+  background-color: ${({ theme, $played }) =>
+    $played ? theme.colors.brand.primary : theme.colors.border.secondary};
+  border-radius: 1px;
+`;
+
+const LoopRegion = styled.div`
+  position: absolute;
+  top: 0;
+  bottom: 0;
+  background-color: ${({ theme }) => theme.colors.brand.primary};
+  opacity: ${({ $draft }) => ($draft ? 0.25 : 0.15)};
+  pointer-events: none;
+`;
+
+const LoopHandle = styled.div`
+  position: absolute;
+  top: 0;
+  bottom: 0;
+  width: 8px;
+  transform: translateX(-50%);
+  cursor: ew-resize;
+
+  &::after {
+    content: '';
+    position: absolute;
+    top: 0;
+    bottom: 0;
+    left: 3px;
+    width: 2px;
+    background-color: ${({ theme }) => theme.colors.brand.primary};
+  }
+`;
+
+const MarkerLine = styled.div`
+  position: absolute;
+  top: 0;
+  bottom: 0;
+  width: 1px;
+  background-color: ${({ theme }) => theme.colors.text.secondary};
+  pointer-events: none;
+`;
+
+const Playhead = styled.div`
+  position: absolute;
+  top: 0;
+  bottom: 0;
+  width: 2px;
+  transform: translateX(-50%);
+  background-color: ${({ theme }) => theme.colors.text.primary};
+  pointer-events: none;
+`;
+
+const WaveformToolbar = styled.div`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.xs};
+`;
+
+const CountInToggle = styled.button`
+  background-color: transparent;
+  border: 1px solid ${({ theme, $active }) =>
+    $active ? theme.colors.brand.primary : theme.colors.border.secondary};
+  border-radius: 4px;
+  color: ${({ theme, $active }) =>
+    $active ? theme.colors.brand.primary : theme.colors.text.secondary};
+  font-size: ${({ theme }) => theme.typography.sizes.xs};
+  padding: 2px 6px;
+  cursor: pointer;
+`;
+
+const formatMarkerTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = (seconds % 60).toFixed(2).padStart(5, '0');
+  return `${mins}:${secs}`;
+};
+
+const toPercent = (time, duration) => `${duration > 0 ? (time / duration) * 100 : 0}%`;
+
+/**
+ * ProgressWaveform component - Track overview for seeking, A-B loops and cue markers
+ */
+const ProgressWaveform = ({ bins = 200, height = 40 }) => {
+  const [peaks, setPeaks] = useState([]);
+  const [draftRegion, setDraftRegion] = useState(null);
+  const [countIn, setCountIn] = useState(false);
+
+  // Active pointer gesture: { mode: 'create' | 'start' | 'end', anchor, x, moved }
+  const dragRef = useRef(null);
+  const areaRef = useRef(null);
+
+  const {
+    currentTrack,
+    currentTime,
+    duration,
+    seek,
+    audioEngine,
+    loopRegion,
+    setLoopRegion,
+    clearLoopRegion,
+    cueMarkers,
+    addCueMarker,
+    removeCueMarker,
+    jumpToCueMarker
+  } = usePlayer();
+
+  const trackUrl = currentTrack ? currentTrack.src || currentTrack.path : null;
+
+  // Load the overview of the current track
+  useEffect(() => {
+    setPeaks([]);
+    setDraftRegion(null);
+
+    if (!trackUrl || !audioEngine) return undefined;
+
+    let cancelled = false;
+
+    audioEngine.getTrackPeaks(trackUrl, bins).then(result => {
+      if (!cancelled && result) {
+        setPeaks(Array.from(result.peaks));
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [trackUrl, audioEngine, bins]);
+
+  // Both bar layers only change with the peaks
+  const [unplayedBars, playedBars] = useMemo(() => [false, true].map(played => (
+    peaks.map((peak, i) => (
+      <PeakBar key={i} $played={played} style={{ height: `${peak * 100}%` }} />
+    ))
+  )), [peaks]);
+
+  const region = draftRegion || loopRegion;
+  const progress = duration > 0 ? Math.min(1, currentTime / duration) : 0;
+
+  // Track time under the pointer
+  const timeFromEvent = (e) => {
+    const rect = areaRef.current.getBoundingClientRect();
+    const ratio = rect.width > 0 ? (e.clientX - rect.left) / rect.width : 0;
+    return Math.max(0, Math.min(1, ratio)) * duration;
+  };
+
+  const commitRegion = (start, end) => {
+    if (end - start < MIN_LOOP_LENGTH) return;
+
+    setLoopRegion(start, end, countIn
+      ? { countIn: COUNT_IN_BEATS, bpm: currentTrack?.bpm }
+      : {});
+  };
+
+  // Press on the waveform: click to seek, drag to draw a loop
+  const handlePointerDown = (e) => {
+    if (!duration || e.button !== 0) return;
+
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { mode: 'create', anchor: timeFromEvent(e), x: e.clientX, moved: false };
+  };
+
+  // Press on a loop handle: drag that edge
+  const handleHandleDown = (e, mode) => {
+    if (!loopRegion || e.button !== 0) return;
+
+    e.stopPropagation();
+    areaRef.current.setPointerCapture(e.pointerId);
+    dragRef.current = { mode, moved: true };
+    setDraftRegion(loopRegion);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const time = timeFromEvent(e);
+
+    if (drag.mode === 'create') {
+      if (!drag.moved && Math.abs(e.clientX - drag.x) < DRAG_THRESHOLD) return;
+
+      drag.moved = true;
+      setDraftRegion({ start: Math.min(drag.anchor, time), end: Math.max(drag.anchor, time) });
+    } else if (drag.mode === 'start') {
+      setDraftRegion(prev => ({ ...prev, start: Math.min(time, prev.end - MIN_LOOP_LENGTH) }));
+    } else {
+      setDraftRegion(prev => ({ ...prev, end: Math.max(time, prev.start + MIN_LOOP_LENGTH) }));
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    dragRef.current = null;
+
+    if (!drag.moved) {
+      seek(timeFromEvent(e));
+    } else if (draftRegion) {
+      commitRegion(draftRegion.start, draftRegion.end);
+    }
+
+    setDraftRegion(null);
+  };
+
+  const handlePointerCancel = () => {
+    dragRef.current = null;
+    setDraftRegion(null);
+  };
+
+  // Arrow and page keys step the playhead; Alt+arrows are left to the
+  // global shortcuts
+  const handleKeyDown = (e) => {
+    if (!duration || e.altKey || e.ctrlKey || e.metaKey) return;
+
+    const targets = {
+      ArrowLeft: currentTime - KEY_SEEK_STEP,
+      ArrowDown: currentTime - KEY_SEEK_STEP,
+      ArrowRight: currentTime + KEY_SEEK_STEP,
+      ArrowUp: currentTime + KEY_SEEK_STEP,
+      PageDown: currentTime - KEY_SEEK_PAGE,
+      PageUp: currentTime + KEY_SEEK_PAGE,
+      Home: 0,
+      End: duration
+    };
+
+    if (!(e.key in targets)) return;
+
+    e.preventDefault();
+    seek(Math.max(0, Math.min(duration, targets[e.key])));
+  };
+
+  return (
+    <WaveformContainer>
+      <MarkerLane>
+        {cueMarkers.map(marker => (
+          <MarkerLabel
+            key={marker.id}
+            style={{ left: toPercent(marker.time, duration) }}
+            onClick={() => jumpToCueMarker(marker.id)}
+            onDoubleClick={() => removeCueMarker(marker.id)}
+            title={marker.end > marker.time
+              ? `${marker.name} (loop ${formatMarkerTime(marker.time)}-${formatMarkerTime(marker.end)}) - double-click to remove`
+              : `${marker.name} (${formatMarkerTime(marker.time)}) - double-click to remove`}
+          >
+            {marker.name}
+          </MarkerLabel>
+        ))}
+      </MarkerLane>
+
+      <WaveformArea
+        ref={areaRef}
+        $height={height}
+        role="slider"
+        tabIndex={duration > 0 ? 0 : -1}
+        aria-label="Seek"
+        aria-valuemin={0}
+        aria-valuemax={Math.round(duration || 0)}
+        aria-valuenow={Math.round(Math.min(currentTime, duration || 0))}
+        aria-valuetext={`${formatMarkerTime(currentTime)} of ${formatMarkerTime(duration || 0)}`}
+        aria-disabled={!duration}
+        onKeyDown={handleKeyDown}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerCancel}
+      >
+        <PeakLayer>{unplayedBars}</PeakLayer>
+        <PeakLayer style={{ clipPath: `inset(0 ${(1 - progress) * 100}% 0 0)` }}>
+          {playedBars}
+        </PeakLayer>
+
+        {region && (
+          <>
+            <LoopRegion
+              $draft={Boolean(draftRegion)}
+              style={{
+                left: toPercent(region.start, duration),
+                width: toPercent(region.end - region.start, duration)
+              }}
+            />
+            <LoopHandle
+              style={{ left: toPercent(region.start, duration) }}
+              onPointerDown={(e) => handleHandleDown(e, 'start')}
+            />
+            <LoopHandle
+              style={{ left: toPercent(region.end, duration) }}
+              onPointerDown={(e) => handleHandleDown(e, 'end')}
+            />
+          </>
+        )}
+
+        {cueMarkers.map(marker => (
+          <MarkerLine key={marker.id} style={{ left: toPercent(marker.time, duration) }} />
+        ))}
+
+        {duration > 0 && <Playhead style={{ left: `${progress * 100}%` }} />}
+      </WaveformArea>
+
+      <WaveformToolbar>
+        <SecondaryButton
+          onClick={() => addCueMarker()}
+          disabled={!currentTrack}
+          size="sm"
+          title="Add Cue Marker at Playhead"
+        >
+          Cue
+        </SecondaryButton>
+
+        <CountInToggle
+          $active={countIn}
+          onClick={() => setCountIn(!countIn)}
+          title="Count-in When Setting a Loop"
+        >
+          COUNT-IN
+        </CountInToggle>
+
+        {loopRegion && (
+          <SecondaryButton onClick={clearLoopRegion} size="sm" title="Clear Loop">
+            Clear Loop
+          </SecondaryButton>
+        )}
+      </WaveformToolbar>
+    </WaveformContainer>
+  );
+};
+
+ProgressWaveform.propTypes = {
+  bins: PropTypes.number,
+  height: PropTypes.number
+};
+
+export default ProgressWaveform;
@@ -1,7 +1,8 @@
 import React from 'react';
 import styled from 'styled-components';
-import Slider from '../../common/Slider';
 import { usePlayer } from '../../../features/player/providers/PlayerProvider';
+import ProgressWaveform from './ProgressWaveform';
+import Artwork from '../../common/Artwork';
 
 const ControlsContainer = styled.div`
   display: flex;
@@ -71,17 +72,18 @@ const ProgressControls = () => {
   const { 
     currentTrack,
     currentTime,
-    duration,
-    seek
+    duration
   } = usePlayer();
 
   return (
     <ControlsContainer>
       <TrackInfo>
         <AlbumArt>
-          {currentTrack?.artwork && (
-            <img src={currentTrack.artwork} alt={`${currentTrack.title} artwork`} />
-          )}
+          <Artwork
+            artworkId={currentTrack?.artworkId}
+            src={currentTrack?.artwork}
+            alt={`${currentTrack?.title} artwork`}
+          />
         </AlbumArt>
         
         <TrackDetails>
@@ -95,14 +97,7 @@ const ProgressControls = () => {
       </TrackInfo>
       
       <ProgressBar>
-        <Slider 
-          value={currentTime}
-          min={0}
-          max={duration || 100}
-          step={0.1}
-          onChange={seek}
-          showValue={false}
-        />
+        <ProgressWaveform />
         
         <TimeDisplay>
           <span>{formatTime(currentTime)}</span>
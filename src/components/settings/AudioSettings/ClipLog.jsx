@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import styled from 'styled-components';
+import PropTypes from 'prop-types';
+import Icon from '../../common/Icon';
+import { useNotification } from '../../common/Notification';
+import { useLibrary } from '../../../features/library/providers/LibraryProvider';
+
+// Styled components
+const Container = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: ${({ theme }) => theme.spacing.md};
+  padding: ${({ theme }) => theme.spacing.md};
+  background-color: ${({ theme }) => theme.colors.surface.darker};
+  border-radius: 6px;
+`;
+
+const Header = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const Title = styled.h3`
+  font-size: ${({ theme }) => theme.typography.sizes.md};
+  font-weight: ${({ theme }) => theme.typography.weights.medium};
+  margin: 0;
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.sm};
+`;
+
+const ClearButton = styled.button`
+  background: transparent;
+  border: 1px solid ${({ theme }) => theme.colors.border.secondary};
+  border-radius: 4px;
+  color: ${({ theme }) => theme.colors.text.secondary};
+  font-size: ${({ theme }) => theme.typography.sizes.xs};
+  padding: 6px 10px;
+  cursor: pointer;
+  transition: all ${({ theme }) => theme.transitions.fast};
+
+  &:hover:not(:disabled) {
+    color: ${({ theme }) => theme.colors.text.primary};
+    border-color: ${({ theme }) => theme.colors.text.secondary};
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: default;
+  }
+`;
+
+const Description = styled.p`
+  font-size: ${({ theme }) => theme.typography.sizes.sm};
+  color: ${({ theme }) => theme.colors.text.secondary};
+  margin: 0;
+  line-height: 1.5;
+`;
+
+const Entries = styled.div`
+  display: flex;
+  flex-direction: column;
+  max-height: 320px;
+  overflow-y: auto;
+`;
+
+const Entry = styled.div`
+  display: grid;
+  grid-template-columns: 1fr auto auto auto;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.md};
+  padding: ${({ theme }) => theme.spacing.sm} 0;
+  border-bottom: 1px solid ${({ theme }) => theme.colors.border.tertiary};
+  font-size: ${({ theme }) => theme.typography.sizes.sm};
+
+  &:last-child {
+    border-bottom: none;
+  }
+`;
+
+const TrackName = styled.div`
+  color: ${({ theme }) => theme.colors.text.primary};
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+`;
+
+const Stat = styled.div`
+  color: ${({ theme }) => theme.colors.text.secondary};
+  font-family: ${({ theme }) => theme.typography.fonts.monospace};
+  font-size: ${({ theme }) => theme.typography.sizes.xs};
+  white-space: nowrap;
+`;
+
+const RemoveButton = styled.button`
+  background: transparent;
+  border: none;
+  color: ${({ theme }) => theme.colors.text.tertiary};
+  cursor: pointer;
+  padding: 2px;
+  display: flex;
+
+  &:hover {
+    color: ${({ theme }) => theme.colors.text.primary};
+  }
+`;
+
+const Empty = styled.div`
+  font-size: ${({ theme }) => theme.typography.sizes.sm};
+  color: ${({ theme }) => theme.colors.text.tertiary};
+  padding: ${({ theme }) => theme.spacing.md} 0;
+  text-align: center;
+`;
+
+/**
+ * Name to show for a logged track URL
+ * @param {string} url - Track URL the clips were logged against
+ * @param {Map} tracksByUrl - Library tracks keyed by the URLs they play from
+ * @returns {string} Track name
+ */
+const getTrackName = (url, tracksByUrl) => {
+  const track = tracksByUrl.get(url);
+  if (track) {
+    return track.artist ? `${track.artist} - ${track.title}` : track.title || track.fileName;
+  }
+
+  // Object URLs only live for the session they were created in
+  if (url.startsWith('blob:')) {
+    return 'Track from an earlier session';
+  }
+
+  if (url === 'unknown') {
+    return 'Unknown track';
+  }
+
+  try {
+    return decodeURIComponent(url.split('/').pop()) || url;
+  } catch {
+    return url;
+  }
+};
+
+/**
+ * ClipLog Component - Lists the tracks whose peaks went over the output
+ * limiter's ceiling, hottest first, so hot files can be found and fixed
+ */
+const ClipLog = ({ engineComponents = null }) => {
+  const { success } = useNotification();
+  const library = useLibrary();
+  const [entries, setEntries] = useState([]);
+  const [limiter, setLimiter] = useState(null);
+
+  const outputManager = engineComponents?.outputManager || null;
+  const tracks = library?.tracks;
+
+  const tracksByUrl = useMemo(() => {
+    const byUrl = new Map();
+
+    for (const track of tracks || []) {
+      for (const url of [track.src, track.url, track.path]) {
+        if (url) byUrl.set(url, track);
+      }
+    }
+
+    return byUrl;
+  }, [tracks]);
+
+  // Follow the log as clips come in
+  useEffect(() => {
+    if (!outputManager) return undefined;
+
+    const refresh = () => {
+      setEntries(outputManager.getClipLogs());
+      setLimiter(outputManager.getLimiterParams());
+    };
+
+    refresh();
+
+    const unsubscribers = [
+      outputManager.on('output:clip', refresh),
+      outputManager.on('output:clip-log-cleared', refresh),
+      outputManager.on('output:limiter-ready', refresh),
+      outputManager.on('output:limiter-changed', refresh)
+    ];
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => {
+        if (typeof unsubscribe === 'function') unsubscribe();
+      });
+    };
+  }, [outputManager]);
+
+  const handleClear = (url) => {
+    outputManager.clearClipLog(url);
+    success(url === undefined ? 'Clip log cleared' : 'Track removed from the clip log');
+  };
+
+  return (
+    <Container>
+      <Header>
+        <Title>
+          <Icon name="VolumeUp" size="20px" />
+          Clip Log
+        </Title>
+        <ClearButton onClick={() => handleClear()} disabled={!outputManager || entries.length === 0}>
+          Clear All
+        </ClearButton>
+      </Header>
+
+      <Description>
+        {limiter
+          ? `Peaks over the ${limiter.ceiling.toFixed(1)} dB${limiter.truePeak ? 'TP' : ''} ceiling are limited and logged per track.`
+          : 'Peaks over the output ceiling are limited and logged per track.'}
+      </Description>
+
+      {!outputManager ? (
+        <Empty>The audio engine is not available</Empty>
+      ) : entries.length === 0 ? (
+        <Empty>No clipping recorded</Empty>
+      ) : (
+        <Entries>
+          {entries.map(entry => (
+            <Entry key={entry.url}>
+              <TrackName title={entry.url}>{getTrackName(entry.url, tracksByUrl)}</TrackName>
+              <Stat>{entry.clipCount} {entry.clipCount === 1 ? 'clip' : 'clips'}</Stat>
+              <Stat>+{entry.maxOvershoot.toFixed(2)} dB</Stat>
+              <RemoveButton
+                onClick={() => handleClear(entry.url)}
+                aria-label="Remove from clip log"
+                title={entry.lastClipAt ? `Last clip ${new Date(entry.lastClipAt).toLocaleString()}` : undefined}
+              >
+                <Icon name="Close" size="14px" />
+              </RemoveButton>
+            </Entry>
+          ))}
+        </Entries>
+      )}
+    </Container>
+  );
+};
+
+ClipLog.propTypes = {
+  engineComponents: PropTypes.shape({
+    outputManager: PropTypes.object
+  })
+};
+
+export default ClipLog;
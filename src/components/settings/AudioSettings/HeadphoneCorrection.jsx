@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import styled from 'styled-components';
+import PropTypes from 'prop-types';
+import Icon from '../../common/Icon';
+import { useNotification } from '../../common/Notification';
+
+// Styled components
+const Container = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: ${({ theme }) => theme.spacing.md};
+  padding: ${({ theme }) => theme.spacing.md};
+  background-color: ${({ theme }) => theme.colors.surface.darker};
+  border-radius: 6px;
+`;
+
+const Header = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const Title = styled.h3`
+  font-size: ${({ theme }) => theme.typography.sizes.md};
+  font-weight: ${({ theme }) => theme.typography.weights.medium};
+  margin: 0;
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.sm};
+`;
+
+const Toggle = styled.label`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.xs};
+  font-size: ${({ theme }) => theme.typography.sizes.xs};
+  color: ${({ theme }) => theme.colors.text.secondary};
+  cursor: pointer;
+`;
+
+const Description = styled.p`
+  font-size: ${({ theme }) => theme.typography.sizes.sm};
+  color: ${({ theme }) => theme.colors.text.secondary};
+  margin: 0;
+  line-height: 1.5;
+`;
+
+const Profile = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.md};
+  padding: ${({ theme }) => theme.spacing.sm} ${({ theme }) => theme.spacing.md};
+  border: 1px solid ${({ theme }) => theme.colors.border.tertiary};
+  border-radius: 4px;
+`;
+
+const ProfileName = styled.div`
+  font-size: ${({ theme }) => theme.typography.sizes.sm};
+  color: ${({ theme }) => theme.colors.text.primary};
+`;
+
+const ProfileDetail = styled.div`
+  font-size: ${({ theme }) => theme.typography.sizes.xs};
+  color: ${({ theme }) => theme.colors.text.tertiary};
+  font-family: ${({ theme }) => theme.typography.fonts.monospace};
+`;
+
+const Actions = styled.div`
+  display: flex;
+  gap: ${({ theme }) => theme.spacing.sm};
+`;
+
+const ActionButton = styled.button`
+  background: transparent;
+  border: 1px solid ${({ theme }) => theme.colors.border.secondary};
+  border-radius: 4px;
+  color: ${({ theme }) => theme.colors.text.secondary};
+  font-size: ${({ theme }) => theme.typography.sizes.xs};
+  padding: 6px 10px;
+  cursor: pointer;
+  transition: all ${({ theme }) => theme.transitions.fast};
+
+  &:hover:not(:disabled) {
+    color: ${({ theme }) => theme.colors.text.primary};
+    border-color: ${({ theme }) => theme.colors.text.secondary};
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: default;
+  }
+`;
+
+/**
+ * HeadphoneCorrection Component - Imports AutoEQ / Equalizer APO
+ * "ParametricEQ.txt" profiles into the output stage's correction EQ. A
+ * profile is bound to the output device it was imported for and follows it.
+ */
+const HeadphoneCorrection = ({ engineComponents = null }) => {
+  const { success, error, warning } = useNotification();
+  const [device, setDevice] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [enabled, setEnabled] = useState(true);
+  const fileInputRef = useRef(null);
+
+  const outputManager = engineComponents?.outputManager || null;
+
+  const refresh = useCallback(() => {
+    if (!outputManager) return;
+
+    setDevice(outputManager.getCurrentDevice());
+    setProfile(outputManager.getCorrectionProfile());
+    setEnabled(outputManager.isCorrectionEnabled());
+  }, [outputManager]);
+
+  // Follow the profile of the current device
+  useEffect(() => {
+    if (!outputManager) return undefined;
+
+    refresh();
+
+    const unsubscribers = [
+      'output:correction-applied',
+      'output:correction-removed',
+      'output:correction-enabled-changed',
+      'output:device-changed'
+    ].map(eventType => outputManager.on(eventType, refresh));
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => {
+        if (typeof unsubscribe === 'function') unsubscribe();
+      });
+    };
+  }, [outputManager, refresh]);
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+
+    if (!file) return;
+
+    try {
+      const name = file.name.replace(/\.[^.]+$/, '');
+      const loaded = outputManager.loadCorrectionProfile(await file.text(), { name });
+
+      if (!loaded) {
+        error(`${file.name} is not a valid correction profile`);
+        return;
+      }
+
+      success(`Loaded ${loaded.name} (${loaded.bands.length} filters)`);
+
+      if (loaded.warnings.length > 0) {
+        warning(`${loaded.warnings.length} ${loaded.warnings.length === 1 ? 'line was' : 'lines were'} skipped in ${file.name}`);
+      }
+
+      refresh();
+    } catch (err) {
+      console.error('Error importing correction profile:', err);
+      error(`Failed to read ${file.name}`);
+    }
+  };
+
+  const handleRemove = () => {
+    if (outputManager.removeCorrectionProfile()) {
+      success('Correction profile removed');
+      refresh();
+    }
+  };
+
+  const deviceName = device?.label || device?.name || 'the default output';
+
+  return (
+    <Container>
+      <Header>
+        <Title>
+          <Icon name="Equalizer" size="20px" />
+          Headphone Correction
+        </Title>
+        <Toggle>
+          <input
+            type="checkbox"
+            checked={enabled}
+            disabled={!outputManager}
+            onChange={(e) => outputManager.setCorrectionEnabled(e.target.checked)}
+          />
+          Enabled
+        </Toggle>
+      </Header>
+
+      <Description>
+        Import an AutoEQ or Equalizer APO ParametricEQ.txt file for {deviceName}.
+        It is applied whenever this output is selected.
+      </Description>
+
+      {profile && (
+        <Profile>
+          <div>
+            <ProfileName>{profile.name}</ProfileName>
+            <ProfileDetail>
+              {profile.bands.length} filters · preamp {profile.preamp.toFixed(1)} dB
+            </ProfileDetail>
+          </div>
+          <ActionButton onClick={handleRemove}>Remove</ActionButton>
+        </Profile>
+      )}
+
+      <Actions>
+        <ActionButton onClick={() => fileInputRef.current?.click()} disabled={!outputManager}>
+          {profile ? 'Replace Profile' : 'Import Profile'}
+        </ActionButton>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".txt,text/plain"
+          style={{ display: 'none' }}
+          onChange={handleImport}
+        />
+      </Actions>
+    </Container>
+  );
+};
+
+HeadphoneCorrection.propTypes = {
+  engineComponents: PropTypes.shape({
+    outputManager: PropTypes.object
+  })
+};
+
+export default HeadphoneCorrection;
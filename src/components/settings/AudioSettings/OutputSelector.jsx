@@ -1,8 +1,10 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import styled from 'styled-components';
+import PropTypes from 'prop-types';
 import Icon from '../../common/Icon';
 import { useNotification } from '../../common/Notification';
 import audioService from '../../../services/AudioService';
+import { CHANNEL_MATRICES } from '../../../services/audio/constants';
 
 // Styled components
 const Container = styled.div`
@@ -139,6 +141,72 @@ const NoDevices = styled.div`
   gap: ${({ theme }) => theme.spacing.md};
 `;
 
+const MatrixSection = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: ${({ theme }) => theme.spacing.sm};
+  padding-top: ${({ theme }) => theme.spacing.md};
+  border-top: 1px solid ${({ theme }) => theme.colors.border.tertiary};
+`;
+
+const MatrixHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  font-size: ${({ theme }) => theme.typography.sizes.sm};
+  color: ${({ theme }) => theme.colors.text.primary};
+`;
+
+const MatrixList = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${({ theme }) => theme.spacing.xs};
+`;
+
+const MatrixOption = styled.button`
+  background-color: ${({ $active }) =>
+    $active ? 'rgba(145, 242, 145, 0.1)' : 'transparent'};
+  border: 1px solid ${({ $active, theme }) =>
+    $active ? theme.colors.brand.primary : theme.colors.border.tertiary};
+  border-radius: 4px;
+  color: ${({ $active, theme }) =>
+    $active ? theme.colors.brand.primary : theme.colors.text.secondary};
+  font-size: ${({ theme }) => theme.typography.sizes.xs};
+  padding: ${({ theme }) => `${theme.spacing.xs} ${theme.spacing.sm}`};
+  cursor: pointer;
+  transition: all ${({ theme }) => theme.transitions.fast};
+
+  &:hover {
+    color: ${({ theme }) => theme.colors.text.primary};
+  }
+`;
+
+const MatrixDetail = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  font-size: ${({ theme }) => theme.typography.sizes.xs};
+  color: ${({ theme }) => theme.colors.text.secondary};
+
+  label {
+    display: flex;
+    align-items: center;
+    gap: ${({ theme }) => theme.spacing.xs};
+    cursor: pointer;
+  }
+`;
+
+// Channel count as a layout name
+const formatChannels = (count) => {
+  switch (count) {
+    case 1: return 'Mono';
+    case 2: return 'Stereo';
+    case 6: return '5.1';
+    case 8: return '7.1';
+    default: return `${count} ch`;
+  }
+};
+
 // Sample fallback data (used when engine is not available)
 const sampleDevices = [
   {
@@ -173,106 +241,131 @@ const sampleDevices = [
   }
 ];
 
+// Names shown for the device types DeviceManager detects
+const DEVICE_TYPE_LABELS = {
+  bluetooth: 'Bluetooth',
+  headphones: 'Headphones',
+  hdmi: 'Digital Output',
+  speakers: 'Speakers',
+  usb: 'External Audio Interface',
+  unknown: 'Output Device'
+};
+
+/**
+ * Shape a DeviceManager device for the list
+ * @param {Object} device - Device ({ id, label, type, isDefault })
+ * @returns {Object} Device with a display name and type
+ */
+const toListDevice = (device) => ({
+  ...device,
+  name: device.name || device.label,
+  type: device.isDefault ? 'System' : (DEVICE_TYPE_LABELS[device.type] || device.type || 'Output Device')
+});
+
 /**
  * OutputSelector Component - Displays and selects audio output devices
- * Integrates with the DeviceManager from the enhanced AudioService
+ * Devices are listed and selected through the audio engine, which hands
+ * them to its OutputManager; the channel matrix is set on the OutputManager.
  */
-const OutputSelector = ({ engineComponents }) => {
+const OutputSelector = ({ engineComponents = null }) => {
   const [devices, setDevices] = useState([]);
   const [selectedDevice, setSelectedDevice] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [deviceManager, setDeviceManager] = useState(null);
+  const [matrix, setMatrix] = useState({ name: 'passthrough', includeLfe: false });
+
+  const engine = engineComponents?.engine || null;
+  const outputManager = engineComponents?.outputManager || null;
 
   const { success, error } = useNotification();
 
-  // Initialize device manager and load devices
-  useEffect(() => {
-    const initDeviceManager = async () => {
-      setLoading(true);
-      
-      try {
-        // Get device manager from engine components
-        let manager = null;
-        
-        if (engineComponents && engineComponents.core) {
-          // Try to get DeviceManager from AudioEngineCore
-          manager = engineComponents.core.getDeviceManager ? 
-            engineComponents.core.getDeviceManager() : 
-            engineComponents.deviceManager;
-        }
-        
-        if (!manager) {
-          // Use fallback data if no device manager available
-          console.warn('DeviceManager not available, using sample devices');
-          setDevices(sampleDevices);
-          setSelectedDevice(sampleDevices.find(device => device.isDefault) || sampleDevices[0]);
-          setLoading(false);
-          return;
-        }
-        
-        // Store device manager for use in other functions
-        setDeviceManager(manager);
-        
-        // Load devices from manager
-        await loadDevices(manager);
-      } catch (err) {
-        console.error('Error initializing device manager:', err);
-        
-        // Use fallback data on error
+  // Load devices from the engine
+  const loadDevices = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      if (!engine || !outputManager) {
+        // Use fallback data if the engine is not available
         setDevices(sampleDevices);
         setSelectedDevice(sampleDevices.find(device => device.isDefault) || sampleDevices[0]);
-        setLoading(false);
-        
-        error('Failed to initialize audio devices');
+        return;
       }
-    };
-    
-    initDeviceManager();
-  }, [engineComponents, error]);
 
-  // Load devices from device manager
-  const loadDevices = async (manager) => {
-    setLoading(true);
-    
-    try {
-      // Get devices from manager
-      const outputDevices = manager.getOutputDevices ? 
-        await manager.getOutputDevices() : 
-        sampleDevices;
-        
-      // Get currently selected device
-      const currentDevice = manager.getCurrentOutputDevice ? 
-        await manager.getCurrentOutputDevice() : 
-        outputDevices.find(d => d.isDefault);
-      
+      const outputDevices = (await engine.getOutputDevices()).map(toListDevice);
+      const currentId = outputManager.getCurrentDevice()?.id;
+
       setDevices(outputDevices);
-      setSelectedDevice(currentDevice || (outputDevices.length > 0 ? outputDevices[0] : null));
-      setLoading(false);
+      setSelectedDevice(
+        outputDevices.find(device => device.id === currentId) ||
+        outputDevices.find(device => device.isDefault) ||
+        outputDevices[0] ||
+        null
+      );
     } catch (err) {
       console.error('Error loading audio devices:', err);
-      
+
       // Use fallback data on error
       setDevices(sampleDevices);
       setSelectedDevice(sampleDevices.find(device => device.isDefault) || sampleDevices[0]);
-      setLoading(false);
-      
+
       error('Failed to load audio devices');
+    } finally {
+      setLoading(false);
     }
-  };
+  }, [engine, outputManager, error]);
+
+  useEffect(() => {
+    loadDevices();
+  }, [loadDevices]);
+
+  // Follow the selected device, including changes made elsewhere
+  useEffect(() => {
+    if (!outputManager) return undefined;
+
+    const unsubscribe = outputManager.on('output:device-changed', (event) => {
+      const device = event.data?.device;
+      if (device) {
+        setSelectedDevice(toListDevice(device));
+      }
+    });
+
+    return () => {
+      if (typeof unsubscribe === 'function') unsubscribe();
+    };
+  }, [outputManager]);
+
+  // Follow the active channel matrix
+  useEffect(() => {
+    if (!outputManager) return undefined;
+
+    const active = outputManager.getChannelMatrix();
+    if (active) {
+      setMatrix(active);
+    }
+
+    const unsubscribe = outputManager.on('output:matrix-changed', (event) => {
+      setMatrix(event.data);
+    });
+
+    return () => {
+      if (typeof unsubscribe === 'function') unsubscribe();
+    };
+  }, [outputManager]);
 
   // Handle device selection
   const handleSelectDevice = async (device) => {
-    try {
+    if (!engine) {
+      // Fallback for when the engine is not available
       setSelectedDevice(device);
-      
-      // Set device in device manager if available
-      if (deviceManager && deviceManager.setOutputDevice) {
-        await deviceManager.setOutputDevice(device.id);
+      success(`Output changed to ${device.name} (simulated)`);
+      return;
+    }
+
+    try {
+      if (await engine.setOutputDevice(device.id)) {
+        setSelectedDevice(device);
         success(`Output changed to ${device.name}`);
       } else {
-        // Fallback for when device manager is not available
-        // In a real app, this would call an audio API to switch the output device
-        success(`Output changed to ${device.name} (simulated)`);
+        error(`Failed to change output device to ${device.name}`);
       }
     } catch (err) {
       console.error('Error setting output device:', err);
@@ -280,33 +373,39 @@ const OutputSelector = ({ engineComponents }) => {
     }
   };
 
+  // Handle channel matrix selection
+  const handleSelectMatrix = (name, includeLfe = matrix.includeLfe) => {
+    if (!outputManager) {
+      // Fallback for when the output stage is not available
+      setMatrix({ name, includeLfe });
+      success(`Channel mapping set to ${CHANNEL_MATRICES[name].label} (simulated)`);
+      return;
+    }
+
+    if (outputManager.setChannelMatrix(name, { includeLfe })) {
+      success(`Channel mapping set to ${CHANNEL_MATRICES[name].label}`);
+    } else {
+      error('Failed to change channel mapping');
+    }
+  };
+
+  const activeMatrix = CHANNEL_MATRICES[matrix.name] || CHANNEL_MATRICES.passthrough;
+
   // Handle device refresh
   const handleRefresh = async () => {
-    if (deviceManager) {
+    if (engineComponents?.deviceManager) {
       try {
-        // Refresh devices in device manager
-        if (deviceManager.refreshDevices) {
-          await deviceManager.refreshDevices();
-        }
-        
-        // Reload devices
-        await loadDevices(deviceManager);
-        success('Audio devices refreshed');
+        await engineComponents.deviceManager.initialize();
+        await engineComponents.deviceManager.enumerateDevices();
       } catch (err) {
         console.error('Error refreshing devices:', err);
         error('Failed to refresh audio devices');
+        return;
       }
-    } else {
-      // Fallback for when device manager is not available
-      setLoading(true);
-      
-      // Simulate a delay
-      setTimeout(() => {
-        setDevices(sampleDevices);
-        setLoading(false);
-        success('Audio devices refreshed (simulated)');
-      }, 1000);
     }
+
+    await loadDevices();
+    success(engine ? 'Audio devices refreshed' : 'Audio devices refreshed (simulated)');
   };
 
   // Get appropriate icon for device type
@@ -371,8 +470,48 @@ const OutputSelector = ({ engineComponents }) => {
           ))}
         </DeviceList>
       )}
+
+      <MatrixSection>
+        <MatrixHeader>Channel Mapping</MatrixHeader>
+        <MatrixList>
+          {Object.entries(CHANNEL_MATRICES).map(([name, definition]) => (
+            <MatrixOption
+              key={name}
+              $active={matrix.name === name}
+              onClick={() => handleSelectMatrix(name)}
+            >
+              {definition.label}
+            </MatrixOption>
+          ))}
+        </MatrixList>
+        <MatrixDetail>
+          <span>
+            {activeMatrix.gains
+              ? `${formatChannels(activeMatrix.inputs)} in, ${formatChannels(activeMatrix.outputs)} out`
+              : 'Channels pass to the device unchanged'}
+          </span>
+          {activeMatrix.lfeInput !== undefined && (
+            <label>
+              <input
+                type="checkbox"
+                checked={matrix.includeLfe}
+                onChange={(e) => handleSelectMatrix(matrix.name, e.target.checked)}
+              />
+              Include LFE
+            </label>
+          )}
+        </MatrixDetail>
+      </MatrixSection>
     </Container>
   );
 };
 
+OutputSelector.propTypes = {
+  engineComponents: PropTypes.shape({
+    engine: PropTypes.object,
+    outputManager: PropTypes.object,
+    deviceManager: PropTypes.object
+  })
+};
+
 export default OutputSelector;
\ No newline at end of file
@@ -245,9 +245,31 @@ const defaultOptions = {
   limiter: {
     enabled: true,
     ceiling: -0.3
+  },
+  crossfade: {
+    enabled: false,
+    duration: 6,
+    curve: 'equal-power',
+    skipSilence: false
+  },
+  normalization: {
+    enabled: false,
+    mode: 'track',
+    preamp: 0,
+    preventClipping: true
   }
 };
 
+// Merge persisted settings over the defaults
+const loadStoredOptions = () => {
+  const stored = audioService.loadAudioSettings();
+
+  return Object.keys(defaultOptions).reduce((merged, key) => ({
+    ...merged,
+    [key]: { ...defaultOptions[key], ...stored[key] }
+  }), {});
+};
+
 /**
  * ProcessingOptions Component - Controls audio processing effects
  * Integrates with the audio effects in the enhanced AudioService
@@ -257,7 +279,22 @@ const ProcessingOptions = ({ engineComponents }) => {
   const [audioEffects, setAudioEffects] = useState(null);
   
   // State for processing options
-  const [options, setOptions] = useState(defaultOptions);
+  const [options, setOptions] = useState(loadStoredOptions);
+
+  // Persist settings whenever they change
+  useEffect(() => {
+    audioService.saveAudioSettings(options);
+  }, [options]);
+
+  // Crossfade lives on the engine rather than in the effects chain
+  useEffect(() => {
+    audioService.setCrossfade(options.crossfade);
+  }, [options.crossfade]);
+
+  // Normalization is applied per source by the engine
+  useEffect(() => {
+    audioService.setNormalization(options.normalization);
+  }, [options.normalization]);
 
   // Initialize audio effects connection
   useEffect(() => {
@@ -489,6 +526,17 @@ const ProcessingOptions = ({ engineComponents }) => {
     }
   };
 
+  // Handle secondary on/off options inside a card
+  const handleOptionToggle = (effectType, param) => {
+    setOptions(prev => ({
+      ...prev,
+      [effectType]: {
+        ...prev[effectType],
+        [param]: !prev[effectType][param]
+      }
+    }));
+  };
+
   // Handle select change
   const handleSelectChange = async (effectType, param, value) => {
     try {
@@ -509,7 +557,7 @@ const ProcessingOptions = ({ engineComponents }) => {
         }
       }
       
-      success(`${effectType.charAt(0).toUpperCase() + effectType.slice(1)} preset changed to ${value}`);
+      success(`${effectType.charAt(0).toUpperCase() + effectType.slice(1)} ${param} changed to ${value}`);
     } catch (err) {
       console.error(`Error setting ${param} for ${effectType}:`, err);
       error(`Failed to update ${param}: ${err.message}`);
@@ -769,6 +817,163 @@ const ProcessingOptions = ({ engineComponents }) => {
             </OptionControls>
           </OptionContent>
         </OptionCard>
+
+        {/* Crossfade */}
+        <OptionCard>
+          <OptionHeader>
+            <OptionTitle>
+              <Icon name="Equalizer" size="16px" />
+              Crossfade
+            </OptionTitle>
+            <OptionSwitch>
+              <SwitchInput
+                type="checkbox"
+                checked={options.crossfade.enabled}
+                onChange={() => handleToggle('crossfade')}
+              />
+              <SwitchSlider />
+            </OptionSwitch>
+          </OptionHeader>
+          <OptionContent>
+            <OptionDescription>
+              Blends the end of each track into the start of the next.
+            </OptionDescription>
+            <OptionControls disabled={!options.crossfade.enabled}>
+              <ControlRow>
+                <ControlLabel>Duration</ControlLabel>
+                <ControlValue>{options.crossfade.duration} s</ControlValue>
+              </ControlRow>
+              <SliderContainer>
+                <SliderTrack />
+                <SliderFill
+                  value={options.crossfade.duration}
+                  min={0}
+                  max={12}
+                />
+                <SliderThumb
+                  value={options.crossfade.duration}
+                  min={0}
+                  max={12}
+                />
+                <RangeInput
+                  type="range"
+                  min={0}
+                  max={12}
+                  step={0.5}
+                  value={options.crossfade.duration}
+                  onChange={(e) => handleValueChange('crossfade', 'duration', e.target.value)}
+                />
+              </SliderContainer>
+
+              <ControlRow>
+                <ControlLabel>Curve</ControlLabel>
+                <SelectContainer>
+                  <StyledSelect
+                    value={options.crossfade.curve}
+                    onChange={(e) => handleSelectChange('crossfade', 'curve', e.target.value)}
+                  >
+                    <option value="linear">Linear</option>
+                    <option value="equal-power">Equal Power</option>
+                    <option value="s-curve">S-Curve</option>
+                  </StyledSelect>
+                  <SelectIcon>
+                    <Icon name="Expand" size="12px" />
+                  </SelectIcon>
+                </SelectContainer>
+              </ControlRow>
+
+              <ControlRow>
+                <ControlLabel>Skip silence</ControlLabel>
+                <OptionSwitch>
+                  <SwitchInput
+                    type="checkbox"
+                    checked={options.crossfade.skipSilence}
+                    onChange={() => handleOptionToggle('crossfade', 'skipSilence')}
+                  />
+                  <SwitchSlider />
+                </OptionSwitch>
+              </ControlRow>
+            </OptionControls>
+          </OptionContent>
+        </OptionCard>
+
+        {/* Loudness Normalization */}
+        <OptionCard>
+          <OptionHeader>
+            <OptionTitle>
+              <Icon name="Equalizer" size="16px" />
+              Normalization
+            </OptionTitle>
+            <OptionSwitch>
+              <SwitchInput
+                type="checkbox"
+                checked={options.normalization.enabled}
+                onChange={() => handleToggle('normalization')}
+              />
+              <SwitchSlider />
+            </OptionSwitch>
+          </OptionHeader>
+          <OptionContent>
+            <OptionDescription>
+              Evens out volume between tracks using ReplayGain tags or measured loudness.
+            </OptionDescription>
+            <OptionControls disabled={!options.normalization.enabled}>
+              <ControlRow>
+                <ControlLabel>Mode</ControlLabel>
+                <SelectContainer>
+                  <StyledSelect
+                    value={options.normalization.mode}
+                    onChange={(e) => handleSelectChange('normalization', 'mode', e.target.value)}
+                  >
+                    <option value="track">Track</option>
+                    <option value="album">Album</option>
+                  </StyledSelect>
+                  <SelectIcon>
+                    <Icon name="Expand" size="12px" />
+                  </SelectIcon>
+                </SelectContainer>
+              </ControlRow>
+
+              <ControlRow>
+                <ControlLabel>Preamp</ControlLabel>
+                <ControlValue>{options.normalization.preamp} dB</ControlValue>
+              </ControlRow>
+              <SliderContainer>
+                <SliderTrack />
+                <SliderFill
+                  value={options.normalization.preamp + 15}
+                  min={0}
+                  max={30}
+                />
+                <SliderThumb
+                  value={options.normalization.preamp + 15}
+                  min={0}
+                  max={30}
+                />
+                <RangeInput
+                  type="range"
+                  min={-15}
+                  max={15}
+                  step={0.5}
+                  value={options.normalization.preamp}
+                  onChange={(e) => handleValueChange('normalization', 'preamp', e.target.value)}
+                />
+              </SliderContainer>
+
+              <ControlRow>
+                <ControlLabel>Prevent clipping</ControlLabel>
+                <OptionSwitch>
+                  <SwitchInput
+                    type="checkbox"
+                    checked={options.normalization.preventClipping}
+                    onChange={() => handleOptionToggle('normalization', 'preventClipping')}
+                  />
+                  <SwitchSlider />
+                </OptionSwitch>
+              </ControlRow>
+            </OptionControls>
+          </OptionContent>
+        </OptionCard>
       </OptionsGrid>
     </Container>
   );
@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import PropTypes from 'prop-types';
+import Icon from '../../common/Icon';
+import { SPATIAL_STAGE } from '../../../services/audio/constants/AudioParams';
+
+// Styled components
+const Container = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: ${({ theme }) => theme.spacing.md};
+  padding: ${({ theme }) => theme.spacing.md};
+  background-color: ${({ theme }) => theme.colors.surface.darker};
+  border-radius: 6px;
+`;
+
+const Title = styled.h3`
+  font-size: ${({ theme }) => theme.typography.sizes.md};
+  font-weight: ${({ theme }) => theme.typography.weights.medium};
+  margin: 0;
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.sm};
+`;
+
+const Description = styled.p`
+  font-size: ${({ theme }) => theme.typography.sizes.sm};
+  color: ${({ theme }) => theme.colors.text.secondary};
+  margin: 0;
+  line-height: 1.5;
+`;
+
+const ModeList = styled.div`
+  display: grid;
+  grid-template-columns: repeat(3, 1fr);
+  gap: ${({ theme }) => theme.spacing.sm};
+`;
+
+const ModeOption = styled.button`
+  padding: ${({ theme }) => theme.spacing.sm};
+  border-radius: 4px;
+  border: 1px solid ${({ $active, theme }) =>
+    $active ? theme.colors.brand.primary : theme.colors.border.tertiary};
+  background-color: ${({ $active }) =>
+    $active ? 'rgba(145, 242, 145, 0.1)' : 'transparent'};
+  color: ${({ theme }) => theme.colors.text.primary};
+  font-size: ${({ theme }) => theme.typography.sizes.sm};
+  cursor: pointer;
+  transition: all ${({ theme }) => theme.transitions.fast};
+
+  &:hover:not(:disabled) {
+    border-color: ${({ theme }) => theme.colors.brand.primary};
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: default;
+  }
+`;
+
+const Control = styled.label`
+  display: grid;
+  grid-template-columns: 140px 1fr 80px;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing.md};
+  font-size: ${({ theme }) => theme.typography.sizes.sm};
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+const Value = styled.span`
+  font-family: ${({ theme }) => theme.typography.fonts.monospace};
+  font-size: ${({ theme }) => theme.typography.sizes.xs};
+  color: ${({ theme }) => theme.colors.text.primary};
+  text-align: right;
+`;
+
+const MODE_LABELS = {
+  off: 'Off',
+  binaural: 'Virtual Speakers',
+  crossfeed: 'Crossfeed'
+};
+
+const MODE_DESCRIPTIONS = {
+  off: 'Headphone playback is left as mixed.',
+  binaural: 'Places a virtual stereo speaker pair in front of you.',
+  crossfeed: 'Blends a little of each channel into the other ear to soften hard-panned mixes.'
+};
+
+// Controls shown for each mode
+const MODE_CONTROLS = {
+  off: [],
+  binaural: [
+    { name: 'speakerAngle', label: 'Speaker Angle', step: 1, format: value => `±${value}°` },
+    { name: 'distance', label: 'Distance', step: 0.1, format: value => `${value.toFixed(1)} m` },
+    { name: 'roomSize', label: 'Room', step: 0.05, format: value => `${Math.round(value * 100)}%` }
+  ],
+  crossfeed: [
+    { name: 'crossfeedLevel', label: 'Level', step: 0.5, format: value => `${value.toFixed(1)} dB` },
+    { name: 'crossfeedCutoff', label: 'Cutoff', step: 10, format: value => `${Math.round(value)} Hz` }
+  ]
+};
+
+// Used until the engine reports its own settings
+const DEFAULT_PARAMS = {
+  mode: 'off',
+  speakerAngle: SPATIAL_STAGE.speakerAngle.default,
+  distance: SPATIAL_STAGE.distance.default,
+  roomSize: SPATIAL_STAGE.roomSize.default,
+  crossfeedLevel: SPATIAL_STAGE.crossfeedLevel.default,
+  crossfeedCutoff: SPATIAL_STAGE.crossfeedCutoff.default
+};
+
+/**
+ * SpatialSettings Component - Controls the output stage's headphone
+ * spatialization: virtual speakers or crossfeed
+ */
+const SpatialSettings = ({ engineComponents = null }) => {
+  const [params, setParams] = useState(DEFAULT_PARAMS);
+
+  const outputManager = engineComponents?.outputManager || null;
+
+  // Follow the engine's settings
+  useEffect(() => {
+    if (!outputManager) return undefined;
+
+    setParams(outputManager.getSpatialParams());
+
+    const unsubscribe = outputManager.on('output:spatial-changed', (event) => {
+      setParams(prev => ({ ...prev, ...event.data }));
+    });
+
+    return () => {
+      if (typeof unsubscribe === 'function') unsubscribe();
+    };
+  }, [outputManager]);
+
+  const handleChange = (changes) => {
+    setParams(prev => ({ ...prev, ...changes }));
+    outputManager.setSpatialParams(changes);
+  };
+
+  return (
+    <Container>
+      <Title>
+        <Icon name="VolumeUp" size="20px" />
+        Headphone Spatialization
+      </Title>
+
+      <Description>{MODE_DESCRIPTIONS[params.mode]}</Description>
+
+      <ModeList>
+        {SPATIAL_STAGE.modes.map(mode => (
+          <ModeOption
+            key={mode}
+            $active={params.mode === mode}
+            disabled={!outputManager}
+            onClick={() => handleChange({ mode })}
+          >
+            {MODE_LABELS[mode]}
+          </ModeOption>
+        ))}
+      </ModeList>
+
+      {MODE_CONTROLS[params.mode].map(({ name, label, step, format }) => (
+        <Control key={name}>
+          {label}
+          <input
+            type="range"
+            min={SPATIAL_STAGE[name].min}
+            max={SPATIAL_STAGE[name].max}
+            step={step}
+            value={params[name]}
+            disabled={!outputManager}
+            onChange={(e) => handleChange({ [name]: parseFloat(e.target.value) })}
+          />
+          <Value>{format(params[name])}</Value>
+        </Control>
+      ))}
+    </Container>
+  );
+};
+
+SpatialSettings.propTypes = {
+  engineComponents: PropTypes.shape({
+    outputManager: PropTypes.object
+  })
+};
+
+export default SpatialSettings;
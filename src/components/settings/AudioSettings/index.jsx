@@ -5,6 +5,9 @@ import audioService from '../../../services/AudioService';
 import OutputSelector from './OutputSelector';
 import BufferSettings from './BufferSettings';
 import ProcessingOptions from './ProcessingOptions';
+import HeadphoneCorrection from './HeadphoneCorrection';
+import SpatialSettings from './SpatialSettings';
+import ClipLog from './ClipLog';
 
 const Container = styled.div`
   display: flex;
@@ -16,6 +19,12 @@ const Section = styled.div`
   margin-bottom: ${({ theme }) => theme.spacing.xl};
 `;
 
+const SectionBody = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: ${({ theme }) => theme.spacing.md};
+`;
+
 const SectionTitle = styled.h2`
   font-size: ${({ theme }) => theme.typography.sizes.lg};
   font-weight: ${({ theme }) => theme.typography.weights.medium};
@@ -65,6 +74,19 @@ const AudioSettings = () => {
         <SectionTitle>Audio Processing</SectionTitle>
         <ProcessingOptions engineComponents={engineComponents} />
       </Section>
+      
+      <Section>
+        <SectionTitle>Output Processing</SectionTitle>
+        <SectionBody>
+          <HeadphoneCorrection engineComponents={engineComponents} />
+          <SpatialSettings engineComponents={engineComponents} />
+        </SectionBody>
+      </Section>
+      
+      <Section>
+        <SectionTitle>Output Protection</SectionTitle>
+        <ClipLog engineComponents={engineComponents} />
+      </Section>
     </Container>
   );
 };
@@ -129,6 +129,59 @@ const borderRadius = {
   round: '9999px',
 };
 
+// Theme handed to styled-components for the shared component library
+// Colors point at the CSS variables set from the active theme, so
+// components follow light/dark switches without re-rendering.
+const componentTheme = {
+  colors: {
+    background: {
+      gradient1: 'var(--bgGradientStart)',
+      gradient2: 'var(--bgGradientEnd)',
+    },
+    surface: {
+      primary: 'var(--bgPrimary)',
+      darker: 'var(--bgContent)',
+      lighter: 'var(--bgSecondary)',
+      elevated: 'var(--bgControl)',
+    },
+    text: {
+      primary: 'var(--textPrimary)',
+      secondary: 'var(--textSecondary)',
+      tertiary: 'var(--textDimmed)',
+    },
+    brand: {
+      primary: 'var(--accentPrimary)',
+      secondary: 'var(--accentHighlight)',
+      warning: 'var(--accentWarning)',
+      error: 'var(--accentError)',
+    },
+    border: {
+      primary: 'var(--borderMedium)',
+      secondary: 'var(--borderLight)',
+      tertiary: 'var(--borderSubtle)',
+    },
+  },
+  spacing: grid.spacing,
+  typography: {
+    fonts: {
+      primary: typography.fontFamily,
+      monospace: typography.fontFamilyMono,
+    },
+    sizes: typography.sizes,
+    weights: typography.weights,
+  },
+  transitions: {
+    fast: `${animation.fast} ${animation.timing}`,
+    normal: `${animation.normal} ${animation.timing}`,
+    slow: `${animation.slow} ${animation.timing}`,
+  },
+  shadows: {
+    sm: '0 1px 3px var(--shadowColor)',
+    md: '0 4px 12px var(--shadowColor)',
+  },
+  borderRadius,
+};
+
 // Export theme system
-export { themes, grid, typography, animation, borderRadius };
+export { themes, grid, typography, animation, borderRadius, componentTheme };
 export default themes;
\ No newline at end of file
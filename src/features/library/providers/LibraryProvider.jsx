@@ -1,6 +1,11 @@
 import React, { createContext, useContext, useState, useEffect, useReducer } from 'react';
 import { scanDirectoryForAudioFiles } from '../../../services/FileSystemService';
 import { extractMetadata } from '../../../services/MetadataService';
+import { saveTrackTags } from '../../../services/TagWriterService';
+import { loadTrackLyrics } from '../../../services/LyricsService';
+import { storeFolderThumbnail, storeEmbeddedThumbnail } from '../../../services/ArtworkService';
+import audioService from '../../../services/AudioService';
+import AudioUtils from '../../../services/audio/utils/AudioHelpers';
 
 // Define library item types
 export const LIBRARY_ITEM_TYPES = {
@@ -23,7 +28,9 @@ const initialLibraryState = {
   scanTotal: 0,
   lastScanDate: null,
   error: null,
-  isInitialized: false
+  isInitialized: false,
+  sort: { field: 'title', direction: 'asc' },
+  filters: { key: null, harmonic: false, lossless: false, minSampleRate: null, minBitDepth: null }
 };
 
 // Library action types
@@ -49,6 +56,8 @@ export const LIBRARY_ACTIONS = {
   SET_SCAN_COMPLETE: 'SET_SCAN_COMPLETE',
   SET_ERROR: 'SET_ERROR',
   CLEAR_ERROR: 'CLEAR_ERROR',
+  SET_SORT: 'SET_SORT',
+  SET_FILTERS: 'SET_FILTERS',
   RESET_LIBRARY: 'RESET_LIBRARY',
   INITIALIZE: 'INITIALIZE'
 };
@@ -82,9 +91,18 @@ const libraryReducer = (state, action) => {
     case LIBRARY_ACTIONS.ADD_ALBUMS:
       return {
         ...state,
-        albums: [...state.albums, ...action.payload.filter(
-          album => !state.albums.some(a => a.id === album.id)
-        )]
+        albums: [
+          // Known albums pick up a cover found by a later scan
+          ...state.albums.map(album => {
+            const added = action.payload.find(a => a.id === album.id);
+            return added && added.artworkId && !album.artworkId
+              ? { ...album, artworkId: added.artworkId }
+              : album;
+          }),
+          ...action.payload.filter(
+            album => !state.albums.some(a => a.id === album.id)
+          )
+        ]
       };
     case LIBRARY_ACTIONS.REMOVE_ALBUMS:
       return {
@@ -149,6 +167,10 @@ const libraryReducer = (state, action) => {
       return { ...state, error: action.payload };
     case LIBRARY_ACTIONS.CLEAR_ERROR:
       return { ...state, error: null };
+    case LIBRARY_ACTIONS.SET_SORT:
+      return { ...state, sort: { ...state.sort, ...action.payload } };
+    case LIBRARY_ACTIONS.SET_FILTERS:
+      return { ...state, filters: { ...state.filters, ...action.payload } };
     case LIBRARY_ACTIONS.RESET_LIBRARY:
       return {
         ...initialLibraryState,
@@ -161,6 +183,30 @@ const libraryReducer = (state, action) => {
   }
 };
 
+// Compare two tracks on a library sort field
+const compareTracks = (a, b, field) => {
+  if (field === 'camelot') {
+    return AudioUtils.compareCamelotCodes(a.camelot, b.camelot);
+  }
+
+  const left = a[field];
+  const right = b[field];
+
+  if (left === right) return 0;
+  if (left === undefined || left === null || left === '') return 1;
+  if (right === undefined || right === null || right === '') return -1;
+
+  if (typeof left === 'number' && typeof right === 'number') {
+    return left - right;
+  }
+
+  return String(left).localeCompare(String(right), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+// Read a technical property, from the audioProperties block when the track has one
+const audioProperty = (track, field) =>
+  (track.audioProperties ? track.audioProperties[field] : track[field]) || null;
+
 // Create library context
 export const LibraryContext = createContext({
   state: initialLibraryState,
@@ -169,6 +215,11 @@ export const LibraryContext = createContext({
   removeFolder: () => {},
   scanLibrary: () => {},
   importTracks: () => {},
+  analyzeLoudness: () => {},
+  analyzeBeatGrid: () => {},
+  analyzeKeys: () => {},
+  editTrackTags: () => {},
+  getVisibleTracks: () => [],
   getMostPlayed: () => [],
   getRecentlyAdded: () => [],
   getRecentlyPlayed: () => [],
@@ -622,8 +673,19 @@ export const LibraryProvider = ({ children }) => {
             track: metadata.track || null,
             genre: metadata.genre || null,
             duration: metadata.duration || null,
-            artwork: metadata.artwork || null,
+            replayGain: metadata.replayGain || null,
+            key: metadata.key || null,
+            camelot: metadata.camelot || null,
+            sampleRate: metadata.sampleRate || null,
+            bitDepth: metadata.bitDepth || null,
+            channels: metadata.channels || null,
+            broadcast: metadata.broadcast || null,
+            cueMarkers: metadata.cueMarkers || [],
+            audioProperties: metadata.audioProperties || null,
+            lyrics: await loadTrackLyrics(metadata.lyrics, audioFile.lyricsHandle),
+            artworkId: await storeFolderThumbnail(audioFile.folderImage) || metadata.artworkId || null,
             path: audioFile.path,
+            handle: audioFile.handle || null,
             url: audioFile.file ? URL.createObjectURL(audioFile.file) : null,
             fileName: audioFile.name,
             fileSize: audioFile.size,
@@ -687,11 +749,17 @@ export const LibraryProvider = ({ children }) => {
               title: track.album,
               artist: track.artist,
               year: track.year,
+              artworkId: null,
               tracks: []
             };
           }
 
           albums[albumId].tracks.push(track.id);
+
+          // The first cover thumbnail found becomes the album's
+          if (!albums[albumId].artworkId && track.artworkId) {
+            albums[albumId].artworkId = track.artworkId;
+          }
         }
 
         // Process artist
@@ -734,6 +802,271 @@ export const LibraryProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Run an analysis over library tracks and store its results on the track
+   * records. Tracks without a file, and tracks already analyzed, are skipped
+   * unless forced.
+   * @param {string} name - Analysis name used in the error message
+   * @param {Array|null} trackIds - IDs of tracks to analyze, null for all
+   * @param {boolean} force - Re-analyze tracks that already have results
+   * @param {Object} analysis - How to analyze
+   * @param {Function} analysis.isAnalyzed - (track) => whether the track has results
+   * @param {Function} analysis.analyze - async (tracks) => track updates ({ id, ...fields }) for a group
+   * @param {Function} [analysis.group] - (candidates) => groups of tracks analyzed together
+   * @returns {Promise<number>} Number of tracks updated
+   */
+  const analyzeTracks = async (name, trackIds, force, { isAnalyzed, analyze, group }) => {
+    try {
+      const candidates = state.tracks.filter(track =>
+        (!trackIds || trackIds.includes(track.id)) &&
+        (track.url || track.path) &&
+        (force || !isAnalyzed(track))
+      );
+      const candidateIds = new Set(candidates.map(track => track.id));
+      const groups = group ? group(candidates) : candidates.map(track => [track]);
+
+      let updated = 0;
+
+      for (const tracks of groups) {
+        const updates = await analyze(tracks);
+
+        // A group may hold tracks outside the request; only candidates are updated
+        updates.filter(update => candidateIds.has(update.id)).forEach(payload => {
+          dispatch({ type: LIBRARY_ACTIONS.UPDATE_TRACK, payload });
+          updated++;
+        });
+      }
+
+      return updated;
+    } catch (error) {
+      dispatch({ type: LIBRARY_ACTIONS.SET_ERROR, payload: `${name} failed: ${error.message}` });
+      return 0;
+    }
+  };
+
+  /**
+   * Measure loudness and store ReplayGain values on the track records
+   * Tracks whose REPLAYGAIN_* tags were read at import are skipped unless
+   * forced. Album gain is computed over every track of the album, even
+   * when only some of them are being analyzed.
+   * @param {Array} [trackIds] - IDs of tracks to analyze, defaults to all
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.force=false] - Re-measure tracks that already have values
+   * @returns {Promise<number>} Number of tracks updated
+   */
+  const analyzeLoudness = (trackIds = null, { force = false } = {}) => {
+    const getAlbumId = (track) => `album-${track.album.toLowerCase().replace(/[^a-z0-9]/g, '-')}`;
+
+    return analyzeTracks('Loudness analysis', trackIds, force, {
+      isAnalyzed: track => Boolean(track.replayGain),
+
+      // Group by album; single tracks are measured on their own
+      group: (candidates) => {
+        const groups = {};
+        candidates.forEach(track => {
+          const key = track.album ? getAlbumId(track) : track.id;
+          if (!groups[key]) {
+            groups[key] = track.album
+              ? state.tracks.filter(t => t.album && getAlbumId(t) === key && (t.url || t.path))
+              : [track];
+          }
+        });
+        return Object.values(groups);
+      },
+
+      analyze: async (tracks) => {
+        const result = await audioService.scanAlbumLoudness(tracks.map(track => track.url || track.path));
+        if (!result) return [];
+
+        const isAlbum = Boolean(tracks[0].album);
+
+        return tracks.map((track, index) => {
+          const measurement = result.tracks[index];
+
+          return {
+            id: track.id,
+            loudness: {
+              integrated: measurement.integrated,
+              range: measurement.range,
+              truePeak: measurement.truePeak,
+              samplePeak: measurement.samplePeak,
+              scannedAt: new Date().toISOString()
+            },
+            replayGain: {
+              trackGain: measurement.trackGain,
+              trackPeak: measurement.trackPeak,
+              albumGain: isAlbum ? result.album.albumGain : null,
+              albumPeak: isAlbum ? result.album.albumPeak : null
+            }
+          };
+        });
+      }
+    });
+  };
+
+  /**
+   * Find tempo and beat grid over whole tracks and store them on the track
+   * records. The measured BPM replaces a tagged one. Tracks that already
+   * have a grid are skipped unless forced.
+   * @param {Array} [trackIds] - IDs of tracks to analyze, defaults to all
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.force=false] - Re-analyze tracks that already have a grid
+   * @returns {Promise<number>} Number of tracks updated
+   */
+  const analyzeBeatGrid = (trackIds = null, { force = false } = {}) =>
+    analyzeTracks('Beat grid analysis', trackIds, force, {
+      isAnalyzed: track => Boolean(track.beatGrid),
+      analyze: async ([track]) => {
+        const result = await audioService.analyzeBeatGrid(track.url || track.path);
+        if (!result || !result.bpm) return [];
+
+        return [{
+          id: track.id,
+          bpm: result.bpm,
+          beatGrid: result.beats,
+          beatGridConfidence: result.confidence
+        }];
+      }
+    });
+
+  /**
+   * Detect the musical key of tracks and store it on the track records,
+   * with its Camelot code and the detector's confidence. Tracks with a
+   * detected key are skipped unless forced; a tagged key is replaced.
+   * @param {Array} [trackIds] - IDs of tracks to analyze, defaults to all
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.force=false] - Re-analyze tracks that already have a detected key
+   * @returns {Promise<number>} Number of tracks updated
+   */
+  const analyzeKeys = (trackIds = null, { force = false } = {}) =>
+    analyzeTracks('Key detection', trackIds, force, {
+      isAnalyzed: track => track.keyConfidence !== undefined && track.keyConfidence !== null,
+      analyze: async ([track]) => {
+        const result = await audioService.detectKey(track.url || track.path);
+        if (!result || !result.key) return [];
+
+        return [{
+          id: track.id,
+          key: result.key,
+          camelot: result.camelot,
+          keyConfidence: result.confidence
+        }];
+      }
+    });
+
+  /**
+   * Write tag edits to the files of tracks and update the track records.
+   * Files are rewritten in place when write permission is granted for
+   * their handle; otherwise the tagged file is offered as a download.
+   * @param {Array} trackIds - IDs of tracks to edit
+   * @param {Object} tags - Tag edits; undefined fields are kept, null or '' clears them.
+   *   picture is { data, format, url } where url is a data URL used as the track artwork
+   * @param {Object} [options] - Options
+   * @param {Array} [options.writableIds] - IDs of tracks whose handles were granted write permission
+   * @returns {Promise<Object>} - { saved, downloaded, failed } track counts
+   */
+  const editTrackTags = async (trackIds, tags, { writableIds = [] } = {}) => {
+    const result = { saved: 0, downloaded: 0, failed: 0 };
+
+    // Library fields for each tag field
+    const fieldMap = {
+      title: 'title',
+      artist: 'artist',
+      album: 'album',
+      genre: 'genre',
+      year: 'year',
+      track: 'track',
+      discNumber: 'discNumber',
+      bpm: 'bpm'
+    };
+
+    for (const track of state.tracks.filter(t => trackIds.includes(t.id))) {
+      try {
+        const { savedTo, file } = await saveTrackTags(track, tags, {
+          writeInPlace: writableIds.includes(track.id)
+        });
+        const updates = { id: track.id };
+
+        Object.entries(fieldMap).forEach(([tagField, trackField]) => {
+          if (tags[tagField] !== undefined) {
+            updates[trackField] = tags[tagField] === '' ? null : tags[tagField];
+          }
+        });
+
+        if (tags.picture !== undefined) {
+          updates.artworkId = await storeEmbeddedThumbnail(tags.picture);
+          updates.artwork = null;
+        }
+
+        // The old blob URL points at the file as it was
+        if (file) {
+          if (track.url && track.url.startsWith('blob:')) {
+            URL.revokeObjectURL(track.url);
+          }
+          updates.url = URL.createObjectURL(file);
+          updates.fileSize = file.size;
+        }
+
+        dispatch({ type: LIBRARY_ACTIONS.UPDATE_TRACK, payload: updates });
+
+        if (savedTo === 'file') {
+          result.saved++;
+        } else {
+          result.downloaded++;
+        }
+      } catch (error) {
+        console.error(`Failed to write tags for ${track.fileName || track.id}:`, error);
+        result.failed++;
+      }
+    }
+
+    if (result.failed > 0) {
+      dispatch({
+        type: LIBRARY_ACTIONS.SET_ERROR,
+        payload: `Could not write tags for ${result.failed} track${result.failed === 1 ? '' : 's'}`
+      });
+    }
+
+    return result;
+  };
+
+  /**
+   * Apply the library's key and audio quality filters and sort order to tracks
+   * @param {Array} [tracks] - Tracks to filter, defaults to the whole library
+   * @returns {Array} Array of track objects
+   */
+  const getVisibleTracks = (tracks = state.tracks) => {
+    const { sort, filters } = state;
+    let list = tracks;
+
+    if (filters.key) {
+      const codes = filters.harmonic ?
+        AudioUtils.getCompatibleCamelotCodes(filters.key) :
+        [AudioUtils.getCamelotCode(filters.key)];
+
+      list = list.filter(track => codes.includes(track.camelot));
+    }
+
+    if (filters.lossless) {
+      list = list.filter(track => audioProperty(track, 'lossless'));
+    }
+
+    if (filters.minSampleRate) {
+      list = list.filter(track => audioProperty(track, 'sampleRate') >= filters.minSampleRate);
+    }
+
+    if (filters.minBitDepth) {
+      list = list.filter(track => audioProperty(track, 'bitDepth') >= filters.minBitDepth);
+    }
+
+    if (sort.field) {
+      const direction = sort.direction === 'desc' ? -1 : 1;
+      list = [...list].sort((a, b) => compareTracks(a, b, sort.field) * direction);
+    }
+
+    return list;
+  };
+
   /**
    * Get most played tracks
    * @param {number} limit - Maximum number of tracks to return
@@ -937,6 +1270,11 @@ export const LibraryProvider = ({ children }) => {
     removeFolder,
     scanLibrary,
     importTracks,
+    analyzeLoudness,
+    analyzeBeatGrid,
+    analyzeKeys,
+    editTrackTags,
+    getVisibleTracks,
     getMostPlayed,
     getRecentlyAdded,
     getRecentlyPlayed,
@@ -32,6 +32,22 @@ const PlayerContext = createContext({
   removeFromQueue: () => {},
   clearQueue: () => {},
   toggleFavorite: () => {},
+  // Loop region and cue markers
+  loopRegion: null,
+  setLoopRegion: () => {},
+  clearLoopRegion: () => {},
+  cueMarkers: [],
+  addCueMarker: () => {},
+  renameCueMarker: () => {},
+  removeCueMarker: () => {},
+  jumpToCueMarker: () => {},
+  // Tempo and pitch
+  timeStretch: { tempo: 1, pitch: 0, latency: 0, available: false },
+  setTimeStretch: () => {},
+  // Automation
+  automation: null,
+  setAutomation: () => {},
+  setTrackFades: () => {},
   // Audio engine properties
   audioElement: null,
   analyser: null,
@@ -66,6 +82,11 @@ export const PlayerProvider = ({ children }) => {
   const [favorites, setFavorites] = useState([]);
   const [errorState, setErrorState] = useState({ hasError: false, message: '' });
   const [bufferState, setBufferState] = useState({ progress: 0, isBuffering: false });
+  const [loopRegion, setLoopRegionState] = useState(null);
+  const [timeStretch, setTimeStretchState] = useState({ tempo: 1, pitch: 0, latency: 0, available: false });
+
+  // Session restored by the engine, waiting for its track in the library: { url, position }
+  const [restoredSession, setRestoredSession] = useState(null);
 
   // Store references to advanced audio engine components
   const engineRef = useRef(null);
@@ -73,6 +94,13 @@ export const PlayerProvider = ({ children }) => {
   const eventBusRef = useRef(null);
   const eventUnsubscribesRef = useRef([]);
 
+  // Track queued in the engine for gapless playback: { track, fromQueue }
+  const upcomingTrackRef = useRef(null);
+  const currentTrackRef = useRef(null);
+
+  // Engine events are subscribed once; the ended handler needs the current queue
+  const trackEndedRef = useRef(null);
+
   // Initialize audio service
   useEffect(() => {
     // Initialize the audio service if not already initialized
@@ -95,12 +123,24 @@ export const PlayerProvider = ({ children }) => {
       // Define event handlers
       const handlers = {
         'source:timeupdate': handleTimeUpdate,
-        'source:ended': handleTrackEnded,
+        'playback:ended': (event) => trackEndedRef.current && trackEndedRef.current(event),
+        'track:transition': handleTrackTransition,
         'buffer:loaded': handleTrackLoaded,
         'source:error': handleAudioError,
         'buffer:progress': handleBufferProgress,
         'buffer:waiting': () => setBufferState(prev => ({ ...prev, isBuffering: true })),
-        'buffer:playing': () => setBufferState(prev => ({ ...prev, isBuffering: false }))
+        'buffer:playing': () => setBufferState(prev => ({ ...prev, isBuffering: false })),
+        'loop:region-changed': (event) => setLoopRegionState({
+          start: event.data.start,
+          end: event.data.end
+        }),
+        'loop:region-cleared': () => setLoopRegionState(null),
+        'engine:time-stretch-changed': handleTimeStretchChanged,
+        'timestretch:ready': handleTimeStretchChanged,
+        'automation:changed': handleAutomationChanged,
+        'engine:snapshot-restored': (event) => setRestoredSession(
+          event.data.url ? { url: event.data.url, position: event.data.position } : null
+        )
       };
 
       // Subscribe to events
@@ -119,6 +159,8 @@ export const PlayerProvider = ({ children }) => {
     // Set initial volume
     audioService.setVolume(volume);
 
+    handleTimeStretchChanged();
+
     // Load favorites from localStorage
     try {
       const storedFavorites = localStorage.getItem('audiocore_favorites');
@@ -142,6 +184,23 @@ export const PlayerProvider = ({ children }) => {
     };
   }, []);
 
+  // Show the restored track, paused at its saved position, once the library has it
+  useEffect(() => {
+    if (!restoredSession || !libraryState.tracks) return;
+
+    const track = libraryState.tracks.find(t => (t.src || t.path) === restoredSession.url);
+    if (!track) return;
+
+    setRestoredSession(null);
+
+    // Something was already started during startup; keep it
+    if (currentTrackRef.current) return;
+
+    setCurrentTrack(track);
+    setCurrentTime(restoredSession.position);
+    setIsPlaying(false);
+  }, [restoredSession, libraryState.tracks]);
+
   // Save favorites to localStorage when they change
   useEffect(() => {
     if (favorites.length > 0) {
@@ -153,6 +212,14 @@ export const PlayerProvider = ({ children }) => {
     }
   }, [favorites]);
 
+  // Follow the engine's tempo and pitch
+  const handleTimeStretchChanged = useCallback(() => {
+    const settings = audioService.getTimeStretch();
+    if (settings) {
+      setTimeStretchState(settings);
+    }
+  }, []);
+
   // Handle time updates
   const handleTimeUpdate = useCallback((event) => {
     // Get current state from event data if available
@@ -187,6 +254,47 @@ export const PlayerProvider = ({ children }) => {
     next();
   }, [currentTrack, queue, repeatMode]);
 
+  trackEndedRef.current = handleTrackEnded;
+
+  // The engine reports no time updates; follow its position while playing
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+
+    const timer = setInterval(() => {
+      const state = audioService.getState();
+      setCurrentTime(state.currentTime);
+      if (state.duration) {
+        setDuration(state.duration);
+      }
+    }, 250);
+
+    return () => clearInterval(timer);
+  }, [isPlaying]);
+
+  // Handle gapless transition - the engine has already started the upcoming
+  // track, so only the player state needs to follow
+  const handleTrackTransition = useCallback(() => {
+    const upcoming = upcomingTrackRef.current;
+    if (!upcoming) return;
+
+    setCurrentTime(0);
+
+    if (!upcoming.fromQueue) {
+      // Repeat one - queue the same track again behind itself
+      audioService.setNextTrack(upcoming.track);
+      return;
+    }
+
+    const previousTrack = currentTrackRef.current;
+    if (previousTrack) {
+      setHistory(prev => [...prev, previousTrack]);
+    }
+
+    upcomingTrackRef.current = null;
+    setCurrentTrack(upcoming.track);
+    setQueue(prev => prev.slice(1));
+  }, []);
+
   // Handle track loaded
   const handleTrackLoaded = useCallback((event) => {
     // Get duration from event data if available
@@ -230,6 +338,52 @@ export const PlayerProvider = ({ children }) => {
     }
   }, []);
 
+  // Save automation edited in the engine to its track record
+  const handleAutomationChanged = useCallback((event) => {
+    const { url, document } = event.data || {};
+    const track = [currentTrackRef.current, upcomingTrackRef.current?.track]
+      .find(t => t && (t.src || t.path) === url);
+
+    if (!track || JSON.stringify(track.automation || null) === JSON.stringify(document)) return;
+
+    if (track === currentTrackRef.current) {
+      setCurrentTrack(prev => ({ ...prev, automation: document }));
+    }
+
+    if (track.id && libraryDispatch) {
+      libraryDispatch({
+        type: 'UPDATE_TRACK',
+        payload: { id: track.id, automation: document }
+      });
+    }
+  }, [libraryDispatch]);
+
+  // Keep the engine's next track in sync with the queue
+  useEffect(() => {
+    currentTrackRef.current = currentTrack;
+
+    if (!currentTrack) {
+      upcomingTrackRef.current = null;
+      audioService.clearNextTrack();
+      return;
+    }
+
+    let upcoming = null;
+    if (repeatMode === 'one') {
+      upcoming = { track: currentTrack, fromQueue: false };
+    } else if (queue.length > 0) {
+      upcoming = { track: queue[0], fromQueue: true };
+    }
+
+    upcomingTrackRef.current = upcoming;
+
+    if (upcoming) {
+      audioService.setNextTrack(upcoming.track);
+    } else {
+      audioService.clearNextTrack();
+    }
+  }, [currentTrack, queue, repeatMode]);
+
   // Play function
   const play = useCallback(() => {
     if (currentTrack) {
@@ -529,8 +683,96 @@ export const PlayerProvider = ({ children }) => {
     }
   }, [favorites, libraryDispatch, libraryState.tracks]);
 
+  // Loop a region of the current track
+  const setLoopRegion = useCallback((start, end, options = {}) => {
+    return audioService.setLoopRegion(start, end, options);
+  }, []);
+
+  // Stop looping
+  const clearLoopRegion = useCallback(() => {
+    audioService.clearLoopRegion();
+  }, []);
+
+  // Cue markers are stored on the track record
+  const cueMarkers = currentTrack?.cueMarkers || [];
+
+  // Save the current track's markers, in time order
+  const saveCueMarkers = useCallback((markers) => {
+    if (!currentTrack) return;
+
+    const sorted = [...markers].sort((a, b) => a.time - b.time);
+    setCurrentTrack(prev => ({ ...prev, cueMarkers: sorted }));
+
+    if (currentTrack.id && libraryDispatch) {
+      libraryDispatch({
+        type: 'UPDATE_TRACK',
+        payload: { id: currentTrack.id, cueMarkers: sorted }
+      });
+    }
+  }, [currentTrack, libraryDispatch]);
+
+  // Add a named marker, at the playhead by default
+  const addCueMarker = useCallback((name, time = currentTime) => {
+    if (!currentTrack) return null;
+
+    const marker = {
+      id: `cue_${Date.now()}`,
+      name: name || `Cue ${cueMarkers.length + 1}`,
+      time: Math.max(0, Math.min(duration || time, time))
+    };
+
+    saveCueMarkers([...cueMarkers, marker]);
+    return marker;
+  }, [currentTrack, currentTime, duration, cueMarkers, saveCueMarkers]);
+
+  // Rename a marker
+  const renameCueMarker = useCallback((markerId, name) => {
+    saveCueMarkers(cueMarkers.map(marker =>
+      marker.id === markerId ? { ...marker, name } : marker
+    ));
+  }, [cueMarkers, saveCueMarkers]);
+
+  // Remove a marker
+  const removeCueMarker = useCallback((markerId) => {
+    saveCueMarkers(cueMarkers.filter(marker => marker.id !== markerId));
+  }, [cueMarkers, saveCueMarkers]);
+
+  // Seek to a marker; a loop marker read from the file also loops its region
+  const jumpToCueMarker = useCallback((markerId) => {
+    const marker = cueMarkers.find(m => m.id === markerId);
+    if (!marker) return;
+
+    if (marker.end > marker.time) {
+      audioService.setLoopRegion(marker.time, marker.end);
+    }
+    seek(marker.time);
+  }, [cueMarkers, seek]);
+
+  // Change tempo and pitch; the engine reports the applied values back
+  const setTimeStretch = useCallback((settings) => {
+    return audioService.setTimeStretch(settings);
+  }, []);
+
+  // Automation lanes are stored on the track record
+  const automation = currentTrack?.automation || null;
+
+  // Replace the current track's automation; the engine reports it back for saving
+  const setAutomation = useCallback((document) => {
+    if (!currentTrack) return null;
+    return audioService.setAutomation(currentTrack, document);
+  }, [currentTrack]);
+
+  // Fade the current track in and out
+  const setTrackFades = useCallback((fadeIn, fadeOut) => {
+    if (!currentTrack) return Promise.resolve(null);
+    return audioService.setTrackFades(fadeIn, fadeOut, currentTrack);
+  }, [currentTrack]);
+
   // Get access to audio processing features
   const getAudioEffects = useCallback(() => {
+    if (engineRef.current?.engine?.getAudioEffects) {
+      return engineRef.current.engine.getAudioEffects();
+    }
     if (engineRef.current?.core) {
       return engineRef.current.core.getAudioEffects?.() || null;
     }
@@ -568,6 +810,19 @@ export const PlayerProvider = ({ children }) => {
     removeFromQueue,
     clearQueue,
     toggleFavorite,
+    loopRegion,
+    setLoopRegion,
+    clearLoopRegion,
+    timeStretch,
+    setTimeStretch,
+    cueMarkers,
+    addCueMarker,
+    renameCueMarker,
+    removeCueMarker,
+    jumpToCueMarker,
+    automation,
+    setAutomation,
+    setTrackFades,
     // Expose audio element for compatibility with existing code
     audioElement: audioService.audioElement,
     // Expose analyzer for visualizations
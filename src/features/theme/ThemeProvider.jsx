@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { themes } from '../../design-system/theme';
+import { ThemeProvider as StyledThemeProvider } from 'styled-components';
+import { themes, componentTheme } from '../../design-system/theme';
 
 // Create theme context
 const ThemeContext = createContext({
@@ -55,7 +56,9 @@ export const ThemeProvider = ({ children }) => {
         toggleTheme 
       }}
     >
-      {children}
+      <StyledThemeProvider theme={componentTheme}>
+        {children}
+      </StyledThemeProvider>
     </ThemeContext.Provider>
   );
 };
@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+import { getThumbnailUrl, getCachedThumbnailUrl } from '../services/ArtworkService';
+
+/**
+ * Custom hook for showing artwork kept as a thumbnail in IndexedDB
+ *
+ * @param {string|null} artworkId Thumbnail ID (see ArtworkService)
+ * @param {string|null} [fallbackUrl] URL shown when there is no thumbnail,
+ *   such as the data URL of a track imported before thumbnails were stored
+ * @returns {string|null} Artwork URL, or null if there is no artwork
+ */
+const useArtworkUrl = (artworkId, fallbackUrl = null) => {
+  const [loaded, setLoaded] = useState({ id: null, url: null });
+
+  useEffect(() => {
+    if (!artworkId || getCachedThumbnailUrl(artworkId)) return undefined;
+
+    let cancelled = false;
+
+    getThumbnailUrl(artworkId).then(url => {
+      if (!cancelled) setLoaded({ id: artworkId, url });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [artworkId]);
+
+  const thumbnailUrl = getCachedThumbnailUrl(artworkId) ||
+    (loaded.id === artworkId ? loaded.url : null);
+
+  return thumbnailUrl || fallbackUrl || null;
+};
+
+export default useArtworkUrl;
@@ -13,12 +13,20 @@ import {
   RefreshCw,
   Filter,
   SortAsc,
-  User
+  User,
+  Activity,
+  Drum,
+  KeyRound
 } from 'lucide-react';
 import FileImport from '../components/library/FileImport';
 import FileDropZone from '../components/library/FileImport/FileDropZone';
+import TrackList from '../components/library/TrackList';
+import SearchFilters from '../components/library/Search/SearchFilters';
+import AlbumCard from '../components/library/AlbumGrid/AlbumCard';
+import Artwork from '../components/common/Artwork';
 import { useLibrary } from '../features/library/providers/LibraryProvider';
 import Panel from '../components/layout/Panel';
+import { useNotification } from '../components/common/Notification';
 
 // Styled components
 const PageContainer = styled.div`
@@ -327,6 +335,23 @@ const MenuItem = styled.button`
   }
 `;
 
+const ToolMenuWrapper = styled.div`
+  position: relative;
+`;
+
+const ToolMenu = styled.div`
+  position: absolute;
+  top: calc(100% + 4px);
+  left: 0;
+  z-index: 10;
+  min-width: 220px;
+  padding: var(--spacing-xs) 0;
+  border-radius: 4px;
+  background-color: var(--bgSecondary);
+  border: 1px solid var(--borderLight);
+  box-shadow: 0 4px 12px var(--shadowColor);
+`;
+
 const MenuSection = styled.div`
   margin-bottom: var(--spacing-md);
 `;
@@ -341,7 +366,15 @@ const MenuHeader = styled.div`
 
 const LibraryPage = () => {
   // Get library context
-  const { state, scanLibrary } = useLibrary();
+  const {
+    state,
+    scanLibrary,
+    analyzeLoudness,
+    analyzeBeatGrid,
+    analyzeKeys,
+    getVisibleTracks
+  } = useLibrary();
+  const { success, error } = useNotification();
 
   // Component state
   const [activeTab, setActiveTab] = useState('music');
@@ -349,6 +382,9 @@ const LibraryPage = () => {
   const [searchQuery, setSearchQuery] = useState('');
   const [showImport, setShowImport] = useState(false);
   const [activeMenuItem, setActiveMenuItem] = useState('albums');
+  const [showAnalyzeMenu, setShowAnalyzeMenu] = useState(false);
+  const [showFilters, setShowFilters] = useState(false);
+  const [analyzing, setAnalyzing] = useState(null);
 
   // Handle menu item click
   const handleMenuItemClick = (item) => {
@@ -360,6 +396,21 @@ const LibraryPage = () => {
     scanLibrary();
   };
 
+  // Run an analysis over the library; tracks already analyzed are skipped
+  const runAnalysis = async (name, analyze) => {
+    setShowAnalyzeMenu(false);
+    setAnalyzing(name);
+
+    try {
+      const count = await analyze();
+      success(`Analyzed ${name} of ${count} ${count === 1 ? 'track' : 'tracks'}`);
+    } catch (err) {
+      error(`Failed to analyze ${name}: ${err.message}`);
+    } finally {
+      setAnalyzing(null);
+    }
+  };
+
   // Handle search input change
   const handleSearchChange = (e) => {
     setSearchQuery(e.target.value);
@@ -426,6 +477,9 @@ const LibraryPage = () => {
       );
     }
 
+    // Narrow by the key and quality filters, in the library's sort order
+    filteredTracks = getVisibleTracks(filteredTracks);
+
     // Filter tracks based on active menu item
     switch (activeMenuItem) {
       case 'allMusic':
@@ -440,10 +494,17 @@ const LibraryPage = () => {
               albumMap[track.album] = {
                 title: track.album,
                 artist: track.artist,
+                year: track.year,
+                artworkId: null,
+                artwork: null,
                 tracks: [] // Store full track objects initially
               };
             }
             albumMap[track.album].tracks.push(track); // Push the track object
+
+            // The first track with a cover gives the album its cover
+            albumMap[track.album].artworkId = albumMap[track.album].artworkId || track.artworkId || null;
+            albumMap[track.album].artwork = albumMap[track.album].artwork || track.artwork || null;
           }
         });
 
@@ -453,32 +514,22 @@ const LibraryPage = () => {
             <ScrollContainer>
               {viewMode === 'grid' ? (
                 <GridView>
-                  {Object.values(albumMap).map((album, index) => {
-                    // Find the first track with artwork in this album
-                    const artworkUrl = album.tracks.find(t => t.artwork)?.artwork || null;
-                    return (
-                      <GridItem key={index}>
-                        <ItemCover>
-                          {artworkUrl ? <img src={artworkUrl} alt={album.title} /> : <Disc size={40} />}
-                        </ItemCover>
-                        <ItemInfo>
-                          <ItemTitle>{album.title}</ItemTitle>
-                          <ItemSubtitle>{album.artist}</ItemSubtitle>
-                          <ItemSubtitle>{album.tracks.length} tracks</ItemSubtitle>
-                        </ItemInfo>
-                      </GridItem>
-                    );
-                  })}
+                  {Object.values(albumMap).map((album, index) => (
+                    <AlbumCard key={index} album={album} />
+                  ))}
                 </GridView>
               ) : (
                 <ListView>
                   {Object.values(albumMap).map((album, index) => {
-                     // Find the first track with artwork in this album
-                    const artworkUrl = album.tracks.find(t => t.artwork)?.artwork || null;
                     return (
                       <ListItem key={index}>
                         <ListItemCover>
-                           {artworkUrl ? <img src={artworkUrl} alt={album.title} /> : <Disc size={20} />}
+                          <Artwork
+                            artworkId={album.artworkId}
+                            src={album.artwork}
+                            alt={album.title}
+                            placeholder={<Disc size={20} />}
+                          />
                         </ListItemCover>
                         <ItemInfo>
                           <ItemTitle>{album.title}</ItemTitle>
@@ -579,7 +630,12 @@ const LibraryPage = () => {
                   {filteredTracks.map((track, index) => (
                     <GridItem key={track.id || index}>
                       <ItemCover>
-                        {track.artwork ? <img src={track.artwork} alt={track.title} /> : <Music size={40} />}
+                        <Artwork
+                          artworkId={track.artworkId}
+                          src={track.artwork}
+                          alt={track.title}
+                          placeholder={<Music size={40} />}
+                        />
                       </ItemCover>
                       <ItemInfo>
                         <ItemTitle>{track.title}</ItemTitle>
@@ -590,20 +646,7 @@ const LibraryPage = () => {
                   ))}
                 </GridView>
               ) : (
-                <ListView>
-                  {filteredTracks.map((track, index) => (
-                     <ListItem key={track.id || index}>
-                      <ListItemCover>
-                         {track.artwork ? <img src={track.artwork} alt={track.title} /> : <Music size={20} />}
-                      </ListItemCover>
-                      <ItemInfo>
-                        <ItemTitle>{track.title}</ItemTitle>
-                        <ItemSubtitle>{track.album}</ItemSubtitle>
-                      </ItemInfo>
-                      <ListItemArtist>{track.artist}</ListItemArtist>
-                    </ListItem>
-                  ))}
-                </ListView>
+                <TrackList tracks={filteredTracks} />
               )}
             </ScrollContainer>
             <StatsContainer>
@@ -735,7 +778,10 @@ const LibraryPage = () => {
                 <RefreshCw size={16} />
                 <span>Refresh</span>
               </ToolButton>
-              <ToolButton>
+              <ToolButton
+                onClick={() => setShowFilters(!showFilters)}
+                aria-pressed={showFilters}
+              >
                 <Filter size={16} />
                 <span>Filter</span>
               </ToolButton>
@@ -743,6 +789,33 @@ const LibraryPage = () => {
                 <SortAsc size={16} />
                 <span>Sort</span>
               </ToolButton>
+              <ToolMenuWrapper>
+                <ToolButton
+                  onClick={() => setShowAnalyzeMenu(!showAnalyzeMenu)}
+                  disabled={!!analyzing || state.tracks.length === 0}
+                  aria-haspopup="menu"
+                  aria-expanded={showAnalyzeMenu}
+                >
+                  <Activity size={16} />
+                  <span>{analyzing ? `Analyzing ${analyzing}...` : 'Analyze'}</span>
+                </ToolButton>
+                {showAnalyzeMenu && (
+                  <ToolMenu role="menu">
+                    <MenuItem role="menuitem" onClick={() => runAnalysis('loudness', analyzeLoudness)}>
+                      <BarChart2 size={18} />
+                      <span>Loudness (ReplayGain)</span>
+                    </MenuItem>
+                    <MenuItem role="menuitem" onClick={() => runAnalysis('beat grid', analyzeBeatGrid)}>
+                      <Drum size={18} />
+                      <span>Beat Grid (BPM)</span>
+                    </MenuItem>
+                    <MenuItem role="menuitem" onClick={() => runAnalysis('key', analyzeKeys)}>
+                      <KeyRound size={18} />
+                      <span>Key (Camelot)</span>
+                    </MenuItem>
+                  </ToolMenu>
+                )}
+              </ToolMenuWrapper>
             </div>
 
             <ViewModeButtons>
@@ -762,6 +835,7 @@ const LibraryPage = () => {
               </ViewButton>
             </ViewModeButtons>
           </ToolBar>
+          {showFilters && <SearchFilters />}
         </div>
 
         {/* Render content based on selected view */}
@@ -3,6 +3,7 @@ import styled from 'styled-components';
 import Panel from '../components/layout/Panel'; // Assuming Panel is used elsewhere or can be removed if not
 import { useLibrary } from '../features/library/providers/LibraryProvider';
 import { useTheme } from '../features/theme/ThemeProvider';
+import AudioSettings from '../components/settings/AudioSettings';
 import { Settings, Palette, Sliders, Database, Wifi, FolderOpen, Shield, Bell, Volume2, Download, HardDrive, XCircle } from 'lucide-react'; // Added XCircle
 
 const PageContainer = styled.div`
@@ -500,20 +501,6 @@ const SettingsPage = () => {
                   </InputWrapper>
                 </SettingRow>
 
-                <SettingRow>
-                  <SettingLabel>
-                    <LabelText>Crossfade</LabelText>
-                    <LabelDescription>Smooth transition between tracks</LabelDescription>
-                  </SettingLabel>
-                  <InputWrapper>
-                    <Select defaultValue="2">
-                      <option value="0">Off</option>
-                      <option value="2">2 seconds</option>
-                      <option value="4">4 seconds</option>
-                      <option value="6">6 seconds</option>
-                    </Select>
-                  </InputWrapper>
-                </SettingRow>
               </SettingSection>
 
               <SettingSection>
@@ -537,21 +524,6 @@ const SettingsPage = () => {
                   </InputWrapper>
                 </SettingRow>
 
-                <SettingRow>
-                  <SettingLabel>
-                    <LabelText>Audio Output</LabelText>
-                    <LabelDescription>Select audio output device</LabelDescription>
-                  </SettingLabel>
-                  <InputWrapper>
-                    <Select defaultValue="system">
-                      <option value="system">System Default</option>
-                      {/* Add dynamic device listing here in a real app */}
-                      <option value="speakers">Speakers (Placeholder)</option>
-                      <option value="headphones">Headphones (Placeholder)</option>
-                    </Select>
-                  </InputWrapper>
-                </SettingRow>
-
                 <SettingRow>
                   <SettingLabel>
                     <LabelText>Audio Quality</LabelText>
@@ -567,6 +539,9 @@ const SettingsPage = () => {
                   </InputWrapper>
                 </SettingRow>
               </SettingSection>
+
+              {/* Output device, buffering, crossfade and effects, applied to the engine */}
+              <AudioSettings />
             </ContentBody>
           </>
         );
@@ -0,0 +1,439 @@
+/**
+ * ArtworkService.js
+ * Service for folder artwork - finding the cover images that sit next to
+ * audio files and keeping downscaled thumbnails of them in IndexedDB
+ */
+
+// Image types that can be used as artwork
+const SUPPORTED_IMAGE_TYPES = {
+  extensions: ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.bmp'],
+  mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/bmp']
+};
+
+// Base names that mark the main album image, best first
+const COVER_NAME_SCORES = {
+  cover: 60,
+  folder: 55,
+  front: 50,
+  album: 45,
+  albumart: 45
+};
+
+// Words found in other names for the front cover, e.g. "Album Cover (Front)"
+const COVER_WORDS = /cover|front|folder|album|art/;
+
+// Scans of the rest of the release, never used as the album image
+const OTHER_ARTWORK_WORDS = /back|cd\d*|disc|disk|inlay|inside|booklet|tray|spine|matrix|label|obi/;
+
+// Reduced copies saved next to the full-size image
+const SMALL_IMAGE_WORDS = /small|thumb/;
+
+// Longest side of a thumbnail, in pixels
+const THUMBNAIL_SIZE = 300;
+
+// JPEG quality of thumbnails
+const THUMBNAIL_QUALITY = 0.85;
+
+// Thumbnail database
+const ARTWORK_DB_NAME = 'audiocore_artwork';
+const THUMBNAIL_STORE = 'thumbnails';
+
+/**
+ * Checks if a file is an image that can be used as artwork
+ * @param {string} filename - Name of the file
+ * @param {string} [mimeType] - MIME type of the file
+ * @returns {boolean} True if it's an image file
+ */
+const isImageFile = (filename, mimeType) => {
+  if (!filename) return false;
+
+  const extension = ('.' + filename.split('.').pop()).toLowerCase();
+
+  return SUPPORTED_IMAGE_TYPES.extensions.includes(extension) ||
+    (!!mimeType && SUPPORTED_IMAGE_TYPES.mimeTypes.includes(mimeType));
+};
+
+/**
+ * Lowercased file name without its extension
+ * @param {string} filename - File name
+ * @returns {string} Base name
+ */
+const getBaseName = (filename) => filename.replace(/\.[^.]+$/, '').toLowerCase();
+
+/**
+ * Score an image by how likely its name marks the front cover
+ * An image named after the audio file ("01 Intro.jpg") is that track's own
+ * artwork and wins over any folder image.
+ * @param {string} filename - Image file name
+ * @param {string} [audioFileName] - Name of the audio file the image is for
+ * @returns {number} Score; negative for back covers, disc scans and the like
+ */
+const scoreImageName = (filename, audioFileName) => {
+  const baseName = getBaseName(filename);
+
+  if (audioFileName && baseName === getBaseName(audioFileName)) {
+    return 100;
+  }
+
+  if (OTHER_ARTWORK_WORDS.test(baseName) && !COVER_NAME_SCORES[baseName]) {
+    return -1;
+  }
+
+  let score = COVER_NAME_SCORES[baseName] || (COVER_WORDS.test(baseName) ? 30 : 10);
+
+  if (SMALL_IMAGE_WORDS.test(baseName)) {
+    score -= 20;
+  }
+
+  return score;
+};
+
+/**
+ * Rank the images found in a folder, best album image first
+ * Images are ordered by name, then by file size since a larger file is
+ * usually the higher-resolution copy.
+ * @param {Array} images - Images ({ name, size })
+ * @param {string} [audioFileName] - Name of the audio file the images are for
+ * @returns {Array} Images that can be used, ranked
+ */
+const rankFolderImages = (images, audioFileName) => {
+  return (images || [])
+    .map(image => ({ image, score: scoreImageName(image.name, audioFileName) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => (b.score - a.score) || ((b.image.size || 0) - (a.image.size || 0)))
+    .map(entry => entry.image);
+};
+
+/**
+ * Pick the artwork for an audio file from the images in its folder, else
+ * from those of the folder above it
+ * @param {Array} images - Images ({ name, size })
+ * @param {string} [audioFileName] - Name of the audio file
+ * @param {Array} [parentImages] - Images a subfolder inherits (see getInheritedImages)
+ * @returns {Object|null} The best image, or null if none can be used
+ */
+const pickFolderImage = (images, audioFileName, parentImages = []) => {
+  return rankFolderImages(images, audioFileName)[0] ||
+    rankFolderImages(parentImages, audioFileName)[0] ||
+    null;
+};
+
+/**
+ * Images passed down to the subfolders of a folder: its own if any can be
+ * used, else those it inherited, so "Disc 1" and "Disc 2" folders share the
+ * cover in the album folder above them
+ * @param {Array} images - Images in the folder
+ * @param {Array} [parentImages] - Images the folder inherited
+ * @returns {Array} Images for its subfolders
+ */
+const getInheritedImages = (images, parentImages = []) => {
+  return rankFolderImages(images).length ? images : parentImages;
+};
+
+/**
+ * Downscale an image into a JPEG thumbnail
+ * @param {Blob} blob - Image data
+ * @param {number} [size=THUMBNAIL_SIZE] - Longest side of the thumbnail
+ * @returns {Promise<Blob>} Thumbnail image
+ */
+const createThumbnail = async (blob, size = THUMBNAIL_SIZE) => {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+
+  let canvas;
+  if (typeof OffscreenCanvas !== 'undefined') {
+    canvas = new OffscreenCanvas(width, height);
+  } else {
+    canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+  }
+
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type: 'image/jpeg', quality: THUMBNAIL_QUALITY });
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      result => (result ? resolve(result) : reject(new Error('Failed to encode thumbnail'))),
+      'image/jpeg',
+      THUMBNAIL_QUALITY
+    );
+  });
+};
+
+/**
+ * Open the thumbnail database
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+const openArtworkDB = () => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(ARTWORK_DB_NAME, 1);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+
+      if (!db.objectStoreNames.contains(THUMBNAIL_STORE)) {
+        db.createObjectStore(THUMBNAIL_STORE, { keyPath: 'id' });
+      }
+    };
+
+    request.onsuccess = (event) => {
+      resolve(event.target.result);
+    };
+
+    request.onerror = () => {
+      reject(new Error('Error opening artwork database'));
+    };
+  });
+};
+
+/**
+ * Save a thumbnail
+ * @param {string} id - Thumbnail ID
+ * @param {Blob} blob - Thumbnail image
+ * @returns {Promise<boolean>} Success status
+ */
+const saveThumbnail = async (id, blob) => {
+  try {
+    const db = await openArtworkDB();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([THUMBNAIL_STORE], 'readwrite');
+      const request = transaction.objectStore(THUMBNAIL_STORE).put({
+        id,
+        blob,
+        timestamp: Date.now()
+      });
+
+      request.onsuccess = () => {
+        resolve(true);
+      };
+
+      request.onerror = () => {
+        reject(new Error(`Error saving thumbnail ${id}`));
+      };
+
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  } catch (error) {
+    console.error(`Error saving thumbnail ${id}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Load a thumbnail
+ * @param {string} id - Thumbnail ID
+ * @returns {Promise<Blob|null>} Thumbnail image, or null if not stored
+ */
+const loadThumbnail = async (id) => {
+  try {
+    const db = await openArtworkDB();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([THUMBNAIL_STORE], 'readonly');
+      const request = transaction.objectStore(THUMBNAIL_STORE).get(id);
+
+      request.onsuccess = () => {
+        resolve(request.result ? request.result.blob : null);
+      };
+
+      request.onerror = () => {
+        reject(new Error(`Error loading thumbnail ${id}`));
+      };
+
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  } catch (error) {
+    console.error(`Error loading thumbnail ${id}:`, error);
+    return null;
+  }
+};
+
+// Object URLs of loaded thumbnails, by thumbnail ID
+const thumbnailUrls = new Map();
+
+/**
+ * Get a URL to display a stored thumbnail
+ * URLs are kept for the session, so every album card showing the same
+ * thumbnail shares one.
+ * @param {string} id - Thumbnail ID
+ * @returns {Promise<string|null>} Object URL, or null if not stored
+ */
+const getThumbnailUrl = async (id) => {
+  if (!id) return null;
+
+  if (!thumbnailUrls.has(id)) {
+    const blob = await loadThumbnail(id);
+    if (!blob) return null;
+
+    // Another caller may have loaded it meanwhile
+    if (!thumbnailUrls.has(id)) {
+      thumbnailUrls.set(id, URL.createObjectURL(blob));
+    }
+  }
+
+  return thumbnailUrls.get(id);
+};
+
+/**
+ * SHA-256 hash of a thumbnail key
+ * Thumbnails are shared by ID, so the hash has to be collision-free in
+ * practice across a whole library.
+ * @param {string|Uint8Array} key - Text or bytes to hash
+ * @returns {Promise<string>} Thumbnail ID
+ */
+const hashThumbnailKey = async (key) => {
+  const bytes = typeof key === 'string' ? new TextEncoder().encode(key) : key;
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  const hex = Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+
+  return `artwork-${hex}`;
+};
+
+/**
+ * URL of a thumbnail that has already been loaded this session
+ * @param {string} id - Thumbnail ID
+ * @returns {string|null} Object URL, or null if not loaded yet
+ */
+const getCachedThumbnailUrl = (id) => (id && thumbnailUrls.get(id)) || null;
+
+/**
+ * Thumbnail ID of a folder image
+ * Derived from the image's path, size and modification time so a rescan
+ * reuses the stored thumbnail until the image changes.
+ * @param {Object} image - Image ({ path, name, size, lastModified })
+ * @returns {Promise<string>} Thumbnail ID
+ */
+const getFolderImageId = (image) => {
+  return hashThumbnailKey(`${image.path || image.name}|${image.size || 0}|${image.lastModified || 0}`);
+};
+
+/**
+ * Thumbnail ID of an embedded picture
+ * Derived from the picture itself, so every track of an album carrying the
+ * same cover shares one thumbnail.
+ * @param {Uint8Array} data - Picture data
+ * @returns {Promise<string>} Thumbnail ID
+ */
+const getPictureId = (data) => hashThumbnailKey(data);
+
+// Thumbnails being created, by thumbnail ID, so the tracks of an album
+// share one
+const pendingThumbnails = new Map();
+
+/**
+ * Create and store a thumbnail unless it is already stored
+ * @param {string} id - Thumbnail ID
+ * @param {Function} getImage - Returns (a promise of) the full-size image blob
+ * @param {string} name - Image name for error messages
+ * @returns {Promise<string|null>} Thumbnail ID, or null if the image could not be read
+ */
+const storeThumbnail = (id, getImage, name) => {
+  if (!pendingThumbnails.has(id)) {
+    const pending = (async () => {
+      try {
+        if (await loadThumbnail(id)) {
+          return id;
+        }
+
+        const thumbnail = await createThumbnail(await getImage());
+
+        return (await saveThumbnail(id, thumbnail)) ? id : null;
+      } catch (error) {
+        console.warn(`Failed to create thumbnail for ${name}:`, error);
+        return null;
+      }
+    })();
+
+    // A failure is not remembered, so a later scan tries again
+    pending.then(result => {
+      if (!result) pendingThumbnails.delete(id);
+    });
+
+    pendingThumbnails.set(id, pending);
+  }
+
+  return pendingThumbnails.get(id);
+};
+
+/**
+ * Create and store the thumbnail of a folder image
+ * @param {Object|null} image - Image found by the scan ({ name, path, size,
+ *   lastModified } plus its file or handle)
+ * @returns {Promise<string|null>} Thumbnail ID, or null if there is no image
+ *   or it could not be read
+ */
+const storeFolderThumbnail = async (image) => {
+  if (!image) return null;
+
+  return storeThumbnail(
+    await getFolderImageId(image),
+    () => image.file || image.handle.getFile(),
+    image.path || image.name
+  );
+};
+
+/**
+ * Create and store the thumbnail of a picture embedded in an audio file
+ * @param {Object|null} picture - Picture ({ data, format })
+ * @returns {Promise<string|null>} Thumbnail ID, or null if there is no
+ *   picture or it could not be read
+ */
+const storeEmbeddedThumbnail = async (picture) => {
+  if (!picture || !picture.data || !picture.data.byteLength) return null;
+
+  const data = picture.data instanceof Uint8Array ? picture.data : new Uint8Array(picture.data);
+
+  return storeThumbnail(
+    await getPictureId(data),
+    () => new Blob([data], { type: picture.format || 'image/jpeg' }),
+    'embedded picture'
+  );
+};
+
+export {
+  SUPPORTED_IMAGE_TYPES,
+  isImageFile,
+  rankFolderImages,
+  pickFolderImage,
+  getInheritedImages,
+  createThumbnail,
+  saveThumbnail,
+  loadThumbnail,
+  getThumbnailUrl,
+  getCachedThumbnailUrl,
+  getFolderImageId,
+  getPictureId,
+  storeFolderThumbnail,
+  storeEmbeddedThumbnail
+};
+
+export default {
+  SUPPORTED_IMAGE_TYPES,
+  isImageFile,
+  rankFolderImages,
+  pickFolderImage,
+  getInheritedImages,
+  createThumbnail,
+  saveThumbnail,
+  loadThumbnail,
+  getThumbnailUrl,
+  getCachedThumbnailUrl,
+  getFolderImageId,
+  getPictureId,
+  storeFolderThumbnail,
+  storeEmbeddedThumbnail
+};
@@ -5,7 +5,7 @@
  */
 
 // Import engine components
-import { AudioEngine, AudioEngineCore, SourceManager, BufferManager } from './audio/engine';
+import { AudioEngine, AudioEngineCore } from './audio/engine';
 
 // Import utility components
 import { AudioUtils, ErrorManager, EventBus } from './audio/utils';
@@ -13,6 +13,9 @@ import { AudioUtils, ErrorManager, EventBus } from './audio/utils';
 // Import constants
 import { ENGINE_CONFIG, SOURCE_CONFIG, OUTPUT_CONFIG } from './audio/constants';
 
+// localStorage key for persisted audio settings
+const AUDIO_SETTINGS_KEY = 'audiocore-audio-settings';
+
 class AudioService {
   constructor() {
     // Keep audioElement for compatibility with existing code
@@ -28,7 +31,8 @@ class AudioService {
     
     // Track state
     this.isInitialized = false;
-    this.activeSource = null;
+    this.volumeLevel = 1;
+    this.muted = false;
     this.trackCache = new Map(); // Cache for audio blob URLs
     
     // Config
@@ -61,26 +65,22 @@ class AudioService {
         config: this.config
       });
 
-      // Create buffer manager
-      this.bufferManager = new BufferManager({
-        audioContext: this.engineCore.getContext(),
-        eventBus: this.eventBus
-      });
-
-      // Create source manager
-      this.sourceManager = new SourceManager({
-        audioContext: this.engineCore.getContext(),
-        bufferManager: this.bufferManager,
-        eventBus: this.eventBus
-      });
-
-      // Create full audio engine
+      // Create full audio engine on the same context; it builds its own
+      // buffer and source managers, wired to the time stretcher and event bus
+      const settings = this.loadAudioSettings();
       this.audioEngine = new AudioEngine({
-        core: this.engineCore,
-        bufferManager: this.bufferManager,
-        sourceManager: this.sourceManager,
+        audioEngineCore: this.engineCore,
         eventBus: this.eventBus,
-        errorManager: this.errorManager
+        errorManager: this.errorManager,
+        crossfade: settings.crossfade,
+        normalization: settings.normalization,
+        persistState: { enabled: true }
+      });
+
+      // Expose the engine's managers once its components exist
+      this.audioEngine.waitForInitialization().then(() => {
+        this.bufferManager = this.audioEngine.bufferManager;
+        this.sourceManager = this.audioEngine.sourceManager;
       });
 
       // Setup event listeners for compatibility with audioElement
@@ -162,17 +162,35 @@ class AudioService {
       // Get source URL from track object or use track directly if it's a string
       const src = typeof track === 'string' ? track : (track.src || track.path);
       
+      // Automation saved on the track record follows it into the engine
+      if (typeof track !== 'string' && track.automation) {
+        this.audioEngine.setAutomation(src, track.automation);
+      }
+
+      // So does its beat grid, which seeds beat detection
+      if (typeof track !== 'string' && track.beatGrid) {
+        this.audioEngine.setBeatGrid(src, { bpm: track.bpm, beats: track.beatGrid, confidence: track.beatGridConfidence });
+      }
+      
+      // A restored session waits paused in the engine; continue where it left off
+      const restored = this.audioEngine.getPlaybackInfo();
+      if (restored && restored.isPaused && restored.url === src) {
+        return this.audioEngine.resume();
+      }
+      
       // For compatibility, set audio element's src
       this.audioElement.src = src;
       
-      // Create or get source through the source manager
-      this.activeSource = await this.sourceManager.createSource({
-        url: src,
-        autoplay: true
-      });
+      // Play through the engine so the queued next track, crossfade and
+      // normalization apply and its playback events fire
+      const options = typeof track === 'string' ? {} : { replayGain: track.replayGain };
+      const sourceId = await this.audioEngine.play(src, options);
       
-      // Return play promise
-      return this.activeSource.play();
+      if (!sourceId) {
+        throw new Error(`Failed to play ${src}`);
+      }
+      
+      return sourceId;
     } catch (error) {
       this.errorManager.handleError(error, { operation: 'play', context: { track } });
       throw error;
@@ -183,8 +201,8 @@ class AudioService {
    * Pause audio playback
    */
   pause() {
-    if (this.activeSource) {
-      this.activeSource.pause();
+    if (this.audioEngine) {
+      this.audioEngine.pause();
     }
     
     // For compatibility
@@ -197,8 +215,8 @@ class AudioService {
    * Stop audio playback and reset position
    */
   stop() {
-    if (this.activeSource) {
-      this.activeSource.stop();
+    if (this.audioEngine) {
+      this.audioEngine.stop();
     }
     
     // For compatibility
@@ -208,6 +226,360 @@ class AudioService {
     }
   }
 
+  /**
+   * Queue the track that should follow the current one without a gap
+   * @param {string|Object} track - URL or track object with src/path property
+   * @returns {Promise<boolean>} - Resolves when the track is decoded and queued
+   */
+  async setNextTrack(track) {
+    if (!this.isInitialized) {
+      this.initialize();
+    }
+
+    try {
+      const src = typeof track === 'string' ? track : (track.src || track.path);
+      const options = typeof track === 'string' ? {} : { replayGain: track.replayGain };
+
+      if (typeof track !== 'string' && track.automation) {
+        this.audioEngine.setAutomation(src, track.automation);
+      }
+
+      if (typeof track !== 'string' && track.beatGrid) {
+        this.audioEngine.setBeatGrid(src, { bpm: track.bpm, beats: track.beatGrid, confidence: track.beatGridConfidence });
+      }
+
+      return await this.audioEngine.setNextTrack(src, options);
+    } catch (error) {
+      this.errorManager.handleError(error, { operation: 'setNextTrack', context: { track } });
+      return false;
+    }
+  }
+
+  /**
+   * Capture the engine state (settings, effects, EQ, output device, track and position)
+   * @returns {Object|null} - Snapshot
+   */
+  getSnapshot() {
+    if (!this.isInitialized) {
+      this.initialize();
+    }
+
+    return this.audioEngine ? this.audioEngine.getSnapshot() : null;
+  }
+
+  /**
+   * Restore a snapshot; the track comes back paused at its saved position
+   * @param {Object|string} snapshot - Snapshot from getSnapshot(), or its JSON
+   * @returns {Promise<boolean>} - Whether every part was restored
+   */
+  async restoreSnapshot(snapshot) {
+    if (!this.isInitialized) {
+      this.initialize();
+    }
+
+    return this.audioEngine ? this.audioEngine.restoreSnapshot(snapshot) : false;
+  }
+
+  /**
+   * Create a playback deck next to the main player
+   * @param {Object} [options] - { id, volume, output ('main' or 'cue'), deviceId }
+   * @returns {Promise<Deck|null>} - The deck
+   */
+  async createDeck(options = {}) {
+    if (!this.isInitialized) {
+      this.initialize();
+    }
+
+    return this.audioEngine ? this.audioEngine.createDeck(options) : null;
+  }
+
+  /**
+   * Get a deck by ID
+   * @param {string} deckId - Deck ID
+   * @returns {Deck|null} - The deck
+   */
+  getDeck(deckId) {
+    return this.audioEngine ? this.audioEngine.getDeck(deckId) : null;
+  }
+
+  /**
+   * Route a deck to the main mix or to a cue device
+   * @param {string} deckId - Deck ID
+   * @param {string} output - 'main' or 'cue'
+   * @param {string} [deviceId] - Device the cue output plays on
+   * @returns {Promise<boolean>} - Whether the deck plays where asked
+   */
+  async setDeckOutput(deckId, output, deviceId) {
+    return this.audioEngine ? this.audioEngine.setDeckOutput(deckId, output, deviceId) : false;
+  }
+
+  /**
+   * Stop and remove a deck
+   * @param {string} deckId - Deck ID
+   * @returns {boolean} - Whether the deck existed
+   */
+  removeDeck(deckId) {
+    return this.audioEngine ? this.audioEngine.removeDeck(deckId) : false;
+  }
+
+  /**
+   * Get the state of every deck
+   * @returns {Array<Object>} - Deck states with their output and device
+   */
+  getDecks() {
+    return this.audioEngine ? this.audioEngine.getDecks() : [];
+  }
+
+  /**
+   * Get the output devices a cue deck can play on
+   * @returns {Promise<Array>} - Devices ({ id, label })
+   */
+  async getOutputDevices() {
+    return this.audioEngine ? this.audioEngine.getOutputDevices() : [];
+  }
+
+  /**
+   * Set a track's automation lanes (volume, EQ band gain, filter cutoff, effect mix)
+   * @param {string|Object} track - URL or track object with src/path property
+   * @param {Object|null} document - Automation document; null removes it
+   * @returns {Object|null} - The applied document
+   */
+  setAutomation(track, document) {
+    if (!this.isInitialized) {
+      this.initialize();
+    }
+
+    const src = typeof track === 'string' ? track : (track.src || track.path);
+    return this.audioEngine ? this.audioEngine.setAutomation(src, document) : null;
+  }
+
+  /**
+   * Get a track's automation
+   * @param {string|Object} [track] - URL or track object; defaults to the current track
+   * @returns {Object|null} - Automation document
+   */
+  getAutomation(track) {
+    if (!this.audioEngine) {
+      return null;
+    }
+
+    if (!track) {
+      return this.audioEngine.getAutomation();
+    }
+
+    return this.audioEngine.getAutomation(typeof track === 'string' ? track : (track.src || track.path));
+  }
+
+  /**
+   * Fade a track in and out
+   * @param {number} fadeIn - Fade-in length in seconds
+   * @param {number} fadeOut - Fade-out length in seconds
+   * @param {string|Object} [track] - URL or track object; defaults to the current track
+   * @returns {Promise<Object|null>} - The volume lane
+   */
+  async setTrackFades(fadeIn, fadeOut, track) {
+    if (!this.audioEngine) {
+      return null;
+    }
+
+    const src = track ? (typeof track === 'string' ? track : (track.src || track.path)) : undefined;
+    return this.audioEngine.setTrackFades(fadeIn, fadeOut, src);
+  }
+
+  /**
+   * Remove the queued next track
+   */
+  clearNextTrack() {
+    if (this.audioEngine) {
+      this.audioEngine.clearNextTrack();
+    }
+  }
+
+  /**
+   * Configure crossfading between consecutive tracks
+   * @param {Object} settings - { enabled, duration, curve, skipSilence }
+   * @returns {Object|null} - The applied crossfade settings
+   */
+  setCrossfade(settings) {
+    if (!this.isInitialized) {
+      this.initialize();
+    }
+
+    return this.audioEngine ? this.audioEngine.setCrossfade(settings) : null;
+  }
+
+  /**
+   * Configure loudness normalization
+   * @param {Object} settings - { enabled, mode, preamp, preventClipping }
+   * @returns {Object|null} - The applied normalization settings
+   */
+  setNormalization(settings) {
+    if (!this.isInitialized) {
+      this.initialize();
+    }
+
+    return this.audioEngine ? this.audioEngine.setNormalization(settings) : null;
+  }
+
+  /**
+   * Set playback tempo and pitch independently of each other
+   * @param {Object} settings - { tempo, pitch }
+   * @returns {Object|null} - The applied settings with latency and availability
+   */
+  setTimeStretch(settings) {
+    if (!this.isInitialized) {
+      this.initialize();
+    }
+
+    return this.audioEngine ? this.audioEngine.setTimeStretch(settings) : null;
+  }
+
+  /**
+   * Get the current tempo and pitch settings
+   * @returns {Object|null} - { tempo, pitch, latency, available }
+   */
+  getTimeStretch() {
+    return this.audioEngine ? this.audioEngine.getTimeStretch() : null;
+  }
+
+  /**
+   * Loop a region of the current track
+   * @param {number} start - Region start in seconds
+   * @param {number} end - Region end in seconds
+   * @param {Object} [options] - { countIn, bpm }
+   * @returns {Object|null} - The applied region { start, end }
+   */
+  setLoopRegion(start, end, options = {}) {
+    if (!this.isInitialized) {
+      this.initialize();
+    }
+
+    return this.audioEngine ? this.audioEngine.setLoopRegion(start, end, options) : null;
+  }
+
+  /**
+   * Stop looping the current region
+   * @returns {boolean} - Whether a region was cleared
+   */
+  clearLoopRegion() {
+    return this.audioEngine ? this.audioEngine.clearLoopRegion() : false;
+  }
+
+  /**
+   * Measure the loudness of a track
+   * @param {string|Object} track - URL or track object with src/path property
+   * @returns {Promise<Object|null>} - Loudness measurement or null if failed
+   */
+  async scanLoudness(track) {
+    if (!this.isInitialized) {
+      this.initialize();
+    }
+
+    const src = typeof track === 'string' ? track : (track.src || track.path);
+    return this.audioEngine.scanLoudness(src);
+  }
+
+  /**
+   * Measure the loudness of all tracks of an album
+   * @param {Array<string|Object>} tracks - URLs or track objects in album order
+   * @returns {Promise<Object|null>} - { tracks, album } or null if failed
+   */
+  async scanAlbumLoudness(tracks) {
+    if (!this.isInitialized) {
+      this.initialize();
+    }
+
+    const srcs = tracks.map(track => typeof track === 'string' ? track : (track.src || track.path));
+    return this.audioEngine.scanAlbumLoudness(srcs);
+  }
+
+  /**
+   * Find the tempo and beat grid of a track
+   * @param {string|Object} track - URL or track object with src/path property
+   * @returns {Promise<Object|null>} - { bpm, beats, confidence, duration } or null if failed
+   */
+  async analyzeBeatGrid(track) {
+    if (!this.isInitialized) {
+      this.initialize();
+    }
+
+    const src = typeof track === 'string' ? track : (track.src || track.path);
+    return this.audioEngine.analyzeBeatGrid(src);
+  }
+
+  /**
+   * Detect the musical key of a track
+   * @param {string|Object} track - URL or track object with src/path property
+   * @returns {Promise<Object|null>} - { key, camelot, confidence, ... } or null if failed
+   */
+  async detectKey(track) {
+    if (!this.isInitialized) {
+      this.initialize();
+    }
+
+    const src = typeof track === 'string' ? track : (track.src || track.path);
+    return this.audioEngine.detectKey(src);
+  }
+
+  /**
+   * Render a track through the effect chain and EQ without playing it
+   * @param {string|Object} track - URL or track object with src/path property
+   * @param {Object} [options] - { effects, eq, range, sampleRate }
+   * @returns {Promise<AudioBuffer|null>} - Rendered buffer or null if failed
+   */
+  async renderOffline(track, options = {}) {
+    if (!this.isInitialized) {
+      this.initialize();
+    }
+
+    const src = typeof track === 'string' ? track : (track.src || track.path);
+    return this.audioEngine.renderOffline(src, options);
+  }
+
+  /**
+   * Render a track offline and encode it as a WAV file
+   * @param {string|Object} track - URL or track object with src/path property
+   * @param {Object} [options] - Render options plus { bitDepth, float }
+   * @returns {Promise<Blob|null>} - WAV blob or null if failed
+   */
+  async exportWav(track, options = {}) {
+    if (!this.isInitialized) {
+      this.initialize();
+    }
+
+    const src = typeof track === 'string' ? track : (track.src || track.path);
+    return this.audioEngine.exportWav(src, options);
+  }
+
+  /**
+   * Load persisted audio settings
+   * @returns {Object} - Stored settings, or an empty object
+   */
+  loadAudioSettings() {
+    try {
+      const stored = localStorage.getItem(AUDIO_SETTINGS_KEY);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.warn('Failed to load audio settings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Persist audio settings
+   * @param {Object} settings - Settings to store
+   * @returns {boolean} - Whether the settings were saved
+   */
+  saveAudioSettings(settings) {
+    try {
+      localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify(settings));
+      return true;
+    } catch (error) {
+      console.warn('Failed to save audio settings:', error);
+      return false;
+    }
+  }
+
   /**
    * Set audio volume (0-100)
    * @param {number} volume - Volume level (0-100)
@@ -216,8 +588,10 @@ class AudioService {
     // Convert from percentage (0-100) to range (0-1)
     const normalizedVolume = Math.max(0, Math.min(1, volume / 100));
     
-    // Set volume on engine output
-    if (this.engineCore) {
+    this.volumeLevel = normalizedVolume;
+    
+    // Set volume on engine output; a muted output stays silent
+    if (this.engineCore && !this.muted) {
       this.engineCore.setVolume(normalizedVolume);
     }
     
@@ -232,8 +606,11 @@ class AudioService {
    * @param {boolean} muted - Whether audio should be muted
    */
   setMuted(muted) {
+    this.muted = Boolean(muted);
+    
+    // The core has no mute of its own; silence the master gain instead
     if (this.engineCore) {
-      this.engineCore.setMuted(muted);
+      this.engineCore.setVolume(this.muted ? 0 : this.volumeLevel);
     }
     
     // For compatibility
@@ -247,8 +624,8 @@ class AudioService {
    * @param {number} time - Time in seconds
    */
   seek(time) {
-    if (this.activeSource) {
-      this.activeSource.seek(time);
+    if (this.audioEngine) {
+      this.audioEngine.seek(time);
     }
     
     // For compatibility
@@ -262,15 +639,15 @@ class AudioService {
    * @returns {Object} - Object with current audio state
    */
   getState() {
-    // Get state from active source if available
-    if (this.activeSource) {
-      const sourceState = this.activeSource.getState();
+    // Get state from the engine's current track if there is one
+    const playback = this.audioEngine ? this.audioEngine.getPlaybackInfo() : null;
+    if (playback) {
       return {
-        currentTime: sourceState.currentTime,
-        duration: sourceState.duration || 0,
-        isPlaying: sourceState.isPlaying,
-        volume: this.engineCore.getVolume() * 100,
-        muted: this.engineCore.isMuted()
+        currentTime: playback.currentTime,
+        duration: playback.duration || 0,
+        isPlaying: playback.isPlaying,
+        volume: this.volumeLevel * 100,
+        muted: this.muted
       };
     }
     
@@ -393,12 +770,6 @@ class AudioService {
     // Stop playback
     this.stop();
     
-    // Dispose active source
-    if (this.activeSource) {
-      this.activeSource.dispose();
-      this.activeSource = null;
-    }
-    
     // Cleanup audio engine
     if (this.audioEngine) {
       this.audioEngine.dispose();
@@ -431,6 +802,10 @@ class AudioService {
       core: this.engineCore,
       sourceManager: this.sourceManager,
       bufferManager: this.bufferManager,
+      signalProcessor: this.audioEngine ? this.audioEngine.SignalProcessor : null,
+      beatDetector: this.audioEngine ? this.audioEngine.beatDetector : null,
+      outputManager: this.audioEngine ? this.audioEngine.outputManager : null,
+      deviceManager: this.audioEngine ? this.audioEngine.deviceManager : null,
       eventBus: this.eventBus,
       errorManager: this.errorManager
     };
@@ -4,12 +4,15 @@
  * Enhanced with robust error handling, retries, and fallbacks
  */
 
+import { isImageFile, pickFolderImage, getInheritedImages } from './ArtworkService';
+
 // Audio file types that are supported with both extensions and MIME types
 const SUPPORTED_AUDIO_TYPES = {
-  extensions: ['.mp3', '.wav', '.flac', '.ogg', '.m4a', '.aac', '.opus', '.wma', '.alac', '.ape'],
+  extensions: ['.mp3', '.wav', '.aif', '.aiff', '.aifc', '.flac', '.ogg', '.m4a', '.aac', '.opus', '.wma', '.alac', '.ape'],
   mimeTypes: [
     'audio/mpeg', 'audio/mp3', 
     'audio/wav', 'audio/wave', 'audio/x-wav',
+    'audio/aiff', 'audio/x-aiff',
     'audio/flac', 'audio/x-flac',
     'audio/ogg', 'audio/vorbis', 'application/ogg',
     'audio/mp4', 'audio/x-m4a', 'audio/m4a',
@@ -23,6 +26,9 @@ const SUPPORTED_AUDIO_TYPES = {
   extensionToMime: {
     '.mp3': 'audio/mpeg',
     '.wav': 'audio/wav',
+    '.aif': 'audio/aiff',
+    '.aiff': 'audio/aiff',
+    '.aifc': 'audio/aiff',
     '.flac': 'audio/flac',
     '.ogg': 'audio/ogg',
     '.m4a': 'audio/mp4',
@@ -243,14 +249,18 @@ const selectAudioFiles = async () => {
  * @param {Function} onProgress - Callback function for progress updates
  * @param {string} [basePath=''] - Base path for relative file paths
  * @param {AbortSignal} [signal] - Signal for aborting the operation
- * @returns {Promise<Array>} Array of found audio files with metadata
+ * @param {Array} [parentImages=[]] - Images inherited from the folders above
+ * @returns {Promise<Array>} Array of found audio files with metadata; a .lrc file
+ *   with the same name as an audio file is passed along as its lyricsHandle, and
+ *   the best image in its folder, or in the nearest folder above, as its folderImage
  */
 const scanDirectoryForAudioFiles = async (
   directoryHandle,
   onFileFound = () => {},
   onProgress = () => {},
   basePath = '',
-  signal = null
+  signal = null,
+  parentImages = []
 ) => {
   const audioFiles = [];
   const entriesCache = [];
@@ -276,6 +286,35 @@ const scanDirectoryForAudioFiles = async (
       }
     }
     
+    // Sidecar lyrics (.lrc) files, by the name of the audio file they belong to
+    const lyricsFiles = new Map(
+      entriesCache
+        .filter(([name, handle]) => handle.kind === 'file' && /\.lrc$/i.test(name))
+        .map(([name, handle]) => [name.replace(/\.lrc$/i, '').toLowerCase(), handle])
+    );
+    
+    // Cover images in this folder, ranked against each audio file later
+    const folderImages = await Promise.all(
+      entriesCache
+        .filter(([name, handle]) => handle.kind === 'file' && isImageFile(name))
+        .map(async ([name, handle]) => {
+          try {
+            const file = await handle.getFile();
+            return {
+              name,
+              path: basePath ? `${basePath}/${name}` : name,
+              size: file.size,
+              lastModified: file.lastModified,
+              handle,
+              file
+            };
+          } catch (imageError) {
+            console.warn(`Error reading image ${name}:`, imageError);
+            return null;
+          }
+        })
+    ).then(images => images.filter(Boolean));
+    
     let entriesProcessed = 0;
     const totalEntries = entriesCache.length;
     
@@ -302,7 +341,8 @@ const scanDirectoryForAudioFiles = async (
                 });
               },
               path,
-              signal
+              signal,
+              getInheritedImages(folderImages, parentImages)
             );
             
             // Merge results
@@ -325,7 +365,9 @@ const scanDirectoryForAudioFiles = async (
                   lastModified: file.lastModified,
                   type: file.type || getMimeTypeFromFileName(file.name),
                   handle: handle,
-                  file: file
+                  file: file,
+                  lyricsHandle: lyricsFiles.get(name.replace(/\.[^.]+$/, '').toLowerCase()) || null,
+                  folderImage: pickFolderImage(folderImages, name, parentImages)
                 };
                 
                 // Verify the file is valid
@@ -383,9 +425,17 @@ const scanDirectoryForAudioFiles = async (
  * @param {Function} onFileFound - Callback function called when an audio file is found
  * @param {Function} onProgress - Callback function for progress updates
  * @param {AbortSignal} [signal] - Signal for aborting the operation
- * @returns {Promise<Array>} Array of found audio files
+ * @param {Array} [parentImages=[]] - Images inherited from the folders above
+ * @returns {Promise<Array>} Array of found audio files, each with the best image
+ *   in its folder, or in the nearest folder above, as its folderImage
  */
-const processDroppedDirectory = async (entry, onFileFound = () => {}, onProgress = () => {}, signal = null) => {
+const processDroppedDirectory = async (
+  entry,
+  onFileFound = () => {},
+  onProgress = () => {},
+  signal = null,
+  parentImages = []
+) => {
   return withRetry(async () => {
     const audioFiles = [];
     
@@ -396,12 +446,14 @@ const processDroppedDirectory = async (entry, onFileFound = () => {}, onProgress
     
     // For File System Access API
     if (entry.kind === 'directory' && typeof entry.entries === 'function') {
-      return scanDirectoryForAudioFiles(entry, onFileFound, onProgress, '', signal);
+      return scanDirectoryForAudioFiles(entry, onFileFound, onProgress, '', signal, parentImages);
     }
     
     // For older API (webkitGetAsEntry)
     if (entry.isDirectory) {
       const dirReader = entry.createReader();
+      const folderImages = [];
+      const subdirectories = [];
       
       // Read entries recursively with chunking and error handling
       const readEntries = async () => {
@@ -437,17 +489,8 @@ const processDroppedDirectory = async (entry, onFileFound = () => {}, onProgress
                         }
                         
                         if (childEntry.isDirectory) {
-                          const subdirFiles = await processDroppedDirectory(
-                            childEntry,
-                            onFileFound,
-                            (progress) => onProgress({
-                              ...progress,
-                              currentFile: `${entry.fullPath}/${progress.currentFile || ''}`.replace(/\/+/g, '/'),
-                              parentDirectory: entry.fullPath
-                            }),
-                            signal
-                          );
-                          results.push(...subdirFiles);
+                          // Read once this folder's images are all known
+                          subdirectories.push(childEntry);
                         } else if (childEntry.isFile) {
                           await new Promise((resolveFile, rejectFile) => {
                             childEntry.file(file => {
@@ -472,6 +515,14 @@ const processDroppedDirectory = async (entry, onFileFound = () => {}, onProgress
                                   
                                   audioFiles.push(audioFile);
                                   onFileFound(audioFile);
+                                } else if (isImageFile(file.name, file.type)) {
+                                  folderImages.push({
+                                    name: file.name,
+                                    path: childEntry.fullPath.substring(1),
+                                    size: file.size,
+                                    lastModified: file.lastModified,
+                                    file: file
+                                  });
                                 }
                                 resolveFile();
                               } catch (fileError) {
@@ -532,6 +583,31 @@ const processDroppedDirectory = async (entry, onFileFound = () => {}, onProgress
       };
       
       await readEntries();
+      
+      // Images are only all known once the folder has been read
+      audioFiles.forEach(audioFile => {
+        audioFile.folderImage = pickFolderImage(folderImages, audioFile.name, parentImages);
+      });
+      
+      const inheritedImages = getInheritedImages(folderImages, parentImages);
+      
+      for (const subdirectory of subdirectories) {
+        if (signal && signal.aborted) break;
+        
+        const subdirFiles = await processDroppedDirectory(
+          subdirectory,
+          onFileFound,
+          (progress) => onProgress({
+            ...progress,
+            currentFile: `${entry.fullPath}/${progress.currentFile || ''}`.replace(/\/+/g, '/'),
+            parentDirectory: entry.fullPath
+          }),
+          signal,
+          inheritedImages
+        );
+        audioFiles.push(...subdirFiles);
+      }
+      
       return audioFiles;
     }
     
@@ -683,6 +759,33 @@ const getRelativePath = async (rootHandle, fileHandle) => {
   }
 };
 
+/**
+ * Find a file handle below a directory handle by its relative path
+ * @param {FileSystemDirectoryHandle} rootHandle - Directory to start from
+ * @param {string} relativePath - Slash-separated path below the directory
+ * @returns {Promise<FileSystemFileHandle|null>} File handle or null if not found
+ */
+const getFileHandleByPath = async (rootHandle, relativePath) => {
+  if (!rootHandle || typeof rootHandle.getDirectoryHandle !== 'function') {
+    return null;
+  }
+
+  try {
+    const parts = relativePath.split('/').filter(Boolean);
+    const fileName = parts.pop();
+    let directory = rootHandle;
+
+    for (const part of parts) {
+      directory = await directory.getDirectoryHandle(part);
+    }
+
+    return await directory.getFileHandle(fileName);
+  } catch (error) {
+    console.warn(`No file handle found for ${relativePath}:`, error);
+    return null;
+  }
+};
+
 /**
  * Gets the MIME type for a file extension with fallbacks
  * @param {string} filename - Filename or extension
@@ -804,7 +907,8 @@ const legacyFolderSelect = () => {
 /**
  * Takes a FileList object and filters for audio files with improved validation
  * @param {FileList|Array<File>} fileList - FileList object from input element or array of Files
- * @returns {Array} Array of audio files
+ * @returns {Array} Array of audio files, each with the best image in its directory, or in the
+ *   nearest directory above, as its folderImage
  */
 const filterAudioFilesFromFileList = (fileList) => {
   const audioFiles = [];
@@ -814,6 +918,9 @@ const filterAudioFilesFromFileList = (fileList) => {
   // Convert FileList to Array for easier processing
   const files = Array.from(fileList);
   
+  // Cover images by the directory they are in
+  const folderImages = new Map();
+  
   for (const file of files) {
     try {
       // Skip invalid files
@@ -840,6 +947,20 @@ const filterAudioFilesFromFileList = (fileList) => {
         };
         
         audioFiles.push(audioFile);
+      } else if (isImageFile(file.name, file.type)) {
+        const path = file.webkitRelativePath || file.name;
+        const directory = path.split('/').slice(0, -1).join('/');
+        
+        if (!folderImages.has(directory)) {
+          folderImages.set(directory, []);
+        }
+        folderImages.get(directory).push({
+          name: file.name,
+          path: path,
+          size: file.size,
+          lastModified: file.lastModified,
+          file: file
+        });
       }
     } catch (error) {
       console.warn(`Error processing file ${file?.name || 'unknown'}:`, error);
@@ -847,6 +968,22 @@ const filterAudioFilesFromFileList = (fileList) => {
     }
   }
   
+  // Images a directory inherits from the directories above it
+  const getParentImages = (directory) => {
+    if (!directory) return [];
+    
+    const parent = directory.split('/').slice(0, -1).join('/');
+    return getInheritedImages(folderImages.get(parent), getParentImages(parent));
+  };
+  
+  audioFiles.forEach(audioFile => {
+    audioFile.folderImage = pickFolderImage(
+      folderImages.get(audioFile.directory),
+      audioFile.name,
+      getParentImages(audioFile.directory)
+    );
+  });
+  
   return audioFiles;
 };
 
@@ -999,6 +1136,7 @@ export {
   readFileAsArrayBuffer,
   readBinaryFile,
   getRelativePath,
+  getFileHandleByPath,
   getMimeTypeFromFileName,
   createBlobURL,
   revokeBlobURL,
@@ -1023,6 +1161,7 @@ export default {
   readFileAsArrayBuffer,
   readBinaryFile,
   getRelativePath,
+  getFileHandleByPath,
   getMimeTypeFromFileName,
   createBlobURL,
   revokeBlobURL,
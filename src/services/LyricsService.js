@@ -0,0 +1,192 @@
+/**
+ * LyricsService.js
+ * Service for parsing lyrics - plain text and LRC - and loading sidecar
+ * .lrc files that sit next to the audio
+ */
+
+import { readFile } from './FileSystemService';
+
+// Line timestamps: [mm:ss], [mm:ss.xx], [mm:ss:xx] or [mm:ss.xxx]
+const TIMESTAMP_PATTERN = /\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+
+// ID tags such as [ar:Artist] or [offset:+250]
+const ID_TAG_PATTERN = /^\[([a-z]+):(.*)\]$/i;
+
+// Word timestamps of enhanced LRC: <mm:ss.xx>
+const WORD_TIMESTAMP_PATTERN = /<\d+:\d{1,2}(?:[.:]\d{1,3})?>/g;
+
+/**
+ * Convert a timestamp match to seconds
+ * @param {string} minutes - Minutes
+ * @param {string} seconds - Seconds
+ * @param {string} [fraction] - Fraction digits (hundredths or milliseconds)
+ * @returns {number} Time in seconds
+ */
+const toSeconds = (minutes, seconds, fraction) => {
+  const fractionSeconds = fraction ? parseInt(fraction, 10) / Math.pow(10, fraction.length) : 0;
+  return parseInt(minutes, 10) * 60 + parseInt(seconds, 10) + fractionSeconds;
+};
+
+/**
+ * Parse LRC text
+ * Lines may carry several timestamps ("[00:12.00][01:30.50]Chorus"), and the
+ * [offset:ms] tag shifts every line; a positive offset shows lyrics sooner.
+ * @param {string} text - LRC text
+ * @returns {Object} - { synced, lines: [{ time, text }], tags } with times in
+ *   seconds; synced is false (and times null) if no line has a timestamp
+ */
+const parseLrc = (text) => {
+  const tags = {};
+  const timedLines = [];
+  const plainLines = [];
+
+  (text || '').split(/\r\n|\r|\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    const times = [];
+
+    TIMESTAMP_PATTERN.lastIndex = 0;
+    let match;
+    let end = 0;
+
+    // Timestamps are only read at the start of the line
+    while ((match = TIMESTAMP_PATTERN.exec(line)) !== null && match.index === end) {
+      times.push(toSeconds(match[1], match[2], match[3]));
+      end = TIMESTAMP_PATTERN.lastIndex;
+    }
+
+    if (times.length) {
+      const lyric = line.substring(end).replace(WORD_TIMESTAMP_PATTERN, '').trim();
+      times.forEach(time => timedLines.push({ time, text: lyric }));
+      return;
+    }
+
+    const tag = line.match(ID_TAG_PATTERN);
+    if (tag) {
+      tags[tag[1].toLowerCase()] = tag[2].trim();
+      return;
+    }
+
+    plainLines.push({ time: null, text: line });
+  });
+
+  if (!timedLines.length) {
+    // Drop blank lines at either end of plain lyrics
+    while (plainLines.length && !plainLines[0].text) plainLines.shift();
+    while (plainLines.length && !plainLines[plainLines.length - 1].text) plainLines.pop();
+
+    return { synced: false, lines: plainLines, tags };
+  }
+
+  const offset = parseInt(tags.offset, 10) / 1000 || 0;
+
+  const lines = timedLines
+    .map(line => ({ time: Math.max(0, line.time - offset), text: line.text }))
+    .sort((a, b) => a.time - b.time);
+
+  return { synced: true, lines, tags };
+};
+
+/**
+ * Normalize lyrics from any source into { synced, lines }
+ * @param {string|Array|Object} value - LRC or plain text, an array of text
+ *   lines or of { time, text } lines, or already-parsed lyrics
+ * @returns {Object|null} - { synced, lines: [{ time, text }] }, or null if empty
+ */
+const parseLyrics = (value) => {
+  if (!value) return null;
+
+  let lyrics;
+
+  if (typeof value === 'string') {
+    lyrics = parseLrc(value);
+  } else if (Array.isArray(value)) {
+    if (value.every(line => line && typeof line.time === 'number')) {
+      lyrics = { synced: true, lines: [...value].sort((a, b) => a.time - b.time) };
+    } else {
+      // Several unsynchronized lyrics texts (music-metadata's common.lyrics)
+      lyrics = parseLrc(value.map(line => (typeof line === 'string' ? line : line && line.text) || '').join('\n'));
+    }
+  } else if (Array.isArray(value.lines)) {
+    lyrics = value;
+  } else {
+    return null;
+  }
+
+  if (!lyrics.lines.some(line => line.text)) return null;
+
+  return { synced: lyrics.synced, lines: lyrics.lines };
+};
+
+/**
+ * Find the line being sung at a time
+ * @param {Array} lines - Synced lines, sorted by time
+ * @param {number} time - Playback time in seconds
+ * @returns {number} Line index, or -1 before the first line
+ */
+const findLyricLineIndex = (lines, time) => {
+  let low = 0;
+  let high = lines.length - 1;
+  let index = -1;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (lines[middle].time <= time) {
+      index = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return index;
+};
+
+/**
+ * Read and parse a sidecar .lrc file
+ * @param {FileSystemFileHandle|File} handleOrFile - The .lrc file
+ * @returns {Promise<Object|null>} Parsed lyrics, or null if unreadable or empty
+ */
+const readSidecarLyrics = async (handleOrFile) => {
+  if (!handleOrFile) return null;
+
+  try {
+    const file = handleOrFile instanceof File ? handleOrFile : await readFile(handleOrFile);
+    return parseLyrics(await file.text());
+  } catch (error) {
+    console.warn('Failed to read lyrics file:', error);
+    return null;
+  }
+};
+
+/**
+ * Lyrics for a track: a sidecar .lrc file is used when it is synced or the
+ * file has no embedded lyrics, since embedded lyrics are rarely synced
+ * @param {Object|null} embedded - Parsed embedded lyrics
+ * @param {FileSystemFileHandle|File} [sidecarHandle] - Sidecar .lrc file
+ * @returns {Promise<Object|null>} Lyrics
+ */
+const loadTrackLyrics = async (embedded, sidecarHandle) => {
+  const sidecar = await readSidecarLyrics(sidecarHandle);
+
+  if (sidecar && (sidecar.synced || !embedded)) {
+    return sidecar;
+  }
+
+  return embedded || null;
+};
+
+export {
+  parseLrc,
+  parseLyrics,
+  findLyricLineIndex,
+  readSidecarLyrics,
+  loadTrackLyrics
+};
+
+export default {
+  parseLrc,
+  parseLyrics,
+  findLyricLineIndex,
+  readSidecarLyrics,
+  loadTrackLyrics
+};
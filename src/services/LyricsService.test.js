@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { parseLrc, parseLyrics, findLyricLineIndex } from './LyricsService';
+
+describe('parseLrc', () => {
+  it('reads line timestamps in each accepted form', () => {
+    const lyrics = parseLrc([
+      '[00:01]One',
+      '[00:02.5]Two',
+      '[00:03.25]Three',
+      '[00:04:50]Four',
+      '[01:05.125]Five'
+    ].join('\n'));
+
+    expect(lyrics.synced).toBe(true);
+    expect(lyrics.lines).toEqual([
+      { time: 1, text: 'One' },
+      { time: 2.5, text: 'Two' },
+      { time: 3.25, text: 'Three' },
+      { time: 4.5, text: 'Four' },
+      { time: 65.125, text: 'Five' }
+    ]);
+  });
+
+  it('repeats a line for each of its timestamps, in time order', () => {
+    const lyrics = parseLrc('[00:10.00]Verse\n[00:05.00][00:20.00]Chorus');
+
+    expect(lyrics.lines).toEqual([
+      { time: 5, text: 'Chorus' },
+      { time: 10, text: 'Verse' },
+      { time: 20, text: 'Chorus' }
+    ]);
+  });
+
+  it('reads ID tags and applies the offset', () => {
+    const lyrics = parseLrc('[ar:Someone]\n[ti:Song]\n[offset:+500]\n[00:00.20]Early\n[00:02.00]Later');
+
+    expect(lyrics.tags).toEqual({ ar: 'Someone', ti: 'Song', offset: '+500' });
+    expect(lyrics.lines).toEqual([
+      { time: 0, text: 'Early' }, // Never before the start
+      { time: 1.5, text: 'Later' }
+    ]);
+  });
+
+  it('drops the word timestamps of enhanced LRC', () => {
+    const lyrics = parseLrc('[00:01.00]<00:01.00>Hello <00:01.50>world');
+
+    expect(lyrics.lines).toEqual([{ time: 1, text: 'Hello world' }]);
+  });
+
+  it('only reads timestamps at the start of a line', () => {
+    const lyrics = parseLrc('[00:01.00]At [00:02.00] noon');
+
+    expect(lyrics.lines).toEqual([{ time: 1, text: 'At [00:02.00] noon' }]);
+  });
+
+  it('keeps plain text unsynced, without blank lines at either end', () => {
+    const lyrics = parseLrc('\r\n\r\nFirst line\r\n\r\nSecond line\r\n\r\n');
+
+    expect(lyrics).toEqual({
+      synced: false,
+      lines: [
+        { time: null, text: 'First line' },
+        { time: null, text: '' },
+        { time: null, text: 'Second line' }
+      ],
+      tags: {}
+    });
+  });
+});
+
+describe('parseLyrics', () => {
+  it('returns null for empty lyrics', () => {
+    expect(parseLyrics(null)).toBeNull();
+    expect(parseLyrics('')).toBeNull();
+    expect(parseLyrics('[ar:Someone]\n\n')).toBeNull();
+    expect(parseLyrics({})).toBeNull();
+  });
+
+  it('sorts timed lines given as an array', () => {
+    expect(parseLyrics([{ time: 4, text: 'B' }, { time: 2, text: 'A' }])).toEqual({
+      synced: true,
+      lines: [{ time: 2, text: 'A' }, { time: 4, text: 'B' }]
+    });
+  });
+
+  it('joins several unsynchronized texts', () => {
+    expect(parseLyrics(['Line one', { text: 'Line two' }])).toEqual({
+      synced: false,
+      lines: [{ time: null, text: 'Line one' }, { time: null, text: 'Line two' }]
+    });
+  });
+});
+
+describe('findLyricLineIndex', () => {
+  const lines = [{ time: 1 }, { time: 3 }, { time: 3 }, { time: 8 }];
+
+  it('finds the last line that has started', () => {
+    expect(findLyricLineIndex(lines, 0.5)).toBe(-1);
+    expect(findLyricLineIndex(lines, 1)).toBe(0);
+    expect(findLyricLineIndex(lines, 3.5)).toBe(2);
+    expect(findLyricLineIndex(lines, 100)).toBe(3);
+    expect(findLyricLineIndex([], 5)).toBe(-1);
+  });
+});
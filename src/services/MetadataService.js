@@ -5,6 +5,12 @@
 
 import { readFileAsArrayBuffer, getMimeTypeFromFileName } from './FileSystemService';
 import { Buffer } from 'buffer';
+import AudioUtils from './audio/utils/AudioHelpers';
+import { parseWavMetadata } from './metadata/WavParser';
+import { parseAiffMetadata } from './metadata/AiffParser';
+import { readID3v2Lyrics } from './metadata/ID3v2Reader';
+import { parseLyrics } from './LyricsService';
+import { storeEmbeddedThumbnail } from './ArtworkService';
 window.Buffer = Buffer; // Make Buffer available globally
 
 // Fields to extract from metadata
@@ -20,9 +26,37 @@ const METADATA_FIELDS = [
   'picture',  // Album artwork
   'albumArtist', // Album artist (may differ from track artist)
   'discNumber',  // Disc number for multi-disc albums
-  'bpm'          // Beats per minute
+  'bpm',         // Beats per minute
+  'key',         // Musical key (initial key tag)
+  'replayGain',  // ReplayGain track/album gain and peak
+  'sampleRate',  // Sample rate in Hz
+  'bitDepth',    // Bits per sample (lossless formats)
+  'channels',    // Number of audio channels
+  'lyrics'       // Plain or synchronized lyrics
 ];
 
+// Technical properties kept on each track as its audioProperties block
+const AUDIO_PROPERTY_FIELDS = [
+  'container',   // File format, e.g. "MPEG", "FLAC", "WAV"
+  'codec',       // Audio codec, e.g. "MPEG 1 Layer 3", "PCM"
+  'bitrate',     // Bits per second
+  'bitrateMode', // "CBR", "VBR" or "ABR"
+  'sampleRate',  // Sample rate in Hz
+  'bitDepth',    // Bits per sample
+  'channels',    // Number of audio channels
+  'lossless',    // Whether the codec is lossless
+  'encoder',     // Who or what encoded the file (encoded-by tag)
+  'tool'         // Encoder software and settings
+];
+
+// ReplayGain tag names, as exposed by music-metadata's common tags
+const REPLAYGAIN_TAGS = {
+  trackGain: 'replaygain_track_gain',
+  trackPeak: 'replaygain_track_peak',
+  albumGain: 'replaygain_album_gain',
+  albumPeak: 'replaygain_album_peak'
+};
+
 /**
  * Extract metadata from an audio file
  * @param {File|FileSystemFileHandle} fileOrHandle - File or FileSystemFileHandle to extract metadata from
@@ -46,13 +80,6 @@ const extractMetadata = async (fileOrHandle) => {
       lastModified: file.lastModified
     };
 
-    // --- IMPORTANT ---
-    // Replace placeholders below with actual metadata parsing logic
-    // using a library like music-metadata-browser or custom parsing.
-    // The parsing should populate `metadata.picture` with an object like:
-    // { data: ArrayBuffer, format: 'image/jpeg', description: 'Cover (front)', ... }
-    // --- IMPORTANT ---
-
     switch (extension) {
       case 'mp3':
         metadata = { ...metadata, ...await parseMP3Metadata(arrayBuffer) };
@@ -61,23 +88,33 @@ const extractMetadata = async (fileOrHandle) => {
         metadata = { ...metadata, ...await parseFLACMetadata(arrayBuffer) };
         break;
       case 'm4a':
-      case 'aac':
         metadata = { ...metadata, ...await parseM4AMetadata(arrayBuffer) };
         break;
+      case 'aac':
+        // Raw ADTS streams need music-metadata's AAC parser rather than MP4
+        metadata = { ...metadata, ...await parseM4AMetadata(arrayBuffer, 'audio/aac') };
+        break;
       case 'ogg':
       case 'opus':
         metadata = { ...metadata, ...await parseOggMetadata(arrayBuffer) };
         break;
       case 'wav':
+      case 'wave':
         metadata = { ...metadata, ...await parseWAVMetadata(arrayBuffer) };
         break;
+      case 'aif':
+      case 'aiff':
+      case 'aifc':
+        metadata = { ...metadata, ...await parseAIFFMetadata(arrayBuffer) };
+        break;
       default:
         // For unsupported formats, use file name for basic metadata
         metadata = { ...metadata, ...parseFileNameForMetadata(fileName) };
     }
 
-    // Clean up and normalize metadata (includes artwork processing now)
-    return normalizeMetadata(metadata);
+    // Clean up and normalize metadata, storing any embedded cover as a
+    // thumbnail; awaited so a failure falls back to the file name below
+    return await normalizeMetadata(metadata);
   } catch (error) {
     console.error('Error extracting metadata:', error);
     // Return basic metadata from filename if extraction fails
@@ -113,26 +150,69 @@ const extractMetadata = async (fileOrHandle) => {
 };
 
 /**
- * Parse MP3 metadata (ID3 tags) - Placeholder
+ * Technical properties from the format block of a music-metadata result
+ * @param {Object} metadata - music-metadata result ({ format, common })
+ * @returns {Object} - { duration, container, codec, bitrate, bitrateMode,
+ *   sampleRate, bitDepth, channels, lossless, encoder, tool }
+ */
+const readFormatBlock = ({ format, common }) => {
+  // MP3 profiles read "CBR", "V0".."V9" for LAME VBR presets, or "ABR"
+  const profile = format.codecProfile || '';
+  let bitrateMode = null;
+  if (/^V\d|VBR/i.test(profile)) {
+    bitrateMode = 'VBR';
+  } else if (/CBR|ABR/i.test(profile)) {
+    bitrateMode = profile.toUpperCase();
+  } else if (format.lossless) {
+    // Uncompressed PCM has a constant bitrate; FLAC and ALAC vary with the content
+    bitrateMode = /PCM/i.test(format.codec || '') ? 'CBR' : 'VBR';
+  }
+
+  return {
+    duration: format.duration,
+    container: format.container || null,
+    codec: format.codec || null,
+    bitrate: format.bitrate || null,
+    bitrateMode,
+    sampleRate: format.sampleRate || null,
+    bitDepth: format.bitsPerSample || null,
+    channels: format.numberOfChannels || null,
+    lossless: !!format.lossless,
+    encoder: common.encodedby || null,
+    tool: format.tool || common.encodersettings || null
+  };
+};
+
+/**
+ * Parse a file with music-metadata
  * @param {ArrayBuffer} arrayBuffer - File data
+ * @param {string} mimeType - MIME type, used to pick the parser
  * @returns {Promise<Object>} Metadata object
  */
+const parseWithMusicMetadata = async (arrayBuffer, mimeType) => {
+  // Use music-metadata-browser properly in browser context
+  const mm = await import('music-metadata-browser');
+  const metadata = await mm.parseBlob(new Blob([arrayBuffer], { type: mimeType }));
+
+  return {
+    ...metadata.common,
+    picture: metadata.common.picture?.[0],
+    ...readFormatBlock(metadata)
+  };
+};
 
+/**
+ * Parse MP3 metadata (ID3 tags)
+ * @param {ArrayBuffer} arrayBuffer - File data
+ * @returns {Promise<Object>} Metadata object
+ */
 const parseMP3Metadata = async (arrayBuffer) => {
   try {
-    // Use music-metadata-browser properly in browser context
-    const mm = await import('music-metadata-browser');
-    const metadata = await mm.parseBlob(new Blob([arrayBuffer], { type: 'audio/mpeg' }));
-    
-    // Return processed metadata
-    return { 
-      ...metadata.common,
-      picture: metadata.common.picture?.[0],
-      duration: metadata.format.duration,
-      sampleRate: metadata.format.sampleRate,
-      bitrate: metadata.format.bitrate,
-      channels: metadata.format.numberOfChannels
-    };
+    const metadata = await parseWithMusicMetadata(arrayBuffer, 'audio/mpeg');
+
+    // music-metadata drops the timestamps of synchronized (SYLT) lyrics
+    const lyrics = readID3v2Lyrics(new Uint8Array(arrayBuffer));
+    return lyrics ? { ...metadata, lyrics } : metadata;
   } catch (error) {
     console.error('Error parsing MP3 metadata:', error);
     return { format: 'MP3' };
@@ -140,23 +220,13 @@ const parseMP3Metadata = async (arrayBuffer) => {
 };
 
 /**
- * Parse FLAC metadata - Placeholder
+ * Parse FLAC metadata (Vorbis comments)
  * @param {ArrayBuffer} arrayBuffer - File data
  * @returns {Promise<Object>} Metadata object
  */
 const parseFLACMetadata = async (arrayBuffer) => {
   try {
-    const mm = await import('music-metadata-browser');
-    const metadata = await mm.parseBlob(new Blob([arrayBuffer], { type: 'audio/flac' }));
-    return { 
-      ...metadata.common,
-      picture: metadata.common.picture?.[0],
-      duration: metadata.format.duration,
-      lossless: true,
-      sampleRate: metadata.format.sampleRate,
-      bitrate: metadata.format.bitrate,
-      channels: metadata.format.numberOfChannels
-    };
+    return await parseWithMusicMetadata(arrayBuffer, 'audio/flac');
   } catch (error) {
     console.error('Error parsing FLAC metadata:', error);
     return { format: 'FLAC', lossless: true };
@@ -164,33 +234,60 @@ const parseFLACMetadata = async (arrayBuffer) => {
 };
 
 /**
- * Parse M4A/AAC metadata (atoms/boxes) - Placeholder
+ * Parse M4A/AAC metadata (atoms/boxes)
  * @param {ArrayBuffer} arrayBuffer - File data
+ * @param {string} [mimeType='audio/mp4'] - MIME type
  * @returns {Promise<Object>} Metadata object
  */
-const parseM4AMetadata = async (arrayBuffer) => {
-  // Placeholder - Implement actual M4A parsing
-  return { format: 'M4A/AAC' };
+const parseM4AMetadata = async (arrayBuffer, mimeType = 'audio/mp4') => {
+  try {
+    return await parseWithMusicMetadata(arrayBuffer, mimeType);
+  } catch (error) {
+    console.error('Error parsing M4A metadata:', error);
+    return { format: 'M4A/AAC' };
+  }
 };
 
 /**
- * Parse Ogg metadata (Vorbis comments) - Placeholder
+ * Parse Ogg metadata (Vorbis comments)
  * @param {ArrayBuffer} arrayBuffer - File data
  * @returns {Promise<Object>} Metadata object
  */
 const parseOggMetadata = async (arrayBuffer) => {
-  // Placeholder - Implement actual Ogg Vorbis parsing
-  return { format: 'Ogg' };
+  try {
+    return await parseWithMusicMetadata(arrayBuffer, 'audio/ogg');
+  } catch (error) {
+    console.error('Error parsing Ogg metadata:', error);
+    return { format: 'Ogg' };
+  }
 };
 
 /**
- * Parse WAV metadata (RIFF format) - Placeholder
+ * Parse WAV metadata (RIFF chunks)
  * @param {ArrayBuffer} arrayBuffer - File data
  * @returns {Promise<Object>} Metadata object
  */
 const parseWAVMetadata = async (arrayBuffer) => {
-  // Placeholder - Implement actual WAV RIFF parsing
-  return { format: 'WAV', lossless: true };
+  try {
+    return parseWavMetadata(arrayBuffer);
+  } catch (error) {
+    console.error('Error parsing WAV metadata:', error);
+    return { format: 'WAV', lossless: true };
+  }
+};
+
+/**
+ * Parse AIFF/AIFC metadata (IFF chunks)
+ * @param {ArrayBuffer} arrayBuffer - File data
+ * @returns {Promise<Object>} Metadata object
+ */
+const parseAIFFMetadata = async (arrayBuffer) => {
+  try {
+    return parseAiffMetadata(arrayBuffer);
+  } catch (error) {
+    console.error('Error parsing AIFF metadata:', error);
+    return { format: 'AIFF', lossless: true };
+  }
 };
 
 /**
@@ -228,62 +325,12 @@ const parseFileNameForMetadata = (fileName) => {
   return { title, artist, track: trackNum };
 };
 
-// Helper function to convert ArrayBuffer to Base64 string
-const arrayBufferToBase64 = (buffer) => {
-  let binary = '';
-  const bytes = new Uint8Array(buffer);
-  const len = bytes.byteLength;
-  for (let i = 0; i < len; i++) {
-    binary += String.fromCharCode(bytes[i]);
-  }
-  // Only use window.btoa for browser environment
-  return window.btoa(binary);
-};
-
-/**
- * Extract cover art data from metadata and convert to Data URL
- * @param {Object} metadata - Track metadata potentially containing picture data
- * @returns {Object|null} Cover art object with Data URL, or null if not present/error
- */
-const extractCoverArt = (metadata) => {
-  // Ensure picture data exists and is likely an ArrayBuffer or TypedArray
-  // Also check for a format (MIME type)
-  if (!metadata.picture || !metadata.picture.data || !metadata.picture.data.byteLength || !metadata.picture.format) {
-    return null;
-  }
-
-  const { picture } = metadata;
-
-  try {
-    // Convert the picture data (assumed ArrayBuffer/TypedArray) to Base64
-    const base64String = arrayBufferToBase64(picture.data);
-
-    // Create the Data URL
-    const dataUrl = `data:${picture.format};base64,${base64String}`;
-
-    // Return the Data URL instead of the blob URL object
-    return {
-      url: dataUrl, // This is now a persistent Data URL
-      format: picture.format,
-      description: picture.description,
-      type: picture.type,
-      // width/height might still be useful if extracted by the metadata library
-      width: picture.width,
-      height: picture.height,
-    };
-  } catch (error) {
-    console.error("Error converting image data to Base64:", error);
-    return null; // Return null if conversion fails
-  }
-};
-
-
 /**
  * Normalize and clean up metadata, including artwork processing
  * @param {Object} metadata - Raw metadata object
- * @returns {Object} Normalized metadata
+ * @returns {Promise<Object>} Normalized metadata, with the cover art's thumbnail ID as artworkId
  */
-const normalizeMetadata = (metadata) => {
+const normalizeMetadata = async (metadata) => {
   const normalized = { ...metadata };
 
   // Ensure all expected fields exist, setting to null if undefined
@@ -328,6 +375,11 @@ const normalizeMetadata = (metadata) => {
     normalized.bpm = !isNaN(bpmNum) && bpmNum > 0 ? bpmNum : null;
   }
 
+  // Musical key (accepts any common spelling, or a Camelot code)
+  const musicalKey = AudioUtils.parseMusicalKey(normalized.key);
+  normalized.key = musicalKey ? musicalKey.name : null;
+  normalized.camelot = musicalKey ? musicalKey.camelot : null;
+
   // Trim string fields
   ['title', 'artist', 'album', 'genre', 'composer', 'albumArtist'].forEach(field => {
     if (typeof normalized[field] === 'string') {
@@ -338,15 +390,32 @@ const normalizeMetadata = (metadata) => {
     }
   });
 
+  // --- ReplayGain ---
+  // Fold the individual REPLAYGAIN_* tags into a single object
+  if (!normalized.replayGain) {
+    normalized.replayGain = extractReplayGain(normalized);
+  }
+  Object.values(REPLAYGAIN_TAGS).forEach(tag => {
+    delete normalized[tag];
+    delete normalized[tag.toUpperCase()];
+  });
+
+  // --- Lyrics ---
+  normalized.lyrics = parseLyrics(normalized.lyrics);
+
+  // --- Audio Properties ---
+  normalized.audioProperties = extractAudioProperties(normalized);
+
+  // --- Cue Markers ---
+  // Cue points and sampler loops stored in the file become the track's cue markers
+  normalized.cueMarkers = extractCueMarkers(normalized);
+  delete normalized.cuePoints;
+  delete normalized.loops;
+
   // --- Artwork Processing ---
-  // Extract cover art and add its *Data URL* to the normalized metadata
-  const coverArt = extractCoverArt(normalized); // Use the updated extractCoverArt
-  normalized.artwork = coverArt ? coverArt.url : null;
-
-  // Decision: Remove raw 'picture' data after processing?
-  // Pros: Saves significant space in localStorage.
-  // Cons: Raw data lost if needed later for other purposes (unlikely for basic display).
-  // Let's remove it for storage efficiency:
+  // The cover art is stored once as a thumbnail in IndexedDB; tracks only
+  // keep its ID
+  normalized.artworkId = await storeEmbeddedThumbnail(normalized.picture);
   delete normalized.picture;
 
   // --- ID Generation ---
@@ -355,6 +424,96 @@ const normalizeMetadata = (metadata) => {
   return normalized;
 };
 
+/**
+ * Collect the technical properties reported by the parser
+ * @param {Object} metadata - Raw metadata object
+ * @returns {Object} Audio properties (see AUDIO_PROPERTY_FIELDS); unknown values are null
+ */
+const extractAudioProperties = (metadata) => {
+  const properties = {};
+
+  AUDIO_PROPERTY_FIELDS.forEach(field => {
+    const value = metadata[field];
+    properties[field] = value === undefined || value === '' ? null : value;
+  });
+
+  // Fallback parsers only name the format
+  if (!properties.container) {
+    const extension = (metadata.fileName || '').split('.').pop();
+    properties.container = metadata.format || (extension ? extension.toUpperCase() : null);
+  }
+
+  // Estimate the average bitrate when the parser gives none
+  if (!properties.bitrate && metadata.fileSize && metadata.duration > 0) {
+    properties.bitrate = Math.round((metadata.fileSize * 8) / metadata.duration);
+  }
+
+  properties.lossless = !!properties.lossless;
+
+  return properties;
+};
+
+/**
+ * Turn the cue points and loops read from a WAV or AIFF file into cue markers
+ * @param {Object} metadata - Raw metadata object
+ * @returns {Array<Object>} [{ id, name, time, end? }] sorted by time; loop markers have an end
+ */
+const extractCueMarkers = (metadata) => {
+  const cues = (metadata.cuePoints || [])
+    .filter(cue => Number.isFinite(cue.position))
+    .map((cue, index) => ({
+      id: `cue_file_${cue.id ?? index}`,
+      name: cue.label || `Cue ${index + 1}`,
+      time: cue.position
+    }));
+
+  const loops = (metadata.loops || [])
+    .filter(loop => Number.isFinite(loop.start) && loop.end > loop.start)
+    .map((loop, index) => ({
+      id: `loop_file_${index}`,
+      name: loop.label || `Loop ${index + 1}`,
+      time: loop.start,
+      end: loop.end
+    }));
+
+  return [...cues, ...loops].sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Extract ReplayGain values from parsed tags
+ * Accepts music-metadata's { dB, ratio } objects as well as raw
+ * REPLAYGAIN_* strings such as "-6.52 dB" or "0.988553".
+ * @param {Object} metadata - Raw metadata object
+ * @returns {Object|null} { trackGain, trackPeak, albumGain, albumPeak } in dB / linear, or null if untagged
+ */
+const extractReplayGain = (metadata) => {
+  const readTag = (name) => {
+    const value = metadata[name] ?? metadata[name.toUpperCase()];
+    return Array.isArray(value) ? value[0] : value;
+  };
+
+  const readGain = (value) => {
+    if (value === undefined || value === null) return null;
+    const dB = typeof value === 'object' ? value.dB : parseFloat(value);
+    return Number.isFinite(dB) ? dB : null;
+  };
+
+  const readPeak = (value) => {
+    if (value === undefined || value === null) return null;
+    const ratio = typeof value === 'object' ? value.ratio : parseFloat(value);
+    return Number.isFinite(ratio) && ratio > 0 ? ratio : null;
+  };
+
+  const replayGain = {
+    trackGain: readGain(readTag(REPLAYGAIN_TAGS.trackGain)),
+    trackPeak: readPeak(readTag(REPLAYGAIN_TAGS.trackPeak)),
+    albumGain: readGain(readTag(REPLAYGAIN_TAGS.albumGain)),
+    albumPeak: readPeak(readTag(REPLAYGAIN_TAGS.albumPeak))
+  };
+
+  return replayGain.trackGain !== null || replayGain.albumGain !== null ? replayGain : null;
+};
+
 /**
  * Generate a unique ID for a track based on metadata
  * @param {Object} metadata - Track metadata
@@ -391,7 +550,8 @@ const generateTrackId = (metadata) => {
 
 /**
  * Create an album object from track metadata
- * @param {Array} tracks - Array of tracks with metadata
+ * @param {Array} tracks - Array of tracks with metadata; artworkId is the
+ *   thumbnail of the folder's cover image, else of the embedded picture
  * @returns {Array} Array of album objects
  */
 const createAlbumFromTracks = (tracks) => {
@@ -414,13 +574,19 @@ const createAlbumFromTracks = (tracks) => {
         year: track.year, // Use year from first track encountered
         genre: track.genre, // Use genre from first track
         tracks: [],
-        artwork: null // Initialize artwork for the album
+        artwork: null, // Initialize artwork for the album
+        artworkId: null // Cover thumbnail, see ArtworkService
       };
     }
 
     albumGroups[albumKey].tracks.push(track);
 
-    // Find the first available artwork for the album
+    // Use the first cover thumbnail found
+    if (!albumGroups[albumKey].artworkId && track.artworkId) {
+      albumGroups[albumKey].artworkId = track.artworkId;
+    }
+
+    // Tracks imported before thumbnails were stored keep a data URL
     if (!albumGroups[albumKey].artwork && track.artwork) {
       albumGroups[albumKey].artwork = track.artwork;
     }
@@ -460,7 +626,8 @@ const createAlbumFromTracks = (tracks) => {
       tracks: trackIds,
       trackCount: trackIds.length,
       duration: albumData.tracks.reduce((total, track) => total + (track.duration || 0), 0),
-      artwork: albumData.artwork // Use the artwork found earlier
+      artwork: albumData.artwork, // Use the artwork found earlier
+      artworkId: albumData.artworkId
     };
   });
 };
@@ -524,27 +691,24 @@ const createArtistsFromTracks = (tracks) => {
 
 /**
  * Calculate audio statistics from metadata
- * @param {Object} metadata - Audio file metadata (normalized)
+ * @param {Object} metadata - Audio file metadata (normalized) or a track
  * @returns {Object} Audio statistics
  */
 const calculateAudioStats = (metadata) => {
-  const stats = {
+  // Older tracks have no audioProperties block; read what they have
+  const properties = metadata.audioProperties || extractAudioProperties(metadata);
+
+  return {
     duration: metadata.duration || 0,
-    sampleRate: metadata.sampleRate,
-    channels: metadata.channels,
-    bitDepth: metadata.bitDepth,
-    lossless: metadata.lossless || false,
-    bitrate: null // Initialize bitrate
+    container: properties.container,
+    codec: properties.codec,
+    sampleRate: properties.sampleRate,
+    channels: properties.channels,
+    bitDepth: properties.bitDepth,
+    lossless: properties.lossless,
+    bitrateMode: properties.bitrateMode,
+    bitrate: properties.bitrate ? Math.round(properties.bitrate / 1000) : null // kbps
   };
-
-  if (metadata.fileSize && metadata.duration && metadata.duration > 0) {
-    stats.bitrate = Math.round((metadata.fileSize * 8) / (metadata.duration * 1000)); // kbps
-  } else if (metadata.bitrate) {
-      // Use bitrate directly from metadata if available (e.g., VBR MP3s)
-      stats.bitrate = Math.round(metadata.bitrate / 1000); // convert bps to kbps
-  }
-
-  return stats;
 };
 
 /**
@@ -567,22 +731,28 @@ export {
   extractMetadata,
   parseFileNameForMetadata,
   normalizeMetadata,
-  // extractCoverArt is now internal to normalizeMetadata implicitly
   createAlbumFromTracks,
   createArtistsFromTracks,
   calculateAudioStats,
+  extractReplayGain,
+  extractAudioProperties,
+  extractCueMarkers,
   revokeCoverArtUrls, // Keep export for now, but mark as deprecated/obsolete
-  METADATA_FIELDS
+  METADATA_FIELDS,
+  AUDIO_PROPERTY_FIELDS
 };
 
 export default {
   extractMetadata,
   parseFileNameForMetadata,
   normalizeMetadata,
-  // extractCoverArt not exported directly
   createAlbumFromTracks,
   createArtistsFromTracks,
   calculateAudioStats,
+  extractReplayGain,
+  extractAudioProperties,
+  extractCueMarkers,
   revokeCoverArtUrls,
-  METADATA_FIELDS
+  METADATA_FIELDS,
+  AUDIO_PROPERTY_FIELDS
 };
\ No newline at end of file
@@ -11,7 +11,9 @@ const STORAGE_KEYS = {
   PLAYLISTS: 'audiocore_playlists',
   FOLDERS: 'audiocore_folders',
   SETTINGS: 'audiocore_settings',
-  LAST_SCAN: 'audiocore_last_scan'
+  LAST_SCAN: 'audiocore_last_scan',
+  EFFECT_CHAINS: 'audiocore_effect_chains',
+  ENGINE_SNAPSHOT: 'audiocore_engine_snapshot'
 };
 
 // Size limit for localStorage (in bytes)
@@ -0,0 +1,188 @@
+/**
+ * TagWriterService.js
+ * Service for editing the tags of audio files and saving them back
+ */
+
+import { readFileAsArrayBuffer, getMimeTypeFromFileName } from './FileSystemService';
+import { writeID3v2Tags } from './metadata/ID3v2Writer';
+import { writeFlacTags, writeOggTags } from './metadata/VorbisCommentWriter';
+import { writeMP4Tags } from './metadata/MP4TagWriter';
+import { TAG_WRITE_FIELDS } from './metadata/TagHelpers';
+
+// Tag writer for each file extension
+const TAG_WRITERS = {
+  mp3: writeID3v2Tags,
+  flac: writeFlacTags,
+  ogg: writeOggTags,
+  oga: writeOggTags,
+  opus: writeOggTags,
+  m4a: writeMP4Tags,
+  mp4: writeMP4Tags
+};
+
+/**
+ * Get the file extension of a file name
+ * @param {string} fileName - File name
+ * @returns {string} Lower-case extension
+ */
+const getExtension = (fileName) => (fileName || '').split('.').pop().toLowerCase();
+
+/**
+ * Check whether tags can be written to a file
+ * @param {string} fileName - File name
+ * @returns {boolean} True if the format has a tag writer
+ */
+const canWriteTags = (fileName) => getExtension(fileName) in TAG_WRITERS;
+
+/**
+ * Write tags into file data
+ * @param {ArrayBuffer} arrayBuffer - File data
+ * @param {string} fileName - File name, used to pick the tag format
+ * @param {Object} tags - Tag edits; undefined fields are kept, null or '' removes them
+ * @returns {ArrayBuffer} Tagged file data
+ */
+const writeTags = (arrayBuffer, fileName, tags) => {
+  const writer = TAG_WRITERS[getExtension(fileName)];
+
+  if (!writer) {
+    throw new Error(`Tag writing is not supported for ${fileName}`);
+  }
+
+  // Ignore anything the writers do not know about
+  const edits = {};
+  TAG_WRITE_FIELDS.forEach(field => {
+    if (tags[field] !== undefined) {
+      edits[field] = tags[field];
+    }
+  });
+
+  return writer(arrayBuffer, edits);
+};
+
+/**
+ * Ask for write access to a file handle
+ * @param {FileSystemFileHandle} handle - File handle
+ * @returns {Promise<boolean>} True if the file can be written
+ */
+const requestWritePermission = async (handle) => {
+  if (!handle || typeof handle.createWritable !== 'function') {
+    return false;
+  }
+
+  try {
+    if (typeof handle.queryPermission === 'function' &&
+        (await handle.queryPermission({ mode: 'readwrite' })) === 'granted') {
+      return true;
+    }
+
+    if (typeof handle.requestPermission === 'function') {
+      return (await handle.requestPermission({ mode: 'readwrite' })) === 'granted';
+    }
+
+    // Handles without the permission methods fail on createWritable if denied
+    return true;
+  } catch (error) {
+    console.warn('Write permission request failed:', error);
+    return false;
+  }
+};
+
+/**
+ * Offer file data as a download
+ * @param {ArrayBuffer} arrayBuffer - File data
+ * @param {string} fileName - File name
+ */
+const downloadFile = (arrayBuffer, fileName) => {
+  const blob = new Blob([arrayBuffer], { type: getMimeTypeFromFileName(fileName) });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give the download a moment to start before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+};
+
+/**
+ * Read the current data of a track's file
+ * @param {Object} track - Track with handle, file or url
+ * @returns {Promise<ArrayBuffer>} File data
+ */
+const readTrackData = async (track) => {
+  if (track.handle && typeof track.handle.getFile === 'function') {
+    return readFileAsArrayBuffer(track.handle);
+  }
+
+  if (track.file) {
+    return readFileAsArrayBuffer(track.file);
+  }
+
+  if (track.url) {
+    const response = await fetch(track.url);
+    if (!response.ok) {
+      throw new Error(`Failed to read ${track.fileName || track.url}`);
+    }
+    return response.arrayBuffer();
+  }
+
+  throw new Error('Track has no readable file');
+};
+
+/**
+ * Write tags into a track's file and save it. The file is written in place
+ * through its FileSystemFileHandle when write permission was granted;
+ * otherwise the tagged file is offered as a download. Permission has to be
+ * asked for with requestWritePermission while the user's click is still
+ * being handled, so it is not asked for here.
+ * @param {Object} track - Track with fileName and handle, file or url
+ * @param {Object} tags - Tag edits
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.writeInPlace=false] - Whether write permission was granted for the handle
+ * @returns {Promise<Object>} - { savedTo: 'file'|'download', file } where file is the written File, if any
+ */
+const saveTrackTags = async (track, tags, { writeInPlace = false } = {}) => {
+  const fileName = track.fileName || (track.handle && track.handle.name) || (track.file && track.file.name);
+
+  if (!canWriteTags(fileName)) {
+    throw new Error(`Tag writing is not supported for ${fileName || 'this file'}`);
+  }
+
+  const data = writeTags(await readTrackData(track), fileName, tags);
+
+  if (writeInPlace && track.handle) {
+    const writable = await track.handle.createWritable();
+
+    try {
+      await writable.write(data);
+      await writable.close();
+    } catch (error) {
+      await writable.abort();
+      throw error;
+    }
+
+    return { savedTo: 'file', file: await track.handle.getFile() };
+  }
+
+  downloadFile(data, fileName);
+  return { savedTo: 'download', file: null };
+};
+
+export {
+  canWriteTags,
+  writeTags,
+  saveTrackTags,
+  requestWritePermission,
+  TAG_WRITE_FIELDS
+};
+
+export default {
+  canWriteTags,
+  writeTags,
+  saveTrackTags,
+  requestWritePermission,
+  TAG_WRITE_FIELDS
+};
@@ -28,6 +28,65 @@ export const CHANNEL_CONFIGS = {
   SURROUND_7_1: 8
 };
 
+// Channel-mapping matrices for the output stage. `gains` has one row per
+// output channel and one column per input channel, in Web Audio order
+// (L, R, C, LFE, SL, SR for 5.1; 7.1 follows the WAVE order with back
+// before side surrounds); a null matrix passes channels through unchanged.
+export const CHANNEL_MATRICES = {
+  passthrough: {
+    label: 'Pass-through',
+    inputs: null,
+    outputs: null,
+    gains: null
+  },
+  // ITU-R BS.775: centre and surrounds folded in at -3 dB, LFE dropped unless
+  // included; overs from correlated channels are left to the output limiter
+  'downmix-5.1': {
+    label: '5.1 to Stereo',
+    inputs: 6,
+    outputs: 2,
+    gains: [
+      [1, 0, Math.SQRT1_2, 0, Math.SQRT1_2, 0],
+      [0, 1, Math.SQRT1_2, 0, 0, Math.SQRT1_2]
+    ],
+    lfeInput: 3
+  },
+  'downmix-7.1': {
+    label: '7.1 to Stereo',
+    inputs: 8,
+    outputs: 2,
+    gains: [
+      [1, 0, Math.SQRT1_2, 0, Math.SQRT1_2, 0, Math.SQRT1_2, 0],
+      [0, 1, Math.SQRT1_2, 0, 0, Math.SQRT1_2, 0, Math.SQRT1_2]
+    ],
+    lfeInput: 3
+  },
+  // Passive matrix upmix: phantom centre from the sum, ambience from the difference
+  'upmix-5.1': {
+    label: 'Stereo to 5.1',
+    inputs: 2,
+    outputs: 6,
+    gains: [
+      [1, 0],
+      [0, 1],
+      [Math.SQRT1_2, Math.SQRT1_2],
+      [0.5, 0.5],
+      [0.5, -0.5],
+      [-0.5, 0.5]
+    ],
+    lfeOutput: 3,
+    surroundOutputs: [4, 5]
+  },
+  mono: {
+    label: 'Mono Sum',
+    inputs: 2,
+    outputs: 1,
+    gains: [
+      [0.5, 0.5]
+    ]
+  }
+};
+
 // Web Audio API latency hints
 export const LATENCY_HINTS = {
   INTERACTIVE: 'interactive', // (~0.01s - good for instrument control)
@@ -190,6 +249,38 @@ export const NOTE_FREQUENCIES = {
   'C8': 4186.01
 };
 
+// Musical keys by tonic pitch class (C = 0) and mode, with their Camelot
+// wheel codes. Keys one step apart on the wheel, or sharing its number,
+// mix harmonically.
+export const MUSICAL_KEYS = [
+  // Major keys
+  { name: 'C', tonic: 0, mode: 'major', camelot: '8B' },
+  { name: 'Db', tonic: 1, mode: 'major', camelot: '3B' },
+  { name: 'D', tonic: 2, mode: 'major', camelot: '10B' },
+  { name: 'Eb', tonic: 3, mode: 'major', camelot: '5B' },
+  { name: 'E', tonic: 4, mode: 'major', camelot: '12B' },
+  { name: 'F', tonic: 5, mode: 'major', camelot: '7B' },
+  { name: 'F#', tonic: 6, mode: 'major', camelot: '2B' },
+  { name: 'G', tonic: 7, mode: 'major', camelot: '9B' },
+  { name: 'Ab', tonic: 8, mode: 'major', camelot: '4B' },
+  { name: 'A', tonic: 9, mode: 'major', camelot: '11B' },
+  { name: 'Bb', tonic: 10, mode: 'major', camelot: '6B' },
+  { name: 'B', tonic: 11, mode: 'major', camelot: '1B' },
+  // Minor keys
+  { name: 'Cm', tonic: 0, mode: 'minor', camelot: '5A' },
+  { name: 'C#m', tonic: 1, mode: 'minor', camelot: '12A' },
+  { name: 'Dm', tonic: 2, mode: 'minor', camelot: '7A' },
+  { name: 'Ebm', tonic: 3, mode: 'minor', camelot: '2A' },
+  { name: 'Em', tonic: 4, mode: 'minor', camelot: '9A' },
+  { name: 'Fm', tonic: 5, mode: 'minor', camelot: '4A' },
+  { name: 'F#m', tonic: 6, mode: 'minor', camelot: '11A' },
+  { name: 'Gm', tonic: 7, mode: 'minor', camelot: '6A' },
+  { name: 'G#m', tonic: 8, mode: 'minor', camelot: '1A' },
+  { name: 'Am', tonic: 9, mode: 'minor', camelot: '8A' },
+  { name: 'Bbm', tonic: 10, mode: 'minor', camelot: '3A' },
+  { name: 'Bm', tonic: 11, mode: 'minor', camelot: '10A' }
+];
+
 // Common audio effects and their default parameters
 export const AUDIO_EFFECTS = {
   COMPRESSOR: {
@@ -284,6 +375,18 @@ export const AUDIO_EFFECTS = {
         min: 0,
         max: 1,
         unit: 'ratio'
+      },
+      preDelay: {
+        default: 0,
+        min: 0,
+        max: 0.2,
+        unit: 'sec'
+      },
+      length: {
+        default: 0, // 0 uses the full impulse response
+        min: 0,
+        max: 10,
+        unit: 'sec'
       }
     },
     presets: {
@@ -528,6 +631,93 @@ export const ENVELOPE_PRESETS = {
   }
 };
 
+// Independent tempo and pitch controls for playback
+export const TIME_STRETCH = {
+  tempo: {
+    default: 1,
+    min: 0.5,
+    max: 2,
+    unit: 'ratio'
+  },
+  pitch: {
+    default: 0,
+    min: -12,
+    max: 12,
+    unit: 'semitones'
+  }
+};
+
+// Spatial stage: virtual speakers rendered binaurally, or headphone crossfeed
+export const SPATIAL_STAGE = {
+  modes: ['off', 'binaural', 'crossfeed'],
+  speakerAngle: {
+    default: 30,
+    min: 10,
+    max: 90,
+    unit: 'degrees'
+  },
+  distance: {
+    default: 1,
+    min: 0.5,
+    max: 5,
+    unit: 'm'
+  },
+  roomSize: {
+    default: 0.3,
+    min: 0,
+    max: 1,
+    unit: 'ratio'
+  },
+  crossfeedLevel: {
+    default: -6,
+    min: -12,
+    max: -3,
+    unit: 'dB'
+  },
+  crossfeedCutoff: {
+    default: 700,
+    min: 300,
+    max: 1200,
+    unit: 'Hz'
+  }
+};
+
+// Automation lane parameters: value range and unit, and what a lane targets
+// (a band by its position in the EQ, or an effect ID in the effect chain)
+export const AUTOMATION = {
+  curves: ['linear', 'exponential', 'step'],
+  params: {
+    volume: {
+      label: 'Volume',
+      min: 0,
+      max: 1,
+      unit: 'gain',
+      targets: []
+    },
+    'eq-gain': {
+      label: 'EQ Band Gain',
+      min: -24,
+      max: 24,
+      unit: 'dB',
+      targets: ['band']
+    },
+    'filter-cutoff': {
+      label: 'Filter Cutoff',
+      min: 10,
+      max: 22000,
+      unit: 'Hz',
+      targets: ['band', 'effectId']
+    },
+    'effect-mix': {
+      label: 'Effect Mix',
+      min: 0,
+      max: 1,
+      unit: 'ratio',
+      targets: ['effectId']
+    }
+  }
+};
+
 // Analysis parameters
 export const ANALYSIS_PARAMS = {
   FFT_SIZES: [32, 64, 128, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768],
@@ -554,11 +744,16 @@ export default {
   SAMPLE_RATES,
   BIT_DEPTHS,
   CHANNEL_CONFIGS,
+  CHANNEL_MATRICES,
   LATENCY_HINTS,
   FREQUENCY_BANDS,
   NOTE_FREQUENCIES,
+  MUSICAL_KEYS,
   AUDIO_EFFECTS,
   REFERENCE_FREQUENCIES,
   ENVELOPE_PRESETS,
+  TIME_STRETCH,
+  SPATIAL_STAGE,
+  AUTOMATION,
   ANALYSIS_PARAMS
 };
\ No newline at end of file
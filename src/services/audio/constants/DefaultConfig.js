@@ -54,6 +54,14 @@ export const SOURCE_CONFIG = {
     channelCount: 2,       // Default channel count for loaded audio
     resampleQuality: 'medium' // 'low', 'medium', or 'high'
   },
+
+  // Streaming playback for files too large to decode whole
+  streaming: {
+    enabled: true,         // Stream large files through a media element
+    minFileSize: 100,      // Files of at least this many MB always stream
+    minDuration: 1200,     // Files of at least this many seconds stream
+    probeFileSize: 20      // Files from this many MB are probed for their duration
+  },
   
   // Playback defaults
   playback: {
@@ -156,8 +164,9 @@ export const OUTPUT_CONFIG = {
   master: {
     gain: 0.8,                // Default master gain (0.0 to 1.0)
     enableLimiter: true,      // Enable output limiter
-    limiterThreshold: -1.0,   // Limiter threshold in dB
+    limiterCeiling: -1.0,     // Limiter ceiling in dBTP (true peak)
     limiterRelease: 0.1,      // Limiter release time in seconds
+    limiterLookahead: 0.005,  // Limiter lookahead in seconds
     enableDithering: true,    // Enable output dithering
     meterPeakHold: 2000,      // Peak meter hold time in ms
     meterFalloff: 24          // Meter falloff in dB/s
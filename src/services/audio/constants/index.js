@@ -20,12 +20,15 @@ export const {
   SAMPLE_RATES,
   BIT_DEPTHS,
   CHANNEL_CONFIGS,
+  CHANNEL_MATRICES,
   LATENCY_HINTS,
   FREQUENCY_BANDS,
   NOTE_FREQUENCIES,
+  MUSICAL_KEYS,
   AUDIO_EFFECTS,
   REFERENCE_FREQUENCIES,
   ENVELOPE_PRESETS,
+  AUTOMATION,
   ANALYSIS_PARAMS
 } = AudioParamsExports;
 
@@ -65,9 +68,11 @@ export default {
   SAMPLE_RATES,
   BIT_DEPTHS,
   CHANNEL_CONFIGS,
+  CHANNEL_MATRICES,
   LATENCY_HINTS,
   FREQUENCY_BANDS,
   NOTE_FREQUENCIES,
+  MUSICAL_KEYS,
   AUDIO_EFFECTS,
   REFERENCE_FREQUENCIES,
   ENVELOPE_PRESETS,
@@ -5,7 +5,33 @@ import BufferManager from './BufferManager';
 import SourceManager from './SourceManager';
 import AudioNodeFactory from './AudioNodeFactory';
 import AudioGraph from './AudioGraph';
+import LoudnessScanner from './LoudnessScanner';
+import BeatGridAnalyzer from './BeatGridAnalyzer';
+import BeatDetector from './BeatDetector';
+import KeyDetector from './KeyDetector';
+import ParametricEQ from './ParametricEQ';
+import ImpulseResponseManager from './ImpulseResponseManager';
+import EffectsChain from './EffectsChain';
+import TimeStretcher from './TimeStretcher';
+import Deck from './Deck';
+import AutomationTimeline from './AutomationTimeline';
+import DeviceManager from './DeviceManager';
+import OutputManager from './OutputManager';
+import SignalProcessor from './SignalProcessor';
 import EventBus from '../utils/EventBus';
+import AudioUtils from '../utils/AudioHelpers';
+import WavEncoder from '../utils/WavEncoder';
+import { STORAGE_KEYS, saveData, loadData } from '../../StorageService';
+
+// Shortest loop region, in seconds
+const MIN_LOOP_LENGTH = 0.05;
+
+// Count-in defaults: tempo when none is given, and lead before the first click
+const DEFAULT_COUNT_IN_BPM = 120;
+const COUNT_IN_LEAD = 0.05;
+
+// Engine snapshot format version
+const SNAPSHOT_VERSION = 1;
 
 /**
  * AudioEngine - Main facade for the Audio Domain
@@ -30,9 +56,21 @@ class AudioEngine {
     this._isInitialized = false;
     this._initializationPromise = null;
     this._activeSourcesMap = new Map();
-    this._activeEffectsMap = new Map();
     this._currentTrack = null;
-    this._effectChainCreated = false;
+    this._nextTrack = null;
+    this._crossfade = { ...this._options.crossfade };
+    this._normalization = { ...this._options.normalization };
+    this._timeStretch = { ...this._options.timeStretch };
+    this._loopRegion = null;
+    this._countInNodes = [];
+    this._snapshotTimer = null;
+    this._lastSnapshotJson = null;
+    this._handlePageHide = null;
+    this._decks = new Map();
+    this._nextDeckId = 1;
+    this._automation = new Map(); // track URL -> automation document
+    this._beatGrids = new Map(); // track URL -> { bpm, beats, confidence }
+    this._eventHandlersRegistered = false;
 
     // Initialize components (dependencies will be injected or created)
     this._initComponents(options);
@@ -63,6 +101,10 @@ class AudioEngine {
         // to resume the context first
         this._isInitialized = true;
 
+        // Source events drive track transitions and ended events, so they
+        // are handled from the start rather than after a user interaction
+        this._registerEventHandlers();
+
         // Call the onInit callback if provided
         if (this._options.onInit && typeof this._options.onInit === 'function') {
           this._options.onInit();
@@ -73,6 +115,11 @@ class AudioEngine {
           timestamp: Date.now()
         });
 
+        // Pick up the previous session before saving over it
+        if (this._options.persistState.enabled) {
+          this._initStatePersistence();
+        }
+
         return true;
       })
       
@@ -96,10 +143,43 @@ class AudioEngine {
       defaultVolume: 1.0,
       enableEffects: true,
       enableAnalysis: true,
-      debugMode: false
+      debugMode: false,
+      crossfade: {
+        enabled: false,
+        duration: 6, // seconds
+        curve: 'equal-power', // 'linear', 'equal-power', 's-curve'
+        skipSilence: false
+      },
+      normalization: {
+        enabled: false,
+        mode: 'track', // 'track' or 'album'
+        preamp: 0, // dB
+        preventClipping: true
+      },
+      eq: {
+        enabled: true,
+        masterGain: 0, // dB
+        bands: [] // { type, frequency, Q, gain, bypass }
+      },
+      timeStretch: {
+        tempo: 1, // 0.5-2, speed at the same pitch
+        pitch: 0 // semitones, -12 to 12
+      },
+      persistState: {
+        enabled: false, // restore the saved snapshot on startup and keep saving it
+        interval: 10 // seconds between saves
+      }
     };
 
-    return { ...defaults, ...options };
+    return {
+      ...defaults,
+      ...options,
+      crossfade: { ...defaults.crossfade, ...options.crossfade },
+      normalization: { ...defaults.normalization, ...options.normalization },
+      eq: { ...defaults.eq, ...options.eq },
+      timeStretch: { ...defaults.timeStretch, ...options.timeStretch },
+      persistState: { ...defaults.persistState, ...options.persistState }
+    };
   }
   
   /**
@@ -154,36 +234,150 @@ class AudioEngine {
         onEvent: (event) => this.eventBus.emit(event.type, event.data)
       });
 
+      // Initialize TimeStretcher for independent tempo and pitch
+      this.timeStretcher = options.timeStretcher || new TimeStretcher({
+        audioContext: context,
+        EventBus: this.eventBus
+      });
+
+      // Without the worklet, tempo falls back to plain resampling
+      await this.timeStretcher.initialize();
+
       // Initialize SourceManager for playback control
       this.sourceManager = options.sourceManager || new SourceManager({
         audioContext: context,
+        timeStretcher: this.timeStretcher,
         onEvent: (event) => this.eventBus.emit(event.type, event.data),
         defaultVolume: this._options.defaultVolume
       });
 
-      // Initialize EffectsChain (if not provided, create a minimal implementation)
-      this.effectsChain = options.effectsChain || {
-        addEffect: (effect, options = {}) => {
-          const effectId = `effect_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
-          return effectId;
-        },
-        removeEffect: (effectId) => true,
-        updateEffect: (effectId, params = {}) => true
-      };
+      // Initialize LoudnessScanner for offline loudness measurement
+      this.loudnessScanner = options.loudnessScanner || new LoudnessScanner({
+        bufferManager: this.bufferManager,
+        EventBus: this.eventBus
+      });
 
-      // Initialize SignalProcessor (if not provided, create a minimal implementation)
-      this.SignalProcessor = options.SignalProcessor || {
-        getFrequencyData: () => new Uint8Array(0),
-        getWaveformData: () => new Uint8Array(0),
-        getFeatures: () => ({})
-      };
+      // Initialize BeatGridAnalyzer for offline tempo and beat grids
+      this.beatGridAnalyzer = options.beatGridAnalyzer || new BeatGridAnalyzer({
+        bufferManager: this.bufferManager,
+        EventBus: this.eventBus
+      });
 
-      // Initialize OutputManager (if not provided, create a minimal implementation)
-      this.outputManager = options.outputManager || {
-        getDevices: async () => [],
-        setDevice: async (deviceId) => false,
-        getCurrentDevice: () => null
-      };
+      // Initialize KeyDetector for offline key detection
+      this.keyDetector = options.keyDetector || new KeyDetector({
+        bufferManager: this.bufferManager,
+        EventBus: this.eventBus
+      });
+
+      // Initialize ImpulseResponseManager for convolution reverb IRs
+      this.impulseResponses = options.impulseResponseManager || new ImpulseResponseManager({
+        audioContext: context,
+        EventBus: this.eventBus
+      });
+
+      // Initialize ParametricEQ at the end of the output chain, before master
+      this.parametricEQ = options.parametricEQ || new ParametricEQ({
+        audioNodeFactory: this.audioNodeFactory,
+        EventBus: this.eventBus,
+        enabled: this._options.eq.enabled,
+        masterGain: this._options.eq.masterGain,
+        bands: this._options.eq.bands
+      });
+
+      // Output devices; cue decks also reach other devices through its sink
+      // outputs. Devices are enumerated once the settings UI asks for them.
+      this.deviceManager = options.deviceManager || new DeviceManager({
+        audioEngineCore: this.audioEngineCore,
+        EventBus: this.eventBus,
+        config: { autoInit: false, persistSelection: false }
+      });
+
+      // Initialize OutputManager between the mixer bus and master: channel
+      // matrix, spatial stage, headphone correction and the output limiter.
+      // Volume stays with master, so the output stage runs at unity.
+      this.outputManager = options.outputManager || new OutputManager({
+        audioEngineCore: this.audioEngineCore,
+        EventBus: this.eventBus,
+        deviceManager: this.deviceManager,
+        audioNodeFactory: this.audioNodeFactory,
+        impulseResponses: this.impulseResponses,
+        config: { volume: 1.0 }
+      });
+
+      // Mixer bus summing the main chain and every deck into the output stage
+      this.mixerBus = this.audioNodeFactory.createNode('gain', { gain: 1.0 });
+      this.audioGraph.registerNode(this.mixerBus, { type: 'mixer-bus' });
+      this.audioGraph.registerNode(this.outputManager.getInputNode(), { type: 'output-stage' });
+      this.audioGraph.connect(
+        this.mixerBus,
+        this.outputManager.getInputNode(),
+        { metadata: { type: 'mixer-to-output' } }
+      );
+
+      this.audioGraph.registerNode(this.parametricEQ.getInput(), { type: 'eq-input' });
+      this.audioGraph.registerNode(this.parametricEQ.getOutput(), { type: 'eq-output' });
+      this.audioGraph.connect(
+        this.parametricEQ.getOutput(),
+        this.mixerBus,
+        { metadata: { type: 'eq-to-mixer' } }
+      );
+
+      // Initialize EffectsChain between the sources and the EQ
+      this.effectsChain = options.effectsChain || new EffectsChain({
+        audioNodeFactory: this.audioNodeFactory,
+        audioGraph: this.audioGraph,
+        impulseResponses: this.impulseResponses,
+        EventBus: this.eventBus
+      });
+
+      this.audioGraph.connect(
+        this.effectsChain.getOutput(),
+        this.parametricEQ.getInput(),
+        { metadata: { type: 'effects-to-eq' } }
+      );
+
+      // Initialize AutomationTimeline; sources get their volume nodes from it
+      this.automation = options.automationTimeline || new AutomationTimeline({
+        audioNodeFactory: this.audioNodeFactory,
+        parametricEQ: this.parametricEQ,
+        effectsChain: this.effectsChain
+      });
+
+      // A source's volume node goes once the source has stopped
+      this.eventBus.on('source:stopped', (event) => {
+        this.automation.releaseSourceVolume(event.data?.sourceId, event.data?.stopTime);
+      });
+      for (const eventType of ['source:ended', 'source:released']) {
+        this.eventBus.on(eventType, (event) => this.automation.releaseSourceVolume(event.data?.sourceId));
+      }
+
+      // Rebuilt bands and effects drop their scheduled automation
+      for (const eventType of ['eq:band-added', 'eq:band-removed', 'eq:bands-changed', 'effects:chain-changed']) {
+        this.eventBus.on(eventType, () => this._syncAutomation());
+      }
+
+      // Initialize SignalProcessor for live analysis of the master output;
+      // with analysis disabled a minimal implementation stands in
+      this.SignalProcessor = options.SignalProcessor || (this._options.enableAnalysis ?
+        new SignalProcessor({
+          audioEngineCore: this.audioEngineCore,
+          EventBus: this.eventBus,
+          config: { fftSize: 2048, smoothing: 0.8 }
+        }) :
+        {
+          getFrequencyData: () => new Uint8Array(0),
+          getWaveformData: () => new Uint8Array(0),
+          getFeatures: () => ({})
+        });
+
+      // Initialize BeatDetector on the live analysis, seeded from stored beat grids
+      this.beatDetector = options.beatDetector || (this._options.enableAnalysis ?
+        new BeatDetector({
+          SignalProcessor: this.SignalProcessor,
+          EventBus: this.eventBus,
+          audioEngineCore: this.audioEngineCore
+        }) :
+        null);
 
       return true;
     } catch (error) {
@@ -213,17 +407,14 @@ class AudioEngine {
       return;
     }
 
-    // Create SignalProcessor node and connect to master output
-    if (this._options.enableAnalysis) {
+    // Feed the master output to the SignalProcessor
+    if (this._options.enableAnalysis && this.SignalProcessor.getInputNode) {
       try {
-        const SignalProcessorNode = this.audioNodeFactory.createNode('signalprocessor', {
-          fftSize: 2048,
-          smoothingTimeConstant: 0.8
-        });
+        const SignalProcessorNode = this.SignalProcessor.getInputNode();
 
         if (SignalProcessorNode) {
           // Register in AudioGraph
-          const SignalProcessorNodeId = this.audioGraph.registerNode(
+          this.audioGraph.registerNode(
             SignalProcessorNode,
             { type: 'SignalProcessor', purpose: 'visualization' }
           );
@@ -254,6 +445,11 @@ class AudioEngine {
    * @private
    */
   _registerEventHandlers() {
+    if (this._eventHandlersRegistered) {
+      return;
+    }
+    this._eventHandlersRegistered = true;
+
     // Handle context state changes
     this.audioEngineCore.on('context:statechange', (data) => {
       this.eventBus.emit('engine:statechange', data);
@@ -289,9 +485,38 @@ class AudioEngine {
     }
 
     // Handle source ended events
-    this.eventBus.on('source:ended', (data) => {
-      this._handleSourceEnded(data.sourceId);
+    this.eventBus.on('source:ended', (event) => {
+      this._handleSourceEnded(event.data?.sourceId);
     });
+
+    // Analyse the output only while something is playing
+    if (this.SignalProcessor.startAnalysis) {
+      for (const eventType of ['playback:started', 'playback:resumed']) {
+        this.eventBus.on(eventType, () => this.SignalProcessor.startAnalysis());
+      }
+
+      for (const eventType of ['playback:paused', 'playback:stopped', 'playback:ended']) {
+        this.eventBus.on(eventType, () => this.SignalProcessor.stopAnalysis());
+      }
+    }
+
+    // Keep beat detection on the playing track's grid
+    if (this.beatDetector) {
+      for (const eventType of [
+        'playback:started',
+        'playback:resumed',
+        'playback:seeked',
+        'playback:paused',
+        'playback:stopped',
+        'playback:ended',
+        'track:transition',
+        'engine:time-stretch-changed',
+        'loop:region-changed',
+        'loop:region-cleared'
+      ]) {
+        this.eventBus.on(eventType, () => this._syncBeatDetector());
+      }
+    }
   }
 
   /**
@@ -359,24 +584,21 @@ class AudioEngine {
         this.stop();
       }
 
-      // Load the audio buffer
+      // Load the audio buffer; large files come back as a streamed track
       const buffer = await this.bufferManager.loadAudio(trackUrl);
 
       if (!buffer) {
         throw new Error(`Failed to load audio from ${trackUrl}`);
       }
 
-      // Create an audio source
-      const source = this.sourceManager.createSource(buffer, {
-        loop: options.loop || false,
-        volume: options.volume !== undefined ? options.volume : 1,
-        playbackRate: options.playbackRate || 1
-      });
-
-      if (!source) {
-        throw new Error('Failed to create audio source');
+      // A loop region belongs to the track it was set on
+      if (this._loopRegion && this._loopRegion.url !== trackUrl) {
+        this.clearLoopRegion();
       }
 
+      // Create an audio source routed to the output chain
+      const source = this._createSource(buffer, trackUrl, options);
+
       // Store the active source
       this._activeSourcesMap.set(source.id, {
         source,
@@ -385,33 +607,6 @@ class AudioEngine {
         options
       });
 
-      // Register source in the AudioGraph
-      this.audioGraph.registerNode(
-        source.gainNode, 
-        { 
-          type: 'source', 
-          sourceId: source.id,
-          trackUrl
-        }
-      );
-
-      // Connect source to output chain
-      if (this._options.enableEffects && this._effectChainCreated) {
-        // Connect through effects chain
-        this.audioGraph.connect(
-          source.gainNode, 
-          this._effectsInput,
-          { metadata: { type: 'source-to-effects', trackUrl } }
-        );
-      } else {
-        // Connect directly to master
-        this.audioGraph.connect(
-          source.gainNode, 
-          this.audioEngineCore.getMasterNode(),
-          { metadata: { type: 'playback-connection', trackUrl } }
-        );
-      }
-
       // Start playback
       const startPosition = options.startPosition || 0;
       source.play(0, startPosition);
@@ -424,6 +619,13 @@ class AudioEngine {
         options
       };
 
+      // Re-chain the queued next track behind the new source
+      if (this._nextTrack) {
+        this._scheduleNextTrack();
+      }
+
+      this._syncAutomation();
+
       // Emit playback started event
       this.eventBus.emit('playback:started', {
         sourceId: source.id,
@@ -443,203 +645,1326 @@ class AudioEngine {
   }
 
   /**
-   * Pause current playback
-   * @returns {boolean} - Whether pause was successful
+   * Create a source for a track with the engine's playback settings
+   * @param {AudioBuffer} buffer - Decoded track
+   * @param {string} trackUrl - URL of the track
+   * @param {Object} options - Playback options of the track
+   * @returns {Object} - Source interface returned by SourceManager
+   * @private
    */
-  pause() {
-    if (!this._currentTrack) {
-      return false;
-    }
-
-    try {
-      const sourceData = this._activeSourcesMap.get(this._currentTrack.sourceId);
-
-      if (!sourceData) {
-        return false;
-      }
+  _createSource(buffer, trackUrl, options) {
+    const loopRegion = this._loopRegion && this._loopRegion.url === trackUrl ?
+      this._loopRegion : null;
+
+    const source = this.sourceManager.createSource(buffer, {
+      loop: options.loop || false,
+      loopStart: loopRegion ? loopRegion.start : undefined,
+      loopEnd: loopRegion ? loopRegion.end : undefined,
+      volume: options.volume !== undefined ? options.volume : 1,
+      playbackRate: options.playbackRate || 1,
+      tempo: this._timeStretch.tempo,
+      pitch: this._timeStretch.pitch,
+      normalizationGain: this._getNormalizationGain(options.replayGain)
+    });
 
-      // Pause the source
-      const result = sourceData.source.pause();
+    if (!source) {
+      throw new Error('Failed to create audio source');
+    }
 
-      if (result) {
-        // Store pause state in current track
-        this._currentTrack.isPaused = true;
-        
-        // Get current position before cleaning up
-        const sourceState = sourceData.source.getState();
-        this._currentTrack.pausePosition = sourceState.position;
+    // Register and route the source to the output chain
+    this._connectSource(source, trackUrl);
 
-        // Remove from active sources map
-        this._activeSourcesMap.delete(this._currentTrack.sourceId);
+    return source;
+  }
 
-        // Emit pause event
-        this.eventBus.emit('playback:paused', {
-          sourceId: this._currentTrack.sourceId,
-          position: this._currentTrack.pausePosition,
-          timestamp: Date.now()
-        });
+  /**
+   * Register a source in the AudioGraph and route it to the output chain
+   * @param {Object} source - Source interface returned by SourceManager
+   * @param {string} trackUrl - URL of the track the source plays
+   * @private
+   */
+  _connectSource(source, trackUrl) {
+    // Register source in the AudioGraph
+    this.audioGraph.registerNode(
+      source.gainNode, 
+      { 
+        type: 'source', 
+        sourceId: source.id,
+        trackUrl
       }
-
-      return result;
-    } catch (error) {
-      console.error('[AudioEngine] Pause failed:', error);
-      return false;
+    );
+
+    // Route through the source's automated volume
+    const volumeNode = this.automation.createSourceVolume(source.id);
+    this.audioGraph.registerNode(volumeNode, { type: 'source-volume', sourceId: source.id });
+    this.audioGraph.connect(
+      source.gainNode,
+      volumeNode,
+      { metadata: { type: 'source-to-volume', trackUrl } }
+    );
+
+    // Connect source to output chain
+    if (this._options.enableEffects) {
+      // Connect through effects chain
+      this.audioGraph.connect(
+        volumeNode,
+        this.effectsChain.getInput(),
+        { metadata: { type: 'source-to-effects', trackUrl } }
+      );
+    } else {
+      // Connect through the EQ to master
+      this.audioGraph.connect(
+        volumeNode,
+        this.parametricEQ.getInput(),
+        { metadata: { type: 'playback-connection', trackUrl } }
+      );
     }
   }
 
   /**
-   * Resume playback of a paused track
-   * @returns {Promise<boolean>} - Whether resume was successful
+   * Queue the track that should follow the current one without a gap.
+   * The buffer is decoded ahead of time and scheduled to start on the
+   * exact sample where the current buffer ends. When the current source
+   * ends, a `track:transition` event is emitted instead of `playback:ended`.
+   * @param {string} trackUrl - URL of the upcoming track
+   * @param {Object} options - Playback options for the upcoming track
+   * @returns {Promise<boolean>} - Whether the track was decoded and queued
    */
-  async resume() {
-    if (!this._currentTrack || !this._currentTrack.isPaused) {
-      return false;
+  async setNextTrack(trackUrl, options = {}) {
+    if (!trackUrl) {
+      return this.clearNextTrack();
+    }
+
+    // Already queued
+    if (this._nextTrack && this._nextTrack.url === trackUrl) {
+      return true;
+    }
+
+    if (!this._isInitialized) {
+      await this.waitForInitialization();
     }
 
+    this.clearNextTrack();
+
+    const nextTrack = {
+      url: trackUrl,
+      options,
+      buffer: null,
+      sourceId: null,
+      startTime: null,
+      fadeDuration: 0,
+      outgoingSourceId: null
+    };
+    this._nextTrack = nextTrack;
+
     try {
-      // Play from the pause position
-      const sourceId = await this.play(this._currentTrack.url, {
-        ...this._currentTrack.options,
-        startPosition: this._currentTrack.pausePosition,
-        stopCurrent: false
-      });
+      // Pre-decode the upcoming buffer
+      const buffers = await this.bufferManager.preloadAudio([trackUrl]);
 
-      if (!sourceId) {
-        throw new Error('Failed to resume playback');
+      if (!buffers.has(trackUrl)) {
+        throw new Error(`Failed to preload audio from ${trackUrl}`);
       }
 
-      // Update current track info
-      this._currentTrack.isPaused = false;
-      this._currentTrack.sourceId = sourceId;
+      // Another track may have been queued while this one was decoding
+      if (this._nextTrack !== nextTrack) {
+        return false;
+      }
 
-      // Emit resume event
-      this.eventBus.emit('playback:resumed', {
-        sourceId,
-        position: this._currentTrack.pausePosition,
+      nextTrack.buffer = buffers.get(trackUrl);
+      this._scheduleNextTrack();
+
+      this.eventBus.emit('track:next-queued', {
+        url: trackUrl,
+        scheduled: nextTrack.sourceId !== null,
+        startTime: nextTrack.startTime,
         timestamp: Date.now()
       });
 
       return true;
     } catch (error) {
-      console.error('[AudioEngine] Resume failed:', error);
+      console.error('[AudioEngine] Queueing next track failed:', error);
+
+      if (this._nextTrack === nextTrack) {
+        this._nextTrack = null;
+      }
+
+      this.eventBus.emit('playback:error', {
+        url: trackUrl,
+        error: error.message
+      });
       return false;
     }
   }
 
   /**
-   * Stop all playback
-   * @returns {boolean} - Whether stop was successful
+   * Remove the queued next track and cancel its scheduled source
+   * @returns {boolean} - Always true
    */
-  stop() {
-    try {
-      // Stop all active sources
-      for (const [sourceId, sourceData] of this._activeSourcesMap.entries()) {
-        if (sourceData.source) {
-          sourceData.source.stop();
-        }
-        this._activeSourcesMap.delete(sourceId);
-      }
-
-      // Clear current track
-      const previousTrack = this._currentTrack;
-      this._currentTrack = null;
-
-      // Emit stop event if there was a track playing
-      if (previousTrack) {
-        this.eventBus.emit('playback:stopped', {
-          sourceId: previousTrack.sourceId,
-          timestamp: Date.now()
-        });
-      }
+  clearNextTrack() {
+    this._cancelScheduledNextTrack();
+    this._nextTrack = null;
+    return true;
+  }
 
-      return true;
-    } catch (error) {
-      console.error('[AudioEngine] Stop failed:', error);
-      return false;
+  /**
+   * Get the queued next track
+   * @returns {Object|null} - Queued track info or null if none
+   */
+  getNextTrack() {
+    if (!this._nextTrack) {
+      return null;
     }
+
+    return {
+      url: this._nextTrack.url,
+      isReady: this._nextTrack.buffer !== null,
+      isScheduled: this._nextTrack.sourceId !== null,
+      startTime: this._nextTrack.startTime
+    };
   }
 
   /**
-   * Seek to a position in the current track
-   * @param {number} position - Position in seconds
-   * @returns {Promise<boolean>} - Whether seek was successful
+   * Schedule the queued next track to start where the current source ends
+   * @returns {boolean} - Whether the next track was scheduled
+   * @private
    */
-  async seek(position) {
-    if (!this._currentTrack) {
+  _scheduleNextTrack() {
+    const nextTrack = this._nextTrack;
+
+    if (!nextTrack || !nextTrack.buffer || !this._currentTrack || this._currentTrack.isPaused) {
+      return false;
+    }
+
+    // Drop any previous schedule (the current source may have been restarted)
+    this._cancelScheduledNextTrack();
+
+    const currentData = this._activeSourcesMap.get(this._currentTrack.sourceId);
+    const currentState = currentData?.source.getState();
+
+    // Looping sources have no end to chain onto
+    if (!currentState || !currentState.isPlaying || currentState.endTime === null) {
       return false;
     }
 
     try {
-      const wasPaused = this._currentTrack?.isPaused;
+      const plan = this._planTransition(currentData, currentState, nextTrack);
 
-      // Stop current playback
-      const currentSourceId = this._currentTrack.sourceId;
-      const sourceData = this._activeSourcesMap.get(currentSourceId);
+      const source = this._createSource(nextTrack.buffer, nextTrack.url, nextTrack.options);
 
-      if (sourceData && sourceData.source) {
-        sourceData.source.stop();
-        this._activeSourcesMap.delete(currentSourceId);
+      const scheduled = this.sourceManager.playAt(source.id, plan.startTime, plan.offset);
+
+      if (!scheduled) {
+        this.sourceManager.releaseSource(source.id);
+        throw new Error('Failed to schedule audio source');
       }
 
-      // Start playback from the new position
-      const sourceId = await this.play(this._currentTrack.url, {
-        ...this._currentTrack.options,
-        startPosition: position,
-        stopCurrent: false
-      });
+      // Overlap both sources through the graph for the crossfade
+      if (plan.fadeDuration > 0) {
+        const { curve } = this._crossfade;
+        const points = Math.max(2, Math.ceil(plan.fadeDuration * 100));
 
-      if (!sourceId) {
-        throw new Error('Failed to seek');
+        this.sourceManager.scheduleGainCurve(
+          source.id,
+          AudioUtils.createFadeCurve(points, curve, 'in'),
+          plan.startTime,
+          plan.fadeDuration
+        );
+        this.sourceManager.scheduleGainCurve(
+          this._currentTrack.sourceId,
+          AudioUtils.createFadeCurve(points, curve, 'out'),
+          plan.startTime,
+          plan.fadeDuration
+        );
       }
 
-      // If it was paused, pause it again
-      if (wasPaused) {
-        this.pause();
+      // Cut the outgoing source where the transition completes
+      if (plan.outgoingEnd < currentState.endTime) {
+        this.sourceManager.scheduleEnd(this._currentTrack.sourceId, plan.outgoingEnd);
       }
 
-      // Emit seek event
-      this.eventBus.emit('playback:seeked', {
-        sourceId,
-        position,
-        timestamp: Date.now()
+      this._activeSourcesMap.set(source.id, {
+        source,
+        url: nextTrack.url,
+        startTime: plan.startTime,
+        options: nextTrack.options
       });
 
+      nextTrack.sourceId = source.id;
+      nextTrack.startTime = plan.startTime;
+      nextTrack.fadeDuration = plan.fadeDuration;
+      nextTrack.outgoingSourceId = plan.outgoingEnd < currentState.endTime || plan.fadeDuration > 0 ?
+        this._currentTrack.sourceId : null;
+
+      // A crossfaded track takes over as soon as it starts, not when the
+      // outgoing track has faded out
+      if (plan.fadeDuration > 0) {
+        const delay = Math.max(0, plan.startTime - this.audioEngineCore.getCurrentTime());
+        nextTrack.handOverTimer = setTimeout(() => this._handOverToNextTrack(), delay * 1000);
+      }
+
+      // Hand the automation over where the next track starts
+      this._syncAutomation();
+
       return true;
     } catch (error) {
-      console.error('[AudioEngine] Seek failed:', error);
+      console.error('[AudioEngine] Scheduling next track failed:', error);
       return false;
     }
   }
 
   /**
-   * Set the master volume
-   * @param {number} level - Volume level (0.0 to 1.0)
-   * @returns {boolean} - Whether volume change was successful
+   * Cancel the scheduled source of the next track, keeping it queued
+   * @private
    */
-  setVolume(level) {
-    try {
-      const success = this.audioEngineCore.setVolume(level);
+  _cancelScheduledNextTrack() {
+    if (!this._nextTrack || !this._nextTrack.sourceId) {
+      return;
+    }
 
-      if (success) {
-        this.eventBus.emit('volume:changed', {
-          level,
-          timestamp: Date.now()
-        });
-      }
+    const { sourceId, outgoingSourceId, handOverTimer } = this._nextTrack;
 
-      return success;
-    } catch (error) {
-      console.error('[AudioEngine] Volume change failed:', error);
-      return false;
+    clearTimeout(handOverTimer);
+    this.sourceManager.releaseSource(sourceId);
+    this._activeSourcesMap.delete(sourceId);
+
+    // Give the outgoing source back its full length and volume
+    if (outgoingSourceId) {
+      this.sourceManager.cancelGainCurve(outgoingSourceId);
+      this.sourceManager.scheduleEnd(outgoingSourceId, null);
+    }
+
+    this._nextTrack.sourceId = null;
+    this._nextTrack.startTime = null;
+    this._nextTrack.fadeDuration = 0;
+    this._nextTrack.outgoingSourceId = null;
+    this._nextTrack.handOverTimer = null;
+
+    // The current track's lanes run on past the cancelled start
+    this._syncAutomation();
+  }
+
+  /**
+   * Work out when and how the queued next track takes over
+   * @param {Object} currentData - Active source entry of the current track
+   * @param {Object} currentState - Source state of the current track
+   * @param {Object} nextTrack - Queued next track
+   * @returns {Object} - { startTime, offset, fadeDuration, outgoingEnd }
+   * @private
+   */
+  _planTransition(currentData, currentState, nextTrack) {
+    const { enabled, duration, skipSilence } = this._crossfade;
+    let outgoingEnd = currentState.endTime;
+    let offset = nextTrack.options.startPosition || 0;
+
+    // Without a crossfade the next track starts on the exact end sample
+    if (!enabled) {
+      return { startTime: outgoingEnd, offset, fadeDuration: 0, outgoingEnd };
+    }
+
+    const now = this.audioEngineCore.getCurrentTime();
+    let incomingLength = nextTrack.buffer.duration - offset;
+
+    if (skipSilence) {
+      const currentBuffer = this.bufferManager.getBuffer(currentData.url);
+
+      if (currentBuffer) {
+        const rate = currentState.playbackRate || 1;
+        const audible = AudioUtils.detectSilence(currentBuffer);
+        const trailing = currentBuffer.duration - audible.end;
+        outgoingEnd = Math.max(now, outgoingEnd - trailing / rate);
+      }
+
+      if (!nextTrack.options.startPosition && !nextTrack.buffer.isStream) {
+        const audible = AudioUtils.detectSilence(nextTrack.buffer);
+        offset = audible.start;
+        incomingLength = audible.end - offset;
+      }
+    }
+
+    // The fade cannot be longer than what is left of either track
+    const fadeDuration = Math.max(0, Math.min(duration, outgoingEnd - now, incomingLength));
+
+    return {
+      startTime: outgoingEnd - fadeDuration,
+      offset,
+      fadeDuration,
+      outgoingEnd
+    };
+  }
+
+  /**
+   * Configure crossfading between consecutive tracks
+   * @param {Object} settings - Crossfade settings
+   * @param {boolean} [settings.enabled] - Whether tracks overlap at all
+   * @param {number} [settings.duration] - Overlap length in seconds
+   * @param {string} [settings.curve] - 'linear', 'equal-power' or 's-curve'
+   * @param {boolean} [settings.skipSilence] - Ignore leading and trailing silence
+   * @returns {Object} - The applied crossfade settings
+   */
+  setCrossfade(settings = {}) {
+    try {
+      const crossfade = { ...this._crossfade, ...settings };
+
+      if (!['linear', 'equal-power', 's-curve'].includes(crossfade.curve)) {
+        throw new Error(`Unknown crossfade curve: ${crossfade.curve}`);
+      }
+
+      crossfade.enabled = Boolean(crossfade.enabled);
+      crossfade.skipSilence = Boolean(crossfade.skipSilence);
+      crossfade.duration = Math.max(0, Math.min(30, Number(crossfade.duration) || 0));
+
+      this._crossfade = crossfade;
+
+      // Re-plan a transition that is already scheduled
+      if (this._nextTrack && this._nextTrack.sourceId) {
+        this._scheduleNextTrack();
+      }
+
+      this.eventBus.emit('engine:crossfade-changed', {
+        ...crossfade,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      console.error('[AudioEngine] Setting crossfade failed:', error);
+    }
+
+    return this.getCrossfade();
+  }
+
+  /**
+   * Get the current crossfade settings
+   * @returns {Object} - Crossfade settings
+   */
+  getCrossfade() {
+    return { ...this._crossfade };
+  }
+
+  /**
+   * Set playback tempo and pitch independently of each other
+   * Applies to the current source, the queued next track and later playback.
+   * Without AudioWorklet support, pitch stays fixed at 0 and tempo moves it.
+   * @param {Object} settings - Time-stretch settings
+   * @param {number} [settings.tempo] - Speed ratio, 0.5 to 2
+   * @param {number} [settings.pitch] - Pitch shift in semitones, -12 to 12
+   * @returns {Object} - The applied settings, with latency and availability
+   */
+  setTimeStretch(settings = {}) {
+    try {
+      const available = Boolean(this.timeStretcher && this.timeStretcher.isAvailable());
+      const timeStretch = {
+        tempo: TimeStretcher.clampTempo(settings.tempo ?? this._timeStretch.tempo),
+        pitch: available ? TimeStretcher.clampPitch(settings.pitch ?? this._timeStretch.pitch) : 0
+      };
+
+      this._timeStretch = timeStretch;
+
+      // Retune the playing source in place
+      if (this._currentTrack && !this._currentTrack.isPaused) {
+        const sourceId = this._currentTrack.sourceId;
+        this.sourceManager.setTempo(sourceId, timeStretch.tempo);
+        this.sourceManager.setPitch(sourceId, timeStretch.pitch);
+      }
+
+      // Track time now runs at the new tempo
+      this._syncAutomation();
+
+      // The current track now ends at a different time
+      if (this._nextTrack && this._nextTrack.sourceId) {
+        this._scheduleNextTrack();
+      }
+
+      this.eventBus.emit('engine:time-stretch-changed', {
+        ...this.getTimeStretch(),
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      console.error('[AudioEngine] Setting time stretch failed:', error);
+    }
+
+    return this.getTimeStretch();
+  }
+
+  /**
+   * Get the current tempo and pitch settings
+   * @returns {Object} - { tempo, pitch, latency, available }
+   */
+  getTimeStretch() {
+    const available = Boolean(this.timeStretcher && this.timeStretcher.isAvailable());
+
+    return {
+      ...this._timeStretch,
+      latency: this._getTimeStretchLatency(),
+      available
+    };
+  }
+
+  /**
+   * Delay the time stretcher adds to playback at the current settings
+   * Sources at unity tempo and pitch bypass it.
+   * @returns {number} - Latency in seconds
+   * @private
+   */
+  _getTimeStretchLatency() {
+    const { tempo, pitch } = this._timeStretch;
+
+    return this.timeStretcher && TimeStretcher.isStretched(tempo, pitch) ?
+      this.timeStretcher.getLatency() : 0;
+  }
+
+  /**
+   * Loop a region of the current track (A-B loop)
+   * Region edges are snapped to sample frames of the track. With a count-in,
+   * playback restarts at the region start after that many clicks.
+   * @param {number} start - Region start in seconds
+   * @param {number} end - Region end in seconds
+   * @param {Object} [options] - Loop options
+   * @param {number} [options.countIn=0] - Clicks before playback restarts at the start
+   * @param {number} [options.bpm=120] - Tempo of the count-in clicks, before time stretch
+   * @returns {Object|null} - The applied region { start, end } or null if failed
+   */
+  setLoopRegion(start, end, options = {}) {
+    if (!this._currentTrack) {
+      return null;
+    }
+
+    try {
+      const { url } = this._currentTrack;
+      const buffer = this.bufferManager.getBuffer(url);
+
+      if (!buffer) {
+        throw new Error(this.bufferManager.isStreamed(url) ?
+          `Loop regions are not supported on streamed tracks: ${url}` :
+          `Track is not loaded: ${url}`);
+      }
+
+      // Snap to frames so loopStart/loopEnd land on exact samples
+      const toFrame = (time) => Math.round(Math.max(0, Math.min(time, buffer.duration)) * buffer.sampleRate);
+      const region = {
+        url,
+        start: toFrame(start) / buffer.sampleRate,
+        end: toFrame(end) / buffer.sampleRate
+      };
+
+      if (!(region.end - region.start >= MIN_LOOP_LENGTH)) {
+        throw new Error(`Loop region must be at least ${MIN_LOOP_LENGTH}s long`);
+      }
+
+      // A looping source has no end to chain the next track onto
+      this._cancelScheduledNextTrack();
+      this._cancelCountIn();
+      this._loopRegion = region;
+
+      const { sourceId, isPaused } = this._currentTrack;
+      const sourceData = this._activeSourcesMap.get(sourceId);
+      const countIn = Math.max(0, Math.round(options.countIn || 0));
+
+      if (sourceData && !isPaused) {
+        const position = sourceData.source.getState().position;
+
+        if (countIn > 0 || position >= region.end) {
+          // Restart from the region start, after the count-in if there is one
+          const startTime = countIn > 0 ?
+            this._scheduleCountIn(countIn, options.bpm || DEFAULT_COUNT_IN_BPM) :
+            this.audioEngineCore.getCurrentTime();
+
+          this._restartCurrentSource(buffer, region.start, startTime);
+        } else {
+          this.sourceManager.setLoopRegion(sourceId, region.start, region.end);
+        }
+      } else if (isPaused && this._currentTrack.pausePosition >= region.end) {
+        this._currentTrack.pausePosition = region.start;
+      }
+
+      // Automation follows playback round the region
+      this._syncAutomation();
+
+      this.eventBus.emit('loop:region-changed', {
+        url,
+        start: region.start,
+        end: region.end,
+        countIn,
+        timestamp: Date.now()
+      });
+
+      return this.getLoopRegion();
+    } catch (error) {
+      console.error('[AudioEngine] Setting loop region failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Stop looping the current region; playback continues to the track end
+   * @returns {boolean} - Whether a region was cleared
+   */
+  clearLoopRegion() {
+    if (!this._loopRegion) {
+      return false;
+    }
+
+    const { url } = this._loopRegion;
+    this._loopRegion = null;
+    this._cancelCountIn();
+
+    if (this._currentTrack && this._currentTrack.url === url) {
+      this.sourceManager.setLoopRegion(this._currentTrack.sourceId, null);
+      this._syncAutomation();
+
+      // The current track can end again, so the next one can follow it
+      if (this._nextTrack) {
+        this._scheduleNextTrack();
+      }
+    }
+
+    this.eventBus.emit('loop:region-cleared', {
+      url,
+      timestamp: Date.now()
+    });
+
+    return true;
+  }
+
+  /**
+   * Get the current loop region
+   * @returns {Object|null} - { start, end } in seconds or null if not looping
+   */
+  getLoopRegion() {
+    if (!this._loopRegion) {
+      return null;
+    }
+
+    return {
+      start: this._loopRegion.start,
+      end: this._loopRegion.end
+    };
+  }
+
+  /**
+   * Set the automation of a track, replacing all its lanes. Takes effect at
+   * once when the track is playing, paused or queued.
+   * @param {string} trackUrl - URL of the track
+   * @param {Object|string|null} document - Automation document or its JSON; null removes it
+   * @returns {Object|null} - The applied document, or null if removed or invalid
+   */
+  setAutomation(trackUrl, document) {
+    try {
+      const normalized = document ? AutomationTimeline.normalizeDocument(document) : null;
+      const previous = JSON.stringify(this._automation.get(trackUrl) || null);
+
+      if (normalized && normalized.lanes.length > 0) {
+        this._automation.set(trackUrl, normalized);
+      } else {
+        this._automation.delete(trackUrl);
+      }
+
+      if (trackUrl === this._currentTrack?.url || trackUrl === this._nextTrack?.url) {
+        this._syncAutomation();
+      }
+
+      if (JSON.stringify(this._automation.get(trackUrl) || null) !== previous) {
+        this.eventBus.emit('automation:changed', {
+          url: trackUrl,
+          document: this.getAutomation(trackUrl),
+          timestamp: Date.now()
+        });
+      }
+
+      return this.getAutomation(trackUrl);
+    } catch (error) {
+      console.error('[AudioEngine] Setting automation failed:', error);
+      this.eventBus.emit('automation:error', {
+        url: trackUrl,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get the automation of a track
+   * @param {string} [trackUrl] - URL of the track; defaults to the current one
+   * @returns {Object|null} - Automation document or null if the track has none
+   */
+  getAutomation(trackUrl = this._currentTrack?.url) {
+    const document = this._automation.get(trackUrl);
+    return document ? AutomationTimeline.normalizeDocument(document) : null;
+  }
+
+  /**
+   * Add a lane to a track's automation, replacing the lane with the same ID
+   * or on the same parameter
+   * @param {Object} lane - { id?, param, band?, effectId?, enabled?, points: [{ time, value, curve }] }
+   * @param {string} [trackUrl] - URL of the track; defaults to the current one
+   * @returns {Object|null} - The applied lane or null if invalid
+   */
+  setAutomationLane(lane, trackUrl = this._currentTrack?.url) {
+    if (!trackUrl) {
+      return null;
+    }
+
+    try {
+      const normalized = AutomationTimeline.normalizeLane(lane);
+      const key = AutomationTimeline.getLaneKey(normalized);
+      const lanes = (this._automation.get(trackUrl)?.lanes || []).filter(item =>
+        item.id !== normalized.id && AutomationTimeline.getLaneKey(item) !== key
+      );
+
+      const document = this.setAutomation(trackUrl, { lanes: [...lanes, normalized] });
+      return document ? document.lanes.find(item => item.id === normalized.id) || null : null;
+    } catch (error) {
+      console.error('[AudioEngine] Setting automation lane failed:', error);
+      this.eventBus.emit('automation:error', {
+        url: trackUrl,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Remove a lane from a track's automation
+   * @param {string} laneId - Lane ID
+   * @param {string} [trackUrl] - URL of the track; defaults to the current one
+   * @returns {boolean} - Whether the lane existed
+   */
+  removeAutomationLane(laneId, trackUrl = this._currentTrack?.url) {
+    const document = this._automation.get(trackUrl);
+
+    if (!document || !document.lanes.some(lane => lane.id === laneId)) {
+      return false;
+    }
+
+    this.setAutomation(trackUrl, {
+      lanes: document.lanes.filter(lane => lane.id !== laneId)
+    });
+
+    return true;
+  }
+
+  /**
+   * Fade a track in and out through its volume lane
+   * @param {number} fadeIn - Fade-in length in seconds, 0 for none
+   * @param {number} fadeOut - Fade-out length in seconds, 0 for none
+   * @param {string} [trackUrl] - URL of the track; defaults to the current one
+   * @returns {Promise<Object|null>} - The volume lane or null if failed
+   */
+  async setTrackFades(fadeIn, fadeOut, trackUrl = this._currentTrack?.url) {
+    if (!trackUrl) {
+      return null;
+    }
+
+    try {
+      const buffer = await this.bufferManager.loadAudio(trackUrl);
+
+      if (!buffer) {
+        throw new Error(`Failed to load audio from ${trackUrl}`);
+      }
+
+      return this.setAutomationLane(
+        AutomationTimeline.createFadeLane(buffer.duration, Number(fadeIn) || 0, Number(fadeOut) || 0),
+        trackUrl
+      );
+    } catch (error) {
+      console.error('[AudioEngine] Setting track fades failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Bring the automation schedule in line with playback: run the current
+   * track's lanes (then the queued track's from where it starts), hold them
+   * while paused, and release the parameters when nothing plays
+   * @private
+   */
+  _syncAutomation() {
+    if (!this.automation) {
+      return;
+    }
+
+    const track = this._currentTrack;
+
+    if (!track) {
+      this.automation.reset();
+      return;
+    }
+
+    const document = this._automation.get(track.url) || null;
+    const state = track.isPaused ? null : this.sourceManager.getSourceState(track.sourceId);
+
+    if (!state || !state.isPlaying) {
+      this.automation.hold(document, track.isPaused ? track.pausePosition : (state?.position || 0), track.sourceId);
+      return;
+    }
+
+    this._scheduleAutomation(document, state);
+
+    // Replaces the current lanes from the moment the queued track is heard
+    if (this._nextTrack && this._nextTrack.sourceId) {
+      const nextState = this.sourceManager.getSourceState(this._nextTrack.sourceId);
+
+      if (nextState && nextState.startTime !== null) {
+        this._scheduleAutomation(this._automation.get(this._nextTrack.url) || null, nextState);
+      }
+    }
+  }
+
+  /**
+   * Schedule a document against a source's timing
+   * @param {Object|null} document - Automation document
+   * @param {Object} state - Source state from SourceManager
+   * @private
+   */
+  _scheduleAutomation(document, state) {
+    // A source not yet heard stays at its start offset until it is
+    const time = Math.max(this.audioEngineCore.getContext().currentTime, state.startTime + state.latency);
+
+    let loop = null;
+    if (state.loop) {
+      loop = state.loopEnd > state.loopStart ?
+        { start: state.loopStart, end: state.loopEnd } :
+        { start: 0, end: state.duration };
+    }
+
+    this.automation.start(document, state.position, time, {
+      rate: state.playbackRate,
+      loop,
+      sourceId: state.sourceId
+    });
+  }
+
+  /**
+   * Replace the current source with one starting at a buffer position
+   * @param {AudioBuffer} buffer - Decoded current track
+   * @param {number} offset - Buffer position to start from, in seconds
+   * @param {number} startTime - AudioContext time to start at
+   * @private
+   */
+  _restartCurrentSource(buffer, offset, startTime) {
+    const { sourceId, url, options } = this._currentTrack;
+    const sourceData = this._activeSourcesMap.get(sourceId);
+
+    if (sourceData) {
+      sourceData.source.stop();
+      this._activeSourcesMap.delete(sourceId);
+    }
+
+    const source = this._createSource(buffer, url, options);
+
+    if (!this.sourceManager.playAt(source.id, startTime, offset)) {
+      this.sourceManager.releaseSource(source.id);
+      throw new Error('Failed to restart audio source');
+    }
+
+    this._activeSourcesMap.set(source.id, {
+      source,
+      url,
+      startTime,
+      options
+    });
+
+    this._currentTrack.sourceId = source.id;
+  }
+
+  /**
+   * Schedule count-in clicks onto the mixer bus, past the EQ and effects but
+   * through the output stage so they stay in time with the music
+   * @param {number} beats - Number of clicks; the first one is accented
+   * @param {number} bpm - Click tempo, scaled by the time-stretch tempo
+   * @returns {number} - AudioContext time playback should start at
+   * @private
+   */
+  _scheduleCountIn(beats, bpm) {
+    const context = this.audioEngineCore.getContext();
+    const beatLength = 60 / (bpm * this._timeStretch.tempo);
+    const firstClick = context.currentTime + COUNT_IN_LEAD;
+
+    for (let beat = 0; beat < beats; beat++) {
+      const time = firstClick + beat * beatLength;
+      const oscillator = context.createOscillator();
+      const envelope = context.createGain();
+
+      oscillator.frequency.value = beat === 0 ? 1500 : 1000;
+      envelope.gain.setValueAtTime(0.5, time);
+      envelope.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+
+      oscillator.connect(envelope);
+      envelope.connect(this.mixerBus);
+      oscillator.start(time);
+      oscillator.stop(time + 0.06);
+
+      oscillator.onended = () => {
+        envelope.disconnect();
+        this._countInNodes = this._countInNodes.filter(node => node !== oscillator);
+      };
+
+      this._countInNodes.push(oscillator);
+    }
+
+    const downbeat = firstClick + beats * beatLength;
+
+    this.eventBus.emit('loop:count-in', {
+      beats,
+      bpm,
+      startTime: firstClick,
+      downbeat,
+      timestamp: Date.now()
+    });
+
+    // The time stretcher delays the music, so start it early by that much
+    return Math.max(context.currentTime, downbeat - this._getTimeStretchLatency());
+  }
+
+  /**
+   * Silence count-in clicks that have not played yet
+   * @private
+   */
+  _cancelCountIn() {
+    for (const oscillator of this._countInNodes) {
+      try {
+        oscillator.onended = null;
+        oscillator.stop();
+        oscillator.disconnect();
+      } catch (error) {
+        // Already stopped
+      }
+    }
+
+    this._countInNodes = [];
+  }
+
+  /**
+   * Pause current playback
+   * @returns {boolean} - Whether pause was successful
+   */
+  pause() {
+    if (!this._currentTrack) {
+      return false;
+    }
+
+    try {
+      const sourceData = this._activeSourcesMap.get(this._currentTrack.sourceId);
+
+      if (!sourceData) {
+        return false;
+      }
+
+      // The next track can only follow a running source
+      this._cancelScheduledNextTrack();
+      this._cancelCountIn();
+      this._stopFadingSource();
+
+      // Pause the source
+      const result = sourceData.source.pause();
+
+      if (result) {
+        // Store pause state in current track
+        this._currentTrack.isPaused = true;
+        
+        // Get current position before cleaning up
+        const sourceState = sourceData.source.getState();
+        this._currentTrack.pausePosition = sourceState.position;
+
+        // Remove from active sources map
+        this._activeSourcesMap.delete(this._currentTrack.sourceId);
+
+        // Freeze the lanes where playback stopped
+        this._syncAutomation();
+
+        // Emit pause event
+        this.eventBus.emit('playback:paused', {
+          sourceId: this._currentTrack.sourceId,
+          position: this._currentTrack.pausePosition,
+          timestamp: Date.now()
+        });
+      }
+
+      return result;
+    } catch (error) {
+      console.error('[AudioEngine] Pause failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Resume playback of a paused track
+   * @returns {Promise<boolean>} - Whether resume was successful
+   */
+  async resume() {
+    if (!this._currentTrack || !this._currentTrack.isPaused) {
+      return false;
+    }
+
+    try {
+      // Play from the pause position
+      const sourceId = await this.play(this._currentTrack.url, {
+        ...this._currentTrack.options,
+        startPosition: this._currentTrack.pausePosition,
+        stopCurrent: false
+      });
+
+      if (!sourceId) {
+        throw new Error('Failed to resume playback');
+      }
+
+      // Update current track info
+      this._currentTrack.isPaused = false;
+      this._currentTrack.sourceId = sourceId;
+
+      // Emit resume event
+      this.eventBus.emit('playback:resumed', {
+        sourceId,
+        position: this._currentTrack.pausePosition,
+        timestamp: Date.now()
+      });
+
+      return true;
+    } catch (error) {
+      console.error('[AudioEngine] Resume failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Stop all playback
+   * @returns {boolean} - Whether stop was successful
+   */
+  stop() {
+    try {
+      // Unschedule the next track; it stays queued for the next play()
+      this._cancelScheduledNextTrack();
+      this._cancelCountIn();
+
+      // Stop all active sources
+      for (const [sourceId, sourceData] of this._activeSourcesMap.entries()) {
+        if (sourceData.source) {
+          sourceData.source.stop();
+        }
+        this._activeSourcesMap.delete(sourceId);
+      }
+
+      // Clear current track
+      const previousTrack = this._currentTrack;
+      this._currentTrack = null;
+
+      // Hand automated parameters back to their set values
+      this._syncAutomation();
+
+      // Emit stop event if there was a track playing
+      if (previousTrack) {
+        this.eventBus.emit('playback:stopped', {
+          sourceId: previousTrack.sourceId,
+          timestamp: Date.now()
+        });
+      }
+
+      return true;
+    } catch (error) {
+      console.error('[AudioEngine] Stop failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Seek to a position in the current track
+   * @param {number} position - Position in seconds
+   * @returns {Promise<boolean>} - Whether seek was successful
+   */
+  async seek(position) {
+    if (!this._currentTrack) {
+      return false;
+    }
+
+    try {
+      const wasPaused = this._currentTrack?.isPaused;
+
+      // Stop current playback
+      const currentSourceId = this._currentTrack.sourceId;
+      const sourceData = this._activeSourcesMap.get(currentSourceId);
+
+      if (sourceData && sourceData.source) {
+        sourceData.source.stop();
+        this._activeSourcesMap.delete(currentSourceId);
+      }
+
+      // Start playback from the new position
+      const sourceId = await this.play(this._currentTrack.url, {
+        ...this._currentTrack.options,
+        startPosition: position,
+        stopCurrent: false
+      });
+
+      if (!sourceId) {
+        throw new Error('Failed to seek');
+      }
+
+      // If it was paused, pause it again
+      if (wasPaused) {
+        this.pause();
+      }
+
+      // Emit seek event
+      this.eventBus.emit('playback:seeked', {
+        sourceId,
+        position,
+        timestamp: Date.now()
+      });
+
+      return true;
+    } catch (error) {
+      console.error('[AudioEngine] Seek failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Set the master volume
+   * @param {number} level - Volume level (0.0 to 1.0)
+   * @returns {boolean} - Whether volume change was successful
+   */
+  setVolume(level) {
+    try {
+      const success = this.audioEngineCore.setVolume(level);
+
+      if (success) {
+        this.eventBus.emit('volume:changed', {
+          level,
+          timestamp: Date.now()
+        });
+      }
+
+      return success;
+    } catch (error) {
+      console.error('[AudioEngine] Volume change failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the current master volume
+   * @returns {number} - Current volume level (0.0 to 1.0)
+   */
+  getVolume() {
+    return this.audioEngineCore.getVolume();
+  }
+
+  /**
+   * Configure loudness normalization
+   * Tracks carry their gain and peak in `options.replayGain`, either read
+   * from REPLAYGAIN_* tags or measured with scanLoudness().
+   * @param {Object} settings - Normalization settings
+   * @param {boolean} [settings.enabled] - Whether gain is applied at all
+   * @param {string} [settings.mode] - 'track' or 'album'
+   * @param {number} [settings.preamp] - Extra gain in dB
+   * @param {boolean} [settings.preventClipping] - Limit gain so the peak stays below full scale
+   * @returns {Object} - The applied normalization settings
+   */
+  setNormalization(settings = {}) {
+    try {
+      const normalization = { ...this._normalization, ...settings };
+
+      if (!['track', 'album'].includes(normalization.mode)) {
+        throw new Error(`Unknown normalization mode: ${normalization.mode}`);
+      }
+
+      normalization.enabled = Boolean(normalization.enabled);
+      normalization.preventClipping = Boolean(normalization.preventClipping);
+      normalization.preamp = Math.max(-15, Math.min(15, Number(normalization.preamp) || 0));
+
+      this._normalization = normalization;
+
+      // Re-level everything that is currently playing or scheduled
+      for (const [sourceId, sourceData] of this._activeSourcesMap.entries()) {
+        this.sourceManager.setNormalizationGain(
+          sourceId,
+          this._getNormalizationGain(sourceData.options?.replayGain),
+          0.05
+        );
+      }
+
+      this.eventBus.emit('engine:normalization-changed', {
+        ...normalization,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      console.error('[AudioEngine] Setting normalization failed:', error);
+    }
+
+    return this.getNormalization();
+  }
+
+  /**
+   * Get the current normalization settings
+   * @returns {Object} - Normalization settings
+   */
+  getNormalization() {
+    return { ...this._normalization };
+  }
+
+  /**
+   * Measure loudness of a track for normalization
+   * @param {string} trackUrl - URL of the track
+   * @returns {Promise<Object|null>} - Loudness measurement or null if failed
+   */
+  async scanLoudness(trackUrl) {
+    if (!this._isInitialized) {
+      await this.waitForInitialization();
+    }
+
+    try {
+      return await this.loudnessScanner.scanTrack(trackUrl);
+    } catch (error) {
+      console.error('[AudioEngine] Loudness scan failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Measure loudness of all tracks of an album for album-mode normalization
+   * @param {Array<string>} trackUrls - URLs of the album tracks
+   * @returns {Promise<Object|null>} - { tracks, album } or null if failed
+   */
+  async scanAlbumLoudness(trackUrls) {
+    if (!this._isInitialized) {
+      await this.waitForInitialization();
+    }
+
+    try {
+      return await this.loudnessScanner.scanAlbum(trackUrls);
+    } catch (error) {
+      console.error('[AudioEngine] Album loudness scan failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Find the tempo and beat grid of a whole track
+   * @param {string} trackUrl - URL of the track
+   * @returns {Promise<Object|null>} - { bpm, beats, confidence, duration } or null if failed
+   */
+  async analyzeBeatGrid(trackUrl) {
+    if (!this._isInitialized) {
+      await this.waitForInitialization();
+    }
+
+    try {
+      const result = await this.beatGridAnalyzer.analyzeTrack(trackUrl);
+
+      if (result.bpm) {
+        this.setBeatGrid(trackUrl, { bpm: result.bpm, beats: result.beats, confidence: result.confidence });
+      }
+
+      return result;
+    } catch (error) {
+      console.error('[AudioEngine] Beat grid analysis failed:', error);
+      return null;
     }
   }
 
   /**
-   * Get the current master volume
-   * @returns {number} - Current volume level (0.0 to 1.0)
+   * Set the stored beat grid of a track, used to seed beat detection while
+   * the track plays
+   * @param {string} trackUrl - URL of the track
+   * @param {Object|null} grid - { bpm, beats, confidence } with beat times in track seconds; null removes it
    */
-  getVolume() {
-    return this.audioEngineCore.getVolume();
+  setBeatGrid(trackUrl, grid) {
+    if (grid && grid.bpm > 0 && Array.isArray(grid.beats)) {
+      this._beatGrids.set(trackUrl, {
+        bpm: grid.bpm,
+        beats: grid.beats,
+        confidence: grid.confidence ?? 1
+      });
+    } else {
+      this._beatGrids.delete(trackUrl);
+    }
+
+    if (this._currentTrack && this._currentTrack.url === trackUrl) {
+      this._syncBeatDetector();
+    }
+  }
+
+  /**
+   * Run beat detection while the current track plays, seeded from its
+   * stored grid against the source's timing
+   * @private
+   */
+  _syncBeatDetector() {
+    if (!this.beatDetector) {
+      return;
+    }
+
+    const track = this._currentTrack;
+    const state = track && !track.isPaused ? this.sourceManager.getSourceState(track.sourceId) : null;
+
+    if (!state || !state.isPlaying) {
+      this.beatDetector.stopDetection();
+      return;
+    }
+
+    this.beatDetector.startDetection();
+
+    // A looping source leaves the grid's timeline at the loop end
+    const grid = this._beatGrids.get(track.url);
+    if (!grid || state.loop) {
+      this.beatDetector.clearGrid();
+      return;
+    }
+
+    this.beatDetector.seedGrid(grid, {
+      position: state.position,
+      time: Math.max(this.audioEngineCore.getContext().currentTime, state.startTime + state.latency),
+      rate: state.playbackRate,
+      confidence: grid.confidence
+    });
+  }
+
+  /**
+   * Detect the musical key of a whole track
+   * @param {string} trackUrl - URL of the track
+   * @returns {Promise<Object|null>} - { key, camelot, tonic, mode, confidence, tuning, chroma } or null if failed
+   */
+  async detectKey(trackUrl) {
+    if (!this._isInitialized) {
+      await this.waitForInitialization();
+    }
+
+    try {
+      return await this.keyDetector.analyzeTrack(trackUrl);
+    } catch (error) {
+      console.error('[AudioEngine] Key detection failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Work out the linear normalization gain for a track
+   * @param {Object} [replayGain] - { trackGain, trackPeak, albumGain, albumPeak }
+   * @returns {number} - Linear gain, 1 when normalization does not apply
+   * @private
+   */
+  _getNormalizationGain(replayGain) {
+    const { enabled, mode, preamp, preventClipping } = this._normalization;
+
+    if (!enabled || !replayGain) {
+      return 1;
+    }
+
+    // Album mode falls back to track values for untagged albums
+    const useAlbum = mode === 'album' && replayGain.albumGain !== null && replayGain.albumGain !== undefined;
+    const gainDb = useAlbum ? replayGain.albumGain : replayGain.trackGain;
+    const peak = useAlbum ? (replayGain.albumPeak || replayGain.trackPeak) : replayGain.trackPeak;
+
+    if (gainDb === null || gainDb === undefined) {
+      return 1;
+    }
+
+    let gain = AudioUtils.decibelsToLinear(gainDb + preamp);
+
+    // Peak protection
+    if (preventClipping && peak > 0) {
+      gain = Math.min(gain, 1 / peak);
+    }
+
+    return gain;
   }
 
   /**
@@ -654,257 +1979,617 @@ class AudioEngine {
       return null;
     }
 
+    const effectId = this.effectsChain.addEffect(effectType, params);
+
+    if (effectId) {
+      // Emit effect added event
+      this.eventBus.emit('effect:added', {
+        effectId,
+        type: effectType,
+        timestamp: Date.now()
+      });
+    }
+
+    return effectId;
+  }
+
+  /**
+   * Remove an audio effect
+   * @param {string} effectId - ID of the effect to remove
+   * @returns {boolean} - Whether removal was successful
+   */
+  removeEffect(effectId) {
+    if (!this._options.enableEffects) {
+      return false;
+    }
+
+    const removed = this.effectsChain.removeEffect(effectId);
+
+    if (removed) {
+      // Emit effect removed event
+      this.eventBus.emit('effect:removed', {
+        effectId,
+        timestamp: Date.now()
+      });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Update an audio effect's parameters
+   * @param {string} effectId - ID of the effect to update
+   * @param {Object} params - New effect parameters
+   * @returns {boolean} - Whether update was successful
+   */
+  updateEffect(effectId, params = {}) {
+    if (!this._options.enableEffects) {
+      return false;
+    }
+
+    const updated = this.effectsChain.updateEffect(effectId, params);
+
+    if (updated) {
+      // Emit effect updated event
+      this.eventBus.emit('effect:updated', {
+        effectId,
+        params,
+        timestamp: Date.now()
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Get the effect chain between the sources and the EQ
+   * @returns {EffectsChain} - Effect chain, with document, undo/redo and saved chains
+   */
+  getEffectsChain() {
+    return this.effectsChain;
+  }
+
+  /**
+   * Render a track through an effect chain and EQ without playing it
+   * @param {string} trackUrl - URL of the track to render
+   * @param {Object} [options] - Render options
+   * @param {Array<Object>} [options.effects] - { type, params, bypass } in chain order; defaults to the live effect chain
+   * @param {Object|Array<Object>} [options.eq] - EQ preset or band list, applied after the effects; defaults to the live EQ
+   * @param {Object} [options.range] - { start, end } in seconds; defaults to the whole track
+   * @param {number} [options.sampleRate] - Output sample rate; defaults to the context rate
+   * @returns {Promise<AudioBuffer|null>} - Rendered buffer or null if failed
+   */
+  async renderOffline(trackUrl, options = {}) {
+    if (!this._isInitialized) {
+      await this.waitForInitialization();
+    }
+
     try {
-      // Create the effect node
-      const effectNode = this.audioNodeFactory.createNode(effectType, params);
+      // Rendering needs the samples, even of a track that would stream
+      const buffer = await this.bufferManager.loadAudio(trackUrl, { streaming: false });
 
-      if (!effectNode) {
-        throw new Error(`Failed to create ${effectType} effect`);
+      if (!buffer) {
+        throw new Error(`Failed to load audio from ${trackUrl}`);
       }
 
-      // Create effect chain if needed
-      if (!this._effectChainCreated) {
-        // Create a routing structure for effects
-        const inputNode = this.audioNodeFactory.createNode('gain', { gain: 1.0 });
-        const outputNode = this.audioNodeFactory.createNode('gain', { gain: 1.0 });
-        
-        // Register nodes in the graph
-        this.audioGraph.registerNode(inputNode, { type: 'effects-input' });
-        this.audioGraph.registerNode(outputNode, { type: 'effects-output' });
-        
-        // Connect to master
-        this.audioGraph.connect(outputNode, this.audioEngineCore.getMasterNode());
-        
-        // Store for future use
-        this._effectsInput = inputNode;
-        this._effectsOutput = outputNode;
-        this._effectChainCreated = true;
+      // Clamp the requested range to the buffer
+      const start = Math.max(0, Math.min(options.range?.start || 0, buffer.duration));
+      const end = Math.max(start, Math.min(options.range?.end ?? buffer.duration, buffer.duration));
+      const duration = end - start;
+
+      if (duration <= 0) {
+        throw new Error('Render range is empty');
       }
 
-      // Register effect node in the graph
-      const nodeId = this.audioGraph.registerNode(effectNode, { 
-        type: effectType,
-        params
+      const offlineContext = this.audioEngineCore.createOfflineContext(
+        duration,
+        options.sampleRate,
+        buffer.numberOfChannels
+      );
+
+      if (!offlineContext) {
+        throw new Error('Offline rendering is not supported');
+      }
+
+      // Nodes are created by a factory bound to the offline context
+      const nodeFactory = new AudioNodeFactory({
+        audioContext: offlineContext,
+        channelCount: buffer.numberOfChannels,
+        enablePooling: false
       });
 
-      // Generate unique effect ID
-      const effectId = `effect_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
+      const eqPreset = Array.isArray(options.eq)
+        ? { bands: options.eq }
+        : (options.eq || this.parametricEQ.toJSON());
+      const effects = (options.effects || (this._options.enableEffects
+        ? this.effectsChain.getDocument().effects
+        : [])).filter(effect => !effect.bypass);
 
-      // Get existing connections to reroute
-      const currentChain = this._getEffectChain();
-      let outputConnectionId;
+      const source = offlineContext.createBufferSource();
+      source.buffer = buffer;
 
-      // Insert the new effect in the chain
-      if (currentChain.length === 0) {
-        // First effect - connect input and output directly
-        this.audioGraph.connect(this._effectsInput, effectNode);
-        outputConnectionId = this.audioGraph.connect(effectNode, this._effectsOutput);
-      } else {
-        // Insert between the last effect and the output
-        const lastEffect = currentChain[currentChain.length - 1];
-        
-        // Disconnect last effect from output
-        this.audioGraph.disconnect(lastEffect.outputConnectionId);
-        
-        // Connect last effect to new effect
-        const newConnectionId = this.audioGraph.connect(lastEffect.node, effectNode);
-        
-        // Connect new effect to output
-        outputConnectionId = this.audioGraph.connect(effectNode, this._effectsOutput);
-        
-        // Update connections
-        lastEffect.outputConnectionId = newConnectionId;
+      let lastNode = source;
+
+      for (const effect of effects) {
+        const { input, output, ready } = this.effectsChain.createUnit(
+          effect,
+          nodeFactory,
+          offlineContext.sampleRate
+        );
+
+        if (!(await ready)) {
+          throw new Error(`Failed to prepare ${effect.type} effect`);
+        }
+
+        lastNode.connect(input);
+        lastNode = output;
+      }
+
+      // Same EQ implementation as the live chain; no smoothing so settings apply from sample 0
+      const eq = new ParametricEQ({
+        audioNodeFactory: nodeFactory,
+        config: { smoothing: 0 }
+      });
+
+      if (!eq.loadPreset(eqPreset)) {
+        throw new Error('Invalid EQ settings');
+      }
+
+      lastNode.connect(eq.getInput());
+      eq.getOutput().connect(offlineContext.destination);
+      source.start(0, start, duration);
+
+      this.eventBus.emit('render:started', {
+        url: trackUrl,
+        start,
+        end,
+        sampleRate: offlineContext.sampleRate,
+        eqBands: eq.isEnabled() ? eq.getBands().filter(band => !band.bypass).length : 0,
+        effects: effects.length,
+        timestamp: Date.now()
+      });
+
+      const rendered = await offlineContext.startRendering();
+
+      this.eventBus.emit('render:completed', {
+        url: trackUrl,
+        duration: rendered.duration,
+        sampleRate: rendered.sampleRate,
+        channels: rendered.numberOfChannels,
+        timestamp: Date.now()
+      });
+
+      return rendered;
+    } catch (error) {
+      console.error('[AudioEngine] Offline render failed:', error);
+      this.eventBus.emit('render:error', {
+        url: trackUrl,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Render a track offline and encode it as a WAV file
+   * @param {string} trackUrl - URL of the track to render
+   * @param {Object} [options] - renderOffline options plus encoding options
+   * @param {number} [options.bitDepth=16] - 16, 24 or 32
+   * @param {boolean} [options.float=false] - Write 32-bit float samples
+   * @returns {Promise<Blob|null>} - WAV blob or null if failed
+   */
+  async exportWav(trackUrl, options = {}) {
+    const { bitDepth = 16, float = false, ...renderOptions } = options;
+
+    const rendered = await this.renderOffline(trackUrl, renderOptions);
+    if (!rendered) {
+      return null;
+    }
+
+    try {
+      return WavEncoder.encodeToBlob(rendered, { bitDepth, float });
+    } catch (error) {
+      console.error('[AudioEngine] WAV export failed:', error);
+      this.eventBus.emit('render:error', {
+        url: trackUrl,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get the parametric equalizer in the output chain
+   * @returns {ParametricEQ} - Equalizer instance
+   */
+  getEqualizer() {
+    return this.parametricEQ;
+  }
+
+  /**
+   * Get the impulse response manager used by reverb effects
+   * @returns {ImpulseResponseManager} - IR manager
+   */
+  getImpulseResponses() {
+    return this.impulseResponses;
+  }
+
+  /**
+   * Get the built-in effect processors, keyed by effect name
+   * @returns {Object} - { equalizer, effectsChain, impulseResponses }
+   */
+  getAudioEffects() {
+    return {
+      equalizer: this.parametricEQ,
+      effectsChain: this.effectsChain,
+      impulseResponses: this.impulseResponses
+    };
+  }
+
+  /**
+   * Get frequency analysis data
+   * @returns {Uint8Array} - Frequency data
+   */
+  getFrequencyData() {
+    if (!this._options.enableAnalysis) {
+      return new Uint8Array(0);
+    }
+
+    return this.SignalProcessor.getFrequencyData();
+  }
+
+  /**
+   * Get waveform analysis data
+   * @returns {Uint8Array} - Waveform data
+   */
+  getWaveformData() {
+    if (!this._options.enableAnalysis) {
+      return new Uint8Array(0);
+    }
+
+    return this.SignalProcessor.getWaveformData();
+  }
+
+  /**
+   * Get audio feature analysis
+   * @param {string} featureType - Type of feature to analyze
+   * @returns {Object} - Analysis results
+   */
+  getAnalysisData(featureType = null) {
+    if (!this._options.enableAnalysis) {
+      return {};
+    }
+
+    return this.SignalProcessor.getFeatures(featureType);
+  }
+
+  /**
+   * Get peak levels of a track for a waveform overview
+   * @param {string} trackUrl - URL of the track
+   * @param {number} [bins=500] - Number of peaks across the track
+   * @returns {Promise<Object|null>} - { peaks, duration } or null if failed or streamed
+   */
+  async getTrackPeaks(trackUrl, bins = 500) {
+    try {
+      const buffer = await this.bufferManager.loadAudio(trackUrl);
+
+      if (!buffer) {
+        throw new Error(`Failed to load audio from ${trackUrl}`);
+      }
+
+      // Streamed tracks are never decoded, so there are no samples to scan
+      if (buffer.isStream) {
+        return null;
       }
 
-      // Store effect data
-      this._activeEffectsMap.set(effectId, {
-        type: effectType,
-        node: effectNode,
-        nodeId,
-        params,
-        outputConnectionId,
-        createdAt: Date.now()
+      return {
+        peaks: AudioUtils.computePeaks(buffer, bins),
+        duration: buffer.duration
+      };
+    } catch (error) {
+      console.error('[AudioEngine] Reading track peaks failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get a visual representation of the audio graph
+   * @returns {Object} - Graph representation for visualization
+   */
+  getAudioGraph() {
+    return this.audioGraph.getGraphRepresentation();
+  }
+
+  /**
+   * Create a deck: an independent channel with its own source, EQ and effects
+   * @param {Object} [options={}] - Deck options
+   * @param {string} [options.id] - Deck ID; generated when omitted
+   * @param {number} [options.volume=1] - Initial fader level (0-1)
+   * @param {string} [options.output='main'] - 'main' for the mixer bus, 'cue' for another device
+   * @param {string} [options.deviceId] - Device a cue deck plays on
+   * @returns {Promise<Deck|null>} - The deck, or null if creation failed
+   */
+  async createDeck(options = {}) {
+    if (!this._isInitialized) {
+      await this.waitForInitialization();
+    }
+
+    const deckId = options.id || `deck_${this._nextDeckId++}`;
+
+    if (this._decks.has(deckId)) {
+      console.warn(`[AudioEngine] Deck ${deckId} already exists`);
+      return this._decks.get(deckId).deck;
+    }
+
+    try {
+      const deck = new Deck({
+        id: deckId,
+        audioNodeFactory: this.audioNodeFactory,
+        audioGraph: this.audioGraph,
+        sourceManager: this.sourceManager,
+        bufferManager: this.bufferManager,
+        impulseResponses: this.impulseResponses,
+        EventBus: this.eventBus,
+        volume: options.volume
       });
 
-      // Emit effect added event
-      this.eventBus.emit('effect:added', {
-        effectId,
-        type: effectType,
+      const entry = { deck, output: null, deviceId: null, connectionId: null, sinkId: null };
+      this._decks.set(deckId, entry);
+
+      this._routeDeckToMixer(entry);
+
+      this.eventBus.emit('deck:created', {
+        deckId,
         timestamp: Date.now()
       });
 
-      return effectId;
+      if (options.output === 'cue') {
+        await this.setDeckOutput(deckId, 'cue', options.deviceId);
+      }
+
+      return deck;
     } catch (error) {
-      console.error('[AudioEngine] Apply effect failed:', error);
+      console.error('[AudioEngine] Create deck failed:', error);
+      this.eventBus.emit('deck:error', {
+        deckId,
+        operation: 'create',
+        error: error.message
+      });
       return null;
     }
   }
 
   /**
-   * Get the current effect chain in order
-   * @private
+   * Get a deck
+   * @param {string} deckId - Deck ID
+   * @returns {Deck|null} - The deck, or null if unknown
    */
-  _getEffectChain() {
-    // Extract and sort effects by creation time
-    const effects = Array.from(this._activeEffectsMap.values());
-    return effects.sort((a, b) => a.createdAt - b.createdAt);
+  getDeck(deckId) {
+    const entry = this._decks.get(deckId);
+    return entry ? entry.deck : null;
   }
 
   /**
-   * Remove an audio effect
-   * @param {string} effectId - ID of the effect to remove
-   * @returns {boolean} - Whether removal was successful
+   * Get the state of every deck
+   * @returns {Array<Object>} - Deck states with { output, deviceId }
    */
-  removeEffect(effectId) {
-    if (!this._options.enableEffects) {
+  getDecks() {
+    return Array.from(this._decks.values()).map(({ deck, output, deviceId }) => ({
+      ...deck.getState(),
+      output,
+      deviceId
+    }));
+  }
+
+  /**
+   * Route a deck to the mixer bus or to a cue output on another device.
+   * Falls back to the mixer bus when the device cannot be opened.
+   * @param {string} deckId - Deck ID
+   * @param {string} output - 'main' or 'cue'
+   * @param {string} [deviceId] - Device the cue output plays on
+   * @returns {Promise<boolean>} - Whether the deck plays where asked
+   */
+  async setDeckOutput(deckId, output, deviceId) {
+    const entry = this._decks.get(deckId);
+
+    if (!entry || (output !== 'main' && output !== 'cue')) {
       return false;
     }
 
+    if (output === 'main') {
+      this._routeDeckToMixer(entry);
+      return true;
+    }
+
     try {
-      const effectData = this._activeEffectsMap.get(effectId);
-      if (!effectData) {
-        return false;
+      if (!deviceId) {
+        throw new Error('A cue output needs a device ID');
       }
 
-      // Get the effect chain to reroute connections
-      const chain = this._getEffectChain();
-      const effectIndex = chain.findIndex(e => e.nodeId === effectData.nodeId);
-      
-      if (effectIndex !== -1) {
-        // Handle reconnection of the chain
-        if (chain.length === 1) {
-          // This is the only effect, just disconnect it
-          this.audioGraph.disconnect(effectData.outputConnectionId);
-          
-          // Connect input directly to output
-          this.audioGraph.connect(this._effectsInput, this._effectsOutput);
-        } else if (effectIndex === 0) {
-          // This is the first effect in the chain
-          // Connect input to the next effect
-          const nextEffect = chain[1];
-          this.audioGraph.connect(this._effectsInput, nextEffect.node);
-        } else if (effectIndex === chain.length - 1) {
-          // This is the last effect in the chain
-          // Connect previous effect to output
-          const prevEffect = chain[effectIndex - 1];
-          this.audioGraph.disconnect(prevEffect.outputConnectionId);
-          prevEffect.outputConnectionId = this.audioGraph.connect(prevEffect.node, this._effectsOutput);
-        } else {
-          // This is a middle effect
-          // Connect previous effect to next effect
-          const prevEffect = chain[effectIndex - 1];
-          const nextEffect = chain[effectIndex + 1];
-          
-          this.audioGraph.disconnect(prevEffect.outputConnectionId);
-          prevEffect.outputConnectionId = this.audioGraph.connect(prevEffect.node, nextEffect.node);
+      // Already on a cue output: just move it
+      if (entry.sinkId) {
+        if (!await this.deviceManager.setSinkOutputDevice(entry.sinkId, deviceId)) {
+          throw new Error(`Could not switch cue output to device ${deviceId}`);
         }
+
+        entry.deviceId = deviceId;
+        this._emitDeckOutput(entry);
+        return true;
       }
 
-      // Remove from active effects map
-      this._activeEffectsMap.delete(effectId);
+      const sink = await this.deviceManager.createSinkOutput(deviceId);
 
-      // Emit effect removed event
-      this.eventBus.emit('effect:removed', {
-        effectId,
-        timestamp: Date.now()
-      });
+      if (!sink) {
+        throw new Error(`Could not open cue output on device ${deviceId}`);
+      }
+
+      this._disconnectDeck(entry);
 
+      entry.connectionId = this.audioGraph.connect(
+        entry.deck.getOutput(),
+        sink.node,
+        { metadata: { type: 'deck-to-cue', deckId, deviceId } }
+      );
+      entry.output = 'cue';
+      entry.deviceId = deviceId;
+      entry.sinkId = sink.id;
+
+      this._emitDeckOutput(entry);
       return true;
     } catch (error) {
-      console.error('[AudioEngine] Remove effect failed:', error);
+      console.error('[AudioEngine] Set deck output failed:', error);
+      this.eventBus.emit('deck:error', {
+        deckId,
+        operation: 'setOutput',
+        error: error.message
+      });
+
+      if (!entry.sinkId) {
+        this._routeDeckToMixer(entry);
+      }
       return false;
     }
   }
 
   /**
-   * Update an audio effect's parameters
-   * @param {string} effectId - ID of the effect to update
-   * @param {Object} params - New effect parameters
-   * @returns {boolean} - Whether update was successful
+   * Stop and remove a deck
+   * @param {string} deckId - Deck ID
+   * @returns {boolean} - Whether the deck existed
    */
-  updateEffect(effectId, params = {}) {
-    if (!this._options.enableEffects) {
-      return false;
-    }
+  removeDeck(deckId) {
+    const entry = this._decks.get(deckId);
+    if (!entry) return false;
 
-    try {
-      // Get effect data
-      const effectData = this._activeEffectsMap.get(effectId);
-      if (!effectData) {
-        return false;
-      }
+    this._disconnectDeck(entry);
+    entry.deck.dispose();
+    this._decks.delete(deckId);
 
-      // Update parameters on the node
-      for (const [param, value] of Object.entries(params)) {
-        if (effectData.node[param] instanceof AudioParam) {
-          // For AudioParams (e.g., frequency, Q, gain)
-          effectData.node[param].setValueAtTime(value, this.audioEngineCore.getCurrentTime());
-        } else if (param in effectData.node) {
-          // For regular properties (e.g., type)
-          effectData.node[param] = value;
-        }
-      }
+    this.eventBus.emit('deck:removed', {
+      deckId,
+      timestamp: Date.now()
+    });
 
-      // Update in active effects map
-      effectData.params = { ...effectData.params, ...params };
+    return true;
+  }
 
-      // Emit effect updated event
-      this.eventBus.emit('effect:updated', {
-        effectId,
-        params,
-        timestamp: Date.now()
-      });
+  /**
+   * Connect a deck to the mixer bus
+   * @param {Object} entry - Deck entry
+   * @private
+   */
+  _routeDeckToMixer(entry) {
+    if (entry.output === 'main') return;
 
-      return true;
-    } catch (error) {
-      console.error('[AudioEngine] Update effect failed:', error);
-      return false;
-    }
+    this._disconnectDeck(entry);
+
+    entry.connectionId = this.audioGraph.connect(
+      entry.deck.getOutput(),
+      this.mixerBus,
+      { metadata: { type: 'deck-to-mixer', deckId: entry.deck.id } }
+    );
+    entry.output = 'main';
+    entry.deviceId = null;
+
+    this._emitDeckOutput(entry);
   }
 
   /**
-   * Get frequency analysis data
-   * @returns {Uint8Array} - Frequency data
+   * Disconnect a deck's output and close its cue output
+   * @param {Object} entry - Deck entry
+   * @private
    */
-  getFrequencyData() {
-    if (!this._options.enableAnalysis) {
-      return new Uint8Array(0);
+  _disconnectDeck(entry) {
+    if (entry.connectionId) {
+      this.audioGraph.disconnect(entry.connectionId);
+      entry.connectionId = null;
     }
 
-    return this.SignalProcessor.getFrequencyData();
+    if (entry.sinkId) {
+      this.deviceManager.closeSinkOutput(entry.sinkId);
+      entry.sinkId = null;
+    }
+
+    entry.output = null;
   }
 
   /**
-   * Get waveform analysis data
-   * @returns {Uint8Array} - Waveform data
+   * Announce where a deck plays
+   * @param {Object} entry - Deck entry
+   * @private
    */
-  getWaveformData() {
-    if (!this._options.enableAnalysis) {
-      return new Uint8Array(0);
-    }
-
-    return this.SignalProcessor.getWaveformData();
+  _emitDeckOutput(entry) {
+    this.eventBus.emit('deck:output-changed', {
+      deckId: entry.deck.id,
+      output: entry.output,
+      deviceId: entry.deviceId,
+      timestamp: Date.now()
+    });
   }
 
   /**
-   * Get audio feature analysis
-   * @param {string} featureType - Type of feature to analyze
-   * @returns {Object} - Analysis results
+   * Make the scheduled next track the current one
+   * Runs where a crossfade starts, or where the outgoing source ends when
+   * the tracks follow on gaplessly.
+   * @returns {boolean} - Whether there was a scheduled track to hand over to
+   * @private
    */
-  getAnalysisData(featureType = null) {
-    if (!this._options.enableAnalysis) {
-      return {};
+  _handOverToNextTrack() {
+    const nextTrack = this._nextTrack;
+
+    if (!nextTrack || !nextTrack.sourceId || !this._currentTrack) {
+      return false;
     }
 
-    return this.SignalProcessor.getFeatures(featureType);
+    clearTimeout(nextTrack.handOverTimer);
+
+    const previousTrack = this._currentTrack;
+    const fadingOut = nextTrack.fadeDuration > 0 &&
+      this._activeSourcesMap.has(previousTrack.sourceId);
+
+    this._nextTrack = null;
+    this._currentTrack = {
+      sourceId: nextTrack.sourceId,
+      url: nextTrack.url,
+      startTime: nextTrack.startTime,
+      options: nextTrack.options,
+      // The outgoing source keeps playing until its fade completes
+      fadingSourceId: fadingOut ? previousTrack.sourceId : null
+    };
+
+    // Its lanes were scheduled from its start; pick them up from here
+    this._syncAutomation();
+
+    this.eventBus.emit('track:transition', {
+      previousSourceId: previousTrack.sourceId,
+      previousUrl: previousTrack.url,
+      sourceId: nextTrack.sourceId,
+      url: nextTrack.url,
+      transitionTime: nextTrack.startTime,
+      crossfade: nextTrack.fadeDuration,
+      timestamp: Date.now()
+    });
+
+    return true;
   }
 
   /**
-   * Get a visual representation of the audio graph
-   * @returns {Object} - Graph representation for visualization
+   * Stop the outgoing source of a crossfade that has already been handed over
+   * @private
    */
-  getAudioGraph() {
-    return this.audioGraph.getGraphRepresentation();
+  _stopFadingSource() {
+    const fadingSourceId = this._currentTrack?.fadingSourceId;
+
+    if (!fadingSourceId) {
+      return;
+    }
+
+    const sourceData = this._activeSourcesMap.get(fadingSourceId);
+    if (sourceData) {
+      sourceData.source.stop();
+      this._activeSourcesMap.delete(fadingSourceId);
+    }
+
+    this._currentTrack.fadingSourceId = null;
   }
 
   /**
@@ -913,16 +2598,30 @@ class AudioEngine {
    * @private
    */
   _handleSourceEnded(sourceId) {
-    // Ignore if not our current source
+    // Sources that are no longer current, such as the tail of a crossfade,
+    // only need to be let go of
     if (!this._currentTrack || this._currentTrack.sourceId !== sourceId) {
+      this._activeSourcesMap.delete(sourceId);
+
+      if (this._currentTrack && this._currentTrack.fadingSourceId === sourceId) {
+        this._currentTrack.fadingSourceId = null;
+      }
       return;
     }
 
     // Get the track info
     const trackInfo = { ...this._currentTrack };
+    this._activeSourcesMap.delete(sourceId);
+
+    // Hand over to the next track, which is already playing from the
+    // sample where this one ended
+    if (this._handOverToNextTrack()) {
+      return;
+    }
     
     // Clear current track
     this._currentTrack = null;
+    this._syncAutomation();
     
     // Emit playback ended event
     this.eventBus.emit('playback:ended', {
@@ -931,8 +2630,6 @@ class AudioEngine {
       timestamp: Date.now()
     });
     
-    // Handle auto-advance logic here if needed
-    // (would integrate with a queue service)
   }
 
   /**
@@ -947,11 +2644,18 @@ class AudioEngine {
     const sourceData = this._activeSourcesMap.get(this._currentTrack.sourceId);
 
     let currentTime = 0;
+    let duration = this.bufferManager.getBuffer(this._currentTrack.url)?.duration || 0;
+    let latency = 0;
+    let streaming = false;
     let state = 'stopped';
     
     if (sourceData && sourceData.source) {
+      // Position is already compensated for the time-stretch latency
       const sourceState = sourceData.source.getState();
       currentTime = sourceState.position;
+      duration = sourceState.duration;
+      latency = sourceState.latency;
+      streaming = sourceState.streaming;
       state = sourceState.isPlaying ? 'playing' : 'stopped';
     } else if (this._currentTrack.isPaused) {
       currentTime = this._currentTrack.pausePosition;
@@ -962,18 +2666,256 @@ class AudioEngine {
       url: this._currentTrack.url,
       state,
       currentTime,
+      duration,
       isPlaying: state === 'playing',
       isPaused: state === 'paused',
+      tempo: this._timeStretch.tempo,
+      pitch: this._timeStretch.pitch,
+      latency,
+      streaming,
+      loopRegion: this.getLoopRegion(),
       options: { ...this._currentTrack.options }
     };
   }
 
+  /**
+   * Capture the engine state: settings, effect chain, EQ, output device,
+   * spatial stage and the current track with its position
+   * @returns {Object} - JSON-compatible snapshot
+   */
+  getSnapshot() {
+    // Object URLs die with the page, so they cannot be reloaded
+    const isRestorable = (url) => typeof url === 'string' && !url.startsWith('blob:');
+
+    const info = this.getPlaybackInfo();
+    const playback = info && isRestorable(info.url) ? info : null;
+    const nextTrack = this._nextTrack && isRestorable(this._nextTrack.url) ? this._nextTrack : null;
+
+    // Start position and stop behaviour belong to the call that started the source
+    const trackOptions = playback ? { ...playback.options } : null;
+    if (trackOptions) {
+      delete trackOptions.startPosition;
+      delete trackOptions.stopCurrent;
+    }
+
+    return {
+      version: SNAPSHOT_VERSION,
+      savedAt: Date.now(),
+      volume: this.getVolume(),
+      crossfade: this.getCrossfade(),
+      normalization: this.getNormalization(),
+      timeStretch: {
+        tempo: this._timeStretch.tempo,
+        pitch: this._timeStretch.pitch
+      },
+      eq: this.parametricEQ ? this.parametricEQ.toJSON() : null,
+      effects: this.effectsChain ? this.effectsChain.getDocument() : null,
+      outputDevice: this.outputManager?.getCurrentDevice()?.id || null,
+      spatial: this.outputManager?.getSpatialParams ? this.outputManager.getSpatialParams() : null,
+      track: playback ? {
+        url: playback.url,
+        position: playback.currentTime,
+        options: trackOptions,
+        loopRegion: playback.loopRegion
+      } : null,
+      nextTrack: nextTrack ? {
+        url: nextTrack.url,
+        options: { ...nextTrack.options }
+      } : null
+    };
+  }
+
+  /**
+   * Bring the engine back to a snapshot. The track is loaded paused at the
+   * saved position; resume() continues from there. Parts that fail to
+   * restore are skipped and reported.
+   * @param {Object|string} snapshot - Snapshot from getSnapshot(), or its JSON
+   * @returns {Promise<boolean>} - Whether every part was restored
+   */
+  async restoreSnapshot(snapshot) {
+    if (!this._isInitialized) {
+      await this.waitForInitialization();
+    }
+
+    try {
+      const data = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+
+      if (!data || typeof data !== 'object') {
+        throw new Error('Snapshot is empty');
+      }
+
+      if (data.version > SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version: ${data.version}`);
+      }
+
+      const failed = [];
+      const restore = async (part, value, apply) => {
+        if (value === undefined || value === null) return;
+
+        try {
+          if ((await apply(value)) === false) {
+            throw new Error('rejected');
+          }
+        } catch (error) {
+          console.warn(`[AudioEngine] Restoring ${part} failed:`, error);
+          failed.push(part);
+        }
+      };
+
+      await restore('volume', data.volume, volume => this.setVolume(volume));
+      await restore('crossfade', data.crossfade, settings => this.setCrossfade(settings));
+      await restore('normalization', data.normalization, settings => this.setNormalization(settings));
+      await restore('timeStretch', data.timeStretch, settings => this.setTimeStretch(settings));
+      await restore('eq', data.eq, preset => this.parametricEQ.loadPreset(preset));
+
+      if (this._options.enableEffects) {
+        await restore('effects', data.effects, document => this.effectsChain.loadDocument(document));
+      }
+
+      await restore('outputDevice', data.outputDevice, async deviceId => {
+        // The default output needs no device list, whose labels can cost a
+        // permission prompt
+        if (deviceId === 'default' || this.outputManager.getCurrentDevice()?.id === deviceId) {
+          return true;
+        }
+
+        // A device that is no longer connected keeps the current output
+        const devices = await this.getOutputDevices();
+        if (!devices.some(device => device.id === deviceId)) {
+          return true;
+        }
+
+        return this.setOutputDevice(deviceId);
+      });
+      await restore('spatial', data.spatial, params => this.outputManager.setSpatialParams(params));
+      await restore('track', data.track, track => this._restorePausedTrack(track));
+      await restore('nextTrack', data.nextTrack, track => this.setNextTrack(track.url, track.options));
+
+      this.eventBus.emit('engine:snapshot-restored', {
+        url: data.track?.url || null,
+        position: this._currentTrack?.pausePosition ?? 0,
+        savedAt: data.savedAt,
+        failed,
+        timestamp: Date.now()
+      });
+
+      return failed.length === 0;
+    } catch (error) {
+      console.error('[AudioEngine] Restoring snapshot failed:', error);
+      this.eventBus.emit('engine:error', {
+        type: 'snapshot',
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Save the current snapshot through StorageService
+   * @returns {Promise<boolean>} - Whether the snapshot was saved
+   */
+  async saveSnapshot() {
+    try {
+      const snapshot = this.getSnapshot();
+
+      // Only the timestamp changes while idle; skip identical saves
+      const json = JSON.stringify({ ...snapshot, savedAt: null });
+      if (json === this._lastSnapshotJson) {
+        return true;
+      }
+
+      const saved = await saveData(STORAGE_KEYS.ENGINE_SNAPSHOT, snapshot);
+
+      if (saved) {
+        this._lastSnapshotJson = json;
+      }
+
+      return saved;
+    } catch (error) {
+      console.error('[AudioEngine] Saving snapshot failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Restore the snapshot saved through StorageService, if there is one
+   * @returns {Promise<boolean>} - Whether a snapshot was found and fully restored
+   */
+  async loadSnapshot() {
+    const snapshot = await loadData(STORAGE_KEYS.ENGINE_SNAPSHOT);
+
+    if (!snapshot) {
+      return false;
+    }
+
+    return this.restoreSnapshot(snapshot);
+  }
+
+  /**
+   * Load a track without playing it, paused at a position
+   * @param {Object} track - { url, position, options, loopRegion } from a snapshot
+   * @returns {Promise<boolean>} - Whether the track was loaded
+   * @private
+   */
+  async _restorePausedTrack(track) {
+    const buffer = await this.bufferManager.loadAudio(track.url);
+
+    if (!buffer) {
+      throw new Error(`Failed to load audio from ${track.url}`);
+    }
+
+    this.stop();
+
+    this._currentTrack = {
+      sourceId: null,
+      url: track.url,
+      startTime: null,
+      options: { ...track.options },
+      isPaused: true,
+      pausePosition: Math.max(0, Math.min(Number(track.position) || 0, buffer.duration))
+    };
+
+    if (track.loopRegion) {
+      this.setLoopRegion(track.loopRegion.start, track.loopRegion.end);
+    }
+
+    this._syncAutomation();
+
+    this.eventBus.emit('playback:paused', {
+      sourceId: null,
+      url: track.url,
+      position: this._currentTrack.pausePosition,
+      timestamp: Date.now()
+    });
+
+    return true;
+  }
+
+  /**
+   * Restore the saved snapshot, then save periodically and when the page is hidden
+   * @private
+   */
+  async _initStatePersistence() {
+    await this.loadSnapshot();
+
+    this._snapshotTimer = setInterval(
+      () => this.saveSnapshot(),
+      Math.max(1, this._options.persistState.interval) * 1000
+    );
+
+    this._handlePageHide = () => this.saveSnapshot();
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', this._handlePageHide);
+    }
+  }
+
   /**
    * Get available output devices
    * @returns {Promise<Array>} - List of available output devices
    */
   async getOutputDevices() {
-    return this.outputManager.getDevices();
+    await this.deviceManager.initialize();
+    return this.outputManager.getAvailableDevices();
   }
 
   /**
@@ -983,7 +2925,8 @@ class AudioEngine {
    */
   async setOutputDevice(deviceId) {
     try {
-      const success = await this.outputManager.setDevice(deviceId);
+      await this.deviceManager.initialize();
+      const success = await this.outputManager.selectDevice(deviceId);
 
       if (success) {
         this.eventBus.emit('output:deviceChanged', {
@@ -1005,9 +2948,34 @@ class AudioEngine {
    */
   async dispose() {
     try {
+      // Save the session one last time, then stop saving
+      if (this._snapshotTimer) {
+        await this.saveSnapshot();
+      }
+
+      clearInterval(this._snapshotTimer);
+      this._snapshotTimer = null;
+
+      if (this._handlePageHide && typeof window !== 'undefined') {
+        window.removeEventListener('pagehide', this._handlePageHide);
+      }
+
       // Stop all playback
       this.stop();
 
+      // Remove decks and their cue outputs
+      for (const deckId of [...this._decks.keys()]) {
+        this.removeDeck(deckId);
+      }
+
+      if (this.outputManager) {
+        this.outputManager.dispose();
+      }
+
+      if (this.deviceManager) {
+        this.deviceManager.dispose();
+      }
+
       // Close the audio context
       await this.audioEngineCore.close();
 
@@ -1021,6 +2989,52 @@ class AudioEngine {
         this.sourceManager.releaseAllSources();
       }
 
+      // Dispose loudness scanner
+      if (this.loudnessScanner) {
+        this.loudnessScanner.dispose();
+      }
+
+      if (this.beatGridAnalyzer) {
+        this.beatGridAnalyzer.dispose();
+      }
+
+      if (this.beatDetector) {
+        this.beatDetector.dispose();
+      }
+
+      if (this.keyDetector) {
+        this.keyDetector.dispose();
+      }
+
+      // Dispose EQ
+      if (this.parametricEQ) {
+        this.parametricEQ.dispose();
+      }
+
+      // Dispose time stretcher
+      if (this.timeStretcher) {
+        this.timeStretcher.dispose();
+      }
+
+      // Dispose automation
+      if (this.automation) {
+        this.automation.dispose();
+      }
+
+      // Dispose live analysis
+      if (this.SignalProcessor && this.SignalProcessor.dispose) {
+        this.SignalProcessor.dispose();
+      }
+
+      // Dispose effects and cached impulse responses
+      if (this.effectsChain) {
+        this.effectsChain.dispose();
+      }
+
+      if (this.impulseResponses) {
+        this.impulseResponses.dispose();
+      }
+
       // Dispose node factory if available
       if (this.audioNodeFactory) {
         this.audioNodeFactory.dispose();
@@ -1033,8 +3047,9 @@ class AudioEngine {
 
       // Clear maps
       this._activeSourcesMap.clear();
-      this._activeEffectsMap.clear();
       this._currentTrack = null;
+      this._nextTrack = null;
+      this._loopRegion = null;
 
       // Emit disposal event
       this.eventBus.emit('engine:disposed', {
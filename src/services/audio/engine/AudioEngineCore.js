@@ -3,6 +3,7 @@
  * Core component that manages the Web Audio API's AudioContext.
  * Serves as the foundation for all audio operations in the system.
  */
+import { CHANNEL_CONFIGS } from '../constants/AudioParams';
 
 class AudioEngineCore {
   /**
@@ -61,7 +62,7 @@ class AudioEngineCore {
       mergedOptions.volume = 1.0;
     }
     
-    if (![1, 2, 4, 6].includes(mergedOptions.channels)) {
+    if (!Object.values(CHANNEL_CONFIGS).includes(mergedOptions.channels)) {
       console.warn('AudioEngineCore: Unsupported channel count. Setting to stereo (2)');
       mergedOptions.channels = 2;
     }
@@ -0,0 +1,597 @@
+/**
+ * AutomationTimeline.js
+ * Parameter automation in track time. A track's automation is a plain JSON
+ * document of lanes, each a list of breakpoints for one parameter:
+ *
+ *   { version, lanes: [{ id, param, band?, effectId?, enabled, points: [{ time, value, curve }] }] }
+ *
+ * `param` is a key of AUTOMATION.params: the track volume, the gain or
+ * frequency of an EQ band (by its position in the EQ), the cutoff of a
+ * filter effect or the wet/dry mix of a reverb effect. A point's curve is
+ * how the value travels to it from the previous point.
+ *
+ * start() turns the breakpoints into AudioParam events against the context
+ * clock from a track position, so changes land on the sample; hold() freezes
+ * the lanes at a position for pause and seek, and reset() hands the
+ * parameters back to their set values. Loop regions are unrolled a stretch
+ * at a time and topped up before they run out.
+ *
+ * The volume lane drives a gain node of the source playing the track, so an
+ * outgoing track keeps its own fade while the next one starts:
+ *
+ *   source gain -> source volume (per source) -> effects
+ */
+import { AUTOMATION } from '../constants/AudioParams';
+
+// Document format version
+const DOCUMENT_VERSION = 1;
+
+class AutomationTimeline {
+  /**
+   * Creates a new AutomationTimeline instance
+   * @param {Object} options - Configuration options
+   * @param {AudioNodeFactory} options.audioNodeFactory - Factory used to create the source volume nodes
+   * @param {ParametricEQ} [options.parametricEQ] - EQ whose bands lanes may automate
+   * @param {EffectsChain} [options.effectsChain] - Chain whose effects lanes may automate
+   * @param {Object} [options.config] - Additional configuration options
+   */
+  constructor(options = {}) {
+    if (!options.audioNodeFactory) {
+      throw new Error('AutomationTimeline requires AudioNodeFactory');
+    }
+
+    this.audioNodeFactory = options.audioNodeFactory;
+    this.audioContext = this.audioNodeFactory.audioContext;
+    this.parametricEQ = options.parametricEQ || null;
+    this.effectsChain = options.effectsChain || null;
+
+    // Default configuration
+    this.config = {
+      loopHorizon: 60,      // Seconds of looped automation scheduled ahead
+      maxLoopEvents: 1000,  // Most loop events scheduled ahead; shortens the horizon for short loops
+      releaseTail: 0.5,     // Seconds a stopped source's volume node is kept for its tail
+      ...options.config
+    };
+
+    // Volume nodes of the sources, by source ID: { node, timer }
+    this._sourceVolumes = new Map();
+
+    // Parameters under automation, by lane key: [{ param, map, name }]
+    this._targets = new Map();
+
+    // Running schedule: { lanes, rate, loop, passTime } where passTime is
+    // when the next unscheduled loop pass starts
+    this._schedule = null;
+    this._refillTimer = null;
+  }
+
+  /**
+   * Create an automation document
+   * @param {Array<Object>} [lanes] - Lanes { id?, param, band?, effectId?, enabled?, points }
+   * @returns {Object} - Document
+   */
+  static createDocument(lanes = []) {
+    return AutomationTimeline.normalizeDocument({ version: DOCUMENT_VERSION, lanes });
+  }
+
+  /**
+   * Validate a document and return a normalized deep copy
+   * Points are sorted by time and clamped to their parameter's range. A second
+   * lane for a parameter that already has one is dropped.
+   * @param {Object|string} document - Document or its JSON
+   * @returns {Object} - Document
+   */
+  static normalizeDocument(document) {
+    const source = typeof document === 'string' ? JSON.parse(document) : document;
+
+    if (!source || !Array.isArray(source.lanes)) {
+      throw new Error('Automation document must have a lanes array');
+    }
+
+    if (source.version !== undefined && source.version > DOCUMENT_VERSION) {
+      throw new Error(`Unsupported automation document version: ${source.version}`);
+    }
+
+    const ids = new Set();
+    const keys = new Set();
+    const lanes = [];
+
+    source.lanes.forEach((lane, index) => {
+      const normalized = AutomationTimeline.normalizeLane(lane, `lane_${index + 1}`);
+      const key = AutomationTimeline.getLaneKey(normalized);
+
+      if (keys.has(key)) return;
+      keys.add(key);
+
+      while (ids.has(normalized.id)) {
+        normalized.id = `${normalized.id}_`;
+      }
+      ids.add(normalized.id);
+
+      lanes.push(normalized);
+    });
+
+    return { version: DOCUMENT_VERSION, lanes };
+  }
+
+  /**
+   * Validate a lane and return a normalized copy
+   * @param {Object} lane - { id?, param, band?, effectId?, enabled?, points }
+   * @param {string} [fallbackId] - ID used when the lane has none
+   * @returns {Object} - Lane
+   */
+  static normalizeLane(lane, fallbackId = `lane_${Date.now()}`) {
+    const definition = AUTOMATION.params[lane?.param];
+
+    if (!definition) {
+      throw new Error(`Unknown automation parameter: ${lane?.param}`);
+    }
+
+    const normalized = {
+      id: lane.id ? String(lane.id) : fallbackId,
+      param: lane.param,
+      enabled: lane.enabled !== false,
+      points: []
+    };
+
+    if (definition.targets.includes('effectId') && lane.effectId) {
+      normalized.effectId = String(lane.effectId);
+    } else if (definition.targets.includes('band') && Number.isInteger(lane.band) && lane.band >= 0) {
+      normalized.band = lane.band;
+    } else if (definition.targets.length > 0) {
+      throw new Error(`Automation of ${lane.param} needs a ${definition.targets.join(' or ')}`);
+    }
+
+    for (const point of Array.isArray(lane.points) ? lane.points : []) {
+      const time = Number(point?.time);
+      const value = Number(point?.value);
+
+      if (!Number.isFinite(time) || !Number.isFinite(value)) continue;
+
+      normalized.points.push({
+        time: Math.max(0, time),
+        value: Math.max(definition.min, Math.min(definition.max, value)),
+        curve: AUTOMATION.curves.includes(point.curve) ? point.curve : 'linear'
+      });
+    }
+
+    // Stable sort keeps same-time points in order, for instant jumps
+    normalized.points.sort((a, b) => a.time - b.time);
+
+    return normalized;
+  }
+
+  /**
+   * Key of the parameter a lane drives
+   * @param {Object} lane - Lane
+   * @returns {string} - Key shared by lanes on the same parameter
+   */
+  static getLaneKey(lane) {
+    return [lane.param, lane.band ?? '', lane.effectId ?? ''].join('|');
+  }
+
+  /**
+   * Value of a lane at a track position
+   * @param {Object} lane - Normalized lane
+   * @param {number} position - Track position in seconds
+   * @returns {number|null} - Value, or null for a lane without points
+   */
+  static valueAt(lane, position) {
+    const { points } = lane;
+
+    if (points.length === 0) return null;
+    if (position < points[0].time) return points[0].value;
+
+    // Last point at or before the position
+    let index = points.length - 1;
+    while (index > 0 && points[index].time > position) {
+      index--;
+    }
+
+    const from = points[index];
+    const to = points[index + 1];
+
+    if (!to || to.curve === 'step' || to.time === from.time) {
+      return from.value;
+    }
+
+    const progress = (position - from.time) / (to.time - from.time);
+
+    if (to.curve === 'exponential' && from.value > 0 && to.value > 0) {
+      return from.value * Math.pow(to.value / from.value, progress);
+    }
+
+    return from.value + (to.value - from.value) * progress;
+  }
+
+  /**
+   * Build a volume lane that fades a track in and out
+   * @param {number} duration - Track duration in seconds
+   * @param {number} [fadeIn=0] - Fade-in length in seconds
+   * @param {number} [fadeOut=0] - Fade-out length in seconds
+   * @returns {Object} - Lane
+   */
+  static createFadeLane(duration, fadeIn = 0, fadeOut = 0) {
+    const inEnd = Math.max(0, Math.min(duration, fadeIn));
+    const outStart = Math.max(inEnd, duration - Math.max(0, fadeOut));
+    const points = [];
+
+    if (inEnd > 0) {
+      points.push({ time: 0, value: 0 }, { time: inEnd, value: 1, curve: 'linear' });
+    } else {
+      points.push({ time: 0, value: 1 });
+    }
+
+    if (outStart < duration) {
+      points.push(
+        { time: outStart, value: 1, curve: 'linear' },
+        { time: duration, value: 0, curve: 'linear' }
+      );
+    }
+
+    return AutomationTimeline.normalizeLane({ id: 'fades', param: 'volume', points });
+  }
+
+  /**
+   * Create the volume node of a source; the source's output is routed
+   * through it so its volume lane does not touch other sources
+   * @param {string} sourceId - Source ID
+   * @returns {GainNode} - Volume node
+   */
+  createSourceVolume(sourceId) {
+    const node = this.audioNodeFactory.createNode('gain', { gain: 1.0 });
+    this._sourceVolumes.set(sourceId, { node, timer: null });
+
+    return node;
+  }
+
+  /**
+   * Disconnect the volume node of a source once it has fallen silent
+   * @param {string} sourceId - Source ID
+   * @param {number} [time] - AudioContext time the source stops at; now when omitted
+   */
+  releaseSourceVolume(sourceId, time = this.audioContext.currentTime) {
+    const entry = this._sourceVolumes.get(sourceId);
+    if (!entry) return;
+
+    // Let a fade-out or a draining stretch node finish first
+    const delay = Math.max(0, time - this.audioContext.currentTime) + this.config.releaseTail;
+
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      entry.node.disconnect();
+      this._sourceVolumes.delete(sourceId);
+    }, delay * 1000);
+  }
+
+  /**
+   * Check whether a schedule is running
+   * @returns {boolean} - Running state
+   */
+  isRunning() {
+    return this._schedule !== null;
+  }
+
+  /**
+   * Schedule a document from a track position. Events before `time` are
+   * kept, so a track can take over where the previous one is still playing.
+   * @param {Object} document - Normalized document
+   * @param {number} position - Track position at `time`, in seconds
+   * @param {number} time - AudioContext time the position is heard at
+   * @param {Object} [options] - Playback timing
+   * @param {number} [options.rate=1] - Track seconds per context second
+   * @param {Object} [options.loop] - Looped region { start, end } in track time
+   * @param {string} [options.sourceId] - Source playing the track, whose volume node the volume lane drives
+   */
+  start(document, position, time, options = {}) {
+    this._clearRefill();
+
+    const rate = options.rate > 0 ? options.rate : 1;
+    const loop = options.loop && options.loop.end > options.loop.start && position < options.loop.end ?
+      { start: options.loop.start, end: options.loop.end } : null;
+
+    const lanes = this._bind(document, time, options.sourceId);
+
+    for (const { lane, targets } of lanes) {
+      for (const target of targets) {
+        this._cancel(target.param, time);
+      }
+
+      this._scheduleSpan(lane, targets, position, loop ? loop.end : Infinity, time, rate);
+    }
+
+    this._schedule = {
+      lanes,
+      rate,
+      loop,
+      passTime: loop ? time + (loop.end - position) / rate : Infinity
+    };
+
+    this._refill();
+  }
+
+  /**
+   * Stop the schedule and set the lanes to their values at a position
+   * @param {Object|null} document - Normalized document; null releases every lane
+   * @param {number} position - Track position in seconds
+   * @param {string} [sourceId] - Source playing the track
+   */
+  hold(document, position, sourceId) {
+    this._clearRefill();
+    this._schedule = null;
+
+    const now = this.audioContext.currentTime;
+
+    for (const { lane, targets } of this._bind(document, now, sourceId)) {
+      const value = AutomationTimeline.valueAt(lane, position);
+
+      for (const target of targets) {
+        this._cancel(target.param, now);
+        target.param.setValueAtTime(target.map(value), now);
+      }
+    }
+  }
+
+  /**
+   * Stop the schedule and return every automated parameter to its set value
+   */
+  reset() {
+    this.hold(null, 0);
+  }
+
+  /**
+   * Resolve a document's lanes to AudioParams, releasing parameters it no longer drives
+   * @private
+   * @param {Object|null} document - Normalized document
+   * @param {number} time - AudioContext time released parameters return at
+   * @param {string} [sourceId] - Source the volume lane drives
+   * @returns {Array<Object>} - [{ lane, targets }] for lanes with points and live targets
+   */
+  _bind(document, time, sourceId) {
+    const lanes = [];
+    const targets = new Map();
+
+    for (const lane of document ? document.lanes : []) {
+      if (!lane.enabled || lane.points.length === 0) continue;
+
+      const resolved = this._resolve(lane, sourceId);
+      if (resolved.length === 0) continue;
+
+      targets.set(this._getTargetKey(lane, sourceId), resolved);
+      lanes.push({ lane, targets: resolved });
+    }
+
+    // Parameters no lane drives any more go back to their set values
+    for (const [key, previous] of this._targets) {
+      // Another source's volume follows its own track's lanes
+      const owner = previous[0]?.sourceId;
+      if (sourceId !== undefined && owner !== undefined && owner !== sourceId) {
+        if (this._sourceVolumes.has(owner)) {
+          targets.set(key, previous);
+        }
+        continue;
+      }
+
+      for (const target of previous) {
+        const current = targets.get(key);
+        if (current && current.some(item => item.param === target.param)) continue;
+
+        this._cancel(target.param, time);
+        target.param.setValueAtTime(this._baseValue(key, target), time);
+      }
+    }
+
+    this._targets = targets;
+    return lanes;
+  }
+
+  /**
+   * Key of the parameters a lane drives; volume lanes are per source
+   * @private
+   * @param {Object} lane - Normalized lane
+   * @param {string} [sourceId] - Source the volume lane drives
+   * @returns {string} - Target key
+   */
+  _getTargetKey(lane, sourceId) {
+    const key = AutomationTimeline.getLaneKey(lane);
+    return lane.param === 'volume' ? `${key}${sourceId}` : key;
+  }
+
+  /**
+   * AudioParams a lane drives, with the mapping from lane value to param value
+   * @private
+   * @param {Object} lane - Normalized lane
+   * @param {string} [sourceId] - Source the volume lane drives
+   * @returns {Array<Object>} - [{ param, map, name, sourceId? }], empty when the target is missing
+   */
+  _resolve(lane, sourceId) {
+    const same = value => value;
+
+    switch (lane.param) {
+      case 'volume': {
+        const volume = this._sourceVolumes.get(sourceId);
+        return volume ? [{ param: volume.node.gain, map: same, name: 'gain', sourceId }] : [];
+      }
+
+      case 'eq-gain': {
+        const target = this.parametricEQ?.getBandParam(lane.band, 'gain');
+        return target ? [{ param: target.param, map: same, name: 'gain' }] : [];
+      }
+
+      case 'filter-cutoff': {
+        const target = lane.effectId ?
+          this.effectsChain?.getEffectParam(lane.effectId, 'frequency') :
+          this.parametricEQ?.getBandParam(lane.band, 'frequency');
+        return target ? [{ param: target.param, map: same, name: 'frequency' }] : [];
+      }
+
+      case 'effect-mix': {
+        const wet = this.effectsChain?.getEffectParam(lane.effectId, 'wet');
+        const dry = this.effectsChain?.getEffectParam(lane.effectId, 'dry');
+        return wet && dry ? [
+          { param: wet.param, map: same, name: 'wet' },
+          { param: dry.param, map: value => 1 - value, name: 'dry' }
+        ] : [];
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Value a parameter is set to outside automation
+   * @private
+   * @param {string} key - Lane key
+   * @param {Object} target - Resolved target
+   * @returns {number} - Set value
+   */
+  _baseValue(key, target) {
+    const [param, band, effectId] = key.split('|');
+    let current = null;
+
+    if (param === 'volume') {
+      return 1;
+    }
+
+    if (effectId) {
+      current = this.effectsChain?.getEffectParam(effectId, target.name);
+    } else if (band !== '') {
+      current = this.parametricEQ?.getBandParam(Number(band), target.name);
+    }
+
+    return current ? current.value : target.param.defaultValue;
+  }
+
+  /**
+   * Schedule a lane between two track positions
+   * @private
+   * @param {Object} lane - Normalized lane
+   * @param {Array<Object>} targets - Resolved targets
+   * @param {number} from - Track position the span starts at
+   * @param {number} to - Track position the span ends at; Infinity for the track end
+   * @param {number} time - AudioContext time of `from`
+   * @param {number} rate - Track seconds per context second
+   */
+  _scheduleSpan(lane, targets, from, to, time, rate) {
+    const toTime = position => time + (position - from) / rate;
+    let previous = AutomationTimeline.valueAt(lane, from);
+
+    for (const target of targets) {
+      target.param.setValueAtTime(target.map(previous), time);
+    }
+
+    for (const point of lane.points) {
+      if (point.time <= from) continue;
+
+      if (point.time > to) {
+        // Cut the ramp that crosses the span end at its value there
+        const value = AutomationTimeline.valueAt(lane, to);
+        this._ramp(targets, point.curve, previous, value, toTime(to));
+        break;
+      }
+
+      this._ramp(targets, point.curve, previous, point.value, toTime(point.time));
+      previous = point.value;
+    }
+  }
+
+  /**
+   * Move targets to a value by a context time along a curve
+   * @private
+   * @param {Array<Object>} targets - Resolved targets
+   * @param {string} curve - 'linear', 'exponential' or 'step'
+   * @param {number} from - Lane value the ramp starts at
+   * @param {number} to - Lane value the ramp ends at
+   * @param {number} time - AudioContext time the ramp ends at
+   */
+  _ramp(targets, curve, from, to, time) {
+    for (const { param, map } of targets) {
+      const start = map(from);
+      const end = map(to);
+
+      if (curve === 'step') {
+        param.setValueAtTime(end, time);
+      } else if (curve === 'exponential' && start > 0 && end > 0) {
+        param.exponentialRampToValueAtTime(end, time);
+      } else {
+        param.linearRampToValueAtTime(end, time);
+      }
+    }
+  }
+
+  /**
+   * Schedule loop passes up to the horizon and set a timer to add more
+   * @private
+   */
+  _refill() {
+    const schedule = this._schedule;
+    if (!schedule || !schedule.loop) return;
+
+    const { lanes, rate, loop } = schedule;
+    const passLength = (loop.end - loop.start) / rate;
+
+    // Events per pass: the points inside the loop plus the value set at its
+    // start and the ramp cut at its end. Short loops reach the event cap
+    // well before the horizon.
+    const passEvents = lanes.reduce((count, { lane, targets }) => {
+      const points = lane.points.filter(point => point.time > loop.start && point.time <= loop.end).length;
+      return count + targets.length * (points + 2);
+    }, 0);
+    const passes = Math.max(1, Math.floor(this.config.maxLoopEvents / Math.max(1, passEvents)));
+    const lookahead = Math.min(this.config.loopHorizon, passes * passLength);
+    const horizon = this.audioContext.currentTime + lookahead;
+
+    while (schedule.passTime < horizon) {
+      for (const { lane, targets } of lanes) {
+        this._scheduleSpan(lane, targets, loop.start, loop.end, schedule.passTime, rate);
+      }
+
+      schedule.passTime += passLength;
+    }
+
+    // Top up while half the lookahead is still scheduled
+    const delay = Math.max(0, schedule.passTime - this.audioContext.currentTime - lookahead / 2);
+    this._refillTimer = setTimeout(() => this._refill(), delay * 1000);
+  }
+
+  /**
+   * Stop topping up loop passes
+   * @private
+   */
+  _clearRefill() {
+    clearTimeout(this._refillTimer);
+    this._refillTimer = null;
+  }
+
+  /**
+   * Drop events from a time on, holding the value the param has there
+   * @private
+   * @param {AudioParam} param - Parameter
+   * @param {number} time - AudioContext time
+   */
+  _cancel(param, time) {
+    if (typeof param.cancelAndHoldAtTime === 'function') {
+      param.cancelAndHoldAtTime(time);
+    } else {
+      param.cancelScheduledValues(time);
+    }
+  }
+
+  /**
+   * Clean up and dispose of resources
+   */
+  dispose() {
+    this._clearRefill();
+    this._schedule = null;
+    this._targets.clear();
+
+    for (const { node, timer } of this._sourceVolumes.values()) {
+      clearTimeout(timer);
+      node.disconnect();
+    }
+    this._sourceVolumes.clear();
+  }
+}
+
+export default AutomationTimeline;
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import AutomationTimeline from './AutomationTimeline';
+
+const lane = (points) => AutomationTimeline.normalizeLane({ param: 'volume', points }, 'test');
+
+describe('AutomationTimeline.valueAt', () => {
+  it('holds the first and last values outside the points', () => {
+    const volume = lane([{ time: 1, value: 0.2 }, { time: 3, value: 0.8 }]);
+
+    expect(AutomationTimeline.valueAt(volume, 0)).toBe(0.2);
+    expect(AutomationTimeline.valueAt(volume, 10)).toBe(0.8);
+  });
+
+  it('follows the curve of the point it travels to', () => {
+    const volume = lane([
+      { time: 0, value: 0.25 },
+      { time: 2, value: 0.75 },
+      { time: 4, value: 0.25, curve: 'step' },
+      { time: 6, value: 1, curve: 'exponential' }
+    ]);
+
+    expect(AutomationTimeline.valueAt(volume, 1)).toBeCloseTo(0.5, 9);
+    expect(AutomationTimeline.valueAt(volume, 3.9)).toBe(0.75);
+    expect(AutomationTimeline.valueAt(volume, 4)).toBe(0.25);
+    expect(AutomationTimeline.valueAt(volume, 5)).toBeCloseTo(0.5, 9);
+  });
+
+  it('ramps an exponential curve linearly when it touches zero', () => {
+    const volume = lane([{ time: 0, value: 0 }, { time: 2, value: 1, curve: 'exponential' }]);
+
+    expect(AutomationTimeline.valueAt(volume, 1)).toBeCloseTo(0.5, 9);
+  });
+
+  it('jumps at points that share a time', () => {
+    const volume = lane([{ time: 0, value: 1 }, { time: 2, value: 1 }, { time: 2, value: 0 }]);
+
+    expect(AutomationTimeline.valueAt(volume, 1.999)).toBeCloseTo(1, 9);
+    expect(AutomationTimeline.valueAt(volume, 2)).toBe(0);
+  });
+
+  it('returns null for a lane without points', () => {
+    expect(AutomationTimeline.valueAt(lane([]), 1)).toBeNull();
+  });
+});
+
+describe('AutomationTimeline.normalizeDocument', () => {
+  it('sorts and clamps points and drops invalid ones', () => {
+    const document = AutomationTimeline.normalizeDocument(JSON.stringify({
+      lanes: [{
+        param: 'volume',
+        points: [
+          { time: 4, value: 2, curve: 'bezier' },
+          { time: -1, value: 0.5, curve: 'step' },
+          { time: 'soon', value: 1 }
+        ]
+      }]
+    }));
+
+    expect(document).toEqual({
+      version: 1,
+      lanes: [{
+        id: 'lane_1',
+        param: 'volume',
+        enabled: true,
+        points: [
+          { time: 0, value: 0.5, curve: 'step' },
+          { time: 4, value: 1, curve: 'linear' }
+        ]
+      }]
+    });
+  });
+
+  it('keeps one lane per parameter and makes lane IDs unique', () => {
+    const document = AutomationTimeline.normalizeDocument({
+      lanes: [
+        { id: 'a', param: 'eq-gain', band: 0, points: [] },
+        { id: 'a', param: 'eq-gain', band: 1, points: [] },
+        { id: 'b', param: 'eq-gain', band: 0, points: [] },
+        { id: 'c', param: 'effect-mix', effectId: 'reverb_1', enabled: false, points: [] }
+      ]
+    });
+
+    expect(document.lanes.map(({ id, band, effectId, enabled }) => ({ id, band, effectId, enabled }))).toEqual([
+      { id: 'a', band: 0, effectId: undefined, enabled: true },
+      { id: 'a_', band: 1, effectId: undefined, enabled: true },
+      { id: 'c', band: undefined, effectId: 'reverb_1', enabled: false }
+    ]);
+  });
+
+  it('rejects malformed documents and lanes', () => {
+    expect(() => AutomationTimeline.normalizeDocument({})).toThrow('Automation document must have a lanes array');
+    expect(() => AutomationTimeline.normalizeDocument({ version: 2, lanes: [] }))
+      .toThrow('Unsupported automation document version: 2');
+    expect(() => AutomationTimeline.normalizeDocument({ lanes: [{ param: 'pan', points: [] }] }))
+      .toThrow('Unknown automation parameter: pan');
+    expect(() => AutomationTimeline.normalizeDocument({ lanes: [{ param: 'effect-mix', points: [] }] }))
+      .toThrow('Automation of effect-mix needs a effectId');
+  });
+});
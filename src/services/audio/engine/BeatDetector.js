@@ -59,7 +59,9 @@ class BeatDetector {
       beatPhase: 0,
       beatCount: 0,
       predictedBeats: [],
-      detectionInterval: null
+      detectionInterval: null,
+      // Stored beat grid: { bpm, beats, offset, rate }
+      grid: null
     };
     
     // Initialize detector
@@ -110,7 +112,7 @@ class BeatDetector {
     if (!this.EventBus) return;
     
     // Listen for SignalProcessor updates
-    this.EventBus.on('analysis:updated', (data) => {
+    this._unsubscribeAnalysis = this.EventBus.on('analysis:updated', () => {
       if (this.state.isDetecting) {
         this.detectBeat();
       }
@@ -368,8 +370,8 @@ class BeatDetector {
     // Calculate interval since last beat
     const interval = now - this.state.lastBeatTime;
     
-    // Update last beat time
-    this.state.lastBeatTime = now;
+    // Update last beat time, on the grid when there is one
+    this.state.lastBeatTime = this.state.grid ? this._nearestGridBeat(now) : now;
     this.state.beatCount++;
     
     // Record interval in history (if within reasonable range)
@@ -419,6 +421,11 @@ class BeatDetector {
    * @private
    */
   _updateTempoEstimate() {
+    // A seeded grid already knows the tempo
+    if (this.state.grid) {
+      return;
+    }
+    
     // Need at least a few intervals for reliable tempo estimation
     if (this.state.intervalHistory.length < 3) {
       return;
@@ -495,6 +502,12 @@ class BeatDetector {
    * @private
    */
   _predictNextBeats() {
+    // Take upcoming beats straight from a seeded grid
+    if (this.state.grid) {
+      this.state.predictedBeats = this._predictGridBeats(8);
+      return;
+    }
+    
     // Need tempo information to predict beats
     if (this.state.currentTempo <= 0) {
       this.state.predictedBeats = [];
@@ -528,6 +541,19 @@ class BeatDetector {
    * @param {number} now - Current time
    */
   _updateBeatPhase(now) {
+    // Phase between the surrounding grid beats
+    if (this.state.grid) {
+      const index = this._gridIndexAt(now);
+      const { beats } = this.state.grid;
+      
+      if (index >= 0 && index < beats.length - 1) {
+        const start = this._gridBeatTime(index);
+        const end = this._gridBeatTime(index + 1);
+        this.state.beatPhase = (now - start) / (end - start);
+      }
+      return;
+    }
+    
     // Skip if no tempo information
     if (this.state.currentTempo <= 0 || this.state.lastBeatTime === 0) {
       return;
@@ -543,6 +569,151 @@ class BeatDetector {
     this.state.beatPhase = (timeSinceLastBeat % beatDuration) / beatDuration;
   }
 
+  /**
+   * Seed detection with a track's stored beat grid, so tempo and phase are
+   * known from the start instead of settling over the first beats. Call
+   * again after a seek or tempo change.
+   * @param {Object} grid - { bpm, beats } with beat times in track seconds
+   * @param {Object} [timing] - How the track maps to the context clock
+   * @param {number} [timing.position=0] - Track position heard at `time`
+   * @param {number} [timing.time] - AudioContext time, defaults to now
+   * @param {number} [timing.rate=1] - Track seconds per context second
+   * @param {number} [timing.confidence=1] - Confidence in the grid (0-1)
+   * @returns {boolean} Success status
+   */
+  seedGrid(grid, timing = {}) {
+    if (!grid || !(grid.bpm > 0) || !Array.isArray(grid.beats) || grid.beats.length < 2) {
+      return false;
+    }
+    
+    const rate = timing.rate > 0 ? timing.rate : 1;
+    const time = Number.isFinite(timing.time) ? timing.time : this.audioContext.currentTime;
+    const position = Number.isFinite(timing.position) ? timing.position : 0;
+    
+    this.state.grid = {
+      bpm: grid.bpm,
+      beats: [...grid.beats].sort((a, b) => a - b),
+      // Context time of track position 0
+      offset: time - position / rate,
+      rate
+    };
+    
+    // Tempo as heard, with the interval history matching it
+    const interval = 60 / (grid.bpm * rate);
+    this.state.currentTempo = grid.bpm * rate;
+    this.state.intervalHistory = new Array(4).fill(interval);
+    this.state.beatConfidence = Math.max(0, Math.min(1, timing.confidence ?? 1));
+    
+    // Phase from the last grid beat already heard
+    const now = this.audioContext.currentTime;
+    const index = this._gridIndexAt(now);
+    this.state.beatCount = Math.max(0, index + 1);
+    this.state.lastBeatTime = index >= 0 ? this._gridBeatTime(index) : 0;
+    
+    this._updateBeatPhase(now);
+    this._predictNextBeats();
+    
+    this._emitEvent('beat:grid-seeded', {
+      bpm: grid.bpm,
+      tempo: this.state.currentTempo,
+      beatCount: grid.beats.length
+    });
+    
+    return true;
+  }
+
+  /**
+   * Drop the seeded grid and go back to estimating tempo from detected beats
+   */
+  clearGrid() {
+    if (!this.state.grid) return;
+    
+    this.state.grid = null;
+    this.state.predictedBeats = [];
+    
+    this._emitEvent('beat:grid-cleared', {
+      time: this.audioContext.currentTime
+    });
+  }
+
+  /**
+   * Context time of a grid beat
+   * @private
+   * @param {number} index - Beat index
+   * @returns {number} Time in seconds
+   */
+  _gridBeatTime(index) {
+    const { beats, offset, rate } = this.state.grid;
+    return offset + beats[index] / rate;
+  }
+
+  /**
+   * Index of the last grid beat at or before a context time
+   * @private
+   * @param {number} time - Context time
+   * @returns {number} Beat index, -1 before the first beat
+   */
+  _gridIndexAt(time) {
+    const { beats, offset, rate } = this.state.grid;
+    const position = (time - offset) * rate;
+    let low = 0;
+    let high = beats.length - 1;
+    let index = -1;
+    
+    // Binary search over the sorted beats
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (beats[middle] <= position) {
+        index = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    
+    return index;
+  }
+
+  /**
+   * Context time of the grid beat closest to a time
+   * @private
+   * @param {number} time - Context time
+   * @returns {number} Beat time, or the given time off the grid's ends
+   */
+  _nearestGridBeat(time) {
+    const index = this._gridIndexAt(time);
+    const count = this.state.grid.beats.length;
+    
+    if (index < 0 || index >= count - 1) {
+      return time;
+    }
+    
+    const before = this._gridBeatTime(index);
+    const after = this._gridBeatTime(index + 1);
+    return time - before <= after - time ? before : after;
+  }
+
+  /**
+   * Upcoming beats from the grid
+   * @private
+   * @param {number} count - Number of beats
+   * @returns {Array} Predicted beats
+   */
+  _predictGridBeats(count) {
+    const index = this._gridIndexAt(this.audioContext.currentTime);
+    const predictions = [];
+    
+    for (let i = index + 1; i < this.state.grid.beats.length && predictions.length < count; i++) {
+      predictions.push({
+        beatNumber: i + 1,
+        time: this._gridBeatTime(i),
+        confidence: this.state.beatConfidence
+      });
+    }
+    
+    return predictions;
+  }
+
   /**
    * Analyze frequency bands from raw frequency data
    * Used as a fallback if SignalProcessor doesn't provide band data
@@ -786,6 +957,11 @@ class BeatDetector {
    * @returns {Array} Predicted beats
    */
   getPredictedBeats(count = 4) {
+    // The grid is known ahead, so it is read fresh
+    if (this.state.grid) {
+      return this._predictGridBeats(count);
+    }
+    
     return this.state.predictedBeats.slice(0, count);
   }
 
@@ -831,6 +1007,8 @@ class BeatDetector {
     this.state.currentTempo = 0;
     this.state.beatPhase = 0;
     this.state.beatCount = 0;
+    this.state.grid = null;
+    this.state.predictedBeats = [];
     
     // Spectral flux detection reset
     this._prevFrequencyData = null;
@@ -891,8 +1069,9 @@ class BeatDetector {
     this.stopDetection();
     
     // Remove event listeners
-    if (this.EventBus) {
-      this.EventBus.off('analysis:updated');
+    if (typeof this._unsubscribeAnalysis === 'function') {
+      this._unsubscribeAnalysis();
+      this._unsubscribeAnalysis = null;
     }
     
     this._emitEvent('beat:disposed', {
@@ -0,0 +1,506 @@
+/**
+ * BeatGridAnalyzer.js
+ * Offline tempo and beat grid analysis of whole decoded tracks. A
+ * log-compressed spectral flux onset envelope is taken from a mono mixdown;
+ * its autocorrelation, weighted toward moderate tempos, gives a coarse tempo
+ * that is refined against the periodicity of the entire track. Beats are
+ * then placed by dynamic programming (Ellis, 2007), which aligns the grid's
+ * phase to the onsets and lets it follow small tempo drift.
+ */
+import AudioUtils from '../utils/AudioHelpers';
+
+class BeatGridAnalyzer {
+  /**
+   * Creates a new BeatGridAnalyzer instance
+   * @param {Object} options - Configuration options
+   * @param {BufferManager} [options.bufferManager] - Used to decode tracks given by URL
+   * @param {EventBus} [options.EventBus] - Reference to EventBus
+   * @param {Object} [options.config] - Additional configuration options
+   */
+  constructor(options = {}) {
+    this.bufferManager = options.bufferManager || null;
+    this.EventBus = options.EventBus || null;
+
+    // Default configuration
+    this.config = {
+      analysisRate: 11025, // Hz the mixdown is decimated to
+      frameSize: 512,      // Onset analysis window in samples
+      hopSize: 128,        // Samples between onset frames
+      minTempo: 70,        // BPM; tempos outside the range are folded by octaves
+      maxTempo: 180,       // BPM
+      preferredTempo: 120, // BPM the tempo search is centered on
+      tightness: 100,      // How strongly beats keep to the tempo
+      ...options.config
+    };
+
+    // Periodic Hann window for the frame size
+    this._window = this._createWindow(this.config.frameSize);
+  }
+
+  /**
+   * Analyze a single track
+   * @param {string|AudioBuffer} source - Track URL or decoded buffer
+   * @returns {Promise<Object>} - { bpm, beats, confidence, duration }
+   */
+  async analyzeTrack(source) {
+    try {
+      const buffer = await AudioUtils.loadAnalysisBuffer(source, this.bufferManager, 'BeatGridAnalyzer');
+      const result = await this.analyzeBuffer(buffer);
+
+      AudioUtils.emitEvent(this.EventBus, 'beatgrid:analyzed', {
+        url: typeof source === 'string' ? source : null,
+        bpm: result.bpm,
+        beatCount: result.beats.length,
+        confidence: result.confidence
+      }, 'BeatGridAnalyzer');
+
+      return result;
+    } catch (error) {
+      console.error('[BeatGridAnalyzer] Track analysis failed:', error);
+      AudioUtils.emitEvent(this.EventBus, 'beatgrid:error', {
+        url: typeof source === 'string' ? source : null,
+        error: error.message
+      }, 'BeatGridAnalyzer');
+      throw error;
+    }
+  }
+
+  /**
+   * Analyze a decoded buffer
+   * The work is split into time slices so the page stays responsive.
+   * @param {AudioBuffer} buffer - Decoded audio
+   * @returns {Promise<Object>} - { bpm, beats, confidence, duration }; bpm is null
+   *   and beats empty when no pulse is found
+   */
+  async analyzeBuffer(buffer) {
+    if (!buffer || !buffer.length) {
+      throw new Error('Valid AudioBuffer required');
+    }
+
+    const yieldSlice = AudioUtils.createYielder();
+    const { samples, rate } = AudioUtils.mixDownForAnalysis(buffer, this.config.analysisRate);
+    const envelope = await this._onsetEnvelope(samples, yieldSlice);
+    const frameRate = rate / this.config.hopSize;
+
+    // Log compression peaks the flux about a quarter window before an attack reaches the frame center
+    const onsetDelay = this.config.frameSize / 4 / rate;
+
+    const result = {
+      bpm: null,
+      beats: [],
+      confidence: 0,
+      duration: buffer.duration
+    };
+
+    const coarse = await this._estimateTempo(envelope, frameRate, yieldSlice);
+    if (!coarse) {
+      return result;
+    }
+
+    const { bpm, confidence } = await this._refineTempo(envelope, frameRate, coarse, yieldSlice);
+    const period = frameRate * 60 / bpm;
+
+    result.bpm = Math.round(bpm * 100) / 100;
+    result.confidence = Math.round(confidence * 1000) / 1000;
+    result.beats = (await this._trackBeats(envelope, period, yieldSlice)).map(frame =>
+      Math.round((frame / frameRate + onsetDelay) * 1000) / 1000
+    );
+
+    return result;
+  }
+
+
+  /**
+   * Half-wave rectified spectral flux of log-compressed magnitudes, one
+   * value per hop, with frames centered on their hop position
+   * @private
+   * @param {Float32Array} samples - Mono samples at the analysis rate
+   * @param {Function} yieldSlice - Yields to the page between time slices
+   * @returns {Promise<Float32Array>} - Onset envelope
+   */
+  async _onsetEnvelope(samples, yieldSlice) {
+    const { frameSize, hopSize } = this.config;
+    const bins = frameSize / 2 + 1;
+    const frameCount = Math.floor(samples.length / hopSize) + 1;
+    const envelope = new Float32Array(frameCount);
+
+    const real = new Float64Array(frameSize);
+    const imag = new Float64Array(frameSize);
+    let previous = new Float32Array(bins);
+    let current = new Float32Array(bins);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      await yieldSlice();
+
+      const start = frame * hopSize - frameSize / 2;
+
+      for (let k = 0; k < frameSize; k++) {
+        const index = start + k;
+        real[k] = index >= 0 && index < samples.length ? samples[index] * this._window[k] : 0;
+        imag[k] = 0;
+      }
+
+      AudioUtils.fft(real, imag);
+
+      let flux = 0;
+      for (let k = 0; k < bins; k++) {
+        current[k] = Math.log1p(100 * Math.sqrt(real[k] * real[k] + imag[k] * imag[k]));
+
+        if (frame > 0 && current[k] > previous[k]) {
+          flux += current[k] - previous[k];
+        }
+      }
+
+      envelope[frame] = flux;
+      [previous, current] = [current, previous];
+    }
+
+    return envelope;
+  }
+
+  /**
+   * Coarse tempo from the onset envelope's autocorrelation, weighted by a
+   * log-normal prior so octave errors favor the preferred tempo
+   * @private
+   * @param {Float32Array} envelope - Onset envelope
+   * @param {number} frameRate - Envelope frames per second
+   * @param {Function} yieldSlice - Yields to the page between time slices
+   * @returns {Promise<number|null>} - Tempo in BPM, folded into the tempo range, or null if silent
+   */
+  async _estimateTempo(envelope, frameRate, yieldSlice) {
+    const minLag = Math.max(1, Math.floor(frameRate * 60 / (this.config.maxTempo * 2)));
+    const maxLag = Math.ceil(frameRate * 60 / (this.config.minTempo / 2));
+
+    if (envelope.length <= maxLag * 2) {
+      return null;
+    }
+
+    const mean = this._mean(envelope);
+    const centered = envelope.map(value => value - mean);
+
+    let bestLag = 0;
+    let bestScore = 0;
+    const scores = new Float64Array(maxLag + 2);
+
+    for (let lag = minLag; lag <= maxLag + 1; lag++) {
+      await yieldSlice();
+
+      let sum = 0;
+      for (let n = 0; n + lag < centered.length; n++) {
+        sum += centered[n] * centered[n + lag];
+      }
+      scores[lag] = sum / (centered.length - lag);
+    }
+
+    for (let lag = minLag + 1; lag <= maxLag; lag++) {
+      const octaves = Math.log2((frameRate * 60 / lag) / this.config.preferredTempo);
+      const score = scores[lag] * Math.exp(-0.5 * octaves * octaves);
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+
+    if (bestLag === 0) {
+      return null;
+    }
+
+    // Parabolic interpolation between lags
+    const a = scores[bestLag - 1];
+    const b = scores[bestLag];
+    const c = scores[bestLag + 1];
+    const denominator = a - 2 * b + c;
+    const lag = denominator < 0 ? bestLag + 0.5 * (a - c) / denominator : bestLag;
+
+    return this._foldTempo(frameRate * 60 / lag);
+  }
+
+  /**
+   * Refine a tempo to where the whole track's onsets are most periodic
+   * @private
+   * @param {Float32Array} envelope - Onset envelope
+   * @param {number} frameRate - Envelope frames per second
+   * @param {number} estimate - Coarse tempo in BPM
+   * @param {Function} yieldSlice - Yields to the page between time slices
+   * @returns {Promise<Object>} - { bpm, confidence } with confidence the share of
+   *   onset strength that follows the tempo (0-1)
+   */
+  async _refineTempo(envelope, frameRate, estimate, yieldSlice) {
+    let total = 0;
+    for (let n = 0; n < envelope.length; n++) {
+      total += envelope[n];
+    }
+
+    // Coarse steps across the estimate's uncertainty, then fine steps around the best
+    let bpm = await this._searchTempo(envelope, frameRate, estimate * 0.97, estimate * 1.03, 0.05, yieldSlice);
+    bpm = await this._searchTempo(envelope, frameRate, bpm - 0.05, bpm + 0.05, 0.005, yieldSlice);
+
+    const confidence = total > 0 ?
+      Math.min(1, 2 * this._periodicity(envelope, bpm / 60 / frameRate) / total) :
+      0;
+
+    return { bpm, confidence };
+  }
+
+  /**
+   * Tempo between two bounds with the strongest periodicity at the beat
+   * rate and at twice it
+   * @private
+   * @param {Float32Array} envelope - Onset envelope
+   * @param {number} frameRate - Envelope frames per second
+   * @param {number} low - Lowest tempo in BPM
+   * @param {number} high - Highest tempo in BPM
+   * @param {number} step - Step in BPM
+   * @param {Function} yieldSlice - Yields to the page between time slices
+   * @returns {Promise<number>} - Tempo in BPM
+   */
+  async _searchTempo(envelope, frameRate, low, high, step, yieldSlice) {
+    let bpm = low;
+    let best = -1;
+
+    for (let candidate = low; candidate <= high; candidate += step) {
+      await yieldSlice();
+
+      const frequency = candidate / 60 / frameRate;
+      const score = this._periodicity(envelope, frequency) +
+        0.5 * this._periodicity(envelope, frequency * 2);
+
+      if (score > best) {
+        best = score;
+        bpm = candidate;
+      }
+    }
+
+    return bpm;
+  }
+
+  /**
+   * Magnitude of the envelope's Fourier component at a frequency
+   * @private
+   * @param {Float32Array} envelope - Onset envelope
+   * @param {number} frequency - Cycles per frame
+   * @returns {number} - Magnitude
+   */
+  _periodicity(envelope, frequency) {
+    const stepCos = Math.cos(2 * Math.PI * frequency);
+    const stepSin = Math.sin(2 * Math.PI * frequency);
+    let cos = 1;
+    let sin = 0;
+    let real = 0;
+    let imag = 0;
+
+    for (let n = 0; n < envelope.length; n++) {
+      real += envelope[n] * cos;
+      imag -= envelope[n] * sin;
+
+      // Rotate by one frame
+      const nextCos = cos * stepCos - sin * stepSin;
+      sin = sin * stepCos + cos * stepSin;
+      cos = nextCos;
+    }
+
+    return Math.sqrt(real * real + imag * imag);
+  }
+
+  /**
+   * Place beats by dynamic programming: each frame's score is its onset
+   * strength plus the best earlier beat's score, penalized by how far the
+   * gap strays from the period
+   * @private
+   * @param {Float32Array} envelope - Onset envelope
+   * @param {number} period - Beat period in frames
+   * @param {Function} yieldSlice - Yields to the page between time slices
+   * @returns {Promise<Array<number>>} - Beat positions in frames
+   */
+  async _trackBeats(envelope, period, yieldSlice) {
+    const length = envelope.length;
+    const localScore = await this._localScore(envelope, period, yieldSlice);
+    const cumulative = new Float64Array(length);
+    const backlink = new Int32Array(length).fill(-1);
+
+    const minGap = Math.round(period / 2);
+    const maxGap = Math.round(period * 2);
+    let maxLocal = 0;
+
+    for (let i = 0; i < length; i++) {
+      if (localScore[i] > maxLocal) maxLocal = localScore[i];
+    }
+
+    let firstBeat = true;
+
+    for (let i = 0; i < length; i++) {
+      await yieldSlice();
+
+      let best = -Infinity;
+      let bestIndex = -1;
+
+      for (let previous = Math.max(0, i - maxGap); previous <= i - minGap; previous++) {
+        const stretch = Math.log((i - previous) / period);
+        const score = cumulative[previous] - this.config.tightness * stretch * stretch;
+
+        if (score > best) {
+          best = score;
+          bestIndex = previous;
+        }
+      }
+
+      cumulative[i] = localScore[i] + (bestIndex >= 0 ? best : 0);
+
+      // Nothing before the music starts counts as a beat
+      if (firstBeat && localScore[i] < 0.01 * maxLocal) {
+        backlink[i] = -1;
+      } else {
+        backlink[i] = bestIndex;
+        firstBeat = false;
+      }
+    }
+
+    // End on the last clear local maximum of the cumulative score
+    const peaks = [];
+    for (let i = 1; i < length - 1; i++) {
+      if (cumulative[i] > cumulative[i - 1] && cumulative[i] >= cumulative[i + 1]) {
+        peaks.push(i);
+      }
+    }
+
+    if (peaks.length === 0) {
+      return [];
+    }
+
+    const sorted = peaks.map(i => cumulative[i]).sort((a, b) => a - b);
+    const threshold = 0.5 * sorted[Math.floor(sorted.length / 2)];
+    let index = peaks[peaks.length - 1];
+
+    for (let p = peaks.length - 1; p >= 0; p--) {
+      if (cumulative[peaks[p]] >= threshold) {
+        index = peaks[p];
+        break;
+      }
+    }
+
+    const beats = [];
+    while (index >= 0) {
+      beats.unshift(index);
+      index = backlink[index];
+    }
+
+    return this._trimBeats(beats, localScore);
+  }
+
+  /**
+   * Onset envelope normalized and smoothed with a Gaussian about a beat wide
+   * @private
+   * @param {Float32Array} envelope - Onset envelope
+   * @param {number} period - Beat period in frames
+   * @param {Function} yieldSlice - Yields to the page between time slices
+   * @returns {Promise<Float64Array>} - Local score per frame
+   */
+  async _localScore(envelope, period, yieldSlice) {
+    const mean = this._mean(envelope);
+    let variance = 0;
+
+    for (let n = 0; n < envelope.length; n++) {
+      variance += (envelope[n] - mean) * (envelope[n] - mean);
+    }
+
+    const deviation = Math.sqrt(variance / envelope.length) || 1;
+    const half = Math.round(period);
+    const sigma = period / 32;
+    const kernel = new Float64Array(half * 2 + 1);
+
+    for (let k = -half; k <= half; k++) {
+      kernel[k + half] = Math.exp(-0.5 * (k / sigma) * (k / sigma));
+    }
+
+    const score = new Float64Array(envelope.length);
+
+    for (let n = 0; n < envelope.length; n++) {
+      await yieldSlice();
+
+      let sum = 0;
+
+      for (let k = -half; k <= half; k++) {
+        const index = n + k;
+        if (index >= 0 && index < envelope.length) {
+          sum += kernel[k + half] * envelope[index];
+        }
+      }
+
+      score[n] = sum / deviation;
+    }
+
+    return score;
+  }
+
+  /**
+   * Drop beats in quiet lead-in and tail
+   * @private
+   * @param {Array<number>} beats - Beat positions in frames
+   * @param {Float64Array} localScore - Local score per frame
+   * @returns {Array<number>} - Trimmed beats
+   */
+  _trimBeats(beats, localScore) {
+    if (beats.length === 0) {
+      return beats;
+    }
+
+    let sum = 0;
+    for (const beat of beats) {
+      sum += localScore[beat] * localScore[beat];
+    }
+
+    const threshold = 0.5 * Math.sqrt(sum / beats.length);
+    let start = 0;
+    let end = beats.length;
+
+    while (start < end && localScore[beats[start]] <= threshold) start++;
+    while (end > start && localScore[beats[end - 1]] <= threshold) end--;
+
+    return beats.slice(start, end);
+  }
+
+  /**
+   * Fold a tempo into the configured range by octaves
+   * @private
+   * @param {number} bpm - Tempo in BPM
+   * @returns {number} - Folded tempo
+   */
+  _foldTempo(bpm) {
+    let folded = bpm;
+
+    while (folded < this.config.minTempo) folded *= 2;
+    while (folded > this.config.maxTempo) folded /= 2;
+
+    return folded;
+  }
+
+  /** @private */
+  _createWindow(size) {
+    const window = new Float64Array(size);
+    for (let k = 0; k < size; k++) {
+      window[k] = 0.5 - 0.5 * Math.cos(2 * Math.PI * k / size);
+    }
+    return window;
+  }
+
+
+  /** @private */
+  _mean(values) {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      sum += values[i];
+    }
+    return values.length > 0 ? sum / values.length : 0;
+  }
+
+
+  /**
+   * Clean up and dispose of resources
+   */
+  dispose() {
+    this.bufferManager = null;
+  }
+}
+
+export default BeatGridAnalyzer;
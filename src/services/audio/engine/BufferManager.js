@@ -1,4 +1,21 @@
 // audio/engine/BufferManager.js
+import { SOURCE_CONFIG } from '../constants/DefaultConfig';
+
+// How long to wait for a media element to report a file's duration, in ms
+const PROBE_TIMEOUT = 10000;
+
+/**
+ * A track too large to decode whole, played through a media element
+ * @typedef {Object} StreamedTrack
+ * @property {boolean} isStream - Always true
+ * @property {string} url - URL of the file
+ * @property {number} duration - Duration in seconds
+ * @property {number} sampleRate - Context sample rate it plays at
+ * @property {number} numberOfChannels - Assumed channel count
+ * @property {number} length - Frames a decoded buffer would hold
+ * @property {number|null} fileSize - File size in bytes, when known
+ */
+
 class BufferManager {
   /**
    * Creates a new BufferManager instance
@@ -6,6 +23,7 @@ class BufferManager {
    * @param {Object} options - Configuration options
    * @param {number} options.maxCacheSize - Maximum cache size in MB (default: 100)
    * @param {boolean} options.preloadCommonFormats - Whether to preload common formats
+   * @param {Object} options.streaming - Streaming thresholds (default: SOURCE_CONFIG.streaming)
    */
   constructor(audioContext, options = {}) {
     this.context = audioContext;
@@ -13,11 +31,15 @@ class BufferManager {
       maxCacheSize: options?.maxCacheSize ?? 100, // Default 100MB
       preloadCommonFormats: options?.preloadCommonFormats ?? false,
       autoGC: options?.autoGC ?? true,
-      retryAttempts: options?.retryAttempts ?? 3
+      retryAttempts: options?.retryAttempts ?? 3,
+      streaming: { ...SOURCE_CONFIG.streaming, ...options?.streaming }
     };
     
     // Buffer cache storage
     this.bufferCache = new Map();
+    
+    // Tracks played by streaming instead of decoding, by URL
+    this.streamCache = new Map();
     this.cacheMetadata = {
       totalSize: 0,
       hits: 0,
@@ -38,28 +60,51 @@ class BufferManager {
 
   /**
    * Load audio from a URL and decode it into an AudioBuffer
+   * Files above the streaming thresholds are not decoded; a StreamedTrack
+   * is returned instead, which SourceManager plays through a media element.
    * @param {string} url - URL to the audio file
-   * @returns {Promise<AudioBuffer>} Decoded audio buffer
+   * @param {Object} [options] - Load options
+   * @param {boolean} [options.streaming=true] - Allow a StreamedTrack; false always decodes
+   * @returns {Promise<AudioBuffer|StreamedTrack>} Decoded audio buffer or streamed track
    */
-  async loadAudio(url) {
+  async loadAudio(url, options = {}) {
+    const allowStreaming = options.streaming !== false && this.options.streaming.enabled;
+
+    // Check cache first
+    if (this.bufferCache.has(url)) {
+      this.cacheMetadata.hits++;
+      this.cacheMetadata.lastAccessed[url] = Date.now();
+      return this.bufferCache.get(url);
+    }
+    
+    if (allowStreaming && this.streamCache.has(url)) {
+      this.cacheMetadata.hits++;
+      return this.streamCache.get(url);
+    }
+    
+    this.cacheMetadata.misses++;
+    this.status.pendingLoads++;
+    this.status.isProcessing = true;
+    
     try {
-      // Check cache first
-      if (this.bufferCache.has(url)) {
-        this.cacheMetadata.hits++;
-        this.cacheMetadata.lastAccessed[url] = Date.now();
-        return this.bufferCache.get(url);
-      }
-      
-      this.cacheMetadata.misses++;
-      this.status.pendingLoads++;
-      this.status.isProcessing = true;
-      
       // Fetch the audio file
-      const response = await fetch(url);
+      const controller = new AbortController();
+      const response = await fetch(url, { signal: controller.signal });
       if (!response?.ok) {
         throw new Error(`Failed to load audio: ${response?.status} ${response?.statusText}`);
       }
       
+      // Large files stream; drop the download before the body is read
+      if (allowStreaming) {
+        const stream = await this._probeStream(url, response);
+        
+        if (stream) {
+          controller.abort();
+          this.streamCache.set(url, stream);
+          return stream;
+        }
+      }
+      
       const arrayBuffer = await response.arrayBuffer();
       
       // Decode the audio data
@@ -70,25 +115,29 @@ class BufferManager {
         this._addToCache(url, buffer);
       }
       
-      this.status.pendingLoads--;
-      if (this.status.pendingLoads <= 0) {
-        this.status.isProcessing = false;
-      }
-      
       return buffer;
     } catch (error) {
-      this.status.pendingLoads--;
-      if (this.status.pendingLoads <= 0) {
-        this.status.isProcessing = false;
-      }
-      
       if (this.errorHandler) {
         this.errorHandler(error, { operation: 'loadAudio', url });
       }
       throw error;
+    } finally {
+      this.status.pendingLoads--;
+      if (this.status.pendingLoads <= 0) {
+        this.status.isProcessing = false;
+      }
     }
   }
   
+  /**
+   * Check whether a URL was loaded as a streamed track
+   * @param {string} url - URL of the audio file
+   * @returns {boolean} True if the track streams
+   */
+  isStreamed(url) {
+    return this.streamCache.has(url);
+  }
+  
   /**
    * Preload multiple audio files
    * @param {string[]} urls - Array of URLs to preload
@@ -134,14 +183,23 @@ class BufferManager {
   
   /**
    * Get statistics about the buffer cache
+   * memorySaved estimates, in MB like memoryUsage, what streamed tracks
+   * would have taken if decoded.
    * @returns {Object} Cache statistics
    */
   getStats() {
     const totalRequests = this.cacheMetadata.hits + this.cacheMetadata.misses;
+    let memorySaved = 0;
+    
+    for (const stream of this.streamCache.values()) {
+      memorySaved += this._calculateBufferSize(stream) / (1024 * 1024);
+    }
     
     return {
       bufferCount: this.bufferCache.size,
+      streamCount: this.streamCache.size,
       memoryUsage: this.cacheMetadata.totalSize,
+      memorySaved,
       cacheHitRate: totalRequests > 0 
         ? (this.cacheMetadata.hits / totalRequests) * 100
         : 0,
@@ -155,6 +213,7 @@ class BufferManager {
    */
   clearCache() {
     this.bufferCache.clear();
+    this.streamCache.clear();
     this.cacheMetadata = {
       totalSize: 0,
       hits: 0,
@@ -243,6 +302,80 @@ class BufferManager {
   }
   
   // Private helper methods
+  
+  /**
+   * Decide from the response size and the file duration whether to stream
+   * @private
+   * @param {string} url - URL of the audio file
+   * @param {Response} response - Fetch response, body not yet read
+   * @returns {Promise<StreamedTrack|null>} Streamed track, or null to decode
+   */
+  async _probeStream(url, response) {
+    const { minFileSize, minDuration, probeFileSize } = this.options.streaming;
+    const fileSize = Number(response.headers?.get('content-length')) || null;
+    const sizeMB = fileSize ? fileSize / (1024 * 1024) : null;
+    
+    // Small files decode without probing; unknown sizes are probed
+    if (sizeMB !== null && sizeMB < probeFileSize) {
+      return null;
+    }
+    
+    const duration = await this._probeDuration(url);
+    
+    // Without a duration the track cannot be positioned, so decode it
+    if (duration === null) {
+      return null;
+    }
+    
+    if ((sizeMB === null || sizeMB < minFileSize) && duration < minDuration) {
+      return null;
+    }
+    
+    const sampleRate = this.context?.sampleRate ?? 44100;
+    
+    return {
+      isStream: true,
+      url,
+      duration,
+      sampleRate,
+      numberOfChannels: SOURCE_CONFIG.buffer.channelCount,
+      length: Math.round(duration * sampleRate),
+      fileSize
+    };
+  }
+  
+  /**
+   * Read a file's duration from a media element's metadata
+   * @private
+   * @param {string} url - URL of the audio file
+   * @returns {Promise<number|null>} Duration in seconds, or null if unknown
+   */
+  _probeDuration(url) {
+    if (typeof Audio === 'undefined') {
+      return Promise.resolve(null);
+    }
+    
+    return new Promise((resolve) => {
+      const element = new Audio();
+      let timer = null;
+      
+      const finish = (duration) => {
+        clearTimeout(timer);
+        element.onloadedmetadata = null;
+        element.onerror = null;
+        element.removeAttribute('src');
+        element.load();
+        resolve(Number.isFinite(duration) && duration > 0 ? duration : null);
+      };
+      
+      element.preload = 'metadata';
+      element.onloadedmetadata = () => finish(element.duration);
+      element.onerror = () => finish(null);
+      timer = setTimeout(() => finish(null), PROBE_TIMEOUT);
+      element.src = url;
+    });
+  }
+  
   _addToCache(id, buffer) {
     // Calculate buffer size in bytes (2 bytes per sample × channels × samples)
     const sizeMB = this._calculateBufferSize(buffer) / (1024 * 1024);
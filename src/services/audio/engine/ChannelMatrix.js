@@ -0,0 +1,246 @@
+/**
+ * ChannelMatrix.js
+ * Output stage that maps input channels to output channels through a gain
+ * matrix: the ITU-R BS.775 downmix of 5.1 or 7.1 to stereo, a passive
+ * stereo-to-5.1 upmix and a mono sum (see CHANNEL_MATRICES). The input is
+ * forced to the matrix's channel count, so a stereo source feeding a
+ * downmix, or 5.1 feeding the mono sum, is first mixed to that layout by
+ * the browser's speaker rules.
+ *
+ *   input -> splitter -> gain per (output, input) cell -> bus per output -> merger -> output
+ *
+ * Upmixed LFE and surround buses are filtered before the merger: the LFE
+ * keeps only the bass, and the surrounds are band-limited and delayed so
+ * the front image still leads.
+ */
+import { CHANNEL_MATRICES } from '../constants/AudioParams';
+
+// Level the LFE is folded into a downmix at when included (-3 dB)
+const LFE_MIX_LEVEL = Math.SQRT1_2;
+
+// Upmixed LFE keeps what is below this frequency, in Hz
+const LFE_CUTOFF = 120;
+
+// Upmixed surrounds: high-cut in Hz and delay behind the fronts in seconds
+const SURROUND_CUTOFF = 7000;
+const SURROUND_DELAY = 0.012;
+
+class ChannelMatrix {
+  /**
+   * Creates a new ChannelMatrix instance
+   * @param {Object} options - Configuration options
+   * @param {AudioNodeFactory} options.audioNodeFactory - Factory used to create the nodes
+   * @param {string} [options.matrix='passthrough'] - Initial matrix, a CHANNEL_MATRICES key
+   * @param {Object} [options.matrixOptions] - Initial matrix options, see setMatrix()
+   */
+  constructor(options = {}) {
+    if (!options.audioNodeFactory) {
+      throw new Error('ChannelMatrix requires AudioNodeFactory');
+    }
+
+    this.audioNodeFactory = options.audioNodeFactory;
+    this.audioContext = this.audioNodeFactory.audioContext;
+
+    this.inputNode = this.audioNodeFactory.createNode('gain', { gain: 1.0 });
+    this.outputNode = this.audioNodeFactory.createNode('gain', { gain: 1.0 });
+    this.outputNode.channelCountMode = 'max';
+
+    this.name = null;
+    this.includeLfe = false;
+    this.gains = null;
+    this.graph = null;
+
+    if (!this.setMatrix(options.matrix || 'passthrough', options.matrixOptions)) {
+      this.setMatrix('passthrough');
+    }
+  }
+
+  /**
+   * Get the node that feeds the stage
+   * @returns {GainNode} - Input node
+   */
+  getInput() {
+    return this.inputNode;
+  }
+
+  /**
+   * Get the node the stage outputs from
+   * @returns {GainNode} - Output node
+   */
+  getOutput() {
+    return this.outputNode;
+  }
+
+  /**
+   * Switch to another matrix
+   * @param {string} name - CHANNEL_MATRICES key
+   * @param {Object} [options] - Matrix options
+   * @param {boolean} [options.includeLfe=false] - Fold the LFE into a downmix instead of dropping it
+   * @returns {boolean} - Whether the matrix is known
+   */
+  setMatrix(name, options = {}) {
+    const definition = CHANNEL_MATRICES[name];
+    if (!definition) {
+      return false;
+    }
+
+    this.inputNode.disconnect();
+    this._disposeGraph();
+
+    this.name = name;
+    this.includeLfe = Boolean(options.includeLfe);
+    this.gains = this._resolveGains(definition);
+
+    if (!this.gains) {
+      this.inputNode.channelCountMode = 'max';
+      this.inputNode.connect(this.outputNode);
+      return true;
+    }
+
+    this.inputNode.channelCount = definition.inputs;
+    this.inputNode.channelCountMode = 'explicit';
+    this.inputNode.channelInterpretation = 'speakers';
+
+    this.graph = this._createGraph(definition, this.gains);
+    this.inputNode.connect(this.graph.splitter);
+    this.graph.merger.connect(this.outputNode);
+
+    return true;
+  }
+
+  /**
+   * Get the active matrix
+   * @returns {Object} - { name, label, inputs, outputs, includeLfe, gains }
+   */
+  getMatrix() {
+    const definition = CHANNEL_MATRICES[this.name];
+
+    return {
+      name: this.name,
+      label: definition.label,
+      inputs: definition.inputs,
+      outputs: definition.outputs,
+      includeLfe: this.includeLfe,
+      gains: this.gains ? this.gains.map(row => [...row]) : null
+    };
+  }
+
+  /**
+   * Channel count the stage outputs
+   * @returns {number|null} - Output channels, or null when passing through
+   */
+  getOutputChannels() {
+    return CHANNEL_MATRICES[this.name].outputs;
+  }
+
+  /**
+   * Gains the matrix applies, with the LFE option resolved
+   * @private
+   * @param {Object} definition - CHANNEL_MATRICES entry
+   * @returns {Array<Array<number>>|null} - Rows per output channel, or null to pass through
+   */
+  _resolveGains(definition) {
+    if (!definition.gains) {
+      return null;
+    }
+
+    return definition.gains.map(row => {
+      const gains = [...row];
+
+      if (definition.lfeInput !== undefined) {
+        gains[definition.lfeInput] = this.includeLfe ? LFE_MIX_LEVEL : 0;
+      }
+
+      return gains;
+    });
+  }
+
+  /**
+   * Build the splitter, gain cells and output buses for a matrix
+   * @private
+   * @param {Object} definition - CHANNEL_MATRICES entry
+   * @param {Array<Array<number>>} gains - Resolved gains
+   * @returns {Object} - { splitter, merger, cells, buses }
+   */
+  _createGraph(definition, gains) {
+    const splitter = this.audioContext.createChannelSplitter(definition.inputs);
+    const merger = this.audioContext.createChannelMerger(definition.outputs);
+    const cells = [];
+    const buses = [];
+
+    gains.forEach((row, output) => {
+      const bus = this.audioNodeFactory.createNode('gain', { gain: 1.0 });
+      bus.channelCount = 1;
+      bus.channelCountMode = 'explicit';
+
+      row.forEach((gain, input) => {
+        if (gain === 0) return;
+
+        const cell = this.audioNodeFactory.createNode('gain', { gain });
+        splitter.connect(cell, input);
+        cell.connect(bus);
+        cells.push(cell);
+      });
+
+      const nodes = [bus, ...this._createBusFilters(definition, output)];
+
+      for (let i = 1; i < nodes.length; i++) {
+        nodes[i - 1].connect(nodes[i]);
+      }
+
+      nodes[nodes.length - 1].connect(merger, 0, output);
+      buses.push(nodes);
+    });
+
+    return { splitter, merger, cells, buses };
+  }
+
+  /**
+   * Filters an upmixed LFE or surround bus passes through
+   * @private
+   * @param {Object} definition - CHANNEL_MATRICES entry
+   * @param {number} output - Output channel index
+   * @returns {Array<AudioNode>} - Nodes in signal order
+   */
+  _createBusFilters(definition, output) {
+    if (output === definition.lfeOutput) {
+      return [
+        this.audioNodeFactory.createFilterNode({ type: 'lowpass', frequency: LFE_CUTOFF, Q: Math.SQRT1_2 })
+      ];
+    }
+
+    if (definition.surroundOutputs?.includes(output)) {
+      return [
+        this.audioNodeFactory.createFilterNode({ type: 'lowpass', frequency: SURROUND_CUTOFF, Q: Math.SQRT1_2 }),
+        this.audioNodeFactory.createNode('delay', { maxDelayTime: 0.05, delayTime: SURROUND_DELAY })
+      ];
+    }
+
+    return [];
+  }
+
+  /**
+   * Disconnect the active matrix graph
+   * @private
+   */
+  _disposeGraph() {
+    if (!this.graph) return;
+
+    this.graph.splitter.disconnect();
+    this.graph.merger.disconnect();
+    this.graph.cells.forEach(cell => cell.disconnect());
+    this.graph.buses.forEach(nodes => nodes.forEach(node => node.disconnect()));
+    this.graph = null;
+  }
+
+  /**
+   * Clean up and dispose of resources
+   */
+  dispose() {
+    this.inputNode.disconnect();
+    this.outputNode.disconnect();
+    this._disposeGraph();
+  }
+}
+
+export default ChannelMatrix;
@@ -0,0 +1,220 @@
+/**
+ * ConvolutionReverb.js
+ * Reverb unit built around a ConvolverNode with separate wet and dry paths,
+ * a pre-delay on the wet path and adjustable impulse response length.
+ *
+ *   input -> dry ------------------------------> output
+ *         -> preDelay -> convolver -> wet -----^
+ */
+import { AUDIO_EFFECTS } from '../constants/AudioParams';
+
+// Fade applied to the end of a trimmed IR, in seconds
+const TRIM_FADE_TIME = 0.05;
+
+// Longest supported pre-delay, in seconds
+const MAX_PRE_DELAY = 0.5;
+
+class ConvolutionReverb {
+  /**
+   * Creates a new ConvolutionReverb instance
+   * @param {Object} options - Configuration options
+   * @param {AudioNodeFactory} options.audioNodeFactory - Factory used to create the nodes
+   * @param {Object} [options.params] - Initial { wet, dry, preDelay, length }
+   * @param {Object} [options.config] - Additional configuration options
+   */
+  constructor(options = {}) {
+    if (!options.audioNodeFactory) {
+      throw new Error('ConvolutionReverb requires AudioNodeFactory');
+    }
+
+    this.audioNodeFactory = options.audioNodeFactory;
+    this.audioContext = this.audioNodeFactory.audioContext;
+
+    // Default configuration
+    this.config = {
+      smoothing: 0.015, // Time constant for parameter changes in seconds
+      ...options.config
+    };
+
+    const defaults = AUDIO_EFFECTS.REVERB.params;
+    this.params = {
+      wet: defaults.wet.default,
+      dry: defaults.dry.default,
+      preDelay: defaults.preDelay.default,
+      length: defaults.length.default
+    };
+
+    // Full-length IR as loaded; the convolver gets a trimmed copy
+    this._sourceBuffer = null;
+
+    // Set once disposed, so late IR loads are dropped
+    this.disposed = false;
+
+    this.inputNode = this.audioNodeFactory.createNode('gain', { gain: 1.0 });
+    this.outputNode = this.audioNodeFactory.createNode('gain', { gain: 1.0 });
+    this.dryNode = this.audioNodeFactory.createNode('gain', { gain: this.params.dry });
+    this.wetNode = this.audioNodeFactory.createNode('gain', { gain: this.params.wet });
+    this.preDelayNode = this.audioNodeFactory.createNode('delay', {
+      maxDelayTime: MAX_PRE_DELAY,
+      delayTime: this.params.preDelay
+    });
+    this.convolverNode = this.audioNodeFactory.createNode('convolver', { normalize: true });
+
+    this.inputNode.connect(this.dryNode);
+    this.dryNode.connect(this.outputNode);
+    this.inputNode.connect(this.preDelayNode);
+    this.preDelayNode.connect(this.convolverNode);
+    this.convolverNode.connect(this.wetNode);
+    this.wetNode.connect(this.outputNode);
+
+    this.setParams(options.params || {});
+  }
+
+  /**
+   * Get the node that feeds the reverb
+   * @returns {GainNode} - Input node
+   */
+  getInput() {
+    return this.inputNode;
+  }
+
+  /**
+   * Get the node the reverb outputs from
+   * @returns {GainNode} - Output node
+   */
+  getOutput() {
+    return this.outputNode;
+  }
+
+  /**
+   * Set the impulse response
+   * @param {AudioBuffer|null} buffer - Impulse response; null silences the wet path
+   */
+  setImpulseResponse(buffer) {
+    if (this.disposed) return;
+
+    this._sourceBuffer = buffer || null;
+    this._applyImpulseResponse();
+  }
+
+  /**
+   * Get the impulse response currently loaded, before trimming
+   * @returns {AudioBuffer|null} - Impulse response
+   */
+  getImpulseResponse() {
+    return this._sourceBuffer;
+  }
+
+  /**
+   * Update reverb parameters
+   * @param {Object} params - Any of { wet, dry, preDelay (s), length (s, 0 for the full IR) }
+   */
+  setParams(params = {}) {
+    const limits = AUDIO_EFFECTS.REVERB.params;
+    const clamp = (value, { min, max }) => Math.max(min, Math.min(max, Number(value)));
+
+    if (params.wet !== undefined) {
+      this.params.wet = clamp(params.wet, limits.wet);
+      this.wetNode.setParam('gain', this.params.wet, this.config.smoothing);
+    }
+
+    if (params.dry !== undefined) {
+      this.params.dry = clamp(params.dry, limits.dry);
+      this.dryNode.setParam('gain', this.params.dry, this.config.smoothing);
+    }
+
+    if (params.preDelay !== undefined) {
+      this.params.preDelay = Math.min(MAX_PRE_DELAY, clamp(params.preDelay, limits.preDelay));
+      this.preDelayNode.setParam('delayTime', this.params.preDelay, this.config.smoothing);
+    }
+
+    if (params.length !== undefined) {
+      const length = clamp(params.length, limits.length);
+      if (length !== this.params.length) {
+        this.params.length = length;
+        this._applyImpulseResponse();
+      }
+    }
+  }
+
+  /**
+   * Get current reverb parameters
+   * @returns {Object} - { wet, dry, preDelay, length }
+   */
+  getParams() {
+    return { ...this.params };
+  }
+
+  /**
+   * Load the (trimmed) impulse response into the convolver
+   * @private
+   */
+  _applyImpulseResponse() {
+    // A convolver's buffer cannot be unset once assigned, so replace the node
+    if (this.convolverNode.buffer) {
+      this.preDelayNode.disconnect();
+      this.convolverNode.disconnect();
+      this.audioNodeFactory.releaseNode(this.convolverNode, 'convolver');
+
+      this.convolverNode = this.audioNodeFactory.createNode('convolver', { normalize: true });
+      this.preDelayNode.connect(this.convolverNode);
+      this.convolverNode.connect(this.wetNode);
+    }
+
+    if (this._sourceBuffer) {
+      this.convolverNode.buffer = this._trim(this._sourceBuffer, this.params.length);
+    }
+  }
+
+  /**
+   * Shorten an impulse response with a fade-out at the new end
+   * @private
+   * @param {AudioBuffer} buffer - Impulse response
+   * @param {number} length - New length in seconds; 0 keeps the full IR
+   * @returns {AudioBuffer} - Trimmed copy, or the original if no trim is needed
+   */
+  _trim(buffer, length) {
+    const samples = Math.floor(length * buffer.sampleRate);
+
+    if (!length || samples >= buffer.length) {
+      return buffer;
+    }
+
+    const trimmed = this.audioContext.createBuffer(
+      buffer.numberOfChannels,
+      Math.max(1, samples),
+      buffer.sampleRate
+    );
+    const fadeLength = Math.min(samples, Math.floor(TRIM_FADE_TIME * buffer.sampleRate));
+
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      const data = buffer.getChannelData(c).slice(0, samples);
+
+      for (let i = 0; i < fadeLength; i++) {
+        data[samples - 1 - i] *= i / fadeLength;
+      }
+
+      trimmed.copyToChannel(data, c);
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Clean up and dispose of resources
+   */
+  dispose() {
+    this.inputNode.disconnect();
+    this.preDelayNode.disconnect();
+    this.convolverNode.disconnect();
+    this.wetNode.disconnect();
+    this.dryNode.disconnect();
+    this.outputNode.disconnect();
+
+    this.audioNodeFactory.releaseNode(this.convolverNode, 'convolver');
+    this._sourceBuffer = null;
+    this.disposed = true;
+  }
+}
+
+export default ConvolutionReverb;
@@ -0,0 +1,434 @@
+/**
+ * Deck.js
+ * An independent playback channel with its own source, EQ, effect chain
+ * and fader, so a second track can play beside the main one: a DJ deck,
+ * or a cue deck previewing a track on headphones while the mix plays on.
+ * Transport and position are kept per deck. Buffer sources cannot be
+ * restarted, so every play() or seek() starts a fresh source.
+ *
+ *   source -> ParametricEQ -> EffectsChain -> fader -> output
+ *
+ * The deck does not decide where its output goes; AudioEngine connects it
+ * to the mixer bus or to a cue output on another device.
+ */
+import ParametricEQ from './ParametricEQ';
+import EffectsChain from './EffectsChain';
+
+class Deck {
+  /**
+   * Creates a new Deck instance
+   * @param {Object} options - Configuration options
+   * @param {string} options.id - Deck ID
+   * @param {AudioNodeFactory} options.audioNodeFactory - Factory used to create the nodes
+   * @param {AudioGraph} options.audioGraph - Graph the deck is wired through
+   * @param {SourceManager} options.sourceManager - Creates the playback sources
+   * @param {BufferManager} options.bufferManager - Loads the tracks
+   * @param {ImpulseResponseManager} [options.impulseResponses] - IR source for reverb effects
+   * @param {EventBus} [options.EventBus] - Reference to EventBus
+   * @param {number} [options.volume=1] - Initial fader level (0-1)
+   * @param {Object} [options.config] - Additional configuration options
+   */
+  constructor(options = {}) {
+    if (!options.id) {
+      throw new Error('Deck requires an ID');
+    }
+
+    if (!options.audioNodeFactory || !options.audioGraph) {
+      throw new Error('Deck requires AudioNodeFactory and AudioGraph');
+    }
+
+    if (!options.sourceManager || !options.bufferManager) {
+      throw new Error('Deck requires SourceManager and BufferManager');
+    }
+
+    this.id = options.id;
+    this.audioNodeFactory = options.audioNodeFactory;
+    this.audioGraph = options.audioGraph;
+    this.sourceManager = options.sourceManager;
+    this.bufferManager = options.bufferManager;
+    this.EventBus = options.EventBus || null;
+
+    // Default configuration
+    this.config = {
+      smoothing: 0.015, // Time constant for fader changes in seconds
+      ...options.config
+    };
+
+    // Loaded track: { url, buffer, options }
+    this.track = null;
+
+    // Playing source interface from SourceManager
+    this.source = null;
+
+    // Position held while not playing, in seconds
+    this.position = 0;
+    this.volume = this._clampVolume(options.volume, 1);
+
+    // The deck's EQ and effects report through the deck, not the main chain's events
+    this.equalizer = new ParametricEQ({
+      audioNodeFactory: this.audioNodeFactory
+    });
+
+    this.effectsChain = new EffectsChain({
+      audioNodeFactory: this.audioNodeFactory,
+      audioGraph: this.audioGraph,
+      impulseResponses: options.impulseResponses
+    });
+
+    this.fader = this.audioNodeFactory.createNode('gain', { gain: this.volume });
+
+    this.audioGraph.registerNode(this.equalizer.getInput(), { type: 'deck-eq-input', deckId: this.id });
+    this.audioGraph.registerNode(this.fader, { type: 'deck-fader', deckId: this.id });
+
+    this.audioGraph.connect(
+      this.equalizer.getOutput(),
+      this.effectsChain.getInput(),
+      { metadata: { type: 'deck-eq-to-effects', deckId: this.id } }
+    );
+    this.audioGraph.connect(
+      this.effectsChain.getOutput(),
+      this.fader,
+      { metadata: { type: 'deck-effects-to-fader', deckId: this.id } }
+    );
+
+    // Natural end of the deck's source
+    this._unsubscribeEnded = this.EventBus ?
+      this.EventBus.on('source:ended', (event) => this._handleSourceEnded(event.data?.sourceId)) :
+      null;
+  }
+
+  /**
+   * Get the node the deck outputs from
+   * @returns {GainNode} - Fader node
+   */
+  getOutput() {
+    return this.fader;
+  }
+
+  /**
+   * Get the deck's equalizer
+   * @returns {ParametricEQ} - Equalizer
+   */
+  getEqualizer() {
+    return this.equalizer;
+  }
+
+  /**
+   * Get the deck's effect chain
+   * @returns {EffectsChain} - Effect chain
+   */
+  getEffectsChain() {
+    return this.effectsChain;
+  }
+
+  /**
+   * Load a track, stopping whatever the deck was playing
+   * @param {string} trackUrl - URL of the track
+   * @param {Object} [options={}] - Playback options
+   * @param {number} [options.tempo=1] - Speed at the same pitch (0.5-2)
+   * @param {number} [options.pitch=0] - Pitch shift in semitones
+   * @param {number} [options.normalizationGain=1] - Linear loudness correction
+   * @returns {Promise<boolean>} - Whether the track was loaded
+   */
+  async load(trackUrl, options = {}) {
+    try {
+      this.stop();
+
+      // Large files come back as a streamed track
+      const buffer = await this.bufferManager.loadAudio(trackUrl);
+
+      if (!buffer) {
+        throw new Error(`Failed to load audio from ${trackUrl}`);
+      }
+
+      this.track = { url: trackUrl, buffer, options };
+      this.position = 0;
+
+      this._emitEvent('deck:loaded', {
+        url: trackUrl,
+        duration: buffer.duration
+      });
+
+      return true;
+    } catch (error) {
+      console.error('[Deck] Load failed:', error);
+      this._emitEvent('deck:error', {
+        operation: 'load',
+        url: trackUrl,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Start playback
+   * @param {number} [position] - Position in seconds; defaults to where the deck is
+   * @returns {boolean} - Whether playback started
+   */
+  play(position = this.getPosition()) {
+    if (!this.track) {
+      return false;
+    }
+
+    try {
+      this._releaseSource();
+
+      const { url, buffer, options } = this.track;
+      const source = this.sourceManager.createSource(buffer, {
+        volume: 1,
+        tempo: options.tempo,
+        pitch: options.pitch,
+        normalizationGain: options.normalizationGain
+      });
+
+      if (!source) {
+        throw new Error('Failed to create audio source');
+      }
+
+      this.audioGraph.registerNode(source.gainNode, {
+        type: 'source',
+        sourceId: source.id,
+        trackUrl: url,
+        deckId: this.id
+      });
+      this.audioGraph.connect(
+        source.gainNode,
+        this.equalizer.getInput(),
+        { metadata: { type: 'deck-source', trackUrl: url, deckId: this.id } }
+      );
+
+      const startPosition = this._clampPosition(position);
+
+      if (!source.play(0, startPosition)) {
+        this.sourceManager.releaseSource(source.id);
+        throw new Error('Failed to start audio source');
+      }
+
+      this.source = source;
+      this.position = startPosition;
+
+      this._emitEvent('deck:started', {
+        sourceId: source.id,
+        url,
+        position: startPosition
+      });
+
+      return true;
+    } catch (error) {
+      console.error('[Deck] Playback failed:', error);
+      this._emitEvent('deck:error', {
+        operation: 'play',
+        url: this.track.url,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Pause playback, keeping the position
+   * @returns {boolean} - Whether the deck was playing
+   */
+  pause() {
+    if (!this.isPlaying()) {
+      return false;
+    }
+
+    this.position = this.getPosition();
+    this._releaseSource();
+
+    this._emitEvent('deck:paused', {
+      position: this.position
+    });
+
+    return true;
+  }
+
+  /**
+   * Stop playback and return to the start
+   * @returns {boolean} - Whether the deck was playing
+   */
+  stop() {
+    const wasPlaying = this.isPlaying();
+
+    this._releaseSource();
+    this.position = 0;
+
+    if (wasPlaying) {
+      this._emitEvent('deck:stopped', {});
+    }
+
+    return wasPlaying;
+  }
+
+  /**
+   * Move to a position, carrying on playing if the deck was
+   * @param {number} position - Position in seconds
+   * @returns {boolean} - Whether a track is loaded
+   */
+  seek(position) {
+    if (!this.track) {
+      return false;
+    }
+
+    const safePosition = this._clampPosition(position);
+
+    if (this.isPlaying()) {
+      if (!this.play(safePosition)) {
+        return false;
+      }
+    } else {
+      this.position = safePosition;
+    }
+
+    this._emitEvent('deck:seeked', {
+      position: safePosition
+    });
+
+    return true;
+  }
+
+  /**
+   * Check whether the deck is playing
+   * @returns {boolean} - Playing state
+   */
+  isPlaying() {
+    return this.source !== null;
+  }
+
+  /**
+   * Current playback position
+   * @returns {number} - Position in seconds
+   */
+  getPosition() {
+    if (!this.source) {
+      return this.position;
+    }
+
+    const state = this.source.getState();
+    return state ? state.position : this.position;
+  }
+
+  /**
+   * Set the fader level
+   * @param {number} level - Volume level (0-1)
+   */
+  setVolume(level) {
+    this.volume = this._clampVolume(level, this.volume);
+    this.fader.setParam('gain', this.volume, this.config.smoothing);
+
+    this._emitEvent('deck:volume-changed', {
+      volume: this.volume
+    });
+  }
+
+  /**
+   * Get the fader level
+   * @returns {number} - Volume level (0-1)
+   */
+  getVolume() {
+    return this.volume;
+  }
+
+  /**
+   * Get the deck's state
+   * @returns {Object} - { id, url, duration, position, isPlaying, volume }
+   */
+  getState() {
+    return {
+      id: this.id,
+      url: this.track ? this.track.url : null,
+      duration: this.track ? this.track.buffer.duration : 0,
+      position: this.getPosition(),
+      isPlaying: this.isPlaying(),
+      volume: this.volume
+    };
+  }
+
+  /**
+   * Stop and release the playing source
+   * @private
+   */
+  _releaseSource() {
+    if (!this.source) return;
+
+    this.sourceManager.releaseSource(this.source.id);
+    this.source = null;
+  }
+
+  /**
+   * Rewind when the deck's source plays to its end
+   * @private
+   * @param {string} sourceId - ID of the source that ended
+   */
+  _handleSourceEnded(sourceId) {
+    if (!this.source || this.source.id !== sourceId) return;
+
+    this._releaseSource();
+    this.position = 0;
+
+    this._emitEvent('deck:ended', {
+      sourceId,
+      url: this.track ? this.track.url : null
+    });
+  }
+
+  /**
+   * Clamp a position to the loaded track
+   * @private
+   * @param {number} position - Position in seconds
+   * @returns {number} - Clamped position
+   */
+  _clampPosition(position) {
+    const duration = this.track ? this.track.buffer.duration : 0;
+    return Number.isFinite(position) ? Math.max(0, Math.min(duration, position)) : 0;
+  }
+
+  /**
+   * Clamp a fader level
+   * @private
+   * @param {number} level - Volume level
+   * @param {number} fallback - Level used when the input is not a number
+   * @returns {number} - Clamped level
+   */
+  _clampVolume(level, fallback) {
+    return Number.isFinite(level) ? Math.max(0, Math.min(1, level)) : fallback;
+  }
+
+  /**
+   * Emit an event through EventBus
+   * @private
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   */
+  _emitEvent(type, data) {
+    if (this.EventBus && typeof this.EventBus.emit === 'function') {
+      this.EventBus.emit(type, {
+        ...data,
+        deckId: this.id,
+        source: 'Deck',
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * Clean up and dispose of resources
+   */
+  dispose() {
+    this._releaseSource();
+
+    if (this._unsubscribeEnded) {
+      this._unsubscribeEnded();
+      this._unsubscribeEnded = null;
+    }
+
+    this.equalizer.dispose();
+    this.effectsChain.dispose();
+    this.fader.disconnect();
+    this.track = null;
+  }
+}
+
+export default Deck;
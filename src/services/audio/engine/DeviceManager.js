@@ -34,7 +34,8 @@ class DeviceManager {
       deviceEnumerationSupported: false,
       deviceSelectionSupported: false,
       deviceInfoSupported: false,
-      permissionsSupported: false
+      permissionsSupported: false,
+      elementSinkSupported: false
     };
     
     // Configuration
@@ -53,13 +54,33 @@ class DeviceManager {
     
     // Device change monitoring
     this.deviceChangeMonitoringActive = false;
+
+    // Outputs playing part of the graph on another device, keyed by ID
+    this.sinkOutputs = new Map();
+    this.nextSinkOutputId = 1;
+    
+    // Initialization, started on construction or by initialize()
+    this._initPromise = null;
     
     // Initialize
     if (this.config.autoInit) {
-      this._initialize();
+      this.initialize();
     }
   }
 
+  /**
+   * Detect features, enumerate devices and watch for device changes; runs
+   * once, for managers created with autoInit off
+   * @returns {Promise<void>}
+   */
+  initialize() {
+    if (!this._initPromise) {
+      this._initPromise = this._initialize();
+    }
+    
+    return this._initPromise;
+  }
+
   /**
    * Initialize the DeviceManager
    * @private
@@ -109,6 +130,9 @@ class DeviceManager {
       typeof this.audioContext?.destination?.setSinkId === 'function'
     );
     
+    // Check for per-element output selection, used by sink outputs
+    this.features.elementSinkSupported = this._isElementSinkSupported();
+    
     // Check for device label access (requires permissions)
     this.features.deviceInfoSupported = this.features.deviceEnumerationSupported;
     
@@ -335,6 +359,117 @@ class DeviceManager {
     }
   }
 
+  /**
+   * Create an output that plays on another device than the context's
+   * destination. Audio connected to the returned node is carried over a
+   * MediaStream into a media element whose sink is set to the device.
+   * @param {string} deviceId - Device ID to play on
+   * @returns {Promise<Object|null>} Sink output { id, node, deviceId }, or null if unsupported or failed
+   */
+  async createSinkOutput(deviceId) {
+    if (!this._isElementSinkSupported()) {
+      this._emitEvent('device:error', {
+        error: new Error('Output selection for media elements not supported by browser'),
+        operation: 'createSinkOutput',
+        deviceId
+      });
+      return null;
+    }
+
+    const node = this.audioContext.createMediaStreamDestination();
+    const element = new Audio();
+    element.srcObject = node.stream;
+
+    try {
+      await element.setSinkId(deviceId);
+      await element.play();
+    } catch (error) {
+      console.error('Failed to create sink output:', error);
+      element.srcObject = null;
+      node.disconnect();
+
+      this._emitEvent('device:error', {
+        error,
+        operation: 'createSinkOutput',
+        deviceId
+      });
+      return null;
+    }
+
+    const id = `sink_${this.nextSinkOutputId++}`;
+    this.sinkOutputs.set(id, { id, node, element, deviceId });
+
+    this._emitEvent('device:sink-created', {
+      outputId: id,
+      deviceId
+    });
+
+    return { id, node, deviceId };
+  }
+
+  /**
+   * Move a sink output to another device
+   * @param {string} outputId - Sink output ID
+   * @param {string} deviceId - Device ID to play on
+   * @returns {Promise<boolean>} Success status
+   */
+  async setSinkOutputDevice(outputId, deviceId) {
+    const output = this.sinkOutputs.get(outputId);
+    if (!output) return false;
+
+    try {
+      await output.element.setSinkId(deviceId);
+      output.deviceId = deviceId;
+
+      this._emitEvent('device:sink-changed', {
+        outputId,
+        deviceId
+      });
+
+      return true;
+    } catch (error) {
+      console.error('Failed to move sink output:', error);
+      this._emitEvent('device:error', {
+        error,
+        operation: 'setSinkOutputDevice',
+        deviceId
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Stop a sink output and release its media element
+   * @param {string} outputId - Sink output ID
+   * @returns {boolean} Whether the output existed
+   */
+  closeSinkOutput(outputId) {
+    const output = this.sinkOutputs.get(outputId);
+    if (!output) return false;
+
+    output.element.pause();
+    output.element.srcObject = null;
+    output.node.disconnect();
+    this.sinkOutputs.delete(outputId);
+
+    this._emitEvent('device:sink-closed', {
+      outputId,
+      deviceId: output.deviceId
+    });
+
+    return true;
+  }
+
+  /**
+   * Check whether media elements can pick their output device
+   * @private
+   * @returns {boolean} Whether HTMLMediaElement.setSinkId is available
+   */
+  _isElementSinkSupported() {
+    return typeof HTMLMediaElement !== 'undefined' &&
+      typeof HTMLMediaElement.prototype.setSinkId === 'function';
+  }
+
   /**
    * Setup listener for device changes
    * @private
@@ -695,6 +830,10 @@ class DeviceManager {
         typeof navigator.mediaDevices.removeEventListener === 'function') {
       navigator.mediaDevices.removeEventListener('devicechange', this._handleDeviceChange);
     }
+
+    for (const outputId of [...this.sinkOutputs.keys()]) {
+      this.closeSinkOutput(outputId);
+    }
     
     this._emitEvent('device:disposed', {
       time: Date.now()
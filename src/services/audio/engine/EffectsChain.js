@@ -0,0 +1,842 @@
+/**
+ * EffectsChain.js
+ * Serial effect chain driven by a plain JSON document:
+ *
+ *   { version, name, effects: [{ id, type, params, bypass }] }
+ *
+ * Every change produces a new document. The live nodes are brought in line
+ * by diffing the old and new documents, so only added effects are created,
+ * only removed ones are disposed and reordering just rewires connections.
+ * Previous documents are kept for undo/redo, and named chains are saved
+ * through StorageService.
+ */
+import ConvolutionReverb from './ConvolutionReverb';
+import { STORAGE_KEYS, saveData, loadData } from '../../StorageService';
+
+// Document format version
+const DOCUMENT_VERSION = 1;
+
+// Impulse response used by reverb effects that do not name one
+const DEFAULT_REVERB_IR = 'preset:SMALL_ROOM';
+
+class EffectsChain {
+  /**
+   * Creates a new EffectsChain instance
+   * @param {Object} options - Configuration options
+   * @param {AudioNodeFactory} options.audioNodeFactory - Factory used to create effect nodes
+   * @param {AudioGraph} options.audioGraph - Graph the chain is wired through
+   * @param {ImpulseResponseManager} [options.impulseResponses] - IR source for reverb effects
+   * @param {EventBus} [options.EventBus] - Reference to EventBus
+   * @param {Object} [options.config] - Additional configuration options
+   */
+  constructor(options = {}) {
+    if (!options.audioNodeFactory) {
+      throw new Error('EffectsChain requires AudioNodeFactory');
+    }
+
+    if (!options.audioGraph) {
+      throw new Error('EffectsChain requires AudioGraph');
+    }
+
+    this.audioNodeFactory = options.audioNodeFactory;
+    this.audioGraph = options.audioGraph;
+    this.impulseResponses = options.impulseResponses || null;
+    this.EventBus = options.EventBus || null;
+
+    // Default configuration
+    this.config = {
+      historyLimit: 100,     // Undo steps kept
+      coalesceWindow: 500,   // Param updates to one effect within this many ms share an undo step
+      ...options.config
+    };
+
+    this.document = EffectsChain.createDocument();
+
+    // Live effects keyed by effect ID: { type, input, output, unit }
+    this.entries = new Map();
+
+    // AudioGraph connection IDs of the current wiring
+    this._connections = [];
+
+    // Undo/redo stacks of documents
+    this._undoStack = [];
+    this._redoStack = [];
+    this._lastChange = null;
+
+    this._nextEffectId = 1;
+
+    // Latest IR load per reverb unit, so a slower earlier load cannot
+    // overwrite a newer one
+    this._impulseResponseLoads = new WeakMap();
+
+    // Fixed input and output nodes so callers can connect once
+    this.inputNode = this.audioNodeFactory.createNode('gain', { gain: 1.0 });
+    this.outputNode = this.audioNodeFactory.createNode('gain', { gain: 1.0 });
+
+    this.audioGraph.registerNode(this.inputNode, { type: 'effects-input' });
+    this.audioGraph.registerNode(this.outputNode, { type: 'effects-output' });
+
+    this._rewire();
+  }
+
+  /**
+   * Create an effect chain document
+   * @param {Array<Object>} [effects] - Effects { id?, type, params, bypass }
+   * @param {string} [name] - Chain name
+   * @returns {Object} - Document
+   */
+  static createDocument(effects = [], name = null) {
+    return EffectsChain.normalizeDocument({ version: DOCUMENT_VERSION, name, effects });
+  }
+
+  /**
+   * Validate a document and return a normalized deep copy
+   * @param {Object|string} document - Document or its JSON
+   * @returns {Object} - Normalized document
+   */
+  static normalizeDocument(document) {
+    const data = typeof document === 'string' ? JSON.parse(document) : document;
+
+    if (!data || !Array.isArray(data.effects)) {
+      throw new Error('Effect chain document has no effects');
+    }
+
+    if (data.version !== undefined && data.version > DOCUMENT_VERSION) {
+      throw new Error(`Unsupported effect chain version: ${data.version}`);
+    }
+
+    const ids = new Set();
+
+    const effects = data.effects.map((effect, index) => {
+      if (!effect || typeof effect.type !== 'string' || !effect.type) {
+        throw new Error(`Effect ${index} has no type`);
+      }
+
+      const id = effect.id ? String(effect.id) : `fx_${index + 1}_${Math.floor(Math.random() * 100000)}`;
+
+      if (ids.has(id)) {
+        throw new Error(`Duplicate effect ID: ${id}`);
+      }
+      ids.add(id);
+
+      return {
+        id,
+        type: effect.type,
+        params: JSON.parse(JSON.stringify(effect.params || {})),
+        bypass: Boolean(effect.bypass)
+      };
+    });
+
+    return {
+      version: DOCUMENT_VERSION,
+      name: data.name || null,
+      effects
+    };
+  }
+
+  /**
+   * Compute the changes that turn one document into another
+   * An effect is replaced when its type changes under the same ID, or when
+   * the target drops a parameter, since the node's default is not known.
+   * @param {Object} from - Current document
+   * @param {Object} to - Target document
+   * @returns {Object} - { removed: [id], added: [effect], updated: [{ id, params }], rewire }
+   */
+  static diff(from, to) {
+    const previous = new Map(from.effects.map(effect => [effect.id, effect]));
+    const next = new Map(to.effects.map(effect => [effect.id, effect]));
+
+    const removed = [];
+    const added = [];
+    const updated = [];
+
+    const isReplaced = (current, target) => current.type !== target.type ||
+      Object.keys(current.params).some(key => !(key in target.params));
+
+    for (const [id, effect] of previous) {
+      const target = next.get(id);
+      if (!target || isReplaced(effect, target)) {
+        removed.push(id);
+      }
+    }
+
+    for (const [id, effect] of next) {
+      const current = previous.get(id);
+
+      if (!current || isReplaced(current, effect)) {
+        added.push(effect);
+        continue;
+      }
+
+      const params = {};
+      for (const [key, value] of Object.entries(effect.params)) {
+        if (JSON.stringify(value) !== JSON.stringify(current.params[key])) {
+          params[key] = value;
+        }
+      }
+
+      if (Object.keys(params).length > 0) {
+        updated.push({ id, params });
+      }
+    }
+
+    // Wiring only depends on the order of the active effects
+    const activeIds = (document) => document.effects
+      .filter(effect => !effect.bypass)
+      .map(effect => effect.id)
+      .join('|');
+
+    return {
+      removed,
+      added,
+      updated,
+      rewire: removed.length > 0 || added.length > 0 || activeIds(from) !== activeIds(to)
+    };
+  }
+
+  /**
+   * Get the node that feeds the chain
+   * @returns {GainNode} - Input node
+   */
+  getInput() {
+    return this.inputNode;
+  }
+
+  /**
+   * Get the node the chain outputs from
+   * @returns {GainNode} - Output node
+   */
+  getOutput() {
+    return this.outputNode;
+  }
+
+  /**
+   * Get a copy of the current document
+   * @returns {Object} - Document
+   */
+  getDocument() {
+    return EffectsChain.normalizeDocument(this.document);
+  }
+
+  /**
+   * Get one effect from the current document
+   * @param {string} effectId - Effect ID
+   * @returns {Object|null} - { id, type, params, bypass }
+   */
+  getEffect(effectId) {
+    const effect = this.document.effects.find(item => item.id === effectId);
+    return effect ? JSON.parse(JSON.stringify(effect)) : null;
+  }
+
+  /**
+   * Get an AudioParam of a live effect, for automation
+   * Reverbs expose their 'wet' and 'dry' levels; other effects their node's params.
+   * @param {string} effectId - Effect ID
+   * @param {string} name - Parameter name
+   * @returns {Object|null} - { param, value } with the effect's set value, or null
+   */
+  getEffectParam(effectId, name) {
+    const entry = this.entries.get(effectId);
+    if (!entry) return null;
+
+    if (entry.unit instanceof ConvolutionReverb) {
+      const node = { wet: entry.unit.wetNode, dry: entry.unit.dryNode }[name];
+      return node ? { param: node.gain, value: entry.unit.getParams()[name] } : null;
+    }
+
+    const param = entry.input[name];
+    if (!(param instanceof AudioParam)) return null;
+
+    const effect = this.document.effects.find(item => item.id === effectId);
+    const value = effect.params[name];
+
+    return { param, value: Number.isFinite(value) ? value : param.defaultValue };
+  }
+
+  /**
+   * Replace the chain with a document, changing only what differs
+   * @param {Object|string} document - Document or its JSON
+   * @returns {boolean} - Success status
+   */
+  loadDocument(document) {
+    try {
+      this._commit(EffectsChain.normalizeDocument(document), 'load');
+      return true;
+    } catch (error) {
+      console.error('[EffectsChain] Load document failed:', error);
+      this._emitEvent('effects:error', { operation: 'loadDocument', error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Add an effect
+   * @param {string} type - Effect type, e.g. 'reverb', 'filter', 'delay'
+   * @param {Object} [params] - Effect parameters
+   * @param {Object} [options] - { index, bypass }
+   * @returns {string|null} - Effect ID, or null if failed
+   */
+  addEffect(type, params = {}, options = {}) {
+    try {
+      const effects = [...this.document.effects];
+      const id = `fx_${Date.now()}_${this._nextEffectId++}`;
+      const index = options.index ?? effects.length;
+
+      effects.splice(Math.max(0, Math.min(effects.length, index)), 0, {
+        id,
+        type,
+        params,
+        bypass: Boolean(options.bypass)
+      });
+
+      this._commit(this._withEffects(effects), 'add');
+      return id;
+    } catch (error) {
+      console.error('[EffectsChain] Add effect failed:', error);
+      this._emitEvent('effects:error', { operation: 'addEffect', error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Remove an effect
+   * @param {string} effectId - Effect ID
+   * @returns {boolean} - Whether the effect was removed
+   */
+  removeEffect(effectId) {
+    if (!this._hasEffect(effectId)) return false;
+
+    return this._change(
+      this.document.effects.filter(effect => effect.id !== effectId),
+      'remove'
+    );
+  }
+
+  /**
+   * Update effect parameters
+   * Consecutive updates to the same effect are merged into one undo step.
+   * @param {string} effectId - Effect ID
+   * @param {Object} params - Parameters to change
+   * @returns {boolean} - Whether the effect was updated
+   */
+  updateEffect(effectId, params = {}) {
+    if (!this._hasEffect(effectId)) return false;
+
+    return this._change(
+      this.document.effects.map(effect => (effect.id === effectId
+        ? { ...effect, params: { ...effect.params, ...params } }
+        : effect)),
+      `update:${effectId}`
+    );
+  }
+
+  /**
+   * Bypass or re-enable an effect
+   * @param {string} effectId - Effect ID
+   * @param {boolean} bypass - Whether the effect is skipped
+   * @returns {boolean} - Whether the effect was changed
+   */
+  setBypass(effectId, bypass) {
+    if (!this._hasEffect(effectId)) return false;
+
+    return this._change(
+      this.document.effects.map(effect => (effect.id === effectId
+        ? { ...effect, bypass: Boolean(bypass) }
+        : effect)),
+      'bypass'
+    );
+  }
+
+  /**
+   * Move an effect to a new position in the chain
+   * @param {string} effectId - Effect ID
+   * @param {number} toIndex - New index
+   * @returns {boolean} - Whether the effect was moved
+   */
+  moveEffect(effectId, toIndex) {
+    const effects = [...this.document.effects];
+    const fromIndex = effects.findIndex(effect => effect.id === effectId);
+
+    if (fromIndex === -1) return false;
+
+    const [effect] = effects.splice(fromIndex, 1);
+    effects.splice(Math.max(0, Math.min(effects.length, toIndex)), 0, effect);
+
+    return this._change(effects, 'move');
+  }
+
+  /**
+   * Remove every effect
+   * @returns {boolean} - Success status
+   */
+  clear() {
+    return this._change([], 'clear');
+  }
+
+  /**
+   * Undo the last change
+   * @returns {boolean} - Whether there was a change to undo
+   */
+  undo() {
+    if (this._undoStack.length === 0) return false;
+
+    const previous = this.document;
+
+    try {
+      this._apply(this._undoStack[this._undoStack.length - 1]);
+    } catch (error) {
+      console.error('[EffectsChain] Undo failed:', error);
+      this._emitEvent('effects:error', { operation: 'undo', error: error.message });
+      return false;
+    }
+
+    this._undoStack.pop();
+    this._redoStack.push(previous);
+    this._lastChange = null;
+
+    this._emitChange('undo');
+    return true;
+  }
+
+  /**
+   * Redo the last undone change
+   * @returns {boolean} - Whether there was a change to redo
+   */
+  redo() {
+    if (this._redoStack.length === 0) return false;
+
+    const previous = this.document;
+
+    try {
+      this._apply(this._redoStack[this._redoStack.length - 1]);
+    } catch (error) {
+      console.error('[EffectsChain] Redo failed:', error);
+      this._emitEvent('effects:error', { operation: 'redo', error: error.message });
+      return false;
+    }
+
+    this._redoStack.pop();
+    this._undoStack.push(previous);
+    this._lastChange = null;
+
+    this._emitChange('redo');
+    return true;
+  }
+
+  /**
+   * Check whether undo is available
+   * @returns {boolean} - Undo availability
+   */
+  canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  /**
+   * Check whether redo is available
+   * @returns {boolean} - Redo availability
+   */
+  canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   * Save the current chain under a name
+   * @param {string} name - Chain name
+   * @returns {Promise<boolean>} - Success status
+   */
+  async saveChain(name) {
+    if (!name || !name.trim()) return false;
+
+    const chains = await this._loadSavedChains();
+    const document = { ...this.getDocument(), name: name.trim() };
+
+    chains[document.name] = { ...document, savedAt: Date.now() };
+
+    const saved = await saveData(STORAGE_KEYS.EFFECT_CHAINS, chains);
+
+    if (saved) {
+      this.document = { ...this.document, name: document.name };
+      this._emitEvent('effects:chain-saved', { name: document.name });
+    }
+
+    return saved;
+  }
+
+  /**
+   * Load a saved chain by name
+   * @param {string} name - Chain name
+   * @returns {Promise<boolean>} - Success status
+   */
+  async loadChain(name) {
+    const chains = await this._loadSavedChains();
+
+    if (!chains[name]) {
+      console.warn(`[EffectsChain] No saved chain named "${name}"`);
+      return false;
+    }
+
+    return this.loadDocument(chains[name]);
+  }
+
+  /**
+   * List saved chains
+   * @returns {Promise<Array<Object>>} - [{ name, effects (count), savedAt }]
+   */
+  async listChains() {
+    const chains = await this._loadSavedChains();
+
+    return Object.values(chains)
+      .map(chain => ({
+        name: chain.name,
+        effects: chain.effects.length,
+        savedAt: chain.savedAt || null
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Delete a saved chain
+   * @param {string} name - Chain name
+   * @returns {Promise<boolean>} - Whether the chain was deleted
+   */
+  async deleteChain(name) {
+    const chains = await this._loadSavedChains();
+
+    if (!chains[name]) return false;
+
+    delete chains[name];
+    return saveData(STORAGE_KEYS.EFFECT_CHAINS, chains);
+  }
+
+  /**
+   * Create an effect as a single node or a multi-node unit
+   * Also used for offline rendering with a factory bound to another context.
+   * @param {Object} effect - { type, params }
+   * @param {AudioNodeFactory} [nodeFactory] - Factory; defaults to the live one
+   * @param {number} [sampleRate] - Sample rate for impulse responses; defaults to the factory's context
+   * @returns {Object} - { input, output, unit, ready } where ready resolves once the effect can process audio
+   */
+  createUnit(effect, nodeFactory = this.audioNodeFactory, sampleRate = nodeFactory.audioContext.sampleRate) {
+    const params = effect.params || {};
+
+    if (effect.type === 'reverb') {
+      const unit = new ConvolutionReverb({
+        audioNodeFactory: nodeFactory,
+        params
+      });
+
+      return {
+        input: unit.getInput(),
+        output: unit.getOutput(),
+        unit,
+        ready: this._loadImpulseResponse(unit, params.impulseResponse, sampleRate)
+      };
+    }
+
+    const node = nodeFactory.createNode(effect.type, params);
+
+    if (!node) {
+      throw new Error(`Failed to create ${effect.type} effect`);
+    }
+
+    this._applyNodeParams(node, params, 0);
+
+    return { input: node, output: node, unit: null, ready: Promise.resolve(true) };
+  }
+
+  /**
+   * Record and apply a new effect list
+   * @private
+   * @param {Array<Object>} effects - New effect list
+   * @param {string} changeKey - Kind of change, for undo coalescing
+   * @returns {boolean} - Success status
+   */
+  _change(effects, changeKey) {
+    try {
+      this._commit(this._withEffects(effects), changeKey);
+      return true;
+    } catch (error) {
+      console.error('[EffectsChain] Change failed:', error);
+      this._emitEvent('effects:error', { operation: changeKey, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Apply a document and push the previous one onto the undo stack
+   * @private
+   * @param {Object} document - Normalized document
+   * @param {string} changeKey - Kind of change, for undo coalescing
+   */
+  _commit(document, changeKey) {
+    const previous = this.document;
+    const now = Date.now();
+
+    this._apply(document);
+
+    // Repeated updates to the same effect (e.g. a slider drag) share an undo step
+    const coalesce = this._lastChange &&
+      changeKey.startsWith('update:') &&
+      this._lastChange.key === changeKey &&
+      now - this._lastChange.time < this.config.coalesceWindow;
+
+    if (!coalesce) {
+      this._undoStack.push(previous);
+      if (this._undoStack.length > this.config.historyLimit) {
+        this._undoStack.shift();
+      }
+    }
+
+    this._redoStack = [];
+    this._lastChange = { key: changeKey, time: now };
+
+    this._emitChange(changeKey.split(':')[0]);
+  }
+
+  /**
+   * Bring the live nodes in line with a document
+   * Added effects are built before anything live is touched, so a failure
+   * leaves the chain and its document as they were.
+   * @private
+   * @param {Object} document - Normalized document
+   */
+  _apply(document) {
+    const changes = EffectsChain.diff(this.document, document);
+    const built = [];
+
+    try {
+      for (const effect of changes.added) {
+        built.push({ effect, ...this.createUnit(effect) });
+      }
+    } catch (error) {
+      for (const { input, unit } of built) {
+        if (unit) {
+          unit.dispose();
+        } else {
+          input.disconnect();
+        }
+      }
+      throw error;
+    }
+
+    for (const id of changes.removed) {
+      this._destroyEntry(id);
+    }
+
+    for (const { effect, input, output, unit } of built) {
+      this.audioGraph.registerNode(input, { type: effect.type, effectId: effect.id });
+      this.entries.set(effect.id, { type: effect.type, input, output, unit });
+    }
+
+    for (const { id, params } of changes.updated) {
+      this._updateEntry(id, params);
+    }
+
+    this.document = document;
+
+    if (changes.rewire) {
+      this._rewire();
+    }
+  }
+
+  /**
+   * Connect input -> active effects -> output
+   * @private
+   */
+  _rewire() {
+    for (const connectionId of this._connections) {
+      this.audioGraph.disconnect(connectionId);
+    }
+    this._connections = [];
+
+    let lastNode = this.inputNode;
+
+    for (const effect of this.document.effects) {
+      if (effect.bypass) continue;
+
+      const entry = this.entries.get(effect.id);
+      this._connections.push(this.audioGraph.connect(lastNode, entry.input));
+      lastNode = entry.output;
+    }
+
+    this._connections.push(this.audioGraph.connect(lastNode, this.outputNode));
+  }
+
+  /**
+   * Push parameter changes to a live effect
+   * @private
+   * @param {string} id - Effect ID
+   * @param {Object} params - Changed parameters
+   */
+  _updateEntry(id, params) {
+    const entry = this.entries.get(id);
+
+    if (entry.unit instanceof ConvolutionReverb) {
+      entry.unit.setParams(params);
+
+      if (params.impulseResponse) {
+        this._loadImpulseResponse(entry.unit, params.impulseResponse);
+      }
+    } else {
+      this._applyNodeParams(entry.input, params, this.audioNodeFactory.audioContext.currentTime);
+    }
+  }
+
+  /**
+   * Disconnect and dispose a live effect
+   * @private
+   * @param {string} id - Effect ID
+   */
+  _destroyEntry(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+
+    if (entry.unit) {
+      entry.unit.dispose();
+    } else {
+      entry.input.disconnect();
+    }
+
+    this.entries.delete(id);
+  }
+
+  /**
+   * Apply parameters to a single effect node
+   * @private
+   * @param {AudioNode} node - Effect node
+   * @param {Object} params - Parameters to apply
+   * @param {number} time - Context time for AudioParam changes
+   */
+  _applyNodeParams(node, params, time) {
+    for (const [param, value] of Object.entries(params)) {
+      if (node[param] instanceof AudioParam) {
+        // For AudioParams (e.g., frequency, Q, gain)
+        node[param].setValueAtTime(value, time);
+      } else if (param in node) {
+        // For regular properties (e.g., type)
+        node[param] = value;
+      }
+    }
+  }
+
+  /**
+   * Load an impulse response into a reverb unit
+   * @private
+   * @param {ConvolutionReverb} unit - Reverb unit
+   * @param {string} [impulseResponseId] - IR ID; defaults to the small room preset
+   * @param {number} [sampleRate] - IR sample rate; defaults to the live context rate
+   * @returns {Promise<boolean>} - Whether the IR was loaded; false if the unit
+   *   was disposed or another IR was requested before this one arrived
+   */
+  async _loadImpulseResponse(unit, impulseResponseId = DEFAULT_REVERB_IR, sampleRate) {
+    const token = {};
+    this._impulseResponseLoads.set(unit, token);
+
+    try {
+      if (!this.impulseResponses) {
+        throw new Error('No impulse response source available');
+      }
+
+      const buffer = await this.impulseResponses.getImpulseResponse(impulseResponseId, { sampleRate });
+
+      if (unit.disposed || this._impulseResponseLoads.get(unit) !== token) {
+        return false;
+      }
+
+      unit.setImpulseResponse(buffer);
+
+      this._emitEvent('reverb:ir-loaded', {
+        id: impulseResponseId,
+        duration: buffer.duration
+      });
+
+      return true;
+    } catch (error) {
+      console.error('[EffectsChain] Load impulse response failed:', error);
+      this._emitEvent('reverb:error', {
+        operation: 'load',
+        id: impulseResponseId,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Build a normalized document from an effect list, keeping the chain name
+   * @private
+   * @param {Array<Object>} effects - Effect list
+   * @returns {Object} - Document
+   */
+  _withEffects(effects) {
+    return EffectsChain.normalizeDocument({ ...this.document, effects });
+  }
+
+  /**
+   * Check whether an effect exists in the current document
+   * @private
+   * @param {string} effectId - Effect ID
+   * @returns {boolean} - Whether the effect exists
+   */
+  _hasEffect(effectId) {
+    return this.document.effects.some(effect => effect.id === effectId);
+  }
+
+  /**
+   * Read saved chains from storage
+   * @private
+   * @returns {Promise<Object>} - Documents keyed by name
+   */
+  async _loadSavedChains() {
+    const chains = await loadData(STORAGE_KEYS.EFFECT_CHAINS);
+    return chains && typeof chains === 'object' ? chains : {};
+  }
+
+  /**
+   * Emit the chain-changed event
+   * @private
+   * @param {string} change - Kind of change
+   */
+  _emitChange(change) {
+    this._emitEvent('effects:chain-changed', {
+      change,
+      document: this.getDocument(),
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo()
+    });
+  }
+
+  /**
+   * Emit an event through EventBus
+   * @private
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   */
+  _emitEvent(type, data) {
+    if (this.EventBus && typeof this.EventBus.emit === 'function') {
+      this.EventBus.emit(type, {
+        ...data,
+        source: 'EffectsChain',
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * Clean up and dispose of resources
+   */
+  dispose() {
+    for (const id of Array.from(this.entries.keys())) {
+      this._destroyEntry(id);
+    }
+
+    this.inputNode.disconnect();
+    this.outputNode.disconnect();
+
+    this._connections = [];
+    this._undoStack = [];
+    this._redoStack = [];
+  }
+}
+
+export default EffectsChain;
@@ -0,0 +1,510 @@
+/**
+ * ImpulseResponseManager.js
+ * Provides impulse responses for convolution reverb. Built-in IRs are
+ * synthesized from the AUDIO_EFFECTS.REVERB presets; user IRs are imported
+ * from audio files. Both are cached in IndexedDB so they survive reloads.
+ */
+import { AUDIO_EFFECTS } from '../constants/AudioParams';
+import { readFileAsArrayBuffer } from '../../FileSystemService';
+import AudioUtils from '../utils/AudioHelpers';
+
+// IndexedDB layout
+const DB_NAME = 'AudiocoreImpulseResponses';
+const DB_VERSION = 1;
+const STORE_NAME = 'impulseResponses';
+
+// ID prefixes for the two IR sources
+const PRESET_PREFIX = 'preset:';
+const USER_PREFIX = 'user:';
+
+class ImpulseResponseManager {
+  /**
+   * Creates a new ImpulseResponseManager instance
+   * @param {Object} options - Configuration options
+   * @param {AudioContext} options.audioContext - Context used for decoding and buffer creation
+   * @param {EventBus} [options.EventBus] - Reference to EventBus
+   * @param {Object} [options.config] - Additional configuration options
+   */
+  constructor(options = {}) {
+    if (!options.audioContext) {
+      throw new Error('ImpulseResponseManager requires an AudioContext');
+    }
+
+    this.audioContext = options.audioContext;
+    this.EventBus = options.EventBus || null;
+
+    // Default configuration
+    this.config = {
+      maxLength: 10,        // Longest IR kept on import, in seconds
+      minDecay: 0.3,        // RT60 for roomSize 0, in seconds
+      maxDecay: 5,          // RT60 for roomSize 1, in seconds
+      useIndexedDB: typeof indexedDB !== 'undefined',
+      ...options.config
+    };
+
+    // Decoded AudioBuffers keyed by `${id}@${sampleRate}`
+    this._bufferCache = new Map();
+
+    // Stands in for IndexedDB when it is unavailable; lasts for the session only
+    this._memoryRecords = new Map();
+  }
+
+  /**
+   * List built-in and imported impulse responses
+   * @returns {Promise<Array<Object>>} - [{ id, name, source, duration, channels }]
+   */
+  async listImpulseResponses() {
+    const presets = Object.entries(AUDIO_EFFECTS.REVERB.presets).map(([key, params]) => ({
+      id: `${PRESET_PREFIX}${key}`,
+      name: this._formatPresetName(key),
+      source: 'preset',
+      duration: this._getDecayTime(params.roomSize),
+      channels: 2
+    }));
+
+    const records = await this._readAllRecords();
+    const imported = records
+      .filter(record => record.id.startsWith(USER_PREFIX))
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(({ id, name, duration, channels }) => ({
+        id,
+        name,
+        source: 'user',
+        duration,
+        channels: channels.length
+      }));
+
+    return [...presets, ...imported];
+  }
+
+  /**
+   * Get an impulse response as an AudioBuffer
+   * @param {string} id - IR ID from listImpulseResponses()
+   * @param {Object} [options] - Options
+   * @param {number} [options.sampleRate] - Required sample rate; defaults to the context rate
+   * @returns {Promise<AudioBuffer>} - Impulse response
+   */
+  async getImpulseResponse(id, options = {}) {
+    const sampleRate = options.sampleRate || this.audioContext.sampleRate;
+    const cacheKey = `${id}@${sampleRate}`;
+
+    if (this._bufferCache.has(cacheKey)) {
+      return this._bufferCache.get(cacheKey);
+    }
+
+    let buffer;
+
+    if (id.startsWith(PRESET_PREFIX)) {
+      buffer = await this._getPresetImpulseResponse(id.slice(PRESET_PREFIX.length), sampleRate);
+    } else {
+      const record = await this._readRecord(id);
+      if (!record) {
+        throw new Error(`Unknown impulse response: ${id}`);
+      }
+      buffer = this._recordToBuffer(record, sampleRate);
+    }
+
+    this._bufferCache.set(cacheKey, buffer);
+    return buffer;
+  }
+
+  /**
+   * Import an impulse response from an audio file (usually WAV)
+   * @param {FileSystemFileHandle|File} fileHandleOrFile - IR file
+   * @param {Object} [options] - Import options
+   * @param {string} [options.name] - Display name; defaults to the file name
+   * @returns {Promise<Object|null>} - IR entry, or null if import failed
+   */
+  async importImpulseResponse(fileHandleOrFile, options = {}) {
+    try {
+      const arrayBuffer = await readFileAsArrayBuffer(fileHandleOrFile);
+      const decoded = await this.audioContext.decodeAudioData(arrayBuffer);
+
+      const maxSamples = Math.floor(this.config.maxLength * decoded.sampleRate);
+      const length = Math.min(decoded.length, maxSamples);
+
+      const channels = [];
+      for (let c = 0; c < decoded.numberOfChannels; c++) {
+        channels.push(decoded.getChannelData(c).slice(0, length));
+      }
+
+      const fileName = fileHandleOrFile.name || 'Impulse response';
+      const record = {
+        id: `${USER_PREFIX}${Date.now()}_${Math.floor(Math.random() * 10000)}`,
+        name: options.name || fileName.replace(/\.[^.]+$/, ''),
+        sampleRate: decoded.sampleRate,
+        duration: length / decoded.sampleRate,
+        channels,
+        createdAt: Date.now()
+      };
+
+      await this._writeRecord(record);
+
+      const entry = {
+        id: record.id,
+        name: record.name,
+        source: 'user',
+        duration: record.duration,
+        channels: channels.length
+      };
+
+      this._emitEvent('reverb:ir-imported', {
+        ...entry,
+        truncated: decoded.length > maxSamples
+      });
+
+      return entry;
+    } catch (error) {
+      console.error('[ImpulseResponseManager] Import failed:', error);
+      this._emitEvent('reverb:error', { operation: 'import', error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Delete an imported impulse response
+   * @param {string} id - IR ID
+   * @returns {Promise<boolean>} - Whether the IR was removed
+   */
+  async removeImpulseResponse(id) {
+    if (!id.startsWith(USER_PREFIX)) {
+      return false;
+    }
+
+    for (const key of this._bufferCache.keys()) {
+      if (key.startsWith(`${id}@`)) {
+        this._bufferCache.delete(key);
+      }
+    }
+
+    const removed = await this._deleteRecord(id);
+
+    if (removed) {
+      this._emitEvent('reverb:ir-removed', { id });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Synthesize an impulse response from reverb parameters
+   * Exponentially decaying stereo noise with a few early reflections; high
+   * frequencies decay towards the dampening frequency over the tail.
+   * @param {Object} params - { roomSize (0-1), dampening (Hz) }
+   * @param {number} [sampleRate] - Sample rate; defaults to the context rate
+   * @param {number} [seed=1] - Noise seed, so the same parameters give the same IR
+   * @returns {AudioBuffer} - Stereo impulse response
+   */
+  synthesizeImpulseResponse(params, sampleRate = this.audioContext.sampleRate, seed = 1) {
+    const roomSize = Math.max(0, Math.min(1, params.roomSize ?? AUDIO_EFFECTS.REVERB.params.roomSize.default));
+    const dampening = params.dampening ?? AUDIO_EFFECTS.REVERB.params.dampening.default;
+
+    const decay = this._getDecayTime(roomSize);
+    const length = Math.max(1, Math.floor(decay * sampleRate));
+    const buffer = this.audioContext.createBuffer(2, length, sampleRate);
+
+    // -60 dB at t = decay
+    const decayRate = Math.log(1000) / decay;
+    const nyquist = sampleRate / 2;
+    const startCutoff = Math.min(nyquist * 0.9, 16000);
+    const endCutoff = Math.min(startCutoff, Math.max(20, dampening));
+    const blockSize = 128;
+
+    for (let c = 0; c < 2; c++) {
+      const data = buffer.getChannelData(c);
+      const random = this._createRandom(seed * 2 + c);
+      let lowpass = 0;
+
+      for (let block = 0; block < length; block += blockSize) {
+        // Cutoff falls from startCutoff to the dampening frequency over the first third of the tail
+        const t = block / sampleRate;
+        const cutoff = endCutoff + (startCutoff - endCutoff) * Math.exp(-t / (decay / 3));
+        const coefficient = Math.exp(-2 * Math.PI * cutoff / sampleRate);
+        const end = Math.min(length, block + blockSize);
+
+        for (let i = block; i < end; i++) {
+          const noise = random() * 2 - 1;
+          lowpass = (1 - coefficient) * noise + coefficient * lowpass;
+          data[i] = lowpass * Math.exp(-decayRate * (i / sampleRate));
+        }
+      }
+
+      // Early reflections spread over a window that grows with the room
+      const reflectionWindow = 0.01 + roomSize * 0.07;
+      for (let r = 0; r < 6; r++) {
+        const index = Math.floor((0.002 + random() * reflectionWindow) * sampleRate);
+        if (index < length) {
+          data[index] += (random() < 0.5 ? -1 : 1) * 0.5 * (1 - r / 6);
+        }
+      }
+
+      // Short fade-in avoids a click from the first noise samples
+      const fadeIn = Math.min(length, Math.floor(0.002 * sampleRate));
+      for (let i = 0; i < fadeIn; i++) {
+        data[i] *= i / fadeIn;
+      }
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Get a built-in IR, synthesizing and caching it on first use
+   * @private
+   * @param {string} presetKey - AUDIO_EFFECTS.REVERB preset key
+   * @param {number} sampleRate - Sample rate
+   * @returns {Promise<AudioBuffer>} - Impulse response
+   */
+  async _getPresetImpulseResponse(presetKey, sampleRate) {
+    const params = AUDIO_EFFECTS.REVERB.presets[presetKey];
+    if (!params) {
+      throw new Error(`Unknown reverb preset: ${presetKey}`);
+    }
+
+    const recordId = `${PRESET_PREFIX}${presetKey}@${sampleRate}`;
+    const cached = await this._readRecord(recordId);
+
+    if (cached) {
+      return this._recordToBuffer(cached, sampleRate);
+    }
+
+    const buffer = this.synthesizeImpulseResponse(params, sampleRate);
+
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      channels.push(buffer.getChannelData(c).slice());
+    }
+
+    await this._writeRecord({
+      id: recordId,
+      name: this._formatPresetName(presetKey),
+      sampleRate,
+      duration: buffer.duration,
+      channels,
+      createdAt: Date.now()
+    });
+
+    return buffer;
+  }
+
+  /**
+   * Build an AudioBuffer from a stored record, resampling if needed
+   * @private
+   * @param {Object} record - Stored IR
+   * @param {number} sampleRate - Required sample rate
+   * @returns {AudioBuffer} - Impulse response
+   */
+  _recordToBuffer(record, sampleRate) {
+    const channels = record.sampleRate === sampleRate
+      ? record.channels
+      : record.channels.map(data => AudioUtils.resampleAudio(data, record.sampleRate, sampleRate));
+
+    const length = Math.max(1, channels[0].length);
+    const buffer = this.audioContext.createBuffer(channels.length, length, sampleRate);
+
+    channels.forEach((data, c) => buffer.copyToChannel(data, c));
+
+    return buffer;
+  }
+
+  /**
+   * RT60 for a room size
+   * @private
+   * @param {number} roomSize - Room size (0-1)
+   * @returns {number} - Decay time in seconds
+   */
+  _getDecayTime(roomSize) {
+    return this.config.minDecay + (this.config.maxDecay - this.config.minDecay) * roomSize;
+  }
+
+  /**
+   * Display name for a preset key, e.g. LARGE_HALL -> Large Hall
+   * @private
+   * @param {string} key - Preset key
+   * @returns {string} - Display name
+   */
+  _formatPresetName(key) {
+    return key
+      .toLowerCase()
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+
+  /**
+   * Seeded pseudo-random generator (mulberry32)
+   * @private
+   * @param {number} seed - Seed
+   * @returns {Function} - Returns numbers in [0, 1)
+   */
+  _createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Open the IR database
+   * @private
+   * @returns {Promise<IDBDatabase>} - Database connection
+   */
+  _openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = (event) => {
+        resolve(event.target.result);
+      };
+
+      request.onerror = () => {
+        reject(new Error('Error opening impulse response database'));
+      };
+    });
+  }
+
+  /**
+   * Run a single request against the IR store
+   * @private
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} createRequest - Receives the store, returns an IDBRequest
+   * @returns {Promise<*>} - Request result
+   */
+  async _runRequest(mode, createRequest) {
+    const db = await this._openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_NAME], mode);
+      const request = createRequest(transaction.objectStore(STORE_NAME));
+
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+
+      request.onerror = () => {
+        reject(request.error || new Error('Impulse response database request failed'));
+      };
+
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  }
+
+  /**
+   * Read a stored IR
+   * @private
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} - Record, or null if missing or storage is unavailable
+   */
+  async _readRecord(id) {
+    if (!this.config.useIndexedDB) {
+      return this._memoryRecords.get(id) || null;
+    }
+
+    try {
+      return (await this._runRequest('readonly', store => store.get(id))) || null;
+    } catch (error) {
+      console.warn('[ImpulseResponseManager] Cache read failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Read every stored IR
+   * @private
+   * @returns {Promise<Array<Object>>} - Records
+   */
+  async _readAllRecords() {
+    if (!this.config.useIndexedDB) {
+      return Array.from(this._memoryRecords.values());
+    }
+
+    try {
+      return (await this._runRequest('readonly', store => store.getAll())) || [];
+    } catch (error) {
+      console.warn('[ImpulseResponseManager] Cache read failed:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Store an IR
+   * @private
+   * @param {Object} record - Record to store
+   * @returns {Promise<boolean>} - Success status
+   */
+  async _writeRecord(record) {
+    if (!this.config.useIndexedDB) {
+      this._memoryRecords.set(record.id, record);
+      return true;
+    }
+
+    try {
+      await this._runRequest('readwrite', store => store.put(record));
+      return true;
+    } catch (error) {
+      console.warn('[ImpulseResponseManager] Cache write failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete a stored IR
+   * @private
+   * @param {string} id - Record ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async _deleteRecord(id) {
+    if (!this.config.useIndexedDB) {
+      return this._memoryRecords.delete(id);
+    }
+
+    try {
+      await this._runRequest('readwrite', store => store.delete(id));
+      return true;
+    } catch (error) {
+      console.warn('[ImpulseResponseManager] Cache delete failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Emit an event through EventBus
+   * @private
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   */
+  _emitEvent(type, data) {
+    if (this.EventBus && typeof this.EventBus.emit === 'function') {
+      this.EventBus.emit(type, {
+        ...data,
+        source: 'ImpulseResponseManager',
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * Clean up and dispose of resources
+   */
+  dispose() {
+    this._bufferCache.clear();
+    this._memoryRecords.clear();
+  }
+}
+
+export default ImpulseResponseManager;
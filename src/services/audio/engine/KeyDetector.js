@@ -0,0 +1,315 @@
+/**
+ * KeyDetector.js
+ * Offline musical key detection of whole decoded tracks. The magnitude
+ * spectrum is averaged over the track, its peaks between the configured
+ * notes are folded into a 12-bin chromagram (after estimating how far the
+ * recording is tuned from A4 = 440 Hz), and the chromagram is correlated
+ * with the 24 rotations of the Krumhansl-Kessler key profiles.
+ */
+import AudioUtils from '../utils/AudioHelpers';
+import { NOTE_FREQUENCIES, MUSICAL_KEYS } from '../constants/AudioParams';
+
+// Krumhansl-Kessler probe-tone profiles, starting on the tonic
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+class KeyDetector {
+  /**
+   * Creates a new KeyDetector instance
+   * @param {Object} options - Configuration options
+   * @param {BufferManager} [options.bufferManager] - Used to decode tracks given by URL
+   * @param {EventBus} [options.EventBus] - Reference to EventBus
+   * @param {Object} [options.config] - Additional configuration options
+   */
+  constructor(options = {}) {
+    this.bufferManager = options.bufferManager || null;
+    this.EventBus = options.EventBus || null;
+
+    // Default configuration
+    this.config = {
+      analysisRate: 11025, // Hz the mixdown is decimated to
+      frameSize: 8192,     // FFT size; about 1.3 Hz resolution at the analysis rate
+      lowestNote: 'C2',    // Notes outside this range are left out of the chromagram
+      highestNote: 'B6',
+      ...options.config
+    };
+
+    this._window = AudioUtils.createWindowFunction(this.config.frameSize, 'hann');
+  }
+
+  /**
+   * Detect the key of a single track
+   * @param {string|AudioBuffer} source - Track URL or decoded buffer
+   * @returns {Promise<Object>} - { key, camelot, tonic, mode, confidence, tuning, chroma }
+   */
+  async analyzeTrack(source) {
+    try {
+      const buffer = await AudioUtils.loadAnalysisBuffer(source, this.bufferManager, 'KeyDetector');
+      const result = await this.analyzeBuffer(buffer);
+
+      AudioUtils.emitEvent(this.EventBus, 'key:detected', {
+        url: typeof source === 'string' ? source : null,
+        key: result.key,
+        camelot: result.camelot,
+        confidence: result.confidence
+      }, 'KeyDetector');
+
+      return result;
+    } catch (error) {
+      console.error('[KeyDetector] Track analysis failed:', error);
+      AudioUtils.emitEvent(this.EventBus, 'key:error', {
+        url: typeof source === 'string' ? source : null,
+        error: error.message
+      }, 'KeyDetector');
+      throw error;
+    }
+  }
+
+  /**
+   * Detect the key of a decoded buffer
+   * The work is split into time slices so the page stays responsive.
+   * @param {AudioBuffer} buffer - Decoded audio
+   * @returns {Promise<Object>} - { key, camelot, tonic, mode, confidence, tuning, chroma };
+   *   key and camelot are null when there is nothing tonal to go on
+   */
+  async analyzeBuffer(buffer) {
+    if (!buffer || !buffer.length) {
+      throw new Error('Valid AudioBuffer required');
+    }
+
+    const { samples, rate } = AudioUtils.mixDownForAnalysis(buffer, this.config.analysisRate);
+    const spectrum = await this._averageSpectrum(samples, AudioUtils.createYielder());
+    const peaks = this._findPeaks(spectrum, rate);
+    const tuning = this._estimateTuning(peaks);
+    const chroma = this._chromagram(peaks, tuning);
+
+    const result = {
+      key: null,
+      camelot: null,
+      tonic: null,
+      mode: null,
+      confidence: 0,
+      tuning: Math.round(tuning * 100), // Cents from A4 = 440 Hz
+      chroma: Array.from(chroma, value => Math.round(value * 1000) / 1000)
+    };
+
+    if (!chroma.some(value => value > 0)) {
+      return result;
+    }
+
+    // Correlate with every key, keeping the best two
+    let best = { r: -Infinity, entry: null };
+    let second = -Infinity;
+
+    for (const entry of MUSICAL_KEYS) {
+      const profile = entry.mode === 'major' ? MAJOR_PROFILE : MINOR_PROFILE;
+      const r = this._correlate(chroma, profile, entry.tonic);
+
+      if (r > best.r) {
+        second = best.r;
+        best = { r, entry };
+      } else if (r > second) {
+        second = r;
+      }
+    }
+
+    if (!best.entry || best.r <= 0) {
+      return result;
+    }
+
+    result.key = best.entry.name;
+    result.camelot = best.entry.camelot;
+    result.tonic = best.entry.tonic;
+    result.mode = best.entry.mode;
+
+    // Clear margins over the runner-up score high; close calls (often the relative key) low
+    result.confidence = Math.round(Math.max(0, Math.min(1, (best.r - second) / best.r * 4)) * 1000) / 1000;
+
+    return result;
+  }
+
+
+  /**
+   * Mean magnitude spectrum over half-overlapping frames
+   * @private
+   * @param {Float32Array} samples - Mono samples at the analysis rate
+   * @param {Function} yieldSlice - Yields to the page between time slices
+   * @returns {Promise<Float64Array>} - Magnitude per bin up to Nyquist
+   */
+  async _averageSpectrum(samples, yieldSlice) {
+    const { frameSize } = this.config;
+    const hopSize = frameSize / 2;
+    const bins = frameSize / 2 + 1;
+    const spectrum = new Float64Array(bins);
+    const real = new Float64Array(frameSize);
+    const imag = new Float64Array(frameSize);
+    let frames = 0;
+
+    for (let start = 0; start + frameSize <= samples.length; start += hopSize) {
+      await yieldSlice();
+
+      for (let k = 0; k < frameSize; k++) {
+        real[k] = samples[start + k] * this._window[k];
+        imag[k] = 0;
+      }
+
+      AudioUtils.fft(real, imag);
+
+      for (let k = 0; k < bins; k++) {
+        spectrum[k] += Math.sqrt(real[k] * real[k] + imag[k] * imag[k]);
+      }
+
+      frames++;
+    }
+
+    if (frames > 0) {
+      for (let k = 0; k < bins; k++) {
+        spectrum[k] /= frames;
+      }
+    }
+
+    return spectrum;
+  }
+
+  /**
+   * Spectral peaks within the note range, with their height above the
+   * surrounding spectrum so that broadband noise and drums fall away
+   * @private
+   * @param {Float64Array} spectrum - Magnitude per bin
+   * @param {number} rate - Sample rate of the analyzed samples
+   * @returns {Array<Object>} - [{ midi, salience }]
+   */
+  _findPeaks(spectrum, rate) {
+    const binWidth = rate / this.config.frameSize;
+    const lowest = NOTE_FREQUENCIES[this.config.lowestNote] * Math.pow(2, -0.5 / 12);
+    const highest = NOTE_FREQUENCIES[this.config.highestNote] * Math.pow(2, 0.5 / 12);
+    const first = Math.max(1, Math.floor(lowest / binWidth));
+    const last = Math.min(spectrum.length - 2, Math.ceil(highest / binWidth));
+    const peaks = [];
+
+    for (let k = first; k <= last; k++) {
+      const value = spectrum[k];
+      if (value <= spectrum[k - 1] || value < spectrum[k + 1]) continue;
+
+      // Mean level over about a semitone either side
+      const span = Math.max(2, Math.round(k * 0.06));
+      let sum = 0;
+      let count = 0;
+
+      for (let j = Math.max(0, k - span); j <= Math.min(spectrum.length - 1, k + span); j++) {
+        sum += spectrum[j];
+        count++;
+      }
+
+      const salience = value - sum / count;
+      if (salience <= 0) continue;
+
+      // Parabolic interpolation of the peak's frequency
+      const a = spectrum[k - 1];
+      const c = spectrum[k + 1];
+      const denominator = a - 2 * value + c;
+      const offset = denominator < 0 ? 0.5 * (a - c) / denominator : 0;
+
+      peaks.push({
+        midi: AudioUtils.frequencyToMidi((k + offset) * binWidth),
+        salience
+      });
+    }
+
+    return peaks;
+  }
+
+  /**
+   * Offset of the recording's tuning from equal temperament at A4 = 440 Hz,
+   * as the salience-weighted circular mean of the peaks' deviations
+   * @private
+   * @param {Array<Object>} peaks - Spectral peaks
+   * @returns {number} - Offset in semitones (-0.5 to 0.5)
+   */
+  _estimateTuning(peaks) {
+    let x = 0;
+    let y = 0;
+
+    for (const { midi, salience } of peaks) {
+      const angle = 2 * Math.PI * (midi - Math.round(midi));
+      x += salience * Math.cos(angle);
+      y += salience * Math.sin(angle);
+    }
+
+    return x === 0 && y === 0 ? 0 : Math.atan2(y, x) / (2 * Math.PI);
+  }
+
+  /**
+   * Fold peaks into pitch classes (C = 0), normalized to a maximum of 1
+   * @private
+   * @param {Array<Object>} peaks - Spectral peaks
+   * @param {number} tuning - Tuning offset in semitones
+   * @returns {Float64Array} - Chroma vector
+   */
+  _chromagram(peaks, tuning) {
+    const chroma = new Float64Array(12);
+
+    for (const { midi, salience } of peaks) {
+      const note = midi - tuning;
+      const nearest = Math.round(note);
+
+      // Peaks between semitones say little about the pitch class
+      const weight = 1 - 2 * Math.abs(note - nearest);
+      chroma[((nearest % 12) + 12) % 12] += salience * weight;
+    }
+
+    const max = Math.max(...chroma);
+    if (max > 0) {
+      for (let i = 0; i < 12; i++) {
+        chroma[i] /= max;
+      }
+    }
+
+    return chroma;
+  }
+
+  /**
+   * Pearson correlation of the chroma vector with a profile rotated to a tonic
+   * @private
+   * @param {Float64Array} chroma - Chroma vector
+   * @param {Array<number>} profile - Key profile starting on the tonic
+   * @param {number} tonic - Tonic pitch class
+   * @returns {number} - Correlation (-1 to 1)
+   */
+  _correlate(chroma, profile, tonic) {
+    let meanChroma = 0;
+    let meanProfile = 0;
+
+    for (let i = 0; i < 12; i++) {
+      meanChroma += chroma[i] / 12;
+      meanProfile += profile[i] / 12;
+    }
+
+    let covariance = 0;
+    let varianceChroma = 0;
+    let varianceProfile = 0;
+
+    for (let i = 0; i < 12; i++) {
+      const a = chroma[(i + tonic) % 12] - meanChroma;
+      const b = profile[i] - meanProfile;
+
+      covariance += a * b;
+      varianceChroma += a * a;
+      varianceProfile += b * b;
+    }
+
+    const denominator = Math.sqrt(varianceChroma * varianceProfile);
+    return denominator > 0 ? covariance / denominator : 0;
+  }
+
+
+
+  /**
+   * Clean up and dispose of resources
+   */
+  dispose() {
+    this.bufferManager = null;
+  }
+}
+
+export default KeyDetector;
@@ -0,0 +1,465 @@
+/**
+ * LoudnessScanner.js
+ * Offline loudness measurement following ITU-R BS.1770-4 / EBU R128.
+ * Measures integrated loudness, loudness range and true peak of decoded
+ * AudioBuffers and derives ReplayGain 2.0 compatible gain values.
+ */
+import AudioUtils from '../utils/AudioHelpers';
+
+// Samples between checks for a yield in the true-peak scan
+const PEAK_YIELD_INTERVAL = 8192;
+
+class LoudnessScanner {
+  /**
+   * Creates a new LoudnessScanner instance
+   * @param {Object} options - Configuration options
+   * @param {BufferManager} [options.bufferManager] - Used to decode tracks given by URL
+   * @param {EventBus} [options.EventBus] - Reference to EventBus
+   * @param {Object} [options.config] - Additional configuration options
+   */
+  constructor(options = {}) {
+    this.bufferManager = options.bufferManager || null;
+    this.EventBus = options.EventBus || null;
+
+    // Default configuration
+    this.config = {
+      referenceLoudness: -18, // LUFS, ReplayGain 2.0 reference level
+      absoluteGate: -70,      // LUFS
+      relativeGate: -10,      // LU below the ungated loudness
+      rangeGate: -20,         // LU, relative gate for loudness range
+      oversampling: 4,        // True-peak oversampling factor
+      tapsPerPhase: 12,       // True-peak interpolation filter length per phase
+      ...options.config
+    };
+
+    // K-weighting coefficients per sample rate
+    this._filterCache = new Map();
+
+    // Polyphase interpolation filter for true-peak detection
+    this._truePeakFilter = this._designTruePeakFilter(
+      this.config.oversampling,
+      this.config.tapsPerPhase
+    );
+  }
+
+  /**
+   * Measure a single track
+   * @param {string|AudioBuffer} source - Track URL or decoded buffer
+   * @returns {Promise<Object>} - Loudness measurement
+   */
+  async scanTrack(source) {
+    try {
+      const buffer = await AudioUtils.loadAnalysisBuffer(source, this.bufferManager, 'LoudnessScanner');
+      const { result } = await this._measure(buffer);
+
+      AudioUtils.emitEvent(this.EventBus, 'loudness:scanned', {
+        url: typeof source === 'string' ? source : null,
+        ...result
+      }, 'LoudnessScanner');
+
+      return result;
+    } catch (error) {
+      console.error('[LoudnessScanner] Track scan failed:', error);
+      AudioUtils.emitEvent(this.EventBus, 'loudness:error', {
+        url: typeof source === 'string' ? source : null,
+        error: error.message
+      }, 'LoudnessScanner');
+      throw error;
+    }
+  }
+
+  /**
+   * Measure all tracks of an album and derive album gain and peak
+   * Album loudness gates the pooled blocks of every track, so it is not
+   * simply the average of the per-track values.
+   * @param {Array<string|AudioBuffer>} sources - Track URLs or decoded buffers
+   * @returns {Promise<Object>} - { tracks, album }
+   */
+  async scanAlbum(sources) {
+    const tracks = [];
+    const pooledBlocks = [];
+    let albumPeak = 0;
+
+    try {
+      for (let i = 0; i < sources.length; i++) {
+        const buffer = await AudioUtils.loadAnalysisBuffer(sources[i], this.bufferManager, 'LoudnessScanner');
+        const { result, blocks } = await this._measure(buffer);
+
+        tracks.push(result);
+        blocks.forEach(power => pooledBlocks.push(power));
+        albumPeak = Math.max(albumPeak, result.trackPeak);
+
+        AudioUtils.emitEvent(this.EventBus, 'loudness:progress', {
+          completed: i + 1,
+          total: sources.length
+        }, 'LoudnessScanner');
+
+        // Give the UI a chance to breathe between tracks
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+
+      const integrated = this._gatedLoudness(pooledBlocks);
+      const album = {
+        integrated,
+        albumGain: this._gainFromLoudness(integrated),
+        albumPeak
+      };
+
+      AudioUtils.emitEvent(this.EventBus, 'loudness:album-scanned', {
+        trackCount: tracks.length,
+        ...album
+      }, 'LoudnessScanner');
+
+      return { tracks, album };
+    } catch (error) {
+      console.error('[LoudnessScanner] Album scan failed:', error);
+      AudioUtils.emitEvent(this.EventBus, 'loudness:error', {
+        operation: 'scanAlbum',
+        error: error.message
+      }, 'LoudnessScanner');
+      throw error;
+    }
+  }
+
+  /**
+   * Measure a decoded buffer
+   * @param {AudioBuffer} buffer - Decoded audio
+   * @returns {Promise<Object>} - Loudness measurement
+   */
+  async measureBuffer(buffer) {
+    return (await this._measure(buffer)).result;
+  }
+
+  /**
+   * Run all measurements on a buffer
+   * The work is split into time slices so the page stays responsive.
+   * @private
+   * @param {AudioBuffer} buffer - Decoded audio
+   * @returns {Promise<Object>} - { result, blocks } with the 400 ms gating block powers
+   */
+  async _measure(buffer) {
+    if (!buffer || !buffer.length) {
+      throw new Error('Valid AudioBuffer required');
+    }
+
+    const { sampleRate, numberOfChannels } = buffer;
+    const coefficients = this._getKWeighting(sampleRate);
+    const stepSize = Math.round(sampleRate * 0.1); // 100 ms sub-blocks
+    const stepCount = Math.floor(buffer.length / stepSize);
+    const stepPowers = new Float64Array(stepCount);
+    let samplePeak = 0;
+    let truePeak = 0;
+    const yieldSlice = AudioUtils.createYielder();
+
+    for (let c = 0; c < numberOfChannels; c++) {
+      const weight = this._getChannelWeight(c, numberOfChannels);
+      const data = buffer.getChannelData(c);
+
+      if (weight > 0) {
+        const channelPowers = await this._kWeightedPowers(data, coefficients, stepSize, stepCount, yieldSlice);
+        for (let i = 0; i < stepCount; i++) {
+          stepPowers[i] += weight * channelPowers[i];
+        }
+      }
+
+      const peaks = await this._findPeaks(data, yieldSlice);
+      samplePeak = Math.max(samplePeak, peaks.samplePeak);
+      truePeak = Math.max(truePeak, peaks.truePeak);
+    }
+
+    // 400 ms momentary blocks with 75% overlap
+    const blocks = this._slidingMean(stepPowers, 4);
+
+    // 3 s short-term blocks, one every 100 ms
+    const shortTerm = this._slidingMean(stepPowers, 30);
+
+    const integrated = this._gatedLoudness(blocks);
+
+    const result = {
+      integrated,
+      range: this._loudnessRange(shortTerm),
+      truePeak: this._toDecibels(truePeak),
+      samplePeak: this._toDecibels(samplePeak),
+      trackGain: this._gainFromLoudness(integrated),
+      trackPeak: truePeak
+    };
+
+    return { result, blocks };
+  }
+
+  /**
+   * K-weight a channel and return its mean square per 100 ms step
+   * @private
+   */
+  async _kWeightedPowers(data, coefficients, stepSize, stepCount, yieldSlice) {
+    const { shelf, highpass } = coefficients;
+    const powers = new Float64Array(stepCount);
+
+    // Direct form I state for both biquads
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    let z1 = 0, z2 = 0;
+
+    for (let step = 0; step < stepCount; step++) {
+      let sum = 0;
+      const end = (step + 1) * stepSize;
+
+      for (let i = step * stepSize; i < end; i++) {
+        const x = data[i];
+
+        // Stage 1: high shelf modelling the head
+        const y = shelf.b0 * x + shelf.b1 * x1 + shelf.b2 * x2 - shelf.a1 * y1 - shelf.a2 * y2;
+        x2 = x1; x1 = x;
+
+        // Stage 2: RLB high-pass
+        const z = highpass.b0 * y + highpass.b1 * y1 + highpass.b2 * y2 - highpass.a1 * z1 - highpass.a2 * z2;
+        y2 = y1; y1 = y;
+        z2 = z1; z1 = z;
+
+        sum += z * z;
+      }
+
+      powers[step] = sum / stepSize;
+
+      await yieldSlice();
+    }
+
+    return powers;
+  }
+
+  /**
+   * Find sample peak and 4x oversampled true peak of a channel
+   * @private
+   */
+  async _findPeaks(data, yieldSlice) {
+    const { phases, tapsPerPhase } = this._truePeakFilter;
+    let samplePeak = 0;
+    let truePeak = 0;
+
+    for (let n = 0; n < data.length; n++) {
+      if (n % PEAK_YIELD_INTERVAL === 0) {
+        await yieldSlice();
+      }
+
+      const magnitude = Math.abs(data[n]);
+      if (magnitude > samplePeak) samplePeak = magnitude;
+
+      // Interpolated values can only exceed the sample peak near loud samples
+      const next = n + 1 < data.length ? Math.abs(data[n + 1]) : 0;
+      if (Math.max(magnitude, next) < truePeak * 0.5) continue;
+
+      for (let p = 0; p < phases.length; p++) {
+        const taps = phases[p];
+        let value = 0;
+
+        for (let k = 0; k < tapsPerPhase; k++) {
+          const index = n - k + (tapsPerPhase >> 1);
+          if (index >= 0 && index < data.length) {
+            value += taps[k] * data[index];
+          }
+        }
+
+        const interpolated = Math.abs(value);
+        if (interpolated > truePeak) truePeak = interpolated;
+      }
+    }
+
+    return { samplePeak, truePeak: Math.max(truePeak, samplePeak) };
+  }
+
+  /**
+   * Apply the absolute and relative gates and return integrated loudness
+   * @private
+   * @param {Array<number>|Float64Array} blocks - 400 ms block powers
+   * @returns {number|null} - Integrated loudness in LUFS, null if silent
+   */
+  _gatedLoudness(blocks) {
+    const absoluteThreshold = this._fromLoudness(this.config.absoluteGate);
+    const aboveAbsolute = Array.from(blocks).filter(power => power > absoluteThreshold);
+
+    if (aboveAbsolute.length === 0) return null;
+
+    const ungated = this._mean(aboveAbsolute);
+    const relativeThreshold = ungated * Math.pow(10, this.config.relativeGate / 10);
+    const gated = aboveAbsolute.filter(power => power > relativeThreshold);
+
+    return this._toLoudness(this._mean(gated));
+  }
+
+  /**
+   * Loudness range (EBU Tech 3342) from 3 s short-term block powers
+   * @private
+   * @returns {number|null} - Loudness range in LU, null if silent
+   */
+  _loudnessRange(shortTerm) {
+    const absoluteThreshold = this._fromLoudness(this.config.absoluteGate);
+    const aboveAbsolute = Array.from(shortTerm).filter(power => power > absoluteThreshold);
+
+    if (aboveAbsolute.length === 0) return null;
+
+    const relativeThreshold = this._mean(aboveAbsolute) * Math.pow(10, this.config.rangeGate / 10);
+    const loudness = aboveAbsolute
+      .filter(power => power > relativeThreshold)
+      .map(power => this._toLoudness(power))
+      .sort((a, b) => a - b);
+
+    const percentile = (p) => loudness[Math.min(loudness.length - 1, Math.floor(p * (loudness.length - 1)))];
+
+    return percentile(0.95) - percentile(0.1);
+  }
+
+  /**
+   * Mean of each run of `width` consecutive values
+   * @private
+   */
+  _slidingMean(values, width) {
+    if (values.length < width) {
+      // Shorter than one block - measure what is there
+      return values.length > 0 ? new Float64Array([this._mean(values)]) : new Float64Array(0);
+    }
+
+    const result = new Float64Array(values.length - width + 1);
+    let sum = 0;
+
+    for (let i = 0; i < values.length; i++) {
+      sum += values[i];
+      if (i >= width) sum -= values[i - width];
+      if (i >= width - 1) result[i - width + 1] = sum / width;
+    }
+
+    return result;
+  }
+
+  /**
+   * Get (and cache) K-weighting biquad coefficients for a sample rate
+   * Coefficients are derived from the BS.1770 analogue prototypes so
+   * the filter is correct at any rate, not just 48 kHz.
+   * @private
+   */
+  _getKWeighting(sampleRate) {
+    if (this._filterCache.has(sampleRate)) {
+      return this._filterCache.get(sampleRate);
+    }
+
+    // Stage 1: high shelf
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let Q = 0.7071752369554196;
+    let a0 = 1 + K / Q + K * K;
+
+    const shelf = {
+      b0: (Vh + Vb * K / Q + K * K) / a0,
+      b1: 2 * (K * K - Vh) / a0,
+      b2: (Vh - Vb * K / Q + K * K) / a0,
+      a1: 2 * (K * K - 1) / a0,
+      a2: (1 - K / Q + K * K) / a0
+    };
+
+    // Stage 2: high-pass
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+
+    const highpass = {
+      b0: 1,
+      b1: -2,
+      b2: 1,
+      a1: 2 * (K * K - 1) / a0,
+      a2: (1 - K / Q + K * K) / a0
+    };
+
+    const coefficients = { shelf, highpass };
+    this._filterCache.set(sampleRate, coefficients);
+    return coefficients;
+  }
+
+  /**
+   * Design a windowed-sinc polyphase interpolator for true-peak detection
+   * @private
+   */
+  _designTruePeakFilter(factor, tapsPerPhase) {
+    const length = factor * tapsPerPhase;
+    const center = (length - 1) / 2;
+    const phases = [];
+
+    for (let p = 0; p < factor; p++) {
+      const taps = new Float64Array(tapsPerPhase);
+      let sum = 0;
+
+      for (let k = 0; k < tapsPerPhase; k++) {
+        const n = k * factor + p;
+        const x = (n - center) / factor;
+        const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+        const window = 0.5 - 0.5 * Math.cos(2 * Math.PI * (n + 0.5) / length);
+        taps[k] = sinc * window;
+        sum += taps[k];
+      }
+
+      // Unity gain per phase
+      for (let k = 0; k < tapsPerPhase; k++) {
+        taps[k] /= sum;
+      }
+
+      phases.push(taps);
+    }
+
+    return { phases, tapsPerPhase };
+  }
+
+  /**
+   * BS.1770 channel weight (L, R, C = 1, surrounds = 1.41, LFE excluded)
+   * @private
+   */
+  _getChannelWeight(index, channelCount) {
+    if (channelCount >= 6) {
+      // WAVE/Web Audio order: L, R, C, LFE, Ls, Rs, ...
+      if (index === 3) return 0;
+      if (index >= 4) return 1.41;
+    }
+    return 1;
+  }
+
+
+  /**
+   * ReplayGain 2.0 gain for an integrated loudness
+   * @private
+   */
+  _gainFromLoudness(loudness) {
+    return loudness === null ? null : this.config.referenceLoudness - loudness;
+  }
+
+  /** @private */
+  _toLoudness(power) {
+    return -0.691 + 10 * Math.log10(power);
+  }
+
+  /** @private */
+  _fromLoudness(loudness) {
+    return Math.pow(10, (loudness + 0.691) / 10);
+  }
+
+  /** @private */
+  _toDecibels(value) {
+    return value > 0 ? 20 * Math.log10(value) : -Infinity;
+  }
+
+  /** @private */
+  _mean(values) {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      sum += values[i];
+    }
+    return values.length > 0 ? sum / values.length : 0;
+  }
+
+
+  /**
+   * Clean up and dispose of resources
+   */
+  dispose() {
+    this._filterCache.clear();
+    this.bufferManager = null;
+  }
+}
+
+export default LoudnessScanner;
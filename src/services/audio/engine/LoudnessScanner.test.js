@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import LoudnessScanner from './LoudnessScanner';
+
+const SAMPLE_RATE = 48000;
+
+// Minimal stand-in for a decoded AudioBuffer
+const createBuffer = (channels) => ({
+  sampleRate: SAMPLE_RATE,
+  numberOfChannels: channels.length,
+  length: channels[0].length,
+  getChannelData: (channel) => channels[channel]
+});
+
+const sine = (frequency, decibels, seconds) => {
+  const amplitude = Math.pow(10, decibels / 20);
+  const data = new Float32Array(Math.round(SAMPLE_RATE * seconds));
+
+  for (let i = 0; i < data.length; i++) {
+    data[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE);
+  }
+
+  return data;
+};
+
+describe('LoudnessScanner', () => {
+  it('measures a 997 Hz sine at -20 dBFS as -23 LUFS', async () => {
+    const scanner = new LoudnessScanner();
+    const result = await scanner.measureBuffer(createBuffer([sine(997, -20, 5)]));
+
+    expect(result.integrated).toBeCloseTo(-23, 1);
+    expect(result.trackGain).toBeCloseTo(5, 1);
+    expect(result.samplePeak).toBeCloseTo(-20, 1);
+    expect(result.truePeak).toBeGreaterThanOrEqual(result.samplePeak);
+    expect(result.range).toBeCloseTo(0, 1);
+  });
+
+  it('weights both channels of a stereo track', async () => {
+    const scanner = new LoudnessScanner();
+    const result = await scanner.measureBuffer(createBuffer([sine(997, -20, 5), sine(997, -20, 5)]));
+
+    expect(result.integrated).toBeCloseTo(-20, 1);
+  });
+
+  it('returns null loudness and gain for silence', async () => {
+    const scanner = new LoudnessScanner();
+    const result = await scanner.measureBuffer(createBuffer([new Float32Array(SAMPLE_RATE * 2)]));
+
+    expect(result.integrated).toBeNull();
+    expect(result.range).toBeNull();
+    expect(result.trackGain).toBeNull();
+    expect(result.samplePeak).toBe(-Infinity);
+  });
+
+  it('gates the pooled blocks of an album instead of averaging its tracks', async () => {
+    const scanner = new LoudnessScanner();
+    const loud = createBuffer([sine(997, -20, 5)]);
+    const quiet = createBuffer([sine(997, -40, 5)]);
+
+    const { tracks, album } = await scanner.scanAlbum([loud, quiet]);
+
+    expect(tracks[0].integrated).toBeCloseTo(-23, 1);
+    expect(tracks[1].integrated).toBeCloseTo(-43, 1);
+
+    // The quiet track falls below the relative gate of the pooled blocks
+    expect(album.integrated).toBeCloseTo(-23, 1);
+    expect(album.albumGain).toBeCloseTo(5, 1);
+    expect(album.albumPeak).toBeCloseTo(tracks[0].trackPeak, 6);
+  });
+
+  it('rejects an empty buffer', async () => {
+    const scanner = new LoudnessScanner();
+
+    await expect(scanner.measureBuffer(null)).rejects.toThrow('Valid AudioBuffer required');
+  });
+});
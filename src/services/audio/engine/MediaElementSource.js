@@ -0,0 +1,190 @@
+/**
+ * MediaElementSource.js
+ * Plays a streamed track through an HTMLAudioElement, which decodes as it
+ * goes instead of holding the whole file in memory. Exposes the parts of
+ * the AudioBufferSourceNode interface SourceManager uses (start, stop,
+ * loop, playbackRate, onended), so streamed and decoded tracks share one
+ * source path. Media elements start and stop on timers, so scheduling is
+ * accurate to a timer tick rather than a sample, and loop regions are not
+ * supported.
+ */
+
+// Longest delay setTimeout accepts, in seconds; later stops never fire
+const MAX_TIMER_DELAY = 2147483647 / 1000;
+
+class MediaElementSource {
+  /**
+   * Creates a new MediaElementSource instance
+   * @param {AudioContext} audioContext - Context the output node is created in
+   * @param {Object} stream - Streamed track returned by BufferManager.loadAudio()
+   */
+  constructor(audioContext, stream) {
+    if (!stream || !stream.isStream) {
+      throw new Error('MediaElementSource requires a streamed track');
+    }
+
+    this.context = audioContext;
+    this.buffer = stream;
+    this.onended = null;
+
+    // Pitch follows the rate like a buffer source; the stretch node corrects it
+    this.element = new Audio();
+    this.element.crossOrigin = 'anonymous';
+    this.element.preload = 'auto';
+    this.element.preservesPitch = false;
+    this.element.src = stream.url;
+
+    this.node = audioContext.createMediaElementSource(this.element);
+
+    // Mirrors AudioBufferSourceNode.playbackRate
+    const { element } = this;
+    this.playbackRate = {
+      get value() {
+        return element.playbackRate;
+      },
+      set value(rate) {
+        element.playbackRate = rate;
+      }
+    };
+
+    // Loop regions need sample access, so only whole-track looping is kept
+    this.loopStart = 0;
+    this.loopEnd = 0;
+
+    this.started = false;
+    this.ended = false;
+    this.startTimer = null;
+    this.stopTimer = null;
+
+    this._handleEnded = () => this._finish();
+    this.element.addEventListener('ended', this._handleEnded);
+  }
+
+  /**
+   * Whether the whole track loops
+   * @type {boolean}
+   */
+  get loop() {
+    return this.element.loop;
+  }
+
+  set loop(value) {
+    this.element.loop = Boolean(value);
+  }
+
+  /**
+   * Track position the element is playing, in seconds
+   * @type {number}
+   */
+  get currentTime() {
+    return this.element.currentTime;
+  }
+
+  /**
+   * Start playback at a context time
+   * @param {number} [when=0] - AudioContext time to start at
+   * @param {number} [offset=0] - Track position to start from, in seconds
+   * @param {number} [duration] - Track time to play, in seconds
+   */
+  start(when = 0, offset = 0, duration) {
+    if (this.started) {
+      throw new Error('MediaElementSource cannot be started more than once');
+    }
+
+    this.started = true;
+    this.element.currentTime = offset;
+
+    const begin = () => {
+      this.startTimer = null;
+
+      this.element.play().catch(error => {
+        console.error('[MediaElementSource] Playback failed:', error);
+        this._finish();
+      });
+    };
+
+    const delay = when - this.context.currentTime;
+
+    if (delay > 0) {
+      this.startTimer = setTimeout(begin, delay * 1000);
+    } else {
+      begin();
+    }
+
+    if (duration !== undefined) {
+      this.stop(Math.max(when, this.context.currentTime) + duration / this.element.playbackRate);
+    }
+  }
+
+  /**
+   * Stop playback at a context time; a later call moves the stop
+   * @param {number} [when=0] - AudioContext time to stop at
+   */
+  stop(when = 0) {
+    if (!this.started) {
+      throw new Error('MediaElementSource cannot be stopped before it is started');
+    }
+
+    clearTimeout(this.stopTimer);
+    this.stopTimer = null;
+
+    const delay = when - this.context.currentTime;
+
+    if (delay <= 0) {
+      this._finish();
+    } else if (delay < MAX_TIMER_DELAY) {
+      this.stopTimer = setTimeout(() => this._finish(), delay * 1000);
+    }
+  }
+
+  /**
+   * Connect the output node
+   * @param {AudioNode} destination - Node to connect to
+   * @returns {AudioNode} - The destination, for chaining
+   */
+  connect(destination) {
+    return this.node.connect(destination);
+  }
+
+  /**
+   * Disconnect the output node
+   */
+  disconnect() {
+    this.node.disconnect();
+  }
+
+  /**
+   * Stop the element and drop its media resource
+   */
+  release() {
+    clearTimeout(this.startTimer);
+    clearTimeout(this.stopTimer);
+    this.startTimer = null;
+    this.stopTimer = null;
+    this.ended = true;
+
+    this.element.removeEventListener('ended', this._handleEnded);
+    this.element.pause();
+    this.element.removeAttribute('src');
+    this.element.load();
+  }
+
+  /**
+   * Pause the element and fire onended once
+   * @private
+   */
+  _finish() {
+    if (this.ended) return;
+
+    this.ended = true;
+    clearTimeout(this.startTimer);
+    clearTimeout(this.stopTimer);
+    this.element.pause();
+
+    if (typeof this.onended === 'function') {
+      this.onended();
+    }
+  }
+}
+
+export default MediaElementSource;
@@ -3,6 +3,32 @@
  * Handles audio output routing, device selection, and final signal processing before playback.
  * Provides a unified interface for controlling volume, channel mapping, and output device management.
  */
+import AudioNodeFactory from './AudioNodeFactory';
+import ParametricEQ from './ParametricEQ';
+import SpatialStage from './SpatialStage';
+import ChannelMatrix from './ChannelMatrix';
+import TruePeakLimiter from './TruePeakLimiter';
+import ImpulseResponseManager from './ImpulseResponseManager';
+import EqualizerAPOParser from '../utils/EqualizerAPOParser';
+import { OUTPUT_CONFIG } from '../constants/DefaultConfig';
+
+// localStorage key for per-device correction profiles
+const CORRECTION_PROFILES_KEY = 'audiocore-correction-profiles';
+
+// localStorage key for the per-track clip log
+const CLIP_LOG_KEY = 'audiocore-clip-log';
+
+// Clips kept per track, and tracks kept in the log
+const MAX_CLIPS_PER_TRACK = 50;
+const MAX_CLIP_LOG_TRACKS = 200;
+
+// Seconds a clip keeps the clipping flag raised
+const CLIP_INDICATOR_HOLD = 2;
+
+// Seconds clips are collected before the log is written; a hot track can
+// clip many times a second
+const CLIP_LOG_SAVE_DELAY = 2;
+
 class OutputManager {
   /**
    * Creates a new OutputManager instance
@@ -10,6 +36,8 @@ class OutputManager {
    * @param {AudioEngineCore} options.audioEngineCore - Reference to AudioEngineCore
    * @param {EventBus} options.EventBus - Reference to EventBus
    * @param {DeviceManager} [options.deviceManager] - Optional reference to DeviceManager
+   * @param {AudioNodeFactory} [options.audioNodeFactory] - Factory for the correction filters
+   * @param {ImpulseResponseManager} [options.impulseResponses] - Synthesizes the spatial stage's room
    * @param {Object} [options.config] - Additional configuration
    */
   constructor(options = {}) {
@@ -22,6 +50,8 @@ class OutputManager {
     this.audioContext = this.audioEngineCore.getContext();
     this.EventBus = options.EventBus;
     this.deviceManager = options.deviceManager;
+    this.audioNodeFactory = options.audioNodeFactory || null;
+    this.impulseResponses = options.impulseResponses || null;
     
     // Initialize state
     this.state = {
@@ -29,24 +59,43 @@ class OutputManager {
       muted: options.config?.muted ?? false,
       previousVolume: 0.8, // For mute/unmute functionality
       clippingDetected: false,
-      clippingCount: 0,
       peakLevel: -100,
-      limiterActive: false
+      gainReduction: 0,
+      limiterActive: true
     };
 
     // Configuration
     this.config = {
-      autoProtection: options.config?.autoProtection ?? true,
       channelMode: options.config?.channelMode ?? 'stereo',
       monitorLevels: options.config?.monitorLevels ?? true,
       deviceSwitchBehavior: options.config?.deviceSwitchBehavior ?? 'auto',
-      limiterThreshold: options.config?.limiterThreshold ?? -1.0,
-      limiterRatio: options.config?.limiterRatio ?? 20,
-      limiterAttack: options.config?.limiterAttack ?? 0.003,
-      limiterRelease: options.config?.limiterRelease ?? 0.01,
+      limiterCeiling: options.config?.limiterCeiling ?? OUTPUT_CONFIG.master.limiterCeiling,
+      limiterRelease: options.config?.limiterRelease ?? OUTPUT_CONFIG.master.limiterRelease,
+      limiterLookahead: options.config?.limiterLookahead ?? OUTPUT_CONFIG.master.limiterLookahead,
+      correctionEnabled: options.config?.correctionEnabled ?? true,
+      spatial: options.config?.spatial ?? { mode: 'off' },
+      channelMatrix: options.config?.channelMatrix ?? 'passthrough',
+      surroundUpmix: options.config?.surroundUpmix ?? false,
       ...options.config
     };
     
+    // Headphone correction profiles keyed by output device ID
+    this.correction = {
+      profiles: new Map(),
+      activeDeviceId: null,
+      enabled: this.config.correctionEnabled
+    };
+    
+    // Unsubscribe functions for DeviceManager events
+    this._deviceSubscriptions = [];
+    
+    // Clip log keyed by track URL, and the track clips are logged against
+    this.clipLog = new Map();
+    this.currentTrackUrl = null;
+    this._playbackSubscriptions = [];
+    this._clipIndicatorTimer = null;
+    this._clipLogSaveTimer = null;
+    
     // Initialize node chain for output processing
     this.outputChain = null;
     
@@ -69,6 +118,15 @@ class OutputManager {
       // Create output processing chain
       this._setupOutputChain();
       
+      // Restore correction profiles and apply the one for the current device
+      this.currentDevice = this.deviceManager?.getSelectedDevice() || null;
+      this._loadCorrectionProfiles();
+      this._applyCorrectionForDevice(this.currentDevice);
+      
+      // Restore the clip log and follow the playing track
+      this._loadClipLog();
+      this._trackPlayback();
+      
       // Set initial volume
       this.setVolume(this.state.volume, 0);
       
@@ -105,34 +163,65 @@ class OutputManager {
     if (!this.audioContext) return;
     
     try {
+      if (!this.audioNodeFactory) {
+        this.audioNodeFactory = new AudioNodeFactory({ audioContext: this.audioContext });
+      }
+      
+      if (!this.impulseResponses) {
+        this.impulseResponses = new ImpulseResponseManager({ audioContext: this.audioContext });
+      }
+      
       // Create nodes for output chain
       this.outputChain = {
         // Input gain for volume control
         volumeNode: this.audioContext.createGain(),
         
-        // Dynamics compressor acting as a limiter
-        limiterNode: this.audioContext.createDynamicsCompressor(),
+        // Downmix, upmix or mono sum; passes through by default
+        channelMatrix: new ChannelMatrix({
+          audioNodeFactory: this.audioNodeFactory,
+          matrix: this.config.channelMatrix
+        }),
+        
+        // Virtual speakers or crossfeed for headphones; passes through when off
+        spatialStage: new SpatialStage({
+          audioNodeFactory: this.audioNodeFactory,
+          impulseResponses: this.impulseResponses,
+          params: this.config.spatial
+        }),
+        
+        // Headphone correction EQ; transparent until a profile is applied.
+        // Profiles give their shelves a Q, so shelves follow it exactly.
+        correctionEQ: new ParametricEQ({
+          audioNodeFactory: this.audioNodeFactory,
+          config: { exactShelfQ: true }
+        }),
+        
+        // True-peak lookahead limiter; a compressor stands in until its worklet loads
+        limiter: new TruePeakLimiter({
+          audioContext: this.audioContext,
+          onClip: (clip) => this._logClip(clip),
+          config: {
+            ceiling: this.config.limiterCeiling,
+            release: this.config.limiterRelease,
+            lookahead: this.config.limiterLookahead
+          }
+        }),
         
         // SignalProcessor for output level monitoring
         levelSignalProcessor: this.audioContext.createAnalyser()
       };
       
-      // Configure limiter as a brick wall to prevent clipping
-      const limiter = this.outputChain.limiterNode;
-      limiter.threshold.value = this.config.limiterThreshold;
-      limiter.ratio.value = this.config.limiterRatio;
-      limiter.attack.value = this.config.limiterAttack;
-      limiter.release.value = this.config.limiterRelease;
-      limiter.knee.value = 0.0; // Hard knee for brick wall limiting
-      
       // Configure SignalProcessor for level monitoring
       const SignalProcessor = this.outputChain.levelSignalProcessor;
       SignalProcessor.fftSize = 256; // Small size is sufficient for level monitoring
       SignalProcessor.smoothingTimeConstant = 0.3;
       
       // Connect the chain
-      this.outputChain.volumeNode.connect(this.outputChain.limiterNode);
-      this.outputChain.limiterNode.connect(this.outputChain.levelSignalProcessor);
+      this.outputChain.volumeNode.connect(this.outputChain.channelMatrix.getInput());
+      this.outputChain.channelMatrix.getOutput().connect(this.outputChain.spatialStage.getInput());
+      this.outputChain.spatialStage.getOutput().connect(this.outputChain.correctionEQ.getInput());
+      this._routeLimiter();
+      this.outputChain.limiter.getOutput().connect(this.outputChain.levelSignalProcessor);
       
       // Use the master gain node from AudioEngineCore as the final destination
       const masterNode = this.audioEngineCore.getMasterNode();
@@ -144,7 +233,21 @@ class OutputManager {
       }
       
       this._emitEvent('output:chain-created', {
-        limiterActive: true
+        limiterActive: this.state.limiterActive,
+        channelMatrix: this.config.channelMatrix
+      });
+      
+      // Switch to true-peak limiting once the worklet is loaded
+      this.outputChain.limiter.initialize().then(truePeak => {
+        if (this.outputChain.limiter.disposed) return;
+        
+        this._routeLimiter();
+        
+        this._emitEvent('output:limiter-ready', {
+          ...this.outputChain.limiter.getParams(),
+          truePeak,
+          latency: this.outputChain.limiter.getLatency()
+        });
       });
     } catch (error) {
       console.error('Failed to setup output chain:', error);
@@ -157,73 +260,41 @@ class OutputManager {
   }
 
   /**
-   * Start monitoring output levels to detect clipping
+   * Start polling the limiter meter for output levels
    * @private
    */
   _startOutputMonitoring() {
     if (!this.outputChain || !this.outputChain.levelSignalProcessor) return;
     
-    // Create buffer for SignalProcessor data
-    const SignalProcessorBuffer = new Float32Array(this.outputChain.levelSignalProcessor.frequencyBinCount);
+    // Sample-peak fallback while the limiter has no true-peak reading
+    const samples = new Float32Array(this.outputChain.levelSignalProcessor.fftSize);
+    let ticks = 0;
     
-    // Setup monitoring interval (100ms is usually good enough for level monitoring)
     this.monitoringInterval = setInterval(() => {
-      // Get frequency data (in dB scale)
-      this.outputChain.levelSignalProcessor.getFloatFrequencyData(SignalProcessorBuffer);
-      
-      // Find peak level across all frequency bins
-      let maxLevel = -100;
-      for (let i = 0; i < SignalProcessorBuffer.length; i++) {
-        if (SignalProcessorBuffer[i] > maxLevel) {
-          maxLevel = SignalProcessorBuffer[i];
-        }
-      }
-      
-      // Update peak level
-      this.state.peakLevel = maxLevel;
+      const meter = this.outputChain.limiter.getMeter();
+      let peak = meter.truePeak;
       
-      // Check for levels approaching 0dB (potential clipping)
-      if (maxLevel > -3.0) {
-        this.state.clippingCount++;
+      if (peak === null) {
+        this.outputChain.levelSignalProcessor.getFloatTimeDomainData(samples);
         
-        if (this.state.clippingCount > 3) {
-          // Consider clipping detected after multiple high readings
-          if (!this.state.clippingDetected) {
-            this.state.clippingDetected = true;
-            
-            this._emitEvent('output:clipping-detected', {
-              level: maxLevel,
-              time: this.audioContext.currentTime
-            });
-            
-            // Auto-reduce volume if enabled
-            if (this.config.autoProtection && !this.state.muted) {
-              // Reduce by 3dB
-              const newVolume = Math.max(0.1, this.state.volume * 0.7);
-              this.setVolume(newVolume, 0.1); // With slight fade
-            }
-          }
+        let maxSample = 0;
+        for (let i = 0; i < samples.length; i++) {
+          maxSample = Math.max(maxSample, Math.abs(samples[i]));
         }
-      } else {
-        // Reset clipping counter when levels are safe
-        this.state.clippingCount = 0;
         
-        if (this.state.clippingDetected) {
-          this.state.clippingDetected = false;
-          
-          this._emitEvent('output:clipping-resolved', {
-            level: maxLevel,
-            time: this.audioContext.currentTime
-          });
-        }
+        peak = maxSample > 0 ? 20 * Math.log10(maxSample) : -100;
       }
       
+      this.state.peakLevel = Math.max(-100, peak);
+      this.state.gainReduction = meter.gainReduction;
+      
       // Emit level updates at lower frequency to avoid event flood
-      if (this.monitoringInterval % 5 === 0) {
+      if (++ticks % 5 === 0) {
         this._emitEvent('output:levels', {
-          peak: maxLevel,
+          peak: this.state.peakLevel,
+          truePeak: meter.truePeak !== null,
           clipping: this.state.clippingDetected,
-          reduction: this.outputChain.limiterNode.reduction || 0
+          reduction: this.state.gainReduction
         });
       }
     }, 100);
@@ -237,21 +308,24 @@ class OutputManager {
     if (!this.deviceManager) return;
     
     // Listen for device changes
-    this.deviceManager.on('device:changed', (deviceInfo) => {
-      this.currentDevice = deviceInfo.device;
+    this._deviceSubscriptions.push(this.deviceManager.on('device:selected', (event) => {
+      const device = event.data?.device;
+      if (!device) return;
+      
+      this.currentDevice = device;
       
       // Adjust settings for new device
-      this._optimizeForDevice(deviceInfo.device);
+      this._optimizeForDevice(device);
       
       this._emitEvent('output:device-changed', {
-        device: deviceInfo.device
+        device
       });
-    });
+    }));
     
     // Listen for device errors
-    this.deviceManager.on('device:error', (error) => {
-      this._emitEvent('output:device-error', error);
-    });
+    this._deviceSubscriptions.push(this.deviceManager.on('device:error', (event) => {
+      this._emitEvent('output:device-error', event.data);
+    }));
   }
 
   /**
@@ -262,11 +336,22 @@ class OutputManager {
   _optimizeForDevice(device) {
     if (!device) return;
     
+    // Switch to the correction profile bound to this device, if any
+    this._applyCorrectionForDevice(device);
+    
     // Adjust channel configuration based on device capabilities
     if (device.maxChannels && this.audioContext.destination) {
       this.audioEngineCore.setChannelCount(
         Math.min(device.maxChannels, this.audioContext.destination.maxChannelCount)
       );
+      
+      // An upmix the device cannot play falls back to the browser's own mapping
+      const matrixChannels = this.outputChain?.channelMatrix.getOutputChannels();
+      if (matrixChannels && matrixChannels > this.audioContext.destination.channelCount) {
+        this.setChannelMatrix('passthrough');
+      } else {
+        this._routeLimiter();
+      }
     }
     
     // Apply device-specific optimizations
@@ -284,7 +369,8 @@ class OutputManager {
     this._emitEvent('output:device-optimized', {
       device,
       channelCount: this.audioContext.destination.channelCount,
-      optimization: device.type || 'standard'
+      optimization: device.type || 'standard',
+      correctionProfile: this.getCorrectionProfile(device.id)?.name || null
     });
   }
 
@@ -294,9 +380,8 @@ class OutputManager {
    */
   _adjustForBluetoothDevice() {
     // Bluetooth needs more aggressive limiting to prevent audio glitches
-    if (this.outputChain && this.outputChain.limiterNode) {
-      this.outputChain.limiterNode.threshold.value = -3.0; // More aggressive threshold
-      this.outputChain.limiterNode.attack.value = 0.001; // Faster attack
+    if (this.outputChain) {
+      this.outputChain.limiter.setCeiling(Math.min(this.config.limiterCeiling, -3.0));
     }
     
     // Bluetooth typically needs higher latency hint
@@ -319,6 +404,13 @@ class OutputManager {
       // Configure for surround sound
       this.audioEngineCore.setChannelCount(maxChannels);
       
+      // Spread stereo sources over the speakers when asked to
+      if (this.config.surroundUpmix && this.audioContext.destination.channelCount >= 6) {
+        this.setChannelMatrix('upmix-5.1');
+      } else {
+        this._routeLimiter();
+      }
+      
       // Emit event for any components that need to adjust for surround
       this._emitEvent('output:surround-enabled', {
         channels: maxChannels
@@ -534,10 +626,75 @@ class OutputManager {
     return {
       peak: this.state.peakLevel,
       clipping: this.state.clippingDetected,
-      reduction: this.outputChain?.limiterNode?.reduction || 0
+      reduction: this.state.gainReduction
+    };
+  }
+
+  /**
+   * Set the limiter ceiling
+   * @param {number} ceiling - Ceiling in dBTP (-20 to 0)
+   * @returns {boolean} Success status
+   */
+  setLimiterCeiling(ceiling) {
+    if (!this.outputChain) return false;
+    
+    this.outputChain.limiter.setCeiling(ceiling);
+    this.config.limiterCeiling = this.outputChain.limiter.getParams().ceiling;
+    
+    this._emitEvent('output:limiter-changed', this.getLimiterParams());
+    
+    return true;
+  }
+
+  /**
+   * Get the limiter settings
+   * @returns {Object|null} { ceiling, release, lookahead, enabled, truePeak, latency }
+   */
+  getLimiterParams() {
+    if (!this.outputChain) return null;
+    
+    return {
+      ...this.outputChain.limiter.getParams(),
+      latency: this.outputChain.limiter.getLatency()
     };
   }
 
+  /**
+   * Get the clips logged for a track
+   * @param {string} [url] - Track URL; defaults to the playing track
+   * @returns {Object|null} { url, clipCount, maxOvershoot, lastClipAt, clips }
+   */
+  getClipLog(url = this.currentTrackUrl) {
+    const entry = this.clipLog.get(url);
+    return entry ? { ...entry, clips: [...entry.clips] } : null;
+  }
+
+  /**
+   * Get every track with logged clips, hottest first
+   * @returns {Array<Object>} Entries as returned by getClipLog()
+   */
+  getClipLogs() {
+    return Array.from(this.clipLog.keys())
+      .map(url => this.getClipLog(url))
+      .sort((a, b) => b.maxOvershoot - a.maxOvershoot);
+  }
+
+  /**
+   * Forget the clips logged for one track, or for all tracks
+   * @param {string} [url] - Track URL; omit to clear the whole log
+   */
+  clearClipLog(url) {
+    if (url === undefined) {
+      this.clipLog.clear();
+    } else {
+      this.clipLog.delete(url);
+    }
+    
+    this._saveClipLog();
+    
+    this._emitEvent('output:clip-log-cleared', { url: url ?? null });
+  }
+
   /**
    * Bypass processing (for performance optimization)
    * @param {boolean} bypass - Whether to bypass
@@ -554,7 +711,7 @@ class OutputManager {
       } else {
         // Restore normal processing chain
         this.outputChain.volumeNode.disconnect();
-        this.outputChain.volumeNode.connect(this.outputChain.limiterNode);
+        this.outputChain.volumeNode.connect(this.outputChain.channelMatrix.getInput());
       }
       
       this._emitEvent('output:bypass-changed', {
@@ -568,6 +725,426 @@ class OutputManager {
     }
   }
 
+  /**
+   * Map the output channels through a downmix, upmix or mono sum matrix
+   * @param {string} name - CHANNEL_MATRICES key: 'passthrough', 'downmix-5.1',
+   *   'downmix-7.1', 'upmix-5.1' or 'mono'
+   * @param {Object} [options] - Matrix options
+   * @param {boolean} [options.includeLfe=false] - Fold the LFE into a downmix instead of dropping it
+   * @returns {boolean} Success status
+   */
+  setChannelMatrix(name, options = {}) {
+    if (!this.outputChain) return false;
+    
+    try {
+      const matrix = this.outputChain.channelMatrix;
+      
+      if (!matrix.setMatrix(name, options)) {
+        throw new Error(`Unknown channel matrix: ${name}`);
+      }
+      
+      this.config.channelMatrix = name;
+      this._routeLimiter();
+      
+      this._emitEvent('output:matrix-changed', {
+        ...matrix.getMatrix(),
+        limiterActive: this.state.limiterActive
+      });
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to set channel matrix:', error);
+      this._emitEvent('output:error', {
+        error,
+        component: 'OutputManager',
+        operation: 'setChannelMatrix'
+      });
+      
+      return false;
+    }
+  }
+
+  /**
+   * Get the active channel matrix
+   * @returns {Object|null} { name, label, inputs, outputs, includeLfe, gains }
+   */
+  getChannelMatrix() {
+    return this.outputChain ? this.outputChain.channelMatrix.getMatrix() : null;
+  }
+
+  /**
+   * Route the processed signal through the limiter, sized to the channel
+   * count the matrix outputs
+   * @private
+   */
+  _routeLimiter() {
+    const { correctionEQ, limiter, channelMatrix } = this.outputChain;
+    const outputChannels = channelMatrix.getOutputChannels() ||
+      this.audioContext.destination?.channelCount || 2;
+    
+    limiter.setChannelCount(outputChannels);
+    
+    correctionEQ.getOutput().disconnect();
+    correctionEQ.getOutput().connect(limiter.getInput());
+  }
+
+  /**
+   * Follow the playing track so clips are logged against it
+   * @private
+   */
+  _trackPlayback() {
+    const setTrack = (url) => {
+      this.currentTrackUrl = url || null;
+    };
+    
+    this._playbackSubscriptions = [
+      this.on('playback:started', (event) => setTrack(event.data?.url)),
+      this.on('track:transition', (event) => setTrack(event.data?.url)),
+      this.on('playback:stopped', () => setTrack(null)),
+      this.on('playback:ended', () => setTrack(null))
+    ];
+  }
+
+  /**
+   * Record a run of input peaks over the limiter ceiling
+   * @private
+   * @param {Object} clip - { time, duration, truePeak, overshoot } from the limiter
+   */
+  _logClip(clip) {
+    const url = this.currentTrackUrl || 'unknown';
+    const entry = this.clipLog.get(url) || { url, clipCount: 0, maxOvershoot: 0, lastClipAt: null, clips: [] };
+    
+    const record = {
+      timestamp: Date.now(),
+      contextTime: clip.time,
+      duration: clip.duration,
+      truePeak: clip.truePeak,
+      overshoot: clip.overshoot
+    };
+    
+    entry.clipCount++;
+    entry.maxOvershoot = Math.max(entry.maxOvershoot, clip.overshoot);
+    entry.lastClipAt = record.timestamp;
+    entry.clips = [...entry.clips, record].slice(-MAX_CLIPS_PER_TRACK);
+    
+    // Re-insert so the most recently clipped track is last to be evicted
+    this.clipLog.delete(url);
+    this.clipLog.set(url, entry);
+    
+    if (this.clipLog.size > MAX_CLIP_LOG_TRACKS) {
+      this.clipLog.delete(this.clipLog.keys().next().value);
+    }
+    
+    this._scheduleClipLogSave();
+    
+    // Hold the clipping flag briefly so meters can show it
+    this.state.clippingDetected = true;
+    clearTimeout(this._clipIndicatorTimer);
+    this._clipIndicatorTimer = setTimeout(() => {
+      this.state.clippingDetected = false;
+    }, CLIP_INDICATOR_HOLD * 1000);
+    
+    this._emitEvent('output:clip', {
+      url,
+      ...record
+    });
+  }
+
+  /**
+   * Persist the clip log shortly, writing the clips logged meanwhile together
+   * @private
+   */
+  _scheduleClipLogSave() {
+    if (this._clipLogSaveTimer) return;
+    
+    this._clipLogSaveTimer = setTimeout(() => this._saveClipLog(), CLIP_LOG_SAVE_DELAY * 1000);
+  }
+
+  /**
+   * Persist the clip log
+   * @private
+   */
+  _saveClipLog() {
+    clearTimeout(this._clipLogSaveTimer);
+    this._clipLogSaveTimer = null;
+    
+    try {
+      if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(CLIP_LOG_KEY, JSON.stringify(Array.from(this.clipLog.values())));
+      }
+    } catch (error) {
+      console.warn('Failed to save clip log:', error);
+    }
+  }
+
+  /**
+   * Restore the persisted clip log
+   * @private
+   */
+  _loadClipLog() {
+    try {
+      if (typeof localStorage === 'undefined') return;
+      
+      const stored = JSON.parse(localStorage.getItem(CLIP_LOG_KEY) || '[]');
+      
+      for (const entry of stored) {
+        if (entry && entry.url && Array.isArray(entry.clips)) {
+          this.clipLog.set(entry.url, entry);
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to load clip log:', error);
+    }
+  }
+
+  /**
+   * Switch the spatial stage between pass-through, binaural speakers and crossfeed
+   * @param {string} mode - 'off', 'binaural' or 'crossfeed'
+   * @returns {boolean} Success status
+   */
+  setSpatialMode(mode) {
+    return this.setSpatialParams({ mode });
+  }
+
+  /**
+   * Update the spatial stage
+   * @param {Object} params - Any of { mode, speakerAngle (degrees), distance (m),
+   *   roomSize (0-1), crossfeedLevel (dB), crossfeedCutoff (Hz) }
+   * @returns {boolean} Success status
+   */
+  setSpatialParams(params = {}) {
+    if (!this.outputChain) return false;
+    
+    try {
+      const stage = this.outputChain.spatialStage;
+      
+      if (params.mode !== undefined && !stage.setMode(params.mode)) {
+        throw new Error(`Unknown spatial mode: ${params.mode}`);
+      }
+      
+      stage.setParams(params);
+      this.config.spatial = stage.getParams();
+      
+      this._emitEvent('output:spatial-changed', { ...this.config.spatial });
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to set spatial stage:', error);
+      this._emitEvent('output:error', {
+        error,
+        component: 'OutputManager',
+        operation: 'setSpatialParams'
+      });
+      
+      return false;
+    }
+  }
+
+  /**
+   * Get the spatial stage settings
+   * @returns {Object} { mode, speakerAngle, distance, roomSize, crossfeedLevel, crossfeedCutoff }
+   */
+  getSpatialParams() {
+    return this.outputChain ? this.outputChain.spatialStage.getParams() : { ...this.config.spatial };
+  }
+
+  /**
+   * Import a headphone correction profile and bind it to an output device.
+   * The profile becomes active immediately if the device is the current output.
+   * @param {string|Object} profile - Equalizer APO text, or { preamp, bands }
+   * @param {Object} [options] - Import options
+   * @param {string} [options.deviceId] - Device to bind to; defaults to the current device
+   * @param {string} [options.name] - Display name for the profile
+   * @returns {Object|null} - Stored profile plus the parser's warnings, or null if import failed
+   */
+  loadCorrectionProfile(profile, options = {}) {
+    try {
+      const parsed = typeof profile === 'string'
+        ? EqualizerAPOParser.parse(profile)
+        : { preamp: profile.preamp || 0, bands: profile.bands || [], warnings: [] };
+      
+      const deviceId = options.deviceId || this._resolveDeviceId(this.currentDevice);
+      
+      const stored = {
+        deviceId,
+        name: options.name || profile.name || 'Headphone correction',
+        preamp: parsed.preamp,
+        bands: parsed.bands,
+        importedAt: Date.now()
+      };
+      
+      // Validate against the EQ before storing so bad profiles are rejected up front
+      const previewEQ = new ParametricEQ({ audioNodeFactory: this.audioNodeFactory });
+      const valid = previewEQ.loadPreset({ masterGain: stored.preamp, bands: stored.bands });
+      previewEQ.dispose();
+      
+      if (!valid) {
+        throw new Error('Profile contains invalid filters');
+      }
+      
+      this.correction.profiles.set(deviceId, stored);
+      this._saveCorrectionProfiles();
+      
+      this._emitEvent('output:correction-loaded', {
+        deviceId,
+        name: stored.name,
+        bands: stored.bands.length,
+        preamp: stored.preamp,
+        warnings: parsed.warnings
+      });
+      
+      if (deviceId === this._resolveDeviceId(this.currentDevice)) {
+        this._applyCorrectionForDevice(this.currentDevice);
+      }
+      
+      return { ...stored, warnings: parsed.warnings };
+    } catch (error) {
+      console.error('Failed to load correction profile:', error);
+      this._emitEvent('output:error', {
+        error,
+        component: 'OutputManager',
+        operation: 'loadCorrectionProfile'
+      });
+      
+      return null;
+    }
+  }
+
+  /**
+   * Remove the correction profile bound to a device
+   * @param {string} [deviceId] - Device ID; defaults to the current device
+   * @returns {boolean} Whether a profile was removed
+   */
+  removeCorrectionProfile(deviceId = this._resolveDeviceId(this.currentDevice)) {
+    if (!this.correction.profiles.delete(deviceId)) {
+      return false;
+    }
+    
+    this._saveCorrectionProfiles();
+    
+    this._emitEvent('output:correction-removed', { deviceId });
+    
+    if (deviceId === this.correction.activeDeviceId) {
+      this._applyCorrectionForDevice(this.currentDevice);
+    }
+    
+    return true;
+  }
+
+  /**
+   * Get the correction profile bound to a device
+   * @param {string} [deviceId] - Device ID; defaults to the current device
+   * @returns {Object|null} Profile { deviceId, name, preamp, bands, importedAt }
+   */
+  getCorrectionProfile(deviceId = this._resolveDeviceId(this.currentDevice)) {
+    const profile = this.correction.profiles.get(deviceId);
+    return profile ? { ...profile } : null;
+  }
+
+  /**
+   * Get all stored correction profiles
+   * @returns {Array<Object>} Profiles
+   */
+  getCorrectionProfiles() {
+    return Array.from(this.correction.profiles.values()).map(profile => ({ ...profile }));
+  }
+
+  /**
+   * Enable or bypass headphone correction
+   * @param {boolean} enabled - Whether correction is applied
+   */
+  setCorrectionEnabled(enabled) {
+    this.correction.enabled = Boolean(enabled);
+    this.outputChain?.correctionEQ.setEnabled(this.correction.enabled);
+    
+    this._emitEvent('output:correction-enabled-changed', {
+      enabled: this.correction.enabled
+    });
+  }
+
+  /**
+   * Check whether headphone correction is enabled
+   * @returns {boolean} Enabled state
+   */
+  isCorrectionEnabled() {
+    return this.correction.enabled;
+  }
+
+  /**
+   * Load the correction profile for a device into the correction stage
+   * @private
+   * @param {Object|null} device - Device information
+   */
+  _applyCorrectionForDevice(device) {
+    if (!this.outputChain) return;
+    
+    const deviceId = this._resolveDeviceId(device);
+    const profile = this.correction.profiles.get(deviceId);
+    const correctionEQ = this.outputChain.correctionEQ;
+    
+    // A device without a profile gets a flat, transparent stage
+    correctionEQ.loadPreset({
+      enabled: this.correction.enabled,
+      masterGain: profile ? profile.preamp : 0,
+      bands: profile ? profile.bands : []
+    });
+    
+    this.correction.activeDeviceId = profile ? deviceId : null;
+    
+    this._emitEvent('output:correction-applied', {
+      deviceId,
+      name: profile ? profile.name : null,
+      active: Boolean(profile) && this.correction.enabled
+    });
+  }
+
+  /**
+   * Get the ID a profile is bound under for a device
+   * @private
+   * @param {Object|null} device - Device information
+   * @returns {string} Device ID
+   */
+  _resolveDeviceId(device) {
+    return device?.id || 'default';
+  }
+
+  /**
+   * Persist correction profiles
+   * @private
+   */
+  _saveCorrectionProfiles() {
+    try {
+      if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(
+          CORRECTION_PROFILES_KEY,
+          JSON.stringify(this.getCorrectionProfiles())
+        );
+      }
+    } catch (error) {
+      console.warn('Failed to save correction profiles:', error);
+    }
+  }
+
+  /**
+   * Restore persisted correction profiles
+   * @private
+   */
+  _loadCorrectionProfiles() {
+    try {
+      if (typeof localStorage === 'undefined') return;
+      
+      const stored = JSON.parse(localStorage.getItem(CORRECTION_PROFILES_KEY) || '[]');
+      
+      for (const profile of stored) {
+        if (profile && profile.deviceId && Array.isArray(profile.bands)) {
+          this.correction.profiles.set(profile.deviceId, profile);
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to load correction profiles:', error);
+    }
+  }
+
   /**
    * Emit an event through EventBus
    * @private
@@ -624,7 +1201,10 @@ class OutputManager {
     if (this.outputChain) {
       try {
         this.outputChain.volumeNode.disconnect();
-        this.outputChain.limiterNode.disconnect();
+        this.outputChain.channelMatrix.dispose();
+        this.outputChain.spatialStage.dispose();
+        this.outputChain.correctionEQ.dispose();
+        this.outputChain.limiter.dispose();
         this.outputChain.levelSignalProcessor.disconnect();
       } catch (error) {
         console.warn('Error disconnecting output nodes:', error);
@@ -632,10 +1212,22 @@ class OutputManager {
     }
     
     // Clean up event listeners
-    if (this.deviceManager) {
-      // Remove device change listeners
-      this.deviceManager.off('device:changed');
-      this.deviceManager.off('device:error');
+    // Remove device change listeners
+    this._deviceSubscriptions.forEach(unsubscribe => {
+      if (typeof unsubscribe === 'function') unsubscribe();
+    });
+    this._deviceSubscriptions = [];
+    
+    // Stop following playback
+    this._playbackSubscriptions.forEach(unsubscribe => {
+      if (typeof unsubscribe === 'function') unsubscribe();
+    });
+    this._playbackSubscriptions = [];
+    clearTimeout(this._clipIndicatorTimer);
+    
+    // Write clips still waiting to be saved
+    if (this._clipLogSaveTimer) {
+      this._saveClipLog();
     }
     
     // Signal disposal
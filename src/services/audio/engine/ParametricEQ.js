@@ -0,0 +1,672 @@
+/**
+ * ParametricEQ.js
+ * Parametric equalizer built from a chain of biquad filters. Each band has its
+ * own filter type, frequency, Q and gain and can be bypassed individually.
+ * Band layouts serialize to plain JSON presets.
+ *
+ * Web Audio shelf filters ignore Q. With exactShelfQ set, shelves with any
+ * other Q than the one they are fixed at are built as IIR filters from the
+ * Audio EQ Cookbook instead; those have no params to automate.
+ */
+
+// Filter types a band may use
+const BAND_TYPES = [
+  'peaking',
+  'lowshelf',
+  'highshelf',
+  'highpass',
+  'lowpass',
+  'notch',
+  'bandpass',
+  'allpass'
+];
+
+// Preset format version written by toJSON()
+const PRESET_VERSION = 1;
+
+// Q of a Web Audio shelf filter, whose slope is fixed at S = 1
+const BIQUAD_SHELF_Q = Math.SQRT1_2;
+
+class ParametricEQ {
+  /**
+   * Creates a new ParametricEQ instance
+   * @param {Object} options - Configuration options
+   * @param {AudioNodeFactory} options.audioNodeFactory - Factory used to create the band filters
+   * @param {EventBus} [options.EventBus] - Reference to EventBus
+   * @param {Array<Object>} [options.bands] - Initial bands { type, frequency, Q, gain, bypass }
+   * @param {boolean} [options.enabled=true] - Whether the EQ is active
+   * @param {number} [options.masterGain=0] - Output gain in dB
+   * @param {Object} [options.config] - Additional configuration options
+   */
+  constructor(options = {}) {
+    if (!options.audioNodeFactory) {
+      throw new Error('ParametricEQ requires AudioNodeFactory');
+    }
+
+    this.audioNodeFactory = options.audioNodeFactory;
+    this.audioContext = this.audioNodeFactory.audioContext;
+    this.EventBus = options.EventBus || null;
+
+    // Default configuration
+    this.config = {
+      minFrequency: 10,
+      maxFrequency: 22000,
+      minGain: -24,
+      maxGain: 24,
+      minQ: 0.0001,
+      maxQ: 100,
+      smoothing: 0.015,     // Time constant for parameter changes in seconds
+      responsePoints: 256,  // Points returned by getFrequencyResponse()
+      exactShelfQ: false,   // Build shelves with another Q as IIR filters
+      ...options.config
+    };
+
+    // Band state in chain order: { id, type, frequency, Q, gain, bypass, filter }
+    this.bands = [];
+    this._nextBandId = 1;
+
+    this.enabled = options.enabled !== false;
+    this.masterGain = 0;
+
+    // Unconnected filter used to evaluate band responses
+    this._responseFilter = null;
+
+    // Fixed input and output nodes so callers can connect once
+    this.inputNode = this.audioNodeFactory.createNode('gain', { gain: 1.0 });
+    this.outputNode = this.audioNodeFactory.createNode('gain', { gain: 1.0 });
+
+    for (const band of options.bands || []) {
+      this._createBand(band);
+    }
+
+    this.setMasterGain(options.masterGain || 0);
+    this._rewire();
+  }
+
+  /**
+   * Get the node that feeds the EQ
+   * @returns {GainNode} - Input node
+   */
+  getInput() {
+    return this.inputNode;
+  }
+
+  /**
+   * Get the node the EQ outputs from
+   * @returns {GainNode} - Output node
+   */
+  getOutput() {
+    return this.outputNode;
+  }
+
+  /**
+   * Add a band to the end of the chain
+   * @param {Object} settings - { type, frequency, Q, gain, bypass }
+   * @returns {string|null} - ID of the new band, or null if failed
+   */
+  addBand(settings = {}) {
+    try {
+      const band = this._createBand(settings);
+      this._rewire();
+
+      this._emitEvent('eq:band-added', { band: this._describeBand(band) });
+
+      return band.id;
+    } catch (error) {
+      console.error('[ParametricEQ] Add band failed:', error);
+      this._emitEvent('eq:error', { operation: 'addBand', error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Remove a band
+   * @param {string} bandId - ID of the band to remove
+   * @returns {boolean} - Whether the band was removed
+   */
+  removeBand(bandId) {
+    const index = this.bands.findIndex(band => band.id === bandId);
+    if (index === -1) {
+      return false;
+    }
+
+    const [band] = this.bands.splice(index, 1);
+    this._rewire();
+    this._releaseFilter(band);
+
+    this._emitEvent('eq:band-removed', { bandId });
+
+    return true;
+  }
+
+  /**
+   * Update the settings of a band
+   * @param {string} bandId - ID of the band to update
+   * @param {Object} settings - Any of { type, frequency, Q, gain, bypass }
+   * @returns {boolean} - Whether the band was updated
+   */
+  updateBand(bandId, settings = {}) {
+    const band = this._getBand(bandId);
+    if (!band) {
+      return false;
+    }
+
+    try {
+      const validated = this._validateBand({ ...this._describeBand(band), ...settings });
+      const bypassChanged = validated.bypass !== band.bypass;
+
+      Object.assign(band, validated);
+      const replaced = this._applyBandToFilter(band);
+
+      if (bypassChanged || replaced) {
+        this._rewire();
+      }
+
+      this._emitEvent('eq:band-updated', { band: this._describeBand(band) });
+
+      return true;
+    } catch (error) {
+      console.error('[ParametricEQ] Update band failed:', error);
+      this._emitEvent('eq:error', { operation: 'updateBand', error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Bypass or re-enable a single band
+   * @param {string} bandId - ID of the band
+   * @param {boolean} bypass - Whether to bypass the band
+   * @returns {boolean} - Whether the band was updated
+   */
+  setBandBypass(bandId, bypass) {
+    return this.updateBand(bandId, { bypass: Boolean(bypass) });
+  }
+
+  /**
+   * Replace all bands
+   * @param {Array<Object>} bands - Band settings in chain order
+   * @returns {Array<string>} - IDs of the new bands
+   */
+  setBands(bands = []) {
+    // Validate first so a bad band leaves the current layout untouched
+    const validated = bands.map(band => this._validateBand(band));
+
+    for (const band of this.bands) {
+      this._releaseFilter(band);
+    }
+    this.bands = [];
+
+    for (const band of validated) {
+      this._createBand(band);
+    }
+    this._rewire();
+
+    this._emitEvent('eq:bands-changed', { bands: this.getBands() });
+
+    return this.bands.map(band => band.id);
+  }
+
+  /**
+   * Get all bands in chain order
+   * @returns {Array<Object>} - { id, type, frequency, Q, gain, bypass }
+   */
+  getBands() {
+    return this.bands.map(band => this._describeBand(band));
+  }
+
+  /**
+   * Get the gain of each band in chain order
+   * @returns {Array<number>} - Band gains in dB
+   */
+  getBandValues() {
+    return this.bands.map(band => band.gain);
+  }
+
+  /**
+   * Set the gain of each band in chain order
+   * @param {Array<number>} values - Band gains in dB
+   */
+  setBandValues(values = []) {
+    values.forEach((gain, index) => this.setBandGain(index, gain));
+  }
+
+  /**
+   * Set the gain of a band by its position in the chain
+   * @param {number} index - Band position
+   * @param {number} gain - Gain in dB
+   * @returns {boolean} - Whether the band was updated
+   */
+  setBandGain(index, gain) {
+    const band = this.bands[index];
+    return band ? this.updateBand(band.id, { gain }) : false;
+  }
+
+  /**
+   * Get an AudioParam of a band's filter, for automation
+   * The param belongs to the current filter; setBands() replaces it.
+   * @param {number} index - Band position
+   * @param {string} name - 'frequency', 'Q' or 'gain'
+   * @returns {Object|null} - { param, value } with the band's set value, or
+   *   null, also for bands built as IIR filters
+   */
+  getBandParam(index, name) {
+    const band = this.bands[index];
+
+    if (!band || band.iir || !['frequency', 'Q', 'gain'].includes(name)) {
+      return null;
+    }
+
+    return { param: band.filter[name], value: band[name] };
+  }
+
+  /**
+   * Enable or bypass the whole EQ
+   * @param {boolean} enabled - Whether the EQ is active
+   */
+  setEnabled(enabled) {
+    const next = Boolean(enabled);
+    if (next === this.enabled) return;
+
+    this.enabled = next;
+    this._rewire();
+    this._applyOutputGain();
+
+    this._emitEvent('eq:enabled-changed', { enabled: this.enabled });
+  }
+
+  /**
+   * Check whether the EQ is active
+   * @returns {boolean} - Enabled state
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Set the output gain
+   * @param {number} gain - Gain in dB
+   */
+  setMasterGain(gain) {
+    const value = Number(gain);
+    if (!Number.isFinite(value)) return;
+
+    this.masterGain = Math.max(this.config.minGain, Math.min(this.config.maxGain, value));
+    this._applyOutputGain();
+  }
+
+  /**
+   * Get the output gain
+   * @returns {number} - Gain in dB
+   */
+  getMasterGain() {
+    return this.masterGain;
+  }
+
+  /**
+   * Compute the combined response of all non-bypassed bands, including the
+   * master gain. The curve reflects the settings even while the EQ is disabled.
+   * @param {Float32Array|Array<number>} [frequencies] - Frequencies in Hz; defaults to
+   *   logarithmically spaced points between 20 Hz and 20 kHz
+   * @returns {Object} - { frequencies, magnitude (dB), phase (radians) }
+   */
+  getFrequencyResponse(frequencies = null) {
+    const frequencyHz = frequencies
+      ? Float32Array.from(frequencies)
+      : ParametricEQ.createLogFrequencies(this.config.responsePoints);
+
+    const magnitude = new Float32Array(frequencyHz.length).fill(this.masterGain);
+    const phase = new Float32Array(frequencyHz.length);
+
+    const bandMagnitude = new Float32Array(frequencyHz.length);
+    const bandPhase = new Float32Array(frequencyHz.length);
+
+    // Live filters may still be ramping towards new settings, so the curve is
+    // computed on an unconnected filter holding the exact target values
+    if (!this._responseFilter) {
+      this._responseFilter = this.audioContext.createBiquadFilter();
+    }
+    const filter = this._responseFilter;
+
+    for (const band of this.bands) {
+      if (band.bypass) continue;
+
+      // IIR coefficients never ramp, so the live filter is exact
+      if (band.iir) {
+        band.filter.getFrequencyResponse(frequencyHz, bandMagnitude, bandPhase);
+
+        for (let i = 0; i < frequencyHz.length; i++) {
+          magnitude[i] += 20 * Math.log10(Math.max(bandMagnitude[i], 1e-6));
+          phase[i] += bandPhase[i];
+        }
+        continue;
+      }
+
+      filter.type = band.type;
+      filter.frequency.value = band.frequency;
+      filter.Q.value = band.Q;
+      filter.gain.value = band.gain;
+      filter.getFrequencyResponse(frequencyHz, bandMagnitude, bandPhase);
+
+      for (let i = 0; i < frequencyHz.length; i++) {
+        magnitude[i] += 20 * Math.log10(Math.max(bandMagnitude[i], 1e-6));
+        phase[i] += bandPhase[i];
+      }
+    }
+
+    return {
+      frequencies: frequencyHz,
+      magnitude,
+      phase
+    };
+  }
+
+  /**
+   * Serialize the current layout as a preset
+   * @param {string} [name] - Preset name
+   * @returns {Object} - JSON-compatible preset
+   */
+  toJSON(name) {
+    return {
+      version: PRESET_VERSION,
+      ...(name ? { name } : {}),
+      enabled: this.enabled,
+      masterGain: this.masterGain,
+      bands: this.bands.map(({ type, frequency, Q, gain, bypass }) => ({
+        type,
+        frequency,
+        Q,
+        gain,
+        bypass
+      }))
+    };
+  }
+
+  /**
+   * Load a preset produced by toJSON()
+   * @param {Object|string} preset - Preset object or JSON string
+   * @returns {boolean} - Whether the preset was applied
+   */
+  loadPreset(preset) {
+    try {
+      const data = typeof preset === 'string' ? JSON.parse(preset) : preset;
+
+      if (!data || !Array.isArray(data.bands)) {
+        throw new Error('Preset has no bands');
+      }
+
+      if (data.version !== undefined && data.version > PRESET_VERSION) {
+        throw new Error(`Unsupported preset version: ${data.version}`);
+      }
+
+      this.setBands(data.bands);
+      this.setMasterGain(data.masterGain || 0);
+
+      if (data.enabled !== undefined) {
+        this.setEnabled(data.enabled);
+      }
+
+      this._emitEvent('eq:preset-loaded', {
+        name: data.name || null,
+        bands: this.bands.length
+      });
+
+      return true;
+    } catch (error) {
+      console.error('[ParametricEQ] Load preset failed:', error);
+      this._emitEvent('eq:error', { operation: 'loadPreset', error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Create logarithmically spaced frequencies
+   * @param {number} count - Number of points
+   * @param {number} [min=20] - Lowest frequency in Hz
+   * @param {number} [max=20000] - Highest frequency in Hz
+   * @returns {Float32Array} - Frequencies in Hz
+   */
+  static createLogFrequencies(count, min = 20, max = 20000) {
+    const frequencies = new Float32Array(count);
+    const ratio = Math.log(max / min);
+
+    for (let i = 0; i < count; i++) {
+      frequencies[i] = min * Math.exp((ratio * i) / Math.max(1, count - 1));
+    }
+
+    return frequencies;
+  }
+
+  /**
+   * Audio EQ Cookbook coefficients of a shelf with any Q
+   * @param {Object} band - { type ('lowshelf' or 'highshelf'), frequency (Hz), Q, gain (dB) }
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Object} - { feedforward, feedback }, normalized so feedback[0] is 1
+   */
+  static shelfCoefficients({ type, frequency, Q, gain }, sampleRate) {
+    const A = Math.pow(10, gain / 40);
+    const w0 = (2 * Math.PI * frequency) / sampleRate;
+    const cos = Math.cos(w0);
+    const k = 2 * Math.sqrt(A) * (Math.sin(w0) / (2 * Q));
+
+    // The high shelf mirrors the low shelf's cos terms
+    const sign = type === 'lowshelf' ? 1 : -1;
+
+    const b0 = A * ((A + 1) - sign * (A - 1) * cos + k);
+    const b1 = sign * 2 * A * ((A - 1) - sign * (A + 1) * cos);
+    const b2 = A * ((A + 1) - sign * (A - 1) * cos - k);
+    const a0 = (A + 1) + sign * (A - 1) * cos + k;
+    const a1 = -sign * 2 * ((A - 1) + sign * (A + 1) * cos);
+    const a2 = (A + 1) + sign * (A - 1) * cos - k;
+
+    return {
+      feedforward: [b0 / a0, b1 / a0, b2 / a0],
+      feedback: [1, a1 / a0, a2 / a0]
+    };
+  }
+
+  /**
+   * Validate and create a band with its filter node
+   * @private
+   * @param {Object} settings - Band settings
+   * @returns {Object} - Band state
+   */
+  _createBand(settings) {
+    const band = {
+      id: `band_${this._nextBandId++}`,
+      ...this._validateBand(settings),
+      filter: null,
+      iir: false
+    };
+
+    this._createFilter(band);
+
+    this.bands.push(band);
+    return band;
+  }
+
+  /**
+   * Create the filter node of a band: a biquad, or an IIR filter for a shelf
+   * whose Q a biquad cannot follow
+   * @private
+   * @param {Object} band - Band state; its filter and iir fields are set
+   */
+  _createFilter(band) {
+    band.iir = this._needsIIR(band);
+
+    if (band.iir) {
+      band.filter = this.audioNodeFactory.createNode(
+        'IIRFilter',
+        ParametricEQ.shelfCoefficients(band, this.audioContext.sampleRate)
+      );
+      return;
+    }
+
+    band.filter = this.audioNodeFactory.createFilterNode({
+      type: band.type,
+      frequency: band.frequency,
+      Q: band.Q,
+      gain: band.gain
+    });
+  }
+
+  /**
+   * Check whether a band has to be built as an IIR filter
+   * @private
+   * @param {Object} band - Band settings
+   * @returns {boolean} - True for a shelf with another Q, when exactShelfQ is set
+   */
+  _needsIIR(band) {
+    return this.config.exactShelfQ &&
+      (band.type === 'lowshelf' || band.type === 'highshelf') &&
+      Math.abs(band.Q - BIQUAD_SHELF_Q) > 1e-3;
+  }
+
+  /**
+   * Release the filter node of a band
+   * @private
+   * @param {Object} band - Band state
+   */
+  _releaseFilter(band) {
+    this.audioNodeFactory.releaseNode(band.filter, band.iir ? 'iirfilter' : 'filter');
+  }
+
+  /**
+   * Validate band settings and fill in defaults
+   * @private
+   * @param {Object} settings - Band settings
+   * @returns {Object} - { type, frequency, Q, gain, bypass }
+   */
+  _validateBand(settings = {}) {
+    const type = settings.type || 'peaking';
+    if (!BAND_TYPES.includes(type)) {
+      throw new Error(`Unsupported band type: ${type}`);
+    }
+
+    const frequency = Number(settings.frequency ?? 1000);
+    const Q = Number(settings.Q ?? 1);
+    const gain = Number(settings.gain ?? 0);
+
+    if (![frequency, Q, gain].every(Number.isFinite)) {
+      throw new Error('Band frequency, Q and gain must be numbers');
+    }
+
+    const nyquist = this.audioContext.sampleRate / 2;
+
+    return {
+      type,
+      frequency: Math.max(this.config.minFrequency, Math.min(this.config.maxFrequency, nyquist, frequency)),
+      Q: Math.max(this.config.minQ, Math.min(this.config.maxQ, Q)),
+      gain: Math.max(this.config.minGain, Math.min(this.config.maxGain, gain)),
+      bypass: Boolean(settings.bypass)
+    };
+  }
+
+  /**
+   * Push band settings to its filter node
+   * IIR coefficients are fixed once created, so an IIR band, or a band that
+   * becomes one, gets a new filter that the caller has to wire in.
+   * @private
+   * @param {Object} band - Band state
+   * @returns {boolean} - Whether the filter node was replaced
+   */
+  _applyBandToFilter(band) {
+    if (band.iir || this._needsIIR(band)) {
+      this._releaseFilter(band);
+      this._createFilter(band);
+      return true;
+    }
+
+    const { filter } = band;
+
+    filter.type = band.type;
+    filter.setParam('frequency', band.frequency, this.config.smoothing);
+    filter.setParam('Q', band.Q, this.config.smoothing);
+    filter.setParam('gain', band.gain, this.config.smoothing);
+
+    return false;
+  }
+
+  /**
+   * Apply the master gain, or unity gain while the EQ is disabled
+   * @private
+   */
+  _applyOutputGain() {
+    const gain = this.enabled ? Math.pow(10, this.masterGain / 20) : 1;
+    this.outputNode.setParam('gain', gain, this.config.smoothing);
+  }
+
+  /**
+   * Connect input -> active bands -> output
+   * @private
+   */
+  _rewire() {
+    this.inputNode.disconnect();
+    for (const band of this.bands) {
+      band.filter.disconnect();
+    }
+
+    let lastNode = this.inputNode;
+
+    if (this.enabled) {
+      for (const band of this.bands) {
+        if (band.bypass) continue;
+
+        lastNode.connect(band.filter);
+        lastNode = band.filter;
+      }
+    }
+
+    lastNode.connect(this.outputNode);
+  }
+
+  /**
+   * Find a band by ID
+   * @private
+   * @param {string} bandId - Band ID
+   * @returns {Object|undefined} - Band state
+   */
+  _getBand(bandId) {
+    return this.bands.find(band => band.id === bandId);
+  }
+
+  /**
+   * Public description of a band
+   * @private
+   * @param {Object} band - Band state
+   * @returns {Object} - { id, type, frequency, Q, gain, bypass }
+   */
+  _describeBand({ id, type, frequency, Q, gain, bypass }) {
+    return { id, type, frequency, Q, gain, bypass };
+  }
+
+  /**
+   * Emit an event through EventBus
+   * @private
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   */
+  _emitEvent(type, data) {
+    if (this.EventBus && typeof this.EventBus.emit === 'function') {
+      this.EventBus.emit(type, {
+        ...data,
+        source: 'ParametricEQ',
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * Clean up and dispose of resources
+   */
+  dispose() {
+    this.inputNode.disconnect();
+    this.outputNode.disconnect();
+
+    for (const band of this.bands) {
+      this._releaseFilter(band);
+    }
+    this.bands = [];
+  }
+}
+
+export default ParametricEQ;
@@ -3,6 +3,12 @@
  * Extracts and processes audio data to provide real-time analysis of audio signals,
  * including frequency spectrum analysis, waveform extraction, and feature detection.
  */
+import AudioUtils from '../utils/AudioHelpers';
+import signalAnalysisProcessorUrl from '../worklets/SignalAnalysisProcessor.js?url';
+
+// Contexts that already have the analysis worklet module registered
+const workletModuleContexts = new WeakSet();
+
 class SignalProcessor {
   /**
    * Creates a new SignalProcessor instance
@@ -29,6 +35,7 @@ class SignalProcessor {
       maxDecibels: options.config?.maxDecibels || -20,
       updateInterval: options.config?.updateInterval || 100,
       enablePitchDetection: options.config?.enablePitchDetection || false,
+      useWorklet: options.config?.useWorklet !== false,
       ...options.config
     };
     
@@ -41,7 +48,8 @@ class SignalProcessor {
       frequencyData: null,
       waveformData: null,
       features: {},
-      analysisInterval: null
+      analysisInterval: null,
+      analysisPath: null
     };
     
     // Audio nodes
@@ -49,7 +57,8 @@ class SignalProcessor {
       inputNode: null,
       SignalProcessorNode: null,
       waveformSignalProcessor: null,
-      scriptProcessor: null
+      scriptProcessor: null,
+      workletNode: null
     };
     
     // Setup frequency bands for analysis
@@ -65,13 +74,13 @@ class SignalProcessor {
    */
   _initialize() {
     try {
-      // Create SignalProcessor nodes
-      this._createAnalyserNodes();
-      
       // Create input node for external connections
       this.nodes.inputNode = this.audioContext.createGain();
       this.nodes.inputNode.gain.value = 1.0;
       
+      // Create SignalProcessor nodes
+      this._createAnalyserNodes();
+      
       // Connect input to SignalProcessors
       this.nodes.inputNode.connect(this.nodes.SignalProcessorNode);
       this.nodes.inputNode.connect(this.nodes.waveformSignalProcessor);
@@ -79,6 +88,9 @@ class SignalProcessor {
       // Create data arrays based on FFT size
       this._createDataArrays();
       
+      // Choose the time-domain analysis path; worklet loading is asynchronous
+      this.ready = this._setupAnalysisPath();
+      
       // Emit initialization event
       this._emitEvent('SignalProcessor:initialized', {
         fftSize: this.config.fftSize,
@@ -109,22 +121,120 @@ class SignalProcessor {
     this.nodes.waveformSignalProcessor = this.audioContext.createAnalyser();
     this.nodes.waveformSignalProcessor.fftSize = this.config.fftSize;
     this.nodes.waveformSignalProcessor.smoothingTimeConstant = 0.3; // Less smoothing for waveform
+  }
+
+  /**
+   * Select the AudioWorklet analysis path when supported, falling back to
+   * ScriptProcessor and interval polling otherwise
+   * @private
+   * @returns {Promise<string>} Selected path ('worklet' or 'script-processor')
+   */
+  async _setupAnalysisPath() {
+    if (this.config.useWorklet && AudioUtils.isAudioWorkletSupported()) {
+      try {
+        await this._createWorkletNode();
+        this._setAnalysisPath('worklet');
+        return this.state.analysisPath;
+      } catch (error) {
+        console.warn('[SignalProcessor] AudioWorklet unavailable, using ScriptProcessor fallback:', error);
+      }
+    }
     
-    // Create ScriptProcessor for time-domain processing if needed
-    // Note: ScriptProcessor is deprecated but still useful for certain analyses
-    // In a production environment, consider using AudioWorklet instead
-    if (this.config.enablePitchDetection) {
-      const bufferSize = 4096;
-      this.nodes.scriptProcessor = this.audioContext.createScriptProcessor(
-        bufferSize, 1, 1
-      );
-      
-      this.nodes.inputNode.connect(this.nodes.scriptProcessor);
-      this.nodes.scriptProcessor.connect(this.audioContext.destination);
-      
-      // Set up processing function for script processor
-      this.nodes.scriptProcessor.onaudioprocess = this._processAudioBuffer.bind(this);
+    this._createScriptProcessorNode();
+    this._setAnalysisPath('script-processor');
+    return this.state.analysisPath;
+  }
+
+  /**
+   * Load the analysis worklet module and create its node
+   * @private
+   * @returns {Promise<AudioWorkletNode>} Worklet node
+   */
+  async _createWorkletNode() {
+    if (!workletModuleContexts.has(this.audioContext)) {
+      await this.audioContext.audioWorklet.addModule(signalAnalysisProcessorUrl);
+      workletModuleContexts.add(this.audioContext);
     }
+    
+    // dispose() may have run while the module was loading
+    if (!this.nodes.inputNode) {
+      throw new Error('SignalProcessor was disposed during worklet setup');
+    }
+    
+    const workletNode = new AudioWorkletNode(this.audioContext, 'signal-analysis-processor', {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [1],
+      processorOptions: {
+        frameSize: this.config.fftSize,
+        enablePitchDetection: this.config.enablePitchDetection,
+        reportInterval: Math.max(16, this.config.updateInterval) / 1000
+      }
+    });
+    
+    workletNode.port.onmessage = (event) => this._handleFeatureFrame(event.data);
+    
+    // The output is silent; connecting it keeps the node pulled by the graph
+    this.nodes.inputNode.connect(workletNode);
+    workletNode.connect(this.audioContext.destination);
+    
+    this.nodes.workletNode = workletNode;
+    return workletNode;
+  }
+
+  /**
+   * Create the ScriptProcessor used for pitch detection on the fallback path
+   * Note: ScriptProcessor is deprecated and runs on the main thread
+   * @private
+   */
+  _createScriptProcessorNode() {
+    if (!this.config.enablePitchDetection || !this.nodes.inputNode) return;
+    
+    const bufferSize = 4096;
+    this.nodes.scriptProcessor = this.audioContext.createScriptProcessor(
+      bufferSize, 1, 1
+    );
+    
+    this.nodes.inputNode.connect(this.nodes.scriptProcessor);
+    this.nodes.scriptProcessor.connect(this.audioContext.destination);
+    
+    // Set up processing function for script processor
+    this.nodes.scriptProcessor.onaudioprocess = this._processAudioBuffer.bind(this);
+  }
+
+  /**
+   * Record the selected analysis path, moving a running analysis onto it
+   * @private
+   * @param {string} path - 'worklet' or 'script-processor'
+   */
+  _setAnalysisPath(path) {
+    this.state.analysisPath = path;
+    
+    if (this.state.isAnalyzing) {
+      this._stopAnalysisLoop();
+      this._startAnalysisLoop(this.state.updateInterval);
+    }
+    
+    this._emitEvent('SignalProcessor:path-selected', { path });
+  }
+
+  /**
+   * Get the active analysis path
+   * @returns {string|null} 'worklet', 'script-processor', or null while loading
+   */
+  getAnalysisPath() {
+    return this.state.analysisPath;
+  }
+
+  /**
+   * Width of a frequency bin in Hz
+   * The analyser reports fftSize / 2 bins spanning 0 Hz to Nyquist, the same
+   * spacing as the worklet's own FFT of an fftSize frame.
+   * @private
+   * @returns {number} Bin width in Hz
+   */
+  _getBinSize() {
+    return this.audioContext.sampleRate / this.nodes.SignalProcessorNode.fftSize;
   }
 
   /**
@@ -232,9 +342,7 @@ class SignalProcessor {
       const safeInterval = Math.max(16, interval);
       
       // Start analysis loop
-      this.state.analysisInterval = setInterval(() => {
-        this._performAnalysis();
-      }, safeInterval);
+      this._startAnalysisLoop(safeInterval);
       
       this.state.isAnalyzing = true;
       this.state.lastUpdateTime = performance.now();
@@ -263,11 +371,8 @@ class SignalProcessor {
     if (!this.state.isAnalyzing) return true;
     
     try {
-      // Clear analysis interval
-      if (this.state.analysisInterval) {
-        clearInterval(this.state.analysisInterval);
-        this.state.analysisInterval = null;
-      }
+      // Stop worklet frames or clear analysis interval
+      this._stopAnalysisLoop();
       
       this.state.isAnalyzing = false;
       
@@ -287,11 +392,77 @@ class SignalProcessor {
     }
   }
 
+  /**
+   * Start the analysis loop for the active path. The worklet pushes feature
+   * frames at the requested rate; the fallback polls on an interval.
+   * @private
+   * @param {number} interval - Analysis interval in milliseconds
+   */
+  _startAnalysisLoop(interval) {
+    this.state.updateInterval = interval;
+    
+    if (this.state.analysisPath === 'worklet' && this.nodes.workletNode) {
+      this.nodes.workletNode.port.postMessage({
+        type: 'start',
+        reportInterval: interval / 1000
+      });
+      return;
+    }
+    
+    this.state.analysisInterval = setInterval(() => {
+      this._performAnalysis();
+    }, interval);
+  }
+
+  /**
+   * Stop the analysis loop for the active path
+   * @private
+   */
+  _stopAnalysisLoop() {
+    if (this.nodes.workletNode) {
+      this.nodes.workletNode.port.postMessage({ type: 'stop' });
+    }
+    
+    if (this.state.analysisInterval) {
+      clearInterval(this.state.analysisInterval);
+      this.state.analysisInterval = null;
+    }
+  }
+
+  /**
+   * Handle a feature frame posted by the analysis worklet
+   * @private
+   * @param {Object} frame - Feature frame
+   */
+  _handleFeatureFrame(frame) {
+    if (!frame || frame.type !== 'features' || !this.state.isAnalyzing) return;
+    
+    try {
+      this._performAnalysis(frame);
+      
+      if (frame.pitch) {
+        this._emitEvent('analysis:pitch-detected', {
+          pitch: frame.pitch.frequency,
+          zeroCrossingRate: frame.zeroCrossingRate,
+          confidence: frame.pitch.confidence
+        });
+      }
+    } catch (error) {
+      console.error('Failed to process feature frame:', error);
+      this._emitEvent('SignalProcessor:error', {
+        error,
+        operation: 'featureFrame'
+      });
+    }
+  }
+
   /**
    * Perform a single analysis cycle
    * @private
+   * @param {Object} [frame] - Worklet feature frame; features are computed
+   *   from the analysers when omitted
    */
-  _performAnalysis() {
+  _performAnalysis(frame = null) {
     // Skip if audio context is not running
     if (this.audioContext.state !== 'running') return;
     
@@ -306,7 +477,11 @@ class SignalProcessor {
     
     // Extract features periodically (less frequently)
     if (performance.now() - this.state.lastUpdateTime > 500) {
-      this.extractFeatures();
+      if (frame) {
+        this._applyFeatureFrame(frame);
+      } else {
+        this.extractFeatures();
+      }
       this.state.lastUpdateTime = performance.now();
     }
     
@@ -332,7 +507,7 @@ class SignalProcessor {
         uint8: this.state.frequencyData.uint8,
         float32: this.state.frequencyData.float32,
         binCount: this.nodes.SignalProcessorNode.frequencyBinCount,
-        binSize: this.audioContext.sampleRate / (this.nodes.SignalProcessorNode.fftSize * 2)
+        binSize: this._getBinSize()
       };
     } catch (error) {
       console.error('Failed to analyze frequency:', error);
@@ -415,7 +590,7 @@ class SignalProcessor {
   analyzeFrequencyBands() {
     if (!this.state.frequencyData.float32) return null;
     
-    const binSize = this.audioContext.sampleRate / (this.nodes.SignalProcessorNode.fftSize * 2);
+    const binSize = this._getBinSize();
     
     // Calculate energy for each frequency band
     for (const [bandName, band] of Object.entries(this.frequencyBands)) {
@@ -513,7 +688,7 @@ class SignalProcessor {
     if (!this.state.frequencyData.float32) return null;
     
     const float32 = this.state.frequencyData.float32;
-    const binSize = this.audioContext.sampleRate / (this.nodes.SignalProcessorNode.fftSize * 2);
+    const binSize = this._getBinSize();
     
     // Find the bin with maximum energy
     let maxBin = 0;
@@ -604,6 +779,34 @@ class SignalProcessor {
     }
   }
 
+  /**
+   * Store features computed by the analysis worklet
+   * @private
+   * @param {Object} frame - Worklet feature frame
+   * @returns {Object} Extracted audio features
+   */
+  _applyFeatureFrame(frame) {
+    this.state.features = {
+      spectral: {
+        centroid: frame.spectral.centroid,
+        flatness: frame.spectral.flatness,
+        rolloff: frame.spectral.rolloff
+      },
+      amplitude: {
+        rms: frame.rms,
+        crestFactor: frame.rms > 0 ? frame.peak / frame.rms : 0
+      },
+      energy: this._calculateOverallEnergy(),
+      timestamp: frame.currentTime
+    };
+    
+    this._emitEvent('analysis:features-extracted', {
+      features: this.state.features
+    });
+    
+    return this.state.features;
+  }
+
   /**
    * Calculate spectral centroid (brightness)
    * @private
@@ -611,7 +814,7 @@ class SignalProcessor {
    */
   _calculateSpectralCentroid() {
     const float32 = this.state.frequencyData.float32;
-    const binSize = this.audioContext.sampleRate / (this.nodes.SignalProcessorNode.fftSize * 2);
+    const binSize = this._getBinSize();
     
     let numerator = 0;
     let denominator = 0;
@@ -674,7 +877,7 @@ class SignalProcessor {
    */
   _calculateSpectralRolloff() {
     const float32 = this.state.frequencyData.float32;
-    const binSize = this.audioContext.sampleRate / (this.nodes.SignalProcessorNode.fftSize * 2);
+    const binSize = this._getBinSize();
     
     // Convert from dB to magnitude
     const magnitudes = new Float32Array(float32.length);
@@ -863,7 +1066,17 @@ class SignalProcessor {
       
       // Update config object
       Object.assign(this.config, params);
-      
+
+      // Forward worklet-relevant settings to the audio thread
+      if (this.nodes.workletNode &&
+          (params.enablePitchDetection !== undefined || params.updateInterval !== undefined)) {
+        this.nodes.workletNode.port.postMessage({
+          type: 'configure',
+          enablePitchDetection: this.config.enablePitchDetection,
+          reportInterval: Math.max(16, this.config.updateInterval) / 1000
+        });
+      }
+
       this._emitEvent('SignalProcessor:parameters-changed', {
         fftSize: this.nodes.SignalProcessorNode.fftSize,
         smoothing: this.nodes.SignalProcessorNode.smoothingTimeConstant,
@@ -975,6 +1188,16 @@ class SignalProcessor {
       this.nodes.scriptProcessor.onaudioprocess = null;
     }
     
+    if (this.nodes.workletNode) {
+      this.nodes.workletNode.port.postMessage({ type: 'dispose' });
+      this.nodes.workletNode.port.onmessage = null;
+      this.nodes.workletNode.port.close();
+      this.nodes.workletNode.disconnect();
+      this.nodes.workletNode = null;
+    }
+    
+    this.nodes.inputNode = null;
+    
     this._emitEvent('SignalProcessor:disposed', {
       time: Date.now()
     });
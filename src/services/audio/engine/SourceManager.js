@@ -1,5 +1,8 @@
 // src/components/Core/SourceManager.js
 
+import TimeStretcher from './TimeStretcher';
+import MediaElementSource from './MediaElementSource';
+
 /**
  * SourceManager - Manages the creation, control, and lifecycle of audio sources.
  * Provides a bridge between decoded audio buffers and actual playback.
@@ -11,6 +14,7 @@ class SourceManager {
    * @param {AudioContext} options.audioContext - Web Audio API context
    * @param {Object} [options.errorManager] - Error manager for handling errors
    * @param {Object} [options.audioGraph] - AudioGraph for routing connections
+   * @param {TimeStretcher} [options.timeStretcher] - Provides independent tempo and pitch
    * @param {function} [options.onEvent] - Event callback function
    */
   constructor(options = {}) {
@@ -21,6 +25,7 @@ class SourceManager {
     this.audioContext = options.audioContext;
     this.errorManager = options.errorManager;
     this.audioGraph = options.audioGraph;
+    this.timeStretcher = options.timeStretcher || null;
     this.onEvent = options.onEvent || (() => {});
 
     // Source tracking
@@ -53,43 +58,74 @@ class SourceManager {
 
   /**
    * Create and configure a source for playback
-   * @param {AudioBuffer} buffer - Decoded audio buffer to play
+   * Streamed tracks play through a MediaElementSource and cannot loop a region.
+   * @param {AudioBuffer|Object} buffer - Decoded audio buffer, or streamed track from BufferManager
    * @param {Object} [options={}] - Source configuration options
    * @param {boolean} [options.loop=false] - Whether to loop playback
+   * @param {number} [options.loopStart] - Start of a loop region in seconds; loops even without `loop`
+   * @param {number} [options.loopEnd] - End of the loop region in seconds
    * @param {number} [options.volume=1] - Initial volume (0-1)
-   * @param {number} [options.playbackRate=1] - Playback speed
+   * @param {number} [options.playbackRate=1] - Playback speed, moving pitch with it
+   * @param {number} [options.tempo=1] - Playback speed at the same pitch (0.5-2)
+   * @param {number} [options.pitch=0] - Pitch shift in semitones (-12 to 12)
+   * @param {number} [options.normalizationGain=1] - Linear loudness correction applied on top of volume
    * @param {boolean} [options.connect=true] - Whether to auto-connect to output
-   * @returns {Object} Source interface with control methods
+   * @returns {Object} Source interface with control methods and the output `gainNode`
    */
   createSource(buffer, options = {}) {
     try {
-      if (!buffer || !(buffer instanceof AudioBuffer)) {
+      const streaming = Boolean(buffer && buffer.isStream);
+
+      if (!buffer || !(streaming || buffer instanceof AudioBuffer)) {
         throw new Error('Valid AudioBuffer required');
       }
 
       // Generate a unique ID for this source
       const sourceId = `source_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
 
-      // Get or create source node
-      const sourceNode = this._createSourceNode();
+      // Get or create source node; streamed tracks get their own media element
+      const sourceNode = streaming ?
+        new MediaElementSource(this.audioContext, buffer) : this._createSourceNode();
 
       // Configure the source node
-      sourceNode.buffer = buffer;
+      if (!streaming) {
+        sourceNode.buffer = buffer;
+      }
       sourceNode.loop = options.loop || false;
 
-      // Set playback rate if specified
-      if (options.playbackRate !== undefined) {
-        sourceNode.playbackRate.value = options.playbackRate;
+      // A loop region loops only that part of the buffer
+      if (!streaming && options.loopEnd > options.loopStart) {
+        sourceNode.loopStart = options.loopStart;
+        sourceNode.loopEnd = options.loopEnd;
+        sourceNode.loop = true;
       }
 
+      // The buffer plays at the tempo; the stretch node restores the pitch
+      const playbackRate = options.playbackRate !== undefined ? options.playbackRate : 1;
+      const tempo = TimeStretcher.clampTempo(options.tempo !== undefined ? options.tempo : 1);
+      const pitch = TimeStretcher.clampPitch(options.pitch !== undefined ? options.pitch : 0);
+      const rate = playbackRate * tempo;
+      sourceNode.playbackRate.value = rate;
+
       // Create gain node for volume control and fades
       const gainNode = this.audioContext.createGain();
       const volumeValue = options.volume !== undefined ? 
         Math.max(0, Math.min(1, options.volume)) : this.config.defaultVolume;
-      gainNode.gain.value = volumeValue;
-
-      // Connect source to gain node
-      sourceNode.connect(gainNode);
+      const normalizationGain = options.normalizationGain !== undefined ?
+        Math.max(0, options.normalizationGain) : 1;
+      gainNode.gain.value = volumeValue * normalizationGain;
+
+      // Connect source to gain node, through a stretch node when tempo or
+      // pitch is off unity; at unity it would only add latency
+      const stretchNode = this.timeStretcher && TimeStretcher.isStretched(tempo, pitch) ?
+        this.timeStretcher.createNode(tempo, pitch) : null;
+
+      if (stretchNode) {
+        sourceNode.connect(stretchNode);
+        stretchNode.connect(gainNode);
+      } else {
+        sourceNode.connect(gainNode);
+      }
 
       // Connect to output if requested and audioGraph available
       if (options.connect !== false && this.audioGraph) {
@@ -100,15 +136,20 @@ class SourceManager {
       const source = {
         id: sourceId,
         sourceNode,
+        stretchNode,
         gainNode,
         buffer,
+        streaming,
+        rate,
+        previousRate: null,
+        stopScheduled: false,
         startTime: null,
         endTime: null,
         offset: 0,
         isPlaying: false,
         isPaused: false,
         pausePosition: 0,
-        options: { ...options },
+        options: { ...options, volume: volumeValue, normalizationGain, playbackRate, tempo, pitch },
         created: Date.now()
       };
 
@@ -128,12 +169,14 @@ class SourceManager {
       this._emitEvent('source:created', {
         sourceId,
         duration: buffer.duration,
-        channels: buffer.numberOfChannels
+        channels: buffer.numberOfChannels,
+        streaming
       });
 
       // Return playback control interface
       return {
         id: sourceId,
+        gainNode,
         play: (when, offset, duration) => this.play(sourceId, when, offset, duration),
         stop: (when) => this.stop(sourceId, when),
         pause: () => this.pause(sourceId),
@@ -141,6 +184,8 @@ class SourceManager {
         seek: (position) => this.seek(sourceId, position),
         setVolume: (volume, fadeTime) => this.setVolume(sourceId, volume, fadeTime),
         setPlaybackRate: (rate) => this.setPlaybackRate(sourceId, rate),
+        setTempo: (tempo) => this.setTempo(sourceId, tempo),
+        setPitch: (pitch) => this.setPitch(sourceId, pitch),
         getState: () => this.getSourceState(sourceId),
         getDuration: () => buffer.duration
       };
@@ -163,6 +208,20 @@ class SourceManager {
    * @returns {boolean} Success status
    */
   play(sourceId, when = 0, offset = 0, duration) {
+    return this.playAt(sourceId, this.audioContext.currentTime + Math.max(0, when), offset, duration);
+  }
+
+  /**
+   * Play a source at an absolute AudioContext time
+   * Lets callers chain sources back-to-back on the exact sample where
+   * the previous one ends, without round-tripping through a relative delay.
+   * @param {string} sourceId - ID of source to play
+   * @param {number} startTime - AudioContext time to start at, in seconds
+   * @param {number} [offset=0] - Start position in seconds
+   * @param {number} [duration] - Duration to play in seconds
+   * @returns {boolean} Success status
+   */
+  playAt(sourceId, startTime, offset = 0, duration) {
     try {
       const source = this.activeSources.get(sourceId);
       if (!source) return false;
@@ -172,11 +231,13 @@ class SourceManager {
         this.stop(sourceId);
         
         // Create a new source node for the same buffer
-        return this._recreateAndPlay(source, when, offset, duration);
+        return this._recreateAndPlay(source, startTime, offset, duration);
       }
 
-      // Calculate absolute start time
-      const startTime = this.audioContext.currentTime + Math.max(0, when);
+      // Never schedule in the past
+      const now = this.audioContext.currentTime;
+      startTime = Math.max(now, startTime);
+      const when = startTime - now;
 
       // Normalize offset and duration
       const safeOffset = Math.max(0, Math.min(offset, source.buffer.duration));
@@ -187,16 +248,19 @@ class SourceManager {
         safeDuration = Math.min(duration, source.buffer.duration - safeOffset);
       }
 
+      // Buffer time runs faster or slower than context time at other rates
+      const rate = source.rate || 1;
+
       // Start the source
       try {
         // If we have a specific duration, use it
         if (safeDuration !== undefined) {
           source.sourceNode.start(startTime, safeOffset, safeDuration);
-          source.endTime = startTime + safeDuration;
+          source.endTime = startTime + safeDuration / rate;
         } else {
           source.sourceNode.start(startTime, safeOffset);
           if (!source.sourceNode.loop) {
-            source.endTime = startTime + (source.buffer.duration - safeOffset);
+            source.endTime = startTime + (source.buffer.duration - safeOffset) / rate;
           } else {
             source.endTime = null; // Looping has no end time
           }
@@ -205,6 +269,8 @@ class SourceManager {
         // Update source state
         source.startTime = startTime;
         source.offset = safeOffset;
+        source.previousRate = null;
+        source.stopScheduled = safeDuration !== undefined;
         source.isPlaying = true;
         source.isPaused = false;
 
@@ -224,7 +290,7 @@ class SourceManager {
       } catch (error) {
         // Handle start error (likely already started)
         this._handleError(error, {
-          operation: 'play',
+          operation: 'playAt',
           sourceId
         });
         
@@ -232,7 +298,7 @@ class SourceManager {
       }
     } catch (error) {
       this._handleError(error, {
-        operation: 'play',
+        operation: 'playAt',
         sourceId
       });
       return false;
@@ -301,10 +367,8 @@ class SourceManager {
       const source = this.activeSources.get(sourceId);
       if (!source || !source.isPlaying) return false;
 
-      // Calculate current position
-      const currentTime = this.audioContext.currentTime;
-      const elapsedTime = Math.max(0, currentTime - source.startTime);
-      const position = source.offset + elapsedTime;
+      // Resume from what is audible now, not what the source has already read
+      const position = this._getPosition(source);
 
       // Store position for resume
       source.pausePosition = position;
@@ -430,11 +494,11 @@ class SourceManager {
       // Normalize volume to valid range
       const safeVolume = Math.max(0, Math.min(1, volume));
       
-      // Apply volume change with optional fade
-      this._applyFade(source.gainNode.gain, safeVolume, 0, fadeTime);
-      
       // Update options
       source.options.volume = safeVolume;
+
+      // Apply volume change with optional fade
+      this._applyFade(source.gainNode.gain, this._getSourceLevel(source), 0, fadeTime);
       
       // Emit event
       this._emitEvent('source:volume-changed', {
@@ -454,8 +518,142 @@ class SourceManager {
     }
   }
 
+  /**
+   * Set the loudness normalization gain for a source
+   * Kept separate from volume so it can exceed unity.
+   * @param {string} sourceId - ID of source
+   * @param {number} gain - Linear gain
+   * @param {number} [fadeTime=0] - Fade time in seconds
+   * @returns {boolean} Success status
+   */
+  setNormalizationGain(sourceId, gain, fadeTime = 0) {
+    try {
+      const source = this.activeSources.get(sourceId);
+      if (!source) return false;
+
+      source.options.normalizationGain = Math.max(0, gain);
+      this._applyFade(source.gainNode.gain, this._getSourceLevel(source), 0, fadeTime);
+
+      this._emitEvent('source:normalization-changed', {
+        sourceId,
+        gain: source.options.normalizationGain,
+        fadeTime
+      });
+
+      return true;
+    } catch (error) {
+      this._handleError(error, {
+        operation: 'setNormalizationGain',
+        sourceId,
+        gain
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Schedule a gain curve on a source at an absolute AudioContext time
+   * The curve is scaled by the source level, so 1 maps to full volume.
+   * @param {string} sourceId - ID of source
+   * @param {Float32Array} curve - Gain values (0-1)
+   * @param {number} startTime - AudioContext time the curve starts at
+   * @param {number} duration - Curve duration in seconds
+   * @returns {boolean} Success status
+   */
+  scheduleGainCurve(sourceId, curve, startTime, duration) {
+    try {
+      const source = this.activeSources.get(sourceId);
+      if (!source || !curve || curve.length < 2 || duration <= 0) return false;
+
+      const gain = source.gainNode.gain;
+      const level = this._getSourceLevel(source);
+      const scaled = curve.map(value => value * level);
+
+      // Hold the first value until the curve starts; the gain node sits after
+      // the stretch node, so the curve is delayed to stay on the same samples.
+      // A curve may not overlap another event, so there is no hold when it
+      // starts right away.
+      const now = this.audioContext.currentTime;
+      const curveStart = Math.max(now, startTime + this._getLatency(source));
+      gain.cancelScheduledValues(now);
+      if (curveStart > now) {
+        gain.setValueAtTime(scaled[0], now);
+      }
+      gain.setValueCurveAtTime(scaled, curveStart, duration);
+
+      this._emitEvent('source:gain-curve', {
+        sourceId,
+        startTime: curveStart,
+        duration
+      });
+
+      return true;
+    } catch (error) {
+      this._handleError(error, {
+        operation: 'scheduleGainCurve',
+        sourceId
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Cancel a scheduled gain curve and return to the source volume
+   * @param {string} sourceId - ID of source
+   * @returns {boolean} Success status
+   */
+  cancelGainCurve(sourceId) {
+    try {
+      const source = this.activeSources.get(sourceId);
+      if (!source) return false;
+
+      source.gainNode.gain.cancelScheduledValues(this.audioContext.currentTime);
+      this._applyFade(source.gainNode.gain, this._getSourceLevel(source), 0, this.config.defaultFadeTime);
+
+      return true;
+    } catch (error) {
+      this._handleError(error, {
+        operation: 'cancelGainCurve',
+        sourceId
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Move the end of a playing source to an absolute AudioContext time
+   * Unlike stop(), the source still ends naturally and emits 'source:ended'.
+   * @param {string} sourceId - ID of source
+   * @param {number|null} endTime - AudioContext end time, or null for the buffer end
+   * @returns {boolean} Success status
+   */
+  scheduleEnd(sourceId, endTime) {
+    try {
+      const source = this.activeSources.get(sourceId);
+      if (!source || !source.isPlaying || source.sourceNode.loop) return false;
+
+      const rate = source.rate || 1;
+      const bufferEnd = source.startTime + (source.buffer.duration - source.offset) / rate;
+      const safeEndTime = endTime === null ? 
+        bufferEnd : Math.max(this.audioContext.currentTime, Math.min(endTime, bufferEnd));
+
+      source.sourceNode.stop(safeEndTime);
+      source.endTime = safeEndTime;
+      source.stopScheduled = true;
+
+      return true;
+    } catch (error) {
+      this._handleError(error, {
+        operation: 'scheduleEnd',
+        sourceId
+      });
+      return false;
+    }
+  }
+
   /**
    * Set playback rate for a source
+   * Speed and pitch change together; see setTempo() and setPitch().
    * @param {string} sourceId - ID of source
    * @param {number} rate - Playback rate (0.25-4.0 typical range)
    * @returns {boolean} Success status
@@ -465,11 +663,11 @@ class SourceManager {
       const source = this.activeSources.get(sourceId);
       if (!source) return false;
 
-      // Apply rate change
-      source.sourceNode.playbackRate.value = rate;
-      
       // Update options
       source.options.playbackRate = rate;
+
+      // Apply rate change
+      this._updateRate(source);
       
       // Emit event
       this._emitEvent('source:rate-changed', {
@@ -488,6 +686,137 @@ class SourceManager {
     }
   }
 
+  /**
+   * Set the tempo of a source without changing its pitch
+   * Without time-stretch support, pitch follows the tempo.
+   * @param {string} sourceId - ID of source
+   * @param {number} tempo - Tempo ratio (0.5-2)
+   * @returns {boolean} Success status
+   */
+  setTempo(sourceId, tempo) {
+    try {
+      const source = this.activeSources.get(sourceId);
+      if (!source) return false;
+
+      source.options.tempo = TimeStretcher.clampTempo(tempo);
+      this._updateRate(source);
+
+      this._emitEvent('source:tempo-changed', {
+        sourceId,
+        tempo: source.options.tempo
+      });
+
+      return true;
+    } catch (error) {
+      this._handleError(error, {
+        operation: 'setTempo',
+        sourceId,
+        tempo
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Shift the pitch of a source without changing its tempo
+   * @param {string} sourceId - ID of source
+   * @param {number} pitch - Pitch shift in semitones (-12 to 12)
+   * @returns {boolean} Success status; false without time-stretch support
+   */
+  setPitch(sourceId, pitch) {
+    try {
+      const source = this.activeSources.get(sourceId);
+      if (!source || !this.timeStretcher || !this.timeStretcher.isAvailable()) return false;
+
+      source.options.pitch = TimeStretcher.clampPitch(pitch);
+      this._updateStretchNode(source);
+
+      this._emitEvent('source:pitch-changed', {
+        sourceId,
+        pitch: source.options.pitch
+      });
+
+      return true;
+    } catch (error) {
+      this._handleError(error, {
+        operation: 'setPitch',
+        sourceId,
+        pitch
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Loop part of a source's buffer, or stop looping it
+   * Takes effect on the next sample; a source past the region end wraps into it.
+   * @param {string} sourceId - ID of source
+   * @param {number|null} start - Region start in seconds, or null to remove the region
+   * @param {number} [end] - Region end in seconds
+   * @returns {boolean} Success status
+   */
+  setLoopRegion(sourceId, start, end) {
+    try {
+      const source = this.activeSources.get(sourceId);
+      if (!source) return false;
+
+      // Positions read so far were measured against the old loop
+      this._reanchor(source, this.audioContext.currentTime);
+
+      const { sourceNode } = source;
+
+      if (start !== null && source.streaming) {
+        throw new Error('Loop regions are not supported on streamed sources');
+      }
+
+      if (start === null) {
+        sourceNode.loop = source.options.loop || false;
+        sourceNode.loopStart = 0;
+        sourceNode.loopEnd = 0;
+        delete source.options.loopStart;
+        delete source.options.loopEnd;
+
+        // The buffer end is reachable again
+        if (source.isPlaying && !sourceNode.loop) {
+          this.scheduleEnd(sourceId, null);
+        }
+      } else {
+        if (!(end > start)) {
+          throw new Error('Loop region end must be after its start');
+        }
+
+        sourceNode.loopStart = start;
+        sourceNode.loopEnd = end;
+        sourceNode.loop = true;
+        source.options.loopStart = start;
+        source.options.loopEnd = end;
+
+        // stop() cannot be cancelled, only moved; push any scheduled end out of reach
+        if (source.stopScheduled) {
+          sourceNode.stop(Number.MAX_VALUE);
+          source.stopScheduled = false;
+        }
+        source.endTime = null;
+      }
+
+      this._emitEvent('source:loop-changed', {
+        sourceId,
+        loopStart: start,
+        loopEnd: start === null ? null : end
+      });
+
+      return true;
+    } catch (error) {
+      this._handleError(error, {
+        operation: 'setLoopRegion',
+        sourceId,
+        start,
+        end
+      });
+      return false;
+    }
+  }
+
   /**
    * Check if a source is playing
    * @param {string} sourceId - ID of source
@@ -521,13 +850,7 @@ class SourceManager {
     let position = 0;
     
     if (source.isPlaying) {
-      const elapsed = Math.max(0, this.audioContext.currentTime - source.startTime);
-      position = source.offset + elapsed;
-      
-      // Handle looping
-      if (source.sourceNode.loop && position > source.buffer.duration) {
-        position = position % source.buffer.duration;
-      }
+      position = this._getPosition(source);
     } else if (source.isPaused) {
       position = source.pausePosition;
     }
@@ -538,9 +861,17 @@ class SourceManager {
       isPaused: source.isPaused,
       position,
       duration: source.buffer.duration,
+      startTime: source.startTime,
+      endTime: source.endTime,
       volume: source.gainNode.gain.value,
-      playbackRate: source.sourceNode.playbackRate.value,
-      loop: source.sourceNode.loop
+      playbackRate: source.rate,
+      tempo: source.options.tempo,
+      pitch: source.options.pitch,
+      latency: this._getLatency(source),
+      loop: source.sourceNode.loop,
+      loopStart: source.sourceNode.loopStart,
+      loopEnd: source.sourceNode.loopEnd,
+      streaming: source.streaming
     };
   }
 
@@ -552,6 +883,134 @@ class SourceManager {
     return { ...this.stats };
   }
 
+  /**
+   * Effective gain of a source: volume times normalization gain
+   * @private
+   */
+  _getSourceLevel(source) {
+    const volume = source.options.volume !== undefined ? 
+      source.options.volume : this.config.defaultVolume;
+    const normalizationGain = source.options.normalizationGain !== undefined ?
+      source.options.normalizationGain : 1;
+
+    return volume * normalizationGain;
+  }
+
+  /**
+   * Delay between a source reading its buffer and its output
+   * @private
+   */
+  _getLatency(source) {
+    return source.stretchNode ? this.timeStretcher.getLatency() : 0;
+  }
+
+  /**
+   * Buffer position audible at a context time, compensated for latency
+   * @private
+   */
+  _getPosition(source, time = this.audioContext.currentTime) {
+    // A media element keeps its own clock, which stalls while it buffers
+    if (source.streaming) {
+      const ahead = this.audioContext.currentTime - time + this._getLatency(source);
+      return Math.max(0, source.sourceNode.currentTime - ahead * source.rate);
+    }
+
+    const elapsed = time - this._getLatency(source) - source.startTime;
+    let position = source.offset;
+
+    if (elapsed >= 0) {
+      position += elapsed * source.rate;
+    } else if (source.previousRate) {
+      // Still hearing samples read before the last re-anchor
+      position += elapsed * source.previousRate;
+    }
+
+    return this._wrapPosition(source, Math.max(0, position));
+  }
+
+  /**
+   * Fold a buffer position into the loop region, or the buffer when looping whole
+   * @private
+   */
+  _wrapPosition(source, position) {
+    const { loop, loopStart, loopEnd } = source.sourceNode;
+    if (!loop) return position;
+
+    if (loopEnd > loopStart) {
+      return position >= loopEnd ?
+        loopStart + (position - loopStart) % (loopEnd - loopStart) : position;
+    }
+
+    return position > source.buffer.duration ? position % source.buffer.duration : position;
+  }
+
+  /**
+   * Restart position tracking of a playing source from a context time
+   * @private
+   */
+  _reanchor(source, time) {
+    if (!source.isPlaying || time <= source.startTime) return;
+
+    source.offset = this._wrapPosition(source, source.offset + (time - source.startTime) * source.rate);
+    source.startTime = time;
+    source.previousRate = source.rate;
+  }
+
+  /**
+   * Apply the playback rate and tempo to the source and its stretch node
+   * A playing source is re-anchored so positions stay continuous.
+   * @private
+   */
+  _updateRate(source) {
+    const { playbackRate, tempo } = source.options;
+    const rate = (playbackRate !== undefined ? playbackRate : 1) * tempo;
+    this._reanchor(source, this.audioContext.currentTime);
+
+    source.rate = rate;
+    source.sourceNode.playbackRate.value = rate;
+
+    this._updateStretchNode(source);
+
+    // The buffer end moves with the rate
+    if (source.isPlaying && !source.sourceNode.loop) {
+      this.scheduleEnd(source.id, null);
+    }
+  }
+
+  /**
+   * Retune the stretch node of a source, inserting it when tempo or pitch
+   * leaves unity and removing it on the way back so unity has no latency
+   * Swapping mid-playback moves the output by the stretch latency.
+   * @private
+   */
+  _updateStretchNode(source) {
+    if (!this.timeStretcher) return;
+
+    const { tempo, pitch } = source.options;
+    const stretched = TimeStretcher.isStretched(tempo, pitch);
+
+    if (stretched && source.stretchNode) {
+      this.timeStretcher.setParams(source.stretchNode, tempo, pitch);
+      return;
+    }
+
+    if (stretched) {
+      // A new node starts on samples read at the new rate, so it is tuned now
+      const stretchNode = this.timeStretcher.createNode(tempo, pitch);
+      if (!stretchNode) return;
+
+      source.sourceNode.disconnect();
+      source.sourceNode.connect(stretchNode);
+      stretchNode.connect(source.gainNode);
+      source.stretchNode = stretchNode;
+    } else if (source.stretchNode) {
+      source.sourceNode.disconnect();
+      source.sourceNode.connect(source.gainNode);
+      this.timeStretcher.releaseNode(source.stretchNode);
+      source.stretchNode = null;
+    }
+  }
+
   /**
    * Apply fade to an AudioParam
    * @private
@@ -635,10 +1094,28 @@ class SourceManager {
     try {
       // Disconnect nodes
       source.sourceNode.disconnect();
-      source.gainNode.disconnect();
+
+      if (source.stretchNode) {
+        // Let the stretch node drain its latency before cutting the output
+        const { stretchNode, gainNode } = source;
+        const drainTime = this.timeStretcher.getLatency() * 1000 + 50;
+
+        source.stretchNode = null;
+        source.drainTimer = setTimeout(() => {
+          this.timeStretcher.releaseNode(stretchNode);
+          gainNode.disconnect();
+        }, drainTime);
+      } else if (!source.drainTimer) {
+        source.gainNode.disconnect();
+      }
       
       // Remove event listener
       source.sourceNode.onended = null;
+
+      // Free the media element of a streamed source
+      if (source.streaming) {
+        source.sourceNode.release();
+      }
       
       // Reset state but keep in active sources map
       // (only remove when explicitly released)
@@ -646,7 +1123,9 @@ class SourceManager {
       source.endTime = this.audioContext.currentTime;
       
       // Recycle a node for future use
-      this._recycleSourceNode();
+      if (!source.streaming) {
+        this._recycleSourceNode();
+      }
     } catch (error) {
       console.warn('Error during source cleanup:', error);
     }
@@ -656,17 +1135,13 @@ class SourceManager {
    * Recreate a source and play it
    * @private
    */
-  _recreateAndPlay(oldSource, when, offset, duration) {
+  _recreateAndPlay(oldSource, startTime, offset, duration) {
     // Create new source with same settings
-    const newSource = this.createSource(oldSource.buffer, {
-      ...oldSource.options,
-      volume: oldSource.gainNode.gain.value,
-      playbackRate: oldSource.sourceNode.playbackRate.value
-    });
+    const newSource = this.createSource(oldSource.buffer, oldSource.options);
     
     // Play with specified parameters
     if (newSource) {
-      return this.play(newSource.id, when, offset, duration);
+      return this.playAt(newSource.id, startTime, offset, duration);
     }
     
     return false;
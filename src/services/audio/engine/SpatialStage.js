@@ -0,0 +1,368 @@
+/**
+ * SpatialStage.js
+ * Output stage that places the channels as virtual speakers around the
+ * listener, for headphone listening. In binaural mode each channel of a
+ * stereo or 5.1 signal feeds an HRTF panner at its speaker position, with a
+ * synthesized room mixed in. Crossfeed mode is the lighter alternative: each
+ * ear gets a low-passed, slightly delayed copy of the opposite channel.
+ *
+ *   off:       input -------------------------------------------> output
+ *   binaural:  input -> splitter -> HRTF panner per speaker ------> output
+ *                    -> room (ConvolutionReverb, wet only) ------^
+ *   crossfeed: input -> splitter -> direct L/R ------------> merger -> output
+ *                                -> lowpass -> delay -> opposite ^
+ */
+import { SPATIAL_STAGE } from '../constants/AudioParams';
+import AudioUtils from '../utils/AudioHelpers';
+import ConvolutionReverb from './ConvolutionReverb';
+
+// Web Audio 5.1 channel order is L, R, C, LFE, SL, SR
+const CHANNEL_COUNT = 6;
+const LFE_CHANNEL = 3;
+
+// Azimuth of the surround speakers (ITU-R BS.775), in degrees
+const SURROUND_ANGLE = 110;
+
+// Room reverb level against the direct sound, and its high-frequency damping
+const ROOM_LEVEL = 0.3;
+const ROOM_DAMPENING = 5000;
+
+// Extra path to the far ear in crossfeed mode, in seconds
+const CROSSFEED_DELAY = 0.0003;
+
+class SpatialStage {
+  /**
+   * Creates a new SpatialStage instance
+   * @param {Object} options - Configuration options
+   * @param {AudioNodeFactory} options.audioNodeFactory - Factory used to create the nodes
+   * @param {ImpulseResponseManager} [options.impulseResponses] - Synthesizes the room; no room without it
+   * @param {Object} [options.params] - Initial { mode, speakerAngle, distance, roomSize, crossfeedLevel, crossfeedCutoff }
+   * @param {Object} [options.config] - Additional configuration options
+   */
+  constructor(options = {}) {
+    if (!options.audioNodeFactory) {
+      throw new Error('SpatialStage requires AudioNodeFactory');
+    }
+
+    this.audioNodeFactory = options.audioNodeFactory;
+    this.audioContext = this.audioNodeFactory.audioContext;
+    this.impulseResponses = options.impulseResponses || null;
+
+    // Default configuration
+    this.config = {
+      smoothing: 0.02, // Time constant for parameter changes in seconds
+      ...options.config
+    };
+
+    this.params = {
+      mode: 'off',
+      speakerAngle: SPATIAL_STAGE.speakerAngle.default,
+      distance: SPATIAL_STAGE.distance.default,
+      roomSize: SPATIAL_STAGE.roomSize.default,
+      crossfeedLevel: SPATIAL_STAGE.crossfeedLevel.default,
+      crossfeedCutoff: SPATIAL_STAGE.crossfeedCutoff.default
+    };
+
+    // Room size the current room IR was synthesized for
+    this._roomSize = null;
+
+    this.inputNode = this.audioNodeFactory.createNode('gain', { gain: 1.0 });
+    this.outputNode = this.audioNodeFactory.createNode('gain', { gain: 1.0 });
+
+    // Keep 5.1 intact up to the speaker split
+    this.inputNode.channelCountMode = 'max';
+
+    this.binaural = this._createBinaural();
+    this.crossfeed = this._createCrossfeed();
+
+    this.room = new ConvolutionReverb({
+      audioNodeFactory: this.audioNodeFactory,
+      params: { wet: ROOM_LEVEL, dry: 0 }
+    });
+    this.room.getOutput().connect(this.outputNode);
+
+    this.inputNode.connect(this.outputNode);
+
+    this.setParams({
+      ...this.params,
+      ...options.params
+    });
+  }
+
+  /**
+   * Get the node that feeds the stage
+   * @returns {GainNode} - Input node
+   */
+  getInput() {
+    return this.inputNode;
+  }
+
+  /**
+   * Get the node the stage outputs from
+   * @returns {GainNode} - Output node
+   */
+  getOutput() {
+    return this.outputNode;
+  }
+
+  /**
+   * Switch between pass-through, binaural speakers and crossfeed
+   * @param {string} mode - 'off', 'binaural' or 'crossfeed'
+   * @returns {boolean} - Whether the mode is valid
+   */
+  setMode(mode) {
+    if (!SPATIAL_STAGE.modes.includes(mode)) {
+      return false;
+    }
+
+    // Only the active path is fed, so idle HRTF panners cost nothing
+    this.inputNode.disconnect();
+
+    if (mode === 'binaural') {
+      this.inputNode.connect(this.binaural.input);
+      this.inputNode.connect(this.room.getInput());
+    } else if (mode === 'crossfeed') {
+      this.inputNode.connect(this.crossfeed.input);
+    } else {
+      this.inputNode.connect(this.outputNode);
+    }
+
+    this.params.mode = mode;
+    return true;
+  }
+
+  /**
+   * Get the active mode
+   * @returns {string} - 'off', 'binaural' or 'crossfeed'
+   */
+  getMode() {
+    return this.params.mode;
+  }
+
+  /**
+   * Update stage parameters
+   * @param {Object} params - Any of { mode, speakerAngle (degrees), distance (m),
+   *   roomSize (0-1), crossfeedLevel (dB), crossfeedCutoff (Hz) }
+   */
+  setParams(params = {}) {
+    const clamp = (value, { min, max }) => Math.max(min, Math.min(max, Number(value)));
+
+    for (const name of ['speakerAngle', 'distance', 'roomSize', 'crossfeedLevel', 'crossfeedCutoff']) {
+      if (params[name] !== undefined && Number.isFinite(Number(params[name]))) {
+        this.params[name] = clamp(params[name], SPATIAL_STAGE[name]);
+      }
+    }
+
+    if (params.speakerAngle !== undefined || params.distance !== undefined) {
+      this._updateSpeakers();
+    }
+
+    if (params.roomSize !== undefined) {
+      this._updateRoom();
+    }
+
+    if (params.crossfeedLevel !== undefined || params.crossfeedCutoff !== undefined) {
+      this._updateCrossfeed();
+    }
+
+    if (params.mode !== undefined && params.mode !== this.params.mode) {
+      this.setMode(params.mode);
+    }
+  }
+
+  /**
+   * Get current stage parameters
+   * @returns {Object} - { mode, speakerAngle, distance, roomSize, crossfeedLevel, crossfeedCutoff }
+   */
+  getParams() {
+    return { ...this.params };
+  }
+
+  /**
+   * Build the virtual speaker path: one HRTF panner per channel, LFE unpanned
+   * @private
+   * @returns {Object} - { input, splitter, speakers, lfe }
+   */
+  _createBinaural() {
+    const input = this.audioNodeFactory.createNode('gain', { gain: 1.0 });
+    input.channelCount = CHANNEL_COUNT;
+    input.channelCountMode = 'explicit';
+    input.channelInterpretation = 'speakers';
+
+    const splitter = this.audioContext.createChannelSplitter(CHANNEL_COUNT);
+    input.connect(splitter);
+
+    const speakers = [];
+    let lfe = null;
+
+    for (let channel = 0; channel < CHANNEL_COUNT; channel++) {
+      if (channel === LFE_CHANNEL) {
+        // Bass is not localized; send it to both ears
+        lfe = this.audioNodeFactory.createNode('gain', { gain: Math.SQRT1_2 });
+        splitter.connect(lfe, channel);
+        lfe.connect(this.outputNode);
+        continue;
+      }
+
+      const panner = this.audioNodeFactory.createNode('panner', {
+        panningModel: 'HRTF',
+        distanceModel: 'inverse',
+        refDistance: 1,
+        rolloffFactor: 1
+      });
+
+      splitter.connect(panner, channel);
+      panner.connect(this.outputNode);
+      speakers.push({ channel, panner });
+    }
+
+    return { input, splitter, speakers, lfe };
+  }
+
+  /**
+   * Build the crossfeed path
+   * @private
+   * @returns {Object} - { input, splitter, merger, direct, cross }
+   */
+  _createCrossfeed() {
+    const input = this.audioNodeFactory.createNode('gain', { gain: 1.0 });
+    input.channelCount = 2;
+    input.channelCountMode = 'explicit';
+    input.channelInterpretation = 'speakers';
+
+    const splitter = this.audioContext.createChannelSplitter(2);
+    const merger = this.audioContext.createChannelMerger(2);
+    input.connect(splitter);
+
+    const direct = [];
+    const cross = [];
+
+    for (let channel = 0; channel < 2; channel++) {
+      const directGain = this.audioNodeFactory.createNode('gain', { gain: 1.0 });
+      splitter.connect(directGain, channel);
+      directGain.connect(merger, 0, channel);
+      direct.push(directGain);
+
+      // Head shadow: the far ear hears the other side late and without highs
+      const filter = this.audioNodeFactory.createFilterNode({ type: 'lowpass', Q: Math.SQRT1_2 });
+      const delay = this.audioNodeFactory.createNode('delay', {
+        maxDelayTime: 0.01,
+        delayTime: CROSSFEED_DELAY
+      });
+      const crossGain = this.audioNodeFactory.createNode('gain', { gain: 0 });
+
+      splitter.connect(filter, channel);
+      filter.connect(delay);
+      delay.connect(crossGain);
+      crossGain.connect(merger, 0, 1 - channel);
+      cross.push({ filter, delay, gain: crossGain });
+    }
+
+    merger.connect(this.outputNode);
+
+    return { input, splitter, merger, direct, cross };
+  }
+
+  /**
+   * Azimuth of the speaker a channel plays from
+   * @private
+   * @param {number} channel - Channel index in 5.1 order
+   * @returns {number} - Degrees clockwise from straight ahead
+   */
+  _getAzimuth(channel) {
+    const { speakerAngle } = this.params;
+
+    switch (channel) {
+      case 0: return -speakerAngle;
+      case 1: return speakerAngle;
+      case 4: return -SURROUND_ANGLE;
+      case 5: return SURROUND_ANGLE;
+      default: return 0;
+    }
+  }
+
+  /**
+   * Move the virtual speakers to the current angle and distance
+   * @private
+   */
+  _updateSpeakers() {
+    const { distance } = this.params;
+
+    // The listener sits at the origin facing -Z
+    for (const { channel, panner } of this.binaural.speakers) {
+      const azimuth = (this._getAzimuth(channel) * Math.PI) / 180;
+
+      panner.setParam('positionX', distance * Math.sin(azimuth), this.config.smoothing);
+      panner.setParam('positionY', 0, this.config.smoothing);
+      panner.setParam('positionZ', -distance * Math.cos(azimuth), this.config.smoothing);
+    }
+  }
+
+  /**
+   * Synthesize the room for the current size
+   * @private
+   */
+  _updateRoom() {
+    const { roomSize } = this.params;
+
+    if (roomSize === this._roomSize) return;
+    this._roomSize = roomSize;
+
+    if (roomSize <= 0 || !this.impulseResponses) {
+      this.room.setImpulseResponse(null);
+      return;
+    }
+
+    this.room.setImpulseResponse(this.impulseResponses.synthesizeImpulseResponse({
+      roomSize,
+      dampening: ROOM_DAMPENING
+    }));
+  }
+
+  /**
+   * Apply the crossfeed level and cutoff
+   * @private
+   */
+  _updateCrossfeed() {
+    const level = AudioUtils.decibelsToLinear(this.params.crossfeedLevel);
+
+    // Bass sums from both paths; scale so it stays at its original level
+    const directLevel = 1 / (1 + level);
+
+    this.crossfeed.direct.forEach(gain => {
+      gain.setParam('gain', directLevel, this.config.smoothing);
+    });
+
+    this.crossfeed.cross.forEach(({ filter, gain }) => {
+      filter.setParam('frequency', this.params.crossfeedCutoff, this.config.smoothing);
+      gain.setParam('gain', level * directLevel, this.config.smoothing);
+    });
+  }
+
+  /**
+   * Clean up and dispose of resources
+   */
+  dispose() {
+    this.inputNode.disconnect();
+    this.outputNode.disconnect();
+
+    this.binaural.input.disconnect();
+    this.binaural.splitter.disconnect();
+    this.binaural.speakers.forEach(({ panner }) => panner.disconnect());
+    this.binaural.lfe.disconnect();
+
+    this.crossfeed.input.disconnect();
+    this.crossfeed.splitter.disconnect();
+    this.crossfeed.merger.disconnect();
+    this.crossfeed.direct.forEach(gain => gain.disconnect());
+    this.crossfeed.cross.forEach(({ filter, delay, gain }) => {
+      filter.disconnect();
+      delay.disconnect();
+      gain.disconnect();
+    });
+
+    this.room.dispose();
+  }
+}
+
+export default SpatialStage;
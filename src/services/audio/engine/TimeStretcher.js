@@ -0,0 +1,252 @@
+/**
+ * TimeStretcher.js
+ * Independent tempo and pitch for playback. Sources play their buffer at the
+ * tempo rate, which also moves pitch; a WSOLA AudioWorklet node after each
+ * source shifts the pitch back by the tempo and on to the requested pitch.
+ * The worklet delays the signal by a fixed latency, reported here so
+ * playback positions can be compensated.
+ */
+import AudioUtils from '../utils/AudioHelpers';
+import { TIME_STRETCH } from '../constants/AudioParams';
+import timeStretchProcessorUrl from '../worklets/TimeStretchProcessor.js?url';
+
+// Contexts that already have the time-stretch worklet module registered
+const workletModuleContexts = new WeakSet();
+
+// Highest pitch ratio the worklet handles: slowest tempo at the top pitch
+const MAX_RATIO = 4;
+
+class TimeStretcher {
+  /**
+   * Creates a new TimeStretcher instance
+   * @param {Object} options - Configuration options
+   * @param {AudioContext} options.audioContext - Context the nodes are created in
+   * @param {EventBus} [options.EventBus] - Reference to EventBus
+   * @param {Object} [options.config] - Additional configuration options
+   */
+  constructor(options = {}) {
+    if (!options.audioContext) {
+      throw new Error('TimeStretcher requires an AudioContext');
+    }
+
+    this.audioContext = options.audioContext;
+    this.EventBus = options.EventBus || null;
+
+    // Default configuration
+    this.config = {
+      grainDuration: 0.03,  // WSOLA grain length, in seconds
+      tolerance: 0.008,     // Alignment search range, in seconds
+      useWorklet: true,
+      ...options.config
+    };
+
+    // Grain geometry in frames; the latency covers the largest ratio
+    const { sampleRate } = this.audioContext;
+    const hopSize = Math.max(32, Math.round((this.config.grainDuration * sampleRate) / 2));
+
+    this.grainSize = hopSize * 2;
+    this.tolerance = Math.round(this.config.tolerance * sampleRate);
+    this.latencyFrames = Math.ceil(hopSize * (1 + MAX_RATIO) + this.tolerance + 2);
+
+    this.available = false;
+    this.ready = null;
+  }
+
+  /**
+   * Load the worklet module; playback falls back to plain resampling without it
+   * @returns {Promise<boolean>} - Whether independent pitch is available
+   */
+  async initialize() {
+    if (!this.ready) {
+      this.ready = this._loadWorklet();
+    }
+
+    return this.ready;
+  }
+
+  /**
+   * Load the time-stretch worklet module once per context
+   * @private
+   * @returns {Promise<boolean>} - Whether the module loaded
+   */
+  async _loadWorklet() {
+    if (!this.config.useWorklet || !AudioUtils.isAudioWorkletSupported()) {
+      return false;
+    }
+
+    try {
+      if (!workletModuleContexts.has(this.audioContext)) {
+        await this.audioContext.audioWorklet.addModule(timeStretchProcessorUrl);
+        workletModuleContexts.add(this.audioContext);
+      }
+
+      this.available = true;
+      this._emitEvent('timestretch:ready', { latency: this.getLatency() });
+    } catch (error) {
+      console.warn('[TimeStretcher] AudioWorklet unavailable, tempo will change pitch:', error);
+      this._emitEvent('timestretch:error', {
+        error: error.message,
+        operation: 'initialize'
+      });
+    }
+
+    return this.available;
+  }
+
+  /**
+   * Check whether pitch can be set independently of tempo
+   * @returns {boolean} - True once the worklet module is loaded
+   */
+  isAvailable() {
+    return this.available;
+  }
+
+  /**
+   * Delay added by a time-stretch node
+   * @returns {number} - Latency in seconds, 0 when unavailable
+   */
+  getLatency() {
+    return this.available ? this.latencyFrames / this.audioContext.sampleRate : 0;
+  }
+
+  /**
+   * Create a time-stretch node for one source
+   * @param {number} [tempo=1] - Tempo the source buffer plays at
+   * @param {number} [pitch=0] - Pitch shift in semitones
+   * @returns {AudioWorkletNode|null} - Node, or null when unavailable
+   */
+  createNode(tempo = 1, pitch = 0) {
+    if (!this.available) {
+      return null;
+    }
+
+    try {
+      return new AudioWorkletNode(this.audioContext, 'time-stretch-processor', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        parameterData: {
+          ratio: TimeStretcher.getShiftRatio(tempo, pitch)
+        },
+        processorOptions: {
+          grainSize: this.grainSize,
+          tolerance: this.tolerance,
+          latency: this.latencyFrames
+        }
+      });
+    } catch (error) {
+      console.error('[TimeStretcher] Node creation failed:', error);
+      this._emitEvent('timestretch:error', {
+        error: error.message,
+        operation: 'createNode'
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Retune a time-stretch node
+   * The node plays input from one latency ago, so a source rate change made
+   * now reaches it then; retuning at the same moment would shift the pitch
+   * of the samples still buffered at the old rate.
+   * @param {AudioWorkletNode} node - Node returned by createNode()
+   * @param {number} tempo - Tempo the source buffer plays at
+   * @param {number} pitch - Pitch shift in semitones
+   * @param {number} [time] - Context time to retune at; defaults to now plus the latency
+   * @returns {boolean} - Whether the node was updated
+   */
+  setParams(node, tempo, pitch, time = this.audioContext.currentTime + this.getLatency()) {
+    const ratio = node?.parameters?.get('ratio');
+    if (!ratio) {
+      return false;
+    }
+
+    ratio.cancelScheduledValues(time);
+    ratio.setValueAtTime(TimeStretcher.getShiftRatio(tempo, pitch), time);
+    return true;
+  }
+
+  /**
+   * Stop a node's processor and disconnect it
+   * @param {AudioWorkletNode} node - Node returned by createNode()
+   */
+  releaseNode(node) {
+    if (!node) return;
+
+    try {
+      node.port.postMessage({ type: 'dispose' });
+      node.disconnect();
+    } catch (error) {
+      console.warn('[TimeStretcher] Node release failed:', error);
+    }
+  }
+
+  /**
+   * Pitch ratio the worklet applies: undo the tempo resampling, then shift
+   * @param {number} tempo - Tempo the source buffer plays at
+   * @param {number} pitch - Pitch shift in semitones
+   * @returns {number} - Ratio of output to input frequency
+   */
+  static getShiftRatio(tempo, pitch) {
+    const ratio = AudioUtils.calculateSemitoneRatio(TimeStretcher.clampPitch(pitch)) /
+      TimeStretcher.clampTempo(tempo);
+
+    return Math.max(1 / MAX_RATIO, Math.min(MAX_RATIO, ratio));
+  }
+
+  /**
+   * Check whether a tempo and pitch need a time-stretch node at all
+   * @param {number} tempo - Tempo ratio
+   * @param {number} pitch - Pitch shift in semitones
+   * @returns {boolean} - False at unity tempo and no pitch shift
+   */
+  static isStretched(tempo, pitch) {
+    return TimeStretcher.clampTempo(tempo) !== 1 || TimeStretcher.clampPitch(pitch) !== 0;
+  }
+
+  /**
+   * Clamp a tempo to the supported range
+   * @param {number} tempo - Tempo ratio
+   * @returns {number} - Tempo within TIME_STRETCH.tempo
+   */
+  static clampTempo(tempo) {
+    const { min, max } = TIME_STRETCH.tempo;
+    const value = Number.isFinite(tempo) ? tempo : TIME_STRETCH.tempo.default;
+    return Math.max(min, Math.min(max, value));
+  }
+
+  /**
+   * Clamp a pitch shift to the supported range
+   * @param {number} pitch - Pitch shift in semitones
+   * @returns {number} - Pitch within TIME_STRETCH.pitch
+   */
+  static clampPitch(pitch) {
+    const { min, max } = TIME_STRETCH.pitch;
+    const value = Number.isFinite(pitch) ? pitch : TIME_STRETCH.pitch.default;
+    return Math.max(min, Math.min(max, value));
+  }
+
+  /**
+   * Emit an event through the EventBus
+   * @private
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   */
+  _emitEvent(type, data) {
+    if (this.EventBus && typeof this.EventBus.emit === 'function') {
+      this.EventBus.emit(type, {
+        ...data,
+        source: 'TimeStretcher',
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * Clean up and dispose of resources
+   */
+  dispose() {
+    this.available = false;
+  }
+}
+
+export default TimeStretcher;
@@ -0,0 +1,400 @@
+/**
+ * TruePeakLimiter.js
+ * Output limiter that holds true peaks under a ceiling in dBTP. Runs a
+ * lookahead AudioWorklet with 4x oversampled peak detection; until the
+ * worklet loads, or where AudioWorklet is missing, hard-knee
+ * DynamicsCompressors stand in (sample peaks only). A compressor only
+ * carries stereo, so wider layouts are split into channel pairs with a
+ * compressor each. The worklet delays the signal by its lookahead, reported
+ * here as latency.
+ *
+ *   input -> limiter (worklet, or compressor per channel pair) -> output
+ */
+import AudioUtils from '../utils/AudioHelpers';
+import truePeakLimiterProcessorUrl from '../worklets/TruePeakLimiterProcessor.js?url';
+
+// Contexts that already have the limiter worklet module registered
+const workletModuleContexts = new WeakSet();
+
+// Most channels an AudioNode carries, and so the most the limiter is given
+const MAX_CHANNELS = 32;
+
+// Channels one fallback compressor limits with a linked gain
+const COMPRESSOR_CHANNELS = 2;
+
+// Ceiling and release limits, matching the worklet's parameter ranges
+const CEILING_RANGE = { min: -20, max: 0 };
+const RELEASE_RANGE = { min: 0.001, max: 2 };
+
+// Frames the worklet's true-peak interpolator lags its input by
+const DETECTION_DELAY = 6;
+
+class TruePeakLimiter {
+  /**
+   * Creates a new TruePeakLimiter instance
+   * @param {Object} options - Configuration options
+   * @param {AudioContext} options.audioContext - Context the nodes are created in
+   * @param {Function} [options.onClip] - Called with { time, duration, truePeak, overshoot }
+   *   for each run of input peaks over the ceiling
+   * @param {Object} [options.config] - Additional configuration options
+   */
+  constructor(options = {}) {
+    if (!options.audioContext) {
+      throw new Error('TruePeakLimiter requires an AudioContext');
+    }
+
+    this.audioContext = options.audioContext;
+    this.onClip = options.onClip || null;
+
+    // Default configuration
+    this.config = {
+      ceiling: -1.0,      // dBTP
+      release: 0.05,      // Seconds
+      lookahead: 0.005,   // Seconds
+      useWorklet: true,
+      ...options.config
+    };
+
+    this.config.ceiling = this._clamp(this.config.ceiling, CEILING_RANGE, -1.0);
+    this.config.release = this._clamp(this.config.release, RELEASE_RANGE, 0.05);
+
+    this.lookaheadFrames = Math.max(1, Math.round(this.config.lookahead * this.audioContext.sampleRate));
+
+    this.inputNode = this.audioContext.createGain();
+    this.outputNode = this.audioContext.createGain();
+
+    // Fallback compressors, one per channel pair, and the nodes splitting
+    // the input into those pairs
+    this.compressors = [this._createCompressor()];
+    this.pairRouting = [];
+    this.channelCount = COMPRESSOR_CHANNELS;
+
+    this.workletNode = null;
+    this.enabled = true;
+
+    // Latest meter reading from the worklet
+    this.meter = { gainReduction: 0, truePeak: -Infinity };
+
+    this.ready = null;
+    this.disposed = false;
+
+    this._connect();
+  }
+
+  /**
+   * Load the worklet and switch to it; the compressor stays in place without it
+   * @returns {Promise<boolean>} - Whether true-peak limiting is active
+   */
+  async initialize() {
+    if (!this.ready) {
+      this.ready = this._loadWorklet();
+    }
+
+    return this.ready;
+  }
+
+  /**
+   * Load the limiter worklet module once per context and create the node
+   * @private
+   * @returns {Promise<boolean>} - Whether the worklet node was created
+   */
+  async _loadWorklet() {
+    if (!this.config.useWorklet || !AudioUtils.isAudioWorkletSupported()) {
+      return false;
+    }
+
+    try {
+      if (!workletModuleContexts.has(this.audioContext)) {
+        await this.audioContext.audioWorklet.addModule(truePeakLimiterProcessorUrl);
+        workletModuleContexts.add(this.audioContext);
+      }
+
+      if (this.disposed) {
+        return false;
+      }
+
+      this.workletNode = new AudioWorkletNode(this.audioContext, 'true-peak-limiter-processor', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        channelCountMode: 'max',
+        parameterData: {
+          ceiling: this.config.ceiling,
+          release: this.config.release
+        },
+        processorOptions: {
+          lookahead: this.lookaheadFrames
+        }
+      });
+
+      this.workletNode.port.onmessage = (event) => this._handleMessage(event.data || {});
+
+      this._connect();
+      return true;
+    } catch (error) {
+      console.warn('[TruePeakLimiter] AudioWorklet unavailable, limiting sample peaks:', error);
+      this.workletNode = null;
+      return false;
+    }
+  }
+
+  /**
+   * Get the node that feeds the limiter
+   * @returns {GainNode} - Input node
+   */
+  getInput() {
+    return this.inputNode;
+  }
+
+  /**
+   * Get the node the limiter outputs from
+   * @returns {GainNode} - Output node
+   */
+  getOutput() {
+    return this.outputNode;
+  }
+
+  /**
+   * Check whether the true-peak worklet is doing the limiting
+   * @returns {boolean} - False while the compressor fallback is in place
+   */
+  isTruePeak() {
+    return this.workletNode !== null;
+  }
+
+  /**
+   * Set how many channels reach the limiter, so the compressor fallback
+   * can give each pair its own compressor
+   * @param {number} count - Channel count
+   */
+  setChannelCount(count) {
+    const channelCount = Math.max(1, Math.min(MAX_CHANNELS, Math.round(count) || COMPRESSOR_CHANNELS));
+
+    if (channelCount !== this.channelCount) {
+      this.channelCount = channelCount;
+      this._connect();
+    }
+  }
+
+  /**
+   * Delay the limiter adds
+   * @returns {number} - Latency in seconds, 0 for the compressor fallback
+   */
+  getLatency() {
+    if (!this.workletNode || !this.enabled) {
+      return 0;
+    }
+
+    // Lookahead window plus the interpolator's detection delay
+    return (this.lookaheadFrames - 1 + DETECTION_DELAY) / this.audioContext.sampleRate;
+  }
+
+  /**
+   * Set the ceiling
+   * @param {number} ceiling - Ceiling in dBTP (-20 to 0)
+   */
+  setCeiling(ceiling) {
+    this.config.ceiling = this._clamp(ceiling, CEILING_RANGE, this.config.ceiling);
+
+    this.workletNode?.parameters.get('ceiling').setValueAtTime(
+      this.config.ceiling,
+      this.audioContext.currentTime
+    );
+    this.compressors.forEach(compressor => {
+      compressor.threshold.setValueAtTime(this.config.ceiling, this.audioContext.currentTime);
+    });
+  }
+
+  /**
+   * Set the release time
+   * @param {number} release - Release in seconds
+   */
+  setRelease(release) {
+    this.config.release = this._clamp(release, RELEASE_RANGE, this.config.release);
+
+    this.workletNode?.parameters.get('release').setValueAtTime(
+      this.config.release,
+      this.audioContext.currentTime
+    );
+    this.compressors.forEach(compressor => {
+      compressor.release.setValueAtTime(this.config.release, this.audioContext.currentTime);
+    });
+  }
+
+  /**
+   * Get limiter settings
+   * @returns {Object} - { ceiling, release, lookahead, enabled, truePeak }
+   */
+  getParams() {
+    return {
+      ceiling: this.config.ceiling,
+      release: this.config.release,
+      lookahead: this.lookaheadFrames / this.audioContext.sampleRate,
+      enabled: this.enabled,
+      truePeak: this.isTruePeak()
+    };
+  }
+
+  /**
+   * Engage or bypass the limiter
+   * @param {boolean} enabled - Whether the limiter is in the signal path
+   */
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+    this._connect();
+  }
+
+  /**
+   * Latest gain reduction and input true peak
+   * @returns {Object} - { gainReduction (dB, positive), truePeak (dBTP, null with the fallback) }
+   */
+  getMeter() {
+    if (!this.workletNode) {
+      const reduction = Math.min(...this.compressors.map(compressor => compressor.reduction));
+      return { gainReduction: -reduction, truePeak: null };
+    }
+
+    return { ...this.meter };
+  }
+
+  /**
+   * Route the input through the active limiter, or straight through when bypassed
+   * @private
+   */
+  _connect() {
+    this.inputNode.disconnect();
+    this.compressors.forEach(compressor => compressor.disconnect());
+    this.pairRouting.forEach(node => node.disconnect());
+    this.pairRouting = [];
+    this.workletNode?.disconnect();
+
+    if (!this.enabled) {
+      this.inputNode.connect(this.outputNode);
+      return;
+    }
+
+    if (this.workletNode || this.channelCount <= COMPRESSOR_CHANNELS) {
+      const limiter = this.workletNode || this.compressors[0];
+      this.inputNode.connect(limiter);
+      limiter.connect(this.outputNode);
+      return;
+    }
+
+    this._connectPairs();
+  }
+
+  /**
+   * Route each channel pair through its own compressor; pairs are limited
+   * independently of each other
+   * @private
+   */
+  _connectPairs() {
+    const count = this.channelCount;
+    const pairs = Math.ceil(count / COMPRESSOR_CHANNELS);
+
+    while (this.compressors.length < pairs) {
+      this.compressors.push(this._createCompressor());
+    }
+
+    const splitter = this.audioContext.createChannelSplitter(count);
+    const merger = this.audioContext.createChannelMerger(count);
+    this.pairRouting = [splitter, merger];
+
+    for (let pair = 0; pair < pairs; pair++) {
+      const first = pair * COMPRESSOR_CHANNELS;
+      const channels = Math.min(COMPRESSOR_CHANNELS, count - first);
+      const pairMerger = this.audioContext.createChannelMerger(channels);
+      const pairSplitter = this.audioContext.createChannelSplitter(channels);
+
+      for (let channel = 0; channel < channels; channel++) {
+        splitter.connect(pairMerger, first + channel, channel);
+        pairSplitter.connect(merger, channel, first + channel);
+      }
+
+      pairMerger.connect(this.compressors[pair]);
+      this.compressors[pair].connect(pairSplitter);
+      this.pairRouting.push(pairMerger, pairSplitter);
+    }
+
+    this.inputNode.connect(splitter);
+    merger.connect(this.outputNode);
+  }
+
+  /**
+   * Hard-knee stereo compressor used until the worklet is available
+   * @private
+   * @returns {DynamicsCompressorNode} - Compressor
+   */
+  _createCompressor() {
+    const compressor = this.audioContext.createDynamicsCompressor();
+
+    compressor.threshold.value = this.config.ceiling;
+    compressor.ratio.value = 20;
+    compressor.attack.value = 0.001;
+    compressor.release.value = this.config.release;
+    compressor.knee.value = 0.0;
+
+    return compressor;
+  }
+
+  /**
+   * Handle meter and clip messages from the worklet
+   * @private
+   * @param {Object} message - Worklet message
+   */
+  _handleMessage(message) {
+    switch (message.type) {
+      case 'meter':
+        this.meter = {
+          gainReduction: message.gainReduction,
+          truePeak: message.truePeak
+        };
+        break;
+
+      case 'clip':
+        if (typeof this.onClip === 'function') {
+          this.onClip({
+            time: message.time,
+            duration: message.duration,
+            truePeak: message.truePeak,
+            overshoot: message.overshoot
+          });
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Clamp a value to a range
+   * @private
+   * @param {number} value - Value to clamp
+   * @param {Object} range - { min, max }
+   * @param {number} fallback - Value used when the input is not a number
+   * @returns {number} - Clamped value
+   */
+  _clamp(value, { min, max }, fallback) {
+    return Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback;
+  }
+
+  /**
+   * Clean up and dispose of resources
+   */
+  dispose() {
+    this.disposed = true;
+    this.inputNode.disconnect();
+    this.outputNode.disconnect();
+    this.compressors.forEach(compressor => compressor.disconnect());
+    this.pairRouting.forEach(node => node.disconnect());
+
+    if (this.workletNode) {
+      this.workletNode.port.postMessage({ type: 'dispose' });
+      this.workletNode.port.onmessage = null;
+      this.workletNode.disconnect();
+      this.workletNode = null;
+    }
+  }
+}
+
+export default TruePeakLimiter;
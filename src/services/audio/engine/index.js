@@ -17,6 +17,20 @@ import OutputManagerDefault from './OutputManager';
 import SignalProcessorDefault from './SignalProcessor';
 import SourceManagerDefault from './SourceManager';
 import BeatDetectorDefault from './BeatDetector';
+import LoudnessScannerDefault from './LoudnessScanner';
+import BeatGridAnalyzerDefault from './BeatGridAnalyzer';
+import KeyDetectorDefault from './KeyDetector';
+import ParametricEQDefault from './ParametricEQ';
+import ConvolutionReverbDefault from './ConvolutionReverb';
+import ImpulseResponseManagerDefault from './ImpulseResponseManager';
+import EffectsChainDefault from './EffectsChain';
+import TimeStretcherDefault from './TimeStretcher';
+import MediaElementSourceDefault from './MediaElementSource';
+import SpatialStageDefault from './SpatialStage';
+import ChannelMatrixDefault from './ChannelMatrix';
+import TruePeakLimiterDefault from './TruePeakLimiter';
+import DeckDefault from './Deck';
+import AutomationTimelineDefault from './AutomationTimeline';
 
 // Re-export AudioEngine as both default and named export
 export default AudioEngineDefault;
@@ -30,6 +44,20 @@ export const OutputManager = OutputManagerDefault;
 export const SignalProcessor = SignalProcessorDefault;
 export const SourceManager = SourceManagerDefault;
 export const BeatDetector = BeatDetectorDefault;
+export const LoudnessScanner = LoudnessScannerDefault;
+export const BeatGridAnalyzer = BeatGridAnalyzerDefault;
+export const KeyDetector = KeyDetectorDefault;
+export const ParametricEQ = ParametricEQDefault;
+export const ConvolutionReverb = ConvolutionReverbDefault;
+export const ImpulseResponseManager = ImpulseResponseManagerDefault;
+export const EffectsChain = EffectsChainDefault;
+export const TimeStretcher = TimeStretcherDefault;
+export const MediaElementSource = MediaElementSourceDefault;
+export const SpatialStage = SpatialStageDefault;
+export const ChannelMatrix = ChannelMatrixDefault;
+export const TruePeakLimiter = TruePeakLimiterDefault;
+export const Deck = DeckDefault;
+export const AutomationTimeline = AutomationTimelineDefault;
 
 // Named grouped exports for organizational clarity
 export const core = {
@@ -41,6 +69,8 @@ export const core = {
 export const management = {
   BufferManager,
   SourceManager,
+  MediaElementSource,
+  Deck,
   DeviceManager,
   OutputManager
 };
@@ -48,5 +78,17 @@ export const management = {
 export const processing = {
   AudioNodeFactory,
   SignalProcessor,
-  BeatDetector
+  BeatDetector,
+  LoudnessScanner,
+  BeatGridAnalyzer,
+  KeyDetector,
+  ParametricEQ,
+  ConvolutionReverb,
+  ImpulseResponseManager,
+  EffectsChain,
+  TimeStretcher,
+  SpatialStage,
+  ChannelMatrix,
+  TruePeakLimiter,
+  AutomationTimeline
 };
\ No newline at end of file
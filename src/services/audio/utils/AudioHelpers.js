@@ -5,6 +5,14 @@
  * throughout the Audio Domain to ensure consistency, performance, and code reuse.
  */
 
+import { MUSICAL_KEYS } from '../constants/AudioParams';
+
+// Bit-reversal and twiddle tables per FFT size
+const fftTables = new Map();
+
+// Semitones above C of each note letter
+const NOTE_LETTERS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
 // Utility class for audio operations
 class AudioUtils {
   /**
@@ -12,10 +20,10 @@ class AudioUtils {
    * @param {ArrayBuffer|Float32Array|Int16Array} buffer - Source buffer
    * @param {Object} options - Conversion options
    * @param {string} options.fromType - Source type ('float32', 'int16', 'arraybuffer')
-   * @param {string} options.toType - Target type ('float32', 'int16', 'arraybuffer')
+   * @param {string} options.toType - Target type ('float32', 'int16', 'int24', 'int32', 'arraybuffer')
    * @param {number} [options.channelCount] - Number of channels
    * @param {number} [options.sampleRate] - Sample rate
-   * @returns {ArrayBuffer|Float32Array|Int16Array} - Converted buffer
+   * @returns {ArrayBuffer|Float32Array|Int16Array|Int32Array} - Converted buffer
    */
   static convertAudioBuffer(buffer, options) {
     const { fromType, toType, channelCount, sampleRate } = options;
@@ -36,7 +44,25 @@ class AudioUtils {
       
       return intData;
     }
-    
+
+    // Handle Float32Array to 24/32-bit integer conversion (high-resolution file output)
+    // Both return an Int32Array; int24 values occupy the low 24 bits
+    if (fromType === 'float32' && (toType === 'int24' || toType === 'int32')) {
+      const floatData = buffer;
+      const intData = new Int32Array(floatData.length);
+      const maxValue = toType === 'int24' ? 8388607 : 2147483647;
+      const ditherScale = toType === 'int24' ? 8388608.0 : 2147483648.0;
+
+      for (let i = 0; i < floatData.length; i++) {
+        // Dither at the target bit depth's LSB
+        const dither = AudioUtils._generateTriangularDither() / ditherScale;
+        const sample = Math.max(-1.0, Math.min(1.0, floatData[i] + dither));
+        intData[i] = Math.floor(sample * maxValue);
+      }
+
+      return intData;
+    }
+
     // Handle Int16Array to Float32Array conversion (common for processing)
     if (fromType === 'int16' && toType === 'float32') {
       const intData = buffer;
@@ -136,6 +162,37 @@ class AudioUtils {
     
     return monoData;
   }
+
+  /**
+   * Average the channels and decimate to about an analysis rate
+   * Box averaging over each decimated sample doubles as the anti-alias filter.
+   * @param {AudioBuffer} buffer - Audio buffer
+   * @param {number} analysisRate - Sample rate to decimate to, in Hz
+   * @returns {Object} { samples, rate } with the mono samples and their actual rate
+   */
+  static mixDownForAnalysis(buffer, analysisRate) {
+    const factor = Math.max(1, Math.round(buffer.sampleRate / analysisRate));
+    const length = Math.floor(buffer.length / factor);
+    const samples = new Float32Array(length);
+    const scale = 1 / (factor * buffer.numberOfChannels);
+
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      const data = buffer.getChannelData(c);
+
+      for (let i = 0; i < length; i++) {
+        let sum = 0;
+        const start = i * factor;
+
+        for (let k = 0; k < factor; k++) {
+          sum += data[start + k];
+        }
+
+        samples[i] += sum * scale;
+      }
+    }
+
+    return { samples, rate: buffer.sampleRate / factor };
+  }
   
   /**
    * Interleave separate channel data into single buffer
@@ -227,6 +284,77 @@ class AudioUtils {
     // Return RMS value
     return Math.sqrt(sum / length);
   }
+
+  /**
+   * Find leading and trailing silence in an AudioBuffer
+   * @param {AudioBuffer} audioBuffer - Audio buffer to scan
+   * @param {number} [thresholdDb=-60] - Level below which samples count as silence
+   * @returns {Object} Audible region { start, end } in seconds
+   */
+  static detectSilence(audioBuffer, thresholdDb = -60) {
+    if (!audioBuffer || !audioBuffer.length) return { start: 0, end: 0 };
+    
+    const threshold = AudioUtils.decibelsToLinear(thresholdDb);
+    const channels = [];
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+      channels.push(audioBuffer.getChannelData(c));
+    }
+    
+    const isAudible = (i) => channels.some(data => Math.abs(data[i]) > threshold);
+    
+    // Scan forward for the first audible sample
+    let first = 0;
+    while (first < audioBuffer.length && !isAudible(first)) {
+      first++;
+    }
+    
+    // Entirely silent
+    if (first === audioBuffer.length) {
+      return { start: 0, end: 0 };
+    }
+    
+    // Scan backward for the last audible sample
+    let last = audioBuffer.length - 1;
+    while (last > first && !isAudible(last)) {
+      last--;
+    }
+    
+    return {
+      start: first / audioBuffer.sampleRate,
+      end: (last + 1) / audioBuffer.sampleRate
+    };
+  }
+  
+  /**
+   * Reduce an AudioBuffer to peak levels for waveform overviews
+   * @param {AudioBuffer} audioBuffer - Audio buffer to scan
+   * @param {number} [bins=500] - Number of peaks to return
+   * @returns {Float32Array} Peak absolute level of each bin, across channels (0-1)
+   */
+  static computePeaks(audioBuffer, bins = 500) {
+    const peaks = new Float32Array(Math.max(1, bins));
+    if (!audioBuffer || !audioBuffer.length) return peaks;
+    
+    const binLength = audioBuffer.length / peaks.length;
+    
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+      const data = audioBuffer.getChannelData(c);
+      
+      for (let bin = 0; bin < peaks.length; bin++) {
+        const end = Math.min(audioBuffer.length, Math.round((bin + 1) * binLength));
+        let peak = peaks[bin];
+        
+        for (let i = Math.round(bin * binLength); i < end; i++) {
+          const value = Math.abs(data[i]);
+          if (value > peak) peak = value;
+        }
+        
+        peaks[bin] = Math.min(1, peak);
+      }
+    }
+    
+    return peaks;
+  }
   
   /**
    * Calculate frequency band energy
@@ -495,6 +623,101 @@ class AudioUtils {
     return 60 / bpm;
   }
   
+  // =============== MUSICAL KEY UTILITIES ===============
+  
+  /**
+   * Look up a musical key from its name or Camelot code
+   * Accepts names such as 'Am', 'A minor', 'F#', 'Gbmaj' or 'Bb min',
+   * with enharmonic spellings, and codes such as '8A'.
+   * @param {string} key - Key name or Camelot code
+   * @returns {Object|null} Entry of MUSICAL_KEYS ({ name, tonic, mode, camelot }), or null if unrecognized
+   */
+  static parseMusicalKey(key) {
+    if (typeof key !== 'string') return null;
+    
+    const text = key.trim();
+    
+    // Camelot code
+    const camelot = text.match(/^0?(\d{1,2})\s*([ab])$/i);
+    if (camelot) {
+      const code = `${Number(camelot[1])}${camelot[2].toUpperCase()}`;
+      return MUSICAL_KEYS.find(entry => entry.camelot === code) || null;
+    }
+    
+    const match = text.match(/^([a-g])\s*([#♯b♭]?)\s*(.*)$/i);
+    if (!match) return null;
+    
+    // Tags in capitals spell B flat as 'BB'
+    const accidental = { '#': 1, '♯': 1, 'b': -1, '♭': -1 }[match[2].toLowerCase()] || 0;
+    const tonic = (NOTE_LETTERS[match[1].toUpperCase()] + accidental + 12) % 12;
+    const suffix = match[3].trim().toLowerCase();
+    
+    let mode;
+    if (suffix === '' || /^(maj|major|dur)$/.test(suffix)) {
+      mode = 'major';
+    } else if (/^(m|min|minor|moll)$/.test(suffix)) {
+      mode = 'minor';
+    } else {
+      return null;
+    }
+    
+    return MUSICAL_KEYS.find(entry => entry.tonic === tonic && entry.mode === mode) || null;
+  }
+  
+  /**
+   * Camelot code of a key
+   * @param {string} key - Key name or Camelot code
+   * @returns {string|null} Camelot code such as '8A', or null if unrecognized
+   */
+  static getCamelotCode(key) {
+    const entry = AudioUtils.parseMusicalKey(key);
+    return entry ? entry.camelot : null;
+  }
+  
+  /**
+   * Camelot codes that mix harmonically with a key: itself, one step either
+   * way on the wheel, and its relative major or minor
+   * @param {string} key - Key name or Camelot code
+   * @returns {Array<string>} Camelot codes, empty if unrecognized
+   */
+  static getCompatibleCamelotCodes(key) {
+    const code = AudioUtils.getCamelotCode(key);
+    if (!code) return [];
+    
+    const number = parseInt(code, 10);
+    const letter = code.slice(-1);
+    const step = offset => ((number - 1 + offset + 12) % 12) + 1;
+    
+    return [
+      code,
+      `${step(-1)}${letter}`,
+      `${step(1)}${letter}`,
+      `${number}${letter === 'A' ? 'B' : 'A'}`
+    ];
+  }
+  
+  /**
+   * Order Camelot codes around the wheel (1A, 1B, 2A, ...), unknown codes last
+   * @param {string} a - Camelot code
+   * @param {string} b - Camelot code
+   * @returns {number} Negative, zero or positive, as for Array.prototype.sort
+   */
+  static compareCamelotCodes(a, b) {
+    const rank = (code) => {
+      const entry = AudioUtils.parseMusicalKey(code);
+      if (!entry) return Infinity;
+      return parseInt(entry.camelot, 10) * 2 + (entry.camelot.endsWith('B') ? 1 : 0);
+    };
+    
+    const rankA = rank(a);
+    const rankB = rank(b);
+    
+    if (rankA === rankB) return 0;
+    if (rankA === Infinity) return 1;
+    if (rankB === Infinity) return -1;
+    return rankA - rankB;
+  }
+  
   // =============== AUDIO CONTEXT UTILITIES ===============
   
   /**
@@ -918,8 +1141,122 @@ class AudioUtils {
     return result;
   }
   
+  /**
+   * Create a gain curve for AudioParam.setValueCurveAtTime
+   * @param {number} length - Number of points in the curve
+   * @param {string} [type='linear'] - Curve shape ('linear', 'equal-power', 's-curve')
+   * @param {string} [direction='in'] - Fade direction ('in', 'out')
+   * @returns {Float32Array} Gain values from 0 to 1 (or 1 to 0 for 'out')
+   */
+  static createFadeCurve(length, type = 'linear', direction = 'in') {
+    const size = Math.max(2, Math.floor(length));
+    const curve = new Float32Array(size);
+    
+    for (let i = 0; i < size; i++) {
+      const x = i / (size - 1);
+      const t = direction === 'out' ? 1 - x : x;
+      
+      switch (type) {
+        case 'equal-power':
+          // Constant summed power across the overlap
+          curve[i] = Math.sin(t * Math.PI / 2);
+          break;
+        case 's-curve':
+          // Slow start and end, fast middle
+          curve[i] = 0.5 - 0.5 * Math.cos(t * Math.PI);
+          break;
+        case 'linear':
+        default:
+          curve[i] = t;
+      }
+    }
+    
+    return curve;
+  }
+  
   // =============== TIME/FREQUENCY DOMAIN CONVERSION ===============
   
+  /**
+   * In-place radix-2 FFT
+   * @param {Float64Array|Float32Array} real - Real parts, replaced by the spectrum's
+   * @param {Float64Array|Float32Array} imag - Imaginary parts, replaced by the spectrum's
+   */
+  static fft(real, imag) {
+    const size = real.length;
+    
+    if (size & (size - 1) || imag.length !== size) {
+      throw new Error('FFT size must be a power of two with matching real and imaginary parts');
+    }
+    
+    const { reversed, cos, sin } = AudioUtils._getFftTables(size);
+    
+    // Bit-reversal permutation
+    for (let i = 0; i < size; i++) {
+      const j = reversed[i];
+      if (j > i) {
+        [real[i], real[j]] = [real[j], real[i]];
+        [imag[i], imag[j]] = [imag[j], imag[i]];
+      }
+    }
+    
+    // Butterflies
+    for (let length = 2; length <= size; length *= 2) {
+      const half = length / 2;
+      const stride = size / length;
+      
+      for (let start = 0; start < size; start += length) {
+        for (let k = 0; k < half; k++) {
+          const wr = cos[k * stride];
+          const wi = -sin[k * stride];
+          const a = start + k;
+          const b = a + half;
+          
+          const tr = real[b] * wr - imag[b] * wi;
+          const ti = real[b] * wi + imag[b] * wr;
+          
+          real[b] = real[a] - tr;
+          imag[b] = imag[a] - ti;
+          real[a] += tr;
+          imag[a] += ti;
+        }
+      }
+    }
+  }
+  
+  /**
+   * Get (and cache) the bit-reversal permutation and twiddle factors for an FFT size
+   * @private
+   * @param {number} size - Power of two
+   * @returns {Object} { reversed, cos, sin }
+   */
+  static _getFftTables(size) {
+    if (fftTables.has(size)) {
+      return fftTables.get(size);
+    }
+    
+    const bits = Math.log2(size);
+    const reversed = new Uint32Array(size);
+    const cos = new Float64Array(size / 2);
+    const sin = new Float64Array(size / 2);
+    
+    for (let i = 0; i < size; i++) {
+      let j = 0;
+      for (let b = 0; b < bits; b++) {
+        j = (j << 1) | ((i >> b) & 1);
+      }
+      reversed[i] = j;
+    }
+    
+    for (let k = 0; k < size / 2; k++) {
+      cos[k] = Math.cos(2 * Math.PI * k / size);
+      sin[k] = Math.sin(2 * Math.PI * k / size);
+    }
+    
+    const tables = { reversed, cos, sin };
+    fftTables.set(size, tables);
+    return tables;
+  }
+  
   /**
    * Calculate Zero Crossing Rate of a signal
    * @param {Float32Array} buffer - Audio buffer
@@ -999,6 +1336,67 @@ class AudioUtils {
     // Ratio of geometric mean to arithmetic mean
     return geometricMean / arithmeticMean;
   }
+
+  /**
+   * Create a function that yields to the event loop once a time slice is used up
+   * Offline analyses await it inside their loops, so a long track does not
+   * freeze rendering and input while it is measured.
+   * @param {number} [sliceMs=12] - Time to keep working between yields, in ms
+   * @returns {Function} - Async function to await at convenient points
+   */
+  static createYielder(sliceMs = 12) {
+    const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+    let sliceStart = now();
+
+    return async () => {
+      if (now() - sliceStart < sliceMs) return;
+
+      await new Promise(resolve => setTimeout(resolve, 0));
+      sliceStart = now();
+    };
+  }
+
+  /**
+   * Get the decoded buffer an offline analysis runs on
+   * @param {string|AudioBuffer} source - Track URL or decoded buffer
+   * @param {BufferManager|null} bufferManager - Used to decode tracks given by URL
+   * @param {string} analyzer - Name of the analyzer, for errors
+   * @returns {Promise<AudioBuffer>} Decoded buffer
+   */
+  static async loadAnalysisBuffer(source, bufferManager, analyzer) {
+    if (typeof source !== 'string') {
+      return source;
+    }
+
+    if (!bufferManager) {
+      throw new Error(`${analyzer} requires BufferManager to analyze URLs`);
+    }
+
+    // Analysis needs the samples, even of a track that would stream
+    const buffer = await bufferManager.loadAudio(source, { streaming: false });
+    if (!buffer) {
+      throw new Error(`Failed to load audio from ${source}`);
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Emit an event through an EventBus, tagged with its sender
+   * @param {EventBus|null} eventBus - EventBus to emit through; nothing is emitted without one
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   * @param {string} source - Name of the sending component
+   */
+  static emitEvent(eventBus, type, data, source) {
+    if (eventBus && typeof eventBus.emit === 'function') {
+      eventBus.emit(type, {
+        ...data,
+        source,
+        timestamp: Date.now()
+      });
+    }
+  }
 }
 
 export default AudioUtils;
\ No newline at end of file
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import AudioUtils from './AudioHelpers';
+
+describe('parseMusicalKey', () => {
+  it('reads key names in their usual spellings', () => {
+    expect(AudioUtils.parseMusicalKey('Am')).toMatchObject({ tonic: 9, mode: 'minor', camelot: '8A' });
+    expect(AudioUtils.parseMusicalKey('F# minor')).toMatchObject({ tonic: 6, mode: 'minor', camelot: '11A' });
+    expect(AudioUtils.parseMusicalKey('Bbm')).toMatchObject({ tonic: 10, mode: 'minor', camelot: '3A' });
+    expect(AudioUtils.parseMusicalKey('Gb maj')).toMatchObject({ tonic: 6, mode: 'major', camelot: '2B' });
+  });
+
+  it('reads B flat spelled in capitals', () => {
+    expect(AudioUtils.parseMusicalKey('BB')).toMatchObject({ tonic: 10, mode: 'major', camelot: '6B' });
+    expect(AudioUtils.parseMusicalKey('BBM')).toMatchObject({ tonic: 10, mode: 'minor', camelot: '3A' });
+  });
+
+  it('reads Camelot codes', () => {
+    expect(AudioUtils.parseMusicalKey('8A')).toMatchObject({ tonic: 9, mode: 'minor' });
+    expect(AudioUtils.parseMusicalKey('08b')).toMatchObject({ tonic: 0, mode: 'major' });
+  });
+
+  it('returns null for anything else', () => {
+    expect(AudioUtils.parseMusicalKey('H minor')).toBeNull();
+    expect(AudioUtils.parseMusicalKey('C dorian')).toBeNull();
+    expect(AudioUtils.parseMusicalKey('13A')).toBeNull();
+    expect(AudioUtils.parseMusicalKey(null)).toBeNull();
+  });
+});
+
+describe('getCamelotCode', () => {
+  it('maps key names and codes to codes', () => {
+    expect(AudioUtils.getCamelotCode('Am')).toBe('8A');
+    expect(AudioUtils.getCamelotCode('BB')).toBe('6B');
+    expect(AudioUtils.getCamelotCode('8a')).toBe('8A');
+    expect(AudioUtils.getCamelotCode('unknown')).toBeNull();
+  });
+});
+
+describe('getCompatibleCamelotCodes', () => {
+  it('returns the key, its neighbours and its relative key', () => {
+    expect(AudioUtils.getCompatibleCamelotCodes('Am')).toEqual(['8A', '7A', '9A', '8B']);
+  });
+
+  it('wraps around the wheel', () => {
+    expect(AudioUtils.getCompatibleCamelotCodes('12B')).toEqual(['12B', '11B', '1B', '12A']);
+    expect(AudioUtils.getCompatibleCamelotCodes('1A')).toEqual(['1A', '12A', '2A', '1B']);
+  });
+
+  it('returns nothing for an unknown key', () => {
+    expect(AudioUtils.getCompatibleCamelotCodes('')).toEqual([]);
+  });
+});
+
+describe('compareCamelotCodes', () => {
+  it('orders codes around the wheel with unknown codes last', () => {
+    const codes = ['12A', 'x', '2A', '1B', '10A', '1A', null];
+
+    expect([...codes].sort(AudioUtils.compareCamelotCodes)).toEqual(['1A', '1B', '2A', '10A', '12A', 'x', null]);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * EqualizerAPOParser.js
+ * Parses headphone correction profiles in the Equalizer APO text format, as
+ * published by AutoEQ ("ParametricEQ.txt"), into ParametricEQ band settings.
+ *
+ *   Preamp: -6.2 dB
+ *   Filter 1: ON PK Fc 105 Hz Gain -2.3 dB Q 0.70
+ *   Filter 2: ON LSC Fc 105 Hz Gain 6.0 dB Q 0.70
+ */
+
+// Equalizer APO filter codes mapped to BiquadFilterNode types
+const FILTER_TYPES = {
+  PK: 'peaking',
+  PEQ: 'peaking',
+  MODAL: 'peaking',
+  LS: 'lowshelf',
+  LSC: 'lowshelf',
+  HS: 'highshelf',
+  HSC: 'highshelf',
+  LP: 'lowpass',
+  LPQ: 'lowpass',
+  HP: 'highpass',
+  HPQ: 'highpass',
+  NO: 'notch',
+  BP: 'bandpass',
+  AP: 'allpass'
+};
+
+// Q used when a filter line gives neither Q nor bandwidth (Butterworth)
+const DEFAULT_Q = Math.SQRT1_2;
+
+// Utility class for Equalizer APO profile parsing
+class EqualizerAPOParser {
+  /**
+   * Parse an Equalizer APO configuration
+   * @param {string} text - File contents
+   * @returns {Object} - { preamp (dB), bands: [{ type, frequency, gain, Q, bypass }], warnings }
+   */
+  static parse(text) {
+    if (typeof text !== 'string') {
+      throw new Error('Equalizer APO profile must be text');
+    }
+
+    let preamp = 0;
+    const bands = [];
+    const warnings = [];
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      if (!line) return;
+
+      const separator = line.indexOf(':');
+      if (separator === -1) {
+        warnings.push(`Line ${index + 1}: not a command`);
+        return;
+      }
+
+      const command = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (command === 'preamp') {
+        const gain = parseFloat(value);
+        if (Number.isFinite(gain)) {
+          // Multiple preamp lines are cumulative in Equalizer APO
+          preamp += gain;
+        } else {
+          warnings.push(`Line ${index + 1}: invalid preamp`);
+        }
+      } else if (command === 'filter' || /^filter\s*\d+$/.test(command)) {
+        const band = EqualizerAPOParser.parseFilter(value);
+        if (band) {
+          bands.push(band);
+        } else {
+          warnings.push(`Line ${index + 1}: unsupported filter "${value}"`);
+        }
+      } else {
+        warnings.push(`Line ${index + 1}: "${command}" is not supported`);
+      }
+    });
+
+    if (bands.length === 0 && preamp === 0) {
+      throw new Error('No filters found in Equalizer APO profile');
+    }
+
+    return { preamp, bands, warnings };
+  }
+
+  /**
+   * Parse the value of a single "Filter" line
+   * @param {string} value - e.g. "ON PK Fc 105 Hz Gain -2.3 dB Q 0.70"
+   * @returns {Object|null} - Band settings, or null if the filter is not supported
+   */
+  static parseFilter(value) {
+    const tokens = value.split(/\s+/);
+    const state = (tokens[0] || '').toUpperCase();
+
+    if (state !== 'ON' && state !== 'OFF') {
+      return null;
+    }
+
+    const code = (tokens[1] || '').toUpperCase();
+    const type = FILTER_TYPES[code];
+
+    if (!type) {
+      return null;
+    }
+
+    const frequency = EqualizerAPOParser._readNumber(tokens, 'FC');
+    if (!Number.isFinite(frequency)) {
+      return null;
+    }
+
+    const gain = EqualizerAPOParser._readNumber(tokens, 'GAIN');
+    const q = EqualizerAPOParser._readNumber(tokens, 'Q');
+    const bandwidth = EqualizerAPOParser._readNumber(tokens, 'BW', 'OCT');
+
+    let Q = DEFAULT_Q;
+    if (Number.isFinite(q)) {
+      Q = q;
+    } else if (Number.isFinite(bandwidth) && bandwidth > 0) {
+      Q = EqualizerAPOParser.bandwidthToQ(bandwidth);
+    }
+
+    return {
+      type,
+      frequency,
+      gain: Number.isFinite(gain) ? gain : 0,
+      Q,
+      bypass: state === 'OFF'
+    };
+  }
+
+  /**
+   * Convert a bandwidth in octaves to Q
+   * @param {number} octaves - Bandwidth in octaves
+   * @returns {number} - Q factor
+   */
+  static bandwidthToQ(octaves) {
+    const ratio = Math.pow(2, octaves);
+    return Math.sqrt(ratio) / (ratio - 1);
+  }
+
+  /**
+   * Read the number that follows a keyword, e.g. "Fc 105" or "BW Oct 1.0"
+   * @private
+   * @param {Array<string>} tokens - Filter tokens
+   * @param {...string} keywords - Keyword sequence preceding the number
+   * @returns {number} - Parsed number, or NaN when absent
+   */
+  static _readNumber(tokens, ...keywords) {
+    for (let i = 0; i <= tokens.length - keywords.length - 1; i++) {
+      const matches = keywords.every(
+        (keyword, offset) => tokens[i + offset].toUpperCase() === keyword
+      );
+
+      if (matches) {
+        return parseFloat(tokens[i + keywords.length]);
+      }
+    }
+
+    return NaN;
+  }
+}
+
+export default EqualizerAPOParser;
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import EqualizerAPOParser from './EqualizerAPOParser';
+
+describe('EqualizerAPOParser.parse', () => {
+  it('reads an AutoEQ ParametricEQ.txt profile', () => {
+    const profile = EqualizerAPOParser.parse([
+      'Preamp: -6.2 dB',
+      'Filter 1: ON LSC Fc 105 Hz Gain 6.0 dB Q 0.70',
+      'Filter 2: ON PK Fc 2500 Hz Gain -2.3 dB Q 1.41',
+      'Filter 3: OFF HSC Fc 10000 Hz Gain -3.5 dB Q 0.70'
+    ].join('\r\n'));
+
+    expect(profile).toEqual({
+      preamp: -6.2,
+      bands: [
+        { type: 'lowshelf', frequency: 105, gain: 6, Q: 0.7, bypass: false },
+        { type: 'peaking', frequency: 2500, gain: -2.3, Q: 1.41, bypass: false },
+        { type: 'highshelf', frequency: 10000, gain: -3.5, Q: 0.7, bypass: true }
+      ],
+      warnings: []
+    });
+  });
+
+  it('adds up preamp lines and skips comments', () => {
+    const profile = EqualizerAPOParser.parse('# Headphone\nPreamp: -3 dB\nPreamp: -1.5 dB # Headroom\n');
+
+    expect(profile.preamp).toBe(-4.5);
+    expect(profile.bands).toEqual([]);
+  });
+
+  it('warns about lines it cannot use and keeps the rest', () => {
+    const profile = EqualizerAPOParser.parse([
+      'Device: Speakers',
+      'Filter: ON XX Fc 100 Hz',
+      'Preamp: loud',
+      'no separator here',
+      'Filter: ON PK Fc 1000 Hz Gain 1 dB Q 1'
+    ].join('\n'));
+
+    expect(profile.bands).toHaveLength(1);
+    expect(profile.warnings).toEqual([
+      'Line 1: "device" is not supported',
+      'Line 2: unsupported filter "ON XX Fc 100 Hz"',
+      'Line 3: invalid preamp',
+      'Line 4: not a command'
+    ]);
+  });
+
+  it('rejects profiles without filters or preamp', () => {
+    expect(() => EqualizerAPOParser.parse('# Nothing here')).toThrow('No filters found in Equalizer APO profile');
+    expect(() => EqualizerAPOParser.parse(null)).toThrow('Equalizer APO profile must be text');
+  });
+});
+
+describe('EqualizerAPOParser.parseFilter', () => {
+  it('derives Q from a bandwidth in octaves', () => {
+    const band = EqualizerAPOParser.parseFilter('ON PK Fc 1000 Hz Gain 3 dB BW Oct 1.0');
+
+    expect(band.Q).toBeCloseTo(Math.SQRT2, 6);
+  });
+
+  it('falls back to a Butterworth Q and zero gain', () => {
+    expect(EqualizerAPOParser.parseFilter('ON HP Fc 30 Hz')).toEqual({
+      type: 'highpass',
+      frequency: 30,
+      gain: 0,
+      Q: Math.SQRT1_2,
+      bypass: false
+    });
+  });
+
+  it('returns null without a state or frequency', () => {
+    expect(EqualizerAPOParser.parseFilter('PK Fc 100 Hz')).toBeNull();
+    expect(EqualizerAPOParser.parseFilter('ON PK Gain 3 dB')).toBeNull();
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * WavEncoder.js
+ * Encodes AudioBuffers as RIFF/WAVE files. Integer formats (16, 24 and 32-bit
+ * PCM) are quantized through AudioUtils.convertAudioBuffer with triangular
+ * dither; 32-bit float output is written without quantization.
+ */
+import AudioUtils from './AudioHelpers';
+
+// WAVE format tags
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+
+const SUPPORTED_BIT_DEPTHS = [16, 24, 32];
+
+// Utility class for WAV file output
+class WavEncoder {
+  /**
+   * Encode an AudioBuffer as a WAV file
+   * @param {AudioBuffer} audioBuffer - Buffer to encode
+   * @param {Object} [options] - Encoding options
+   * @param {number} [options.bitDepth=16] - 16, 24 or 32
+   * @param {boolean} [options.float=false] - Write 32-bit IEEE float instead of integer PCM
+   * @returns {ArrayBuffer} - WAV file contents
+   */
+  static encode(audioBuffer, options = {}) {
+    if (!audioBuffer || audioBuffer.numberOfChannels === undefined) {
+      throw new Error('Not an AudioBuffer');
+    }
+
+    const bitDepth = options.bitDepth || 16;
+    if (!SUPPORTED_BIT_DEPTHS.includes(bitDepth)) {
+      throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+    }
+
+    const isFloat = Boolean(options.float);
+    if (isFloat && bitDepth !== 32) {
+      throw new Error('Float WAV output requires a bit depth of 32');
+    }
+
+    const channels = audioBuffer.numberOfChannels;
+    const sampleRate = audioBuffer.sampleRate;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = channels * bytesPerSample;
+    const dataSize = audioBuffer.length * blockAlign;
+
+    const arrayBuffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(arrayBuffer);
+
+    // RIFF header
+    WavEncoder._writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    WavEncoder._writeString(view, 8, 'WAVE');
+
+    // fmt chunk
+    WavEncoder._writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, isFloat ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, true);
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+
+    // data chunk
+    WavEncoder._writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channelData = [];
+    for (let c = 0; c < channels; c++) {
+      channelData.push(audioBuffer.getChannelData(c));
+    }
+    const interleaved = AudioUtils.interleaveChannels(channelData);
+
+    WavEncoder._writeSamples(view, 44, interleaved, bitDepth, isFloat);
+
+    return arrayBuffer;
+  }
+
+  /**
+   * Encode an AudioBuffer as a WAV Blob, ready for download or upload
+   * @param {AudioBuffer} audioBuffer - Buffer to encode
+   * @param {Object} [options] - Encoding options (see encode)
+   * @returns {Blob} - WAV file blob
+   */
+  static encodeToBlob(audioBuffer, options = {}) {
+    return new Blob([WavEncoder.encode(audioBuffer, options)], { type: 'audio/wav' });
+  }
+
+  /**
+   * Write interleaved samples at the requested bit depth
+   * @private
+   * @param {DataView} view - Target view
+   * @param {number} offset - Byte offset of the sample data
+   * @param {Float32Array} interleaved - Interleaved float samples
+   * @param {number} bitDepth - 16, 24 or 32
+   * @param {boolean} isFloat - Write IEEE float samples
+   */
+  static _writeSamples(view, offset, interleaved, bitDepth, isFloat) {
+    if (isFloat) {
+      for (let i = 0; i < interleaved.length; i++, offset += 4) {
+        view.setFloat32(offset, interleaved[i], true);
+      }
+      return;
+    }
+
+    const samples = AudioUtils.convertAudioBuffer(interleaved, {
+      fromType: 'float32',
+      toType: `int${bitDepth}`
+    });
+
+    if (bitDepth === 16) {
+      for (let i = 0; i < samples.length; i++, offset += 2) {
+        view.setInt16(offset, samples[i], true);
+      }
+    } else if (bitDepth === 24) {
+      for (let i = 0; i < samples.length; i++, offset += 3) {
+        const sample = samples[i];
+        view.setUint8(offset, sample & 0xff);
+        view.setUint8(offset + 1, (sample >> 8) & 0xff);
+        view.setUint8(offset + 2, (sample >> 16) & 0xff);
+      }
+    } else {
+      for (let i = 0; i < samples.length; i++, offset += 4) {
+        view.setInt32(offset, samples[i], true);
+      }
+    }
+  }
+
+  /**
+   * Write an ASCII string
+   * @private
+   * @param {DataView} view - Target view
+   * @param {number} offset - Byte offset
+   * @param {string} text - Text to write
+   */
+  static _writeString(view, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  }
+}
+
+export default WavEncoder;
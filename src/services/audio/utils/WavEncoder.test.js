@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import WavEncoder from './WavEncoder';
+
+// Minimal stand-in for an AudioBuffer
+const createBuffer = (channels, sampleRate = 44100) => ({
+  sampleRate,
+  numberOfChannels: channels.length,
+  length: channels[0].length,
+  getChannelData: (channel) => channels[channel]
+});
+
+const readString = (view, offset, length) =>
+  String.fromCharCode(...new Uint8Array(view.buffer, offset, length));
+
+// Signed little-endian 24-bit sample
+const readInt24 = (view, offset) => {
+  const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16);
+  return value & 0x800000 ? value - 0x1000000 : value;
+};
+
+describe('WavEncoder', () => {
+  it('writes the RIFF header and fmt chunk', () => {
+    const buffer = createBuffer([new Float32Array(10), new Float32Array(10)], 48000);
+    const view = new DataView(WavEncoder.encode(buffer, { bitDepth: 24 }));
+    const dataSize = 10 * 2 * 3;
+
+    expect(view.byteLength).toBe(44 + dataSize);
+    expect(readString(view, 0, 4)).toBe('RIFF');
+    expect(view.getUint32(4, true)).toBe(36 + dataSize);
+    expect(readString(view, 8, 4)).toBe('WAVE');
+    expect(readString(view, 12, 4)).toBe('fmt ');
+    expect(view.getUint32(16, true)).toBe(16);
+    expect(view.getUint16(20, true)).toBe(1); // PCM
+    expect(view.getUint16(22, true)).toBe(2);
+    expect(view.getUint32(24, true)).toBe(48000);
+    expect(view.getUint32(28, true)).toBe(48000 * 6);
+    expect(view.getUint16(32, true)).toBe(6);
+    expect(view.getUint16(34, true)).toBe(24);
+    expect(readString(view, 36, 4)).toBe('data');
+    expect(view.getUint32(40, true)).toBe(dataSize);
+  });
+
+  it('packs interleaved 24-bit samples in three little-endian bytes', () => {
+    const left = new Float32Array([0.5, -0.5, 0]);
+    const right = new Float32Array([-1, 1, 0.25]);
+    const view = new DataView(WavEncoder.encode(createBuffer([left, right]), { bitDepth: 24 }));
+
+    const expected = [0.5, -1, -0.5, 1, 0, 0.25];
+    expected.forEach((value, index) => {
+      // Within the ±2 LSB dither and the rounding down
+      expect(Math.abs(readInt24(view, 44 + index * 3) - value * 8388607)).toBeLessThan(3);
+    });
+  });
+
+  it('writes 32-bit float samples without quantization', () => {
+    const samples = new Float32Array([0.125, -0.75]);
+    const view = new DataView(WavEncoder.encode(createBuffer([samples]), { bitDepth: 32, float: true }));
+
+    expect(view.getUint16(20, true)).toBe(3); // IEEE float
+    expect(view.getUint16(34, true)).toBe(32);
+    expect(view.getFloat32(44, true)).toBe(0.125);
+    expect(view.getFloat32(48, true)).toBe(-0.75);
+  });
+
+  it('rejects unsupported formats', () => {
+    const buffer = createBuffer([new Float32Array(4)]);
+
+    expect(() => WavEncoder.encode(buffer, { bitDepth: 8 })).toThrow('Unsupported WAV bit depth: 8');
+    expect(() => WavEncoder.encode(buffer, { bitDepth: 24, float: true })).toThrow('Float WAV output requires a bit depth of 32');
+    expect(() => WavEncoder.encode({})).toThrow('Not an AudioBuffer');
+  });
+});
@@ -16,6 +16,10 @@ import EventBus from './EventBus';
 // Audio Analysis and Visualization
 import FrequencyMapper from './FrequencyMapper';
 
+// File Input and Output
+import WavEncoder from './WavEncoder';
+import EqualizerAPOParser from './EqualizerAPOParser';
+
 // Testing Utilities
 import * as AudioTestUtils from './AudioTestUtils';
 
@@ -31,6 +35,8 @@ export {
   ErrorManager,
   EventBus,
   FrequencyMapper,
+  WavEncoder,
+  EqualizerAPOParser,
   AudioTestUtils
 };
 
@@ -40,5 +46,7 @@ export default {
   ErrorManager,
   EventBus,
   FrequencyMapper,
+  WavEncoder,
+  EqualizerAPOParser,
   AudioTestUtils
 };
\ No newline at end of file
@@ -0,0 +1,361 @@
+/**
+ * SignalAnalysisProcessor.js
+ * AudioWorklet processor that computes amplitude, zero-crossing, spectral and
+ * pitch features on the audio rendering thread and posts them back to the
+ * main thread as feature frames. Loaded through audioWorklet.addModule(), so
+ * this file must stay self-contained (no imports).
+ */
+
+// Pitch search range in Hz
+const MIN_PITCH = 50;
+const MAX_PITCH = 2000;
+
+// Normalized autocorrelation below this is treated as unpitched
+const PITCH_THRESHOLD = 0.3;
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float32Array} re - Real part (length must be a power of 2)
+ * @param {Float32Array} im - Imaginary part
+ */
+function fft(re, im) {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+
+    if (i < j) {
+      let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+      tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+    }
+  }
+
+  // Butterflies
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = -2 * Math.PI / size;
+
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const angle = step * k;
+        const wr = Math.cos(angle);
+        const wi = Math.sin(angle);
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+class SignalAnalysisProcessor extends AudioWorkletProcessor {
+  /**
+   * @param {Object} options - AudioWorkletNode options
+   * @param {Object} [options.processorOptions]
+   * @param {number} [options.processorOptions.frameSize=2048] - Analysis frame size (power of 2)
+   * @param {boolean} [options.processorOptions.enablePitchDetection=false] - Compute pitch
+   * @param {number} [options.processorOptions.reportInterval=0.1] - Minimum seconds between frames
+   */
+  constructor(options = {}) {
+    super();
+
+    const processorOptions = options.processorOptions || {};
+    const requestedSize = processorOptions.frameSize || 2048;
+
+    this.frameSize = 2 ** Math.round(Math.log2(Math.max(256, Math.min(16384, requestedSize))));
+    this.enablePitchDetection = Boolean(processorOptions.enablePitchDetection);
+    this.reportInterval = processorOptions.reportInterval ?? 0.1;
+    this.isRunning = false;
+    this.isDisposed = false;
+
+    // Mono frame buffer filled from the input
+    this.frame = new Float32Array(this.frameSize);
+    this.writeIndex = 0;
+    this.lastReportTime = -Infinity;
+
+    // Hann window for spectral analysis
+    this.window = new Float32Array(this.frameSize);
+    for (let i = 0; i < this.frameSize; i++) {
+      this.window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (this.frameSize - 1));
+    }
+
+    // FFT work buffers; pitch uses a zero-padded transform to avoid circular wrap
+    this.spectrumRe = new Float32Array(this.frameSize);
+    this.spectrumIm = new Float32Array(this.frameSize);
+    this.acfRe = new Float32Array(this.frameSize * 2);
+    this.acfIm = new Float32Array(this.frameSize * 2);
+
+    this.port.onmessage = (event) => this._handleMessage(event.data || {});
+  }
+
+  /**
+   * Handle control messages from the main thread
+   * @private
+   * @param {Object} message - Control message
+   */
+  _handleMessage(message) {
+    switch (message.type) {
+      case 'start':
+        this.isRunning = true;
+        this.writeIndex = 0;
+        this.lastReportTime = -Infinity;
+        if (message.reportInterval !== undefined) {
+          this.reportInterval = message.reportInterval;
+        }
+        break;
+
+      case 'stop':
+        this.isRunning = false;
+        break;
+
+      case 'configure':
+        if (message.enablePitchDetection !== undefined) {
+          this.enablePitchDetection = Boolean(message.enablePitchDetection);
+        }
+        if (message.reportInterval !== undefined) {
+          this.reportInterval = message.reportInterval;
+        }
+        break;
+
+      case 'dispose':
+        this.isRunning = false;
+        this.isDisposed = true;
+        this.port.onmessage = null;
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Accumulate input into analysis frames
+   * @param {Float32Array[][]} inputs - Input channel data
+   * @returns {boolean} Whether to keep the processor alive
+   */
+  process(inputs) {
+    if (this.isDisposed) return false;
+
+    const input = inputs[0];
+    if (!this.isRunning || !input || input.length === 0) return true;
+
+    const channelCount = input.length;
+    const length = input[0].length;
+
+    for (let i = 0; i < length; i++) {
+      let sample = 0;
+      for (let channel = 0; channel < channelCount; channel++) {
+        sample += input[channel][i];
+      }
+      this.frame[this.writeIndex++] = sample / channelCount;
+
+      if (this.writeIndex === this.frameSize) {
+        this.writeIndex = 0;
+
+        if (currentTime - this.lastReportTime >= this.reportInterval) {
+          this.lastReportTime = currentTime;
+          this.port.postMessage(this._analyzeFrame());
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Compute features for the current frame
+   * @private
+   * @returns {Object} Feature frame
+   */
+  _analyzeFrame() {
+    const frame = this.frame;
+    const n = this.frameSize;
+
+    // Amplitude and zero-crossing features
+    let sumSquares = 0;
+    let peak = 0;
+    let crossings = 0;
+
+    for (let i = 0; i < n; i++) {
+      const sample = frame[i];
+      const abs = Math.abs(sample);
+
+      sumSquares += sample * sample;
+      if (abs > peak) peak = abs;
+
+      if (i > 0 && ((sample >= 0 && frame[i - 1] < 0) || (sample < 0 && frame[i - 1] >= 0))) {
+        crossings++;
+      }
+    }
+
+    const rms = Math.sqrt(sumSquares / n);
+    const zeroCrossingRate = crossings / (n - 1);
+
+    return {
+      type: 'features',
+      rms,
+      peak,
+      zeroCrossingRate,
+      spectral: this._analyzeSpectrum(),
+      pitch: this.enablePitchDetection && rms > 0 ? this._detectPitch() : null,
+      currentTime
+    };
+  }
+
+  /**
+   * Compute spectral centroid, flatness and rolloff from a windowed FFT
+   * @private
+   * @returns {Object} Spectral features
+   */
+  _analyzeSpectrum() {
+    const n = this.frameSize;
+    const re = this.spectrumRe;
+    const im = this.spectrumIm;
+
+    for (let i = 0; i < n; i++) {
+      re[i] = this.frame[i] * this.window[i];
+      im[i] = 0;
+    }
+
+    fft(re, im);
+
+    const binCount = n / 2;
+    const binSize = sampleRate / n;
+
+    let weightedSum = 0;
+    let magnitudeSum = 0;
+    let logSum = 0;
+    let positiveCount = 0;
+
+    // Store magnitudes in re[] to reuse for the rolloff pass
+    for (let i = 0; i < binCount; i++) {
+      const magnitude = Math.sqrt(re[i] * re[i] + im[i] * im[i]);
+      re[i] = magnitude;
+
+      weightedSum += i * binSize * magnitude;
+      magnitudeSum += magnitude;
+
+      if (magnitude > 0) {
+        logSum += Math.log(magnitude);
+        positiveCount++;
+      }
+    }
+
+    if (magnitudeSum === 0) {
+      return { centroid: 0, flatness: 0, rolloff: 0 };
+    }
+
+    const flatness = positiveCount > 0
+      ? Math.exp(logSum / positiveCount) / (magnitudeSum / positiveCount)
+      : 0;
+
+    // Frequency below which 85% of the magnitude lies
+    const threshold = magnitudeSum * 0.85;
+    let cumulative = 0;
+    let rolloff = (binCount - 1) * binSize;
+
+    for (let i = 0; i < binCount; i++) {
+      cumulative += re[i];
+      if (cumulative >= threshold) {
+        rolloff = i * binSize;
+        break;
+      }
+    }
+
+    return {
+      centroid: weightedSum / magnitudeSum,
+      flatness,
+      rolloff
+    };
+  }
+
+  /**
+   * Estimate the fundamental frequency from the normalized autocorrelation,
+   * computed via the power spectrum of a zero-padded frame
+   * @private
+   * @returns {Object|null} { frequency, confidence } or null when unpitched
+   */
+  _detectPitch() {
+    const n = this.frameSize;
+    const size = n * 2;
+    const re = this.acfRe;
+    const im = this.acfIm;
+
+    for (let i = 0; i < size; i++) {
+      re[i] = i < n ? this.frame[i] : 0;
+      im[i] = 0;
+    }
+
+    fft(re, im);
+
+    // Power spectrum, then inverse transform via the conjugate trick
+    for (let i = 0; i < size; i++) {
+      re[i] = re[i] * re[i] + im[i] * im[i];
+      im[i] = 0;
+    }
+
+    fft(re, im);
+
+    const energy = re[0];
+    if (energy <= 0) return null;
+
+    const minLag = Math.max(2, Math.floor(sampleRate / MAX_PITCH));
+    const maxLag = Math.min(n - 2, Math.ceil(sampleRate / MIN_PITCH));
+
+    // Skip the zero-lag lobe before searching for the strongest period
+    let lag = 1;
+    while (lag < maxLag && re[lag] > 0) {
+      lag++;
+    }
+    lag = Math.max(lag, minLag);
+
+    const searchStart = lag;
+    let maxValue = 0;
+
+    for (; lag <= maxLag; lag++) {
+      if (re[lag] > maxValue) maxValue = re[lag];
+    }
+
+    if (maxValue <= 0) return null;
+
+    // Take the first local peak close to the maximum to avoid octave errors
+    let bestLag = -1;
+
+    for (lag = searchStart; lag <= maxLag; lag++) {
+      if (re[lag] >= maxValue * 0.9 && re[lag] >= re[lag - 1] && re[lag] >= re[lag + 1]) {
+        bestLag = lag;
+        break;
+      }
+    }
+
+    if (bestLag < 0) return null;
+
+    // Unbiased estimate compensates for the shrinking overlap
+    const confidence = Math.min(1, (re[bestLag] / energy) * n / (n - bestLag));
+    if (confidence < PITCH_THRESHOLD) return null;
+
+    // Parabolic interpolation around the peak
+    const prev = re[bestLag - 1];
+    const next = re[bestLag + 1];
+    const denominator = prev - 2 * re[bestLag] + next;
+    const shift = denominator !== 0 ? 0.5 * (prev - next) / denominator : 0;
+
+    return {
+      frequency: sampleRate / (bestLag + Math.max(-0.5, Math.min(0.5, shift))),
+      confidence
+    };
+  }
+}
+
+registerProcessor('signal-analysis-processor', SignalAnalysisProcessor);
@@ -0,0 +1,280 @@
+/**
+ * TimeStretchProcessor.js
+ * AudioWorklet processor that shifts pitch without changing duration using
+ * WSOLA (waveform-similarity overlap-add). Grains are read from the input at
+ * `ratio` times the normal rate and overlap-added at a fixed hop; each grain
+ * start is aligned to the waveform continuing the previous grain, searched
+ * within a small tolerance around a time-locked position. Output therefore
+ * lags the input by a constant `latency` frames regardless of the ratio.
+ * Loaded through audioWorklet.addModule(), so this file must stay
+ * self-contained (no imports).
+ */
+
+// Pitch ratio limits; the latency is sized for MAX_RATIO
+const MIN_RATIO = 0.25;
+const MAX_RATIO = 4;
+
+// Ratios this close to 1 pass through as a pure delay
+const UNITY_EPSILON = 1e-4;
+
+// Most channels buffered per node
+const MAX_CHANNELS = 8;
+
+// Coarse step of the alignment search, in frames
+const SEARCH_STEP = 4;
+
+class TimeStretchProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{
+      name: 'ratio',
+      defaultValue: 1,
+      minValue: MIN_RATIO,
+      maxValue: MAX_RATIO,
+      automationRate: 'k-rate'
+    }];
+  }
+
+  /**
+   * @param {Object} options - AudioWorkletNode options
+   * @param {Object} options.processorOptions
+   * @param {number} options.processorOptions.grainSize - Grain length in frames (even)
+   * @param {number} options.processorOptions.tolerance - Alignment search range in frames
+   * @param {number} options.processorOptions.latency - Output delay in frames
+   */
+  constructor(options = {}) {
+    super();
+
+    const processorOptions = options.processorOptions || {};
+
+    this.grainSize = Math.max(64, Math.round((processorOptions.grainSize || 1024) / 2) * 2);
+    this.hopSize = this.grainSize / 2;
+    this.tolerance = Math.max(0, Math.round(processorOptions.tolerance || 0));
+    this.latency = Math.max(
+      Math.ceil(this.hopSize * (1 + MAX_RATIO) + this.tolerance + 2),
+      Math.round(processorOptions.latency || 0)
+    );
+    this.isDisposed = false;
+
+    // Periodic Hann window; at 50% overlap the grains sum to exactly one
+    this.window = new Float32Array(this.grainSize);
+    for (let i = 0; i < this.grainSize; i++) {
+      this.window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / this.grainSize);
+    }
+
+    // Input history, indexed by absolute frame
+    this.inputSize = 2 ** Math.ceil(Math.log2(this.latency * 2 + this.grainSize * MAX_RATIO + 256));
+    this.inputMask = this.inputSize - 1;
+    this.inputs = [];
+    this.mono = new Float32Array(this.inputSize);
+
+    // Overlap-add accumulator, indexed by absolute output frame
+    this.outputSize = 2 ** Math.ceil(Math.log2(this.grainSize * 2 + 256));
+    this.outputMask = this.outputSize - 1;
+    this.outputs = [];
+
+    // Stream position and grain schedule
+    this.frame = 0;
+    this.nextGrain = 0;
+    this.previousStart = null;
+    this.previousRatio = 1;
+    this.channelCount = 1;
+
+    this.port.onmessage = (event) => this._handleMessage(event.data || {});
+  }
+
+  /**
+   * Handle control messages from the main thread
+   * @private
+   * @param {Object} message - Control message
+   */
+  _handleMessage(message) {
+    switch (message.type) {
+      case 'dispose':
+        this.isDisposed = true;
+        this.port.onmessage = null;
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Buffers for a channel, created on first use
+   * @private
+   * @param {number} channel - Channel index
+   */
+  _ensureChannel(channel) {
+    while (this.inputs.length <= channel) {
+      this.inputs.push(new Float32Array(this.inputSize));
+      this.outputs.push(new Float32Array(this.outputSize));
+    }
+  }
+
+  /**
+   * Buffer input, render due grains and emit the delayed output
+   * @param {Float32Array[][]} inputs - Input channel data
+   * @param {Float32Array[][]} outputs - Output channel data
+   * @param {Object} parameters - AudioParam values
+   * @returns {boolean} Whether to keep the processor alive
+   */
+  process(inputs, outputs, parameters) {
+    if (this.isDisposed) return false;
+
+    const input = inputs[0] || [];
+    const output = outputs[0];
+    const length = output[0] ? output[0].length : 128;
+    const ratio = Math.max(MIN_RATIO, Math.min(MAX_RATIO, parameters.ratio[0]));
+
+    // A source that has not started or has ended still advances the stream
+    const inputChannels = Math.min(MAX_CHANNELS, input.length);
+    if (inputChannels > 0) {
+      this.channelCount = inputChannels;
+    }
+    this._ensureChannel(Math.max(this.channelCount, output.length) - 1);
+
+    for (let i = 0; i < length; i++) {
+      const index = (this.frame + i) & this.inputMask;
+      let sum = 0;
+
+      for (let channel = 0; channel < this.channelCount; channel++) {
+        const sample = channel < inputChannels ? input[channel][i] : 0;
+        this.inputs[channel][index] = sample;
+        sum += sample;
+      }
+
+      this.mono[index] = sum;
+    }
+
+    const available = this.frame + length;
+
+    while (this.nextGrain < available) {
+      this._renderGrain(this.nextGrain, ratio, available);
+      this.nextGrain += this.hopSize;
+    }
+
+    for (let channel = 0; channel < output.length; channel++) {
+      const source = this.outputs[Math.min(channel, this.channelCount - 1)];
+      const target = output[channel];
+
+      for (let i = 0; i < length; i++) {
+        target[i] = source[(this.frame + i) & this.outputMask];
+      }
+    }
+
+    // Clear what was emitted so the accumulator can wrap
+    for (let channel = 0; channel < this.outputs.length; channel++) {
+      const accumulator = this.outputs[channel];
+      for (let i = 0; i < length; i++) {
+        accumulator[(this.frame + i) & this.outputMask] = 0;
+      }
+    }
+
+    this.frame = available;
+    return true;
+  }
+
+  /**
+   * Overlap-add one grain starting at an output frame
+   * @private
+   * @param {number} grainTime - Output frame where the grain starts
+   * @param {number} ratio - Pitch ratio (input frames read per output frame)
+   * @param {number} available - First input frame not yet received
+   */
+  _renderGrain(grainTime, ratio, available) {
+    const { grainSize, hopSize } = this;
+
+    // Time-locked start: the grain centre plays input from `latency` frames ago
+    const target = grainTime + hopSize - this.latency - hopSize * ratio;
+    let start = target;
+
+    if (Math.abs(ratio - 1) < UNITY_EPSILON) {
+      start = Math.round(target);
+    } else if (this.previousStart !== null && this.tolerance > 0) {
+      // Where the previous grain's waveform would naturally continue
+      const natural = Math.round(this.previousStart + hopSize * this.previousRatio);
+      start = Math.round(target) + this._findAlignment(natural, Math.round(target), ratio, available);
+    }
+
+    for (let channel = 0; channel < this.channelCount; channel++) {
+      const source = this.inputs[channel];
+      const accumulator = this.outputs[channel];
+
+      for (let i = 0; i < grainSize; i++) {
+        const position = start + i * ratio;
+        const index = Math.floor(position);
+        const fraction = position - index;
+        const sample = source[index & this.inputMask] * (1 - fraction) +
+          source[(index + 1) & this.inputMask] * fraction;
+
+        accumulator[(grainTime + i) & this.outputMask] += this.window[i] * sample;
+      }
+    }
+
+    this.previousStart = start;
+    this.previousRatio = ratio;
+  }
+
+  /**
+   * Offset from the target start whose waveform best matches the natural
+   * continuation, by normalized cross-correlation on the mono mix
+   * @private
+   * @param {number} natural - Start frame of the natural continuation
+   * @param {number} target - Time-locked start frame
+   * @param {number} ratio - Pitch ratio
+   * @param {number} available - First input frame not yet received
+   * @returns {number} Offset in frames within ±tolerance
+   */
+  _findAlignment(natural, target, ratio, available) {
+    const { tolerance, mono, inputMask } = this;
+    const span = Math.min(this.grainSize, Math.ceil(this.hopSize * ratio));
+    const oldest = available - this.inputSize;
+
+    // The continuation must still be buffered and fully received
+    if (natural < oldest || natural + span >= available) {
+      return 0;
+    }
+
+    const score = (offset, step) => {
+      let correlation = 0;
+      let energy = 1e-9;
+
+      for (let i = 0; i < span; i += step) {
+        const sample = mono[(target + offset + i) & inputMask];
+        correlation += sample * mono[(natural + i) & inputMask];
+        energy += sample * sample;
+      }
+
+      return correlation / Math.sqrt(energy);
+    };
+
+    // Coarse search on a decimated signal, then refine around the best match
+    let bestOffset = 0;
+    let bestScore = -Infinity;
+
+    for (let offset = -tolerance; offset <= tolerance; offset += SEARCH_STEP) {
+      const value = score(offset, 2);
+      if (value > bestScore) {
+        bestScore = value;
+        bestOffset = offset;
+      }
+    }
+
+    const coarse = bestOffset;
+    bestScore = -Infinity;
+
+    for (let offset = coarse - SEARCH_STEP + 1; offset < coarse + SEARCH_STEP; offset++) {
+      if (offset < -tolerance || offset > tolerance) continue;
+
+      const value = score(offset, 1);
+      if (value > bestScore) {
+        bestScore = value;
+        bestOffset = offset;
+      }
+    }
+
+    return bestOffset;
+  }
+}
+
+registerProcessor('time-stretch-processor', TimeStretchProcessor);
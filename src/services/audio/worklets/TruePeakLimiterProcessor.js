@@ -0,0 +1,332 @@
+/**
+ * TruePeakLimiterProcessor.js
+ * AudioWorklet processor for a lookahead brick-wall limiter with true-peak
+ * detection. Each channel is oversampled 4x with a polyphase windowed-sinc
+ * interpolator (as in ITU-R BS.1770) to find peaks between samples. The gain
+ * needed to keep the loudest channel under the ceiling is held over the
+ * lookahead window and box-smoothed across it, so it has fully reached the
+ * peak's level by the time the delayed audio gets there. Recovery follows a
+ * one-pole release. Gain reduction and true peak are posted as meter
+ * messages; each run of overs is posted once as a clip message.
+ * Loaded through audioWorklet.addModule(), so this file must stay
+ * self-contained (no imports).
+ */
+
+// Oversampling factor and interpolator taps per phase
+const OVERSAMPLE = 4;
+const TAPS = 12;
+
+// Interpolated points sit between these history taps, so detection lags input
+const DETECTION_DELAY = TAPS / 2;
+
+// Most channels limited per node, as many as an AudioNode carries
+const MAX_CHANNELS = 32;
+
+// Seconds between meter messages
+const METER_INTERVAL = 0.05;
+
+// Seconds under the ceiling before a run of overs is reported as one clip
+const CLIP_HOLD = 0.05;
+
+class TruePeakLimiterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      {
+        name: 'ceiling',
+        defaultValue: -1,
+        minValue: -20,
+        maxValue: 0,
+        automationRate: 'k-rate'
+      },
+      {
+        name: 'release',
+        defaultValue: 0.05,
+        minValue: 0.001,
+        maxValue: 2,
+        automationRate: 'k-rate'
+      }
+    ];
+  }
+
+  /**
+   * @param {Object} options - AudioWorkletNode options
+   * @param {Object} options.processorOptions
+   * @param {number} options.processorOptions.lookahead - Lookahead window in frames
+   */
+  constructor(options = {}) {
+    super();
+
+    const processorOptions = options.processorOptions || {};
+
+    this.lookahead = Math.max(1, Math.round(processorOptions.lookahead || 1));
+    this.latency = this.lookahead - 1 + DETECTION_DELAY;
+    this.isDisposed = false;
+
+    this.coefficients = this._createInterpolator();
+
+    // Input history for the interpolator, per channel
+    this.historySize = 16;
+    this.historyMask = this.historySize - 1;
+    this.history = [];
+
+    // Audio delay line, per channel
+    this.delaySize = 2 ** Math.ceil(Math.log2(this.latency + 1));
+    this.delayMask = this.delaySize - 1;
+    this.delay = [];
+
+    // Sliding minimum of the required gain (monotonic deque)
+    this.dequeFrames = new Float64Array(this.lookahead + 1);
+    this.dequeGains = new Float32Array(this.lookahead + 1);
+    this.dequeHead = 0;
+    this.dequeLength = 0;
+
+    // Box smoothing of the held gain
+    this.box = new Float32Array(this.lookahead).fill(1);
+    this.boxIndex = 0;
+    this.boxSum = this.lookahead;
+
+    this.gain = 1;
+    this.frame = 0;
+    this.channelCount = 1;
+
+    // Meter state since the last meter message
+    this.meterFrames = 0;
+    this.meterInterval = Math.round(METER_INTERVAL * sampleRate);
+    this.minGain = 1;
+    this.maxPeak = 0;
+
+    // Run of overs being collected: { start, end, peak }
+    this.clip = null;
+    this.clipHold = Math.round(CLIP_HOLD * sampleRate);
+
+    this.port.onmessage = (event) => this._handleMessage(event.data || {});
+  }
+
+  /**
+   * Handle control messages from the main thread
+   * @private
+   * @param {Object} message - Control message
+   */
+  _handleMessage(message) {
+    switch (message.type) {
+      case 'dispose':
+        this.isDisposed = true;
+        this.port.onmessage = null;
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Polyphase coefficients for the in-between phases, Hann-windowed sinc
+   * normalized to unity gain
+   * @private
+   * @returns {Float32Array[]} Taps per phase, for phases 1 to OVERSAMPLE - 1
+   */
+  _createInterpolator() {
+    const phases = [];
+    const halfSpan = DETECTION_DELAY + 0.5;
+
+    for (let phase = 1; phase < OVERSAMPLE; phase++) {
+      const taps = new Float32Array(TAPS);
+      let sum = 0;
+
+      for (let k = 0; k < TAPS; k++) {
+        // Distance from tap k (k frames back) to the interpolated point
+        const u = DETECTION_DELAY - k - phase / OVERSAMPLE;
+        const sinc = u === 0 ? 1 : Math.sin(Math.PI * u) / (Math.PI * u);
+        const window = 0.5 + 0.5 * Math.cos((Math.PI * u) / halfSpan);
+
+        taps[k] = sinc * window;
+        sum += taps[k];
+      }
+
+      for (let k = 0; k < TAPS; k++) {
+        taps[k] /= sum;
+      }
+
+      phases.push(taps);
+    }
+
+    return phases;
+  }
+
+  /**
+   * Buffers for a channel, created on first use
+   * @private
+   * @param {number} channel - Channel index
+   */
+  _ensureChannel(channel) {
+    while (this.history.length <= channel) {
+      this.history.push(new Float32Array(this.historySize));
+      this.delay.push(new Float32Array(this.delaySize));
+    }
+  }
+
+  /**
+   * Highest absolute level of a channel's samples and in-between points
+   * around the sample DETECTION_DELAY frames back
+   * @private
+   * @param {Float32Array} history - Channel history
+   * @returns {number} True peak, linear
+   */
+  _truePeak(history) {
+    const { frame, historyMask, coefficients } = this;
+    let peak = Math.abs(history[(frame - DETECTION_DELAY) & historyMask]);
+
+    for (let p = 0; p < coefficients.length; p++) {
+      const taps = coefficients[p];
+      let sum = 0;
+
+      for (let k = 0; k < TAPS; k++) {
+        sum += taps[k] * history[(frame - k) & historyMask];
+      }
+
+      const level = Math.abs(sum);
+      if (level > peak) peak = level;
+    }
+
+    return peak;
+  }
+
+  /**
+   * Add a required gain and get the lowest one in the lookahead window
+   * @private
+   * @param {number} required - Gain the current peak needs
+   * @returns {number} Held gain
+   */
+  _holdMinimum(required) {
+    const size = this.dequeFrames.length;
+
+    while (this.dequeLength > 0) {
+      const back = (this.dequeHead + this.dequeLength - 1) % size;
+      if (this.dequeGains[back] < required) break;
+      this.dequeLength--;
+    }
+
+    const tail = (this.dequeHead + this.dequeLength) % size;
+    this.dequeFrames[tail] = this.frame;
+    this.dequeGains[tail] = required;
+    this.dequeLength++;
+
+    while (this.dequeFrames[this.dequeHead] <= this.frame - this.lookahead) {
+      this.dequeHead = (this.dequeHead + 1) % size;
+      this.dequeLength--;
+    }
+
+    return this.dequeGains[this.dequeHead];
+  }
+
+  /**
+   * Track a run of overs and report it once it has ended
+   * @private
+   * @param {number} peak - True peak at the detected frame, linear
+   * @param {number} ceiling - Ceiling, linear
+   * @param {number} time - Frame the peak belongs to, on the context clock
+   */
+  _trackClip(peak, ceiling, time) {
+    if (peak > ceiling) {
+      if (!this.clip) {
+        this.clip = { start: time, end: time, peak };
+      } else {
+        this.clip.end = time;
+        if (peak > this.clip.peak) this.clip.peak = peak;
+      }
+      return;
+    }
+
+    if (this.clip && time - this.clip.end > this.clipHold) {
+      this.port.postMessage({
+        type: 'clip',
+        time: this.clip.start / sampleRate,
+        duration: (this.clip.end - this.clip.start + 1) / sampleRate,
+        truePeak: 20 * Math.log10(this.clip.peak),
+        overshoot: 20 * Math.log10(this.clip.peak / ceiling)
+      });
+      this.clip = null;
+    }
+  }
+
+  /**
+   * Detect, delay and limit one block
+   * @param {Float32Array[][]} inputs - Input channel data
+   * @param {Float32Array[][]} outputs - Output channel data
+   * @param {Object} parameters - AudioParam values
+   * @returns {boolean} Whether to keep the processor alive
+   */
+  process(inputs, outputs, parameters) {
+    if (this.isDisposed) return false;
+
+    const input = inputs[0] || [];
+    const output = outputs[0];
+    const length = output[0] ? output[0].length : 128;
+
+    const ceiling = 10 ** (parameters.ceiling[0] / 20);
+    const releaseCoef = Math.exp(-1 / (Math.max(0.001, parameters.release[0]) * sampleRate));
+
+    // Without input the delay line still drains
+    const inputChannels = Math.min(MAX_CHANNELS, input.length);
+    if (inputChannels > 0) {
+      this.channelCount = inputChannels;
+    }
+    this._ensureChannel(Math.max(this.channelCount, output.length) - 1);
+
+    for (let i = 0; i < length; i++) {
+      let peak = 0;
+
+      for (let channel = 0; channel < this.channelCount; channel++) {
+        const sample = channel < inputChannels ? input[channel][i] : 0;
+        this.history[channel][this.frame & this.historyMask] = sample;
+        this.delay[channel][this.frame & this.delayMask] = sample;
+
+        const level = this._truePeak(this.history[channel]);
+        if (level > peak) peak = level;
+      }
+
+      // Linked gain: the loudest channel sets it for all
+      const held = this._holdMinimum(peak > ceiling ? ceiling / peak : 1);
+
+      this.boxSum += held - this.box[this.boxIndex];
+      this.box[this.boxIndex] = held;
+      this.boxIndex = (this.boxIndex + 1) % this.lookahead;
+
+      const smoothed = Math.min(1, this.boxSum / this.lookahead);
+      this.gain = smoothed < this.gain
+        ? smoothed
+        : smoothed - (smoothed - this.gain) * releaseCoef;
+
+      const delayed = (this.frame - this.latency) & this.delayMask;
+
+      for (let channel = 0; channel < output.length; channel++) {
+        const source = this.delay[Math.min(channel, this.channelCount - 1)];
+        output[channel][i] = source[delayed] * this.gain;
+      }
+
+      if (peak > this.maxPeak) this.maxPeak = peak;
+      if (this.gain < this.minGain) this.minGain = this.gain;
+
+      this._trackClip(peak, ceiling, currentFrame + i - DETECTION_DELAY);
+      this.frame++;
+    }
+
+    this.meterFrames += length;
+
+    if (this.meterFrames >= this.meterInterval) {
+      this.port.postMessage({
+        type: 'meter',
+        gainReduction: -20 * Math.log10(this.minGain),
+        truePeak: this.maxPeak > 0 ? 20 * Math.log10(this.maxPeak) : -Infinity
+      });
+
+      this.meterFrames = 0;
+      this.minGain = 1;
+      this.maxPeak = 0;
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('true-peak-limiter-processor', TruePeakLimiterProcessor);
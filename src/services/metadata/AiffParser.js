@@ -0,0 +1,249 @@
+/**
+ * AiffParser.js
+ * Reads the metadata of AIFF and AIFF-C files from their big-endian IFF
+ * chunks: the sample format (COMM), the NAME/AUTH/ANNO/(c) text chunks,
+ * an embedded ID3v2 tag (ID3), markers (MARK) and the sustain and release
+ * loops of the instrument chunk (INST).
+ */
+
+import { readAscii, readText, readUint32BE } from './TagHelpers';
+import { readID3v2Tags } from './ID3v2Reader';
+
+// Text chunk IDs for each metadata field
+const TEXT_FIELDS = {
+  NAME: 'title',
+  AUTH: 'artist',
+  ANNO: 'comment',
+  '(c) ': 'copyright'
+};
+
+// AIFF-C compression types that store uncompressed samples
+const UNCOMPRESSED_TYPES = ['NONE', 'sowt', 'twos', 'raw ', 'in24', 'in32', 'fl32', 'FL32', 'fl64', 'FL64'];
+
+// INST loop play modes
+const LOOP_MODES = [null, 'forward', 'alternating'];
+
+/**
+ * Read an 80-bit IEEE 754 extended precision number, used for the sample rate
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Offset
+ * @returns {number} Value
+ */
+const readExtended = (bytes, offset) => {
+  const exponent = ((bytes[offset] & 0x7f) << 8) | bytes[offset + 1];
+  const sign = bytes[offset] & 0x80 ? -1 : 1;
+  const mantissaHigh = readUint32BE(bytes, offset + 2);
+  const mantissaLow = readUint32BE(bytes, offset + 6);
+
+  if (exponent === 0 && mantissaHigh === 0 && mantissaLow === 0) {
+    return 0;
+  }
+
+  const mantissa = mantissaHigh * Math.pow(2, -31) + mantissaLow * Math.pow(2, -63);
+  return sign * mantissa * Math.pow(2, exponent - 16383);
+};
+
+/**
+ * Parse the COMM chunk
+ * @param {Uint8Array} data - Chunk data
+ * @param {boolean} isCompressed - Whether the file is AIFF-C
+ * @returns {Object} - { channels, sampleFrames, bitDepth, sampleRate, compressionType, compressionName }
+ */
+const parseCommon = (data, isCompressed) => {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+  const comm = {
+    channels: view.getInt16(0),
+    sampleFrames: view.getUint32(2),
+    bitDepth: view.getInt16(6),
+    sampleRate: readExtended(data, 8),
+    compressionType: 'NONE',
+    compressionName: null
+  };
+
+  if (isCompressed && data.length >= 22) {
+    comm.compressionType = readAscii(data, 18, 4);
+    comm.compressionName = data.length > 22 ? readText(data, 23, data[22]) || null : null;
+  }
+
+  return comm;
+};
+
+/**
+ * Parse the MARK chunk
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Array<Object>} - [{ id, position, name }] with positions in sample frames
+ */
+const parseMarkers = (data) => {
+  const count = data.length >= 2 ? (data[0] << 8) | data[1] : 0;
+  const markers = [];
+  let offset = 2;
+
+  for (let i = 0; i < count && offset + 7 <= data.length; i++) {
+    const nameLength = data[offset + 6];
+
+    markers.push({
+      id: (data[offset] << 8) | data[offset + 1],
+      position: readUint32BE(data, offset + 2),
+      name: readText(data, offset + 7, nameLength) || null
+    });
+
+    // The Pascal string, with its count byte, is padded to an even length
+    offset += 6 + 1 + nameLength + ((nameLength + 1) % 2);
+  }
+
+  return markers;
+};
+
+/**
+ * Parse the sustain and release loops of the INST chunk
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Array<Object>} - [{ name, type, beginMarker, endMarker }]
+ */
+const parseInstrumentLoops = (data) => {
+  if (data.length < 20) return [];
+
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+  return [['sustain', 8], ['release', 14]]
+    .map(([name, offset]) => ({
+      name,
+      type: LOOP_MODES[view.getInt16(offset)] || null,
+      beginMarker: view.getInt16(offset + 2),
+      endMarker: view.getInt16(offset + 4)
+    }))
+    .filter(loop => loop.type);
+};
+
+/**
+ * Parse the metadata of an AIFF or AIFF-C file
+ * @param {ArrayBuffer} arrayBuffer - File data
+ * @returns {Object} Metadata object
+ */
+const parseAiffMetadata = (arrayBuffer) => {
+  const bytes = new Uint8Array(arrayBuffer);
+  const formType = readAscii(bytes, 8, 4);
+
+  if (readAscii(bytes, 0, 4) !== 'FORM' || (formType !== 'AIFF' && formType !== 'AIFC')) {
+    throw new Error('Not an AIFF file');
+  }
+
+  const isCompressed = formType === 'AIFC';
+
+  let comm = null;
+  let soundDataSize = null;
+  let id3 = {};
+  let markers = [];
+  let instrumentLoops = [];
+  const text = {};
+
+  let offset = 12;
+
+  while (offset + 8 <= bytes.length) {
+    const id = readAscii(bytes, offset, 4);
+    const size = readUint32BE(bytes, offset + 4);
+    const start = offset + 8;
+
+    // The sound data itself is never read; only the other chunks are sliced
+    const data = id === 'SSND' ? null : bytes.subarray(start, Math.min(bytes.length, start + size));
+
+    switch (id) {
+      case 'COMM':
+        comm = parseCommon(data, isCompressed);
+        break;
+      case 'SSND':
+        soundDataSize = Math.min(size, bytes.length - start) - 8; // Offset and block size fields
+        break;
+      case 'NAME':
+      case 'AUTH':
+      case 'ANNO':
+      case '(c) ': {
+        const field = TEXT_FIELDS[id];
+        const value = readText(data, 0, data.length);
+        if (!value) break;
+
+        // ANNO may appear more than once; the other chunks only once
+        if (field === 'comment' && text.comment) {
+          text.comment = `${text.comment}\n${value}`;
+        } else if (!text[field]) {
+          text[field] = value;
+        }
+        break;
+      }
+      case 'ID3 ':
+      case 'id3 ':
+        id3 = readID3v2Tags(data);
+        break;
+      case 'MARK':
+        markers = parseMarkers(data);
+        break;
+      case 'INST':
+        instrumentLoops = parseInstrumentLoops(data);
+        break;
+      default:
+        break;
+    }
+
+    offset = start + size + (size % 2); // Chunks are padded to an even length
+  }
+
+  if (!comm) {
+    throw new Error('AIFF file has no COMM chunk');
+  }
+
+  const { sampleRate } = comm;
+  const lossless = UNCOMPRESSED_TYPES.includes(comm.compressionType);
+  const duration = sampleRate ? comm.sampleFrames / sampleRate : null;
+
+  let bitrate = null;
+  if (lossless) {
+    bitrate = sampleRate * comm.channels * comm.bitDepth;
+  } else if (soundDataSize > 0 && duration) {
+    bitrate = Math.round((soundDataSize * 8) / duration);
+  }
+
+  const toSeconds = (frames) => (sampleRate ? frames / sampleRate : null);
+  const markerById = new Map(markers.map(marker => [marker.id, marker]));
+
+  const cuePoints = markers
+    .map(marker => ({
+      id: marker.id,
+      position: toSeconds(marker.position),
+      label: marker.name
+    }))
+    .sort((a, b) => a.position - b.position);
+
+  const loops = instrumentLoops
+    .filter(loop => markerById.has(loop.beginMarker) && markerById.has(loop.endMarker))
+    .map(loop => ({
+      type: loop.type,
+      start: toSeconds(markerById.get(loop.beginMarker).position),
+      end: toSeconds(markerById.get(loop.endMarker).position),
+      playCount: 0,
+      label: loop.name
+    }));
+
+  return {
+    ...text,
+    ...id3, // An ID3 tag is usually more complete than the text chunks
+    format: isCompressed ? 'AIFC' : 'AIFF',
+    codec: isCompressed ? (comm.compressionName || comm.compressionType.trim()) : 'PCM',
+    lossless,
+    bitrateMode: lossless ? 'CBR' : null,
+    sampleRate,
+    bitDepth: comm.bitDepth || null,
+    channels: comm.channels,
+    bitrate,
+    duration,
+    cuePoints,
+    loops
+  };
+};
+
+export {
+  parseAiffMetadata
+};
+
+export default {
+  parseAiffMetadata
+};
@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import { parseAiffMetadata } from './AiffParser';
+import { encodeAscii, encodeUtf8, concatBytes, uint32BE } from './TagHelpers';
+
+const uint16BE = (value) => new Uint8Array([(value >>> 8) & 0xff, value & 0xff]);
+
+// 80-bit extended precision sample rates
+const RATE_44100 = new Uint8Array([0x40, 0x0e, 0xac, 0x44, 0, 0, 0, 0, 0, 0]);
+const RATE_48000 = new Uint8Array([0x40, 0x0e, 0xbb, 0x80, 0, 0, 0, 0, 0, 0]);
+
+const chunk = (id, body) => concatBytes([
+  encodeAscii(id),
+  uint32BE(body.length),
+  body,
+  new Uint8Array(body.length % 2) // Padding byte
+]);
+
+const form = (type, chunks) => {
+  const body = concatBytes([encodeAscii(type), ...chunks]);
+  return concatBytes([encodeAscii('FORM'), uint32BE(body.length), body]).buffer;
+};
+
+// Pascal string, padded to an even length with its count byte
+const pascalString = (text) => {
+  const bytes = encodeUtf8(text);
+  return concatBytes([new Uint8Array([bytes.length]), bytes, new Uint8Array((bytes.length + 1) % 2)]);
+};
+
+const commChunk = (sampleRate, sampleFrames, extra = []) => chunk('COMM', concatBytes([
+  uint16BE(2), // Channels
+  uint32BE(sampleFrames),
+  uint16BE(16), // Bits per sample
+  sampleRate,
+  ...extra
+]));
+
+const soundChunk = (length) => chunk('SSND', concatBytes([uint32BE(0), uint32BE(0), new Uint8Array(length)]));
+
+describe('parseAiffMetadata', () => {
+  it('reads the COMM chunk of an AIFF file', () => {
+    const metadata = parseAiffMetadata(form('AIFF', [commChunk(RATE_44100, 88200), soundChunk(16)]));
+
+    expect(metadata).toMatchObject({
+      format: 'AIFF',
+      codec: 'PCM',
+      lossless: true,
+      sampleRate: 44100,
+      bitDepth: 16,
+      channels: 2,
+      bitrate: 44100 * 2 * 16,
+      duration: 2,
+      cuePoints: [],
+      loops: []
+    });
+  });
+
+  it('reads the compression type and name of an AIFF-C file', () => {
+    const metadata = parseAiffMetadata(form('AIFC', [
+      commChunk(RATE_48000, 48000, [encodeAscii('sowt'), pascalString('Little-endian')]),
+      soundChunk(16)
+    ]));
+
+    expect(metadata).toMatchObject({
+      format: 'AIFC',
+      codec: 'Little-endian',
+      lossless: true,
+      sampleRate: 48000,
+      duration: 1
+    });
+  });
+
+  it('reads the text chunks, skipping odd-length padding', () => {
+    const metadata = parseAiffMetadata(form('AIFF', [
+      chunk('NAME', encodeUtf8('Odd')),
+      chunk('AUTH', encodeUtf8('Someone')),
+      chunk('ANNO', encodeUtf8('First')),
+      chunk('ANNO', encodeUtf8('Second')),
+      commChunk(RATE_44100, 44100)
+    ]));
+
+    expect(metadata).toMatchObject({ title: 'Odd', artist: 'Someone', comment: 'First\nSecond' });
+  });
+
+  it('reads markers and the instrument loops that use them', () => {
+    const marker = (id, position, name) => concatBytes([uint16BE(id), uint32BE(position), pascalString(name)]);
+
+    const loop = (playMode, beginMarker, endMarker) => concatBytes([
+      uint16BE(playMode),
+      uint16BE(beginMarker),
+      uint16BE(endMarker)
+    ]);
+
+    const inst = concatBytes([
+      new Uint8Array([60, 0, 0, 127, 1, 127]), // Base note, detune, note and velocity range
+      uint16BE(0), // Gain
+      loop(1, 1, 2), // Sustain: forward
+      loop(2, 3, 9) // Release: its end marker is missing
+    ]);
+
+    const metadata = parseAiffMetadata(form('AIFF', [
+      commChunk(RATE_44100, 88200),
+      chunk('MARK', concatBytes([
+        uint16BE(3),
+        marker(2, 66150, 'Loop End'),
+        marker(1, 22050, 'Loop Start'),
+        marker(3, 0, 'Top')
+      ])),
+      chunk('INST', inst)
+    ]));
+
+    expect(metadata.cuePoints).toEqual([
+      { id: 3, position: 0, label: 'Top' },
+      { id: 1, position: 0.5, label: 'Loop Start' },
+      { id: 2, position: 1.5, label: 'Loop End' }
+    ]);
+    expect(metadata.loops).toEqual([
+      { type: 'forward', start: 0.5, end: 1.5, playCount: 0, label: 'sustain' }
+    ]);
+  });
+
+  it('rejects files without a COMM chunk', () => {
+    expect(() => parseAiffMetadata(form('AIFF', [soundChunk(4)]))).toThrow('AIFF file has no COMM chunk');
+  });
+});
@@ -0,0 +1,410 @@
+/**
+ * ID3v2Reader.js
+ * Reads ID3v2.2, ID3v2.3 and ID3v2.4 tags: the raw frames, for the tag
+ * writer to carry over, and the common fields, for containers whose
+ * parsers find an ID3 tag inside a chunk (WAV 'id3 ', AIFF 'ID3 ').
+ */
+
+import { readAscii, readUint32BE } from './TagHelpers';
+
+const HEADER_SIZE = 10;
+
+// Common fields for ID3v2.3/2.4 frames, with their ID3v2.2 equivalents
+const TEXT_FIELDS = {
+  title: ['TIT2', 'TT2'],
+  artist: ['TPE1', 'TP1'],
+  albumArtist: ['TPE2', 'TP2'],
+  album: ['TALB', 'TAL'],
+  genre: ['TCON', 'TCO'],
+  composer: ['TCOM', 'TCM'],
+  year: ['TDRC', 'TYER', 'TYE'],
+  track: ['TRCK', 'TRK'],
+  discNumber: ['TPOS', 'TPA'],
+  bpm: ['TBPM', 'TBP'],
+  key: ['TKEY', 'TKE'],
+  encoder: ['TENC', 'TEN'],
+  tool: ['TSSE', 'TSS']
+};
+
+const latin1Decoder = new TextDecoder('latin1');
+const utf8Decoder = new TextDecoder('utf-8');
+const utf16Decoder = new TextDecoder('utf-16le');
+const utf16BEDecoder = new TextDecoder('utf-16be');
+
+/**
+ * Read a 28-bit syncsafe integer
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Offset
+ * @returns {number} Value
+ */
+const readSyncsafe = (bytes, offset) =>
+  ((bytes[offset] & 0x7f) << 21) |
+  ((bytes[offset + 1] & 0x7f) << 14) |
+  ((bytes[offset + 2] & 0x7f) << 7) |
+  (bytes[offset + 3] & 0x7f);
+
+/**
+ * Undo unsynchronisation (0xFF 0x00 -> 0xFF)
+ * @param {Uint8Array} bytes - Unsynchronised bytes
+ * @returns {Uint8Array} Original bytes
+ */
+const removeUnsynchronisation = (bytes) => {
+  const result = new Uint8Array(bytes.length);
+  let length = 0;
+
+  for (let i = 0; i < bytes.length; i++) {
+    result[length++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) {
+      i++;
+    }
+  }
+
+  return result.subarray(0, length);
+};
+
+/**
+ * Parse the ID3v2 tag at the start of a file or chunk
+ * @param {Uint8Array} bytes - Bytes starting with the tag header
+ * @returns {Object} - { version, frames: [{ id, flags, data }], size, end };
+ *   a missing tag reads as an empty ID3v2.3 tag
+ */
+const readID3v2Frames = (bytes) => {
+  if (bytes.length < HEADER_SIZE || readAscii(bytes, 0, 3) !== 'ID3') {
+    return { version: 3, frames: [], size: 0, end: 0 };
+  }
+
+  const version = bytes[3];
+  const flags = bytes[5];
+  const size = readSyncsafe(bytes, 6);
+  const hasFooter = version === 4 && (flags & 0x10) !== 0;
+  const end = Math.min(bytes.length, HEADER_SIZE + size + (hasFooter ? HEADER_SIZE : 0));
+
+  if (version < 2 || version > 4) {
+    return { version: 3, frames: [], size, end };
+  }
+
+  let body = bytes.subarray(HEADER_SIZE, HEADER_SIZE + size);
+
+  if (version < 4 && (flags & 0x80)) {
+    body = removeUnsynchronisation(body);
+  }
+
+  let offset = 0;
+
+  // Extended header
+  if (version > 2 && (flags & 0x40)) {
+    offset = version === 3 ? readUint32BE(body, 0) + 4 : readSyncsafe(body, 0);
+  }
+
+  // ID3v2.2 frames have three-character IDs, three-byte sizes and no flags
+  const idLength = version === 2 ? 3 : 4;
+  const frameHeaderSize = version === 2 ? 6 : HEADER_SIZE;
+  const frames = [];
+
+  while (offset + frameHeaderSize <= body.length) {
+    const id = readAscii(body, offset, idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+
+    let frameSize;
+    if (version === 2) {
+      frameSize = (body[offset + 3] << 16) | (body[offset + 4] << 8) | body[offset + 5];
+    } else {
+      frameSize = version === 4 ? readSyncsafe(body, offset + 4) : readUint32BE(body, offset + 4);
+    }
+
+    const start = offset + frameHeaderSize;
+    if (start + frameSize > body.length) break;
+
+    frames.push({
+      id,
+      flags: version === 2 ? new Uint8Array(2) : body.subarray(offset + 8, offset + 10),
+      data: body.subarray(start, start + frameSize)
+    });
+
+    offset = start + frameSize;
+  }
+
+  return { version, frames, size, end };
+};
+
+/**
+ * Frame data with frame-level encoding undone
+ * @param {Object} frame - Frame
+ * @param {number} version - Tag major version
+ * @returns {Uint8Array|null} Frame content, or null if compressed or encrypted
+ */
+const frameContent = (frame, version) => {
+  const formatFlags = frame.flags[1];
+  let { data } = frame;
+
+  if (version === 3) {
+    if (formatFlags & 0xc0) return null;
+    return formatFlags & 0x20 ? data.subarray(1) : data; // Grouping identity
+  }
+
+  if (version === 4) {
+    if (formatFlags & 0x0c) return null;
+    if (formatFlags & 0x40) data = data.subarray(1); // Grouping identity
+    if (formatFlags & 0x02) data = removeUnsynchronisation(data);
+    if (formatFlags & 0x01) data = data.subarray(4); // Data length indicator
+  }
+
+  return data;
+};
+
+/**
+ * Decode text in a frame's encoding
+ * @param {number} encoding - ID3 text encoding
+ * @param {Uint8Array} bytes - Encoded text
+ * @returns {string} Text
+ */
+const decodeText = (encoding, bytes) => {
+  switch (encoding) {
+    case 1:
+      if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+        return utf16BEDecoder.decode(bytes.subarray(2));
+      }
+      return utf16Decoder.decode(bytes[0] === 0xff && bytes[1] === 0xfe ? bytes.subarray(2) : bytes);
+    case 2:
+      return utf16BEDecoder.decode(bytes);
+    case 3:
+      return utf8Decoder.decode(bytes);
+    default:
+      return latin1Decoder.decode(bytes);
+  }
+};
+
+/**
+ * Find the end of a terminated string
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Start offset
+ * @param {number} encoding - ID3 text encoding
+ * @returns {number} Offset of the terminator (or the end of the bytes)
+ */
+const findTerminator = (bytes, offset, encoding) => {
+  const wide = encoding === 1 || encoding === 2;
+
+  for (let i = offset; i < bytes.length; i += wide ? 2 : 1) {
+    if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) {
+      return i;
+    }
+  }
+
+  return bytes.length;
+};
+
+/**
+ * Decode the text of a text frame
+ * @param {Uint8Array} data - Frame data
+ * @returns {string} Text, up to the first terminator
+ */
+const decodeTextFrame = (data) => decodeText(data[0], data.subarray(1)).split('\0')[0];
+
+/**
+ * Decode a user-defined text (TXXX/TXX) frame
+ * @param {Uint8Array} data - Frame data
+ * @returns {Object} - { description, value }
+ */
+const decodeUserTextFrame = (data) => {
+  const encoding = data[0];
+  const end = findTerminator(data, 1, encoding);
+  const valueStart = end + (encoding === 1 || encoding === 2 ? 2 : 1);
+
+  return {
+    description: decodeText(encoding, data.subarray(1, end)),
+    value: decodeText(encoding, data.subarray(valueStart)).split('\0')[0]
+  };
+};
+
+/**
+ * Decode an attached picture (APIC, or PIC in ID3v2.2)
+ * @param {Uint8Array} data - Frame data
+ * @param {number} version - Tag major version
+ * @returns {Object} - { data, format, type, description }
+ */
+const decodePictureFrame = (data, version) => {
+  const encoding = data[0];
+  let format;
+  let offset;
+
+  if (version === 2) {
+    const imageFormat = readAscii(data, 1, 3).toUpperCase();
+    format = imageFormat === 'PNG' ? 'image/png' : 'image/jpeg';
+    offset = 4;
+  } else {
+    const mimeEnd = findTerminator(data, 1, 0);
+    const mime = readAscii(data, 1, mimeEnd - 1).toLowerCase();
+    format = mime.includes('/') ? mime : `image/${mime || 'jpeg'}`;
+    offset = mimeEnd + 1;
+  }
+
+  const type = data[offset];
+  const descriptionEnd = findTerminator(data, offset + 1, encoding);
+
+  return {
+    data: data.slice(descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1)),
+    format,
+    type,
+    description: decodeText(encoding, data.subarray(offset + 1, descriptionEnd))
+  };
+};
+
+/**
+ * Decode an unsynchronized lyrics (USLT/ULT) frame
+ * @param {Uint8Array} data - Frame data
+ * @returns {string} Lyrics text
+ */
+const decodeLyricsFrame = (data) => {
+  const encoding = data[0];
+  // Language (3 bytes), then a terminated content descriptor
+  const descriptionEnd = findTerminator(data, 4, encoding);
+  const textStart = descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1);
+
+  return decodeText(encoding, data.subarray(textStart)).replace(/\0+$/, '');
+};
+
+/**
+ * Decode a synchronized lyrics (SYLT/SLT) frame
+ * @param {Uint8Array} data - Frame data
+ * @returns {Array<Object>|null} - [{ time, text }] in seconds, or null if the
+ *   frame is timed in MPEG frames or holds something other than lyrics
+ */
+const decodeSyncedLyricsFrame = (data) => {
+  const encoding = data[0];
+  const timestampFormat = data[4]; // 1: MPEG frames, 2: milliseconds
+  const contentType = data[5]; // 0: other, 1: lyrics, 2: text transcription
+
+  if (timestampFormat !== 2 || contentType > 2) return null;
+
+  const wide = encoding === 1 || encoding === 2;
+  let offset = findTerminator(data, 6, encoding) + (wide ? 2 : 1);
+  const lines = [];
+
+  while (offset < data.length) {
+    const end = findTerminator(data, offset, encoding);
+    const timeOffset = end + (wide ? 2 : 1);
+    if (timeOffset + 4 > data.length) break;
+
+    lines.push({
+      time: readUint32BE(data, timeOffset) / 1000,
+      // Lines often start with the line break that separates them
+      text: decodeText(encoding, data.subarray(offset, end)).trim()
+    });
+
+    offset = timeOffset + 4;
+  }
+
+  return lines.length ? lines : null;
+};
+
+/**
+ * Find the lyrics among a tag's frames, preferring synchronized lyrics
+ * @param {Array<Object>} frames - Frames
+ * @param {number} version - Tag major version
+ * @returns {Array<Object>|string|null} Synced lines ([{ time, text }]), lyrics text, or null
+ */
+const findLyrics = (frames, version) => {
+  const contentOf = (frame) => frameContent(frame, version);
+
+  for (const frame of frames.filter(f => f.id === 'SYLT' || f.id === 'SLT')) {
+    const content = contentOf(frame);
+    const lines = content && content.length > 6 ? decodeSyncedLyricsFrame(content) : null;
+    if (lines) return lines;
+  }
+
+  for (const frame of frames.filter(f => f.id === 'USLT' || f.id === 'ULT')) {
+    const content = contentOf(frame);
+    const text = content && content.length > 4 ? decodeLyricsFrame(content).trim() : '';
+    if (text) return text;
+  }
+
+  return null;
+};
+
+/**
+ * Read the lyrics of an ID3v2 tag
+ * @param {Uint8Array} bytes - Bytes starting with the tag header
+ * @returns {Array<Object>|string|null} Synced lines ([{ time, text }]), lyrics text, or null
+ */
+const readID3v2Lyrics = (bytes) => {
+  const { version, frames } = readID3v2Frames(bytes);
+  return findLyrics(frames, version);
+};
+
+/**
+ * Read the common fields of an ID3v2 tag
+ * @param {Uint8Array} bytes - Bytes starting with the tag header
+ * @returns {Object} Metadata fields found in the tag (title, artist, album,
+ *   albumArtist, genre, composer, year, track, discNumber, bpm, key, encoder,
+ *   tool, picture, lyrics
+ *   and lower-case TXXX descriptions such as replaygain_track_gain)
+ */
+const readID3v2Tags = (bytes) => {
+  const { version, frames } = readID3v2Frames(bytes);
+  const metadata = {};
+
+  const contentOf = (frame) => frameContent(frame, version);
+
+  Object.entries(TEXT_FIELDS).forEach(([field, ids]) => {
+    const frame = frames.find(f => ids.includes(f.id));
+    const content = frame && contentOf(frame);
+    if (!content || !content.length) return;
+
+    const text = decodeTextFrame(content).trim();
+    if (text) {
+      metadata[field] = text;
+    }
+  });
+
+  // Genres may carry ID3v1 genre references such as "(17)Rock"
+  if (metadata.genre) {
+    metadata.genre = metadata.genre.replace(/^\(\d+\)(?=.)/, '') || metadata.genre;
+  }
+
+  frames
+    .filter(frame => frame.id === 'TXXX' || frame.id === 'TXX')
+    .forEach(frame => {
+      const content = contentOf(frame);
+      if (!content || !content.length) return;
+
+      const { description, value } = decodeUserTextFrame(content);
+      if (description && value) {
+        metadata[description.toLowerCase()] = value;
+      }
+    });
+
+  // Front cover first, otherwise any picture
+  const pictures = frames
+    .filter(frame => frame.id === 'APIC' || frame.id === 'PIC')
+    .map(frame => contentOf(frame))
+    .filter(content => content && content.length)
+    .map(content => decodePictureFrame(content, version));
+
+  const picture = pictures.find(p => p.type === 3) || pictures[0];
+  if (picture && picture.data.length) {
+    metadata.picture = picture;
+  }
+
+  const lyrics = findLyrics(frames, version);
+  if (lyrics) {
+    metadata.lyrics = lyrics;
+  }
+
+  return metadata;
+};
+
+export {
+  readID3v2Frames,
+  readID3v2Tags,
+  readID3v2Lyrics,
+  frameContent,
+  decodeTextFrame
+};
+
+export default {
+  readID3v2Frames,
+  readID3v2Tags,
+  readID3v2Lyrics,
+  frameContent,
+  decodeTextFrame
+};
@@ -0,0 +1,234 @@
+/**
+ * ID3v2Writer.js
+ * Writes ID3v2.3 and ID3v2.4 tags at the start of MP3 files. Frames that
+ * are not edited are copied over unchanged, so the version of an existing
+ * tag is kept; files without a tag, or with an ID3v2.2 tag, get a new
+ * ID3v2.3 tag. An ID3v1 tag at the end of the file is updated to match.
+ */
+
+import {
+  hasField,
+  fieldText,
+  fieldNumber,
+  pictureBytes,
+  encodeUtf8,
+  readAscii,
+  encodeAscii,
+  concatBytes,
+  uint32BE
+} from './TagHelpers';
+import { readID3v2Frames, frameContent, decodeTextFrame } from './ID3v2Reader';
+
+// Text frames for each edited field
+const TEXT_FRAMES = {
+  title: 'TIT2',
+  artist: 'TPE1',
+  album: 'TALB',
+  genre: 'TCON',
+  bpm: 'TBPM'
+};
+
+const DEFAULT_PADDING = 2048;
+const ID3V1_SIZE = 128;
+
+/**
+ * Encode a 28-bit syncsafe integer
+ * @param {number} value - Value
+ * @returns {Uint8Array} Four bytes
+ */
+const syncsafe = (value) => new Uint8Array([
+  (value >>> 21) & 0x7f,
+  (value >>> 14) & 0x7f,
+  (value >>> 7) & 0x7f,
+  value & 0x7f
+]);
+
+/**
+ * Encode a text frame body; UTF-8 in ID3v2.4, Latin-1 or UTF-16 in ID3v2.3
+ * @param {string} text - Text
+ * @param {number} version - Tag major version
+ * @returns {Uint8Array} Frame data
+ */
+const encodeTextFrame = (text, version) => {
+  if (version === 4) {
+    return concatBytes([new Uint8Array([3]), encodeUtf8(text)]);
+  }
+
+  if (/^[\x20-\xff]*$/.test(text)) {
+    return concatBytes([new Uint8Array([0]), encodeAscii(text)]);
+  }
+
+  // UTF-16 with a little-endian byte order mark
+  const data = new Uint8Array(3 + text.length * 2);
+  data[0] = 1;
+  data[1] = 0xff;
+  data[2] = 0xfe;
+
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    data[3 + i * 2] = code & 0xff;
+    data[4 + i * 2] = code >>> 8;
+  }
+
+  return data;
+};
+
+/**
+ * Encode an attached picture (APIC) frame body for the front cover
+ * @param {Object} picture - { data, format }
+ * @returns {Uint8Array} Frame data
+ */
+const encodePictureFrame = (picture) => concatBytes([
+  new Uint8Array([0]), // Latin-1 description
+  encodeAscii(picture.format || 'image/jpeg'),
+  new Uint8Array([0, 3, 0]), // MIME terminator, front cover, empty description
+  pictureBytes(picture)
+]);
+
+/**
+ * Encode a frame with its header
+ * @param {string} id - Frame ID
+ * @param {Uint8Array} data - Frame data
+ * @param {number} version - Tag major version
+ * @param {Uint8Array} [flags] - Frame flags
+ * @returns {Uint8Array} Frame bytes
+ */
+const encodeFrame = (id, data, version, flags = new Uint8Array(2)) => concatBytes([
+  encodeAscii(id),
+  version === 4 ? syncsafe(data.length) : uint32BE(data.length),
+  flags,
+  data
+]);
+
+/**
+ * Text of a "number/total" frame after an edit
+ * @param {Object} existing - Existing frame, if any
+ * @param {number} version - Version of the tag the frame was read from
+ * @param {*} number - Edited number (undefined to keep)
+ * @param {*} total - Edited total (undefined to keep)
+ * @returns {string|null} Frame text, or null to drop the frame
+ */
+const positionText = (existing, version, number, total) => {
+  // Frame flags such as unsynchronisation have to be undone before decoding
+  const content = existing ? frameContent(existing, version) : null;
+  const [oldNumber, oldTotal] = content ? decodeTextFrame(content).split('/') : [];
+  const newNumber = number === undefined ? fieldNumber(oldNumber) : fieldNumber(number);
+  const newTotal = total === undefined ? fieldNumber(oldTotal) : fieldNumber(total);
+
+  if (!newNumber) return null;
+  return newTotal ? `${newNumber}/${newTotal}` : String(newNumber);
+};
+
+/**
+ * Update an ID3v1 tag in place, if the file has one
+ * @param {Uint8Array} audio - Bytes after the ID3v2 tag (copied)
+ * @param {Object} tags - Tag edits
+ */
+const updateID3v1 = (audio, tags) => {
+  const start = audio.length - ID3V1_SIZE;
+  if (start < 0 || readAscii(audio, start, 3) !== 'TAG') return;
+
+  const writeField = (offset, length, value) => {
+    const text = (fieldText(value) || '').replace(/[^\x20-\xff]/g, '?');
+    audio.fill(0, start + offset, start + offset + length);
+    audio.set(encodeAscii(text.substring(0, length)), start + offset);
+  };
+
+  if (hasField(tags, 'title')) writeField(3, 30, tags.title);
+  if (hasField(tags, 'artist')) writeField(33, 30, tags.artist);
+  if (hasField(tags, 'album')) writeField(63, 30, tags.album);
+  if (hasField(tags, 'year')) writeField(93, 4, tags.year);
+
+  // ID3v1.1 keeps the track number in the last byte of the comment
+  if (hasField(tags, 'track')) {
+    const track = fieldNumber(tags.track);
+    audio[start + 125] = 0;
+    audio[start + 126] = track && track < 256 ? track : 0;
+  }
+};
+
+/**
+ * Write tags into an MP3 file
+ * @param {ArrayBuffer} arrayBuffer - File data
+ * @param {Object} tags - Tag edits (see TAG_WRITE_FIELDS)
+ * @returns {ArrayBuffer} Tagged file data
+ */
+const writeID3v2Tags = (arrayBuffer, tags) => {
+  const bytes = new Uint8Array(arrayBuffer);
+  const tag = readID3v2Frames(bytes);
+
+  // ID3v2.2 frames cannot be carried into a later version; start over
+  const version = tag.version === 4 ? 4 : 3;
+  if (tag.version === 2) {
+    tag.frames = [];
+  }
+
+  const yearFrame = version === 4 ? 'TDRC' : 'TYER';
+
+  const replaced = new Set();
+  const added = [];
+
+  const setText = (id, text) => {
+    replaced.add(id);
+    if (text) {
+      added.push(encodeFrame(id, encodeTextFrame(text, version), version));
+    }
+  };
+
+  Object.entries(TEXT_FRAMES).forEach(([field, id]) => {
+    if (hasField(tags, field)) {
+      setText(id, fieldText(tags[field]));
+    }
+  });
+
+  if (hasField(tags, 'year')) {
+    replaced.add('TYER');
+    replaced.add('TDRC');
+    setText(yearFrame, fieldText(tags.year));
+  }
+
+  if (hasField(tags, 'track') || hasField(tags, 'trackTotal')) {
+    const existing = tag.frames.find(frame => frame.id === 'TRCK');
+    setText('TRCK', positionText(existing, tag.version, tags.track, tags.trackTotal));
+  }
+
+  if (hasField(tags, 'discNumber') || hasField(tags, 'discTotal')) {
+    const existing = tag.frames.find(frame => frame.id === 'TPOS');
+    setText('TPOS', positionText(existing, tag.version, tags.discNumber, tags.discTotal));
+  }
+
+  if (hasField(tags, 'picture')) {
+    replaced.add('APIC');
+    if (pictureBytes(tags.picture)) {
+      added.push(encodeFrame('APIC', encodePictureFrame(tags.picture), version));
+    }
+  }
+
+  const kept = tag.frames
+    .filter(frame => !replaced.has(frame.id))
+    .map(frame => encodeFrame(frame.id, frame.data, version, frame.flags));
+
+  const frames = concatBytes([...kept, ...added]);
+
+  // Reuse the old tag's space when the new frames fit
+  const padding = frames.length <= tag.size ? tag.size - frames.length : DEFAULT_PADDING;
+
+  const header = concatBytes([
+    encodeAscii('ID3'),
+    new Uint8Array([version, 0, 0]),
+    syncsafe(frames.length + padding)
+  ]);
+
+  const audio = bytes.slice(tag.end);
+  updateID3v1(audio, tags);
+
+  return concatBytes([header, frames, new Uint8Array(padding), audio]).buffer;
+};
+
+export {
+  writeID3v2Tags
+};
+
+export default {
+  writeID3v2Tags
+};
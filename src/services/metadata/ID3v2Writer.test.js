@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import { writeID3v2Tags } from './ID3v2Writer';
+import { readID3v2Frames, readID3v2Tags } from './ID3v2Reader';
+import { encodeAscii, concatBytes, readAscii, uint32BE } from './TagHelpers';
+
+// A few bytes standing in for MPEG audio frames
+const AUDIO = new Uint8Array([0xff, 0xfb, 0x90, 0x64, 0x00, 0x11, 0x22, 0x33]);
+
+const COVER = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+
+const syncsafe = (value) => new Uint8Array([
+  (value >>> 21) & 0x7f,
+  (value >>> 14) & 0x7f,
+  (value >>> 7) & 0x7f,
+  value & 0x7f
+]);
+
+const frame = (id, data, version, flags = [0, 0]) => concatBytes([
+  encodeAscii(id),
+  version === 4 ? syncsafe(data.length) : uint32BE(data.length),
+  new Uint8Array(flags),
+  data
+]);
+
+const latin1Text = (text) => concatBytes([new Uint8Array([0]), encodeAscii(text)]);
+
+const tag = (version, frames, padding = 0) => {
+  const body = concatBytes([...frames, new Uint8Array(padding)]);
+  return concatBytes([encodeAscii('ID3'), new Uint8Array([version, 0, 0]), syncsafe(body.length), body]);
+};
+
+const id3v1 = (title, track) => {
+  const bytes = new Uint8Array(128);
+  bytes.set(encodeAscii('TAG'), 0);
+  bytes.set(encodeAscii(title), 3);
+  bytes[126] = track;
+  bytes[127] = 255;
+  return bytes;
+};
+
+const write = (file, tags) => new Uint8Array(writeID3v2Tags(file.slice().buffer, tags));
+
+const audioOf = (bytes) => bytes.subarray(readID3v2Frames(bytes).end);
+
+describe('writeID3v2Tags', () => {
+  it('adds an ID3v2.3 tag to a file without one', () => {
+    const output = write(AUDIO, {
+      title: 'Blue Monday',
+      artist: 'New Order',
+      album: 'Power, Corruption & Lies',
+      year: 1983,
+      track: 4,
+      trackTotal: 8,
+      picture: { data: COVER, format: 'image/jpeg' }
+    });
+
+    expect(readID3v2Frames(output).version).toBe(3);
+
+    const tags = readID3v2Tags(output);
+    expect(tags.title).toBe('Blue Monday');
+    expect(tags.artist).toBe('New Order');
+    expect(tags.album).toBe('Power, Corruption & Lies');
+    expect(tags.year).toBe('1983');
+    expect(tags.track).toBe('4/8');
+    expect(tags.picture.format).toBe('image/jpeg');
+    expect(Array.from(tags.picture.data)).toEqual(Array.from(COVER));
+
+    expect(Array.from(audioOf(output))).toEqual(Array.from(AUDIO));
+  });
+
+  it('keeps unedited frames and the version of an ID3v2.4 tag', () => {
+    const file = concatBytes([
+      tag(4, [
+        frame('TIT2', latin1Text('Old Title'), 4),
+        frame('TPE1', latin1Text('Artist'), 4),
+        frame('TKEY', latin1Text('Am'), 4)
+      ], 64),
+      AUDIO
+    ]);
+
+    const output = write(file, { title: 'Ünïcode Title', artist: null });
+    const tags = readID3v2Tags(output);
+
+    expect(readID3v2Frames(output).version).toBe(4);
+    expect(tags.title).toBe('Ünïcode Title');
+    expect(tags.artist).toBeUndefined();
+    expect(tags.key).toBe('Am');
+    expect(Array.from(audioOf(output))).toEqual(Array.from(AUDIO));
+  });
+
+  it('reuses the space of the old tag when the frames fit', () => {
+    const file = concatBytes([tag(3, [frame('TIT2', latin1Text('A'), 3)], 512), AUDIO]);
+    const output = write(file, { title: 'A longer title' });
+
+    expect(output.length).toBe(file.length);
+    expect(readID3v2Tags(output).title).toBe('A longer title');
+  });
+
+  it('keeps the total of an unsynchronised ID3v2.4 track frame', () => {
+    // UTF-16 "5/10" with a byte order mark, which unsynchronisation splits up
+    const content = new Uint8Array([1, 0xff, 0xfe, 0x35, 0, 0x2f, 0, 0x31, 0, 0x30, 0]);
+    const unsynchronised = new Uint8Array([1, 0xff, 0x00, 0xfe, 0x35, 0, 0x2f, 0, 0x31, 0, 0x30, 0]);
+
+    // Unsynchronisation and data length indicator flags
+    const trackFrame = frame('TRCK', concatBytes([syncsafe(content.length), unsynchronised]), 4, [0, 0x03]);
+    const file = concatBytes([tag(4, [trackFrame]), AUDIO]);
+
+    expect(readID3v2Tags(file).track).toBe('5/10');
+
+    const output = write(file, { track: 7 });
+    expect(readID3v2Tags(output).track).toBe('7/10');
+  });
+
+  it('replaces an ID3v2.2 tag with an ID3v2.3 tag', () => {
+    const v22Frame = concatBytes([encodeAscii('TT2'), new Uint8Array([0, 0, 4]), latin1Text('Old')]);
+    const file = concatBytes([tag(2, [v22Frame]), AUDIO]);
+
+    const output = write(file, { album: 'New Album' });
+    const tags = readID3v2Tags(output);
+
+    expect(readID3v2Frames(output).version).toBe(3);
+    expect(tags.title).toBeUndefined();
+    expect(tags.album).toBe('New Album');
+  });
+
+  it('updates an ID3v1 tag at the end of the file', () => {
+    const file = concatBytes([AUDIO, id3v1('Old', 2)]);
+    const output = write(file, { title: 'New', track: 9 });
+    const v1 = output.subarray(output.length - 128);
+
+    expect(readAscii(v1, 0, 3)).toBe('TAG');
+    expect(readAscii(v1, 3, 3)).toBe('New');
+    expect(v1[6]).toBe(0);
+    expect(v1[126]).toBe(9);
+    expect(v1[127]).toBe(255);
+  });
+});
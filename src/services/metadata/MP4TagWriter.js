@@ -0,0 +1,360 @@
+/**
+ * MP4TagWriter.js
+ * Writes iTunes-style metadata into M4A/MP4 files: the items of the
+ * moov > udta > meta > ilst atom. Items that are not edited are kept, and
+ * the containers are created when the file has none. When moov sits in
+ * front of the media data, its growth moves the samples, so the chunk
+ * offset tables (stco/co64) are shifted to match.
+ */
+
+import {
+  hasField,
+  fieldText,
+  fieldNumber,
+  pictureBytes,
+  encodeUtf8,
+  readAscii,
+  encodeAscii,
+  concatBytes,
+  readUint32BE,
+  uint32BE
+} from './TagHelpers';
+
+// Text items for each edited field
+const TEXT_ITEMS = {
+  title: '©nam',
+  artist: '©ART',
+  album: '©alb',
+  genre: '©gen',
+  year: '©day'
+};
+
+// Well-known data types of a 'data' atom
+const DATA_TYPE = {
+  BINARY: 0,
+  UTF8: 1,
+  JPEG: 13,
+  PNG: 14,
+  INTEGER: 21
+};
+
+// Containers on the way to the chunk offset tables
+const SAMPLE_TABLE_PATH = ['trak', 'mdia', 'minf', 'stbl'];
+
+/**
+ * List the atoms between two offsets
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} start - First atom offset
+ * @param {number} end - End offset
+ * @returns {Array<Object>} - [{ type, offset, headerSize, size }]
+ */
+const readAtoms = (bytes, start, end) => {
+  const atoms = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = readUint32BE(bytes, offset);
+    const type = readAscii(bytes, offset + 4, 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = readUint32BE(bytes, offset + 8) * 0x100000000 + readUint32BE(bytes, offset + 12);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < headerSize || offset + size > end) break;
+
+    atoms.push({ type, offset, headerSize, size });
+    offset += size;
+  }
+
+  return atoms;
+};
+
+/**
+ * Encode an atom
+ * @param {string} type - Atom type
+ * @param {Array<Uint8Array>} parts - Atom body parts
+ * @returns {Uint8Array} Atom bytes
+ */
+const encodeAtom = (type, parts) => {
+  const body = concatBytes(parts);
+  return concatBytes([uint32BE(8 + body.length), encodeAscii(type), body]);
+};
+
+/**
+ * Encode a metadata item holding one 'data' atom
+ * @param {string} type - Item type
+ * @param {number} dataType - Data type
+ * @param {Uint8Array} value - Value bytes
+ * @returns {Uint8Array} Item atom
+ */
+const encodeItem = (type, dataType, value) => encodeAtom(type, [
+  encodeAtom('data', [uint32BE(dataType), uint32BE(0), value])
+]);
+
+/**
+ * Value bytes of an item's 'data' atom
+ * @param {Uint8Array} bytes - File bytes
+ * @param {Object} item - Item atom
+ * @returns {Uint8Array|null} Value bytes
+ */
+const readItemValue = (bytes, item) => {
+  const data = readAtoms(bytes, item.offset + item.headerSize, item.offset + item.size)
+    .find(atom => atom.type === 'data');
+
+  return data ? bytes.subarray(data.offset + 16, data.offset + data.size) : null;
+};
+
+/**
+ * Encode a trkn/disk item value after an edit
+ * @param {Uint8Array|null} existing - Existing value bytes
+ * @param {*} number - Edited number (undefined to keep)
+ * @param {*} total - Edited total (undefined to keep)
+ * @param {number} length - Value length (8 for trkn, 6 for disk)
+ * @returns {Uint8Array|null} Value bytes, or null to drop the item
+ */
+const encodePosition = (existing, number, total, length) => {
+  const oldNumber = existing && existing.length >= 6 ? (existing[2] << 8) | existing[3] : null;
+  const oldTotal = existing && existing.length >= 6 ? (existing[4] << 8) | existing[5] : null;
+  const newNumber = number === undefined ? fieldNumber(oldNumber) : fieldNumber(number);
+  const newTotal = total === undefined ? fieldNumber(oldTotal) : fieldNumber(total);
+
+  if (!newNumber) return null;
+
+  const value = new Uint8Array(length);
+  value[2] = (newNumber >>> 8) & 0xff;
+  value[3] = newNumber & 0xff;
+  value[4] = ((newTotal || 0) >>> 8) & 0xff;
+  value[5] = (newTotal || 0) & 0xff;
+
+  return value;
+};
+
+/**
+ * Build the new ilst atom
+ * @param {Uint8Array} bytes - File bytes
+ * @param {Object|null} ilst - Existing ilst atom
+ * @param {Object} tags - Tag edits
+ * @returns {Uint8Array} ilst atom
+ */
+const buildItemList = (bytes, ilst, tags) => {
+  const items = ilst ? readAtoms(bytes, ilst.offset + ilst.headerSize, ilst.offset + ilst.size) : [];
+  const findItem = (type) => items.find(item => item.type === type);
+
+  const replaced = new Set();
+  const added = [];
+
+  Object.entries(TEXT_ITEMS).forEach(([field, type]) => {
+    if (!hasField(tags, field)) return;
+
+    replaced.add(type);
+    const text = fieldText(tags[field]);
+    if (text) {
+      added.push(encodeItem(type, DATA_TYPE.UTF8, encodeUtf8(text)));
+    }
+  });
+
+  // A numeric genre item would otherwise shadow the edited one
+  if (hasField(tags, 'genre')) {
+    replaced.add('gnre');
+  }
+
+  if (hasField(tags, 'track') || hasField(tags, 'trackTotal')) {
+    replaced.add('trkn');
+    const existing = findItem('trkn');
+    const value = encodePosition(existing && readItemValue(bytes, existing), tags.track, tags.trackTotal, 8);
+    if (value) added.push(encodeItem('trkn', DATA_TYPE.BINARY, value));
+  }
+
+  if (hasField(tags, 'discNumber') || hasField(tags, 'discTotal')) {
+    replaced.add('disk');
+    const existing = findItem('disk');
+    const value = encodePosition(existing && readItemValue(bytes, existing), tags.discNumber, tags.discTotal, 6);
+    if (value) added.push(encodeItem('disk', DATA_TYPE.BINARY, value));
+  }
+
+  if (hasField(tags, 'bpm')) {
+    replaced.add('tmpo');
+    const bpm = fieldNumber(tags.bpm);
+    if (bpm) {
+      added.push(encodeItem('tmpo', DATA_TYPE.INTEGER, new Uint8Array([(bpm >>> 8) & 0xff, bpm & 0xff])));
+    }
+  }
+
+  if (hasField(tags, 'picture')) {
+    replaced.add('covr');
+    const data = pictureBytes(tags.picture);
+    if (data) {
+      const dataType = tags.picture.format === 'image/png' ? DATA_TYPE.PNG : DATA_TYPE.JPEG;
+      added.push(encodeItem('covr', dataType, data));
+    }
+  }
+
+  const kept = items
+    .filter(item => !replaced.has(item.type))
+    .map(item => bytes.subarray(item.offset, item.offset + item.size));
+
+  return encodeAtom('ilst', [...kept, ...added]);
+};
+
+/**
+ * Rebuild a container with one child replaced, or appended if missing
+ * @param {Uint8Array} bytes - File bytes
+ * @param {Object} container - Container atom
+ * @param {number} extraHeader - Bytes between the header and the children (4 for full boxes)
+ * @param {string} childType - Type of the child to replace
+ * @param {Uint8Array} child - New child bytes
+ * @returns {Uint8Array} Container atom
+ */
+const replaceChild = (bytes, container, extraHeader, childType, child) => {
+  const start = container.offset + container.headerSize;
+  const children = readAtoms(bytes, start + extraHeader, container.offset + container.size);
+  let found = false;
+
+  const parts = children.map(atom => {
+    if (atom.type === childType && !found) {
+      found = true;
+      return child;
+    }
+    return bytes.subarray(atom.offset, atom.offset + atom.size);
+  });
+
+  if (!found) {
+    parts.push(child);
+  }
+
+  return encodeAtom(container.type, [bytes.subarray(start, start + extraHeader), ...parts]);
+};
+
+/**
+ * Find the first child atom of a type
+ * @param {Uint8Array} bytes - Bytes
+ * @param {Object|null} parent - Parent atom
+ * @param {string} type - Child type
+ * @param {number} [extraHeader=0] - Bytes between the parent's header and its children
+ * @returns {Object|null} Child atom
+ */
+const findChild = (bytes, parent, type, extraHeader = 0) => {
+  if (!parent) return null;
+  const start = parent.offset + parent.headerSize + extraHeader;
+  return readAtoms(bytes, start, parent.offset + parent.size).find(atom => atom.type === type) || null;
+};
+
+/**
+ * Shift chunk offsets that point past a position
+ * @param {Uint8Array} moov - moov atom bytes (modified in place)
+ * @param {number} after - File offset past which data moved
+ * @param {number} delta - Number of bytes the data moved
+ */
+const shiftChunkOffsets = (moov, after, delta) => {
+  const visit = (atoms, depth) => {
+    atoms.forEach(atom => {
+      const start = atom.offset + atom.headerSize;
+
+      if (depth < SAMPLE_TABLE_PATH.length && atom.type === SAMPLE_TABLE_PATH[depth]) {
+        visit(readAtoms(moov, start, atom.offset + atom.size), depth + 1);
+        return;
+      }
+
+      if (depth !== SAMPLE_TABLE_PATH.length) return;
+
+      const count = readUint32BE(moov, start + 4);
+
+      if (atom.type === 'stco') {
+        for (let i = 0; i < count; i++) {
+          const position = start + 8 + i * 4;
+          const value = readUint32BE(moov, position);
+          if (value < after) continue;
+
+          const shifted = value + delta;
+          if (shifted > 0xffffffff) {
+            throw new Error('Chunk offsets no longer fit in 32 bits');
+          }
+          moov.set(uint32BE(shifted), position);
+        }
+      } else if (atom.type === 'co64') {
+        for (let i = 0; i < count; i++) {
+          const position = start + 8 + i * 8;
+          const value = readUint32BE(moov, position) * 0x100000000 + readUint32BE(moov, position + 4);
+          if (value < after) continue;
+
+          const shifted = value + delta;
+          moov.set(uint32BE(Math.floor(shifted / 0x100000000)), position);
+          moov.set(uint32BE(shifted % 0x100000000), position + 4);
+        }
+      }
+    });
+  };
+
+  visit(readAtoms(moov, 8, moov.length), 0);
+};
+
+/**
+ * Write tags into an M4A/MP4 file
+ * @param {ArrayBuffer} arrayBuffer - File data
+ * @param {Object} tags - Tag edits (see TAG_WRITE_FIELDS)
+ * @returns {ArrayBuffer} Tagged file data
+ */
+const writeMP4Tags = (arrayBuffer, tags) => {
+  const bytes = new Uint8Array(arrayBuffer);
+  const atoms = readAtoms(bytes, 0, bytes.length);
+
+  if (!atoms.length || atoms[0].type !== 'ftyp') {
+    throw new Error('Not an MP4 file');
+  }
+
+  const moov = atoms.find(atom => atom.type === 'moov');
+  if (!moov) {
+    throw new Error('MP4 file has no moov atom');
+  }
+
+  const udta = findChild(bytes, moov, 'udta');
+  const meta = findChild(bytes, udta, 'meta');
+  const ilst = findChild(bytes, meta, 'ilst', 4);
+
+  const newIlst = buildItemList(bytes, ilst, tags);
+
+  // meta is a full box: version and flags come before its children
+  const newMeta = meta ?
+    replaceChild(bytes, meta, 4, 'ilst', newIlst) :
+    encodeAtom('meta', [
+      uint32BE(0),
+      encodeAtom('hdlr', [uint32BE(0), uint32BE(0), encodeAscii('mdirappl'), new Uint8Array(9)]),
+      newIlst
+    ]);
+
+  const newUdta = udta ?
+    replaceChild(bytes, udta, 0, 'meta', newMeta) :
+    encodeAtom('udta', [newMeta]);
+
+  const newMoov = replaceChild(bytes, moov, 0, 'udta', newUdta);
+
+  const moovEnd = moov.offset + moov.size;
+  const delta = newMoov.length - moov.size;
+  const dataFollows = atoms.some(atom => atom.type === 'mdat' && atom.offset >= moovEnd);
+
+  if (delta !== 0 && dataFollows) {
+    if (atoms.some(atom => atom.type === 'moof')) {
+      throw new Error('Fragmented MP4 files are not supported');
+    }
+
+    shiftChunkOffsets(newMoov, moovEnd, delta);
+  }
+
+  return concatBytes([
+    bytes.subarray(0, moov.offset),
+    newMoov,
+    bytes.subarray(moovEnd)
+  ]).buffer;
+};
+
+export {
+  writeMP4Tags
+};
+
+export default {
+  writeMP4Tags
+};
@@ -0,0 +1,178 @@
+import { describe, it, expect } from 'vitest';
+import { writeMP4Tags } from './MP4TagWriter';
+import { encodeUtf8, encodeAscii, concatBytes, readAscii, readUint32BE, uint32BE } from './TagHelpers';
+
+const COVER = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Three chunks of recognisable sample data
+const CHUNKS = [
+  new Uint8Array(16).fill(0xa1),
+  new Uint8Array(16).fill(0xb2),
+  new Uint8Array(16).fill(0xc3)
+];
+
+const atom = (type, ...parts) => {
+  const body = concatBytes(parts);
+  return concatBytes([uint32BE(8 + body.length), encodeAscii(type), body]);
+};
+
+const item = (type, dataType, value) => atom(type, atom('data', uint32BE(dataType), uint32BE(0), value));
+
+const children = (bytes, start, end) => {
+  const atoms = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    const size = readUint32BE(bytes, offset);
+    atoms.push({ type: readAscii(bytes, offset + 4, 4), offset, size, body: bytes.subarray(offset + 8, offset + size) });
+    offset += size;
+  }
+
+  return atoms;
+};
+
+const find = (bytes, path) => {
+  let atoms = children(bytes, 0, bytes.length);
+  let found = null;
+
+  path.forEach(type => {
+    found = atoms.find(a => a.type === type);
+    if (!found) throw new Error(`Missing ${type}`);
+
+    // meta is a full box
+    const start = found.offset + 8 + (type === 'meta' ? 4 : 0);
+    atoms = children(bytes, start, found.offset + found.size);
+  });
+
+  return { atom: found, children: atoms };
+};
+
+const ILST_PATH = ['moov', 'udta', 'meta', 'ilst'];
+const STBL_PATH = ['moov', 'trak', 'mdia', 'minf', 'stbl'];
+
+const itemText = (items, type) => {
+  const entry = items.find(i => i.type === type);
+  return entry ? new TextDecoder().decode(entry.body.subarray(16)) : undefined;
+};
+
+const itemData = (items, type) => {
+  const entry = items.find(i => i.type === type);
+  return entry ? { dataType: readUint32BE(entry.body, 8), value: entry.body.subarray(16) } : undefined;
+};
+
+/**
+ * Build an M4A file with its chunk offset table, moov in front of or
+ * behind the media data
+ */
+const buildFile = ({ ilst = null, wide = false, moovFirst = true } = {}) => {
+  const ftyp = atom('ftyp', encodeAscii('M4A '), uint32BE(0), encodeAscii('isom'));
+  const mdat = atom('mdat', ...CHUNKS);
+
+  const moovFor = (mdatOffset) => {
+    const offsets = CHUNKS.map((chunk, index) => mdatOffset + 8 + index * 16);
+    const table = wide ?
+      atom('co64', uint32BE(0), uint32BE(offsets.length), ...offsets.flatMap(value => [uint32BE(0), uint32BE(value)])) :
+      atom('stco', uint32BE(0), uint32BE(offsets.length), ...offsets.map(uint32BE));
+
+    const trak = atom('trak', atom('mdia', atom('minf', atom('stbl', atom('stsz', new Uint8Array(12)), table))));
+    const udta = ilst ?
+      [atom('udta', atom('meta', uint32BE(0), atom('hdlr', new Uint8Array(25)), ilst))] :
+      [];
+
+    return atom('moov', atom('mvhd', new Uint8Array(100)), trak, ...udta);
+  };
+
+  if (moovFirst) {
+    // moov's size does not depend on the offsets it holds
+    const size = moovFor(0).length;
+    return concatBytes([ftyp, moovFor(ftyp.length + size), mdat]);
+  }
+
+  return concatBytes([ftyp, mdat, moovFor(ftyp.length)]);
+};
+
+const chunkOffsets = (bytes) => {
+  const { children: tables } = find(bytes, STBL_PATH);
+  const table = tables.find(t => t.type === 'stco' || t.type === 'co64');
+  const count = readUint32BE(table.body, 4);
+
+  return Array.from({ length: count }, (value, index) => (table.type === 'co64' ?
+    readUint32BE(table.body, 8 + index * 8) * 0x100000000 + readUint32BE(table.body, 12 + index * 8) :
+    readUint32BE(table.body, 8 + index * 4)));
+};
+
+const expectChunksInPlace = (bytes) => {
+  chunkOffsets(bytes).forEach((offset, index) => {
+    expect(bytes.subarray(offset, offset + 16)).toEqual(CHUNKS[index]);
+  });
+};
+
+const write = (file, tags) => new Uint8Array(writeMP4Tags(file.slice().buffer, tags));
+
+describe('writeMP4Tags', () => {
+  it('creates the metadata containers and shifts stco offsets', () => {
+    const file = buildFile();
+    const output = write(file, {
+      title: 'Title',
+      artist: 'Artist',
+      track: 2,
+      trackTotal: 10,
+      bpm: 124,
+      picture: { data: COVER, format: 'image/png' }
+    });
+
+    const { children: items } = find(output, ILST_PATH);
+    expect(itemText(items, '©nam')).toBe('Title');
+    expect(itemText(items, '©ART')).toBe('Artist');
+    expect(Array.from(itemData(items, 'trkn').value)).toEqual([0, 0, 0, 2, 0, 10, 0, 0]);
+    expect(Array.from(itemData(items, 'tmpo').value)).toEqual([0, 124]);
+    expect(itemData(items, 'covr').dataType).toBe(14);
+    expect(itemData(items, 'covr').value).toEqual(COVER);
+
+    expect(output.length).toBeGreaterThan(file.length);
+    expectChunksInPlace(output);
+  });
+
+  it('keeps unedited items and shifts co64 offsets', () => {
+    const ilst = atom('ilst',
+      item('©nam', 1, encodeUtf8('Old')),
+      item('©alb', 1, encodeUtf8('Album')),
+      item('disk', 0, new Uint8Array([0, 0, 0, 1, 0, 2])),
+      item('gnre', 0, new Uint8Array([0, 18]))
+    );
+    const file = buildFile({ ilst, wide: true });
+    const output = write(file, { title: 'A much longer title', genre: 'Rock', discNumber: 2 });
+
+    const { children: items } = find(output, ILST_PATH);
+    expect(itemText(items, '©nam')).toBe('A much longer title');
+    expect(itemText(items, '©alb')).toBe('Album');
+    expect(itemText(items, '©gen')).toBe('Rock');
+    expect(itemData(items, 'gnre')).toBeUndefined();
+    expect(Array.from(itemData(items, 'disk').value)).toEqual([0, 0, 0, 2, 0, 2]);
+
+    expectChunksInPlace(output);
+  });
+
+  it('leaves offsets alone when moov follows the media data', () => {
+    const file = buildFile({ moovFirst: false });
+    const output = write(file, { album: 'Album' });
+
+    expect(chunkOffsets(output)).toEqual(chunkOffsets(file));
+    expectChunksInPlace(output);
+    expect(itemText(find(output, ILST_PATH).children, '©alb')).toBe('Album');
+  });
+
+  it('removes items cleared by the edit', () => {
+    const ilst = atom('ilst', item('©nam', 1, encodeUtf8('Title')), item('©day', 1, encodeUtf8('1999')));
+    const output = write(buildFile({ ilst }), { year: null });
+    const { children: items } = find(output, ILST_PATH);
+
+    expect(itemText(items, '©day')).toBeUndefined();
+    expect(itemText(items, '©nam')).toBe('Title');
+    expectChunksInPlace(output);
+  });
+
+  it('rejects files that are not MP4', () => {
+    expect(() => write(new Uint8Array(16), { title: 'x' })).toThrow('Not an MP4 file');
+  });
+});
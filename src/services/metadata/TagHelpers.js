@@ -0,0 +1,229 @@
+/**
+ * TagHelpers.js
+ * Byte-level helpers shared by the tag readers and writers
+ */
+
+const utf8Encoder = new TextEncoder();
+const latin1Decoder = new TextDecoder('latin1');
+const strictUtf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Tag fields the writers understand. A field left undefined is kept as it is
+ * in the file; null or an empty string removes it.
+ *   title, artist, album, genre - strings
+ *   year, track, trackTotal, discNumber, discTotal, bpm - numbers
+ *   picture - { data: ArrayBuffer|Uint8Array, format: 'image/jpeg'|'image/png', description }
+ */
+const TAG_WRITE_FIELDS = [
+  'title',
+  'artist',
+  'album',
+  'genre',
+  'year',
+  'track',
+  'trackTotal',
+  'discNumber',
+  'discTotal',
+  'bpm',
+  'picture'
+];
+
+/**
+ * Check whether an edit touches a field
+ * @param {Object} tags - Tag edits
+ * @param {string} field - Field name
+ * @returns {boolean} True if the field is to be set or removed
+ */
+const hasField = (tags, field) => tags[field] !== undefined;
+
+/**
+ * Check whether an edit removes a field
+ * @param {*} value - Edited value
+ * @returns {boolean} True if the value clears the field
+ */
+const isEmptyValue = (value) => value === null || value === '';
+
+/**
+ * Text for a field, or null if the edit clears it
+ * @param {*} value - Edited value
+ * @returns {string|null} Text value
+ */
+const fieldText = (value) => {
+  if (isEmptyValue(value) || value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? String(Math.round(value)) : null;
+  return String(value).trim() || null;
+};
+
+/**
+ * Positive integer for a numeric field, or null
+ * @param {*} value - Edited value
+ * @returns {number|null} Integer value
+ */
+const fieldNumber = (value) => {
+  const number = typeof value === 'number' ? value : parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? Math.round(number) : null;
+};
+
+/**
+ * Picture bytes of an edit
+ * @param {Object} picture - { data, format, description }
+ * @returns {Uint8Array|null} Image bytes
+ */
+const pictureBytes = (picture) => {
+  if (!picture || !picture.data) return null;
+  return picture.data instanceof Uint8Array ? picture.data : new Uint8Array(picture.data);
+};
+
+/**
+ * Encode a string as UTF-8
+ * @param {string} text - Text
+ * @returns {Uint8Array} Bytes
+ */
+const encodeUtf8 = (text) => utf8Encoder.encode(text);
+
+/**
+ * Decode bytes as Latin-1, used for four-character codes
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Start offset
+ * @param {number} length - Number of bytes
+ * @returns {string} Decoded text
+ */
+const readAscii = (bytes, offset, length) => latin1Decoder.decode(bytes.subarray(offset, offset + length));
+
+/**
+ * Decode a text field of a chunk: up to the first NUL, as UTF-8 when the
+ * bytes are valid UTF-8 and as Latin-1 otherwise
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Start offset
+ * @param {number} length - Maximum number of bytes
+ * @returns {string} Trimmed text
+ */
+const readText = (bytes, offset, length) => {
+  const field = bytes.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  const text = end === -1 ? field : field.subarray(0, end);
+
+  try {
+    return strictUtf8Decoder.decode(text).trim();
+  } catch (error) {
+    return latin1Decoder.decode(text).trim();
+  }
+};
+
+/**
+ * Encode a four-character code
+ * @param {string} code - Code such as 'moov'
+ * @returns {Uint8Array} Bytes
+ */
+const encodeAscii = (code) => {
+  const bytes = new Uint8Array(code.length);
+  for (let i = 0; i < code.length; i++) {
+    bytes[i] = code.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+};
+
+/**
+ * Join byte arrays
+ * @param {Array<Uint8Array>} parts - Byte arrays
+ * @returns {Uint8Array} Joined bytes
+ */
+const concatBytes = (parts) => {
+  const length = parts.reduce((total, part) => total + part.length, 0);
+  const result = new Uint8Array(length);
+  let offset = 0;
+
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+
+  return result;
+};
+
+/**
+ * Read a big-endian unsigned 32-bit integer
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Offset
+ * @returns {number} Value
+ */
+const readUint32BE = (bytes, offset) =>
+  ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+
+/**
+ * Read a little-endian unsigned 32-bit integer
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Offset
+ * @returns {number} Value
+ */
+const readUint32LE = (bytes, offset) =>
+  bytes[offset] + (bytes[offset + 1] << 8) + (bytes[offset + 2] << 16) + ((bytes[offset + 3] << 24) >>> 0);
+
+/**
+ * Big-endian unsigned 32-bit integer as bytes
+ * @param {number} value - Value
+ * @returns {Uint8Array} Four bytes
+ */
+const uint32BE = (value) => new Uint8Array([
+  (value >>> 24) & 0xff,
+  (value >>> 16) & 0xff,
+  (value >>> 8) & 0xff,
+  value & 0xff
+]);
+
+/**
+ * Little-endian unsigned 32-bit integer as bytes
+ * @param {number} value - Value
+ * @returns {Uint8Array} Four bytes
+ */
+const uint32LE = (value) => new Uint8Array([
+  value & 0xff,
+  (value >>> 8) & 0xff,
+  (value >>> 16) & 0xff,
+  (value >>> 24) & 0xff
+]);
+
+/**
+ * Build a FLAC picture block body, the form used both by FLAC PICTURE
+ * blocks and by the METADATA_BLOCK_PICTURE comment in Ogg files
+ * @param {Object} picture - { data, format, description }
+ * @returns {Uint8Array} Block body
+ */
+const buildFlacPicture = (picture) => {
+  const data = pictureBytes(picture);
+  const mime = encodeAscii(picture.format || 'image/jpeg');
+  const description = encodeUtf8(picture.description || '');
+
+  return concatBytes([
+    uint32BE(3), // Front cover
+    uint32BE(mime.length),
+    mime,
+    uint32BE(description.length),
+    description,
+    uint32BE(0), // Width, height, depth and palette size are optional
+    uint32BE(0),
+    uint32BE(0),
+    uint32BE(0),
+    uint32BE(data.length),
+    data
+  ]);
+};
+
+export {
+  TAG_WRITE_FIELDS,
+  hasField,
+  isEmptyValue,
+  fieldText,
+  fieldNumber,
+  pictureBytes,
+  encodeUtf8,
+  readAscii,
+  readText,
+  encodeAscii,
+  concatBytes,
+  readUint32BE,
+  readUint32LE,
+  uint32BE,
+  uint32LE,
+  buildFlacPicture
+};
@@ -0,0 +1,508 @@
+/**
+ * VorbisCommentWriter.js
+ * Writes Vorbis comments into FLAC files (the VORBIS_COMMENT metadata
+ * block, with the cover in a PICTURE block) and into Ogg Vorbis and Ogg
+ * Opus files (the comment header packet, with the cover in a
+ * METADATA_BLOCK_PICTURE comment). Comments that are not edited are kept.
+ */
+
+import {
+  hasField,
+  fieldText,
+  fieldNumber,
+  pictureBytes,
+  encodeUtf8,
+  readAscii,
+  encodeAscii,
+  concatBytes,
+  readUint32BE,
+  readUint32LE,
+  uint32LE,
+  buildFlacPicture
+} from './TagHelpers';
+
+// Comment names for each edited field; the first is written, all are replaced
+const COMMENT_FIELDS = {
+  title: ['TITLE'],
+  artist: ['ARTIST'],
+  album: ['ALBUM'],
+  genre: ['GENRE'],
+  year: ['DATE', 'YEAR'],
+  track: ['TRACKNUMBER'],
+  trackTotal: ['TRACKTOTAL', 'TOTALTRACKS'],
+  discNumber: ['DISCNUMBER'],
+  discTotal: ['DISCTOTAL', 'TOTALDISCS'],
+  bpm: ['BPM']
+};
+
+const NUMERIC_FIELDS = ['track', 'trackTotal', 'discNumber', 'discTotal'];
+
+const PICTURE_COMMENTS = ['METADATA_BLOCK_PICTURE', 'COVERART', 'COVERARTMIME'];
+
+const FLAC_BLOCK = {
+  STREAMINFO: 0,
+  PADDING: 1,
+  VORBIS_COMMENT: 4,
+  PICTURE: 6
+};
+
+const DEFAULT_PADDING = 4096;
+const MAX_FLAC_BLOCK_SIZE = 0xffffff;
+
+const utf8Decoder = new TextDecoder('utf-8');
+
+/**
+ * Parse a Vorbis comment list
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Offset of the vendor length
+ * @returns {Object} - { vendor, comments }
+ */
+const readComments = (bytes, offset) => {
+  const vendorLength = readUint32LE(bytes, offset);
+  const vendor = utf8Decoder.decode(bytes.subarray(offset + 4, offset + 4 + vendorLength));
+  let position = offset + 4 + vendorLength;
+
+  const count = readUint32LE(bytes, position);
+  position += 4;
+
+  const comments = [];
+
+  for (let i = 0; i < count && position + 4 <= bytes.length; i++) {
+    const length = readUint32LE(bytes, position);
+    comments.push(utf8Decoder.decode(bytes.subarray(position + 4, position + 4 + length)));
+    position += 4 + length;
+  }
+
+  return { vendor, comments };
+};
+
+/**
+ * Encode a Vorbis comment list
+ * @param {string} vendor - Vendor string
+ * @param {Array<string>} comments - "NAME=value" comments
+ * @returns {Uint8Array} Bytes
+ */
+const encodeComments = (vendor, comments) => {
+  const vendorBytes = encodeUtf8(vendor);
+  const parts = [uint32LE(vendorBytes.length), vendorBytes, uint32LE(comments.length)];
+
+  comments.forEach(comment => {
+    const bytes = encodeUtf8(comment);
+    parts.push(uint32LE(bytes.length), bytes);
+  });
+
+  return concatBytes(parts);
+};
+
+/**
+ * Apply edits to a comment list
+ * @param {Array<string>} comments - Existing comments
+ * @param {Object} tags - Tag edits
+ * @param {boolean} pictureComment - Whether the cover is kept as a comment (Ogg)
+ * @returns {Array<string>} Updated comments
+ */
+const updateComments = (comments, tags, pictureComment) => {
+  const replaced = new Set();
+  const added = [];
+
+  Object.entries(COMMENT_FIELDS).forEach(([field, names]) => {
+    if (!hasField(tags, field)) return;
+
+    names.forEach(name => replaced.add(name));
+
+    const value = NUMERIC_FIELDS.includes(field) ? fieldNumber(tags[field]) : fieldText(tags[field]);
+    if (value) {
+      added.push(`${names[0]}=${value}`);
+    }
+  });
+
+  if (pictureComment && hasField(tags, 'picture')) {
+    PICTURE_COMMENTS.forEach(name => replaced.add(name));
+
+    if (pictureBytes(tags.picture)) {
+      const block = buildFlacPicture(tags.picture);
+      added.push(`METADATA_BLOCK_PICTURE=${bytesToBase64(block)}`);
+    }
+  }
+
+  const kept = comments.filter(comment => {
+    const name = comment.split('=')[0].toUpperCase();
+    return !replaced.has(name);
+  });
+
+  return [...kept, ...added];
+};
+
+/**
+ * Base64-encode bytes
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64 text
+ */
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  const chunkSize = 0x8000;
+
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+
+  return btoa(binary);
+};
+
+// --- FLAC ---
+
+/**
+ * Encode a FLAC metadata block
+ * @param {number} type - Block type
+ * @param {Uint8Array} body - Block body
+ * @param {boolean} isLast - Whether this is the last metadata block
+ * @returns {Uint8Array} Block bytes
+ */
+const encodeFlacBlock = (type, body, isLast) => {
+  if (body.length > MAX_FLAC_BLOCK_SIZE) {
+    throw new Error('FLAC metadata block is too large');
+  }
+
+  return concatBytes([
+    new Uint8Array([
+      (isLast ? 0x80 : 0) | type,
+      (body.length >>> 16) & 0xff,
+      (body.length >>> 8) & 0xff,
+      body.length & 0xff
+    ]),
+    body
+  ]);
+};
+
+/**
+ * Write tags into a FLAC file
+ * @param {ArrayBuffer} arrayBuffer - File data
+ * @param {Object} tags - Tag edits (see TAG_WRITE_FIELDS)
+ * @returns {ArrayBuffer} Tagged file data
+ */
+const writeFlacTags = (arrayBuffer, tags) => {
+  const bytes = new Uint8Array(arrayBuffer);
+
+  if (readAscii(bytes, 0, 4) !== 'fLaC') {
+    throw new Error('Not a FLAC file');
+  }
+
+  // Read the metadata blocks
+  const blocks = [];
+  let offset = 4;
+  let isLast = false;
+
+  while (!isLast && offset + 4 <= bytes.length) {
+    isLast = (bytes[offset] & 0x80) !== 0;
+    const type = bytes[offset] & 0x7f;
+    const length = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+
+    blocks.push({ type, body: bytes.subarray(offset + 4, offset + 4 + length) });
+    offset += 4 + length;
+  }
+
+  const audioOffset = offset;
+
+  const commentBlock = blocks.find(block => block.type === FLAC_BLOCK.VORBIS_COMMENT);
+  const { vendor, comments } = commentBlock ?
+    readComments(commentBlock.body, 0) :
+    { vendor: 'audiocore', comments: [] };
+
+  const newComments = encodeComments(vendor, updateComments(comments, tags, false));
+
+  // Drop the old comments and padding, and the front cover when replacing it
+  const replacePicture = hasField(tags, 'picture');
+  const kept = blocks.filter(block => {
+    if (block.type === FLAC_BLOCK.VORBIS_COMMENT || block.type === FLAC_BLOCK.PADDING) return false;
+    if (replacePicture && block.type === FLAC_BLOCK.PICTURE) return readUint32BE(block.body, 0) !== 3;
+    return true;
+  });
+
+  // STREAMINFO stays first
+  const newBlocks = [
+    kept[0],
+    { type: FLAC_BLOCK.VORBIS_COMMENT, body: newComments },
+    ...kept.slice(1)
+  ];
+
+  if (replacePicture && pictureBytes(tags.picture)) {
+    newBlocks.push({ type: FLAC_BLOCK.PICTURE, body: buildFlacPicture(tags.picture) });
+  }
+
+  // Fill the old metadata space with padding when the new blocks fit
+  const metadataLength = newBlocks.reduce((total, block) => total + 4 + block.body.length, 0);
+  const available = audioOffset - 4 - metadataLength - 4;
+  const padding = available >= 0 ? available : DEFAULT_PADDING;
+
+  newBlocks.push({ type: FLAC_BLOCK.PADDING, body: new Uint8Array(padding) });
+
+  const encoded = newBlocks.map((block, index) =>
+    encodeFlacBlock(block.type, block.body, index === newBlocks.length - 1)
+  );
+
+  return concatBytes([
+    encodeAscii('fLaC'),
+    ...encoded,
+    bytes.subarray(audioOffset)
+  ]).buffer;
+};
+
+// --- Ogg ---
+
+let crcTable = null;
+
+/**
+ * Ogg page checksum (CRC-32, polynomial 0x04C11DB7, not reflected)
+ * @param {Uint8Array} bytes - Page bytes with the checksum field zeroed
+ * @returns {number} Checksum
+ */
+const oggChecksum = (bytes) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+
+    for (let i = 0; i < 256; i++) {
+      let r = i << 24;
+      for (let k = 0; k < 8; k++) {
+        r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+      }
+      crcTable[i] = r >>> 0;
+    }
+  }
+
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = ((crc << 8) ^ crcTable[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+  }
+
+  return crc;
+};
+
+/**
+ * Parse the Ogg page at an offset
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} offset - Page offset
+ * @returns {Object|null} - { offset, length, type, serial, segments, dataOffset } or null
+ */
+const readPage = (bytes, offset) => {
+  if (offset + 27 > bytes.length || readAscii(bytes, offset, 4) !== 'OggS') {
+    return null;
+  }
+
+  const segmentCount = bytes[offset + 26];
+  const segments = bytes.subarray(offset + 27, offset + 27 + segmentCount);
+  const dataLength = segments.reduce((total, value) => total + value, 0);
+  const dataOffset = offset + 27 + segmentCount;
+
+  return {
+    offset,
+    length: dataOffset - offset + dataLength,
+    type: bytes[offset + 5],
+    serial: readUint32LE(bytes, offset + 14),
+    segments,
+    dataOffset
+  };
+};
+
+/**
+ * Encode an Ogg page
+ * @param {Object} options - { type, granule (null for none), serial, sequence, segments, data }
+ * @returns {Uint8Array} Page bytes
+ */
+const encodePage = ({ type, granule, serial, sequence, segments, data }) => {
+  const page = new Uint8Array(27 + segments.length + data.length);
+
+  page.set(encodeAscii('OggS'), 0);
+  page[4] = 0;
+  page[5] = type;
+
+  // A page on which no packet ends carries a granule position of -1
+  if (granule === null) {
+    page.fill(0xff, 6, 14);
+  } else {
+    page.set(uint32LE(granule), 6);
+  }
+
+  page.set(uint32LE(serial), 14);
+  page.set(uint32LE(sequence), 18);
+  page[26] = segments.length;
+  page.set(segments, 27);
+  page.set(data, 27 + segments.length);
+  page.set(uint32LE(oggChecksum(page)), 22);
+
+  return page;
+};
+
+/**
+ * Lay packets out on pages
+ * @param {Array<Uint8Array>} packets - Packets
+ * @param {number} serial - Stream serial number
+ * @param {number} firstSequence - Sequence number of the first page
+ * @returns {Array<Uint8Array>} Pages
+ */
+const paginate = (packets, serial, firstSequence) => {
+  const pages = [];
+  let segments = [];
+  let chunks = [];
+  let continued = false;
+  let packetEnded = false;
+
+  const flush = () => {
+    pages.push(encodePage({
+      type: continued ? 0x01 : 0,
+      granule: packetEnded ? 0 : null,
+      serial,
+      sequence: firstSequence + pages.length,
+      segments: new Uint8Array(segments),
+      data: concatBytes(chunks)
+    }));
+    segments = [];
+    chunks = [];
+    packetEnded = false;
+  };
+
+  packets.forEach(packet => {
+    let position = 0;
+
+    // A packet of a multiple of 255 bytes ends with a zero-length segment
+    for (;;) {
+      if (segments.length === 255) {
+        flush();
+        continued = position > 0;
+      }
+
+      const size = Math.min(255, packet.length - position);
+      segments.push(size);
+      chunks.push(packet.subarray(position, position + size));
+      position += size;
+
+      if (size < 255) break;
+    }
+
+    packetEnded = true;
+  });
+
+  if (segments.length > 0) {
+    flush();
+  }
+
+  return pages;
+};
+
+/**
+ * Write tags into an Ogg Vorbis or Ogg Opus file
+ * @param {ArrayBuffer} arrayBuffer - File data
+ * @param {Object} tags - Tag edits (see TAG_WRITE_FIELDS)
+ * @returns {ArrayBuffer} Tagged file data
+ */
+const writeOggTags = (arrayBuffer, tags) => {
+  const bytes = new Uint8Array(arrayBuffer);
+  const first = readPage(bytes, 0);
+
+  if (!first) {
+    throw new Error('Not an Ogg file');
+  }
+
+  const { serial } = first;
+  const firstPacket = bytes.subarray(first.dataOffset, first.dataOffset + 8);
+
+  let codec;
+  if (readAscii(firstPacket, 1, 6) === 'vorbis') {
+    codec = { headerCount: 3, prefix: concatBytes([new Uint8Array([3]), encodeAscii('vorbis')]), framingBit: true };
+  } else if (readAscii(firstPacket, 0, 8) === 'OpusHead') {
+    codec = { headerCount: 2, prefix: encodeAscii('OpusTags'), framingBit: false };
+  } else {
+    throw new Error('Unsupported Ogg codec');
+  }
+
+  // The identification header has the first page to itself
+  const firstEnds = Array.from(first.segments).filter(size => size < 255).length;
+  if (firstEnds !== 1 || first.segments[first.segments.length - 1] === 255) {
+    throw new Error('Unexpected Ogg identification page');
+  }
+
+  // Collect the header packets of the stream
+  const packets = [];
+  let current = [];
+  let offset = 0;
+  let headerPages = 0;
+
+  while (packets.length < codec.headerCount) {
+    const page = readPage(bytes, offset);
+    if (!page) {
+      throw new Error('Truncated Ogg headers');
+    }
+
+    offset += page.length;
+    if (page.serial !== serial) {
+      throw new Error('Multiplexed Ogg streams are not supported');
+    }
+
+    headerPages++;
+    let position = page.dataOffset;
+
+    page.segments.forEach(size => {
+      current.push(bytes.subarray(position, position + size));
+      position += size;
+
+      if (size < 255) {
+        packets.push(concatBytes(current));
+        current = [];
+      }
+    });
+
+    if (packets.length >= codec.headerCount && current.length > 0) {
+      throw new Error('Ogg headers do not end on a page boundary');
+    }
+  }
+
+  // Rebuild the comment packet
+  const commentPacket = packets[1];
+  const { vendor, comments } = readComments(commentPacket, codec.prefix.length);
+  const newComments = encodeComments(vendor, updateComments(comments, tags, true));
+
+  const newCommentPacket = concatBytes([
+    codec.prefix,
+    newComments,
+    codec.framingBit ? new Uint8Array([1]) : new Uint8Array(0)
+  ]);
+
+  // The first page keeps the identification header; the rest are laid out again
+  const newHeaderPages = paginate([newCommentPacket, ...packets.slice(2)], serial, 1);
+  const sequenceShift = 1 + newHeaderPages.length - headerPages;
+
+  const rest = bytes.slice(offset);
+
+  if (sequenceShift !== 0) {
+    let position = 0;
+
+    while (position < rest.length) {
+      const page = readPage(rest, position);
+      if (!page) break;
+
+      if (page.serial === serial) {
+        const sequence = readUint32LE(rest, position + 18) + sequenceShift;
+        rest.set(uint32LE(sequence), position + 18);
+        rest.fill(0, position + 22, position + 26);
+        rest.set(uint32LE(oggChecksum(rest.subarray(position, position + page.length))), position + 22);
+      }
+
+      position += page.length;
+    }
+  }
+
+  return concatBytes([
+    bytes.subarray(0, first.length),
+    ...newHeaderPages,
+    rest
+  ]).buffer;
+};
+
+export {
+  writeFlacTags,
+  writeOggTags
+};
+
+export default {
+  writeFlacTags,
+  writeOggTags
+};
@@ -0,0 +1,284 @@
+import { describe, it, expect } from 'vitest';
+import { writeFlacTags, writeOggTags } from './VorbisCommentWriter';
+import {
+  encodeUtf8,
+  encodeAscii,
+  concatBytes,
+  readAscii,
+  readUint32BE,
+  readUint32LE,
+  uint32LE
+} from './TagHelpers';
+
+const AUDIO = new Uint8Array([0xff, 0xf8, 0x69, 0x08, 0x00, 0x12, 0x34, 0x56]);
+
+// A cover large enough to spread the Ogg comment packet over several pages
+const COVER = new Uint8Array(70000).map((value, index) => (index * 31) & 0xff);
+
+const comments = (vendor, list) => concatBytes([
+  uint32LE(encodeUtf8(vendor).length),
+  encodeUtf8(vendor),
+  uint32LE(list.length),
+  ...list.flatMap(comment => [uint32LE(encodeUtf8(comment).length), encodeUtf8(comment)])
+]);
+
+const readCommentList = (bytes, offset) => {
+  const decoder = new TextDecoder();
+  const vendorLength = readUint32LE(bytes, offset);
+  const vendor = decoder.decode(bytes.subarray(offset + 4, offset + 4 + vendorLength));
+  let position = offset + 4 + vendorLength;
+  const count = readUint32LE(bytes, position);
+  position += 4;
+
+  const list = [];
+  for (let i = 0; i < count; i++) {
+    const length = readUint32LE(bytes, position);
+    list.push(decoder.decode(bytes.subarray(position + 4, position + 4 + length)));
+    position += 4 + length;
+  }
+
+  return { vendor, comments: list, end: position };
+};
+
+const readPictureBlock = (body) => {
+  const mimeLength = readUint32BE(body, 4);
+  const mime = readAscii(body, 8, mimeLength);
+  let offset = 8 + mimeLength;
+  offset += 4 + readUint32BE(body, offset) + 16;
+  const length = readUint32BE(body, offset);
+
+  return { type: readUint32BE(body, 0), mime, data: body.subarray(offset + 4, offset + 4 + length) };
+};
+
+describe('writeFlacTags', () => {
+  const block = (type, body, isLast = false) => concatBytes([
+    new Uint8Array([(isLast ? 0x80 : 0) | type, body.length >>> 16, (body.length >>> 8) & 0xff, body.length & 0xff]),
+    body
+  ]);
+
+  const readBlocks = (bytes) => {
+    const blocks = [];
+    let offset = 4;
+    let isLast = false;
+
+    while (!isLast) {
+      isLast = (bytes[offset] & 0x80) !== 0;
+      const length = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+      blocks.push({ type: bytes[offset] & 0x7f, isLast, body: bytes.subarray(offset + 4, offset + 4 + length) });
+      offset += 4 + length;
+    }
+
+    return { blocks, audio: bytes.subarray(offset) };
+  };
+
+  const streamInfo = new Uint8Array(34).fill(7);
+
+  const flacFile = (padding) => concatBytes([
+    encodeAscii('fLaC'),
+    block(0, streamInfo),
+    block(4, comments('reference libFLAC', ['TITLE=Old', 'ARTIST=Someone', 'COMMENT=keep me'])),
+    block(1, new Uint8Array(padding), true),
+    AUDIO
+  ]);
+
+  it('replaces edited comments and keeps the others', () => {
+    const file = flacFile(1024);
+    const output = new Uint8Array(writeFlacTags(file.slice().buffer, { title: 'New', artist: null, track: 3 }));
+    const { blocks, audio } = readBlocks(output);
+
+    expect(blocks[0].type).toBe(0);
+    expect(Array.from(blocks[0].body)).toEqual(Array.from(streamInfo));
+
+    const commentBlock = blocks.find(b => b.type === 4);
+    const { vendor, comments: list } = readCommentList(commentBlock.body, 0);
+    expect(vendor).toBe('reference libFLAC');
+    expect(list).toEqual(['COMMENT=keep me', 'TITLE=New', 'TRACKNUMBER=3']);
+
+    // The new blocks fit in the old metadata space
+    expect(output.length).toBe(file.length);
+    expect(blocks[blocks.length - 1].type).toBe(1);
+    expect(blocks.filter(b => b.isLast)).toHaveLength(1);
+    expect(Array.from(audio)).toEqual(Array.from(AUDIO));
+  });
+
+  it('adds a front cover PICTURE block', () => {
+    const file = flacFile(0);
+    const output = new Uint8Array(writeFlacTags(file.slice().buffer, {
+      picture: { data: COVER, format: 'image/png' }
+    }));
+    const { blocks, audio } = readBlocks(output);
+    const picture = readPictureBlock(blocks.find(b => b.type === 6).body);
+
+    expect(picture.type).toBe(3);
+    expect(picture.mime).toBe('image/png');
+    expect(picture.data).toEqual(COVER);
+    expect(Array.from(audio)).toEqual(Array.from(AUDIO));
+  });
+});
+
+describe('writeOggTags', () => {
+  const SERIAL = 0x1234abcd;
+
+  // CRC-32 with polynomial 0x04C11DB7, not reflected, as Ogg uses
+  const checksum = (bytes) => {
+    let crc = 0;
+    for (const byte of bytes) {
+      crc ^= byte << 24;
+      for (let k = 0; k < 8; k++) {
+        crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+      }
+    }
+    return crc >>> 0;
+  };
+
+  const page = ({ type = 0, granule = 0, sequence, packets }) => {
+    const segments = packets.flatMap(packet => {
+      const sizes = new Array(Math.floor(packet.length / 255)).fill(255);
+      return [...sizes, packet.length % 255];
+    });
+    const data = concatBytes(packets);
+    const bytes = concatBytes([
+      encodeAscii('OggS'),
+      new Uint8Array([0, type]),
+      uint32LE(granule),
+      uint32LE(0),
+      uint32LE(SERIAL),
+      uint32LE(sequence),
+      uint32LE(0),
+      new Uint8Array([segments.length]),
+      new Uint8Array(segments),
+      data
+    ]);
+    bytes.set(uint32LE(checksum(bytes)), 22);
+    return bytes;
+  };
+
+  const readPages = (bytes) => {
+    const pages = [];
+    let offset = 0;
+
+    while (offset < bytes.length) {
+      expect(readAscii(bytes, offset, 4)).toBe('OggS');
+      const count = bytes[offset + 26];
+      const segments = Array.from(bytes.subarray(offset + 27, offset + 27 + count));
+      const length = 27 + count + segments.reduce((total, size) => total + size, 0);
+      const raw = bytes.slice(offset, offset + length);
+
+      const stored = readUint32LE(raw, 22);
+      raw.fill(0, 22, 26);
+
+      pages.push({
+        type: bytes[offset + 5],
+        granule: Array.from(bytes.subarray(offset + 6, offset + 14)),
+        sequence: readUint32LE(bytes, offset + 18),
+        checksumValid: stored === checksum(raw),
+        segments,
+        data: bytes.subarray(offset + 27 + count, offset + length)
+      });
+      offset += length;
+    }
+
+    return pages;
+  };
+
+  const readPackets = (pages) => {
+    const packets = [];
+    let current = [];
+
+    pages.forEach(({ segments, data }) => {
+      let position = 0;
+      segments.forEach(size => {
+        current.push(data.subarray(position, position + size));
+        position += size;
+        if (size < 255) {
+          packets.push(concatBytes(current));
+          current = [];
+        }
+      });
+    });
+
+    return packets;
+  };
+
+  const vorbisHeader = (type, body) => concatBytes([new Uint8Array([type]), encodeAscii('vorbis'), body]);
+
+  const identification = vorbisHeader(1, new Uint8Array(23).fill(1));
+  const setup = vorbisHeader(5, new Uint8Array(600).map((value, index) => index & 0xff));
+  const audioPackets = [new Uint8Array(300).fill(9), new Uint8Array(40).fill(8)];
+
+  const oggFile = () => concatBytes([
+    page({ type: 0x02, sequence: 0, packets: [identification] }),
+    page({
+      sequence: 1,
+      packets: [
+        vorbisHeader(3, concatBytes([comments('Xiph.Org libVorbis', ['TITLE=Old', 'ALBUM=Kept']), new Uint8Array([1])])),
+        setup
+      ]
+    }),
+    page({ granule: 1024, sequence: 2, packets: [audioPackets[0]] }),
+    page({ type: 0x04, granule: 2048, sequence: 3, packets: [audioPackets[1]] })
+  ]);
+
+  it('keeps a small comment packet on one page', () => {
+    const output = new Uint8Array(writeOggTags(oggFile().buffer, { title: 'New' }));
+    const pages = readPages(output);
+
+    expect(pages.map(p => p.sequence)).toEqual([0, 1, 2, 3]);
+    expect(pages.every(p => p.checksumValid)).toBe(true);
+
+    const packets = readPackets(pages);
+    const { comments: list } = readCommentList(packets[1], 7);
+    expect(list).toEqual(['ALBUM=Kept', 'TITLE=New']);
+    expect(packets[2]).toEqual(setup);
+  });
+
+  it('lays a large comment packet over new pages and renumbers the stream', () => {
+    const output = new Uint8Array(writeOggTags(oggFile().buffer, {
+      artist: 'Artist',
+      picture: { data: COVER, format: 'image/jpeg' }
+    }));
+    const pages = readPages(output);
+
+    // Sequence numbers stay contiguous, and every page checksum matches
+    expect(pages.length).toBeGreaterThan(4);
+    expect(pages.map(p => p.sequence)).toEqual(pages.map((p, index) => index));
+    expect(pages.every(p => p.checksumValid)).toBe(true);
+
+    // Pages that carry on a packet are flagged; pages on which no packet ends have no granule position
+    const headerPages = pages.slice(1, -2);
+    headerPages.slice(1).forEach(p => expect(p.type & 0x01).toBe(1));
+    headerPages
+      .filter(p => p.segments.every(size => size === 255))
+      .forEach(p => expect(p.granule).toEqual(new Array(8).fill(0xff)));
+
+    const packets = readPackets(pages);
+    expect(packets).toHaveLength(5);
+    expect(packets[0]).toEqual(identification);
+    expect(packets[2]).toEqual(setup);
+    expect(packets.slice(3)).toEqual(audioPackets);
+
+    // Comment header: type, "vorbis", comments, framing bit
+    const commentPacket = packets[1];
+    expect(commentPacket[0]).toBe(3);
+    const { vendor, comments: list, end } = readCommentList(commentPacket, 7);
+    expect(vendor).toBe('Xiph.Org libVorbis');
+    expect(commentPacket[end]).toBe(1);
+    expect(list.slice(0, 3)).toEqual(['TITLE=Old', 'ALBUM=Kept', 'ARTIST=Artist']);
+
+    const pictureComment = list[3];
+    expect(pictureComment.startsWith('METADATA_BLOCK_PICTURE=')).toBe(true);
+
+    const block = Uint8Array.from(atob(pictureComment.split('=')[1]), c => c.charCodeAt(0));
+    const picture = readPictureBlock(block);
+    expect(picture.mime).toBe('image/jpeg');
+    expect(picture.data).toEqual(COVER);
+
+    // Audio pages keep their data and granule positions
+    expect(pages[pages.length - 1].type).toBe(0x04);
+    expect(pages[pages.length - 1].granule.slice(0, 4)).toEqual([0, 8, 0, 0]);
+  });
+
+  it('rejects files that are not Ogg', () => {
+    expect(() => writeOggTags(AUDIO.slice().buffer, { title: 'x' })).toThrow('Not an Ogg file');
+  });
+});
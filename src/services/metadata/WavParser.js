@@ -0,0 +1,347 @@
+/**
+ * WavParser.js
+ * Reads the metadata of RIFF WAVE files (and their 64-bit RF64/BW64 form)
+ * from their chunks: the sample format (fmt), LIST/INFO tags, the
+ * Broadcast Wave extension (bext), an embedded ID3v2 tag (id3), cue points
+ * with their adtl labels, and sampler loops (smpl).
+ */
+
+import { readAscii, readText, readUint32LE } from './TagHelpers';
+import { readID3v2Tags } from './ID3v2Reader';
+
+// LIST/INFO chunk IDs for each metadata field
+const INFO_FIELDS = {
+  INAM: 'title',
+  IART: 'artist',
+  IPRD: 'album',
+  IGNR: 'genre',
+  ICRD: 'year',
+  ITRK: 'track',
+  IPRT: 'track',
+  ICMT: 'comment',
+  ICOP: 'copyright',
+  ISFT: 'tool'
+};
+
+// fmt format tags
+const WAVE_FORMAT = {
+  PCM: 0x0001,
+  IEEE_FLOAT: 0x0003,
+  EXTENSIBLE: 0xfffe
+};
+
+// Names of the better-known compressed format tags
+const FORMAT_NAMES = {
+  0x0002: 'MS ADPCM',
+  0x0006: 'A-law',
+  0x0007: 'µ-law',
+  0x0011: 'IMA ADPCM',
+  0x0050: 'MPEG',
+  0x0055: 'MP3'
+};
+
+// smpl loop types
+const LOOP_TYPES = ['forward', 'alternating', 'backward'];
+
+// RF64 marks sizes kept in the ds64 chunk with this value
+const RF64_SIZE = 0xffffffff;
+
+/**
+ * Read a little-endian 64-bit size
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Offset
+ * @returns {number} Value
+ */
+const readUint64LE = (bytes, offset) =>
+  readUint32LE(bytes, offset) + readUint32LE(bytes, offset + 4) * 0x100000000;
+
+/**
+ * Parse the fmt chunk
+ * @param {DataView} view - Chunk data
+ * @returns {Object} - { formatTag, channels, sampleRate, byteRate, blockAlign, bitDepth }
+ */
+const parseFormat = (view) => {
+  const fmt = {
+    formatTag: view.getUint16(0, true),
+    channels: view.getUint16(2, true),
+    sampleRate: view.getUint32(4, true),
+    byteRate: view.getUint32(8, true),
+    blockAlign: view.getUint16(12, true),
+    bitDepth: view.byteLength >= 16 ? view.getUint16(14, true) : null
+  };
+
+  // WAVE_FORMAT_EXTENSIBLE keeps the real format in the first two bytes of
+  // the sub-format GUID, and may store fewer valid bits than the container
+  if (fmt.formatTag === WAVE_FORMAT.EXTENSIBLE && view.byteLength >= 26) {
+    const validBits = view.getUint16(18, true);
+    if (validBits) {
+      fmt.bitDepth = validBits;
+    }
+    fmt.formatTag = view.getUint16(24, true);
+  }
+
+  return fmt;
+};
+
+/**
+ * Parse the bext (Broadcast Wave) chunk
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Object} Broadcast metadata
+ */
+const parseBroadcastExtension = (data) => {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+  const broadcast = {
+    description: readText(data, 0, 256) || null,
+    originator: readText(data, 256, 32) || null,
+    originatorReference: readText(data, 288, 32) || null,
+    originationDate: readText(data, 320, 10) || null,
+    originationTime: readText(data, 330, 8) || null,
+    // Sample count since midnight, as two 32-bit halves
+    timeReference: data.length >= 346 ? readUint64LE(data, 338) : null,
+    version: data.length >= 348 ? view.getUint16(346, true) : null,
+    loudness: null,
+    codingHistory: data.length > 602 ? readText(data, 602, data.length - 602) || null : null
+  };
+
+  // Version 2 adds loudness values (in hundredths of LUFS, LU and dBTP)
+  if (broadcast.version >= 2 && data.length >= 422) {
+    const readLoudness = (offset) => {
+      const value = view.getInt16(offset, true);
+      return value === 0x7fff ? null : value / 100; // 0x7FFF: not measured
+    };
+
+    broadcast.loudness = {
+      integrated: readLoudness(412),
+      range: readLoudness(414),
+      maxTruePeak: readLoudness(416),
+      maxMomentary: readLoudness(418),
+      maxShortTerm: readLoudness(420)
+    };
+  }
+
+  return broadcast;
+};
+
+/**
+ * Parse the cue chunk
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Array<Object>} - [{ id, sampleOffset }]
+ */
+const parseCuePoints = (data) => {
+  const count = data.length >= 4 ? readUint32LE(data, 0) : 0;
+  const cuePoints = [];
+
+  for (let i = 0; i < count && 4 + (i + 1) * 24 <= data.length; i++) {
+    const offset = 4 + i * 24;
+    cuePoints.push({
+      id: readUint32LE(data, offset),
+      sampleOffset: readUint32LE(data, offset + 20)
+    });
+  }
+
+  return cuePoints;
+};
+
+/**
+ * Parse the smpl chunk's loops
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Array<Object>} - [{ cueId, type, start, end, playCount }] in samples
+ */
+const parseSamplerLoops = (data) => {
+  const count = data.length >= 36 ? readUint32LE(data, 28) : 0;
+  const loops = [];
+
+  for (let i = 0; i < count && 36 + (i + 1) * 24 <= data.length; i++) {
+    const offset = 36 + i * 24;
+    loops.push({
+      cueId: readUint32LE(data, offset),
+      type: LOOP_TYPES[readUint32LE(data, offset + 4)] || 'forward',
+      start: readUint32LE(data, offset + 8),
+      end: readUint32LE(data, offset + 12), // Inclusive
+      playCount: readUint32LE(data, offset + 20) // 0: loop forever
+    });
+  }
+
+  return loops;
+};
+
+/**
+ * Parse the sub-chunks of a LIST chunk
+ * @param {Uint8Array} data - Chunk data, after the list type
+ * @param {Function} onChunk - Called with (id, data) for each sub-chunk
+ */
+const readSubChunks = (data, onChunk) => {
+  let offset = 0;
+
+  while (offset + 8 <= data.length) {
+    const id = readAscii(data, offset, 4);
+    const size = readUint32LE(data, offset + 4);
+    const start = offset + 8;
+
+    onChunk(id, data.subarray(start, Math.min(data.length, start + size)));
+
+    offset = start + size + (size % 2); // Chunks are padded to an even length
+  }
+};
+
+/**
+ * Parse the metadata of a WAV file
+ * @param {ArrayBuffer} arrayBuffer - File data
+ * @returns {Object} Metadata object
+ */
+const parseWavMetadata = (arrayBuffer) => {
+  const bytes = new Uint8Array(arrayBuffer);
+  const riff = readAscii(bytes, 0, 4);
+
+  if (!['RIFF', 'RF64', 'BW64'].includes(riff) || readAscii(bytes, 8, 4) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let fmt = null;
+  let dataSize = null;
+  let ds64DataSize = null;
+  let sampleLength = null;
+  let broadcast = null;
+  let id3 = {};
+  let cues = [];
+  let samplerLoops = [];
+  const info = {};
+  const labels = {};
+
+  let offset = 12;
+
+  while (offset + 8 <= bytes.length) {
+    const id = readAscii(bytes, offset, 4);
+    let size = readUint32LE(bytes, offset + 4);
+    const start = offset + 8;
+
+    if (id === 'data' && size === RF64_SIZE && ds64DataSize !== null) {
+      size = ds64DataSize;
+    }
+
+    // The audio itself is never read; only the other chunks are sliced
+    const data = id === 'data' ? null : bytes.subarray(start, Math.min(bytes.length, start + size));
+
+    switch (id) {
+      case 'ds64':
+        ds64DataSize = readUint64LE(data, 8);
+        break;
+      case 'fmt ':
+        fmt = parseFormat(new DataView(data.buffer, data.byteOffset, data.byteLength));
+        break;
+      case 'fact':
+        sampleLength = readUint32LE(data, 0);
+        break;
+      case 'data':
+        // A streamed file may not have its final size written
+        dataSize = Math.min(size, bytes.length - start);
+        break;
+      case 'LIST': {
+        const listType = readAscii(data, 0, 4);
+
+        if (listType === 'INFO') {
+          readSubChunks(data.subarray(4), (subId, subData) => {
+            const field = INFO_FIELDS[subId];
+            const text = readText(subData, 0, subData.length);
+            if (field && text && !info[field]) {
+              info[field] = text;
+            }
+          });
+        } else if (listType === 'adtl') {
+          readSubChunks(data.subarray(4), (subId, subData) => {
+            if (subId === 'labl' && subData.length > 4) {
+              labels[readUint32LE(subData, 0)] = readText(subData, 4, subData.length - 4);
+            }
+          });
+        }
+        break;
+      }
+      case 'bext':
+        broadcast = parseBroadcastExtension(data);
+        break;
+      case 'id3 ':
+      case 'ID3 ':
+        id3 = readID3v2Tags(data);
+        break;
+      case 'cue ':
+        cues = parseCuePoints(data);
+        break;
+      case 'smpl':
+        samplerLoops = parseSamplerLoops(data);
+        break;
+      default:
+        break;
+    }
+
+    offset = start + size + (size % 2);
+  }
+
+  if (!fmt) {
+    throw new Error('WAV file has no fmt chunk');
+  }
+
+  const { sampleRate } = fmt;
+  const lossless = fmt.formatTag === WAVE_FORMAT.PCM || fmt.formatTag === WAVE_FORMAT.IEEE_FLOAT;
+
+  // Compressed formats give their length in samples in the fact chunk
+  let duration = null;
+  if (!lossless && sampleLength && sampleRate) {
+    duration = sampleLength / sampleRate;
+  } else if (dataSize !== null && fmt.byteRate) {
+    duration = dataSize / fmt.byteRate;
+  }
+
+  const toSeconds = (samples) => (sampleRate ? samples / sampleRate : null);
+
+  const cuePoints = cues
+    .map(cue => ({
+      id: cue.id,
+      position: toSeconds(cue.sampleOffset),
+      label: labels[cue.id] || null
+    }))
+    .sort((a, b) => a.position - b.position);
+
+  const loops = samplerLoops.map(loop => ({
+    type: loop.type,
+    start: toSeconds(loop.start),
+    end: toSeconds(loop.end + 1),
+    playCount: loop.playCount,
+    label: labels[loop.cueId] || null
+  }));
+
+  // An ID3 tag is usually more complete than LIST/INFO
+  const tags = { ...info, ...id3 };
+
+  // Broadcast files often carry only the bext description and date
+  if (broadcast) {
+    tags.comment = tags.comment || broadcast.description || undefined;
+    tags.year = tags.year || broadcast.originationDate || undefined;
+    tags.encoder = tags.encoder || broadcast.originator || undefined;
+  }
+
+  return {
+    ...tags,
+    format: 'WAV',
+    codec: lossless ? (fmt.formatTag === WAVE_FORMAT.IEEE_FLOAT ? 'PCM (float)' : 'PCM') :
+      (FORMAT_NAMES[fmt.formatTag] || `Format 0x${fmt.formatTag.toString(16)}`),
+    lossless,
+    bitrateMode: lossless ? 'CBR' : null,
+    sampleRate,
+    bitDepth: fmt.bitDepth || null,
+    channels: fmt.channels,
+    bitrate: fmt.byteRate * 8,
+    duration,
+    broadcast,
+    cuePoints,
+    loops
+  };
+};
+
+export {
+  parseWavMetadata
+};
+
+export default {
+  parseWavMetadata
+};
@@ -0,0 +1,193 @@
+import { describe, it, expect } from 'vitest';
+import { parseWavMetadata } from './WavParser';
+import { encodeAscii, encodeUtf8, concatBytes, uint32LE } from './TagHelpers';
+
+const SAMPLE_RATE = 48000;
+
+const uint16LE = (value) => new Uint8Array([value & 0xff, (value >>> 8) & 0xff]);
+
+const chunk = (id, body, size = body.length) => concatBytes([
+  encodeAscii(id),
+  uint32LE(size),
+  body,
+  new Uint8Array(body.length % 2) // Padding byte
+]);
+
+const wave = (chunks, riff = 'RIFF', size = null) => {
+  const body = concatBytes([encodeAscii('WAVE'), ...chunks]);
+  return concatBytes([encodeAscii(riff), uint32LE(size ?? body.length), body]).buffer;
+};
+
+// 24-bit stereo PCM
+const fmtChunk = () => chunk('fmt ', concatBytes([
+  uint16LE(1),
+  uint16LE(2),
+  uint32LE(SAMPLE_RATE),
+  uint32LE(SAMPLE_RATE * 6),
+  uint16LE(6),
+  uint16LE(24)
+]));
+
+const dataChunk = (length = SAMPLE_RATE * 6) => chunk('data', new Uint8Array(length));
+
+const listChunk = (type, subChunks) => chunk('LIST', concatBytes([encodeAscii(type), ...subChunks]));
+
+const textField = (bytes, offset, text) => bytes.set(encodeUtf8(text), offset);
+
+const bextChunk = ({ version, loudness = [], codingHistory = '' }) => {
+  const body = new Uint8Array(602 + codingHistory.length);
+  const view = new DataView(body.buffer);
+
+  textField(body, 0, 'Interview, take 3');
+  textField(body, 256, 'Field Recorder');
+  textField(body, 288, 'FR-0042');
+  textField(body, 320, '2024-05-01');
+  textField(body, 330, '12:30:00');
+  view.setUint32(338, 0x80000000, true); // Time reference, low half
+  view.setUint32(342, 1, true); // Time reference, high half
+  view.setUint16(346, version, true);
+  loudness.forEach((value, index) => view.setInt16(412 + index * 2, value, true));
+  textField(body, 602, codingHistory);
+
+  return chunk('bext', body);
+};
+
+describe('parseWavMetadata', () => {
+  it('reads the format and duration', () => {
+    const metadata = parseWavMetadata(wave([fmtChunk(), dataChunk()]));
+
+    expect(metadata).toMatchObject({
+      format: 'WAV',
+      codec: 'PCM',
+      lossless: true,
+      sampleRate: SAMPLE_RATE,
+      bitDepth: 24,
+      channels: 2,
+      bitrate: SAMPLE_RATE * 6 * 8,
+      duration: 1,
+      broadcast: null,
+      cuePoints: [],
+      loops: []
+    });
+  });
+
+  it('reads a version 2 bext chunk with loudness values', () => {
+    const metadata = parseWavMetadata(wave([
+      fmtChunk(),
+      bextChunk({
+        version: 2,
+        loudness: [-2300, 650, -120, 0x7fff, -1850],
+        codingHistory: 'A=PCM,F=48000,W=24,M=stereo\r\n'
+      }),
+      dataChunk()
+    ]));
+
+    expect(metadata.broadcast).toEqual({
+      description: 'Interview, take 3',
+      originator: 'Field Recorder',
+      originatorReference: 'FR-0042',
+      originationDate: '2024-05-01',
+      originationTime: '12:30:00',
+      timeReference: 0x180000000,
+      version: 2,
+      loudness: {
+        integrated: -23,
+        range: 6.5,
+        maxTruePeak: -1.2,
+        maxMomentary: null,
+        maxShortTerm: -18.5
+      },
+      codingHistory: 'A=PCM,F=48000,W=24,M=stereo'
+    });
+
+    // The description and date stand in for missing tags
+    expect(metadata.comment).toBe('Interview, take 3');
+    expect(metadata.year).toBe('2024-05-01');
+  });
+
+  it('ignores the loudness fields of a version 1 bext chunk', () => {
+    const metadata = parseWavMetadata(wave([
+      fmtChunk(),
+      bextChunk({ version: 1, loudness: [-2300] }),
+      dataChunk()
+    ]));
+
+    expect(metadata.broadcast.version).toBe(1);
+    expect(metadata.broadcast.loudness).toBeNull();
+  });
+
+  it('takes the data size of an RF64 file from its ds64 chunk', () => {
+    const dataLength = SAMPLE_RATE * 3; // Half a second
+    const ds64 = concatBytes([
+      uint32LE(0xffffffff), uint32LE(0), // RIFF size
+      uint32LE(dataLength), uint32LE(0), // Data size
+      uint32LE(SAMPLE_RATE / 2), uint32LE(0), // Sample count
+      uint32LE(0) // Table length
+    ]);
+
+    const metadata = parseWavMetadata(wave([
+      chunk('ds64', ds64),
+      fmtChunk(),
+      // The 32-bit size is a placeholder, so the walk needs the ds64 size to
+      // reach the chunk that follows the audio
+      concatBytes([encodeAscii('data'), uint32LE(0xffffffff), new Uint8Array(dataLength)]),
+      listChunk('INFO', [chunk('INAM', encodeUtf8('Long Take\0'))])
+    ], 'RF64', 0xffffffff));
+
+    expect(metadata.duration).toBe(0.5);
+    expect(metadata.title).toBe('Long Take');
+  });
+
+  it('reads cue points with their adtl labels and sampler loops', () => {
+    const cuePoint = (id, sampleOffset) => concatBytes([
+      uint32LE(id),
+      uint32LE(sampleOffset), // Position
+      encodeAscii('data'),
+      uint32LE(0), // Chunk start
+      uint32LE(0), // Block start
+      uint32LE(sampleOffset)
+    ]);
+
+    const samplerLoop = (cueId, type, start, end, playCount) => concatBytes([
+      uint32LE(cueId),
+      uint32LE(type),
+      uint32LE(start),
+      uint32LE(end),
+      uint32LE(0), // Fraction
+      uint32LE(playCount)
+    ]);
+
+    const smpl = concatBytes([
+      new Uint8Array(28), // Manufacturer, product, period, MIDI note, SMPTE
+      uint32LE(2),
+      uint32LE(0), // Sampler data
+      samplerLoop(3, 0, SAMPLE_RATE / 4, SAMPLE_RATE / 2 - 1, 0),
+      samplerLoop(4, 1, 0, SAMPLE_RATE - 1, 2)
+    ]);
+
+    const metadata = parseWavMetadata(wave([
+      fmtChunk(),
+      chunk('cue ', concatBytes([uint32LE(2), cuePoint(1, SAMPLE_RATE / 2), cuePoint(2, 0)])),
+      listChunk('adtl', [
+        chunk('labl', concatBytes([uint32LE(1), encodeUtf8('Chorus\0')])),
+        chunk('labl', concatBytes([uint32LE(3), encodeUtf8('Groove\0')]))
+      ]),
+      chunk('smpl', smpl),
+      dataChunk()
+    ]));
+
+    expect(metadata.cuePoints).toEqual([
+      { id: 2, position: 0, label: null },
+      { id: 1, position: 0.5, label: 'Chorus' }
+    ]);
+    expect(metadata.loops).toEqual([
+      { type: 'forward', start: 0.25, end: 0.5, playCount: 0, label: 'Groove' },
+      { type: 'alternating', start: 0, end: 1, playCount: 2, label: null }
+    ]);
+  });
+
+  it('rejects files that are not WAV', () => {
+    expect(() => parseWavMetadata(concatBytes([encodeAscii('FORM'), uint32LE(4), encodeAscii('AIFF')]).buffer))
+      .toThrow('Not a WAV file');
+  });
+});
@@ -1,3 +1,4 @@
+import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
@@ -8,10 +9,13 @@ import { storybookTest } from '@storybook/experimental-addon-test/vitest-plugin'
 const dirname =
   typeof __dirname !== 'undefined' ? __dirname : path.dirname(fileURLToPath(import.meta.url));
 
+// The Storybook project only runs where a Storybook config exists
+const hasStorybook = fs.existsSync(path.join(dirname, '.storybook', 'main.js'));
+
 // More info at: https://storybook.js.org/docs/writing-tests/test-addon
 export default defineWorkspace([
   'vite.config.js',
-  {
+  ...(hasStorybook ? [{
     extends: 'vite.config.js',
     plugins: [
       // The plugin will run tests for the stories defined in your Storybook config
@@ -28,5 +32,5 @@ export default defineWorkspace([
       },
       setupFiles: ['.storybook/vitest.setup.js'],
     },
-  },
+  }] : []),
 ]);